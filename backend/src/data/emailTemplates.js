@@ -107,6 +107,68 @@ If now is not the right time, no action is required. You can revisit this when i
 
 If you would like clarity before making any decisions, you can schedule the consultation <b><a href="${CALENDAR_LINK}">here</a></b>.
 
+Best regards,
+STRUCTURE Team`
+  },
+
+  // Meeting reminders (meeting_booked sequence)
+  reminder_24hr: {
+    subject: 'Reminder: Your automation consultation is tomorrow',
+    body: `Hi {{first_name}},
+
+Just a quick reminder that your 45-minute automation consultation with STRUCTURE is scheduled for tomorrow.
+
+Please make sure you have a quiet space with stable internet. We will be diving into your logistics operations in detail.
+
+If you need to reschedule, please use the link in your calendar invite.
+
+Looking forward to speaking with you.
+
+Best regards,
+STRUCTURE Team`
+  },
+
+  reminder_6hr: {
+    subject: 'Your consultation is in 6 hours',
+    body: `Hi {{first_name}},
+
+Your automation consultation with STRUCTURE is coming up in about 6 hours.
+
+Make sure you have the meeting link ready and a quiet space to talk.
+
+See you soon.
+
+Best regards,
+STRUCTURE Team`
+  },
+
+  reminder_1hr: {
+    subject: 'Starting in 1 hour',
+    body: `Hi {{first_name}},
+
+Your automation consultation with STRUCTURE starts in about an hour.
+
+Make sure you're ready and have your meeting link handy.
+
+See you shortly.
+
+Best regards,
+STRUCTURE Team`
+  },
+
+  // Schedule meeting CTA (new_lead / no_show step 6)
+  schedule_meeting_cta: {
+    subject: 'Have you had a chance to schedule your consultation?',
+    body: `Hi {{first_name}},
+
+Following up on your automation interest.
+
+We haven't seen a consultation scheduled yet. If automation is still something you're actively exploring, the next step is a 45-minute session where we review your workflows and assess fit.
+
+No pressure either way.
+
+If you'd like to move forward, you can book a time <b><a href="${CALENDAR_LINK}">here</a></b>.
+
 Best regards,
 STRUCTURE Team`
   },
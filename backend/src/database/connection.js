@@ -108,6 +108,25 @@ export async function query(text, params) {
   }
 }
 
+/**
+ * Run queries in a transaction
+ * The callback receives a client; commits on success, rolls back on error
+ */
+export async function transaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Close database connection
  */
@@ -119,4 +138,4 @@ export async function closeDatabase() {
   }
 }
 
-export default { initDatabase, getDb, query, closeDatabase };
+export default { initDatabase, getDb, query, transaction, closeDatabase };
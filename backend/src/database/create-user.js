@@ -0,0 +1,51 @@
+/**
+ * Script to create (or reset the password of) a dashboard user
+ *
+ * Run with: node src/database/create-user.js <email> <password> [role] [name]
+ * Roles: admin, sales_rep, read_only (default: read_only)
+ */
+
+import 'dotenv/config';
+import { initDatabase, query, closeDatabase } from './connection.js';
+import { AUTH_TABLES } from './schema-auth.js';
+import User, { USER_ROLES } from '../models/User.js';
+import { hashPassword, revokeUserSessions } from '../services/authService.js';
+
+async function main() {
+  const [email, password, role = 'read_only', ...nameParts] = process.argv.slice(2);
+  const name = nameParts.join(' ') || null;
+
+  if (!email || !password) {
+    console.error('Usage: node src/database/create-user.js <email> <password> [role] [name]');
+    process.exit(1);
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    console.error(`❌ Invalid role "${role}". Use one of: ${USER_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await initDatabase();
+    await query(AUTH_TABLES);
+
+    const password_hash = await hashPassword(password);
+    const existing = await User.getUserByEmailWithPassword(email);
+
+    if (existing) {
+      await User.updateUser(existing.id, { password_hash, role, is_active: true, ...(name && { name }) });
+      await revokeUserSessions(existing.id);
+      console.log(`✅ Updated user ${email} (${role})`);
+    } else {
+      await User.createUser({ email, name, password_hash, role });
+      console.log(`✅ Created user ${email} (${role})`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main();
@@ -7,6 +7,25 @@
 import { initDatabase, query, closeDatabase } from './connection.js';
 import { SEQUENCE_TABLES, DEFAULT_SEQUENCES, NEW_LEAD_SEQUENCE_STEPS, MEETING_BOOKED_STEPS, NO_SHOW_STEPS, EBOOK_NURTURE_STEPS } from './schema-sequences.js';
 import { CHAT_INTENT_TABLES } from './schema-chat-intent.js';
+import { AUTH_TABLES } from './schema-auth.js';
+import { SUPPRESSION_TABLES } from './schema-suppression.js';
+import { DEDUP_TABLES } from './schema-dedup.js';
+import { IMPORT_TABLES } from './schema-import.js';
+import { SEGMENT_TABLES } from './schema-segments.js';
+import { BULK_TABLES } from './schema-bulk.js';
+import { ROUTING_TABLES } from './schema-routing.js';
+import { TASK_TABLES } from './schema-tasks.js';
+import { CALL_TABLES } from './schema-calls.js';
+import { SCORING_TABLES } from './schema-scoring.js';
+import { SCORE_HISTORY_TABLES } from './schema-score-history.js';
+import { LLM_USAGE_TABLES } from './schema-llm-usage.js';
+import { JOB_TABLES } from './schema-jobs.js';
+import { MESSAGE_RETRY_COLUMNS } from './schema-message-retry.js';
+import { SEND_WINDOW_COLUMNS } from './schema-send-windows.js';
+import { SEND_THROTTLE_TABLES } from './schema-send-throttle.js';
+import { seedInitialAdmin } from '../services/authService.js';
+import { seedDefaultScoringModel } from '../services/scoringService.js';
+import { seedEmailTemplates, linkSequenceStepContent, migrateStepContent } from './seed-templates.js';
 
 const LEADS_TABLE = `
 CREATE TABLE IF NOT EXISTS leads (
@@ -157,14 +176,117 @@ export async function migrate() {
     await query(SEQUENCE_TABLES);
     console.log('✅ Sequence tables ready');
     
+    // Add step content source columns (template / pool / inline)
+    try {
+      await query(`ALTER TABLE sequence_steps ADD COLUMN IF NOT EXISTS content_pool VARCHAR(50)`);
+      await query(`ALTER TABLE sequence_steps ADD COLUMN IF NOT EXISTS include_ebook BOOLEAN DEFAULT false`);
+      console.log('✅ Step content columns ready');
+    } catch (e) {
+      // Columns might already exist
+    }
+
+    // A/B test settings per step (auto-promote the winning variant)
+    try {
+      await query(`ALTER TABLE sequence_steps ADD COLUMN IF NOT EXISTS ab_auto_promote BOOLEAN DEFAULT false`);
+      await query(`ALTER TABLE sequence_steps ADD COLUMN IF NOT EXISTS ab_min_sample INTEGER DEFAULT 100`);
+      await query(`ALTER TABLE sequence_steps ADD COLUMN IF NOT EXISTS ab_metric VARCHAR(20) DEFAULT 'opened'`);
+      console.log('✅ Step A/B test columns ready');
+    } catch (e) {
+      // Columns might already exist
+    }
+
+    // Look up sent emails by provider ID (delivery/open/click webhooks)
+    await query(`CREATE INDEX IF NOT EXISTS idx_sent_messages_external ON sent_messages(external_message_id)`);
+    
+    // Track when a lead replied during an enrollment (drives skip_if_replied)
+    try {
+      await query(`ALTER TABLE lead_sequences ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ`);
+      console.log('✅ Enrollment reply column ready');
+    } catch (e) {
+      // Column might already exist
+    }
+
+    // Retry / dead-letter bookkeeping for queued messages
+    await query(MESSAGE_RETRY_COLUMNS);
+    console.log('✅ Message retry columns ready');
+
+    // Sending windows (quiet hours) per sequence / step
+    await query(SEND_WINDOW_COLUMNS);
+    console.log('✅ Send window columns ready');
+
+    // Per-sender send ledger (rate limits / warm-up)
+    await query(SEND_THROTTLE_TABLES);
+    console.log('✅ Sender send log ready');
+
     // Create chat intent scoring tables
     await query(CHAT_INTENT_TABLES);
     console.log('✅ Chat intent tables ready');
     
+    // Create users and sessions tables
+    await query(AUTH_TABLES);
+    await seedInitialAdmin();
+    console.log('✅ Auth tables ready');
+    
+    // Create suppression (do-not-contact) list
+    await query(SUPPRESSION_TABLES);
+    console.log('✅ Suppression list ready');
+    
+    // Create duplicate lead review queue
+    await query(DEDUP_TABLES);
+    console.log('✅ Lead duplicate queue ready');
+    
+    // Create lead import job table
+    await query(IMPORT_TABLES);
+    console.log('✅ Lead import jobs ready');
+    
+    // Create saved lead segments table
+    await query(SEGMENT_TABLES);
+    console.log('✅ Lead segments ready');
+    
+    // Create lead bulk action job tables
+    await query(BULK_TABLES);
+    console.log('✅ Lead bulk action jobs ready');
+    
+    // Create lead routing tables (reps, rules, assignment history)
+    await query(ROUTING_TABLES);
+    console.log('✅ Lead routing ready');
+    
+    // Create lead task tables (follow-ups and reminders)
+    await query(TASK_TABLES);
+    console.log('✅ Lead tasks ready');
+    
+    // Create structured call records and recordings
+    await query(CALL_TABLES);
+    console.log('✅ Lead calls ready');
+
+    // Scoring models (rule-based scoring, versioned)
+    await query(SCORING_TABLES);
+    await seedDefaultScoringModel();
+    console.log('✅ Scoring models ready');
+
+    // Lead score history
+    await query(SCORE_HISTORY_TABLES);
+    console.log('✅ Lead score history ready');
+
+    // AI usage ledger
+    await query(LLM_USAGE_TABLES);
+    console.log('✅ LLM usage ledger ready');
+
+    // Background job queue
+    await query(JOB_TABLES);
+    console.log('✅ Job queue ready');
+    
+    // Import bundled email templates (only missing slugs)
+    await seedEmailTemplates();
+    console.log('✅ Email templates ready');
+    
     // Insert default sequences if they don't exist
     await seedDefaultSequences();
     console.log('✅ Default sequences ready');
     
+    // Link pre-existing steps to templates (runs once)
+    await migrateStepContent();
+    
     console.log('✅ Database migration complete!');
   } catch (error) {
     console.error('❌ Migration failed:', error);
@@ -207,6 +329,7 @@ async function seedDefaultSequences() {
       }
       
       if (steps.length > 0) {
+        await linkSequenceStepContent(sequenceId);
         console.log(`    → Added ${steps.length} steps`);
       }
     }
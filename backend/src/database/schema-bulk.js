@@ -0,0 +1,45 @@
+/**
+ * Lead Bulk Action Schema
+ *
+ * One job per bulk action (status change, tagging, enrollment, delete ...)
+ * plus one result row per lead it touched, so the UI can show which leads
+ * were skipped or failed and why.
+ */
+
+export const BULK_TABLES = `
+-- Lead bulk action jobs
+CREATE TABLE IF NOT EXISTS lead_bulk_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action VARCHAR(30) NOT NULL, -- status, priority, add_tags, remove_tags, assign, enroll, cancel_sequence, delete
+  params JSONB DEFAULT '{}',
+  target JSONB DEFAULT '{}', -- { leadIds: <count> }, { segmentId } or { filters }
+  status VARCHAR(20) DEFAULT 'pending', -- pending, running, completed, failed
+  total_count INTEGER DEFAULT 0,
+  processed_count INTEGER DEFAULT 0,
+  succeeded_count INTEGER DEFAULT 0,
+  skipped_count INTEGER DEFAULT 0,
+  failed_count INTEGER DEFAULT 0,
+  error_message TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_bulk_jobs_created ON lead_bulk_jobs(created_at DESC);
+
+-- Per-lead outcome (no FK - deleted leads keep their result)
+CREATE TABLE IF NOT EXISTS lead_bulk_results (
+  id SERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES lead_bulk_jobs(id) ON DELETE CASCADE,
+  lead_id UUID NOT NULL,
+  lead_label VARCHAR(255), -- name/email at the time, still readable after a delete
+  result VARCHAR(20) NOT NULL, -- succeeded, skipped, failed
+  message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_bulk_results_job ON lead_bulk_results(job_id, result);
+`;
+
+export default { BULK_TABLES };
@@ -0,0 +1,43 @@
+/**
+ * Lead Calls Schema
+ *
+ * Structured call records: outcome, disposition, duration, notes, next steps
+ * and an optional recording with its transcript. Every call keeps its
+ * lead_activities 'call' entry (timeline and call counts), linked by
+ * activity_id - deleting the activity deletes the call.
+ */
+
+export const CALL_TABLES = `
+CREATE TABLE IF NOT EXISTS lead_calls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  activity_id UUID REFERENCES lead_activities(id) ON DELETE CASCADE,
+  outcome VARCHAR(20) NOT NULL, -- answered, unanswered
+  disposition VARCHAR(30), -- interested, callback, not_interested, wrong_number, voicemail
+  duration_seconds INTEGER,
+  notes TEXT,
+  next_steps TEXT,
+  callback_at TIMESTAMPTZ,
+  has_recording BOOLEAN DEFAULT false,
+  transcription_status VARCHAR(20), -- pending, completed, failed, unavailable
+  transcript TEXT,
+  called_by VARCHAR(255), -- user ID
+  called_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_calls_lead ON lead_calls(lead_id, called_at DESC);
+
+-- Recording files, kept apart so call lists stay light
+CREATE TABLE IF NOT EXISTS lead_call_recordings (
+  call_id UUID PRIMARY KEY REFERENCES lead_calls(id) ON DELETE CASCADE,
+  filename VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  data BYTEA NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+`;
+
+export default { CALL_TABLES };
@@ -0,0 +1,27 @@
+/**
+ * Lead Deduplication Schema
+ *
+ * Review queue of possible duplicate leads. Each pair is stored once
+ * (lead_id = the newer lead, match_lead_id = the one it resembles);
+ * merging deletes the merged lead, which removes its rows here.
+ */
+
+export const DEDUP_TABLES = `
+-- Possible duplicate pairs awaiting review
+CREATE TABLE IF NOT EXISTS lead_duplicates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  match_lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  reasons JSONB DEFAULT '[]', -- email, phone, name_company
+  status VARCHAR(20) DEFAULT 'pending', -- pending, dismissed
+  resolved_by VARCHAR(255),
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_duplicates_pair
+  ON lead_duplicates (LEAST(lead_id, match_lead_id), GREATEST(lead_id, match_lead_id));
+CREATE INDEX IF NOT EXISTS idx_lead_duplicates_status ON lead_duplicates(status);
+`;
+
+export default { DEDUP_TABLES };
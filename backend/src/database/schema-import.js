@@ -0,0 +1,33 @@
+/**
+ * Lead Import Schema
+ *
+ * One row per CSV/XLSX import run. The job is processed in the background;
+ * the UI polls the counters until status is completed or failed.
+ */
+
+export const IMPORT_TABLES = `
+-- Lead import jobs
+CREATE TABLE IF NOT EXISTS lead_import_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  filename VARCHAR(255),
+  status VARCHAR(20) DEFAULT 'pending', -- pending, running, completed, failed
+  total_rows INTEGER DEFAULT 0,
+  processed_rows INTEGER DEFAULT 0,
+  created_count INTEGER DEFAULT 0,
+  updated_count INTEGER DEFAULT 0,
+  skipped_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  enrolled_count INTEGER DEFAULT 0,
+  errors JSONB DEFAULT '[]', -- [{ row, errors }] (first 200)
+  options JSONB DEFAULT '{}', -- mapping, duplicateMode, enrollSequence, defaults
+  error_message TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_import_jobs_created ON lead_import_jobs(created_at DESC);
+`;
+
+export default { IMPORT_TABLES };
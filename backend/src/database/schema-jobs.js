@@ -0,0 +1,56 @@
+/**
+ * Job Queue Schema
+ *
+ * Postgres-backed background jobs (see jobQueueService):
+ * - jobs: one row per run. Workers lease due rows with FOR UPDATE SKIP
+ *   LOCKED; failures retry with exponential backoff until max_attempts,
+ *   then the job is dead (dead-letter). unique_key allows at most one
+ *   pending/running job per key, e.g. one message queue run at a time.
+ * - job_leases: named leases for leader election. Only the instance holding
+ *   the scheduler lease schedules recurring jobs and runs singleton jobs.
+ * - lead_import_jobs.source_rows / lead_bulk_jobs.lead_ids: the input of an
+ *   import or bulk action job, kept until it completes so a retry can resume
+ */
+
+export const JOB_TABLES = `
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type VARCHAR(50) NOT NULL,
+  payload JSONB DEFAULT '{}',
+  status VARCHAR(20) DEFAULT 'pending', -- pending, running, completed, dead, cancelled
+  unique_key VARCHAR(100),
+  priority INTEGER DEFAULT 0,
+  run_at TIMESTAMPTZ DEFAULT NOW(),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  locked_by VARCHAR(100),
+  locked_until TIMESTAMPTZ,
+  cancel_requested BOOLEAN DEFAULT false,
+  rerun_requested BOOLEAN DEFAULT false, -- recurring: run again as soon as this run ends
+  progress JSONB,
+  result JSONB,
+  last_error TEXT,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(priority DESC, run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_unique_key ON jobs(unique_key) WHERE status IN ('pending', 'running');
+
+CREATE TABLE IF NOT EXISTS job_leases (
+  name VARCHAR(100) PRIMARY KEY,
+  holder VARCHAR(100) NOT NULL,
+  acquired_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE lead_import_jobs ADD COLUMN IF NOT EXISTS source_rows JSONB;
+ALTER TABLE lead_bulk_jobs ADD COLUMN IF NOT EXISTS lead_ids JSONB;
+`;
+
+export default { JOB_TABLES };
@@ -0,0 +1,32 @@
+/**
+ * LLM Usage Ledger Schema
+ *
+ * One row per AI call made through llmService: the feature (task) that made
+ * it, the lead it was about, model, tokens and estimated cost. Cache hits
+ * and failed calls are logged too (at zero cost) so call counts add up.
+ * Budgets live in system_settings (llm_daily_budget_usd, llm_monthly_budget_usd).
+ */
+
+export const LLM_USAGE_TABLES = `
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  feature VARCHAR(50) NOT NULL, -- llmService task, e.g. lead_scoring
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  provider VARCHAR(20) NOT NULL, -- openai, fake
+  model VARCHAR(100) NOT NULL,
+  prompt_tokens INTEGER DEFAULT 0,
+  completion_tokens INTEGER DEFAULT 0,
+  cost_usd NUMERIC(12, 6) DEFAULT 0,
+  cached BOOLEAN DEFAULT false,
+  success BOOLEAN DEFAULT true,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_feature ON llm_usage(feature, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_lead ON llm_usage(lead_id) WHERE lead_id IS NOT NULL;
+`;
+
+export default { LLM_USAGE_TABLES };
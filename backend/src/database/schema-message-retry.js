@@ -0,0 +1,27 @@
+/**
+ * Message Retry Schema
+ *
+ * Retry bookkeeping on message_queue (see messageRetryService):
+ * - error_kind: classified cause of the last failure (invalid_recipient,
+ *   content, rate_limited, configuration, provider_outage, unknown)
+ * - provider_error: raw error details returned by the email/WhatsApp provider
+ * - failed_at: when the message ran out of retries (status = 'failed'), i.e.
+ *   entered the dead-letter inbox
+ * - override_content: { subject?, body?, whatsapp? } edited before a resend,
+ *   used instead of the step's content
+ * - resolved_at / resolved_by / resolution: who retried, resent or discarded it
+ */
+
+export const MESSAGE_RETRY_COLUMNS = `
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS error_kind VARCHAR(30);
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS provider_error JSONB;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS override_content JSONB;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS resolved_by VARCHAR(255);
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS resolution VARCHAR(20); -- retried, resent, discarded
+
+CREATE INDEX IF NOT EXISTS idx_message_queue_failed ON message_queue(failed_at DESC) WHERE status = 'failed';
+`;
+
+export default { MESSAGE_RETRY_COLUMNS };
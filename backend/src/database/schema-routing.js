@@ -0,0 +1,53 @@
+/**
+ * Lead Routing Schema
+ *
+ * Sales reps who receive new leads (weight, working hours, availability),
+ * the rules that decide which reps a lead can go to, and a history of every
+ * assignment. leads.assigned_to holds the rep's user ID.
+ */
+
+export const ROUTING_TABLES = `
+-- Reps in the lead rotation (one row per user)
+CREATE TABLE IF NOT EXISTS sales_reps (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  weight INTEGER NOT NULL DEFAULT 1, -- share of leads under weighted rules
+  is_available BOOLEAN DEFAULT true, -- false = on leave / out of rotation
+  timezone VARCHAR(64) DEFAULT 'Asia/Dubai',
+  working_hours JSONB, -- { days: [1..5], start: '09:00', end: '18:00' } (0 = Sunday); null = any time
+  max_open_leads INTEGER, -- skip the rep while they hold this many open leads
+  last_assigned_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Routing rules, checked in priority order; the first match picks the rep pool
+CREATE TABLE IF NOT EXISTS routing_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  priority INTEGER DEFAULT 100, -- lower runs first
+  is_active BOOLEAN DEFAULT true,
+  conditions JSONB DEFAULT '{}', -- { leadTypes, sources, countries, budgetMin, budgetMax }
+  strategy VARCHAR(20) DEFAULT 'round_robin', -- round_robin, weighted
+  rep_ids UUID[] DEFAULT '{}', -- empty = every rep in the rotation
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_priority ON routing_rules(priority) WHERE is_active = true;
+
+-- Assignment history
+CREATE TABLE IF NOT EXISTS lead_assignments (
+  id SERIAL PRIMARY KEY,
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- null = unassigned
+  previous_user_id UUID,
+  rule_id UUID REFERENCES routing_rules(id) ON DELETE SET NULL,
+  reason VARCHAR(30) NOT NULL, -- routed, after_hours, reassigned, manual, bulk
+  assigned_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_assignments_lead ON lead_assignments(lead_id, created_at DESC);
+`;
+
+export default { ROUTING_TABLES };
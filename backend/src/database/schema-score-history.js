@@ -0,0 +1,30 @@
+/**
+ * Lead Score History Schema
+ *
+ * Every change to a lead's score, with where it came from and why:
+ * - rules: rule-based scoring (model_version = scoring model version)
+ * - ai: AI intent scoring of the lead's form data
+ * - conversation: WhatsApp conversation intent (the conversation's own score)
+ * - manual: set by a user
+ */
+
+export const SCORE_HISTORY_TABLES = `
+CREATE TABLE IF NOT EXISTS lead_score_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL, -- rules, ai, conversation, manual
+  score INTEGER NOT NULL,
+  previous_score INTEGER,
+  factors JSONB DEFAULT '[]', -- [{ factor, points? }]
+  reason TEXT,
+  model VARCHAR(100), -- e.g. gpt-4o-mini, keywords
+  model_version INTEGER, -- scoring model version (rules)
+  conversation_id UUID REFERENCES whatsapp_conversations(id) ON DELETE SET NULL,
+  changed_by VARCHAR(255), -- user ID (manual)
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_history_lead ON lead_score_history(lead_id, created_at);
+`;
+
+export default { SCORE_HISTORY_TABLES };
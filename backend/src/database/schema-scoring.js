@@ -0,0 +1,80 @@
+/**
+ * Lead Scoring Model Schema
+ *
+ * Rule-based scoring (used when AI scoring is off). Each published model is an
+ * immutable, numbered version with its rules; exactly one is active. Leads
+ * record the version that produced their score in leads.score_model_version.
+ */
+
+export const SCORING_TABLES = `
+CREATE TABLE IF NOT EXISTS scoring_models (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version INTEGER NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  notes TEXT,
+  is_active BOOLEAN DEFAULT false,
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  activated_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_models_active ON scoring_models(is_active) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS scoring_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  model_id UUID NOT NULL REFERENCES scoring_models(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  group_name VARCHAR(50), -- only the first matching rule of a group counts
+  label VARCHAR(255) NOT NULL,
+  field VARCHAR(500) NOT NULL, -- lead column, custom_fields.<key> or last_call.<column>; "a|b" = first one set
+  operator VARCHAR(30) NOT NULL,
+  value JSONB,
+  points INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_rules_model ON scoring_rules(model_id, position);
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_model_version INTEGER;
+`;
+
+const BUDGET_FIELD = "custom_fields.what's_your_estimated_budget_for_ai_implementation?|custom_fields.budget";
+const VOLUME_FIELD = 'custom_fields.how_many_shipments_do_you_receive_on_average_per_month?|custom_fields.volume|custom_fields.shipments';
+const ROLE_FIELD = "custom_fields.what's_your_role_in_the_company?|job_title";
+
+// Version 1 - the original hard-coded heuristic
+export const DEFAULT_SCORING_RULES = [
+  // Budget (40 points max) - primary
+  { group: 'budget', label: '🔥 Budget 1M+ AED', field: BUDGET_FIELD, operator: 'contains_any', value: ['1m', '1,000,000', 'million'], points: 40 },
+  { group: 'budget', label: '🔥 Budget 500k-1M AED', field: BUDGET_FIELD, operator: 'contains_any', value: ['600k', '500k', '600,000', '500,000'], points: 38 },
+  { group: 'budget', label: 'Budget 100k+ AED', field: BUDGET_FIELD, operator: 'contains_any', value: ['100k', '200k', '300k', '100,000'], points: 35 },
+  { group: 'budget', label: 'Budget 35k-100k AED', field: BUDGET_FIELD, operator: 'contains_any', value: ['35k', '50k', '35,000', '50,000'], points: 30 },
+  { group: 'budget', label: 'Budget 15k-35k AED', field: BUDGET_FIELD, operator: 'contains_any', value: ['15k', '20k', '25k'], points: 20 },
+  { group: 'budget', label: 'Has budget info', field: BUDGET_FIELD, operator: 'is_set', value: null, points: 10 },
+
+  // Volume (30 points max) - primary
+  { group: 'volume', label: '🔥 Volume 10,000+ shipments', field: VOLUME_FIELD, operator: 'contains_any', value: ['10,000', '10000', '10k', '5,000_-_10,000'], points: 30 },
+  { group: 'volume', label: 'Volume 5,000+ shipments', field: VOLUME_FIELD, operator: 'contains_any', value: ['5,000', '5000', '5k', '1,000_-_5,000'], points: 28 },
+  { group: 'volume', label: 'Volume 1,000+ shipments', field: VOLUME_FIELD, operator: 'contains_any', value: ['1,000', '1000', '1k'], points: 25 },
+  { group: 'volume', label: 'Volume 500-1,000 shipments', field: VOLUME_FIELD, operator: 'contains_any', value: ['500'], points: 22 },
+  { group: 'volume', label: 'Volume 100-500 shipments', field: VOLUME_FIELD, operator: 'contains_any', value: ['100', '200', '300'], points: 15 },
+  { group: 'volume', label: 'Has volume info', field: VOLUME_FIELD, operator: 'is_set', value: null, points: 8 },
+
+  // Role (10 points max)
+  { group: 'role', label: 'Owner/CEO', field: ROLE_FIELD, operator: 'contains_any', value: ['owner', 'ceo', 'founder', 'managing director', 'md'], points: 10 },
+  { group: 'role', label: 'Director/VP', field: ROLE_FIELD, operator: 'contains_any', value: ['director', 'vp', 'coo', 'cto'], points: 8 },
+  { group: 'role', label: 'Manager', field: ROLE_FIELD, operator: 'contains_any', value: ['manager', 'head', 'lead'], points: 5 },
+
+  // Engagement and contact info
+  { group: null, label: 'Meeting booked', field: 'custom_fields.booking_time|custom_fields.calcom_booking_id', operator: 'is_set', value: null, points: 8 },
+  { group: null, label: 'Has phone', field: 'phone', operator: 'is_set', value: null, points: 4 },
+  { group: null, label: 'Has company', field: 'company', operator: 'is_set', value: null, points: 3 },
+  { group: null, label: 'Business email', field: 'email', operator: 'not_contains_any', value: ['gmail', 'yahoo', 'hotmail', 'outlook'], points: 5 },
+
+  // What the lead said on the phone (latest call with a disposition)
+  { group: 'call', label: 'Last call: interested', field: 'last_call.disposition', operator: 'equals', value: 'interested', points: 15 },
+  { group: 'call', label: 'Last call: callback', field: 'last_call.disposition', operator: 'equals', value: 'callback', points: 5 },
+  { group: 'call', label: 'Last call: not interested', field: 'last_call.disposition', operator: 'equals', value: 'not_interested', points: -30 },
+  { group: 'call', label: 'Last call: wrong number', field: 'last_call.disposition', operator: 'equals', value: 'wrong_number', points: -40 }
+];
+
+export default { SCORING_TABLES, DEFAULT_SCORING_RULES };
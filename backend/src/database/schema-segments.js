@@ -0,0 +1,26 @@
+/**
+ * Lead Segments Schema
+ *
+ * Saved views over the Leads list: a name plus the Lead.getLeads filter
+ * options. Membership is evaluated live, so counts and sends always reflect
+ * the current leads.
+ */
+
+export const SEGMENT_TABLES = `
+-- Saved lead segments
+CREATE TABLE IF NOT EXISTS lead_segments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  filters JSONB NOT NULL DEFAULT '{}', -- Lead.getLeads options (+ createdWithinDays)
+  is_shared BOOLEAN DEFAULT true, -- false = only visible to created_by
+  pinned BOOLEAN DEFAULT false, -- shown in the sidebar
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_segments_created_by ON lead_segments(created_by);
+`;
+
+export default { SEGMENT_TABLES };
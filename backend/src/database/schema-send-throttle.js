@@ -0,0 +1,21 @@
+/**
+ * Send Throttle Schema
+ *
+ * sender_sends: one row per message handed to a provider, per sender (email
+ * account address or WhatsApp instance). Per-minute and per-day limits are
+ * counted from it over sliding windows (see sendThrottleService); rows older
+ * than two days are pruned.
+ */
+
+export const SEND_THROTTLE_TABLES = `
+CREATE TABLE IF NOT EXISTS sender_sends (
+  id BIGSERIAL PRIMARY KEY,
+  channel VARCHAR(20) NOT NULL, -- email, whatsapp
+  sender VARCHAR(255) NOT NULL,
+  sent_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sender_sends_sender ON sender_sends(channel, sender, sent_at);
+`;
+
+export default { SEND_THROTTLE_TABLES };
@@ -0,0 +1,18 @@
+/**
+ * Send Window Schema
+ *
+ * Sending windows for sequence messages (see sendWindowService):
+ * - sequences.send_window: { days: [0..6], start: 'HH:MM', end: 'HH:MM' }
+ *   in the lead's local time (0 = Sunday); null = any time
+ * - sequence_steps.send_window: same shape, overrides the sequence's window
+ * - message_queue.deferred_at: when a message was last pushed out of quiet
+ *   hours (scheduled_for then holds the window opening it waits for)
+ */
+
+export const SEND_WINDOW_COLUMNS = `
+ALTER TABLE sequences ADD COLUMN IF NOT EXISTS send_window JSONB;
+ALTER TABLE sequence_steps ADD COLUMN IF NOT EXISTS send_window JSONB;
+ALTER TABLE message_queue ADD COLUMN IF NOT EXISTS deferred_at TIMESTAMPTZ;
+`;
+
+export default { SEND_WINDOW_COLUMNS };
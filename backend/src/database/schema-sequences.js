@@ -43,6 +43,21 @@ CREATE TABLE IF NOT EXISTS sequence_steps (
   UNIQUE(sequence_id, step_order)
 );
 
+-- A/B variants of a step (override subject/body/WhatsApp text, picked per lead by weight)
+CREATE TABLE IF NOT EXISTS sequence_step_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  step_id UUID NOT NULL REFERENCES sequence_steps(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  email_subject VARCHAR(255),
+  email_body TEXT,
+  whatsapp_message TEXT,
+  weight INTEGER NOT NULL DEFAULT 1,
+  is_active BOOLEAN DEFAULT true,
+  promoted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Lead Sequence Enrollment
 CREATE TABLE IF NOT EXISTS lead_sequences (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -149,6 +164,7 @@ CREATE INDEX IF NOT EXISTS idx_lead_sequences_lead ON lead_sequences(lead_id);
 CREATE INDEX IF NOT EXISTS idx_lead_sequences_status ON lead_sequences(status);
 CREATE INDEX IF NOT EXISTS idx_sent_messages_lead ON sent_messages(lead_id);
 CREATE INDEX IF NOT EXISTS idx_sent_messages_step ON sent_messages(sequence_step_id);
+CREATE INDEX IF NOT EXISTS idx_step_variants_step ON sequence_step_variants(step_id);
 CREATE INDEX IF NOT EXISTS idx_message_queue_scheduled ON message_queue(scheduled_for) WHERE status = 'pending';
 CREATE INDEX IF NOT EXISTS idx_message_queue_status ON message_queue(status);
 `;
@@ -0,0 +1,26 @@
+/**
+ * Suppression Schema
+ *
+ * Global do-not-contact list consulted by every email and WhatsApp send.
+ * Addresses are stored normalized: lowercase email, digits-only phone.
+ */
+
+export const SUPPRESSION_TABLES = `
+-- Suppressed addresses (one row per channel + address)
+CREATE TABLE IF NOT EXISTS suppression_list (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  channel VARCHAR(20) NOT NULL, -- email, whatsapp
+  address VARCHAR(255) NOT NULL,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  reason VARCHAR(50) NOT NULL, -- unsubscribe, manual, bounce, complaint, stop
+  source VARCHAR(100),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(channel, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppression_lead ON suppression_list(lead_id);
+CREATE INDEX IF NOT EXISTS idx_suppression_created ON suppression_list(created_at DESC);
+`;
+
+export default { SUPPRESSION_TABLES };
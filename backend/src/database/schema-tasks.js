@@ -0,0 +1,38 @@
+/**
+ * Lead Tasks Schema
+ *
+ * Follow-up tasks and reminders per lead ("call back Tuesday 3pm"). Tasks are
+ * created by hand or automatically from lead events (unanswered call, hot
+ * WhatsApp intent, meeting no-show). Recurring tasks get their next
+ * occurrence when completed.
+ */
+
+export const TASK_TABLES = `
+CREATE TABLE IF NOT EXISTS lead_tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id UUID NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  type VARCHAR(20) NOT NULL DEFAULT 'call', -- call, email, whatsapp, meeting_prep, other
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, completed, cancelled
+  due_at TIMESTAMPTZ NOT NULL,
+  assigned_to UUID REFERENCES users(id) ON DELETE SET NULL, -- null = anyone
+  recurrence VARCHAR(20), -- daily, weekdays, weekly, monthly; null = one-off
+  recurrence_until TIMESTAMPTZ,
+  source VARCHAR(30) NOT NULL DEFAULT 'manual', -- manual, unanswered_call, hot_intent, no_show (kept by recurrences)
+  created_by VARCHAR(255),
+  completed_at TIMESTAMPTZ,
+  completed_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_open_due ON lead_tasks(assigned_to, due_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead ON lead_tasks(lead_id, status);
+
+-- At most one open automatic task per lead and event type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_tasks_auto_open ON lead_tasks(lead_id, source)
+  WHERE status = 'open' AND source IN ('unanswered_call', 'hot_intent', 'no_show');
+`;
+
+export default { TASK_TABLES };
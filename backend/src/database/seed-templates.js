@@ -0,0 +1,153 @@
+/**
+ * Email Template Seeding
+ *
+ * Imports the hard-coded content from data/emailTemplates.js into the
+ * email_templates table (once - existing slugs are never overwritten, so
+ * edits made in the dashboard stick), and links sequence steps to it.
+ *
+ * Step content model:
+ * - email_template_id: step sends that template
+ * - content_pool: step sends the next template from that category the lead
+ *   hasn't received yet (e.g. 'value' for the rotating value emails)
+ * - otherwise: step sends its inline email_subject / email_body
+ * - include_ebook: prepend the playbook paragraph if the body lacks it
+ */
+
+import { query } from './connection.js';
+import {
+  OPERATIONAL_EMAILS,
+  VALUE_EMAILS,
+  CLOSING_EMAILS,
+  WHATSAPP_MESSAGES,
+  EBOOK_EMAILS
+} from '../data/emailTemplates.js';
+
+/**
+ * Step-name rules that used to live in sequenceService.getTemplateForStep.
+ * Applied once to existing steps so behaviour doesn't change on upgrade.
+ */
+const LEGACY_STEP_RULES = [
+  { match: ['welcome', 'calendar'], template: 'welcome_calendar', whatsapp: WHATSAPP_MESSAGES.welcome },
+  { match: ['confirmation'], template: 'meeting_confirmation', whatsapp: WHATSAPP_MESSAGES.meeting_confirmation },
+  { match: ['24hr reminder', '24 hour'], template: 'reminder_24hr', whatsapp: WHATSAPP_MESSAGES.reminder_24hr },
+  { match: ['6hr reminder', '6 hour'], template: 'reminder_6hr', whatsapp: WHATSAPP_MESSAGES.reminder_24hr },
+  { match: ['1hr reminder', '1 hour'], template: 'reminder_1hr', whatsapp: WHATSAPP_MESSAGES.reminder_1hr },
+  { match: ['no show', 'no-show', 'rebook'], template: 'no_show_rebook', whatsapp: WHATSAPP_MESSAGES.no_show },
+  { match: ['schedule meeting', 'cta'], template: 'schedule_meeting_cta' },
+  { match: ['ebook delivery'], template: 'ebook_delivery', whatsapp: EBOOK_EMAILS.ebook_whatsapp },
+  { match: ['ebook follow'], template: 'ebook_followup' }
+];
+
+const SETTINGS_KEY = 'step_templates_linked';
+
+/**
+ * "welcome_calendar" -> "Welcome Calendar"
+ */
+function titleFromSlug(slug) {
+  return slug.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Insert the bundled templates (skips slugs that already exist)
+ */
+export async function seedEmailTemplates() {
+  const templates = [
+    ...Object.entries(OPERATIONAL_EMAILS).map(([slug, t]) => ({
+      slug, category: 'operational', name: titleFromSlug(slug), ...t
+    })),
+    ...['ebook_delivery', 'ebook_followup'].map(slug => ({
+      slug, category: 'ebook', name: titleFromSlug(slug), ...EBOOK_EMAILS[slug]
+    })),
+    ...VALUE_EMAILS.map(e => ({
+      slug: e.id, category: 'value', name: `Value: ${e.subject.substring(0, 50)}`, subject: e.subject, body: e.body
+    })),
+    ...CLOSING_EMAILS.map(e => ({
+      slug: e.id, category: 'closing', name: `Close: ${e.subject.substring(0, 50)}`, subject: e.subject, body: e.body
+    }))
+  ];
+
+  let created = 0;
+  for (const t of templates) {
+    const result = await query(`
+      INSERT INTO email_templates (name, slug, category, subject, body, variables)
+      VALUES ($1, $2, $3, $4, $5, '["first_name"]')
+      ON CONFLICT (slug) DO NOTHING
+      RETURNING id
+    `, [t.name, t.slug, t.category, t.subject, t.body]);
+    created += result.rows.length;
+  }
+
+  if (created > 0) {
+    console.log(`  → Seeded ${created} email templates`);
+  }
+}
+
+/**
+ * Point steps at templates using the legacy name rules
+ */
+async function linkSteps(steps) {
+  const templates = await query('SELECT id, slug FROM email_templates');
+  const templateIds = Object.fromEntries(templates.rows.map(t => [t.slug, t.id]));
+
+  for (const step of steps) {
+    const name = (step.name || '').toLowerCase();
+    const rule = LEGACY_STEP_RULES.find(r => r.match.some(m => name.includes(m)));
+    const includeEbook = step.step_order === 1;
+
+    if (rule && templateIds[rule.template]) {
+      await query(`
+        UPDATE sequence_steps
+        SET email_template_id = $1, content_pool = NULL,
+            whatsapp_message = COALESCE($2, whatsapp_message),
+            include_ebook = $3, updated_at = NOW()
+        WHERE id = $4
+      `, [templateIds[rule.template], rule.whatsapp || null, includeEbook, step.id]);
+    } else if (name.includes('value') || !step.email_subject) {
+      await query(`
+        UPDATE sequence_steps
+        SET email_template_id = NULL, content_pool = 'value', include_ebook = $1, updated_at = NOW()
+        WHERE id = $2
+      `, [includeEbook, step.id]);
+    } else {
+      // Keeps its inline content
+      await query(`
+        UPDATE sequence_steps SET include_ebook = $1, updated_at = NOW() WHERE id = $2
+      `, [includeEbook, step.id]);
+    }
+  }
+}
+
+/**
+ * Link the steps of a freshly seeded sequence
+ */
+export async function linkSequenceStepContent(sequenceId) {
+  const steps = await query('SELECT * FROM sequence_steps WHERE sequence_id = $1', [sequenceId]);
+  await linkSteps(steps.rows);
+}
+
+/**
+ * One-time upgrade: link every existing step (guarded by a system setting)
+ */
+export async function migrateStepContent({ force = false } = {}) {
+  if (!force) {
+    const done = await query('SELECT value FROM system_settings WHERE key = $1', [SETTINGS_KEY]);
+    if (done.rows.length > 0) return;
+  }
+
+  const steps = await query('SELECT * FROM sequence_steps');
+  await linkSteps(steps.rows);
+
+  await query(`
+    INSERT INTO system_settings (key, value, description)
+    VALUES ($1, 'true', 'Sequence steps linked to email_templates')
+    ON CONFLICT (key) DO UPDATE SET value = 'true', updated_at = NOW()
+  `, [SETTINGS_KEY]);
+
+  console.log(`  → Linked ${steps.rows.length} sequence steps to email templates`);
+}
+
+export default {
+  seedEmailTemplates,
+  linkSequenceStepContent,
+  migrateStepContent
+};
@@ -12,12 +12,18 @@
  * - NODE_ENV: Environment (development/production)
  * - FRONTEND_URL: Frontend URL for CORS
  * - WEBHOOK_SECRET: Secret for webhook validation
+ * - EVOLUTION_WEBHOOK_SECRET: Secret for the Evolution API webhook
+ * - ADMIN_EMAIL / ADMIN_PASSWORD: First admin user (created when no users exist)
  * - META_APP_SECRET: Meta/Facebook app secret
  * - CALCOM_WEBHOOK_SECRET: Cal.com webhook secret
+ * - RESEND_WEBHOOK_SECRET: Resend (Svix) webhook signing secret
+ * - PUBLIC_URL: Public base URL of this server (unsubscribe links)
+ * - UNSUBSCRIBE_SECRET: Signing key for unsubscribe links
  * 
  * Webhook Endpoints (Railway):
  * - POST https://leadgenwebhook-production.up.railway.app/api/webhooks/meta
  * - POST https://leadgenwebhook-production.up.railway.app/api/webhooks/calcom
+ * - POST https://leadgenwebhook-production.up.railway.app/api/webhooks/resend
  * - POST https://leadgenwebhook-production.up.railway.app/api/webhooks/test
  */
 
@@ -47,11 +53,26 @@ import emailRoutes from './routes/email.js';
 import sequenceRoutes from './routes/sequences.js';
 import evolutionRoutes from './routes/evolution.js';
 import chatbotRoutes from './routes/chatbot.js';
-
-// Import sequence service for scheduler
-import { processMessageQueue } from './services/sequenceService.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import suppressionRoutes from './routes/suppressions.js';
+import segmentRoutes from './routes/segments.js';
+import routingRoutes from './routes/routing.js';
+import taskRoutes from './routes/tasks.js';
+import scoringRoutes from './routes/scoring.js';
+import aiUsageRoutes from './routes/aiUsage.js';
+import jobRoutes from './routes/jobs.js';
+import failedMessageRoutes from './routes/failedMessages.js';
+import sendLimitRoutes from './routes/sendLimits.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
+
+// Import auth middleware
+import { requireAuth, acceptQueryToken, checkWebhookSecrets } from './middleware/auth.js';
+
+// Background jobs (message queue, Meta poller, rescoring)
+import { startBackgroundJobs } from './services/backgroundJobs.js';
+import { stopJobWorker } from './services/jobQueueService.js';
 import { initWhatsAppService } from './services/whatsappService.js';
-import { startMetaLeadsPoller } from './services/metaLeadsPoller.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -89,7 +110,11 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around for signature checks that need the exact bytes (Resend/Svix)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting
@@ -116,6 +141,17 @@ const webhookLimiter = rateLimit({
 });
 app.use('/api/webhooks', webhookLimiter);
 
+// Login rate limiting (brute-force protection)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: isDev ? 100 : 20,
+  message: {
+    success: false,
+    error: 'Too many login attempts, please try again later'
+  }
+});
+app.use('/api/auth/login', authLimiter);
+
 // Request logging in development
 if (isDev) {
   app.use((req, res, next) => {
@@ -151,16 +187,104 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /api/health',
+      auth: {
+        login: 'POST /api/auth/login',
+        logout: 'POST /api/auth/logout',
+        me: 'GET /api/auth/me',
+        changePassword: 'PUT /api/auth/password'
+      },
+      users: {
+        list: 'GET /api/users (admin)',
+        create: 'POST /api/users (admin)',
+        update: 'PUT /api/users/:id (admin)',
+        delete: 'DELETE /api/users/:id (admin)'
+      },
+      suppressions: {
+        list: 'GET /api/suppressions',
+        add: 'POST /api/suppressions',
+        remove: 'DELETE /api/suppressions/:id (admin)',
+        unsubscribePage: 'GET/POST /unsubscribe/:token (public, signed link)'
+      },
+      segments: {
+        list: 'GET /api/segments',
+        get: 'GET /api/segments/:id',
+        leads: 'GET /api/segments/:id/leads',
+        create: 'POST /api/segments',
+        update: 'PUT /api/segments/:id',
+        delete: 'DELETE /api/segments/:id'
+      },
+      routing: {
+        reps: 'GET /api/routing/reps',
+        updateRep: 'PUT /api/routing/reps/:userId (admin; reps can set their own availability)',
+        removeRep: 'DELETE /api/routing/reps/:userId (admin)',
+        reassign: 'POST /api/routing/reps/:userId/reassign (admin)',
+        rules: 'GET /api/routing/rules',
+        createRule: 'POST /api/routing/rules (admin)',
+        updateRule: 'PUT /api/routing/rules/:id (admin)',
+        deleteRule: 'DELETE /api/routing/rules/:id (admin)'
+      },
+      tasks: {
+        list: 'GET /api/tasks (?status=&due=overdue|today|upcoming&assignedTo=me&leadId=)',
+        summary: 'GET /api/tasks/summary',
+        get: 'GET /api/tasks/:id',
+        create: 'POST /api/tasks',
+        update: 'PUT /api/tasks/:id',
+        complete: 'POST /api/tasks/:id/complete',
+        delete: 'DELETE /api/tasks/:id'
+      },
+      scoring: {
+        models: 'GET /api/scoring/models',
+        active: 'GET /api/scoring/models/active',
+        get: 'GET /api/scoring/models/:version',
+        publish: 'POST /api/scoring/models (admin)',
+        activate: 'POST /api/scoring/models/:version/activate (admin)',
+        preview: 'POST /api/scoring/preview (admin)',
+        fields: 'GET /api/scoring/fields'
+      },
+      aiUsage: {
+        summary: 'GET /api/ai-usage/summary?days=30',
+        calls: 'GET /api/ai-usage/calls',
+        budget: 'PUT /api/ai-usage/budget (admin)'
+      },
+      jobs: {
+        list: 'GET /api/jobs?status=&type=',
+        stats: 'GET /api/jobs/stats',
+        get: 'GET /api/jobs/:id',
+        retry: 'POST /api/jobs/:id/retry (admin)',
+        cancel: 'POST /api/jobs/:id/cancel (admin)'
+      },
+      failedMessages: {
+        list: 'GET /api/failed-messages?channel=&errorKind=',
+        retryMany: 'POST /api/failed-messages/retry',
+        retry: 'POST /api/failed-messages/:id/retry',
+        resend: 'POST /api/failed-messages/:id/resend',
+        discard: 'POST /api/failed-messages/:id/discard',
+        retryPolicy: 'GET/PUT /api/failed-messages/retry-policy'
+      },
+      sendLimits: {
+        get: 'GET /api/send-limits',
+        update: 'PUT /api/send-limits (admin)'
+      },
       leads: {
         list: 'GET /api/leads',
         stats: 'GET /api/leads/stats',
         get: 'GET /api/leads/:id',
         activities: 'GET /api/leads/:id/activities',
+        scoreHistory: 'GET /api/leads/:id/score-history',
         create: 'POST /api/leads',
         update: 'PUT /api/leads/:id',
         delete: 'DELETE /api/leads/:id',
-        bulkUpdate: 'POST /api/leads/bulk/update',
-        bulkDelete: 'POST /api/leads/bulk/delete'
+        bulk: 'POST /api/leads/bulk',
+        bulkJob: 'GET /api/leads/bulk/jobs/:id',
+        assign: 'PUT /api/leads/:id/assign',
+        route: 'POST /api/leads/:id/route',
+        assignments: 'GET /api/leads/:id/assignments',
+        logCall: 'POST /api/leads/:id/calls',
+        calls: 'GET /api/leads/:id/calls',
+        updateCall: 'PUT /api/leads/calls/:callId',
+        uploadRecording: 'POST /api/leads/calls/:callId/recording',
+        recording: 'GET /api/leads/calls/:callId/recording',
+        transcribe: 'POST /api/leads/calls/:callId/transcribe'
       },
       webhooks: {
         logs: 'GET /api/webhooks/logs',
@@ -169,6 +293,7 @@ app.get('/api', (req, res) => {
         logById: 'GET /api/webhooks/logs/:id',
         meta: 'POST /api/webhooks/meta',
         calcom: 'POST /api/webhooks/calcom',
+        resend: 'POST /api/webhooks/resend',
         test: 'POST /api/webhooks/test',
         simulate: 'POST /api/webhooks/simulate/:type'
       },
@@ -185,9 +310,15 @@ app.get('/api', (req, res) => {
       }
     },
     documentation: {
+      authentication: {
+        header: 'Authorization: Bearer <token from POST /api/auth/login>',
+        roles: 'admin (everything), sales_rep (read + work leads/sequences), read_only (read)',
+        webhooks: 'Webhook endpoints are public; Meta/Cal.com/Resend are signature-checked, /api/webhooks/test and /api/evolution/webhook take X-Webhook-Secret'
+      },
       webhookIntegration: {
         meta: 'Set up Meta Instant Forms to POST to /api/webhooks/meta',
         calcom: 'Set up Cal.com webhook to POST to /api/webhooks/calcom',
+        resend: 'Add a Resend webhook (all email.* events) pointing at /api/webhooks/resend',
         custom: 'Use /api/webhooks/test for custom integrations'
       },
       evolutionIntegration: {
@@ -200,12 +331,30 @@ app.get('/api', (req, res) => {
 });
 
 // Mount routes
-app.use('/api/leads', leadRoutes);
+// Webhook and Evolution routers mix public webhooks with dashboard
+// endpoints, so they apply auth per route instead of at the mount.
+app.use('/api/auth', authRoutes);
+app.use('/api/users', requireAuth, userRoutes);
+// Server-Sent Events: EventSource can only send the token in the URL
+app.get('/api/leads/rescore-stream', acceptQueryToken);
+app.use('/api/leads', requireAuth, leadRoutes);
 app.use('/api/webhooks', webhookRoutes);
-app.use('/api/email', emailRoutes);
-app.use('/api/sequences', sequenceRoutes);
+app.use('/api/email', requireAuth, emailRoutes);
+app.use('/api/sequences', requireAuth, sequenceRoutes);
 app.use('/api/evolution', evolutionRoutes);
-app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/chatbot', requireAuth, chatbotRoutes);
+app.use('/api/suppressions', requireAuth, suppressionRoutes);
+app.use('/api/segments', requireAuth, segmentRoutes);
+app.use('/api/routing', requireAuth, routingRoutes);
+app.use('/api/tasks', requireAuth, taskRoutes);
+app.use('/api/scoring', requireAuth, scoringRoutes);
+app.use('/api/ai-usage', requireAuth, aiUsageRoutes);
+app.use('/api/jobs', requireAuth, jobRoutes);
+app.use('/api/failed-messages', requireAuth, failedMessageRoutes);
+app.use('/api/send-limits', requireAuth, sendLimitRoutes);
+
+// Public unsubscribe page (linked from every email)
+app.use('/unsubscribe', unsubscribeRoutes);
 
 // ============================================
 // LEGAL PAGES
@@ -474,28 +623,6 @@ app.use((err, req, res, next) => {
 // SERVER INITIALIZATION
 // ============================================
 
-// Message queue scheduler (processes every minute)
-let queueInterval = null;
-
-function startMessageScheduler() {
-  // Process queue every 60 seconds
-  queueInterval = setInterval(async () => {
-    try {
-      const processed = await processMessageQueue();
-      if (processed > 0) {
-        console.log(`📬 Processed ${processed} messages from queue`);
-      }
-    } catch (error) {
-      console.error('Queue processing error:', error);
-    }
-  }, 60000); // Every 60 seconds
-  
-  // Also process immediately on start
-  processMessageQueue().catch(console.error);
-  
-  console.log('✅ Message queue scheduler started');
-}
-
 async function startServer() {
   try {
     // Initialize database and run migrations
@@ -508,12 +635,11 @@ async function startServer() {
     // Initialize services
     await initEmailService();
     await initWhatsAppService();
+    checkWebhookSecrets();
     
-    // Start message queue scheduler
-    startMessageScheduler();
-    
-    // Start Meta leads poller (fallback for missed webhooks)
-    startMetaLeadsPoller();
+    // Start the job worker: message queue every minute, Meta leads poller
+    // (fallback for missed webhooks), on-demand rescoring
+    startBackgroundJobs();
 
     // Start server
     app.listen(PORT, () => {
@@ -530,6 +656,7 @@ async function startServer() {
 ║   • Leads:     GET  /api/leads                             ║
 ║   • Webhooks:  POST /api/webhooks/meta                     ║
 ║   •            POST /api/webhooks/calcom                   ║
+║   •            POST /api/webhooks/resend                   ║
 ║   •            POST /api/webhooks/test                     ║
 ║                                                            ║
 ║   Evolution API (Chat Intent Scoring):                     ║
@@ -546,18 +673,16 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  closeDatabase();
+// Graceful shutdown: stop claiming jobs and hand over the scheduler lease
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully...`);
+  await stopJobWorker();
+  await closeDatabase();
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  closeDatabase();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start the server
 startServer();
@@ -0,0 +1,165 @@
+/**
+ * Authentication Middleware
+ *
+ * Bearer-token auth for the dashboard API, role checks per route,
+ * and shared-secret checks for webhook endpoints that cannot be signed.
+ */
+
+import crypto from 'crypto';
+import { getUserForToken } from '../services/authService.js';
+
+// Secrets checked by requireWebhookSecret, for the startup check
+const webhookSecretVars = new Set();
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Require a logged-in user. Sets req.user = { id, email, name, role }.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const user = await getUserForToken(getRequestToken(req));
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Please log in to continue'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+}
+
+/**
+ * EventSource cannot set headers: let ?access_token= stand in for the
+ * Authorization header. Mount only on Server-Sent Events routes, ahead of
+ * requireAuth - tokens in URLs end up in logs and browser history.
+ */
+export function acceptQueryToken(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  delete req.query.access_token;
+  next();
+}
+
+/**
+ * Require one of the given roles. Admins always pass.
+ * Must be used after requireAuth.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = req.user?.role;
+
+    if (role === 'admin' || roles.includes(role)) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `This action requires one of: ${['admin', ...roles].join(', ')}`
+    });
+  };
+}
+
+/**
+ * Anyone allowed to change data (sales reps and admins)
+ */
+export const requireWrite = requireRole('sales_rep');
+
+/**
+ * Admin-only operations (settings, queue control, user management)
+ */
+export const requireAdmin = requireRole('admin');
+
+/**
+ * Webhooks may run without a secret only when ALLOW_OPEN_WEBHOOKS=true
+ * (local development)
+ */
+function openWebhooksAllowed() {
+  return process.env.ALLOW_OPEN_WEBHOOKS === 'true';
+}
+
+/**
+ * Protect a public webhook with a shared secret, sent as the
+ * X-Webhook-Secret header or ?secret= query param (for providers that
+ * only let you configure a URL). When the env var is unset, requests are
+ * refused (503) unless ALLOW_OPEN_WEBHOOKS=true.
+ *
+ * With allowSession, a logged-in dashboard user may call it too.
+ */
+export function requireWebhookSecret(envVar = 'WEBHOOK_SECRET', { allowSession = false } = {}) {
+  webhookSecretVars.add(envVar);
+
+  return async (req, res, next) => {
+    const secret = process.env[envVar];
+    if (!secret && openWebhooksAllowed()) return next();
+
+    const provided = req.headers['x-webhook-secret'] || req.query.secret;
+    if (secret && provided && safeEqual(provided, secret)) {
+      return next();
+    }
+
+    if (allowSession && getRequestToken(req)) {
+      return requireAuth(req, res, () => requireWrite(req, res, next));
+    }
+
+    if (!secret) {
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook not configured',
+        message: `Set ${envVar} to accept this webhook`
+      });
+    }
+    res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+  };
+}
+
+/**
+ * Log webhook secrets that are not set (run at startup)
+ */
+export function checkWebhookSecrets() {
+  for (const envVar of webhookSecretVars) {
+    if (process.env[envVar]) continue;
+    if (openWebhooksAllowed()) {
+      console.warn(`⚠️ ${envVar} not set - its webhooks accept unauthenticated requests (ALLOW_OPEN_WEBHOOKS=true)`);
+    } else {
+      console.warn(`⚠️ ${envVar} not set - its webhooks refuse requests until it is`);
+    }
+  }
+}
+
+export default {
+  requireAuth,
+  acceptQueryToken,
+  requireRole,
+  requireWrite,
+  requireAdmin,
+  requireWebhookSecret,
+  checkWebhookSecrets
+};
@@ -67,7 +67,16 @@ export const leadQuerySchema = z.object({
   tags: z.string().optional(),
   dateFrom: z.string().optional(),
   dateTo: z.string().optional(),
-  assigned_to: z.string().optional()
+  createdWithinDays: z.coerce.number().int().min(1).max(3650).optional(),
+  assignedTo: z.string().optional() // user ID, 'me' or 'unassigned'
+});
+
+/**
+ * Lead export query schema - the leads list filters plus format and columns
+ */
+export const leadExportSchema = leadQuerySchema.omit({ page: true, limit: true }).extend({
+  format: z.enum(['csv', 'xlsx', 'json']).optional().default('csv'),
+  columns: z.string().optional() // comma-separated; custom:<key> or custom_fields for all custom fields
 });
 
 /**
@@ -93,6 +102,556 @@ export const testWebhookSchema = z.object({
   payload: z.record(z.any())
 });
 
+/**
+ * Login payload schema
+ */
+export const loginSchema = z.object({
+  email: z.string().email().max(255),
+  password: z.string().min(1).max(200)
+});
+
+/**
+ * User create/update schema
+ */
+export const userSchema = z.object({
+  email: z.string().email().max(255),
+  name: z.string().max(255).optional().nullable(),
+  password: z.string().min(8).max(200),
+  role: z.enum(['admin', 'sales_rep', 'read_only']).optional().default('read_only'),
+  is_active: z.boolean().optional()
+});
+
+/**
+ * Password change schema
+ */
+export const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1).max(200),
+  newPassword: z.string().min(8).max(200)
+});
+
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:MM (24h)');
+
+/**
+ * Sending window in the lead's local time (0 = Sunday); null = any time
+ */
+const sendWindowSchema = z.object({
+  days: z.array(z.number().int().min(0).max(6)).optional(),
+  start: timeOfDay,
+  end: timeOfDay
+}).refine(window => window.start !== window.end, {
+  message: 'Start and end must differ',
+  path: ['end']
+});
+
+/**
+ * Sequence create/update schema
+ */
+export const sequenceSchema = z.object({
+  name: z.string().min(1).max(100),
+  slug: z.string().regex(/^[a-z0-9_]+$/, 'Use lowercase letters, numbers and underscores').max(50),
+  description: z.string().optional().nullable(),
+  trigger_type: z.string().max(50).optional(),
+  is_active: z.boolean().optional(),
+  send_window: sendWindowSchema.nullable().optional()
+});
+
+/**
+ * Sequence step create/update schema
+ * step_order is the position to insert at (create only)
+ */
+export const sequenceStepSchema = z.object({
+  name: z.string().min(1).max(100),
+  step_order: z.number().int().min(1).optional(),
+  delay_value: z.number().int(),
+  delay_unit: z.enum(['minutes', 'hours', 'days']),
+  channel: z.enum(['email', 'whatsapp', 'both']),
+  email_subject: z.string().max(255).optional().nullable(),
+  email_body: z.string().optional().nullable(),
+  email_template_id: z.string().uuid().optional().nullable(),
+  content_pool: z.string().max(50).optional().nullable(),
+  include_ebook: z.boolean().optional(),
+  whatsapp_message: z.string().optional().nullable(),
+  skip_if_booked: z.boolean().optional(),
+  skip_if_replied: z.boolean().optional(),
+  is_active: z.boolean().optional(),
+  ab_auto_promote: z.boolean().optional(),
+  ab_min_sample: z.number().int().min(1).optional(),
+  ab_metric: z.enum(['opened', 'clicked', 'booked']).optional(),
+  send_window: sendWindowSchema.nullable().optional() // overrides the sequence's window
+});
+
+/**
+ * Sequence step A/B variant schema (empty content falls back to the step's)
+ */
+export const stepVariantSchema = z.object({
+  name: z.string().min(1).max(100),
+  email_subject: z.string().max(255).optional().nullable(),
+  email_body: z.string().optional().nullable(),
+  whatsapp_message: z.string().optional().nullable(),
+  weight: z.number().int().min(0).max(1000).optional(),
+  is_active: z.boolean().optional()
+});
+
+/**
+ * Suppression create schema
+ */
+export const suppressionSchema = z.object({
+  channel: z.enum(['email', 'whatsapp']),
+  address: z.string().min(3).max(255),
+  leadId: z.string().uuid().optional().nullable(),
+  reason: z.enum(['unsubscribe', 'manual', 'bounce', 'complaint', 'stop']).optional().default('manual'),
+  notes: z.string().max(1000).optional().nullable()
+});
+
+/**
+ * Suppression list query schema
+ */
+export const suppressionQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(50),
+  channel: z.enum(['email', 'whatsapp']).optional(),
+  search: z.string().optional()
+});
+
+/**
+ * Sequence analytics query schema (YYYY-MM-DD, inclusive)
+ */
+export const sequenceAnalyticsQuerySchema = z.object({
+  dateFrom: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD').optional(),
+  dateTo: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD').optional()
+});
+
+/**
+ * Lead import schema (file is base64; mapping is column -> lead field, `custom:<key>` or null)
+ */
+export const leadImportSchema = z.object({
+  filename: z.string().min(1).max(255),
+  file: z.string().min(1),
+  mapping: z.record(z.string().max(100).nullable()).optional(),
+  duplicateMode: z.enum(['skip', 'update', 'create']).optional().default('skip'),
+  enrollSequence: z.string().max(100).optional().nullable(),
+  defaults: z.object({
+    source: leadSchema.shape.source,
+    status: leadSchema.shape.status,
+    lead_type: z.string().max(50).optional().nullable(),
+    tags: z.array(z.string()).optional()
+  }).optional(),
+  dryRun: z.boolean().optional().default(false)
+});
+
+/**
+ * Duplicate review queue query schema
+ */
+export const duplicateQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(25),
+  status: z.enum(['pending', 'dismissed']).optional().default('pending')
+});
+
+/**
+ * Lead merge schema (mergeId is folded into survivorId and deleted)
+ */
+export const leadMergeSchema = z.object({
+  survivorId: z.string().uuid(),
+  mergeId: z.string().uuid()
+}).refine(data => data.survivorId !== data.mergeId, {
+  message: 'Cannot merge a lead into itself',
+  path: ['mergeId']
+});
+
+/**
+ * Saved segment filters - the Lead.getLeads filter options
+ */
+export const segmentFiltersSchema = z.object({
+  search: z.string().max(255).optional(),
+  status: z.array(z.string()).optional(),
+  source: z.array(z.string()).optional(),
+  leadType: z.array(z.string()).optional(),
+  priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+  intentCategory: z.string().optional(),
+  scoreMin: z.number().min(0).max(100).optional(),
+  scoreMax: z.number().min(0).max(100).optional(),
+  budgetMin: z.number().optional(),
+  budgetMax: z.number().optional(),
+  shipmentsMin: z.number().optional(),
+  shipmentsMax: z.number().optional(),
+  decisionMaker: z.enum(['true', 'false']).optional(),
+  tags: z.array(z.string().trim().min(1).max(50)).optional(),
+  dateFrom: z.string().optional(),
+  dateTo: z.string().optional(),
+  createdWithinDays: z.number().int().min(1).max(3650).optional(),
+  assignedTo: z.string().max(100).optional(),
+  sortBy: leadQuerySchema.shape.sortBy.removeDefault().optional(),
+  sortOrder: leadQuerySchema.shape.sortOrder.removeDefault().optional()
+}).strict();
+
+/**
+ * Saved segment schema
+ */
+export const segmentSchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(500).optional().nullable(),
+  filters: segmentFiltersSchema,
+  is_shared: z.boolean().optional().default(true),
+  pinned: z.boolean().optional().default(false)
+});
+
+/**
+ * Saved segment update schema (all fields optional)
+ */
+export const segmentUpdateSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  description: z.string().max(500).optional().nullable(),
+  filters: segmentFiltersSchema.optional(),
+  is_shared: z.boolean().optional(),
+  pinned: z.boolean().optional()
+});
+
+/**
+ * Bulk sequence enrollment - explicit leads or a saved segment
+ */
+export const bulkEnrollSchema = z.object({
+  sequenceSlug: z.string().min(1).max(100),
+  leadIds: z.array(z.string().uuid()).min(1).optional(),
+  segmentId: z.string().uuid().optional()
+}).refine(data => Boolean(data.leadIds) !== Boolean(data.segmentId), {
+  message: 'Provide either leadIds or segmentId',
+  path: ['leadIds']
+});
+
+const timezone = z.string().max(64).refine(tz => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}, 'Unknown timezone');
+
+/**
+ * Sales rep routing settings
+ */
+export const salesRepSchema = z.object({
+  weight: z.number().int().min(1).max(100).optional(),
+  is_available: z.boolean().optional(),
+  timezone: timezone.optional(),
+  working_hours: z.object({
+    days: z.array(z.number().int().min(0).max(6)).optional(),
+    start: timeOfDay,
+    end: timeOfDay
+  }).nullable().optional(),
+  max_open_leads: z.number().int().min(1).nullable().optional(),
+  reassign: z.boolean().optional() // with is_available: false - re-route their new leads
+});
+
+const routingConditionsSchema = z.object({
+  leadTypes: z.array(z.string()).optional(),
+  sources: z.array(z.string()).optional(),
+  countries: z.array(z.string().length(2).transform(code => code.toUpperCase())).optional(),
+  budgetMin: z.number().min(0).optional(),
+  budgetMax: z.number().min(0).optional()
+}).strict();
+
+/**
+ * Lead routing rule schema
+ */
+export const routingRuleSchema = z.object({
+  name: z.string().min(1).max(100),
+  priority: z.number().int().optional().default(100),
+  is_active: z.boolean().optional().default(true),
+  conditions: routingConditionsSchema.optional().default({}),
+  strategy: z.enum(['round_robin', 'weighted']).optional().default('round_robin'),
+  rep_ids: z.array(z.string().uuid()).optional().default([])
+});
+
+/**
+ * Lead routing rule update schema (all fields optional)
+ */
+export const routingRuleUpdateSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  priority: z.number().int().optional(),
+  is_active: z.boolean().optional(),
+  conditions: routingConditionsSchema.optional(),
+  strategy: z.enum(['round_robin', 'weighted']).optional(),
+  rep_ids: z.array(z.string().uuid()).optional()
+});
+
+/**
+ * Manual lead assignment - null unassigns
+ */
+export const leadAssignSchema = z.object({
+  userId: z.string().uuid().nullable()
+});
+
+const SCORING_OPERATORS = {
+  text: ['equals', 'not_equals', 'contains'],
+  list: ['contains_any', 'not_contains_any', 'in'],
+  number: ['gt', 'gte', 'lt', 'lte'],
+  none: ['is_set', 'is_empty']
+};
+
+/**
+ * Scoring rule - the value's shape depends on the operator
+ */
+export const scoringRuleSchema = z.object({
+  group: z.string().max(50).optional().nullable(),
+  label: z.string().min(1).max(255),
+  field: z.string().min(1).max(500),
+  operator: z.enum(Object.values(SCORING_OPERATORS).flat()),
+  value: z.union([z.string().max(500), z.number(), z.array(z.union([z.string().max(500), z.number()])).max(100)]).optional().nullable(),
+  points: z.number().int().min(-100).max(100)
+}).refine(rule => {
+  if (SCORING_OPERATORS.none.includes(rule.operator)) return true;
+  if (SCORING_OPERATORS.list.includes(rule.operator)) return Array.isArray(rule.value) && rule.value.length > 0;
+  if (SCORING_OPERATORS.number.includes(rule.operator)) return rule.value !== '' && !Array.isArray(rule.value) && !Number.isNaN(Number(rule.value ?? NaN));
+  return rule.value !== undefined && rule.value !== null && !Array.isArray(rule.value);
+}, {
+  message: 'Value does not fit the operator (list operators need a list, gt/gte/lt/lte a number)',
+  path: ['value']
+});
+
+/**
+ * Scoring model - published as a new version
+ */
+export const scoringModelSchema = z.object({
+  name: z.string().max(255).optional(),
+  notes: z.string().max(2000).optional().nullable(),
+  rules: z.array(scoringRuleSchema).max(200)
+});
+
+/**
+ * AI spend budgets in USD (null = no limit)
+ */
+export const llmBudgetSchema = z.object({
+  daily: z.number().min(0).nullable().optional(),
+  monthly: z.number().min(0).nullable().optional()
+}).refine(data => data.daily !== undefined || data.monthly !== undefined, {
+  message: 'Set daily and/or monthly'
+});
+
+/**
+ * AI usage query parameters
+ */
+export const llmUsageQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).optional().default(30),
+  feature: z.string().max(50).optional(),
+  leadId: z.string().uuid().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50)
+});
+
+/**
+ * Background job list filters
+ */
+export const jobQuerySchema = z.object({
+  status: z.enum(['pending', 'running', 'completed', 'dead', 'cancelled']).optional(),
+  type: z.string().max(50).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50)
+});
+
+const MESSAGE_ERROR_KINDS = ['invalid_recipient', 'content', 'rate_limited', 'configuration', 'provider_outage', 'unknown'];
+
+/**
+ * Failed (dead-letter) sequence messages
+ */
+export const failedMessageQuerySchema = z.object({
+  channel: z.enum(['email', 'whatsapp']).optional(),
+  errorKind: z.enum(MESSAGE_ERROR_KINDS).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50),
+  offset: z.coerce.number().int().min(0).optional().default(0)
+});
+
+/**
+ * Retry failed messages by ids, or every one matching channel / error kind
+ */
+export const failedMessageRetrySchema = z.object({
+  ids: z.array(z.string().uuid()).min(1).max(1000).optional(),
+  channel: z.enum(['email', 'whatsapp']).optional(),
+  errorKind: z.enum(MESSAGE_ERROR_KINDS).optional()
+});
+
+/**
+ * Edited content for a resend (replaces the step's content for this lead)
+ */
+export const failedMessageResendSchema = z.object({
+  subject: z.string().min(1).max(255).optional(),
+  body: z.string().min(1).max(50000).optional(),
+  whatsapp: z.string().min(1).max(4096).optional()
+}).refine(data => data.subject || data.body || data.whatsapp, {
+  message: 'Provide subject, body and/or whatsapp'
+});
+
+// Seconds before each retry, up to a week apart
+const retryDelaysSchema = z.object({
+  delays: z.array(z.number().int().min(0).max(7 * 24 * 60 * 60)).max(10)
+});
+
+/**
+ * Per-channel retry schedules for sequence messages
+ */
+export const messageRetryPolicySchema = z.object({
+  email: retryDelaysSchema.optional(),
+  whatsapp: retryDelaysSchema.optional()
+}).refine(data => data.email || data.whatsapp, {
+  message: 'Set email and/or whatsapp'
+});
+
+// Sends per minute / per rolling 24 hours; null = no limit
+const sendLimitFields = {
+  perMinute: z.number().int().min(0).max(10000).nullable().optional(),
+  perDay: z.number().int().min(0).max(1000000).nullable().optional()
+};
+
+/**
+ * Outbound rate limits per channel, with per-sender overrides and warm-ups
+ * (senders keyed by email account address / WhatsApp instance name)
+ */
+const channelThrottleSchema = z.object({
+  ...sendLimitFields,
+  senders: z.record(z.string().min(1).max(255), z.object({
+    ...sendLimitFields,
+    warmup: z.object({
+      startedOn: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD'),
+      startPerDay: z.number().int().min(0).max(1000000),
+      increasePerDay: z.number().int().min(0).max(1000000)
+    }).nullable().optional()
+  })).optional()
+});
+
+export const sendThrottlePolicySchema = z.object({
+  email: channelThrottleSchema.optional(),
+  whatsapp: channelThrottleSchema.optional()
+}).refine(data => data.email || data.whatsapp, {
+  message: 'Set email and/or whatsapp'
+});
+
+const CALL_DISPOSITIONS = ['interested', 'callback', 'not_interested', 'wrong_number', 'voicemail'];
+
+/**
+ * Call recording upload (base64 audio)
+ */
+export const callRecordingSchema = z.object({
+  filename: z.string().min(1).max(255),
+  mimeType: z.string().regex(/^(audio|video)\//, 'Must be an audio file').max(100),
+  data: z.string().min(1)
+});
+
+/**
+ * Call log schema - outcome, disposition or both
+ */
+export const callLogSchema = z.object({
+  outcome: z.enum(['answered', 'unanswered']).optional(),
+  disposition: z.enum(CALL_DISPOSITIONS).optional().nullable(),
+  durationSeconds: z.number().int().min(0).max(24 * 60 * 60).optional().nullable(),
+  notes: z.string().max(5000).optional().nullable(),
+  nextSteps: z.string().max(2000).optional().nullable(),
+  callbackAt: z.coerce.date().optional().nullable(),
+  recording: callRecordingSchema.optional()
+}).refine(data => data.outcome || data.disposition, {
+  message: 'Provide an outcome or a disposition',
+  path: ['outcome']
+});
+
+/**
+ * Call update schema (all fields optional; transcript for external transcription)
+ */
+export const callUpdateSchema = z.object({
+  outcome: z.enum(['answered', 'unanswered']).optional(),
+  disposition: z.enum(CALL_DISPOSITIONS).optional().nullable(),
+  durationSeconds: z.number().int().min(0).max(24 * 60 * 60).optional().nullable(),
+  notes: z.string().max(5000).optional().nullable(),
+  nextSteps: z.string().max(2000).optional().nullable(),
+  callbackAt: z.coerce.date().optional().nullable(),
+  transcript: z.string().max(100000).optional().nullable()
+});
+
+const TASK_TYPES = ['call', 'email', 'whatsapp', 'meeting_prep', 'other'];
+const TASK_RECURRENCES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+/**
+ * Lead task schema
+ */
+export const taskSchema = z.object({
+  lead_id: z.string().uuid(),
+  title: z.string().trim().min(1).max(255),
+  description: z.string().max(2000).optional().nullable(),
+  type: z.enum(TASK_TYPES).optional().default('call'),
+  due_at: z.coerce.date(),
+  assigned_to: z.string().uuid().nullable().optional(), // omit = the lead's owner
+  recurrence: z.enum(TASK_RECURRENCES).nullable().optional(),
+  recurrence_until: z.coerce.date().nullable().optional()
+});
+
+/**
+ * Lead task update schema (all fields optional)
+ */
+export const taskUpdateSchema = z.object({
+  title: z.string().trim().min(1).max(255).optional(),
+  description: z.string().max(2000).optional().nullable(),
+  type: z.enum(TASK_TYPES).optional(),
+  status: z.enum(['open', 'completed', 'cancelled']).optional(),
+  due_at: z.coerce.date().optional(),
+  assigned_to: z.string().uuid().nullable().optional(),
+  recurrence: z.enum(TASK_RECURRENCES).nullable().optional(),
+  recurrence_until: z.coerce.date().nullable().optional()
+});
+
+/**
+ * Task list query parameters
+ */
+export const taskQuerySchema = z.object({
+  page: z.coerce.number().min(1).optional().default(1),
+  limit: z.coerce.number().min(1).max(100).optional().default(50),
+  status: z.enum(['open', 'completed', 'cancelled', 'all']).optional().default('open'),
+  due: z.enum(['overdue', 'today', 'upcoming']).optional(),
+  assignedTo: z.string().optional(), // user ID, 'me' or 'unassigned'
+  leadId: z.string().uuid().optional(),
+  type: z.enum(TASK_TYPES).optional(),
+  source: z.string().optional(),
+  timezone: timezone.optional().default('UTC') // for today / upcoming
+});
+
+/**
+ * Lead bulk action - one action applied to explicit leads, a saved segment
+ * or ad-hoc list filters
+ */
+export const LEAD_BULK_ACTIONS = ['status', 'priority', 'add_tags', 'remove_tags', 'assign', 'enroll', 'cancel_sequence', 'delete'];
+
+// Param each action can't do without
+const BULK_ACTION_PARAMS = {
+  status: 'status',
+  priority: 'priority',
+  add_tags: 'tags',
+  remove_tags: 'tags',
+  assign: 'assignedTo',
+  enroll: 'sequenceSlug'
+};
+
+export const leadBulkSchema = z.object({
+  action: z.enum(LEAD_BULK_ACTIONS),
+  params: z.object({
+    status: leadSchema.shape.status,
+    priority: leadSchema.shape.priority,
+    tags: z.array(z.string().trim().min(1).max(50)).min(1).optional(),
+    assignedTo: z.string().uuid().nullable().optional(), // user ID, null = unassign
+    sequenceSlug: z.string().min(1).max(100).optional() // cancel_sequence: omit to cancel all
+  }).optional().default({}),
+  leadIds: z.array(z.string().uuid()).min(1).max(10000).optional(),
+  segmentId: z.string().uuid().optional(),
+  filters: segmentFiltersSchema.optional()
+}).refine(data => [data.leadIds, data.segmentId, data.filters].filter(Boolean).length === 1, {
+  message: 'Provide exactly one of leadIds, segmentId or filters',
+  path: ['leadIds']
+}).superRefine((data, ctx) => {
+  const required = BULK_ACTION_PARAMS[data.action];
+  if (required && data.params[required] === undefined) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `${required} is required for ${data.action}`,
+      path: ['params', required]
+    });
+  }
+});
+
 /**
  * Middleware to validate request body
  */
@@ -168,8 +727,46 @@ export function validateParams(schema) {
 export default {
   leadSchema,
   leadQuerySchema,
+  leadExportSchema,
   webhookLogQuerySchema,
   testWebhookSchema,
+  loginSchema,
+  userSchema,
+  changePasswordSchema,
+  sequenceSchema,
+  sequenceStepSchema,
+  stepVariantSchema,
+  suppressionSchema,
+  suppressionQuerySchema,
+  sequenceAnalyticsQuerySchema,
+  leadImportSchema,
+  duplicateQuerySchema,
+  leadMergeSchema,
+  segmentFiltersSchema,
+  segmentSchema,
+  segmentUpdateSchema,
+  bulkEnrollSchema,
+  leadBulkSchema,
+  salesRepSchema,
+  routingRuleSchema,
+  routingRuleUpdateSchema,
+  leadAssignSchema,
+  scoringRuleSchema,
+  scoringModelSchema,
+  llmBudgetSchema,
+  llmUsageQuerySchema,
+  jobQuerySchema,
+  failedMessageQuerySchema,
+  failedMessageRetrySchema,
+  failedMessageResendSchema,
+  messageRetryPolicySchema,
+  sendThrottlePolicySchema,
+  callLogSchema,
+  callUpdateSchema,
+  callRecordingSchema,
+  taskSchema,
+  taskUpdateSchema,
+  taskQuerySchema,
   validateBody,
   validateQuery,
   validateParams
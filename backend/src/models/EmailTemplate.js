@@ -0,0 +1,105 @@
+/**
+ * EmailTemplate Model - PostgreSQL Version
+ *
+ * Reusable email content referenced by sequence steps
+ * (sequence_steps.email_template_id) or drawn from by category pools.
+ */
+
+import { query } from '../database/connection.js';
+
+/**
+ * Get templates, optionally filtered by category
+ */
+export async function getTemplates({ category = null, includeInactive = true } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (category) {
+    params.push(category);
+    conditions.push(`category = $${params.length}`);
+  }
+  if (!includeInactive) {
+    conditions.push('is_active = true');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await query(
+    `SELECT * FROM email_templates ${where} ORDER BY category, created_at`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Get template by ID
+ */
+export async function getTemplateById(id) {
+  const result = await query('SELECT * FROM email_templates WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get distinct categories (used as step content pools)
+ */
+export async function getTemplateCategories() {
+  const result = await query(`
+    SELECT category, COUNT(*) FILTER (WHERE is_active) as active_count
+    FROM email_templates
+    WHERE category IS NOT NULL
+    GROUP BY category
+    ORDER BY category
+  `);
+  return result.rows.map(r => ({ category: r.category, activeCount: parseInt(r.active_count) }));
+}
+
+/**
+ * Create a template
+ */
+export async function createTemplate({ name, slug = null, category = null, subject, body, variables = ['first_name'], is_active = true }) {
+  const result = await query(`
+    INSERT INTO email_templates (name, slug, category, subject, body, variables, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [name, slug, category, subject, body, JSON.stringify(variables), is_active]);
+  return result.rows[0];
+}
+
+/**
+ * Update a template
+ */
+export async function updateTemplate(id, updates) {
+  const allowedFields = ['name', 'slug', 'category', 'subject', 'body', 'variables', 'is_active'];
+
+  const setClauses = [];
+  const params = [];
+  let paramIndex = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key) && value !== undefined) {
+      setClauses.push(`${key} = $${paramIndex}`);
+      params.push(key === 'variables' ? JSON.stringify(value) : value);
+      paramIndex++;
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return getTemplateById(id);
+  }
+
+  setClauses.push('updated_at = NOW()');
+  params.push(id);
+
+  const result = await query(
+    `UPDATE email_templates SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+export default {
+  getTemplates,
+  getTemplateById,
+  getTemplateCategories,
+  createTemplate,
+  updateTemplate
+};
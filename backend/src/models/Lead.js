@@ -121,14 +121,12 @@ export async function getLeadBySourceId(sourceId) {
 }
 
 /**
- * Get all leads with filtering, sorting, and pagination
+ * Build the WHERE clause shared by the leads list and export.
+ * Returns { where: ' AND ...', params, nextIndex } - append to a query that
+ * already has a WHERE; nextIndex is the next free $ placeholder.
  */
-export async function getLeads(options = {}) {
+export function buildLeadFilters(options = {}, startIndex = 1) {
   const {
-    page = 1,
-    limit = 50,
-    sortBy = 'created_at',
-    sortOrder = 'DESC',
     search = null,
     status = null,
     source = null,
@@ -142,14 +140,17 @@ export async function getLeads(options = {}) {
     shipmentsMin = null,
     shipmentsMax = null,
     decisionMaker = null,
+    tags = null,
     dateFrom = null,
-    dateTo = null
+    dateTo = null,
+    createdWithinDays = null,
+    assignedTo = null,
+    currentUserId = null
   } = options;
 
-  let sql = 'SELECT * FROM leads WHERE 1=1';
-  let countSql = 'SELECT COUNT(*) as count FROM leads WHERE 1=1';
+  let where = '';
   const params = [];
-  let paramIndex = 1;
+  let paramIndex = startIndex;
 
   // Search filter
   if (search) {
@@ -160,8 +161,7 @@ export async function getLeads(options = {}) {
       phone ILIKE $${paramIndex} OR 
       company ILIKE $${paramIndex}
     )`;
-    sql += searchClause;
-    countSql += searchClause;
+    where += searchClause;
     params.push(`%${search}%`);
     paramIndex++;
   }
@@ -170,8 +170,7 @@ export async function getLeads(options = {}) {
   if (status) {
     const statuses = Array.isArray(status) ? status : [status];
     const placeholders = statuses.map((_, i) => `$${paramIndex + i}`).join(',');
-    sql += ` AND status IN (${placeholders})`;
-    countSql += ` AND status IN (${placeholders})`;
+    where += ` AND status IN (${placeholders})`;
     params.push(...statuses);
     paramIndex += statuses.length;
   }
@@ -180,16 +179,14 @@ export async function getLeads(options = {}) {
   if (source) {
     const sources = Array.isArray(source) ? source : [source];
     const placeholders = sources.map((_, i) => `$${paramIndex + i}`).join(',');
-    sql += ` AND source IN (${placeholders})`;
-    countSql += ` AND source IN (${placeholders})`;
+    where += ` AND source IN (${placeholders})`;
     params.push(...sources);
     paramIndex += sources.length;
   }
 
   // Priority filter
   if (priority) {
-    sql += ` AND priority = $${paramIndex}`;
-    countSql += ` AND priority = $${paramIndex}`;
+    where += ` AND priority = $${paramIndex}`;
     params.push(priority);
     paramIndex++;
   }
@@ -198,58 +195,50 @@ export async function getLeads(options = {}) {
   if (leadType) {
     const leadTypes = Array.isArray(leadType) ? leadType : [leadType];
     const placeholders = leadTypes.map((_, i) => `$${paramIndex + i}`).join(',');
-    sql += ` AND lead_type IN (${placeholders})`;
-    countSql += ` AND lead_type IN (${placeholders})`;
+    where += ` AND lead_type IN (${placeholders})`;
     params.push(...leadTypes);
     paramIndex += leadTypes.length;
   }
 
   // Score filters (0-100). Note: score is the latest AI intent score once scored.
   if (scoreMin !== null && scoreMin !== undefined && scoreMin !== '') {
-    sql += ` AND COALESCE(score, 0) >= $${paramIndex}`;
-    countSql += ` AND COALESCE(score, 0) >= $${paramIndex}`;
+    where += ` AND COALESCE(score, 0) >= $${paramIndex}`;
     params.push(parseInt(scoreMin, 10));
     paramIndex++;
   }
   if (scoreMax !== null && scoreMax !== undefined && scoreMax !== '') {
-    sql += ` AND COALESCE(score, 0) <= $${paramIndex}`;
-    countSql += ` AND COALESCE(score, 0) <= $${paramIndex}`;
+    where += ` AND COALESCE(score, 0) <= $${paramIndex}`;
     params.push(parseInt(scoreMax, 10));
     paramIndex++;
   }
 
   // Intent category filter (stored in custom_fields.ai_intent_category)
   if (intentCategory !== null && intentCategory !== undefined && intentCategory !== '') {
-    sql += ` AND LOWER(COALESCE(custom_fields->>'ai_intent_category','')) = LOWER($${paramIndex})`;
-    countSql += ` AND LOWER(COALESCE(custom_fields->>'ai_intent_category','')) = LOWER($${paramIndex})`;
+    where += ` AND LOWER(COALESCE(custom_fields->>'ai_intent_category','')) = LOWER($${paramIndex})`;
     params.push(String(intentCategory));
     paramIndex++;
   }
 
   // Budget filters (expects normalized custom_fields keys)
   if (budgetMin !== null && budgetMin !== undefined && budgetMin !== '') {
-    sql += ` AND (custom_fields->>'estimated_budget_aed_min')::int >= $${paramIndex}`;
-    countSql += ` AND (custom_fields->>'estimated_budget_aed_min')::int >= $${paramIndex}`;
+    where += ` AND (custom_fields->>'estimated_budget_aed_min')::int >= $${paramIndex}`;
     params.push(parseInt(budgetMin, 10));
     paramIndex++;
   }
   if (budgetMax !== null && budgetMax !== undefined && budgetMax !== '') {
-    sql += ` AND (custom_fields->>'estimated_budget_aed_max')::int <= $${paramIndex}`;
-    countSql += ` AND (custom_fields->>'estimated_budget_aed_max')::int <= $${paramIndex}`;
+    where += ` AND (custom_fields->>'estimated_budget_aed_max')::int <= $${paramIndex}`;
     params.push(parseInt(budgetMax, 10));
     paramIndex++;
   }
 
   // Shipments filters (expects normalized custom_fields keys)
   if (shipmentsMin !== null && shipmentsMin !== undefined && shipmentsMin !== '') {
-    sql += ` AND (custom_fields->>'shipments_per_month_min')::int >= $${paramIndex}`;
-    countSql += ` AND (custom_fields->>'shipments_per_month_min')::int >= $${paramIndex}`;
+    where += ` AND (custom_fields->>'shipments_per_month_min')::int >= $${paramIndex}`;
     params.push(parseInt(shipmentsMin, 10));
     paramIndex++;
   }
   if (shipmentsMax !== null && shipmentsMax !== undefined && shipmentsMax !== '') {
-    sql += ` AND (custom_fields->>'shipments_per_month_max')::int <= $${paramIndex}`;
-    countSql += ` AND (custom_fields->>'shipments_per_month_max')::int <= $${paramIndex}`;
+    where += ` AND (custom_fields->>'shipments_per_month_max')::int <= $${paramIndex}`;
     params.push(parseInt(shipmentsMax, 10));
     paramIndex++;
   }
@@ -258,49 +247,84 @@ export async function getLeads(options = {}) {
   if (decisionMaker !== null && decisionMaker !== undefined && decisionMaker !== '') {
     const want = String(decisionMaker).toLowerCase();
     if (want === 'true' || want === 'false') {
-      sql += ` AND (custom_fields->>'decision_maker')::boolean = $${paramIndex}`;
-      countSql += ` AND (custom_fields->>'decision_maker')::boolean = $${paramIndex}`;
+      where += ` AND (custom_fields->>'decision_maker')::boolean = $${paramIndex}`;
       params.push(want === 'true');
       paramIndex++;
     }
   }
 
+  // Tag filter - leads with any of the tags
+  if (tags) {
+    const tagList = (Array.isArray(tags) ? tags : [tags]).filter(Boolean);
+    if (tagList.length > 0) {
+      where += ` AND tags ?| $${paramIndex}::text[]`;
+      params.push(tagList);
+      paramIndex++;
+    }
+  }
+
   // Date filters
   if (dateFrom) {
-    sql += ` AND created_at >= $${paramIndex}`;
-    countSql += ` AND created_at >= $${paramIndex}`;
+    where += ` AND created_at >= $${paramIndex}`;
     params.push(dateFrom);
     paramIndex++;
   }
   if (dateTo) {
-    sql += ` AND created_at <= $${paramIndex}`;
-    countSql += ` AND created_at <= $${paramIndex}`;
+    where += ` AND created_at <= $${paramIndex}`;
     params.push(dateTo);
     paramIndex++;
   }
+  // Rolling window (saved segments such as "last 7 days" stay current)
+  if (createdWithinDays) {
+    where += ` AND created_at >= NOW() - make_interval(days => $${paramIndex})`;
+    params.push(parseInt(createdWithinDays, 10));
+    paramIndex++;
+  }
 
-  // Get total count
-  const countResult = await query(countSql, params);
-  const totalCount = parseInt(countResult.rows[0].count);
+  // Owner filter - 'me' is the requesting user (saved "My leads" segments)
+  if (assignedTo === 'unassigned') {
+    where += ` AND assigned_to IS NULL`;
+  } else if (assignedTo) {
+    where += ` AND assigned_to = $${paramIndex}`;
+    params.push(assignedTo === 'me' ? String(currentUserId) : String(assignedTo));
+    paramIndex++;
+  }
+
+  return { where, params, nextIndex: paramIndex };
+}
 
-  // Add sorting - handle score specially to put high scores first
+/**
+ * ORDER BY for the leads list/export - high scores first when sorting by score
+ */
+export function buildLeadOrder(sortBy = 'created_at', sortOrder = 'DESC') {
   const validSortColumns = ['created_at', 'updated_at', 'first_name', 'last_name', 'email', 'status', 'source', 'score', 'priority', 'lead_type'];
   const safeSortBy = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-  const safeSortOrder = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-  
+  const safeSortOrder = String(sortOrder).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
   // For score sorting, also consider nulls
-  if (safeSortBy === 'score') {
-    sql += ` ORDER BY COALESCE(${safeSortBy}, 0) ${safeSortOrder}`;
-  } else {
-    sql += ` ORDER BY ${safeSortBy} ${safeSortOrder}`;
-  }
+  const column = safeSortBy === 'score' ? `COALESCE(${safeSortBy}, 0)` : safeSortBy;
+  return ` ORDER BY ${column} ${safeSortOrder}, id ${safeSortOrder}`;
+}
+
+/**
+ * Get all leads with filtering, sorting, and pagination
+ */
+export async function getLeads(options = {}) {
+  const {
+    page = 1,
+    limit = 50,
+    sortBy = 'created_at',
+    sortOrder = 'DESC'
+  } = options;
+
+  const { where, params, nextIndex } = buildLeadFilters(options);
+  const totalCount = await countLeads(options);
 
   // Add pagination
   const offset = (page - 1) * limit;
-  sql += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-  params.push(limit, offset);
+  const sql = `SELECT * FROM leads WHERE 1=1${where}${buildLeadOrder(sortBy, sortOrder)} LIMIT $${nextIndex} OFFSET $${nextIndex + 1}`;
 
-  const result = await query(sql, params);
+  const result = await query(sql, [...params, limit, offset]);
   const leads = result.rows.map(parseLead);
 
   return {
@@ -315,6 +339,40 @@ export async function getLeads(options = {}) {
   };
 }
 
+/**
+ * Count leads matching the getLeads filters
+ */
+export async function countLeads(options = {}) {
+  const { where, params } = buildLeadFilters(options);
+  const result = await query(`SELECT COUNT(*) as count FROM leads WHERE 1=1${where}`, params);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * IDs of every lead matching the getLeads filters (bulk sends/enrollment)
+ */
+export async function getLeadIds(options = {}) {
+  const { where, params } = buildLeadFilters(options);
+  const result = await query(`SELECT id FROM leads WHERE 1=1${where} ORDER BY created_at`, params);
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Iterate over every lead matching the getLeads filters in batches
+ * (for exports - never loads the whole table at once)
+ */
+export async function* iterateLeads(options = {}, batchSize = 500) {
+  const { sortBy = 'created_at', sortOrder = 'DESC' } = options;
+  const { where, params, nextIndex } = buildLeadFilters(options);
+  const sql = `SELECT * FROM leads WHERE 1=1${where}${buildLeadOrder(sortBy, sortOrder)} LIMIT $${nextIndex} OFFSET $${nextIndex + 1}`;
+
+  for (let offset = 0; ; offset += batchSize) {
+    const result = await query(sql, [...params, batchSize, offset]);
+    if (result.rows.length > 0) yield result.rows.map(parseLead);
+    if (result.rows.length < batchSize) return;
+  }
+}
+
 /**
  * Update a lead
  */
@@ -357,6 +415,11 @@ export async function updateLead(id, updates) {
   params.push(new Date().toISOString());
   paramIndex++;
 
+  // A hand-set score is not produced by a scoring model version
+  if (updates.score !== undefined && updates.score !== existingLead.score) {
+    setClauses.push('score_model_version = NULL');
+  }
+
   if (updates.status === 'converted' && existingLead.status !== 'converted') {
     setClauses.push(`converted_at = $${paramIndex}`);
     params.push(new Date().toISOString());
@@ -508,7 +571,12 @@ export default {
   getLeadByEmailAndSource,
   getLeadByEmail,
   getLeadBySourceId,
+  buildLeadFilters,
+  buildLeadOrder,
   getLeads,
+  countLeads,
+  getLeadIds,
+  iterateLeads,
   updateLead,
   deleteLead,
   getLeadStats,
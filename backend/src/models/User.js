@@ -0,0 +1,128 @@
+/**
+ * User Model - PostgreSQL Version
+ *
+ * Dashboard users and their roles.
+ * Password hashing and sessions live in services/authService.js.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../database/connection.js';
+
+/**
+ * Valid user roles
+ * - admin: full access, including settings and user management
+ * - sales_rep: can work leads and sequences
+ * - read_only: can view everything, change nothing
+ */
+export const USER_ROLES = ['admin', 'sales_rep', 'read_only'];
+
+/**
+ * Create a new user (expects an already hashed password)
+ */
+export async function createUser({ email, name = null, password_hash, role = 'read_only' }) {
+  const id = uuidv4();
+  const result = await query(`
+    INSERT INTO users (id, email, name, password_hash, role)
+    VALUES ($1, LOWER($2), $3, $4, $5)
+    RETURNING *
+  `, [id, email.trim(), name, password_hash, role]);
+
+  return parseUser(result.rows[0]);
+}
+
+/**
+ * Get user by ID
+ */
+export async function getUserById(id) {
+  const result = await query('SELECT * FROM users WHERE id = $1', [id]);
+  return parseUser(result.rows[0]);
+}
+
+/**
+ * Get user by email, including the password hash (for login only)
+ */
+export async function getUserByEmailWithPassword(email) {
+  const result = await query('SELECT * FROM users WHERE email = LOWER($1)', [email.trim()]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get all users
+ */
+export async function getUsers() {
+  const result = await query('SELECT * FROM users ORDER BY created_at ASC');
+  return result.rows.map(parseUser);
+}
+
+/**
+ * Count users (used to bootstrap the first admin)
+ */
+export async function countUsers() {
+  const result = await query('SELECT COUNT(*) as count FROM users');
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Update a user
+ */
+export async function updateUser(id, updates) {
+  const allowedFields = ['email', 'name', 'role', 'is_active', 'password_hash', 'last_login_at'];
+
+  const setClauses = [];
+  const params = [];
+  let paramIndex = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key) && value !== undefined) {
+      setClauses.push(key === 'email' ? `email = LOWER($${paramIndex})` : `${key} = $${paramIndex}`);
+      params.push(value);
+      paramIndex++;
+    }
+  }
+
+  if (setClauses.length === 0) {
+    return getUserById(id);
+  }
+
+  setClauses.push('updated_at = NOW()');
+  params.push(id);
+
+  const result = await query(
+    `UPDATE users SET ${setClauses.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return parseUser(result.rows[0]);
+}
+
+/**
+ * Delete a user (sessions cascade)
+ */
+export async function deleteUser(id) {
+  const result = await query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Strip the password hash before a user leaves the model
+ */
+function parseUser(row) {
+  if (!row) return null;
+  const { password_hash, ...user } = row;
+  return user;
+}
+
+export default {
+  USER_ROLES,
+  createUser,
+  getUserById,
+  getUserByEmailWithPassword,
+  getUsers,
+  countUsers,
+  updateUser,
+  deleteUser
+};
@@ -0,0 +1,81 @@
+/**
+ * AI Usage Routes
+ *
+ * LLM usage ledger, estimated cost and spend budgets.
+ * All endpoints are prefixed with /api/ai-usage
+ */
+
+import { Router } from 'express';
+import LLMUsageService from '../services/llmUsageService.js';
+import { getLLMStatus } from '../services/llmService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { llmBudgetSchema, llmUsageQuerySchema, validateBody, validateQuery } from '../middleware/validation.js';
+
+const router = Router();
+
+// Provider, models and spend against budgets
+async function getStatus() {
+  const { provider, enabled, models } = getLLMStatus();
+  return { provider, enabled, models, budget: await LLMUsageService.checkBudget() };
+}
+
+/**
+ * GET /api/ai-usage/summary?days=30
+ * Totals, per feature, per model, per day and the costliest leads, plus
+ * provider and budget status
+ */
+router.get('/summary', validateQuery(llmUsageQuerySchema), async (req, res) => {
+  try {
+    const [summary, status] = await Promise.all([
+      LLMUsageService.getUsageSummary(req.query.days),
+      getStatus()
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...summary, status }
+    });
+  } catch (error) {
+    console.error('Failed to fetch AI usage:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch AI usage', message: error.message });
+  }
+});
+
+/**
+ * GET /api/ai-usage/calls?feature=&leadId=&limit=50
+ * Most recent AI calls
+ */
+router.get('/calls', validateQuery(llmUsageQuerySchema), async (req, res) => {
+  try {
+    const calls = await LLMUsageService.getRecentUsage(req.query);
+
+    res.json({
+      success: true,
+      data: calls
+    });
+  } catch (error) {
+    console.error('Failed to fetch AI calls:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch AI calls', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/ai-usage/budget
+ * { daily?, monthly? } in USD, null for no limit (admin)
+ */
+router.put('/budget', requireAdmin, validateBody(llmBudgetSchema), async (req, res) => {
+  try {
+    await LLMUsageService.setBudgets(req.body);
+
+    res.json({
+      success: true,
+      data: await getStatus(),
+      message: 'AI budget updated'
+    });
+  } catch (error) {
+    console.error('Failed to update AI budget:', error);
+    res.status(500).json({ success: false, error: 'Failed to update AI budget', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,130 @@
+/**
+ * Auth Routes
+ *
+ * Login, logout and current-user endpoints for the dashboard.
+ * All endpoints are prefixed with /api/auth
+ */
+
+import { Router } from 'express';
+import User from '../models/User.js';
+import { login, logout, verifyPassword, hashPassword, revokeUserSessions } from '../services/authService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { loginSchema, changePasswordSchema, validateBody } from '../middleware/validation.js';
+
+const router = Router();
+
+/**
+ * POST /api/auth/login
+ * Exchange email + password for a bearer token
+ */
+router.post('/login', validateBody(loginSchema), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const session = await login(email, password, {
+      ipAddress: req.headers['x-forwarded-for']?.split(',')[0] || req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    const token = req.headers.authorization?.slice(7).trim();
+    await logout(token);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the logged-in user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.getUserById(req.user.id);
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/auth/password
+ * Change the logged-in user's password (signs out all other sessions)
+ */
+router.put('/password', requireAuth, validateBody(changePasswordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const row = await User.getUserByEmailWithPassword(req.user.email);
+    const valid = row && await verifyPassword(currentPassword, row.password_hash);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await User.updateUser(req.user.id, { password_hash: await hashPassword(newPassword) });
+    await revokeUserSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Password changed - please log in again'
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      message: error.message
+    });
+  }
+});
+
+export default router;
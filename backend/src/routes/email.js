@@ -12,6 +12,7 @@ import {
   sendEmailSequence,
   verifyEmailConfig 
 } from '../services/emailService.js';
+import { requireWrite } from '../middleware/auth.js';
 
 const router = Router();
 
@@ -38,7 +39,7 @@ router.get('/status', async (req, res) => {
  * POST /api/email/test
  * Send a test email to any address
  */
-router.post('/test', async (req, res) => {
+router.post('/test', requireWrite, async (req, res) => {
   try {
     const { email, subject, content } = req.body;
     
@@ -62,7 +63,7 @@ router.post('/test', async (req, res) => {
       return res.status(503).json({
         success: false,
         error: 'Email service not configured',
-        message: 'Set SMTP_USER and SMTP_PASS environment variables to enable email sending'
+        message: 'Set RESEND_API_KEY or SMTP_HOST (or EMAIL_PROVIDER=local) to enable email sending'
       });
     }
 
@@ -117,7 +118,7 @@ router.post('/test', async (req, res) => {
  * POST /api/email/send
  * Send a custom email
  */
-router.post('/send', async (req, res) => {
+router.post('/send', requireWrite, async (req, res) => {
   try {
     const { to, subject, html, text } = req.body;
     
@@ -137,6 +138,13 @@ router.post('/send', async (req, res) => {
 
     const result = await sendEmail({ to, subject, html, text });
     
+    if (result.suppressed) {
+      return res.status(409).json({
+        success: false,
+        error: `${to} is on the suppression list (${result.reason})`
+      });
+    }
+    
     res.json({
       success: true,
       message: `Email sent to ${to}`,
@@ -156,7 +164,7 @@ router.post('/send', async (req, res) => {
  * POST /api/email/sequence
  * Send an email sequence (for testing)
  */
-router.post('/sequence', async (req, res) => {
+router.post('/sequence', requireWrite, async (req, res) => {
   try {
     const { email, sequence } = req.body;
     
@@ -19,6 +19,8 @@ import {
   INTENT_CATEGORIES,
   INTENT_SCORE_RANGES
 } from '../services/evolutionChatService.js';
+import { requireAuth, requireWrite, requireWebhookSecret } from '../middleware/auth.js';
+import { isLLMEnabled } from '../services/llmService.js';
 
 const router = Router();
 
@@ -35,7 +37,7 @@ const router = Router();
  * - messages.update (message status update)
  * - connection.update (connection status)
  */
-router.post('/webhook', async (req, res) => {
+router.post('/webhook', requireWebhookSecret('EVOLUTION_WEBHOOK_SECRET'), async (req, res) => {
   try {
     const webhookData = req.body;
     
@@ -73,7 +75,7 @@ router.post('/webhook', async (req, res) => {
  * POST /api/evolution/webhook/:instanceName
  * Instance-specific webhook endpoint
  */
-router.post('/webhook/:instanceName', async (req, res) => {
+router.post('/webhook/:instanceName', requireWebhookSecret('EVOLUTION_WEBHOOK_SECRET'), async (req, res) => {
   try {
     const { instanceName } = req.params;
     const webhookData = {
@@ -115,7 +117,7 @@ router.post('/webhook/:instanceName', async (req, res) => {
  * - category: Filter by intent category
  * - leadId: Filter by specific lead
  */
-router.get('/conversations', async (req, res) => {
+router.get('/conversations', requireAuth, async (req, res) => {
   try {
     const {
       page = 1,
@@ -152,7 +154,7 @@ router.get('/conversations', async (req, res) => {
  * GET /api/evolution/conversations/:id
  * Get conversation details with full message history
  */
-router.get('/conversations/:id', async (req, res) => {
+router.get('/conversations/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -183,7 +185,7 @@ router.get('/conversations/:id', async (req, res) => {
  * POST /api/evolution/conversations/:id/rescore
  * Manually trigger intent rescoring for a conversation
  */
-router.post('/conversations/:id/rescore', async (req, res) => {
+router.post('/conversations/:id/rescore', requireAuth, requireWrite, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -214,7 +216,7 @@ router.post('/conversations/:id/rescore', async (req, res) => {
  * Query params:
  * - minScore: Minimum score (default: 60)
  */
-router.get('/hot-leads', async (req, res) => {
+router.get('/hot-leads', requireAuth, async (req, res) => {
   try {
     const { minScore = 60 } = req.query;
     
@@ -239,7 +241,7 @@ router.get('/hot-leads', async (req, res) => {
  * GET /api/evolution/analytics
  * Get intent scoring analytics and insights
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', requireAuth, async (req, res) => {
   try {
     const analytics = await getIntentAnalytics();
     
@@ -261,7 +263,7 @@ router.get('/analytics', async (req, res) => {
  * GET /api/evolution/categories
  * Get available intent categories
  */
-router.get('/categories', (req, res) => {
+router.get('/categories', requireAuth, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -279,7 +281,7 @@ router.get('/categories', (req, res) => {
  * POST /api/evolution/check-number
  * Check if a phone number exists in our database
  */
-router.post('/check-number', async (req, res) => {
+router.post('/check-number', requireAuth, async (req, res) => {
   try {
     const { phone } = req.body;
     
@@ -325,8 +327,8 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     features: {
       chatTracking: true,
-      intentScoring: !!process.env.OPENAI_API_KEY,
-      aiAnalysis: !!process.env.OPENAI_API_KEY
+      intentScoring: isLLMEnabled(),
+      aiAnalysis: isLLMEnabled()
     }
   });
 });
@@ -335,15 +337,16 @@ router.get('/health', (req, res) => {
  * GET /api/evolution/setup-info
  * Get setup information for configuring Evolution API webhook
  */
-router.get('/setup-info', (req, res) => {
+router.get('/setup-info', requireAuth, (req, res) => {
   const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
   
   res.json({
     success: true,
     webhookUrl: `${baseUrl}/api/evolution/webhook`,
+    secretRequired: !!process.env.EVOLUTION_WEBHOOK_SECRET,
     instructions: {
       step1: 'Go to your Evolution API instance settings',
-      step2: 'Add a webhook with the URL above',
+      step2: 'Add a webhook with the URL above and append ?secret=<EVOLUTION_WEBHOOK_SECRET>',
       step3: 'Enable the MESSAGES_UPSERT event',
       step4: 'Optionally enable MESSAGES_UPDATE for status updates',
       step5: 'Save and test by sending a message to a number in your leads database'
@@ -351,7 +354,7 @@ router.get('/setup-info', (req, res) => {
     events: ['MESSAGES_UPSERT', 'MESSAGES_UPDATE', 'CONNECTION_UPDATE'],
     notes: [
       'Only messages from numbers in your leads database will be tracked',
-      'Intent scoring uses AI (OpenAI) if OPENAI_API_KEY is configured',
+      'Intent scoring uses AI when an LLM provider is configured (OPENAI_API_KEY or LLM_PROVIDER)',
       'Check /api/evolution/health to verify the service is running'
     ]
   });
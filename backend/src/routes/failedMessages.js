@@ -0,0 +1,143 @@
+/**
+ * Failed Message Routes
+ *
+ * Dead-letter inbox for sequence messages that ran out of retries, and the
+ * per-channel retry schedules.
+ * All endpoints are prefixed with /api/failed-messages
+ */
+
+import { Router } from 'express';
+import MessageRetryService from '../services/messageRetryService.js';
+import { triggerMessageQueue } from '../services/sequenceService.js';
+import { requireWrite, requireAdmin } from '../middleware/auth.js';
+import {
+  failedMessageQuerySchema,
+  failedMessageRetrySchema,
+  failedMessageResendSchema,
+  messageRetryPolicySchema,
+  validateBody,
+  validateQuery
+} from '../middleware/validation.js';
+
+const router = Router();
+
+function sendFailedMessageError(res, error, fallback) {
+  if (error.message === 'Message not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (['Message is not failed', 'Enrollment was cancelled'].includes(error.message)) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+// Requeued messages go out with the next queue run, so start one now
+function sendRequeued() {
+  triggerMessageQueue().catch(error => console.error('Failed to trigger message queue:', error.message));
+}
+
+/**
+ * GET /api/failed-messages?channel=&errorKind=&limit=50&offset=0
+ * Failed messages with the provider error, plus counts per channel and kind
+ */
+router.get('/', validateQuery(failedMessageQuerySchema), async (req, res) => {
+  try {
+    const { messages, total, counts } = await MessageRetryService.listFailedMessages(req.query);
+    res.json({
+      success: true,
+      data: messages,
+      counts,
+      pagination: { total, limit: req.query.limit, offset: req.query.offset }
+    });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to fetch failed messages');
+  }
+});
+
+/**
+ * GET /api/failed-messages/retry-policy
+ * Seconds before each retry, per channel
+ */
+router.get('/retry-policy', async (req, res) => {
+  try {
+    const policy = await MessageRetryService.getRetryPolicy();
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to fetch retry policy');
+  }
+});
+
+/**
+ * PUT /api/failed-messages/retry-policy
+ * { email?: { delays }, whatsapp?: { delays } } (admin)
+ */
+router.put('/retry-policy', requireAdmin, validateBody(messageRetryPolicySchema), async (req, res) => {
+  try {
+    const policy = await MessageRetryService.setRetryPolicy(req.body);
+    res.json({ success: true, data: policy, message: 'Retry policy updated' });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to update retry policy');
+  }
+});
+
+/**
+ * POST /api/failed-messages/retry
+ * { ids } or { channel?, errorKind? } - retry many at once, e.g. after an outage
+ */
+router.post('/retry', requireWrite, validateBody(failedMessageRetrySchema), async (req, res) => {
+  try {
+    const messages = await MessageRetryService.retryFailedMessages(req.body, { resolvedBy: req.user.email });
+    if (messages.length > 0) sendRequeued();
+    res.json({
+      success: true,
+      data: { retried: messages.length },
+      message: `${messages.length} message${messages.length === 1 ? '' : 's'} queued again`
+    });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to retry messages');
+  }
+});
+
+/**
+ * POST /api/failed-messages/:id/retry
+ * Send again as is
+ */
+router.post('/:id/retry', requireWrite, async (req, res) => {
+  try {
+    const message = await MessageRetryService.retryFailedMessage(req.params.id, req.user.email);
+    sendRequeued();
+    res.json({ success: true, data: message, message: 'Message queued again' });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to retry message');
+  }
+});
+
+/**
+ * POST /api/failed-messages/:id/resend
+ * { subject?, body?, whatsapp? } - edit and send again
+ */
+router.post('/:id/resend', requireWrite, validateBody(failedMessageResendSchema), async (req, res) => {
+  try {
+    const message = await MessageRetryService.resendFailedMessage(req.params.id, req.body, req.user.email);
+    sendRequeued();
+    res.json({ success: true, data: message, message: 'Edited message queued' });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to resend message');
+  }
+});
+
+/**
+ * POST /api/failed-messages/:id/discard
+ * Give up on the message
+ */
+router.post('/:id/discard', requireWrite, async (req, res) => {
+  try {
+    const message = await MessageRetryService.discardFailedMessage(req.params.id, req.user.email);
+    res.json({ success: true, data: message, message: 'Message discarded' });
+  } catch (error) {
+    sendFailedMessageError(res, error, 'Failed to discard message');
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+/**
+ * Job Routes
+ *
+ * Background job queue: recent jobs, per-type counts, dead jobs to retry.
+ * All endpoints are prefixed with /api/jobs
+ */
+
+import { Router } from 'express';
+import JobQueueService from '../services/jobQueueService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { jobQuerySchema, validateQuery } from '../middleware/validation.js';
+
+const router = Router();
+
+function sendJobError(res, error, fallback) {
+  if (error.message === 'Job not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (['Only dead or cancelled jobs can be retried', 'Job is already queued', 'Job is already finished'].includes(error.message)) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+/**
+ * GET /api/jobs?status=dead&type=&limit=50
+ * Most recent jobs
+ */
+router.get('/', validateQuery(jobQuerySchema), async (req, res) => {
+  try {
+    const jobs = await JobQueueService.listJobs(req.query);
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to fetch jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/stats
+ * Counts per type and status, the current scheduler and this instance's worker
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await JobQueueService.getJobStats();
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to fetch job stats');
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * A single job with its progress and result
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await JobQueueService.getJob(req.params.id);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to fetch job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a dead or cancelled job again (admin)
+ */
+router.post('/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const job = await JobQueueService.retryJob(req.params.id);
+    res.json({ success: true, data: job, message: 'Job queued again' });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to retry job');
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a pending job or stop a running one (admin)
+ */
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const job = await JobQueueService.cancelJob(req.params.id);
+    res.json({
+      success: true,
+      data: job,
+      message: job.status === 'running' ? 'Job will stop shortly' : 'Job cancelled'
+    });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to cancel job');
+  }
+});
+
+export default router;
@@ -6,41 +6,72 @@
  */
 
 import { Router } from 'express';
-import { v4 as uuidv4 } from 'uuid';
 import Lead from '../models/Lead.js';
-import { leadSchema, leadQuerySchema, validateBody, validateQuery } from '../middleware/validation.js';
-import { scoreLead, scoreAllLeads, rescoreAllLeads, getLeadAdvice } from '../services/aiPriorityService.js';
+import { leadSchema, leadQuerySchema, leadExportSchema, leadImportSchema, duplicateQuerySchema, leadMergeSchema, leadBulkSchema, leadAssignSchema, callLogSchema, callUpdateSchema, callRecordingSchema, validateBody, validateQuery } from '../middleware/validation.js';
+import { scoreLead, getLeadAdvice } from '../services/aiPriorityService.js';
+import { enqueueRescore } from '../services/backgroundJobs.js';
+import { getJob } from '../services/jobQueueService.js';
 import { sendWhatsApp } from '../services/whatsappService.js';
 import { sendEmail } from '../services/emailService.js';
+import { recordSkippedSend } from '../services/suppressionService.js';
+import LeadDedupService from '../services/leadDedupService.js';
+import LeadImportService from '../services/leadImportService.js';
+import LeadExportService from '../services/leadExportService.js';
+import LeadBulkService from '../services/leadBulkService.js';
+import LeadRoutingService from '../services/leadRoutingService.js';
+import SegmentService from '../services/segmentService.js';
+import CallService from '../services/callService.js';
+import { recordScore, getScoreHistory } from '../services/scoreHistoryService.js';
+import { getSequenceBySlug } from '../services/sequenceService.js';
 import { query } from '../database/connection.js';
+import { requireWrite, requireAdmin } from '../middleware/auth.js';
 
 const router = Router();
 
+// Map call service errors to HTTP responses
+function sendCallError(res, error, fallback) {
+  if (['Call not found', 'Lead not found', 'Recording not found'].includes(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (['Recording too large', 'Recording is empty'].includes(error.message)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+/**
+ * Lead.getLeads options from the (validated) list/export query string
+ * (user resolves assignedTo=me)
+ */
+function leadFilterOptions(query, user) {
+  return {
+    ...query,
+    currentUserId: user?.id,
+    status: query.status?.split(','),
+    source: query.source?.split(','),
+    leadType: query.leadType?.split(','),
+    tags: query.tags?.split(','),
+    // normalized enrichment filters
+    budgetMin: query.budgetMin,
+    budgetMax: query.budgetMax,
+    shipmentsMin: query.shipmentsMin,
+    shipmentsMax: query.shipmentsMax,
+    decisionMaker: query.decisionMaker,
+    // intent filters
+    scoreMin: query.scoreMin,
+    scoreMax: query.scoreMax,
+    intentCategory: query.intentCategory
+  };
+}
+
 /**
  * GET /api/leads
  * Get all leads with filtering, sorting, and pagination
  */
 router.get('/', validateQuery(leadQuerySchema), async (req, res) => {
   try {
-    const options = {
-      ...req.query,
-      status: req.query.status?.split(','),
-      source: req.query.source?.split(','),
-      leadType: req.query.leadType?.split(','),
-      tags: req.query.tags?.split(','),
-      // normalized enrichment filters
-      budgetMin: req.query.budgetMin,
-      budgetMax: req.query.budgetMax,
-      shipmentsMin: req.query.shipmentsMin,
-      shipmentsMax: req.query.shipmentsMax,
-      decisionMaker: req.query.decisionMaker,
-      // intent filters
-      scoreMin: req.query.scoreMin,
-      scoreMax: req.query.scoreMax,
-      intentCategory: req.query.intentCategory
-    };
-
-    const result = await Lead.getLeads(options);
+    const result = await Lead.getLeads(leadFilterOptions(req.query, req.user));
     
     res.json({
       success: true,
@@ -79,6 +110,80 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leads/export/columns
+ * Columns available to export - custom field keys are those used by leads
+ * matching the given filters
+ */
+router.get('/export/columns', validateQuery(leadExportSchema), async (req, res) => {
+  try {
+    const customFields = await LeadExportService.getCustomFieldKeys(leadFilterOptions(req.query, req.user));
+
+    res.json({
+      success: true,
+      data: {
+        formats: LeadExportService.EXPORT_FORMATS,
+        standard: LeadExportService.STANDARD_COLUMNS,
+        intent: LeadExportService.INTENT_COLUMNS,
+        customFields,
+        defaults: LeadExportService.DEFAULT_COLUMNS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching export columns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch export columns',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/export
+ * Stream every lead matching the list filters (not just one page)
+ * ?format=csv|xlsx|json&columns=email,phone,intent_score,custom:industry
+ * columns=custom_fields expands to every custom field; omitted = DEFAULT_COLUMNS
+ */
+router.get('/export', validateQuery(leadExportSchema), async (req, res) => {
+  const { format, columns: requested, ...filters } = req.query;
+
+  try {
+    const options = leadFilterOptions(filters, req.user);
+    const customKeys = await LeadExportService.getCustomFieldKeys(options);
+    const { columns, unknown } = LeadExportService.resolveColumns(
+      requested?.split(',').map(column => column.trim()).filter(Boolean),
+      customKeys
+    );
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown export columns: ${unknown.join(', ')}`
+      });
+    }
+
+    const filename = `leads-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', LeadExportService.exportContentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await LeadExportService.writeExport(res, { format, columns, filters: options });
+  } catch (error) {
+    console.error('Error exporting leads:', error);
+
+    // Part of the file may already be sent - cut the download short
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/leads/booked
  * Get leads with booked meetings (to mark as attended/no-show)
@@ -143,6 +248,336 @@ router.get('/recent', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/leads/import
+ * Import leads from a CSV/TSV/XLSX file (base64 in `file`)
+ * dryRun: true returns the column mapping (suggested if not given), validation
+ * errors and create/update/skip counts without writing anything. Otherwise an
+ * import job is started - poll GET /api/leads/import/jobs/:id.
+ */
+router.post('/import', requireWrite, validateBody(leadImportSchema), async (req, res) => {
+  try {
+    const { filename, file, dryRun, ...options } = req.body;
+
+    if (options.enrollSequence && !(await getSequenceBySlug(options.enrollSequence))) {
+      return res.status(400).json({
+        success: false,
+        error: `Sequence not found: ${options.enrollSequence}`
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await LeadImportService.parseSpreadsheet(filename, Buffer.from(file, 'base64'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not read file',
+        message: parseError.message
+      });
+    }
+
+    if (dryRun) {
+      const preview = await LeadImportService.previewImport(parsed, options);
+      return res.json({
+        success: true,
+        data: preview
+      });
+    }
+
+    const job = await LeadImportService.startImport(filename, parsed, options, req.user.email);
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Importing ${job.total_rows} rows`
+    });
+  } catch (error) {
+    console.error('Error importing leads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import leads',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/import/jobs
+ * Recent import jobs
+ */
+router.get('/import/jobs', async (req, res) => {
+  try {
+    const jobs = await LeadImportService.getImportJobs();
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/import/jobs/:id
+ * Import job progress and results
+ */
+router.get('/import/jobs/:id', async (req, res) => {
+  try {
+    const job = await LeadImportService.getImportJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/leads/bulk
+ * Apply one action to many leads: { action, params, leadIds | segmentId | filters }
+ * Runs as a background job - poll GET /api/leads/bulk/jobs/:id for progress
+ * and per-lead results.
+ */
+router.post('/bulk', requireWrite, validateBody(leadBulkSchema), async (req, res) => {
+  try {
+    const { action, params, leadIds, segmentId, filters } = req.body;
+
+    if (params.sequenceSlug && ['enroll', 'cancel_sequence'].includes(action)) {
+      const sequence = await getSequenceBySlug(params.sequenceSlug);
+      if (!sequence || (action === 'enroll' && !sequence.is_active)) {
+        return res.status(400).json({
+          success: false,
+          error: sequence ? `Sequence is inactive: ${params.sequenceSlug}` : `Sequence not found: ${params.sequenceSlug}`
+        });
+      }
+    }
+
+    let targetIds;
+    try {
+      targetIds = await SegmentService.resolveTargetLeadIds({ leadIds, segmentId, filters }, req.user);
+    } catch (resolveError) {
+      if (resolveError.message === 'Segment not found') {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+      throw resolveError;
+    }
+
+    if (targetIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No leads match'
+      });
+    }
+    if (targetIds.length > LeadBulkService.MAX_BULK_LEADS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many leads (${targetIds.length}) - bulk actions are limited to ${LeadBulkService.MAX_BULK_LEADS}`
+      });
+    }
+
+    const target = segmentId ? { segmentId } : filters ? { filters } : { leadIds: leadIds.length };
+    const job = await LeadBulkService.startBulkJob({ action, params, leadIds: targetIds, target }, req.user.email);
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Applying ${action} to ${job.total_count} leads`
+    });
+  } catch (error) {
+    console.error('Error starting bulk action:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start bulk action',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/bulk/jobs
+ * Recent bulk action jobs
+ */
+router.get('/bulk/jobs', async (req, res) => {
+  try {
+    const jobs = await LeadBulkService.getBulkJobs();
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching bulk jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bulk jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/bulk/jobs/:id
+ * Bulk job progress and per-lead results (?result=succeeded|skipped|failed)
+ */
+router.get('/bulk/jobs/:id', async (req, res) => {
+  try {
+    const result = ['succeeded', 'skipped', 'failed'].includes(req.query.result) ? req.query.result : null;
+    const job = await LeadBulkService.getBulkJob(req.params.id, { result });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bulk job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching bulk job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bulk job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/duplicates
+ * Possible duplicate pairs awaiting review
+ */
+router.get('/duplicates', validateQuery(duplicateQuerySchema), async (req, res) => {
+  try {
+    const result = await LeadDedupService.getDuplicateQueue(req.query);
+
+    res.json({
+      success: true,
+      data: result.duplicates,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch duplicates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/leads/duplicates/scan
+ * Queue every duplicate pair in the database for review
+ */
+router.post('/duplicates/scan', requireAdmin, async (req, res) => {
+  try {
+    const flagged = await LeadDedupService.scanForDuplicates();
+
+    res.json({
+      success: true,
+      data: { flagged },
+      message: `Flagged ${flagged} new possible duplicate(s)`
+    });
+  } catch (error) {
+    console.error('Error scanning for duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan for duplicates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/leads/duplicates/:id/dismiss
+ * Not the same person - stop flagging this pair
+ */
+router.post('/duplicates/:id/dismiss', requireWrite, async (req, res) => {
+  try {
+    const duplicate = await LeadDedupService.dismissDuplicate(req.params.id, req.user.email);
+
+    if (!duplicate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Duplicate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: duplicate
+    });
+  } catch (error) {
+    console.error('Error dismissing duplicate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to dismiss duplicate',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/leads/merge
+ * Merge one lead into another: { survivorId, mergeId }
+ * mergeId's history, conversations and enrollments move to survivorId, then mergeId is deleted
+ */
+router.post('/merge', requireWrite, validateBody(leadMergeSchema), async (req, res) => {
+  try {
+    const lead = await LeadDedupService.mergeLeads(req.body.survivorId, req.body.mergeId, {
+      mergedBy: req.user.email
+    });
+
+    res.json({
+      success: true,
+      data: lead,
+      message: 'Leads merged successfully'
+    });
+  } catch (error) {
+    console.error('Error merging leads:', error);
+
+    if (error.message === 'Lead not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge leads',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/leads/:id
  * Get a single lead by ID
@@ -172,13 +607,135 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/leads/:id/duplicates
+ * Leads that look like the same person
+ */
+router.get('/:id/duplicates', async (req, res) => {
+  try {
+    const duplicates = await LeadDedupService.findDuplicatesOf(req.params.id);
+
+    res.json({
+      success: true,
+      data: duplicates
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/leads/:id/assign
+ * Assign the lead to a rep by hand ({ userId: null } unassigns)
+ */
+router.put('/:id/assign', requireWrite, validateBody(leadAssignSchema), async (req, res) => {
+  try {
+    const changed = await LeadRoutingService.assignLead(req.params.id, req.body.userId, {
+      reason: 'manual',
+      assignedBy: req.user.email
+    });
+
+    res.json({
+      success: true,
+      data: await Lead.getLeadById(req.params.id),
+      message: changed ? (req.body.userId ? 'Lead assigned' : 'Lead unassigned') : 'No change'
+    });
+  } catch (error) {
+    if (['Lead not found', 'User not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error assigning lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign lead',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/leads/:id/route
+ * Run the routing rules again and assign the lead to whoever they pick
+ * (excluding the current owner)
+ */
+router.post('/:id/route', requireWrite, async (req, res) => {
+  try {
+    const lead = await Lead.getLeadById(req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const choice = await LeadRoutingService.routeLead(lead, {
+      excludeUserIds: lead.assigned_to ? [lead.assigned_to] : [],
+      reason: lead.assigned_to ? 'reassigned' : null,
+      assignedBy: req.user.email
+    });
+
+    if (!choice) {
+      return res.status(409).json({
+        success: false,
+        error: 'No rep available'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await Lead.getLeadById(lead.id),
+      routing: choice,
+      message: `Routed by ${choice.ruleName}`
+    });
+  } catch (error) {
+    console.error('Error routing lead:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to route lead',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leads/:id/assignments
+ * Assignment history, newest first
+ */
+router.get('/:id/assignments', async (req, res) => {
+  try {
+    const assignments = await LeadRoutingService.getLeadAssignments(req.params.id);
+
+    res.json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    console.error('Error fetching assignments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch assignments',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/leads
  * Create a new lead
  */
-router.post('/', validateBody(leadSchema), async (req, res) => {
+router.post('/', requireWrite, validateBody(leadSchema), async (req, res) => {
   try {
     const lead = await Lead.createLead(req.body);
+    await LeadDedupService.flagDuplicates(lead.id).catch(err => console.error('Duplicate check failed:', err.message));
     
     res.status(201).json({
       success: true,
@@ -207,10 +764,22 @@ router.post('/', validateBody(leadSchema), async (req, res) => {
  * PUT /api/leads/:id
  * Update a lead
  */
-router.put('/:id', validateBody(leadSchema.partial()), async (req, res) => {
+router.put('/:id', requireWrite, validateBody(leadSchema.partial()), async (req, res) => {
   try {
+    const previous = req.body.score !== undefined ? await Lead.getLeadById(req.params.id) : null;
     const lead = await Lead.updateLead(req.params.id, req.body);
     
+    // A hand-set score is a manual override in the score history
+    if (previous && lead.score !== previous.score) {
+      await recordScore(lead.id, {
+        source: 'manual',
+        score: lead.score,
+        previousScore: previous.score,
+        reason: `Set by ${req.user.name || req.user.email}`,
+        changedBy: req.user.id
+      });
+    }
+    
     res.json({
       success: true,
       data: lead,
@@ -238,7 +807,7 @@ router.put('/:id', validateBody(leadSchema.partial()), async (req, res) => {
  * POST /api/leads/:id/attended
  * Mark a lead as attended (prevents no-show emails)
  */
-router.post('/:id/attended', async (req, res) => {
+router.post('/:id/attended', requireWrite, async (req, res) => {
   try {
     const lead = await Lead.getLeadById(req.params.id);
     
@@ -275,7 +844,7 @@ router.post('/:id/attended', async (req, res) => {
  * POST /api/leads/:id/score
  * Calculate priority score for a lead
  */
-router.post('/:id/score', async (req, res) => {
+router.post('/:id/score', requireWrite, async (req, res) => {
   try {
     const result = await scoreLead(req.params.id);
     res.json({
@@ -316,15 +885,15 @@ router.get('/:id/advice', async (req, res) => {
 
 /**
  * POST /api/leads/score-all
- * Score all unscored leads
+ * Queue a job scoring all unscored leads (see GET /api/jobs/:id for progress)
  */
-router.post('/score-all', async (req, res) => {
+router.post('/score-all', requireAdmin, async (req, res) => {
   try {
-    const results = await scoreAllLeads();
-    res.json({
+    const job = await enqueueRescore('unscored', req.user.email);
+    res.status(202).json({
       success: true,
-      data: results,
-      message: `Scored ${results.length} leads`
+      data: job,
+      message: job.payload?.scope === 'unscored' ? 'Scoring queued' : 'A rescore is already in progress'
     });
   } catch (error) {
     console.error('Error scoring leads:', error);
@@ -338,15 +907,15 @@ router.post('/score-all', async (req, res) => {
 
 /**
  * POST /api/leads/rescore-all
- * Re-score ALL leads (force recalculation)
+ * Queue a job re-scoring ALL leads (force recalculation)
  */
-router.post('/rescore-all', async (req, res) => {
+router.post('/rescore-all', requireAdmin, async (req, res) => {
   try {
-    const results = await rescoreAllLeads();
-    res.json({
+    const job = await enqueueRescore('all', req.user.email);
+    res.status(202).json({
       success: true,
-      data: results,
-      message: `Re-scored ${results.length} leads`
+      data: job,
+      message: job.payload?.scope === 'all' ? 'Re-scoring queued' : 'A rescore is already in progress'
     });
   } catch (error) {
     console.error('Error rescoring leads:', error);
@@ -360,10 +929,11 @@ router.post('/rescore-all', async (req, res) => {
 
 /**
  * GET /api/leads/rescore-stream
- * Stream progressive scoring updates via Server-Sent Events
- * Scores leads one at a time with real-time progress
+ * Start a rescore job (or join the one already running) and stream its
+ * progress via Server-Sent Events. Closing the stream leaves the job running;
+ * POST /api/jobs/:id/cancel stops it.
  */
-router.get('/rescore-stream', async (req, res) => {
+router.get('/rescore-stream', requireAdmin, async (req, res) => {
   // Set up SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -376,57 +946,45 @@ router.get('/rescore-stream', async (req, res) => {
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
   try {
-    // Get all leads to score
-    const result = await query('SELECT * FROM leads ORDER BY created_at DESC');
-    const leads = result.rows;
-    const total = leads.length;
+    let job = await enqueueRescore('all', req.user.email);
+    sendEvent('start', {
+      jobId: job.id,
+      total: job.progress?.total || 0,
+      message: job.status === 'running' ? 'Joined the rescore in progress' : 'Rescore queued...'
+    });
 
-    sendEvent('start', { total, message: `Starting to score ${total} leads...` });
+    let lastCurrent = null;
+    while (!closed) {
+      job = await getJob(job.id);
 
-    const results = [];
-    
-    for (let i = 0; i < leads.length; i++) {
-      const lead = leads[i];
-      
-      try {
-        // Score this lead
-        const scoreResult = await scoreLead(lead.id);
-        results.push(scoreResult);
-        
-        // Send progress update
-        sendEvent('progress', {
-          current: i + 1,
-          total,
-          percentage: Math.round(((i + 1) / total) * 100),
-          lead: {
-            id: lead.id,
-            name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
-            score: scoreResult.score,
-            intentCategory: scoreResult.intentCategory || scoreResult.intent_category,
-            priority: scoreResult.priority
-          }
-        });
-      } catch (err) {
-        console.error(`Error scoring lead ${lead.id}:`, err);
-        sendEvent('error', {
-          current: i + 1,
-          total,
-          leadId: lead.id,
-          error: err.message
-        });
+      if (job.progress && job.progress.current !== lastCurrent) {
+        lastCurrent = job.progress.current;
+        const { current, total, percentage, failed, lead } = job.progress;
+        sendEvent('progress', { jobId: job.id, current, total, percentage, failed, lead });
       }
-      
-      // Small delay to prevent rate limiting and allow UI to update
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
 
-    sendEvent('complete', {
-      total: results.length,
-      message: `Finished scoring ${results.length} leads`,
-      results
-    });
+      if (job.status === 'completed' || job.status === 'cancelled') {
+        const summary = job.result || { scored: job.progress?.current || 0, failed: job.progress?.failed || 0 };
+        sendEvent('complete', {
+          jobId: job.id,
+          total: summary.scored,
+          failed: summary.failed,
+          cancelled: job.status === 'cancelled' || !!summary.cancelled,
+          message: `Finished scoring ${summary.scored} leads`
+        });
+        break;
+      }
+      if (job.status === 'dead') {
+        sendEvent('error', { message: job.last_error || 'Rescore failed', fatal: true });
+        break;
+      }
 
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
   } catch (error) {
     console.error('Error in rescore stream:', error);
     sendEvent('error', { message: error.message, fatal: true });
@@ -437,11 +995,12 @@ router.get('/rescore-stream', async (req, res) => {
 
 /**
  * POST /api/leads/manual-send
- * Send manual message to selected leads
+ * Send manual message to selected leads, or to every lead in a saved segment (segmentId)
  */
-router.post('/manual-send', async (req, res) => {
+router.post('/manual-send', requireWrite, async (req, res) => {
   try {
-    const { leadIds, channel, emailAccount, whatsappInstance, subject, message } = req.body;
+    const { segmentId, channel, emailAccount, whatsappInstance, subject, message } = req.body;
+    const leadIds = await SegmentService.resolveTargetLeadIds({ leadIds: req.body.leadIds, segmentId }, req.user);
 
     if (!leadIds || leadIds.length === 0) {
       return res.status(400).json({ success: false, error: 'No leads selected' });
@@ -488,11 +1047,16 @@ router.post('/manual-send', async (req, res) => {
             fromEmail
           });
 
+          if (emailResult.suppressed) {
+            await recordSkippedSend({ leadId, channel: 'email', messageType: 'manual', subject: personalizedSubject, reason: emailResult.reason });
+          }
+
           results.push({ 
             leadId, 
             name: `${lead.first_name} ${lead.last_name}`,
             channel: 'email',
             success: emailResult.success !== false,
+            suppressed: emailResult.suppressed || false,
             to: lead.email
           });
         }
@@ -514,11 +1078,19 @@ router.post('/manual-send', async (req, res) => {
             isInitial
           });
 
+          if (waResult.suppressed) {
+            await recordSkippedSend({ leadId, channel: 'whatsapp', messageType: 'manual', reason: waResult.reason });
+          }
+
           results.push({ 
             leadId, 
             name: `${lead.first_name} ${lead.last_name}`,
             channel: 'whatsapp',
             success: waResult.success,
+            suppressed: waResult.suppressed || false,
+            throttled: waResult.throttled || false,
+            retryAt: waResult.retryAt,
+            error: waResult.error,
             to: lead.phone,
             instance: isInitial ? 'Haarith (+971)' : 'Meta (+44)'
           });
@@ -537,32 +1109,42 @@ router.post('/manual-send', async (req, res) => {
               ? 'haarith@structurelogistics.com' 
               : 'sales@structurelogistics.com';
 
-            await sendEmail({
+            const emailResult = await sendEmail({
               to: lead.email,
               subject: personalizedSubject,
               html: personalizedMessage.replace(/\n/g, '<br>'),
               fromName: emailAccount === 'haarith' ? 'Haarith Imran' : 'STRUCTURE Team',
               fromEmail
             });
+            if (emailResult.suppressed) {
+              await recordSkippedSend({ leadId, channel: 'email', messageType: 'manual', subject: personalizedSubject, reason: emailResult.reason });
+            }
           }
 
+          let waResult = null;
           if (lead.phone) {
             const personalizedMessage = message
               .replace(/{{first_name}}/g, lead.first_name || '')
               .replace(/{{name}}/g, lead.first_name || '');
 
-            await sendWhatsApp({
+            waResult = await sendWhatsApp({
               phone: lead.phone,
               message: personalizedMessage,
               isInitial: whatsappInstance === 'haarith'
             });
+            if (waResult.suppressed) {
+              await recordSkippedSend({ leadId, channel: 'whatsapp', messageType: 'manual', reason: waResult.reason });
+            }
           }
 
           results.push({ 
             leadId, 
             name: `${lead.first_name} ${lead.last_name}`,
             channel: 'both',
-            success: true
+            success: !waResult?.throttled,
+            throttled: waResult?.throttled || false,
+            retryAt: waResult?.retryAt,
+            error: waResult?.throttled ? waResult.error : undefined
           });
         }
       } catch (sendError) {
@@ -570,19 +1152,30 @@ router.post('/manual-send', async (req, res) => {
           leadId, 
           name: `${lead.first_name} ${lead.last_name}`,
           success: false, 
+          // Held back by the send limits (sendThrottleService), not failed
+          throttled: sendError.throttled || false,
+          retryAt: sendError.retryAt,
           error: sendError.message 
         });
       }
     }
 
     const successCount = results.filter(r => r.success).length;
+    const throttled = results.filter(r => r.throttled);
     
     res.json({
       success: true,
       data: results,
+      throttled: throttled.length,
+      // Earliest time a held-back send can go out
+      retryAt: throttled.length > 0 ? new Date(Math.min(...throttled.map(r => new Date(r.retryAt).getTime()))) : null,
       message: `Sent to ${successCount}/${leadIds.length} leads`
+        + (throttled.length > 0 ? `, ${throttled.length} held back by send limits` : '')
     });
   } catch (error) {
+    if (error.message === 'Segment not found') {
+      return res.status(404).json({ success: false, error: 'Segment not found' });
+    }
     console.error('Error in manual send:', error);
     res.status(500).json({
       success: false,
@@ -596,7 +1189,7 @@ router.post('/manual-send', async (req, res) => {
  * DELETE /api/leads/:id
  * Delete a lead
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireWrite, async (req, res) => {
   try {
     const deleted = await Lead.deleteLead(req.params.id);
     
@@ -631,9 +1224,11 @@ router.get('/:id/activities', async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     
     const result = await query(
-      `SELECT * FROM lead_activities 
-       WHERE lead_id = $1 
-       ORDER BY created_at DESC 
+      `SELECT a.*, u.name as performed_by_name
+       FROM lead_activities a
+       LEFT JOIN users u ON u.id::text = a.performed_by
+       WHERE a.lead_id = $1 
+       ORDER BY a.created_at DESC 
        LIMIT $2`,
       [id, limit]
     );
@@ -642,8 +1237,9 @@ router.get('/:id/activities', async (req, res) => {
       id: row.id,
       type: row.type,
       description: row.description,
-      metadata: row.metadata ? JSON.parse(row.metadata) : null,
+      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata,
       performed_by: row.performed_by,
+      performed_by_name: row.performed_by_name,
       created_at: row.created_at
     }));
     
@@ -662,106 +1258,149 @@ router.get('/:id/activities', async (req, res) => {
 });
 
 /**
- * POST /api/leads/:id/calls
- * Log a call for a lead
+ * GET /api/leads/:id/score-history
+ * Every score change, oldest first: source (rules, ai, conversation, manual),
+ * score, previous score, factors and reason
  */
-router.post('/:id/calls', async (req, res) => {
+router.get('/:id/score-history', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { outcome } = req.body; // 'answered' or 'unanswered'
-    
-    if (!outcome || !['answered', 'unanswered'].includes(outcome)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid outcome. Must be "answered" or "unanswered"'
-      });
-    }
-    
-    // Check if lead exists
-    const lead = await Lead.getLeadById(id);
-    if (!lead) {
-      return res.status(404).json({
-        success: false,
-        error: 'Lead not found'
-      });
-    }
-    
-    // Create activity
-    const activityId = uuidv4();
-    const now = new Date().toISOString();
-    
-    await query(
-      `INSERT INTO lead_activities (id, lead_id, type, description, metadata, performed_by, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [
-        activityId,
-        id,
-        'call',
-        `Call ${outcome === 'answered' ? 'answered' : 'unanswered'}`,
-        JSON.stringify({ outcome }),
-        'user', // TODO: get from auth
-        now
-      ]
-    );
-    
-    // Update lead's last_contacted_at
-    await query(
-      `UPDATE leads SET last_contacted_at = $1, updated_at = $1 WHERE id = $2`,
-      [now, id]
-    );
-    
-    // Get call count
-    const callCountResult = await query(
-      `SELECT COUNT(*) as count FROM lead_activities WHERE lead_id = $1 AND type = 'call'`,
-      [id]
-    );
-    const callCount = parseInt(callCountResult.rows[0].count);
+    const history = await getScoreHistory(req.params.id);
     
     res.json({
       success: true,
-      data: {
-        id: activityId,
-        outcome,
-        call_count: callCount,
-        created_at: now
-      }
+      data: history
     });
   } catch (error) {
-    console.error('Error logging call:', error);
+    console.error('Error fetching score history:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to log call',
+      error: 'Failed to fetch score history',
       message: error.message
     });
   }
 });
 
+/**
+ * POST /api/leads/:id/calls
+ * Log a call: outcome and/or disposition, duration, notes, next steps,
+ * callback time and an optional recording (base64). The disposition moves
+ * the lead's status and re-scores it.
+ */
+router.post('/:id/calls', requireWrite, validateBody(callLogSchema), async (req, res) => {
+  try {
+    const { call, statusChange, followUpTask, callCount } = await CallService.logCall(req.params.id, req.body, req.user);
+    
+    res.json({
+      success: true,
+      data: {
+        id: call.activity_id,
+        outcome: call.outcome,
+        call_count: callCount,
+        call,
+        status_change: statusChange,
+        follow_up_task: followUpTask,
+        created_at: call.called_at
+      }
+    });
+  } catch (error) {
+    sendCallError(res, error, 'Failed to log call');
+  }
+});
+
 /**
  * GET /api/leads/:id/calls
- * Get call count for a lead
+ * Call count and call history for a lead
  */
 router.get('/:id/calls', async (req, res) => {
   try {
-    const { id } = req.params;
-    
+    const calls = await CallService.getLeadCalls(req.params.id);
     const result = await query(
       `SELECT COUNT(*) as count FROM lead_activities WHERE lead_id = $1 AND type = 'call'`,
-      [id]
+      [req.params.id]
     );
     
-    const callCount = parseInt(result.rows[0].count);
+    res.json({
+      success: true,
+      data: {
+        call_count: parseInt(result.rows[0].count),
+        calls
+      }
+    });
+  } catch (error) {
+    sendCallError(res, error, 'Failed to fetch calls');
+  }
+});
+
+/**
+ * PUT /api/leads/calls/:callId
+ * Update a call's details. Also the hook for external transcription
+ * services: { transcript }.
+ */
+router.put('/calls/:callId', requireWrite, validateBody(callUpdateSchema), async (req, res) => {
+  try {
+    const call = await CallService.updateCall(req.params.callId, req.body);
     
     res.json({
       success: true,
-      data: { call_count: callCount }
+      data: call,
+      message: 'Call updated'
     });
   } catch (error) {
-    console.error('Error fetching call count:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch call count',
-      message: error.message
+    sendCallError(res, error, 'Failed to update call');
+  }
+});
+
+/**
+ * POST /api/leads/calls/:callId/recording
+ * Attach (or replace) a call recording: { filename, mimeType, data: base64 }
+ */
+router.post('/calls/:callId/recording', requireWrite, validateBody(callRecordingSchema), async (req, res) => {
+  try {
+    const call = await CallService.saveRecording(req.params.callId, req.body);
+    
+    res.json({
+      success: true,
+      data: call,
+      message: 'Recording saved'
+    });
+  } catch (error) {
+    sendCallError(res, error, 'Failed to save recording');
+  }
+});
+
+/**
+ * GET /api/leads/calls/:callId/recording
+ * Stream the recording file
+ */
+router.get('/calls/:callId/recording', async (req, res) => {
+  try {
+    const recording = await CallService.getRecording(req.params.callId);
+    if (!recording) throw new Error('Recording not found');
+    
+    res.setHeader('Content-Type', recording.mime_type);
+    res.setHeader('Content-Length', recording.size_bytes);
+    res.setHeader('Content-Disposition', `inline; filename="${recording.filename.replace(/"/g, '')}"`);
+    res.send(recording.data);
+  } catch (error) {
+    sendCallError(res, error, 'Failed to fetch recording');
+  }
+});
+
+/**
+ * POST /api/leads/calls/:callId/transcribe
+ * (Re-)transcribe a call's recording (see llmService)
+ */
+router.post('/calls/:callId/transcribe', requireWrite, async (req, res) => {
+  try {
+    const transcript = await CallService.transcribeCall(req.params.callId);
+    
+    res.json({
+      success: true,
+      data: await CallService.getCallById(req.params.callId),
+      message: transcript ? 'Call transcribed' : 'Transcription unavailable'
     });
+  } catch (error) {
+    sendCallError(res, error, 'Failed to transcribe call');
   }
 });
 
@@ -769,7 +1408,7 @@ router.get('/:id/calls', async (req, res) => {
  * PUT /api/leads/activities/:activityId
  * Update a call activity (change outcome)
  */
-router.put('/activities/:activityId', async (req, res) => {
+router.put('/activities/:activityId', requireWrite, async (req, res) => {
   try {
     const { activityId } = req.params;
     const { outcome } = req.body;
@@ -801,10 +1440,10 @@ router.put('/activities/:activityId', async (req, res) => {
       });
     }
     
-    // Update the activity
+    // Update the activity (keeping the rest of its metadata) and its call record
     await query(
       `UPDATE lead_activities 
-       SET description = $1, metadata = $2, updated_at = NOW()
+       SET description = $1, metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb, updated_at = NOW()
        WHERE id = $3`,
       [
         `Call ${outcome === 'answered' ? 'answered' : 'unanswered'}`,
@@ -812,6 +1451,10 @@ router.put('/activities/:activityId', async (req, res) => {
         activityId
       ]
     );
+    await query(
+      `UPDATE lead_calls SET outcome = $1, updated_at = NOW() WHERE activity_id = $2`,
+      [outcome, activityId]
+    );
     
     res.json({
       success: true,
@@ -831,7 +1474,7 @@ router.put('/activities/:activityId', async (req, res) => {
  * DELETE /api/leads/activities/:activityId
  * Delete a call activity
  */
-router.delete('/activities/:activityId', async (req, res) => {
+router.delete('/activities/:activityId', requireWrite, async (req, res) => {
   try {
     const { activityId } = req.params;
     
@@ -0,0 +1,204 @@
+/**
+ * Lead Routing Routes
+ *
+ * Sales reps in the rotation and the rules that route new leads to them.
+ * All endpoints are prefixed with /api/routing
+ */
+
+import { Router } from 'express';
+import LeadRoutingService from '../services/leadRoutingService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { salesRepSchema, routingRuleSchema, routingRuleUpdateSchema, validateBody } from '../middleware/validation.js';
+
+const router = Router();
+
+// Map service errors to HTTP responses
+function sendRoutingError(res, error, fallback) {
+  if (['User not found', 'Rule not found'].includes(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+// ==========================================
+// REPS
+// ==========================================
+
+/**
+ * GET /api/routing/reps
+ * Everyone who can own leads, with routing settings and open lead counts
+ */
+router.get('/reps', async (req, res) => {
+  try {
+    const reps = await LeadRoutingService.getReps();
+
+    res.json({
+      success: true,
+      data: reps
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to fetch reps');
+  }
+});
+
+/**
+ * PUT /api/routing/reps/:userId
+ * Add a user to the rotation or change their settings (admin).
+ * Reps may toggle their own availability. { is_available: false,
+ * reassign: true } also re-routes their untouched leads.
+ */
+router.put('/reps/:userId', validateBody(salesRepSchema), async (req, res) => {
+  try {
+    const { reassign, ...settings } = req.body;
+    const isSelf = req.params.userId === req.user.id;
+    const selfAvailabilityOnly = isSelf && Object.keys(settings).every(key => key === 'is_available');
+
+    if (req.user.role !== 'admin' && !selfAvailabilityOnly) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only admins can change routing settings'
+      });
+    }
+
+    const rep = await LeadRoutingService.upsertRep(req.params.userId, settings);
+    const reassigned = reassign && settings.is_available === false
+      ? await LeadRoutingService.reassignRepLeads(req.params.userId, { assignedBy: req.user.email })
+      : null;
+
+    res.json({
+      success: true,
+      data: rep,
+      reassigned,
+      message: reassigned ? `Reassigned ${reassigned.reassigned} of ${reassigned.total} new leads` : 'Rep updated'
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to update rep');
+  }
+});
+
+/**
+ * DELETE /api/routing/reps/:userId
+ * Take a user out of the rotation (their leads stay with them)
+ */
+router.delete('/reps/:userId', requireAdmin, async (req, res) => {
+  try {
+    const removed = await LeadRoutingService.removeRep(req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rep not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the rotation'
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to remove rep');
+  }
+});
+
+/**
+ * POST /api/routing/reps/:userId/reassign
+ * Re-route the rep's untouched (status new) leads to the rest of the team
+ */
+router.post('/reps/:userId/reassign', requireAdmin, async (req, res) => {
+  try {
+    const result = await LeadRoutingService.reassignRepLeads(req.params.userId, { assignedBy: req.user.email });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Reassigned ${result.reassigned} of ${result.total} new leads`
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to reassign leads');
+  }
+});
+
+// ==========================================
+// RULES
+// ==========================================
+
+/**
+ * GET /api/routing/rules
+ * Routing rules in the order they are checked
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await LeadRoutingService.getRules();
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to fetch routing rules');
+  }
+});
+
+/**
+ * POST /api/routing/rules
+ * Create a routing rule
+ */
+router.post('/rules', requireAdmin, validateBody(routingRuleSchema), async (req, res) => {
+  try {
+    const rule = await LeadRoutingService.createRule(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Routing rule created'
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to create routing rule');
+  }
+});
+
+/**
+ * PUT /api/routing/rules/:id
+ * Update a routing rule
+ */
+router.put('/rules/:id', requireAdmin, validateBody(routingRuleUpdateSchema), async (req, res) => {
+  try {
+    const rule = await LeadRoutingService.updateRule(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Routing rule updated'
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to update routing rule');
+  }
+});
+
+/**
+ * DELETE /api/routing/rules/:id
+ * Delete a routing rule
+ */
+router.delete('/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await LeadRoutingService.deleteRule(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Routing rule deleted'
+    });
+  } catch (error) {
+    sendRoutingError(res, error, 'Failed to delete routing rule');
+  }
+});
+
+export default router;
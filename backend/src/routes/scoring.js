@@ -0,0 +1,151 @@
+/**
+ * Scoring Model Routes
+ *
+ * Rule-based lead scoring: versions, rules, preview and rollback.
+ * All endpoints are prefixed with /api/scoring
+ */
+
+import { Router } from 'express';
+import ScoringService from '../services/scoringService.js';
+import { isLLMEnabled } from '../services/llmService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { scoringModelSchema, validateBody } from '../middleware/validation.js';
+
+const router = Router();
+
+// Map service errors to HTTP responses
+function sendScoringError(res, error, fallback) {
+  if (error.message === 'Scoring model not found') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+/**
+ * GET /api/scoring/models
+ * Every model version, newest first (rule and lead counts)
+ */
+router.get('/models', async (req, res) => {
+  try {
+    const models = await ScoringService.getModels();
+
+    res.json({
+      success: true,
+      data: models
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to fetch scoring models');
+  }
+});
+
+/**
+ * GET /api/scoring/models/active
+ * The active model with its rules
+ */
+router.get('/models/active', async (req, res) => {
+  try {
+    const model = await ScoringService.getActiveModel();
+
+    res.json({
+      success: true,
+      data: model,
+      ai_scoring: isLLMEnabled()
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to fetch active scoring model');
+  }
+});
+
+/**
+ * GET /api/scoring/models/:version
+ */
+router.get('/models/:version', async (req, res) => {
+  try {
+    const model = await ScoringService.getModel(parseInt(req.params.version) || 0);
+    if (!model) throw new Error('Scoring model not found');
+
+    res.json({
+      success: true,
+      data: model
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to fetch scoring model');
+  }
+});
+
+/**
+ * POST /api/scoring/models
+ * Publish rules as the next version and make it active: { name?, notes?, rules }
+ * Existing scores keep their version until the leads are re-scored.
+ */
+router.post('/models', requireAdmin, validateBody(scoringModelSchema), async (req, res) => {
+  try {
+    const model = await ScoringService.publishModel(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: model,
+      message: `Scoring model v${model.version} is now active`
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to publish scoring model');
+  }
+});
+
+/**
+ * POST /api/scoring/models/:version/activate
+ * Roll back (or forward) to another version
+ */
+router.post('/models/:version/activate', requireAdmin, async (req, res) => {
+  try {
+    const model = await ScoringService.activateModel(parseInt(req.params.version) || 0);
+
+    res.json({
+      success: true,
+      data: model,
+      message: `Scoring model v${model.version} is now active`
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to activate scoring model');
+  }
+});
+
+/**
+ * POST /api/scoring/preview
+ * How every lead would score under { rules }, against its current score
+ */
+router.post('/preview', requireAdmin, validateBody(scoringModelSchema.pick({ rules: true })), async (req, res) => {
+  try {
+    const preview = await ScoringService.previewRules(req.body.rules);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to preview scoring rules');
+  }
+});
+
+/**
+ * GET /api/scoring/fields
+ * Fields rules can read (lead columns, last_call.*, custom fields in use)
+ */
+router.get('/fields', async (req, res) => {
+  try {
+    const fields = await ScoringService.getScoringFields();
+
+    res.json({
+      success: true,
+      data: {
+        fields,
+        operators: ScoringService.RULE_OPERATORS
+      }
+    });
+  } catch (error) {
+    sendScoringError(res, error, 'Failed to fetch scoring fields');
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+/**
+ * Segment Routes
+ *
+ * Saved lead segments (named Leads filters with live counts).
+ * All endpoints are prefixed with /api/segments
+ */
+
+import { Router } from 'express';
+import SegmentService from '../services/segmentService.js';
+import { requireWrite } from '../middleware/auth.js';
+import { segmentSchema, segmentUpdateSchema, validateBody } from '../middleware/validation.js';
+
+const router = Router();
+
+// Map service errors to HTTP responses
+function sendSegmentError(res, error, fallback) {
+  if (error.message === 'Segment not found') {
+    return res.status(404).json({ success: false, error: 'Segment not found' });
+  }
+  if (error.message === 'Not allowed') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Only the creator or an admin can change this segment'
+    });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+/**
+ * GET /api/segments
+ * Segments visible to the current user, with live lead counts
+ * ?pinned=true for the sidebar
+ */
+router.get('/', async (req, res) => {
+  try {
+    const segments = await SegmentService.getSegments(req.user, {
+      pinnedOnly: req.query.pinned === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: segments
+    });
+  } catch (error) {
+    sendSegmentError(res, error, 'Failed to fetch segments');
+  }
+});
+
+/**
+ * GET /api/segments/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const segment = await SegmentService.getSegment(req.params.id, req.user);
+    if (!segment) throw new Error('Segment not found');
+
+    res.json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    sendSegmentError(res, error, 'Failed to fetch segment');
+  }
+});
+
+/**
+ * GET /api/segments/:id/leads
+ * A page of the leads currently in the segment
+ */
+router.get('/:id/leads', async (req, res) => {
+  try {
+    const segment = await SegmentService.getSegment(req.params.id, req.user);
+    if (!segment) throw new Error('Segment not found');
+
+    const result = await SegmentService.getSegmentLeads(segment, {
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100)
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: result.leads,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendSegmentError(res, error, 'Failed to fetch segment leads');
+  }
+});
+
+/**
+ * POST /api/segments
+ * Save a segment
+ */
+router.post('/', requireWrite, validateBody(segmentSchema), async (req, res) => {
+  try {
+    const segment = await SegmentService.createSegment(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: segment,
+      message: `Segment "${segment.name}" saved`
+    });
+  } catch (error) {
+    sendSegmentError(res, error, 'Failed to save segment');
+  }
+});
+
+/**
+ * PUT /api/segments/:id
+ * Rename, change filters, share or pin a segment
+ */
+router.put('/:id', requireWrite, validateBody(segmentUpdateSchema), async (req, res) => {
+  try {
+    const segment = await SegmentService.updateSegment(req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    sendSegmentError(res, error, 'Failed to update segment');
+  }
+});
+
+/**
+ * DELETE /api/segments/:id
+ */
+router.delete('/:id', requireWrite, async (req, res) => {
+  try {
+    await SegmentService.deleteSegment(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Segment deleted'
+    });
+  } catch (error) {
+    sendSegmentError(res, error, 'Failed to delete segment');
+  }
+});
+
+export default router;
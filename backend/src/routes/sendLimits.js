@@ -0,0 +1,52 @@
+/**
+ * Send Limit Routes
+ *
+ * Outbound rate limits and warm-ups per email account and WhatsApp
+ * instance, with each sender's current usage.
+ * All endpoints are prefixed with /api/send-limits
+ */
+
+import { Router } from 'express';
+import { getThrottlePolicy, setThrottlePolicy } from '../services/sendThrottleService.js';
+import { getRotationStats } from '../services/emailService.js';
+import { getWhatsAppUsage } from '../services/whatsappService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { sendThrottlePolicySchema, validateBody } from '../middleware/validation.js';
+
+const router = Router();
+
+/**
+ * GET /api/send-limits
+ * Limits per channel/sender, email rotation stats with per-account usage,
+ * and WhatsApp usage per instance
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [policy, email, whatsapp] = await Promise.all([
+      getThrottlePolicy(),
+      getRotationStats(),
+      getWhatsAppUsage()
+    ]);
+    res.json({ success: true, data: { policy, email, whatsapp } });
+  } catch (error) {
+    console.error('Failed to fetch send limits:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch send limits', message: error.message });
+  }
+});
+
+/**
+ * PUT /api/send-limits
+ * { email?: { perMinute?, perDay?, senders? }, whatsapp?: ... } (admin)
+ * senders: { [address or instance]: { perMinute?, perDay?, warmup? } }
+ */
+router.put('/', requireAdmin, validateBody(sendThrottlePolicySchema), async (req, res) => {
+  try {
+    const policy = await setThrottlePolicy(req.body);
+    res.json({ success: true, data: policy, message: 'Send limits updated' });
+  } catch (error) {
+    console.error('Failed to update send limits:', error);
+    res.status(500).json({ success: false, error: 'Failed to update send limits', message: error.message });
+  }
+});
+
+export default router;
@@ -7,6 +7,11 @@
 import { Router } from 'express';
 import * as SequenceService from '../services/sequenceService.js';
 import * as WhatsAppService from '../services/whatsappService.js';
+import * as StepVariantService from '../services/stepVariantService.js';
+import SegmentService from '../services/segmentService.js';
+import EmailTemplate from '../models/EmailTemplate.js';
+import { requireWrite, requireAdmin } from '../middleware/auth.js';
+import { sequenceSchema, sequenceStepSchema, stepVariantSchema, sequenceAnalyticsQuerySchema, bulkEnrollSchema, validateBody, validateQuery } from '../middleware/validation.js';
 
 const router = Router();
 
@@ -28,6 +33,70 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+// ==========================================
+// EMAIL TEMPLATES
+// ==========================================
+
+/**
+ * GET /api/sequences/templates
+ * List email templates (optional ?category=)
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await EmailTemplate.getTemplates({ category: req.query.category || null });
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/sequences/templates/categories
+ * List template categories (usable as step content pools)
+ */
+router.get('/templates/categories', async (req, res) => {
+  try {
+    const categories = await EmailTemplate.getTemplateCategories();
+    res.json({ success: true, data: categories });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sequences/templates
+ * Create an email template
+ */
+router.post('/templates', requireAdmin, async (req, res) => {
+  try {
+    const { name, subject, body } = req.body;
+    if (!name || !subject || !body) {
+      return res.status(400).json({ success: false, error: 'name, subject and body are required' });
+    }
+    
+    const template = await EmailTemplate.createTemplate(req.body);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/sequences/templates/:id
+ * Update an email template
+ */
+router.put('/templates/:id', requireAdmin, async (req, res) => {
+  try {
+    const template = await EmailTemplate.updateTemplate(req.params.id, req.body);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==========================================
 // SEQUENCES
 // ==========================================
@@ -80,6 +149,22 @@ router.get('/:slug/steps', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sequences/:slug/analytics
+ * Funnel per step and per value email (?dateFrom=YYYY-MM-DD&dateTo=YYYY-MM-DD)
+ */
+router.get('/:slug/analytics', validateQuery(sequenceAnalyticsQuerySchema), async (req, res) => {
+  try {
+    const analytics = await SequenceService.getSequenceAnalytics(req.params.slug, req.query);
+    if (!analytics) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+    res.json({ success: true, data: analytics });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/sequences/:slug/leads
  * Get leads enrolled in a sequence with their current step
@@ -116,19 +201,233 @@ router.get('/:slug/board', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sequences
+ * Create a sequence (add steps with POST /:id/steps)
+ */
+router.post('/', requireAdmin, validateBody(sequenceSchema), async (req, res) => {
+  try {
+    const sequence = await SequenceService.createSequence(req.body);
+    res.status(201).json({ success: true, data: sequence });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A sequence with this slug already exists' });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/sequences/:id
+ * Update sequence details or activate/deactivate (slug is fixed)
+ */
+router.put('/:id', requireAdmin, validateBody(sequenceSchema.omit({ slug: true }).partial()), async (req, res) => {
+  try {
+    const sequence = await SequenceService.updateSequence(req.params.id, req.body);
+    if (!sequence) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+    res.json({ success: true, data: sequence });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sequences/:id
+ * Delete a sequence that has never had leads enrolled
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await SequenceService.deleteSequence(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+    res.json({ success: true, message: 'Sequence deleted' });
+  } catch (error) {
+    if (error.message.includes('has enrollments')) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sequences/:id/clone
+ * Copy a sequence and its steps (body: optional name, slug)
+ */
+router.post('/:id/clone', requireAdmin, validateBody(sequenceSchema.pick({ name: true, slug: true }).partial()), async (req, res) => {
+  try {
+    const clone = await SequenceService.cloneSequence(req.params.id, req.body);
+    if (!clone) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+    res.status(201).json({ success: true, data: clone });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A sequence with this slug already exists' });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// STEPS
+// ==========================================
+
+/**
+ * POST /api/sequences/:id/steps
+ * Add a step (step_order = position to insert at, default last)
+ */
+router.post('/:id/steps', requireAdmin, validateBody(sequenceStepSchema), async (req, res) => {
+  try {
+    const sequence = await SequenceService.getSequenceById(req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+    const step = await SequenceService.addSequenceStep(sequence.id, req.body);
+    res.status(201).json({ success: true, data: step });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/sequences/:id/steps/reorder
+ * Reorder steps (body: { stepIds: [...] } in the new order)
+ */
+router.put('/:id/steps/reorder', requireAdmin, async (req, res) => {
+  try {
+    const { stepIds } = req.body;
+    if (!Array.isArray(stepIds)) {
+      return res.status(400).json({ success: false, error: 'stepIds array required' });
+    }
+    const steps = await SequenceService.reorderSequenceSteps(req.params.id, stepIds);
+    res.json({ success: true, data: steps });
+  } catch (error) {
+    if (error.message.startsWith('stepIds')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * PUT /api/sequences/steps/:stepId
- * Update a sequence step (content)
+ * Update a sequence step (content, delay, channel, active)
  */
-router.put('/steps/:stepId', async (req, res) => {
+router.put('/steps/:stepId', requireAdmin, validateBody(sequenceStepSchema.omit({ step_order: true }).partial()), async (req, res) => {
   try {
     const step = await SequenceService.updateSequenceStep(req.params.stepId, req.body);
+    if (!step) {
+      return res.status(404).json({ success: false, error: 'Step not found' });
+    }
     res.json({ success: true, data: step });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * DELETE /api/sequences/steps/:stepId
+ * Delete a step (later steps move up)
+ */
+router.delete('/steps/:stepId', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await SequenceService.deleteSequenceStep(req.params.stepId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Step not found' });
+    }
+    res.json({ success: true, message: 'Step deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==========================================
+// A/B VARIANTS
+// ==========================================
+
+/**
+ * GET /api/sequences/steps/:stepId/variants
+ * Step A/B settings and per-variant results
+ */
+router.get('/steps/:stepId/variants', async (req, res) => {
+  try {
+    const data = await StepVariantService.getStepAbTest(req.params.stepId);
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Step not found' });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sequences/steps/:stepId/variants
+ * Add a variant to a step
+ */
+router.post('/steps/:stepId/variants', requireAdmin, validateBody(stepVariantSchema), async (req, res) => {
+  try {
+    const step = await StepVariantService.getStepAbTest(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({ success: false, error: 'Step not found' });
+    }
+    const variant = await StepVariantService.createVariant(req.params.stepId, req.body);
+    res.status(201).json({ success: true, data: variant });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/sequences/variants/:variantId
+ * Update a variant (content, weight, active)
+ */
+router.put('/variants/:variantId', requireAdmin, validateBody(stepVariantSchema.partial()), async (req, res) => {
+  try {
+    const variant = await StepVariantService.updateVariant(req.params.variantId, req.body);
+    if (!variant) {
+      return res.status(404).json({ success: false, error: 'Variant not found' });
+    }
+    res.json({ success: true, data: variant });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sequences/variants/:variantId
+ */
+router.delete('/variants/:variantId', requireAdmin, async (req, res) => {
+  try {
+    const variant = await StepVariantService.deleteVariant(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ success: false, error: 'Variant not found' });
+    }
+    res.json({ success: true, message: 'Variant deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sequences/variants/:variantId/promote
+ * Declare a winner: it stays active, the step's other variants are switched off
+ */
+router.post('/variants/:variantId/promote', requireAdmin, async (req, res) => {
+  try {
+    const variant = await StepVariantService.promoteVariant(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ success: false, error: 'Variant not found' });
+    }
+    res.json({ success: true, data: variant });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==========================================
 // LEAD ENROLLMENT
 // ==========================================
@@ -137,7 +436,7 @@ router.put('/steps/:stepId', async (req, res) => {
  * POST /api/sequences/enroll
  * Manually enroll a lead in a sequence
  */
-router.post('/enroll', async (req, res) => {
+router.post('/enroll', requireWrite, async (req, res) => {
   try {
     const { leadId, sequenceSlug, meetingTime } = req.body;
     
@@ -150,18 +449,56 @@ router.post('/enroll', async (req, res) => {
       enrolledBy: 'manual'
     });
     
+    if (!enrollment) {
+      return res.status(400).json({ success: false, error: 'Sequence is inactive' });
+    }
+    
     res.json({ success: true, data: enrollment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * POST /api/sequences/enroll/bulk
+ * Enroll many leads in a sequence - explicit leadIds or every lead in a saved segment
+ */
+router.post('/enroll/bulk', requireWrite, validateBody(bulkEnrollSchema), async (req, res) => {
+  try {
+    const { sequenceSlug, leadIds, segmentId } = req.body;
+    const targetIds = await SegmentService.resolveTargetLeadIds({ leadIds, segmentId }, req.user);
+
+    if (targetIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No leads to enroll' });
+    }
+
+    const result = await SequenceService.bulkEnrollLeads(targetIds, sequenceSlug, {
+      enrolledBy: segmentId ? 'segment' : 'manual'
+    });
+
+    if (!result) {
+      return res.status(400).json({ success: false, error: 'Sequence is inactive' });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Enrolled ${result.enrolled} of ${result.total} leads`
+    });
+  } catch (error) {
+    if (error.message === 'Segment not found' || error.message.startsWith('Sequence not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/sequences/manual-send
  * Manually trigger sending a specific step to a lead
  * This is TAMPERPROOF - it won't duplicate sends and auto will skip to next
  */
-router.post('/manual-send', async (req, res) => {
+router.post('/manual-send', requireWrite, async (req, res) => {
   try {
     const { leadId, stepId } = req.body;
     
@@ -181,7 +518,7 @@ router.post('/manual-send', async (req, res) => {
  * POST /api/sequences/cancel
  * Cancel a lead's sequence
  */
-router.post('/cancel', async (req, res) => {
+router.post('/cancel', requireWrite, async (req, res) => {
   try {
     const { leadId, sequenceSlug, reason } = req.body;
     
@@ -197,11 +534,30 @@ router.post('/cancel', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sequences/resume
+ * Resume a sequence that was paused (e.g. after the lead replied)
+ */
+router.post('/resume', requireWrite, async (req, res) => {
+  try {
+    const { leadId, sequenceSlug } = req.body;
+
+    const enrollment = await SequenceService.resumeLeadSequence(leadId, sequenceSlug);
+    if (!enrollment) {
+      return res.status(404).json({ success: false, error: 'No paused enrollment found' });
+    }
+
+    res.json({ success: true, data: enrollment, message: 'Sequence resumed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/sequences/meeting-booked
  * Handle meeting booked event
  */
-router.post('/meeting-booked', async (req, res) => {
+router.post('/meeting-booked', requireWrite, async (req, res) => {
   try {
     const { leadId, meetingTime } = req.body;
     
@@ -220,7 +576,7 @@ router.post('/meeting-booked', async (req, res) => {
  * POST /api/sequences/no-show
  * Handle no-show event
  */
-router.post('/no-show', async (req, res) => {
+router.post('/no-show', requireWrite, async (req, res) => {
   try {
     const { leadId } = req.body;
     
@@ -239,7 +595,7 @@ router.post('/no-show', async (req, res) => {
  * POST /api/sequences/meeting-completed
  * Handle meeting completed event
  */
-router.post('/meeting-completed', async (req, res) => {
+router.post('/meeting-completed', requireWrite, async (req, res) => {
   try {
     const { leadId } = req.body;
     
@@ -290,19 +646,26 @@ router.get('/lead/:leadId/status', async (req, res) => {
 
 /**
  * POST /api/sequences/newsletter/send
- * Send newsletter to all subscribers
+ * Send newsletter to all subscribers, or only those in a saved segment (segmentId)
  */
-router.post('/newsletter/send', async (req, res) => {
+router.post('/newsletter/send', requireAdmin, async (req, res) => {
   try {
-    const { subject, body } = req.body;
+    const { subject, body, segmentId } = req.body;
     
     if (!subject || !body) {
       return res.status(400).json({ success: false, error: 'subject and body required' });
     }
     
-    const result = await SequenceService.sendNewsletter(subject, body);
+    const leadIds = segmentId
+      ? await SegmentService.resolveTargetLeadIds({ segmentId }, req.user)
+      : null;
+    
+    const result = await SequenceService.sendNewsletter(subject, body, { leadIds });
     res.json({ success: true, data: result });
   } catch (error) {
+    if (error.message === 'Segment not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -329,7 +692,7 @@ router.get('/whatsapp/status', async (req, res) => {
  * POST /api/sequences/whatsapp/config
  * Save WhatsApp config
  */
-router.post('/whatsapp/config', async (req, res) => {
+router.post('/whatsapp/config', requireAdmin, async (req, res) => {
   try {
     const { instance_name, api_url, api_key } = req.body;
     
@@ -353,7 +716,7 @@ router.post('/whatsapp/config', async (req, res) => {
  * POST /api/sequences/whatsapp/test
  * Send test WhatsApp message
  */
-router.post('/whatsapp/test', async (req, res) => {
+router.post('/whatsapp/test', requireWrite, async (req, res) => {
   try {
     const { phone, message } = req.body;
     
@@ -369,18 +732,18 @@ router.post('/whatsapp/test', async (req, res) => {
 });
 
 // ==========================================
-// QUEUE PROCESSING (for scheduler)
+// QUEUE PROCESSING
 // ==========================================
 
 /**
  * POST /api/sequences/process-queue
- * Manually trigger queue processing (for testing)
- * In production, this should be called by a scheduler
+ * Run the message queue job now instead of waiting for its next run
+ * (for testing). Waits up to a minute for it to finish.
  */
-router.post('/process-queue', async (req, res) => {
+router.post('/process-queue', requireAdmin, async (req, res) => {
   try {
-    const processed = await SequenceService.processMessageQueue();
-    res.json({ success: true, processed });
+    const job = await SequenceService.triggerMessageQueue({ wait: 60 * 1000 });
+    res.json({ success: true, processed: job.result?.processed ?? 0, job });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -390,10 +753,11 @@ router.post('/process-queue', async (req, res) => {
  * POST /api/sequences/admin/seed-ebook
  * Admin endpoint to seed or update the ebook_nurture sequence
  */
-router.post('/admin/seed-ebook', async (req, res) => {
+router.post('/admin/seed-ebook', requireAdmin, async (req, res) => {
   try {
     const { query } = await import('../database/connection.js');
     const { EBOOK_NURTURE_STEPS } = await import('../database/schema-sequences.js');
+    const { linkSequenceStepContent } = await import('../database/seed-templates.js');
     
     // Check if sequence already exists
     const existing = await query("SELECT id FROM sequences WHERE slug = 'ebook_nurture'");
@@ -428,6 +792,7 @@ router.post('/admin/seed-ebook', async (req, res) => {
         [sequenceId, step.step_order, step.name, step.delay_value, step.delay_unit, step.channel]
       );
     }
+    await linkSequenceStepContent(sequenceId);
     
     res.json({ 
       success: true, 
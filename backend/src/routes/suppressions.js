@@ -0,0 +1,91 @@
+/**
+ * Suppression Routes
+ *
+ * Manage the global do-not-contact list.
+ * All endpoints are prefixed with /api/suppressions
+ */
+
+import { Router } from 'express';
+import SuppressionService from '../services/suppressionService.js';
+import { requireWrite, requireAdmin } from '../middleware/auth.js';
+import { suppressionSchema, suppressionQuerySchema, validateBody, validateQuery } from '../middleware/validation.js';
+
+const router = Router();
+
+/**
+ * GET /api/suppressions
+ * List suppressed addresses
+ */
+router.get('/', validateQuery(suppressionQuerySchema), async (req, res) => {
+  try {
+    const result = await SuppressionService.getSuppressions(req.query);
+
+    res.json({
+      success: true,
+      data: result.suppressions,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching suppressions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch suppressions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/suppressions
+ * Suppress an address (email or WhatsApp number)
+ */
+router.post('/', requireWrite, validateBody(suppressionSchema), async (req, res) => {
+  try {
+    const suppression = await SuppressionService.suppress({
+      ...req.body,
+      source: `user:${req.user.email}`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: suppression
+    });
+  } catch (error) {
+    console.error('Error adding suppression:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add suppression',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/suppressions/:id
+ * Remove a suppression (re-allows sending - consent is not restored)
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await SuppressionService.removeSuppression(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suppression not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Removed ${removed.address} from the suppression list`
+    });
+  } catch (error) {
+    console.error('Error removing suppression:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove suppression',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+/**
+ * Task Routes
+ *
+ * Follow-up tasks and reminders per lead (the task inbox).
+ * All endpoints are prefixed with /api/tasks
+ */
+
+import { Router } from 'express';
+import TaskService from '../services/taskService.js';
+import { requireWrite } from '../middleware/auth.js';
+import { taskSchema, taskUpdateSchema, taskQuerySchema, validateBody, validateQuery } from '../middleware/validation.js';
+
+const router = Router();
+
+// Map service errors to HTTP responses
+function sendTaskError(res, error, fallback) {
+  if (['Task not found', 'Lead not found', 'User not found'].includes(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (['Task is not open', 'Lead already has this open task'].includes(error.message)) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, error: fallback, message: error.message });
+}
+
+/**
+ * GET /api/tasks
+ * Task inbox. ?status=open|completed|cancelled|all&due=overdue|today|upcoming
+ * &assignedTo=me|unassigned|<userId>&leadId=&type=&timezone=
+ */
+router.get('/', validateQuery(taskQuerySchema), async (req, res) => {
+  try {
+    const result = await TaskService.getTasks(req.query, req.user);
+
+    res.json({
+      success: true,
+      data: result.tasks,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to fetch tasks');
+  }
+});
+
+/**
+ * GET /api/tasks/summary
+ * The current user's open task counts (overdue, due today, open)
+ */
+router.get('/summary', validateQuery(taskQuerySchema.pick({ timezone: true })), async (req, res) => {
+  try {
+    const summary = await TaskService.getTaskSummary(req.user.id, req.query.timezone);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to fetch task summary');
+  }
+});
+
+/**
+ * GET /api/tasks/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await TaskService.getTaskById(req.params.id);
+    if (!task) throw new Error('Task not found');
+
+    res.json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to fetch task');
+  }
+});
+
+/**
+ * POST /api/tasks
+ * Create a task (owner defaults to the lead's owner)
+ */
+router.post('/', requireWrite, validateBody(taskSchema), async (req, res) => {
+  try {
+    const task = await TaskService.createTask(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: task,
+      message: 'Task created'
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to create task');
+  }
+});
+
+/**
+ * PUT /api/tasks/:id
+ * Update a task (reschedule, reassign, cancel, reopen)
+ */
+router.put('/:id', requireWrite, validateBody(taskUpdateSchema), async (req, res) => {
+  try {
+    const task = await TaskService.updateTask(req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task updated'
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to update task');
+  }
+});
+
+/**
+ * POST /api/tasks/:id/complete
+ * Mark a task done; recurring tasks return their next occurrence
+ */
+router.post('/:id/complete', requireWrite, async (req, res) => {
+  try {
+    const { task, next } = await TaskService.completeTask(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: task,
+      next,
+      message: next ? 'Task completed - next one scheduled' : 'Task completed'
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to complete task');
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id
+ */
+router.delete('/:id', requireWrite, async (req, res) => {
+  try {
+    const deleted = await TaskService.deleteTask(req.params.id);
+    if (!deleted) throw new Error('Task not found');
+
+    res.json({
+      success: true,
+      message: 'Task deleted'
+    });
+  } catch (error) {
+    sendTaskError(res, error, 'Failed to delete task');
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+/**
+ * Unsubscribe Routes
+ *
+ * Public, token-authenticated unsubscribe page.
+ * Mounted at /unsubscribe (links in every email point here).
+ *
+ * GET shows a confirm button (so link scanners can't unsubscribe people);
+ * POST unsubscribes - also the target of the List-Unsubscribe-Post
+ * one-click header.
+ */
+
+import { Router } from 'express';
+import { unsubscribeWithToken, verifyUnsubscribeToken } from '../services/suppressionService.js';
+
+const router = Router();
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+function renderPage(title, body) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${title}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+      line-height: 1.6;
+      color: #e2e8f0;
+      background: linear-gradient(135deg, #0f172a 0%, #1e293b 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 40px 20px;
+    }
+    .card {
+      background: rgba(30, 41, 59, 0.8);
+      border: 1px solid rgba(99, 102, 241, 0.2);
+      border-radius: 1rem;
+      padding: 2.5rem;
+      max-width: 440px;
+      text-align: center;
+    }
+    h1 { font-size: 1.5rem; margin-bottom: 1rem; color: #f1f5f9; }
+    p { color: #94a3b8; margin-bottom: 1.5rem; }
+    strong { color: #e2e8f0; }
+    button {
+      background: linear-gradient(135deg, #6366f1, #8b5cf6);
+      color: white;
+      border: none;
+      border-radius: 0.75rem;
+      padding: 0.75rem 2rem;
+      font-size: 1rem;
+      cursor: pointer;
+    }
+  </style>
+</head>
+<body>
+  <div class="card">
+    ${body}
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * GET /unsubscribe/:token
+ * Confirmation page
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const email = await verifyUnsubscribeToken(req.params.token);
+    if (!email) {
+      return res.status(400).send(renderPage('Invalid link', `
+        <h1>This link is invalid</h1>
+        <p>The unsubscribe link is incomplete or has been altered. Please use the link from the latest email you received.</p>
+      `));
+    }
+
+    res.send(renderPage('Unsubscribe', `
+      <h1>Unsubscribe</h1>
+      <p>Stop all emails to <strong>${escapeHtml(email)}</strong>?</p>
+      <form method="POST">
+        <button type="submit">Unsubscribe</button>
+      </form>
+    `));
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).send(renderPage('Error', '<h1>Something went wrong</h1><p>Please try again later.</p>'));
+  }
+});
+
+/**
+ * POST /unsubscribe/:token
+ * Unsubscribe (form submit or RFC 8058 one-click)
+ */
+router.post('/:token', async (req, res) => {
+  try {
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    const email = await unsubscribeWithToken(req.params.token, oneClick ? 'one_click' : 'unsubscribe_link');
+
+    if (!email) {
+      return res.status(400).send(renderPage('Invalid link', `
+        <h1>This link is invalid</h1>
+        <p>The unsubscribe link is incomplete or has been altered.</p>
+      `));
+    }
+
+    res.send(renderPage('Unsubscribed', `
+      <h1>You're unsubscribed</h1>
+      <p><strong>${escapeHtml(email)}</strong> won't receive any more emails from us.</p>
+    `));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).send(renderPage('Error', '<h1>Something went wrong</h1><p>Please try again later.</p>'));
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+/**
+ * User Routes
+ *
+ * Admin-only user management.
+ * All endpoints are prefixed with /api/users
+ */
+
+import { Router } from 'express';
+import User from '../models/User.js';
+import { hashPassword, revokeUserSessions } from '../services/authService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { userSchema, validateBody } from '../middleware/validation.js';
+
+const router = Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/users
+ * List all users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await User.getUsers();
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/users
+ * Create a user
+ */
+router.post('/', validateBody(userSchema), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    const existing = await User.getUserByEmailWithPassword(email);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+
+    const user = await User.createUser({
+      email,
+      name,
+      role,
+      password_hash: await hashPassword(password)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Update a user's details, role, status or password
+ */
+router.put('/:id', validateBody(userSchema.partial()), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password, ...updates } = req.body;
+
+    if (id === req.user.id && ((updates.role && updates.role !== 'admin') || updates.is_active === false)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot demote or deactivate your own account'
+      });
+    }
+
+    if (password) {
+      updates.password_hash = await hashPassword(password);
+    }
+
+    const user = await User.updateUser(id, updates);
+
+    // Force re-login when credentials or access change
+    if (password || updates.role || updates.is_active === false) {
+      await revokeUserSessions(id);
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete a user
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    const deleted = await User.deleteUser(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete user',
+      message: error.message
+    });
+  }
+});
+
+export default router;
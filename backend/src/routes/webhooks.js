@@ -10,6 +10,10 @@ import Lead from '../models/Lead.js';
 import WebhookLog from '../models/WebhookLog.js';
 import { webhookLogQuerySchema, validateQuery } from '../middleware/validation.js';
 import { enrollLead, onMeetingBooked, onMeetingCancelled, onMeetingRescheduled } from '../services/sequenceService.js';
+import { requireAuth, requireWrite, requireAdmin, requireWebhookSecret } from '../middleware/auth.js';
+import { verifyResendSignature, processResendEvent, buildSimulatedResendEvent } from '../services/emailTrackingService.js';
+import { findExistingLead, recordDuplicateSubmission, flagDuplicates } from '../services/leadDedupService.js';
+import { assignNewLead } from '../services/leadRoutingService.js';
 
 const router = Router();
 
@@ -91,7 +95,7 @@ function verifyCalcomSignature(payload, signature, secret) {
 /**
  * GET /api/webhooks/logs
  */
-router.get('/logs', validateQuery(webhookLogQuerySchema), async (req, res) => {
+router.get('/logs', requireAuth, validateQuery(webhookLogQuerySchema), async (req, res) => {
   try {
     const options = {
       ...req.query,
@@ -109,7 +113,7 @@ router.get('/logs', validateQuery(webhookLogQuerySchema), async (req, res) => {
 /**
  * GET /api/webhooks/logs/recent
  */
-router.get('/logs/recent', async (req, res) => {
+router.get('/logs/recent', requireAuth, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const logs = await WebhookLog.getRecentWebhookLogs(limit);
@@ -123,7 +127,7 @@ router.get('/logs/recent', async (req, res) => {
 /**
  * GET /api/webhooks/stats
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireAuth, async (req, res) => {
   try {
     const stats = await WebhookLog.getWebhookStats();
     res.json({ success: true, data: stats });
@@ -136,7 +140,7 @@ router.get('/stats', async (req, res) => {
 /**
  * GET /api/webhooks/logs/:id
  */
-router.get('/logs/:id', async (req, res) => {
+router.get('/logs/:id', requireAuth, async (req, res) => {
   try {
     const log = await WebhookLog.getWebhookLogById(req.params.id);
     if (!log) {
@@ -152,7 +156,7 @@ router.get('/logs/:id', async (req, res) => {
 /**
  * GET /api/webhooks/meta/debug - Debug endpoint to see query parsing
  */
-router.get('/meta/debug', (req, res) => {
+router.get('/meta/debug', requireAuth, requireAdmin, (req, res) => {
   res.json({
     rawQuery: req.query,
     hubMode: req.query['hub.mode'],
@@ -195,6 +199,65 @@ router.get('/meta', (req, res) => {
   res.status(403).send('Forbidden');
 });
 
+/**
+ * Helper: Create a lead from a Meta leadgen event and enroll it in new_lead
+ * A repeat submission (same leadgen ID, email or phone) is folded into the
+ * existing lead instead - no second lead, no second sequence.
+ * Returns { lead, duplicate }
+ */
+async function saveMetaLead(leadInfo, data) {
+  const existing = await findExistingLead({
+    sourceId: data.leadgen_id,
+    email: leadInfo.email,
+    phone: leadInfo.phone
+  });
+  
+  if (existing) {
+    if (existing.matchedOn !== 'source_id') {
+      await recordDuplicateSubmission(existing.lead, {
+        first_name: leadInfo.first_name,
+        last_name: leadInfo.last_name,
+        email: leadInfo.email,
+        phone: leadInfo.phone,
+        meta_leadgen_id: data.leadgen_id,
+        meta_form_id: data.form_id
+      }, { source: 'meta_forms', matchedOn: existing.matchedOn });
+    }
+    return { lead: existing.lead, duplicate: true };
+  }
+  
+  const lead = await Lead.createLead({
+    first_name: leadInfo.first_name,
+    last_name: leadInfo.last_name,
+    email: leadInfo.email,
+    phone: leadInfo.phone,
+    source: 'meta_forms',
+    source_id: data.leadgen_id,
+    campaign_id: data.form_id,
+    custom_fields: {
+      ...leadInfo.custom_fields,
+      meta_form_id: data.form_id,
+      meta_page_id: data.page_id,
+      meta_leadgen_id: data.leadgen_id
+    },
+    notes: 'Lead from Meta Instant Forms'
+  });
+  
+  // Weaker matches (same name + company) go to the review queue
+  await flagDuplicates(lead.id).catch(err => console.error('Duplicate check failed:', err.message));
+  await assignNewLead(lead);
+  
+  // CRITICAL: Auto-enroll in nurture sequence
+  try {
+    await enrollLead(lead.id, 'new_lead', { enrolledBy: 'webhook' });
+    console.log(`✅ Lead ${lead.id} auto-enrolled in new_lead sequence`);
+  } catch (enrollError) {
+    console.error('Failed to enroll lead in sequence:', enrollError);
+  }
+  
+  return { lead, duplicate: false };
+}
+
 /**
  * POST /api/webhooks/meta - Receive Meta leads
  */
@@ -241,33 +304,10 @@ router.post('/meta', async (req, res) => {
           }
         }
         
-        const lead = await Lead.createLead({
-          first_name: leadInfo.first_name,
-          last_name: leadInfo.last_name,
-          email: leadInfo.email,
-          phone: leadInfo.phone,
-          source: 'meta_forms',
-          source_id: value.leadgen_id,
-          campaign_id: value.form_id,
-          custom_fields: {
-            ...leadInfo.custom_fields,
-            meta_form_id: value.form_id,
-            meta_page_id: value.page_id,
-            meta_leadgen_id: value.leadgen_id
-          },
-          notes: 'Lead from Meta Instant Forms'
-        });
-        
-        // CRITICAL: Auto-enroll in nurture sequence
-        try {
-          await enrollLead(lead.id, 'new_lead', { enrolledBy: 'webhook' });
-          console.log(`✅ Lead ${lead.id} auto-enrolled in new_lead sequence`);
-        } catch (enrollError) {
-          console.error('Failed to enroll lead in sequence:', enrollError);
-        }
+        const { lead, duplicate } = await saveMetaLead(leadInfo, value);
         
-        await WebhookLog.markWebhookProcessed(logId, lead.id, 200, JSON.stringify({ leadId: lead.id }));
-        return res.status(200).json({ success: true, data: { leadId: lead.id } });
+        await WebhookLog.markWebhookProcessed(logId, lead.id, 200, JSON.stringify({ leadId: lead.id, duplicate }));
+        return res.status(200).json({ success: true, data: { leadId: lead.id, duplicate } });
       }
       
       await WebhookLog.markWebhookProcessed(logId, null, 200, `Received ${field} event`);
@@ -281,6 +321,7 @@ router.post('/meta', async (req, res) => {
     }
 
     const leadsCreated = [];
+    let duplicates = 0;
     
     for (const pageEntry of entry) {
       for (const change of (pageEntry.changes || [])) {
@@ -299,38 +340,15 @@ router.post('/meta', async (req, res) => {
             }
           }
           
-          const lead = await Lead.createLead({
-            first_name: leadInfo.first_name,
-            last_name: leadInfo.last_name,
-            email: leadInfo.email,
-            phone: leadInfo.phone,
-            source: 'meta_forms',
-            source_id: data.leadgen_id,
-            campaign_id: data.form_id,
-            custom_fields: {
-              ...leadInfo.custom_fields,
-              meta_form_id: data.form_id,
-              meta_page_id: data.page_id,
-              meta_leadgen_id: data.leadgen_id
-            },
-            notes: 'Lead from Meta Instant Forms'
-          });
-          
-          // CRITICAL: Auto-enroll in nurture sequence
-          try {
-            await enrollLead(lead.id, 'new_lead', { enrolledBy: 'webhook' });
-            console.log(`✅ Lead ${lead.id} auto-enrolled in new_lead sequence`);
-          } catch (enrollError) {
-            console.error('Failed to enroll lead in sequence:', enrollError);
-          }
-          
-          leadsCreated.push(lead);
+          const { lead, duplicate } = await saveMetaLead(leadInfo, data);
+          if (duplicate) duplicates++;
+          else leadsCreated.push(lead);
         }
       }
     }
 
-    await WebhookLog.markWebhookProcessed(logId, leadsCreated[0]?.id, 200, JSON.stringify({ count: leadsCreated.length }));
-    res.status(200).json({ success: true, message: `Processed ${leadsCreated.length} leads` });
+    await WebhookLog.markWebhookProcessed(logId, leadsCreated[0]?.id, 200, JSON.stringify({ count: leadsCreated.length, duplicates }));
+    res.status(200).json({ success: true, message: `Processed ${leadsCreated.length} leads (${duplicates} repeat submissions)` });
   } catch (error) {
     console.error('Meta webhook error:', error);
     await WebhookLog.markWebhookFailed(logId, error.message, 500);
@@ -459,6 +477,8 @@ router.post('/calcom', async (req, res) => {
           },
           notes: `Direct booking via Cal.com: ${payload.title}`
         });
+        await flagDuplicates(lead.id).catch(err => console.error('Duplicate check failed:', err.message));
+        await assignNewLead(lead);
         
         // New lead from Cal.com = meeting already booked
         try {
@@ -481,10 +501,52 @@ router.post('/calcom', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/webhooks/resend - Receive Resend email events
+ * (delivered, opened, clicked, bounced, complained)
+ */
+router.post('/resend', async (req, res) => {
+  const rawBody = req.rawBody || JSON.stringify(req.body);
+  const signatureValid = verifyResendSignature(rawBody, req.headers, process.env.RESEND_WEBHOOK_SECRET);
+
+  const logId = await WebhookLog.createWebhookLog({
+    source: 'resend',
+    endpoint: '/api/webhooks/resend',
+    method: 'POST',
+    headers: req.headers,
+    payload: req.body,
+    query_params: req.query,
+    ip_address: getClientIP(req),
+    user_agent: req.headers['user-agent'],
+    signature_valid: signatureValid
+  });
+
+  if (process.env.RESEND_WEBHOOK_SECRET && signatureValid === false) {
+    await WebhookLog.markWebhookFailed(logId, 'Invalid signature', 401);
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await processResendEvent(req.body);
+
+    // Always 200 for unknown emails/events so Resend doesn't keep retrying them
+    const message = result.ignored ? `Event ${result.type} ignored`
+      : result.matched ? `${result.type} -> ${result.status}`
+      : `${result.type} for unknown email`;
+
+    await WebhookLog.markWebhookProcessed(logId, result.leadId, 200, JSON.stringify(result));
+    res.status(200).json({ success: true, message, data: result });
+  } catch (error) {
+    console.error('Resend webhook error:', error);
+    await WebhookLog.markWebhookFailed(logId, error.message, 500);
+    res.status(500).json({ success: false, error: 'Processing error' });
+  }
+});
+
 /**
  * POST /api/webhooks/test - Test webhook endpoint
  */
-router.post('/test', async (req, res) => {
+router.post('/test', requireWebhookSecret('WEBHOOK_SECRET', { allowSession: true }), async (req, res) => {
   const logId = await WebhookLog.createWebhookLog({
     source: 'test',
     endpoint: '/api/webhooks/test',
@@ -531,7 +593,7 @@ router.post('/test', async (req, res) => {
 /**
  * POST /api/webhooks/simulate/:type - Simulate webhooks
  */
-router.post('/simulate/:type', async (req, res) => {
+router.post('/simulate/:type', requireAuth, requireWrite, async (req, res) => {
   const { type } = req.params;
   const customData = req.body;
   
@@ -574,6 +636,12 @@ router.post('/simulate/:type', async (req, res) => {
         custom_fields: { booking_title: customData.title || 'Discovery Call', simulated: true },
         notes: 'Simulated Cal.com booking'
       });
+    } else if (type === 'resend') {
+      // Stand-in Resend event, run through the same handler as the real webhook
+      const event = await buildSimulatedResendEvent(customData);
+      const result = await processResendEvent(event);
+      await WebhookLog.markWebhookProcessed(logId, result.leadId, 200, JSON.stringify(result));
+      return res.status(200).json({ success: true, data: result, event, webhookLogId: logId });
     } else {
       return res.status(400).json({ success: false, error: `Unknown type: ${type}` });
     }
@@ -588,13 +656,26 @@ router.post('/simulate/:type', async (req, res) => {
 });
 
 /**
- * POST /api/webhooks/meta/poll - Manually trigger Meta leads poll
+ * POST /api/webhooks/meta/poll - Run the Meta leads poll job now
+ * Waits up to 2 minutes for it to finish
  */
-router.post('/meta/poll', async (req, res) => {
+router.post('/meta/poll', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { manualPoll } = await import('../services/metaLeadsPoller.js');
-    const processed = await manualPoll();
-    res.json({ success: true, message: `Polled Meta API`, leadsProcessed: processed });
+    const { isMetaPollingConfigured } = await import('../services/metaLeadsPoller.js');
+    if (!isMetaPollingConfigured()) {
+      return res.json({ success: true, message: 'META_PAGE_ACCESS_TOKEN not set, nothing to poll', leadsProcessed: 0 });
+    }
+
+    const { runJobNow } = await import('../services/jobQueueService.js');
+    const { META_POLL_JOB } = await import('../services/backgroundJobs.js');
+    const job = await runJobNow(META_POLL_JOB, { wait: 2 * 60 * 1000 });
+    if (job.status === 'dead') {
+      return res.status(502).json({ success: false, error: job.last_error, job });
+    }
+    if (job.status !== 'completed') {
+      return res.status(202).json({ success: true, message: `Poll still ${job.status}`, job });
+    }
+    res.json({ success: true, message: `Polled Meta API`, leadsProcessed: job.result?.processed ?? 0, job });
   } catch (error) {
     console.error('Manual poll error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -605,7 +686,7 @@ router.post('/meta/poll', async (req, res) => {
  * GET /api/webhooks/meta/debug - Debug endpoint to see raw Meta API response
  * Shows exactly what data Meta is returning for leads
  */
-router.get('/meta/debug', async (req, res) => {
+router.get('/meta/debug', requireAuth, requireAdmin, async (req, res) => {
   try {
     const pageAccessToken = process.env.META_PAGE_ACCESS_TOKEN;
     const formIds = (process.env.META_FORM_IDS || '').split(',').filter(Boolean);
@@ -674,7 +755,7 @@ router.get('/meta/debug', async (req, res) => {
  * GET /api/webhooks/meta/campaigns - Try to get leads organized by campaign
  * Alternative approach: query campaigns first, then get leads
  */
-router.get('/meta/campaigns', async (req, res) => {
+router.get('/meta/campaigns', requireAuth, async (req, res) => {
   try {
     const pageAccessToken = process.env.META_PAGE_ACCESS_TOKEN;
     const adAccountId = process.env.META_AD_ACCOUNT_ID;
@@ -787,6 +868,8 @@ router.post('/ebook', async (req, res) => {
         },
         notes: `Ebook signup: ${ebook_name || 'Logistics Automation Guide'}`
       });
+      await flagDuplicates(lead.id).catch(err => console.error('Duplicate check failed:', err.message));
+      await assignNewLead(lead);
       console.log(`📚 New ebook lead created: ${lead.id} (${email})`);
     }
 
@@ -8,124 +8,39 @@
  * - Produces an intent category + confidence + next action
  */
 
-import OpenAI from 'openai';
 import { query } from '../database/connection.js';
+import { getActiveModel, evaluateRules } from './scoringService.js';
+import { recordScore } from './scoreHistoryService.js';
+import { canUseLLM, completeJSON } from './llmService.js';
 
-const openai = process.env.OPENAI_API_KEY 
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
+/**
+ * The lead's most recent call with a disposition (null if none)
+ */
+async function getLatestCall(leadId) {
+  const result = await query(
+    `SELECT disposition, outcome, duration_seconds, notes, next_steps, called_at FROM lead_calls
+     WHERE lead_id = $1 AND disposition IS NOT NULL
+     ORDER BY called_at DESC LIMIT 1`,
+    [leadId]
+  );
+  return result.rows[0] || null;
+}
 
 /**
- * Fallback heuristic scoring (used only if OpenAI not configured)
+ * Fallback rule-based scoring (used when no LLM is configured or the AI
+ * budget is spent).
+ * Rules come from the active scoring model (see scoringService).
+ * Returns { score, reason, factors, modelVersion }.
  */
 export async function calculatePriorityScore(lead) {
-  let score = 0;
-  let factors = [];
-  
-  const cf = lead.custom_fields || {};
-  
-  // ============================================
-  // BUDGET SCORING (40 points max) - PRIMARY
-  // ============================================
-  const budgetField = (cf["what's_your_estimated_budget_for_ai_implementation?"] || cf.budget || '').toLowerCase();
-  
-  // Check for high budgets first (1M+, 600k+, 100k+)
-  if (budgetField.includes('1m') || budgetField.includes('1,000,000') || budgetField.includes('million')) {
-    score += 40;
-    factors.push({ factor: '🔥 Budget 1M+ AED', points: 40 });
-  } else if (budgetField.includes('600k') || budgetField.includes('500k') || budgetField.includes('600,000') || budgetField.includes('500,000')) {
-    score += 38;
-    factors.push({ factor: '🔥 Budget 500k-1M AED', points: 38 });
-  } else if (budgetField.includes('100k') || budgetField.includes('200k') || budgetField.includes('300k') || budgetField.includes('100,000')) {
-    score += 35;
-    factors.push({ factor: 'Budget 100k+ AED', points: 35 });
-  } else if (budgetField.includes('35k') || budgetField.includes('50k') || budgetField.includes('35,000') || budgetField.includes('50,000') || budgetField.includes('35k_-_100k') || budgetField.includes('35k_aed')) {
-    score += 30;
-    factors.push({ factor: 'Budget 35k-100k AED', points: 30 });
-  } else if (budgetField.includes('15k') || budgetField.includes('20k') || budgetField.includes('25k')) {
-    score += 20;
-    factors.push({ factor: 'Budget 15k-35k AED', points: 20 });
-  } else if (budgetField) {
-    score += 10;
-    factors.push({ factor: 'Has budget info', points: 10 });
-  }
+  const model = await getActiveModel();
+  const lastCall = lead.id ? await getLatestCall(lead.id) : null;
+  const { score, reason, factors } = evaluateRules(lead, model.rules, { lastCall });
 
-  // ============================================
-  // VOLUME SCORING (30 points max) - PRIMARY
-  // ============================================
-  const volumeField = (cf["how_many_shipments_do_you_receive_on_average_per_month?"] || cf.volume || cf.shipments || '').toLowerCase();
-  
-  if (volumeField.includes('10,000') || volumeField.includes('10000') || volumeField.includes('10k') || volumeField.includes('5,000_-_10,000')) {
-    score += 30;
-    factors.push({ factor: '🔥 Volume 10,000+ shipments', points: 30 });
-  } else if (volumeField.includes('5,000') || volumeField.includes('5000') || volumeField.includes('5k') || volumeField.includes('1,000_-_5,000')) {
-    score += 28;
-    factors.push({ factor: 'Volume 5,000+ shipments', points: 28 });
-  } else if (volumeField.includes('1,000') || volumeField.includes('1000') || volumeField.includes('1k')) {
-    score += 25;
-    factors.push({ factor: 'Volume 1,000+ shipments', points: 25 });
-  } else if (volumeField.includes('500') || volumeField.includes('500>') || volumeField.includes('500_-_1,000')) {
-    score += 22;
-    factors.push({ factor: 'Volume 500-1,000 shipments', points: 22 });
-  } else if (volumeField.includes('100') || volumeField.includes('200') || volumeField.includes('300') || volumeField.includes('100_-_500')) {
-    score += 15;
-    factors.push({ factor: 'Volume 100-500 shipments', points: 15 });
-  } else if (volumeField) {
-    score += 8;
-    factors.push({ factor: 'Has volume info', points: 8 });
-  }
-
-  // ============================================
-  // SECONDARY FACTORS (30 points max total)
-  // ============================================
-  
-  // Role (10 points max)
-  const roleField = (cf["what's_your_role_in_the_company?"] || lead.job_title || '').toLowerCase();
-  if (roleField.includes('owner') || roleField.includes('ceo') || roleField.includes('founder') || roleField.includes('managing director') || roleField.includes('md')) {
-    score += 10;
-    factors.push({ factor: 'Owner/CEO', points: 10 });
-  } else if (roleField.includes('director') || roleField.includes('vp') || roleField.includes('coo') || roleField.includes('cto')) {
-    score += 8;
-    factors.push({ factor: 'Director/VP', points: 8 });
-  } else if (roleField.includes('manager') || roleField.includes('head') || roleField.includes('lead')) {
-    score += 5;
-    factors.push({ factor: 'Manager', points: 5 });
-  }
-
-  // Meeting booked (8 points)
-  if (cf.booking_time || cf.calcom_booking_id) {
-    score += 8;
-    factors.push({ factor: 'Meeting booked', points: 8 });
-  }
+  console.log(`📊 Score: ${score}/100 for ${lead.first_name} ${lead.last_name} (model v${model.version ?? 'default'})`);
+  factors.forEach(f => console.log(`   ${f.points > 0 ? '+' : ''}${f.points}: ${f.factor}`));
 
-  // Contact info (7 points max)
-  if (lead.phone) {
-    score += 4;
-    factors.push({ factor: 'Has phone', points: 4 });
-  }
-  if (lead.company) {
-    score += 3;
-    factors.push({ factor: 'Has company', points: 3 });
-  }
-
-  // Business email (5 points)
-  if (lead.email && !lead.email.includes('gmail') && !lead.email.includes('yahoo') && !lead.email.includes('hotmail') && !lead.email.includes('outlook')) {
-    score += 5;
-    factors.push({ factor: 'Business email', points: 5 });
-  }
-
-  // Cap at 100
-  score = Math.min(100, score);
-  
-  // Generate reason
-  const topFactors = factors.sort((a, b) => b.points - a.points).slice(0, 3);
-  const reason = topFactors.map(f => f.factor).join(' | ');
-
-  console.log(`📊 Score: ${score}/100 for ${lead.first_name} ${lead.last_name}`);
-  console.log(`   Budget: "${budgetField}" | Volume: "${volumeField}"`);
-  factors.forEach(f => console.log(`   +${f.points}: ${f.factor}`));
-
-  return { score, reason, factors };
+  return { score, reason, factors, modelVersion: model.version };
 }
 
 function getNormalizedSignals(lead) {
@@ -195,6 +110,7 @@ async function aiScoreLeadInternal(lead) {
   const cf = lead.custom_fields || {};
   const signals = getNormalizedSignals(lead);
   const leadType = lead.lead_type || cf.campaign_type || null;
+  const lastCall = await getLatestCall(lead.id);
 
   const prompt = `You are an expert lead qualifier for STRUCTURE (logistics automation for freight forwarders/logistics in UAE/Dubai).
 
@@ -220,6 +136,7 @@ IMPORTANT RULES:
 - Detect fake/low-quality leads: gibberish names, suspicious email typos, job-seeker answers, inconsistent fields, nonsense text, random characters.
 - Budget + shipment volume are the PRIMARY factors (60% weight). Decision-maker is also major (15% weight).
 - If data is missing, do not guess aggressively; lower confidence.
+- A logged sales call outranks the form: "interested" is a strong buying signal, "not_interested" or "wrong_number" means low intent.
 - A 35k AED budget is OBJECTIVELY LOW for enterprise automation - do NOT score it highly.
 
 Scoring anchors (use these to calibrate):
@@ -262,19 +179,18 @@ LEAD:
 - shipments_max: ${signals.shipMax ?? 'null'}
 - decision_maker_flag: ${signals.dm ?? 'null'}
 - why_automate: ${signals.why || 'null'}
+- last_call: ${lastCall ? `${lastCall.disposition}${lastCall.notes ? ` - ${lastCall.notes.slice(0, 500)}` : ''}` : 'none'}
 - raw_form_fields: ${JSON.stringify(cf).slice(0, 4000)}`;
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [{ role: 'user', content: prompt }],
-    max_tokens: 400,
-    temperature: 0.2
+  // Cached: re-scoring an unchanged lead gets the same answer
+  const { data: parsed, model } = await completeJSON('lead_scoring', {
+    prompt,
+    maxTokens: 400,
+    temperature: 0.2,
+    cache: true,
+    leadId: lead.id
   });
 
-  const text = completion.choices[0]?.message?.content?.trim() || '{}';
-  const jsonMatch = text.match(/\{[\s\S]*\}/);
-  const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : text);
-
   // Basic sanity
   const score = Math.max(0, Math.min(100, Number(parsed.score ?? 0)));
   const priority = ['urgent', 'high', 'medium', 'low'].includes(parsed.priority)
@@ -288,7 +204,9 @@ LEAD:
     priority,
     flags: parsed.flags || {},
     top_reasons: Array.isArray(parsed.top_reasons) ? parsed.top_reasons.slice(0, 6) : [],
-    recommended_next_step: parsed.recommended_next_step || 'Follow up with a short qualifying message.'
+    recommended_next_step: parsed.recommended_next_step || 'Follow up with a short qualifying message.',
+    last_call_disposition: lastCall?.disposition || null,
+    model
   };
 }
 
@@ -304,7 +222,14 @@ function postProcessAiScore(lead, aiResult) {
     score = Math.min(score, 20);
   }
 
-  // Trust the AI score - no other caps. Let good leads score high.
+  // The rep heard it first-hand - cap leads who said no or can't be reached
+  if (aiResult.last_call_disposition === 'wrong_number') {
+    score = Math.min(score, 10);
+  } else if (aiResult.last_call_disposition === 'not_interested') {
+    score = Math.min(score, 25);
+  }
+
+  // Otherwise trust the AI score - no other caps. Let good leads score high.
 
   score = Math.max(0, Math.min(100, Math.round(score)));
 
@@ -315,7 +240,7 @@ function postProcessAiScore(lead, aiResult) {
   };
 }
 
-async function persistAiScore(leadId, aiResult) {
+async function persistAiScore(lead, aiResult) {
   const patch = {
     ai_intent_score: aiResult.score,
     ai_intent_category: aiResult.intent_category,
@@ -323,19 +248,46 @@ async function persistAiScore(leadId, aiResult) {
     ai_flags: aiResult.flags,
     ai_top_reasons: aiResult.top_reasons,
     ai_recommended_next_step: aiResult.recommended_next_step,
-    ai_model: 'gpt-4o-mini',
+    ai_model: aiResult.model,
     ai_scored_at: new Date().toISOString()
   };
 
+  // AI scores are not produced by a rule model version
   await query(
     `UPDATE leads
      SET score = $1,
          priority = $2,
          custom_fields = COALESCE(custom_fields, '{}'::jsonb) || $3::jsonb,
+         score_model_version = NULL,
          updated_at = NOW()
      WHERE id = $4`,
-    [aiResult.score, aiResult.priority, JSON.stringify(patch), leadId]
+    [aiResult.score, aiResult.priority, JSON.stringify(patch), lead.id]
   );
+
+  await recordScore(lead.id, {
+    source: 'ai',
+    score: aiResult.score,
+    previousScore: lead.score,
+    factors: aiResult.top_reasons.map(factor => ({ factor })),
+    reason: `${aiResult.intent_category} (confidence ${aiResult.confidence}) - ${aiResult.recommended_next_step}`,
+    model: aiResult.model
+  });
+}
+
+async function persistRuleScore(lead, { score, reason, factors, modelVersion }) {
+  await query(
+    'UPDATE leads SET score = $1, score_model_version = $2, updated_at = NOW() WHERE id = $3',
+    [score, modelVersion, lead.id]
+  );
+
+  await recordScore(lead.id, {
+    source: 'rules',
+    score,
+    previousScore: lead.score,
+    factors,
+    reason,
+    modelVersion
+  });
 }
 
 /**
@@ -434,13 +386,13 @@ export async function getLeadAdvice(leadId) {
   const researchTime = Date.now() - startTime;
   console.log(`📊 Research completed in ${researchTime}ms`);
 
-  if (!openai) {
+  if (!(await canUseLLM())) {
     return {
       leadId,
       name: `${lead.first_name} ${lead.last_name}`,
       company: lead.company,
       score: lead.score,
-      assessment: "OpenAI not configured.",
+      assessment: "AI not configured or budget reached.",
       companyOverview: research.website?.description || "No company info available",
       researchedInsights: [],
       likelyPainPoints: ["Manual data entry", "Slow quoting", "Invoice errors"],
@@ -527,19 +479,13 @@ Return ONLY valid JSON:
 }`;
 
   try {
-    const aiStart = Date.now();
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [{ role: "user", content: prompt }],
-      max_tokens: 800,
+    const { data: parsed, duration_ms: aiTime } = await completeJSON('lead_advice', {
+      prompt,
+      maxTokens: 800,
       temperature: 0.7,
+      leadId
     });
-    const aiTime = Date.now() - aiStart;
     console.log(`🤖 AI analysis completed in ${aiTime}ms`);
-
-    const response = completion.choices[0].message.content.trim();
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : response);
     
     return {
       leadId,
@@ -581,22 +527,41 @@ Return ONLY valid JSON:
 }
 
 /**
- * Score a single lead (AI-powered when OpenAI is configured)
+ * AI score when an LLM is configured and within budget, otherwise the rule
+ * score. Persists it and returns { aiResult } or { ruleScore }.
+ */
+async function scoreWithBestAvailable(lead) {
+  if (await canUseLLM()) {
+    try {
+      const aiResult = postProcessAiScore(lead, await aiScoreLeadInternal(lead));
+      await persistAiScore(lead, aiResult);
+      return { aiResult };
+    } catch (error) {
+      // Budget ran out mid-run: fall through to rules
+      if (error.message !== 'LLM budget exceeded') throw error;
+    }
+  }
+
+  const ruleScore = await calculatePriorityScore(lead);
+  await persistRuleScore(lead, ruleScore);
+  return { ruleScore };
+}
+
+/**
+ * Score a single lead (AI-powered when an LLM is configured)
  */
 export async function scoreLead(leadId) {
   const result = await query('SELECT * FROM leads WHERE id = $1', [leadId]);
   if (result.rows.length === 0) throw new Error('Lead not found');
 
   const lead = result.rows[0];
-  
-  // AI scoring (preferred)
-  if (openai) {
-    const rawAi = await aiScoreLeadInternal(lead);
-    const aiResult = postProcessAiScore(lead, rawAi);
-    await persistAiScore(leadId, aiResult);
+  const name = `${lead.first_name} ${lead.last_name}`.trim();
+  const { aiResult, ruleScore } = await scoreWithBestAvailable(lead);
+
+  if (aiResult) {
     return {
       leadId,
-      name: `${lead.first_name} ${lead.last_name}`.trim(),
+      name,
       score: aiResult.score,
       intentCategory: aiResult.intent_category,
       confidence: aiResult.confidence,
@@ -607,62 +572,54 @@ export async function scoreLead(leadId) {
     };
   }
 
-  // Fallback heuristic
-  const { score, reason, factors } = await calculatePriorityScore(lead);
-  await query('UPDATE leads SET score = $1, updated_at = NOW() WHERE id = $2', [score, leadId]);
-  return { leadId, name: `${lead.first_name} ${lead.last_name}`.trim(), score, reason, factors };
+  const { score, reason, factors, modelVersion } = ruleScore;
+  return { leadId, name, score, reason, factors, modelVersion };
 }
 
 /**
- * Score all unscored leads
+ * Score leads one by one. A lead that fails is reported with its error
+ * instead of stopping the run. onProgress(result, index, total) is awaited
+ * after each lead; returning true stops the run.
  */
-export async function scoreAllLeads() {
-  const result = await query('SELECT * FROM leads WHERE score = 0 OR score IS NULL ORDER BY created_at DESC');
-  const leads = result.rows;
-
-  console.log(`📊 Scoring ${leads.length} leads...`);
+async function scoreLeads(leads, { onProgress } = {}) {
   const results = [];
-  
-  for (const lead of leads) {
-    if (openai) {
-      const rawAi = await aiScoreLeadInternal(lead);
-      const aiResult = postProcessAiScore(lead, rawAi);
-      await persistAiScore(lead.id, aiResult);
-      results.push({ id: lead.id, name: `${lead.first_name} ${lead.last_name}`.trim(), score: aiResult.score, intentCategory: aiResult.intent_category });
-    } else {
-      const { score, reason } = await calculatePriorityScore(lead);
-      await query('UPDATE leads SET score = $1, updated_at = NOW() WHERE id = $2', [score, lead.id]);
-      results.push({ id: lead.id, name: `${lead.first_name} ${lead.last_name}`.trim(), score, reason });
+  for (const [index, lead] of leads.entries()) {
+    const name = `${lead.first_name} ${lead.last_name}`.trim();
+    let result;
+    try {
+      const { aiResult, ruleScore } = await scoreWithBestAvailable(lead);
+      result = aiResult
+        ? { id: lead.id, name, score: aiResult.score, intentCategory: aiResult.intent_category, priority: aiResult.priority }
+        : { id: lead.id, name, score: ruleScore.score, reason: ruleScore.reason };
+    } catch (error) {
+      console.error(`Failed to score lead ${lead.id}:`, error.message);
+      result = { id: lead.id, name, error: error.message };
     }
-  }
+    results.push(result);
 
+    if (onProgress && await onProgress(result, index, leads.length)) break;
+  }
   return results;
 }
 
 /**
- * Re-score ALL leads
+ * Score all unscored leads
  */
-export async function rescoreAllLeads() {
-  const result = await query('SELECT * FROM leads ORDER BY created_at DESC');
-  const leads = result.rows;
+export async function scoreAllLeads(options) {
+  const result = await query('SELECT * FROM leads WHERE score = 0 OR score IS NULL ORDER BY created_at DESC');
 
-  console.log(`📊 RE-SCORING ALL ${leads.length} leads...`);
-  const results = [];
-  
-  for (const lead of leads) {
-    if (openai) {
-      const rawAi = await aiScoreLeadInternal(lead);
-      const aiResult = postProcessAiScore(lead, rawAi);
-      await persistAiScore(lead.id, aiResult);
-      results.push({ id: lead.id, name: `${lead.first_name} ${lead.last_name}`.trim(), score: aiResult.score, intentCategory: aiResult.intent_category });
-    } else {
-      const { score, reason } = await calculatePriorityScore(lead);
-      await query('UPDATE leads SET score = $1, updated_at = NOW() WHERE id = $2', [score, lead.id]);
-      results.push({ id: lead.id, name: `${lead.first_name} ${lead.last_name}`.trim(), score, reason });
-    }
-  }
+  console.log(`📊 Scoring ${result.rows.length} leads...`);
+  return scoreLeads(result.rows, options);
+}
 
-  return results;
+/**
+ * Re-score ALL leads. Once the AI budget is spent the rest are scored by rules.
+ */
+export async function rescoreAllLeads(options) {
+  const result = await query('SELECT * FROM leads ORDER BY created_at DESC');
+
+  console.log(`📊 RE-SCORING ALL ${result.rows.length} leads...`);
+  return scoreLeads(result.rows, options);
 }
 
 export default {
@@ -0,0 +1,136 @@
+/**
+ * Auth Service
+ *
+ * Password hashing, login and bearer-token sessions for dashboard users.
+ * Tokens are random and opaque; only their SHA-256 hash is stored, so a
+ * database leak does not leak usable sessions.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { query } from '../database/connection.js';
+import User from '../models/User.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_DAYS = parseInt(process.env.AUTH_SESSION_DAYS) || 7;
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>"
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derived);
+}
+
+/**
+ * Hash a bearer token for storage/lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Log in with email + password. Returns { token, expiresAt, user } or null.
+ */
+export async function login(email, password, { ipAddress = null, userAgent = null } = {}) {
+  const row = await User.getUserByEmailWithPassword(email);
+  if (!row || !row.is_active) return null;
+
+  const valid = await verifyPassword(password, row.password_hash);
+  if (!valid) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await query(`
+    INSERT INTO user_sessions (user_id, token_hash, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [row.id, hashToken(token), ipAddress, userAgent, expiresAt.toISOString()]);
+
+  const user = await User.updateUser(row.id, { last_login_at: new Date().toISOString() });
+
+  return { token, expiresAt: expiresAt.toISOString(), user };
+}
+
+/**
+ * Resolve a bearer token to its active user (or null)
+ */
+export async function getUserForToken(token) {
+  if (!token) return null;
+
+  const result = await query(`
+    UPDATE user_sessions s
+    SET last_used_at = NOW()
+    FROM users u
+    WHERE s.token_hash = $1
+      AND s.expires_at > NOW()
+      AND u.id = s.user_id
+      AND u.is_active = true
+    RETURNING u.id, u.email, u.name, u.role
+  `, [hashToken(token)]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke a single session token
+ */
+export async function logout(token) {
+  if (!token) return;
+  await query('DELETE FROM user_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+/**
+ * Revoke every session for a user (password change, deactivation)
+ */
+export async function revokeUserSessions(userId) {
+  await query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no users exist
+ */
+export async function seedInitialAdmin() {
+  const count = await User.countUsers();
+  if (count > 0) return;
+
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    console.log('⚠️ No users exist - set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+
+  await User.createUser({
+    email,
+    name: 'Admin',
+    password_hash: await hashPassword(password),
+    role: 'admin'
+  });
+  console.log(`  → Created admin user: ${email}`);
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  login,
+  getUserForToken,
+  logout,
+  revokeUserSessions,
+  seedInitialAdmin
+};
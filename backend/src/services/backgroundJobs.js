@@ -0,0 +1,157 @@
+/**
+ * Background Jobs
+ *
+ * Registers the app's job handlers with the job queue and starts the worker:
+ * - process_message_queue: sends due sequence messages every minute, in
+ *   batches of MESSAGE_QUEUE_BATCH_SIZE; a full batch runs again straight away
+ * - poll_meta_leads: fetches Meta leads every 2 minutes (fallback for missed
+ *   webhooks), only when META_PAGE_ACCESS_TOKEN is set
+ * - rescore_leads: re-scores all (or only unscored) leads on request, with
+ *   progress and cancellation
+ * - import_leads / bulk_leads: lead imports and bulk actions, resuming where
+ *   an interrupted attempt stopped
+ * - prune_send_log: drops sender send log rows the rate limits no longer
+ *   look at, hourly
+ */
+
+import { registerJob, enqueueJob, startJobWorker } from './jobQueueService.js';
+import { processMessageQueue, MESSAGE_QUEUE_JOB } from './sequenceService.js';
+import { pollMetaLeads, isMetaPollingConfigured, POLL_INTERVAL_SECONDS } from './metaLeadsPoller.js';
+import { scoreAllLeads, rescoreAllLeads } from './aiPriorityService.js';
+import { isLLMEnabled } from './llmService.js';
+import { runImportJob, failImportJob, IMPORT_JOB } from './leadImportService.js';
+import { runBulkJob, failBulkJob, BULK_JOB } from './leadBulkService.js';
+import { pruneSendLog } from './sendThrottleService.js';
+
+export const META_POLL_JOB = 'poll_meta_leads';
+export const RESCORE_JOB = 'rescore_leads';
+export const PRUNE_SEND_LOG_JOB = 'prune_send_log';
+
+const MESSAGE_QUEUE_BATCH_SIZE = parseInt(process.env.MESSAGE_QUEUE_BATCH_SIZE, 10) || 50;
+
+// Rescore progress is saved at most this often
+const PROGRESS_EVERY_MS = 1000;
+
+// ==========================================
+// HANDLERS
+// ==========================================
+
+async function runMessageQueue() {
+  const processed = await processMessageQueue({ limit: MESSAGE_QUEUE_BATCH_SIZE });
+  return { processed, runAgain: processed >= MESSAGE_QUEUE_BATCH_SIZE };
+}
+
+async function runMetaPoll() {
+  const processed = await pollMetaLeads();
+  return { processed };
+}
+
+async function runPruneSendLog() {
+  const deleted = await pruneSendLog();
+  return { deleted };
+}
+
+/**
+ * payload: { scope: 'all' | 'unscored' }
+ * progress: { current, total, percentage, failed, lead } with the last lead scored
+ */
+async function runRescore(payload, ctx) {
+  const scope = payload.scope === 'unscored' ? 'unscored' : 'all';
+  let failed = 0;
+  let cancelled = false;
+  let savedAt = 0;
+
+  const onProgress = async (result, index, total) => {
+    if (result.error) failed++;
+    const current = index + 1;
+    if (current < total && Date.now() - savedAt < PROGRESS_EVERY_MS) return false;
+
+    savedAt = Date.now();
+    cancelled = await ctx.progress({
+      current,
+      total,
+      percentage: Math.round((current / total) * 100),
+      failed,
+      lead: result
+    });
+    return cancelled;
+  };
+
+  const results = scope === 'unscored'
+    ? await scoreAllLeads({ onProgress })
+    : await rescoreAllLeads({ onProgress });
+
+  console.log(`📊 Rescore (${scope}) ${cancelled ? 'stopped' : 'done'}: ${results.length - failed} scored, ${failed} failed`);
+  return { scope, scored: results.length - failed, failed, cancelled };
+}
+
+// ==========================================
+// SETUP
+// ==========================================
+
+/**
+ * Queue a rescore. Only one runs at a time; asking again while one is
+ * queued or running returns that job.
+ */
+export async function enqueueRescore(scope = 'all', createdBy = null) {
+  return enqueueJob(RESCORE_JOB, { scope }, { uniqueKey: RESCORE_JOB, createdBy });
+}
+
+/**
+ * Register all jobs and start this instance's worker
+ */
+export function startBackgroundJobs() {
+  registerJob(MESSAGE_QUEUE_JOB, runMessageQueue, {
+    every: 60,
+    singleton: true,
+    maxAttempts: 3,
+    timeoutSeconds: 10 * 60
+  });
+
+  if (isMetaPollingConfigured()) {
+    registerJob(META_POLL_JOB, runMetaPoll, {
+      every: POLL_INTERVAL_SECONDS,
+      singleton: true,
+      maxAttempts: 3,
+      timeoutSeconds: 10 * 60
+    });
+    console.log(`✅ Meta leads poller scheduled (every ${POLL_INTERVAL_SECONDS / 60} minutes)`);
+    console.log('   🤖 AI classification: ' + (isLLMEnabled() ? 'enabled' : 'disabled'));
+  } else {
+    console.log('ℹ️ Meta leads poller not scheduled (META_PAGE_ACCESS_TOKEN not set)');
+  }
+
+  // Heartbeats every lead (see runRescore), so the lease only has to cover
+  // one slow AI call; a failed rescore is not retried automatically
+  registerJob(RESCORE_JOB, runRescore, {
+    maxAttempts: 1,
+    timeoutSeconds: 5 * 60
+  });
+
+  registerJob(PRUNE_SEND_LOG_JOB, runPruneSendLog, {
+    every: 60 * 60,
+    singleton: true,
+    maxAttempts: 3
+  });
+
+  // Both save progress (and heartbeat) every few rows, so a retry only
+  // repeats the rows since; the job row is failed once attempts run out
+  registerJob(IMPORT_JOB, runImportJob, {
+    maxAttempts: 3,
+    timeoutSeconds: 5 * 60,
+    onDead: failImportJob
+  });
+
+  registerJob(BULK_JOB, runBulkJob, {
+    maxAttempts: 3,
+    timeoutSeconds: 5 * 60,
+    onDead: failBulkJob
+  });
+
+  startJobWorker();
+}
+
+export default {
+  startBackgroundJobs,
+  enqueueRescore
+};
@@ -0,0 +1,318 @@
+/**
+ * Call Service
+ *
+ * Structured call logging: outcome, disposition, duration, notes, next steps
+ * and an optional recording (transcribed when an LLM provider is configured).
+ *
+ * A disposition moves the lead along (see DISPOSITIONS) and triggers a
+ * re-score, since calculatePriorityScore weighs the latest call. Unanswered
+ * calls get an automatic call-back task; a callback disposition with a time
+ * gets a task due then.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../database/connection.js';
+import Lead from '../models/Lead.js';
+import { scoreLead } from './aiPriorityService.js';
+import { createTask, createAutoTask } from './taskService.js';
+import { canUseLLM, transcribe } from './llmService.js';
+
+// Disposition -> implied outcome and the lead status it moves to
+export const DISPOSITIONS = {
+  interested: { label: 'Interested', outcome: 'answered', status: 'qualified' },
+  callback: { label: 'Call back', outcome: 'answered', status: 'contacted' },
+  not_interested: { label: 'Not interested', outcome: 'answered', status: 'lost' },
+  wrong_number: { label: 'Wrong number', outcome: 'answered', status: 'lost' },
+  voicemail: { label: 'Voicemail', outcome: 'unanswered', status: 'contacted' }
+};
+
+// Fits in the 10mb JSON body limit once base64-encoded
+export const MAX_RECORDING_BYTES = 7 * 1024 * 1024;
+
+// Forward-only pipeline order; lost leads can be revived by a good call
+const STATUS_RANK = { lost: -1, new: 0, contacted: 1, qualified: 2, converted: 3 };
+
+const leadName = (lead) =>
+  [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.email || lead.phone || 'lead';
+
+function describeCall({ outcome, disposition, duration_seconds: duration }) {
+  const parts = [`Call ${outcome}`];
+  if (disposition) parts.push(DISPOSITIONS[disposition].label.toLowerCase());
+  if (duration) parts.push(`${Math.floor(duration / 60)}:${String(duration % 60).padStart(2, '0')}`);
+  return parts.join(' - ');
+}
+
+/**
+ * Status a disposition moves the lead to, or null to leave it. Converted
+ * leads are never touched; otherwise leads only move forward (or to lost).
+ */
+export function statusForDisposition(currentStatus, disposition) {
+  const target = DISPOSITIONS[disposition]?.status;
+  if (!target || currentStatus === 'converted' || currentStatus === target) return null;
+  if (target === 'lost') return target;
+  return (STATUS_RANK[target] ?? 0) > (STATUS_RANK[currentStatus] ?? 0) ? target : null;
+}
+
+async function applyDisposition(lead, disposition) {
+  const status = statusForDisposition(lead.status, disposition);
+  if (!status) return null;
+
+  await query('UPDATE leads SET status = $1, updated_at = NOW() WHERE id = $2', [status, lead.id]);
+  return { from: lead.status, to: status };
+}
+
+// Re-score in the background - scoring may call OpenAI
+function rescore(leadId) {
+  scoreLead(leadId).catch(error => console.error(`Re-score after call failed for ${leadId}:`, error.message));
+}
+
+// ==========================================
+// CALLS
+// ==========================================
+
+/**
+ * Calls of a lead, newest first (recording metadata, not the file)
+ */
+export async function getLeadCalls(leadId) {
+  const result = await query(`
+    SELECT c.*, u.name as called_by_name,
+      r.filename as recording_filename, r.mime_type as recording_mime_type, r.size_bytes as recording_size
+    FROM lead_calls c
+    LEFT JOIN users u ON u.id::text = c.called_by
+    LEFT JOIN lead_call_recordings r ON r.call_id = c.id
+    WHERE c.lead_id = $1
+    ORDER BY c.called_at DESC
+  `, [leadId]);
+  return result.rows;
+}
+
+export async function getCallById(callId) {
+  const result = await query(`
+    SELECT c.*, r.filename as recording_filename, r.mime_type as recording_mime_type, r.size_bytes as recording_size
+    FROM lead_calls c
+    LEFT JOIN lead_call_recordings r ON r.call_id = c.id
+    WHERE c.id = $1
+  `, [callId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Log a call. outcome defaults from the disposition.
+ * Returns { call, statusChange, followUpTask, callCount }. Throws 'Lead not found'.
+ */
+export async function logCall(leadId, data, user = null) {
+  const lead = await Lead.getLeadById(leadId);
+  if (!lead) throw new Error('Lead not found');
+
+  // Reject a bad recording before anything is written
+  const recording = data.recording ? decodeRecording(data.recording) : null;
+
+  const disposition = data.disposition || null;
+  const outcome = data.outcome || DISPOSITIONS[disposition]?.outcome || 'answered';
+  const callId = uuidv4();
+  const activityId = uuidv4();
+  const now = new Date().toISOString();
+  const record = { outcome, disposition, duration_seconds: data.durationSeconds ?? null };
+
+  await query(
+    `INSERT INTO lead_activities (id, lead_id, type, description, metadata, performed_by, created_at)
+     VALUES ($1, $2, 'call', $3, $4, $5, $6)`,
+    [activityId, leadId, describeCall(record), JSON.stringify({ ...record, call_id: callId }), user?.id || null, now]
+  );
+
+  await query(`
+    INSERT INTO lead_calls (id, lead_id, activity_id, outcome, disposition, duration_seconds, notes, next_steps, callback_at, called_by, called_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [callId, leadId, activityId, outcome, disposition, record.duration_seconds,
+    data.notes || null, data.nextSteps || null, data.callbackAt || null, user?.id || null, now]);
+
+  await query('UPDATE leads SET last_contacted_at = $1, updated_at = $1 WHERE id = $2', [now, leadId]);
+
+  const statusChange = disposition ? await applyDisposition(lead, disposition) : null;
+
+  // Follow-up: the agreed call-back time, or an automatic retry when nobody picked up
+  let followUpTask = null;
+  if (data.callbackAt) {
+    followUpTask = await createTask({
+      lead_id: leadId,
+      title: `Call back ${leadName(lead)}`,
+      description: data.nextSteps || null,
+      type: 'call',
+      due_at: data.callbackAt
+    }, user).catch(error => {
+      console.error(`Failed to create call-back task for lead ${leadId}:`, error.message);
+      return null;
+    });
+  } else if (outcome === 'unanswered') {
+    followUpTask = await createAutoTask(lead, 'unanswered_call');
+  }
+
+  if (recording) await storeRecording(callId, recording);
+  if (disposition) rescore(leadId);
+
+  const countResult = await query(
+    `SELECT COUNT(*) as count FROM lead_activities WHERE lead_id = $1 AND type = 'call'`,
+    [leadId]
+  );
+
+  return {
+    call: await getCallById(callId),
+    statusChange,
+    followUpTask,
+    callCount: parseInt(countResult.rows[0].count)
+  };
+}
+
+/**
+ * Update a call's details (also keeps its timeline entry in sync).
+ * transcript lets an external transcription service post its result.
+ * Throws 'Call not found'.
+ */
+export async function updateCall(callId, updates) {
+  const call = await getCallById(callId);
+  if (!call) throw new Error('Call not found');
+
+  const fields = {
+    outcome: updates.outcome,
+    disposition: updates.disposition,
+    duration_seconds: updates.durationSeconds,
+    notes: updates.notes,
+    next_steps: updates.nextSteps,
+    callback_at: updates.callbackAt,
+    transcript: updates.transcript
+  };
+  if (updates.disposition && !updates.outcome) fields.outcome = DISPOSITIONS[updates.disposition].outcome;
+  if (updates.transcript !== undefined) fields.transcription_status = updates.transcript ? 'completed' : null;
+
+  const sets = [];
+  const params = [];
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    params.push(value);
+    sets.push(`${field} = $${params.length}`);
+  }
+  if (sets.length === 0) return call;
+
+  params.push(callId);
+  await query(`UPDATE lead_calls SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`, params);
+
+  const updated = await getCallById(callId);
+  if (updated.activity_id) {
+    const record = { outcome: updated.outcome, disposition: updated.disposition, duration_seconds: updated.duration_seconds };
+    await query(
+      `UPDATE lead_activities SET description = $1, metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb, updated_at = NOW()
+       WHERE id = $3`,
+      [describeCall(record), JSON.stringify(record), updated.activity_id]
+    );
+  }
+
+  if (updates.disposition && updates.disposition !== call.disposition) {
+    const lead = await Lead.getLeadById(call.lead_id);
+    if (lead) await applyDisposition(lead, updates.disposition);
+    rescore(call.lead_id);
+  }
+
+  return updated;
+}
+
+// ==========================================
+// RECORDINGS
+// ==========================================
+
+// { filename, mimeType, data: base64 } -> { filename, mimeType, buffer }
+function decodeRecording({ filename, mimeType, data }) {
+  const buffer = Buffer.from(data, 'base64');
+  if (buffer.length === 0) throw new Error('Recording is empty');
+  if (buffer.length > MAX_RECORDING_BYTES) throw new Error('Recording too large');
+  return { filename, mimeType, buffer };
+}
+
+/**
+ * Store a call recording ({ filename, mimeType, data: base64 }) and start
+ * transcribing it. Throws 'Call not found' / 'Recording too large' / 'Recording is empty'.
+ */
+export async function saveRecording(callId, recording) {
+  return storeRecording(callId, decodeRecording(recording));
+}
+
+async function storeRecording(callId, { filename, mimeType, buffer }) {
+  const result = await query(`
+    UPDATE lead_calls SET has_recording = true, transcription_status = $2, transcript = NULL, updated_at = NOW()
+    WHERE id = $1
+    RETURNING id
+  `, [callId, (await canUseLLM()) ? 'pending' : 'unavailable']);
+  if (!result.rows[0]) throw new Error('Call not found');
+
+  await query(`
+    INSERT INTO lead_call_recordings (call_id, filename, mime_type, size_bytes, data)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (call_id) DO UPDATE SET
+      filename = EXCLUDED.filename, mime_type = EXCLUDED.mime_type,
+      size_bytes = EXCLUDED.size_bytes, data = EXCLUDED.data, created_at = NOW()
+  `, [callId, filename, mimeType, buffer.length, buffer]);
+
+  if (await canUseLLM()) {
+    transcribeCall(callId).catch(error => console.error(`Transcription crashed for call ${callId}:`, error));
+  }
+  return getCallById(callId);
+}
+
+export async function getRecording(callId) {
+  const result = await query(
+    `SELECT r.filename, r.mime_type, r.size_bytes, r.data, c.duration_seconds, c.lead_id
+     FROM lead_call_recordings r JOIN lead_calls c ON c.id = r.call_id
+     WHERE r.call_id = $1`,
+    [callId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Transcribe a call's recording (model LLM_MODEL_TRANSCRIPTION or
+ * TRANSCRIPTION_MODEL, default whisper-1). Returns the transcript, or null
+ * when unavailable (no LLM or budget spent) or failed.
+ */
+export async function transcribeCall(callId) {
+  const recording = await getRecording(callId);
+  if (!recording) throw new Error('Recording not found');
+
+  if (!(await canUseLLM())) {
+    await query(`UPDATE lead_calls SET transcription_status = 'unavailable' WHERE id = $1`, [callId]);
+    return null;
+  }
+
+  await query(`UPDATE lead_calls SET transcription_status = 'pending' WHERE id = $1`, [callId]);
+  try {
+    const result = await transcribe({
+      data: recording.data,
+      filename: recording.filename,
+      mimeType: recording.mime_type,
+      durationSeconds: recording.duration_seconds,
+      leadId: recording.lead_id
+    });
+
+    await query(`
+      UPDATE lead_calls SET transcript = $2, transcription_status = 'completed', updated_at = NOW()
+      WHERE id = $1
+    `, [callId, result.text]);
+    console.log(`🎙️ Transcribed call ${callId} (${result.text.length} chars)`);
+    return result.text;
+  } catch (error) {
+    console.error(`Transcription failed for call ${callId}:`, error.message);
+    await query(`UPDATE lead_calls SET transcription_status = 'failed' WHERE id = $1`, [callId]);
+    return null;
+  }
+}
+
+export default {
+  DISPOSITIONS,
+  MAX_RECORDING_BYTES,
+  statusForDisposition,
+  getLeadCalls,
+  getCallById,
+  logCall,
+  updateCall,
+  saveRecording,
+  getRecording,
+  transcribeCall
+};
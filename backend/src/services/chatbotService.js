@@ -2,15 +2,11 @@
  * Chatbot Service
  * 
  * AI-powered chatbot that knows about all leads and can answer questions.
- * Uses OpenAI to provide intelligent responses about lead data.
+ * Uses the configured LLM (see llmService) to answer questions about lead data.
  */
 
-import OpenAI from 'openai';
 import { query } from '../database/connection.js';
-
-const openai = process.env.OPENAI_API_KEY 
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
+import { isLLMEnabled, canUseLLM, complete } from './llmService.js';
 
 /**
  * Get lead statistics for context
@@ -145,13 +141,19 @@ async function getLeadById(leadId) {
 }
 
 /**
- * Process chatbot query with OpenAI
+ * Process chatbot query with the configured LLM
  */
 export async function processChatbotQuery(userMessage, conversationHistory = []) {
-  if (!openai) {
+  if (!isLLMEnabled()) {
+    return {
+      response: "I'm sorry, but AI is not configured. Please set the OPENAI_API_KEY environment variable (or LLM_PROVIDER=fake for offline answers).",
+      error: 'LLM not configured'
+    };
+  }
+  if (!(await canUseLLM())) {
     return {
-      response: "I'm sorry, but OpenAI is not configured. Please set the OPENAI_API_KEY environment variable.",
-      error: 'OpenAI not configured'
+      response: "The AI budget for this period has been reached, so I can't answer right now. An admin can raise it on the AI Usage page.",
+      error: 'LLM budget exceeded'
     };
   }
 
@@ -228,15 +230,13 @@ Be concise, helpful, and data-driven. If asked about a specific lead, you can se
       messages[messages.length - 1].content += leadContext;
     }
 
-    // Call OpenAI
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
+    const completion = await complete('chatbot', {
+      messages,
       temperature: 0.7,
-      max_tokens: 500
+      maxTokens: 500
     });
 
-    const response = completion.choices[0]?.message?.content || "I'm sorry, I couldn't generate a response.";
+    const response = completion.text || "I'm sorry, I couldn't generate a response.";
 
     return {
       response,
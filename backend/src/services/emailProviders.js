@@ -0,0 +1,285 @@
+/**
+ * Email Providers
+ *
+ * The transports emailService sends through. Each sender account has a
+ * provider, and fails over to the other configured providers when it errors.
+ *
+ * PROVIDERS:
+ * - resend: the Resend API (RESEND_API_KEY). Delivery/open/click/bounce
+ *   tracking comes from its webhooks, so only Resend sends are tracked.
+ * - smtp:   any SMTP server through nodemailer (SMTP_HOST, SMTP_PORT,
+ *   SMTP_SECURE, SMTP_USER, SMTP_PASS). No user = no login, so a local
+ *   SMTP catcher (Mailpit, MailHog on localhost:1025) can stand in.
+ * - local:  nothing is sent. Emails are logged to the console and, with
+ *   EMAIL_SINK_DIR, written there as .eml files - for development.
+ *
+ * CONFIGURATION (per sender account N = 1..5, falling back to the
+ * unnumbered variable):
+ * - EMAIL_PROVIDER_N / EMAIL_PROVIDER: the account's provider. Default:
+ *   resend when a Resend key is set, else smtp when an SMTP host is set.
+ * - RESEND_API_KEY_N, SMTP_HOST_N, SMTP_USER_N, SMTP_PASS_N, ...: the
+ *   account's own credentials.
+ *
+ * FAILOVER: when a provider fails with anything but a bad recipient or bad
+ * content, the send is tried on the account's other configured providers
+ * (never local - it would swallow real email). A failed provider is skipped
+ * for PROVIDER_COOLDOWN_MS while others are available.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Resend } from 'resend';
+import nodemailer from 'nodemailer';
+import { classifyDeliveryError } from './messageRetryService.js';
+
+export const EMAIL_PROVIDERS = ['resend', 'smtp', 'local'];
+
+// Failover order; local is never a failover target
+const FAILOVER_ORDER = ['resend', 'smtp'];
+
+// Not the provider's fault - another provider would fail the same way
+const NO_FAILOVER_KINDS = ['invalid_recipient', 'content'];
+
+const PROVIDER_COOLDOWN_MS = 2 * 60 * 1000;
+
+const clients = new Map();
+const providerState = new Map();
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+/**
+ * NAME_N for sender account N, else NAME
+ */
+function accountEnv(name, accountNumber) {
+  const own = accountNumber ? process.env[`${name}_${accountNumber}`] : undefined;
+  return own !== undefined && own !== '' ? own : process.env[name];
+}
+
+function smtpConfig(accountNumber) {
+  const port = parseInt(accountEnv('SMTP_PORT', accountNumber), 10) || 587;
+  const secure = accountEnv('SMTP_SECURE', accountNumber);
+  const user = accountEnv('SMTP_USER', accountNumber);
+  const timeout = parseInt(process.env.SMTP_TIMEOUT_MS, 10) || 30000;
+
+  return {
+    host: accountEnv('SMTP_HOST', accountNumber),
+    port,
+    secure: secure !== undefined ? secure === 'true' : port === 465,
+    auth: user ? { user, pass: accountEnv('SMTP_PASS', accountNumber) } : undefined,
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout
+  };
+}
+
+/**
+ * Can the provider send for this account (null = no account, e.g. a custom from)?
+ */
+export function isProviderConfigured(provider, accountNumber = null) {
+  switch (provider) {
+    case 'resend': return Boolean(accountEnv('RESEND_API_KEY', accountNumber));
+    case 'smtp': return Boolean(accountEnv('SMTP_HOST', accountNumber));
+    case 'local': return true;
+    default: return false;
+  }
+}
+
+/**
+ * The account's providers in the order they are tried: its own provider,
+ * then the other configured ones. Empty when nothing is configured.
+ */
+export function getAccountProviders(accountNumber = null) {
+  const configured = (accountEnv('EMAIL_PROVIDER', accountNumber) || '').trim().toLowerCase();
+  let primary = configured;
+  if (configured && !EMAIL_PROVIDERS.includes(configured)) {
+    console.warn(`⚠️ Unknown email provider "${configured}"${accountNumber ? ` for account ${accountNumber}` : ''}`);
+    primary = null;
+  }
+  if (!configured) {
+    primary = FAILOVER_ORDER.find(provider => isProviderConfigured(provider, accountNumber)) || null;
+  }
+
+  if (primary && !isProviderConfigured(primary, accountNumber)) {
+    console.warn(`⚠️ Email provider "${primary}" is not configured${accountNumber ? ` for account ${accountNumber}` : ''}`);
+    primary = null;
+  }
+
+  // A local sink stays local - don't fail over from development into real email
+  if (primary === 'local') return ['local'];
+
+  const failover = FAILOVER_ORDER.filter(provider => provider !== primary && isProviderConfigured(provider, accountNumber));
+  return primary ? [primary, ...failover] : failover;
+}
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+
+function getResend(accountNumber) {
+  const apiKey = accountEnv('RESEND_API_KEY', accountNumber);
+  const key = `resend:${apiKey}`;
+  if (!clients.has(key)) clients.set(key, new Resend(apiKey));
+  return clients.get(key);
+}
+
+function getSmtpTransport(accountNumber) {
+  const config = smtpConfig(accountNumber);
+  const key = `smtp:${config.host}:${config.port}:${config.auth?.user || ''}`;
+  if (!clients.has(key)) clients.set(key, nodemailer.createTransport(config));
+  return clients.get(key);
+}
+
+function getLocalTransport() {
+  if (!clients.has('local')) {
+    clients.set('local', nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }));
+  }
+  return clients.get('local');
+}
+
+function smtpError(error) {
+  const wrapped = new Error(error.response || error.message);
+  wrapped.details = { code: error.code, responseCode: error.responseCode, command: error.command };
+  return wrapped;
+}
+
+// Each transport: (message: { from, to: [], subject, html, text, headers }, accountNumber) -> { messageId }
+const TRANSPORTS = {
+  async resend(message, accountNumber) {
+    const { data, error } = await getResend(accountNumber).emails.send(message);
+    if (error) {
+      const wrapped = new Error(error.message);
+      wrapped.details = { name: error.name, statusCode: error.statusCode };
+      throw wrapped;
+    }
+    return { messageId: data.id };
+  },
+
+  async smtp(message, accountNumber) {
+    try {
+      const info = await getSmtpTransport(accountNumber).sendMail(message);
+      if (info.rejected?.length > 0 && info.accepted?.length === 0) {
+        throw new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+      }
+      return { messageId: info.messageId };
+    } catch (error) {
+      throw smtpError(error);
+    }
+  },
+
+  async local(message) {
+    const info = await getLocalTransport().sendMail(message);
+    const sinkDir = process.env.EMAIL_SINK_DIR;
+    let file = null;
+    if (sinkDir) {
+      await fs.mkdir(sinkDir, { recursive: true });
+      const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_');
+      file = path.join(sinkDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+      await fs.writeFile(file, info.message);
+    }
+
+    console.log(`📭 [local email] ${message.from} → ${message.to.join(', ')}: ${message.subject}${file ? ` (${file})` : ''}`);
+    if (!file && message.text) {
+      console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+    }
+    return { messageId: info.messageId };
+  }
+};
+
+// ==========================================
+// SENDING
+// ==========================================
+
+/**
+ * Is the error the provider's (worth trying elsewhere), not the recipient's
+ * or the content's?
+ */
+export function shouldFailOver(error) {
+  return !NO_FAILOVER_KINDS.includes(classifyDeliveryError(error));
+}
+
+function stateKey(provider, accountNumber) {
+  return `${provider}:${accountNumber || 'default'}`;
+}
+
+function getState(provider, accountNumber) {
+  const key = stateKey(provider, accountNumber);
+  if (!providerState.has(key)) {
+    providerState.set(key, { provider, account: accountNumber, sends: 0, failures: 0, lastError: null, lastFailureAt: null, coolingUntil: null });
+  }
+  return providerState.get(key);
+}
+
+function isCoolingDown(provider, accountNumber) {
+  const until = providerState.get(stateKey(provider, accountNumber))?.coolingUntil;
+  return Boolean(until && until > Date.now());
+}
+
+/**
+ * Send through the account's providers, failing over on provider errors.
+ * Returns { messageId, provider, failedOver } where failedOver lists the
+ * providers that failed first. Throws when every provider failed (or on a
+ * bad recipient/content error, which isn't retried elsewhere).
+ */
+export async function deliverEmail(message, { accountNumber = null, providers } = {}) {
+  const chain = providers || getAccountProviders(accountNumber);
+  if (chain.length === 0) {
+    throw new Error('Email service not configured. Set RESEND_API_KEY, SMTP_HOST or EMAIL_PROVIDER=local.');
+  }
+
+  // Healthy providers first; cooling-down ones only as a last resort
+  const ordered = [
+    ...chain.filter(provider => !isCoolingDown(provider, accountNumber)),
+    ...chain.filter(provider => isCoolingDown(provider, accountNumber))
+  ];
+
+  const errors = [];
+  for (const provider of ordered) {
+    const state = getState(provider, accountNumber);
+    try {
+      const { messageId } = await TRANSPORTS[provider](message, accountNumber);
+      state.sends++;
+      state.coolingUntil = null;
+      if (errors.length > 0) {
+        console.log(`🔀 Email failed over to ${provider} after: ${errors.map(e => e.provider).join(', ')}`);
+      }
+      return { messageId, provider, failedOver: errors.map(e => e.provider) };
+    } catch (error) {
+      state.failures++;
+      state.lastError = error.message;
+      state.lastFailureAt = new Date();
+      error.provider = provider;
+
+      if (!shouldFailOver(error)) throw error;
+
+      state.coolingUntil = Date.now() + PROVIDER_COOLDOWN_MS;
+      console.error(`❌ Email provider ${provider} failed:`, error.message);
+      errors.push(error);
+    }
+  }
+
+  if (errors.length === 1) throw errors[0];
+  const combined = new Error(`All email providers failed - ${errors.map(e => `${e.provider}: ${e.message}`).join('; ')}`);
+  combined.details = errors.map(e => e.details).filter(Boolean);
+  throw combined;
+}
+
+/**
+ * Sends, failures and cooldowns per provider and account
+ */
+export function getProviderStatus() {
+  return [...providerState.values()].map(state => ({
+    ...state,
+    coolingDown: Boolean(state.coolingUntil && state.coolingUntil > Date.now()),
+    coolingUntil: state.coolingUntil ? new Date(state.coolingUntil) : null
+  }));
+}
+
+export default {
+  isProviderConfigured,
+  getAccountProviders,
+  shouldFailOver,
+  deliverEmail,
+  getProviderStatus
+};
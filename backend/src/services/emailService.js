@@ -1,14 +1,19 @@
 /**
- * Email Service - Using Resend API (BULLETPROOF VERSION)
+ * Email Service - Resend, SMTP or a local sink (BULLETPROOF VERSION)
  * 
  * CRITICAL: This service handles all email sending with spam protection.
  * 
  * Features:
  * - Round-robin rotation across 5 email accounts
+ * - Each account sends through its own provider (emailProviders.js) and
+ *   fails over to the other configured providers on errors
  * - Persistent counter in database (survives restarts)
  * - Automatic retry with fallback to next account on failure
  * - Full logging of which account sent each email
  * - Real-time stats tracking
+ * - Suppression list check + one-click unsubscribe link/headers on every send
+ * - Per-account rate limits and warm-up (sendThrottleService): accounts at
+ *   their limit are skipped; when all are, the send is throttled
  * 
  * Email Accounts (in rotation order):
  * 1. haarith@structurelogistics.com (primary)
@@ -18,10 +23,12 @@
  * 5. bookings@structureai.site
  */
 
-import { Resend } from 'resend';
 import { query } from '../database/connection.js';
+import { deliverEmail, getAccountProviders, getProviderStatus, shouldFailOver } from './emailProviders.js';
+import { getSuppression, getUnsubscribeUrl } from './suppressionService.js';
+import { acquireSendSlot, releaseSendSlot, getSenderUsage, throttledError } from './sendThrottleService.js';
 
-let resend = null;
+let defaultProviders = [];
 let emailAccounts = [];
 let emailSendCounter = 0;
 let isInitialized = false;
@@ -40,26 +47,34 @@ const EMAIL_ACCOUNTS_CONFIG = [
  * Loads counter from database to persist across restarts
  */
 export async function initEmailService() {
-  const apiKey = process.env.RESEND_API_KEY;
-  
-  if (!apiKey) {
-    console.log('⚠️ RESEND_API_KEY not set - email service disabled');
-    console.log('   Get a free API key at https://resend.com');
-    return false;
-  }
+  // Build email accounts from config, each with its provider chain
+  // (EMAIL_PROVIDER_<n>, RESEND_API_KEY_<n>, SMTP_HOST_<n>, ... - see emailProviders.js)
+  const configured = EMAIL_ACCOUNTS_CONFIG.map((config, index) => {
+    const providers = getAccountProviders(index + 1);
+    return {
+      from: process.env[config.env] || config.default,
+      name: config.name,
+      priority: config.priority,
+      index: index,
+      provider: providers[0] || null,
+      providers,
+      sendCount: 0,
+      lastUsed: null,
+      failures: 0
+    };
+  });
 
-  resend = new Resend(apiKey);
+  configured.filter(acc => !acc.provider).forEach(acc => {
+    console.log(`   ⚠️ No email provider for ${acc.from} - left out of the rotation`);
+  });
+  emailAccounts = configured.filter(acc => acc.provider);
+  defaultProviders = getAccountProviders();
 
-  // Build email accounts from config
-  emailAccounts = EMAIL_ACCOUNTS_CONFIG.map((config, index) => ({
-    from: process.env[config.env] || config.default,
-    name: config.name,
-    priority: config.priority,
-    index: index,
-    sendCount: 0,
-    lastUsed: null,
-    failures: 0
-  }));
+  if (emailAccounts.length === 0) {
+    console.log('⚠️ No email provider configured - email service disabled');
+    console.log('   Set RESEND_API_KEY (https://resend.com), SMTP_HOST, or EMAIL_PROVIDER=local for development');
+    return false;
+  }
 
   // Load counter from database (persists across restarts)
   try {
@@ -71,10 +86,10 @@ export async function initEmailService() {
 
   isInitialized = true;
 
-  console.log('✅ Email service initialized with Resend API');
+  console.log(`✅ Email service initialized (${[...new Set(emailAccounts.map(acc => acc.provider))].join(', ')})`);
   console.log(`   📧 ${emailAccounts.length} sender accounts configured for rotation:`);
   emailAccounts.forEach((acc, i) => {
-    console.log(`      ${i + 1}. ${acc.from} (${acc.priority})`);
+    console.log(`      ${i + 1}. ${acc.from} (${acc.priority}) via ${acc.providers.join(' → ')}`);
   });
   console.log(`   🔄 Current rotation position: ${emailSendCounter % emailAccounts.length + 1}`);
   console.log(`   📊 Total emails sent: ${emailSendCounter}`);
@@ -129,32 +144,52 @@ async function saveCounterToDatabase() {
 }
 
 /**
- * Get next email account for sending (round-robin)
- * Returns the account and increments counter
+ * Get next email account for sending (round-robin) and reserve a send slot on it
+ * Accounts at their rate limit (or already tried) are skipped. Returns
+ * { account, accountIndex, slotId }, or { retryAt } when no account can send.
  */
-function getNextEmailAccount() {
+async function getNextEmailAccount(tried = new Set()) {
   if (emailAccounts.length === 0) {
     throw new Error('No email accounts configured');
   }
   
-  const accountIndex = emailSendCounter % emailAccounts.length;
-  const account = emailAccounts[accountIndex];
-  
-  // Increment counter BEFORE returning (ensures next call gets next account)
-  emailSendCounter++;
-  
-  // Update account stats
-  account.sendCount++;
-  account.lastUsed = new Date();
+  let retryAt = null;
+  for (let offset = 0; offset < emailAccounts.length; offset++) {
+    const accountIndex = (emailSendCounter + offset) % emailAccounts.length;
+    if (tried.has(accountIndex)) continue;
+    
+    const account = emailAccounts[accountIndex];
+    const slot = await acquireSendSlot('email', account.from);
+    if (!slot.acquired) {
+      if (!retryAt || slot.retryAt < retryAt) retryAt = slot.retryAt;
+      continue;
+    }
+    
+    // Move the rotation past this account (ensures next call gets the next one)
+    emailSendCounter += offset + 1;
+    
+    // Update account stats
+    account.sendCount++;
+    account.lastUsed = new Date();
+    
+    return { account, accountIndex, slotId: slot.slotId };
+  }
   
-  return { account, accountIndex };
+  return { retryAt };
+}
+
+/**
+ * Sender addresses in the rotation (throttle keys)
+ */
+export function getEmailSenders() {
+  return emailAccounts.map(acc => acc.from);
 }
 
 /**
  * Check if email service is configured
  */
 export function isEmailConfigured() {
-  return resend !== null && isInitialized;
+  return emailAccounts.length > 0 && isInitialized;
 }
 
 /**
@@ -165,6 +200,7 @@ export function isEmailConfigured() {
  * - Retries with next account if current fails
  * - Logs which account was used
  * - Persists counter to database
+ * - Skips suppressed recipients (returns { success: false, suppressed: true })
  * 
  * @param to - Recipient email
  * @param subject - Email subject
@@ -173,82 +209,129 @@ export function isEmailConfigured() {
  * @param from - Override sender (optional, uses rotation if not set)
  */
 export async function sendEmail({ to, subject, html, text, from }) {
-  if (!resend) {
-    throw new Error('Email service not configured. Set RESEND_API_KEY environment variable.');
+  if (!isEmailConfigured()) {
+    throw new Error('Email service not configured. Set RESEND_API_KEY or SMTP_HOST (or EMAIL_PROVIDER=local).');
   }
 
   if (!to || !subject) {
     throw new Error('Missing required fields: to and subject');
   }
 
-  // If custom 'from' is provided, use it directly (no rotation)
+  // CRITICAL: Never email a suppressed (unsubscribed/bounced) address
+  const recipients = Array.isArray(to) ? to : [to];
+  for (const recipient of recipients) {
+    const suppression = await getSuppression('email', recipient);
+    if (suppression) {
+      console.log(`🚫 Email to ${recipient} skipped - suppressed (${suppression.reason})`);
+      return { success: false, suppressed: true, reason: suppression.reason };
+    }
+  }
+
+  // One-click unsubscribe (RFC 8058) + visible footer link
+  let headers;
+  if (recipients.length === 1) {
+    const unsubscribeUrl = await getUnsubscribeUrl(recipients[0]);
+    headers = {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+    if (html) {
+      text = text || html.replace(/<[^>]*>/g, '');
+      html = `${html}${unsubscribeFooter(unsubscribeUrl)}`;
+    }
+    if (text) {
+      text = `${text}\n\nUnsubscribe: ${unsubscribeUrl}`;
+    }
+  }
+
+  // If custom 'from' is provided, use it directly (no rotation, same limits,
+  // default providers)
   if (from) {
-    return await sendWithAccount({ to, subject, html, text, from }, null);
+    const sender = from.match(/<([^>]+)>/)?.[1] || from;
+    const slot = await acquireSendSlot('email', sender);
+    if (!slot.acquired) {
+      throw throttledError(`Sender ${sender} is at its send limit`, slot.retryAt);
+    }
+    try {
+      return await sendWithAccount({ to, subject, html, text, from, headers }, null);
+    } catch (error) {
+      await releaseSendSlot(slot.slotId);
+      throw error;
+    }
   }
 
-  // Get next account from rotation
-  const { account, accountIndex } = getNextEmailAccount();
-  const fromAddress = `${account.name} <${account.from}>`;
+  // Try up to 3 accounts from the rotation, skipping any at their limit
+  const tried = new Set();
+  let lastError = null;
+  let retryAt = null;
   
-  // Try to send with current account
-  try {
-    const result = await sendWithAccount({ to, subject, html, text, from: fromAddress }, account);
-    
-    // Save counter to database after successful send
-    await saveCounterToDatabase();
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const next = await getNextEmailAccount(tried);
+    if (!next.account) {
+      retryAt = next.retryAt;
+      break;
+    }
     
-    return result;
-  } catch (error) {
-    console.error(`❌ Failed with account ${account.from}:`, error.message);
-    account.failures++;
+    const { account, accountIndex, slotId } = next;
+    tried.add(accountIndex);
+    const fromAddress = `${account.name} <${account.from}>`;
+    if (attempt > 1) {
+      console.log(`🔄 Retry ${attempt - 1}/2: Trying account ${account.from}...`);
+    }
     
-    // RETRY: Try with next 2 accounts before giving up
-    for (let retry = 1; retry <= 2; retry++) {
-      const retryAccountIndex = (accountIndex + retry) % emailAccounts.length;
-      const retryAccount = emailAccounts[retryAccountIndex];
-      const retryFromAddress = `${retryAccount.name} <${retryAccount.from}>`;
+    try {
+      const result = await sendWithAccount({ to, subject, html, text, from: fromAddress, headers }, account);
+      
+      // Save counter to database after successful send
+      await saveCounterToDatabase();
       
-      console.log(`🔄 Retry ${retry}/2: Trying account ${retryAccount.from}...`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Failed with account ${account.from}:`, error.message);
+      account.failures++;
+      lastError = error;
+      await releaseSendSlot(slotId);
       
-      try {
-        const result = await sendWithAccount({ to, subject, html, text, from: retryFromAddress }, retryAccount);
-        
-        // Update stats for retry account
-        retryAccount.sendCount++;
-        retryAccount.lastUsed = new Date();
-        
-        // Save counter (we still increment even on retry)
-        await saveCounterToDatabase();
-        
-        return result;
-      } catch (retryError) {
-        console.error(`❌ Retry ${retry} failed with ${retryAccount.from}:`, retryError.message);
-        retryAccount.failures++;
-      }
+      // A bad address or bad content fails the same way from every account
+      if (!shouldFailOver(error)) throw error;
     }
-    
-    // All retries failed
-    throw new Error(`Email send failed after 3 attempts. Last error: ${error.message}`);
   }
+  
+  if (lastError) {
+    // Keep the provider's details - failure classification (messageRetryService) reads them
+    const error = new Error(`Email send failed after ${tried.size} attempt${tried.size === 1 ? '' : 's'}. Last error: ${lastError.message}`, { cause: lastError });
+    error.details = lastError.details;
+    error.statusCode = lastError.statusCode;
+    error.code = lastError.code;
+    throw error;
+  }
+  
+  // Every account is at its per-minute rate or daily cap
+  throw throttledError('All email sender accounts are at their send limits', retryAt);
 }
 
 /**
- * Internal: Actually send the email via Resend
+ * Internal: Footer appended to every HTML email
  */
-async function sendWithAccount({ to, subject, html, text, from }, account) {
+function unsubscribeFooter(unsubscribeUrl) {
+  return `<p style="margin-top: 32px; font-size: 12px; color: #94a3b8;">Don't want these emails? <a href="${unsubscribeUrl}" style="color: #94a3b8;">Unsubscribe</a></p>`;
+}
+
+/**
+ * Internal: Actually send the email through the account's providers
+ * (the default providers for a custom from)
+ */
+async function sendWithAccount({ to, subject, html, text, from, headers }, account) {
   const startTime = Date.now();
   
-  const { data, error } = await resend.emails.send({
+  const { messageId, provider, failedOver } = await deliverEmail({
     from: from,
     to: Array.isArray(to) ? to : [to],
     subject,
     html,
-    text: text || html?.replace(/<[^>]*>/g, '')
-  });
-
-  if (error) {
-    throw new Error(error.message);
-  }
+    text: text || html?.replace(/<[^>]*>/g, ''),
+    headers
+  }, account ? { accountNumber: account.index + 1, providers: account.providers } : { providers: defaultProviders });
 
   const duration = Date.now() - startTime;
   const accountEmail = account?.from || from;
@@ -257,13 +340,15 @@ async function sendWithAccount({ to, subject, html, text, from }, account) {
   console.log(`   → To: ${to}`);
   console.log(`   → From: ${accountEmail}`);
   console.log(`   → Subject: ${subject.substring(0, 50)}${subject.length > 50 ? '...' : ''}`);
-  console.log(`   → Resend ID: ${data.id}`);
+  console.log(`   → Provider: ${provider}${failedOver.length > 0 ? ` (after ${failedOver.join(', ')} failed)` : ''}`);
+  console.log(`   → Message ID: ${messageId}`);
   console.log(`   → Duration: ${duration}ms`);
   console.log(`   → Rotation position: ${emailSendCounter} (next: account ${(emailSendCounter % emailAccounts.length) + 1})`);
 
   return {
     success: true,
-    messageId: data.id,
+    messageId,
+    provider,
     sentFrom: accountEmail,
     rotationPosition: emailSendCounter,
     duration
@@ -305,7 +390,7 @@ export async function sendTestEmail(to, customContent = null) {
           
           <h1>Email Test Successful! ✅</h1>
           
-          <p>Great news! Your email configuration is working correctly. This test email was sent from your <span class="highlight">Lead Pipeline</span> platform using Resend.</p>
+          <p>Great news! Your email configuration is working correctly. This test email was sent from your <span class="highlight">Lead Pipeline</span> platform.</p>
           
           <p>You can now:</p>
           <ul style="color: #94a3b8; line-height: 2;">
@@ -321,7 +406,6 @@ export async function sendTestEmail(to, customContent = null) {
           
           <div class="footer">
             <p>This is a test email from Lead Pipeline Platform</p>
-            <p>Powered by Resend</p>
           </div>
         </div>
       </div>
@@ -389,22 +473,25 @@ export async function sendEmailSequence(to, sequence) {
  * Verify email configuration
  */
 export async function verifyEmailConfig() {
-  if (!resend) {
+  if (!isEmailConfigured()) {
     return { 
       configured: false, 
-      error: 'RESEND_API_KEY not set',
-      instructions: 'Get a free API key at https://resend.com'
+      error: 'No email provider configured',
+      instructions: 'Set RESEND_API_KEY (https://resend.com), SMTP_HOST, or EMAIL_PROVIDER=local for development'
     };
   }
 
   return { 
     configured: true, 
-    provider: 'Resend',
+    providers: [...new Set(emailAccounts.flatMap(a => a.providers))],
+    providerStatus: getProviderStatus(),
     rotationMode: 'round-robin',
     accountCount: emailAccounts.length,
     accounts: emailAccounts.map(a => ({
       email: a.from,
       priority: a.priority,
+      provider: a.provider,
+      failover: a.providers.slice(1),
       sendCount: a.sendCount,
       failures: a.failures,
       lastUsed: a.lastUsed
@@ -417,8 +504,11 @@ export async function verifyEmailConfig() {
 
 /**
  * Get current email rotation stats (for monitoring/debugging)
+ * Includes each account's usage against its rate limits
  */
-export function getRotationStats() {
+export async function getRotationStats() {
+  const usage = await getSenderUsage('email', getEmailSenders());
+  
   return {
     totalSent: emailSendCounter,
     accountCount: emailAccounts.length,
@@ -428,10 +518,12 @@ export function getRotationStats() {
       index: i + 1,
       email: acc.from,
       priority: acc.priority,
+      provider: acc.provider,
       sendCount: acc.sendCount,
       failures: acc.failures,
       lastUsed: acc.lastUsed,
-      isNext: i === emailSendCounter % emailAccounts.length
+      isNext: i === emailSendCounter % emailAccounts.length,
+      usage: usage[i]
     })),
     distribution: emailAccounts.map((acc, i) => {
       const expected = Math.floor(emailSendCounter / emailAccounts.length) + 
@@ -468,6 +560,7 @@ export default {
   sendTestEmail,
   sendEmailSequence,
   verifyEmailConfig,
+  getEmailSenders,
   getRotationStats,
   resetRotationCounter
 };
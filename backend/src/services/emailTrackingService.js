@@ -0,0 +1,257 @@
+/**
+ * Email Tracking Service
+ *
+ * Applies Resend webhook events (delivered, opened, clicked, bounced,
+ * complained) to the matching sent_messages row, logs opens and clicks as
+ * lead activities and suppresses addresses that hard-bounce or complain.
+ *
+ * Resend signs webhooks with Svix: HMAC-SHA256 over
+ * "<svix-id>.<svix-timestamp>.<raw body>" keyed with the base64 part of the
+ * whsec_ secret.
+ *
+ * Environment Variables:
+ * - RESEND_WEBHOOK_SECRET: Signing secret from the Resend webhook settings
+ */
+
+import crypto from 'crypto';
+import { query } from '../database/connection.js';
+import { suppress } from './suppressionService.js';
+
+// Reject signed events older/newer than this (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Engagement only moves forward: a late "delivered" never overwrites "clicked"
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, opened: 3, clicked: 4 };
+
+// Resend event type -> sent_messages status
+const EVENT_STATUS = {
+  'email.sent': 'sent',
+  'email.delivered': 'delivered',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.failed': 'failed'
+};
+
+export const RESEND_EVENT_TYPES = [...Object.keys(EVENT_STATUS), 'email.delivery_delayed'];
+
+// ==========================================
+// SIGNATURES
+// ==========================================
+
+/**
+ * Verify a Svix-signed Resend webhook
+ * Returns null when no secret is configured (same as the Meta/Cal.com checks)
+ */
+export function verifyResendSignature(rawBody, headers, secret) {
+  if (!secret) return null;
+
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+  if (!id || !timestamp || !signatures) return false;
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (!(age <= SIGNATURE_TOLERANCE_SECONDS)) return false;
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64')
+  );
+
+  // Header is a space-separated list of "v1,<signature>" entries
+  return signatures.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    const given = Buffer.from(signature || '');
+    return version === 'v1' && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+// ==========================================
+// EVENTS
+// ==========================================
+
+async function logActivity(leadId, type, description, metadata) {
+  await query(`
+    INSERT INTO lead_activities (lead_id, type, description, metadata, performed_by)
+    VALUES ($1, $2, $3, $4, 'system')
+  `, [leadId, type, description, JSON.stringify(metadata)]);
+}
+
+// Log the activity unless one of this type is already logged for the sent message
+async function logActivityOnce(leadId, type, description, metadata) {
+  await query(`
+    INSERT INTO lead_activities (lead_id, type, description, metadata, performed_by)
+    SELECT $1, $2, $3, $4, 'system'
+    WHERE NOT EXISTS (
+      SELECT 1 FROM lead_activities
+      WHERE lead_id = $1 AND type = $2 AND metadata->>'sent_message_id' = $5
+    )
+  `, [leadId, type, description, JSON.stringify(metadata), String(metadata.sent_message_id)]);
+}
+
+/**
+ * Is this bounce permanent? Transient bounces (full mailbox etc.) are retried by Resend
+ */
+function isHardBounce(data) {
+  const type = (data.bounce?.type || '').toLowerCase();
+  return type === '' || type === 'permanent' || type === 'hard';
+}
+
+/**
+ * Apply one Resend webhook event
+ * Returns { type, matched, messageId, leadId, status, suppressed }
+ */
+export async function processResendEvent(event) {
+  const { type, data = {} } = event || {};
+  const emailId = data.email_id;
+  const occurredAt = event?.created_at ? new Date(event.created_at) : new Date();
+
+  if (!RESEND_EVENT_TYPES.includes(type)) {
+    return { type, matched: false, ignored: true };
+  }
+
+  const result = await query(`
+    SELECT sm.*, l.email as lead_email
+    FROM sent_messages sm
+    LEFT JOIN leads l ON sm.lead_id = l.id
+    WHERE sm.external_message_id = $1 AND sm.channel IN ('email', 'both')
+    LIMIT 1
+  `, [emailId || null]);
+  const message = result.rows[0];
+
+  const outcome = {
+    type,
+    matched: !!message,
+    messageId: message?.id || null,
+    leadId: message?.lead_id || null,
+    status: message?.status || null,
+    suppressed: false
+  };
+
+  if (message) {
+    const status = nextStatus(message.status, EVENT_STATUS[type]);
+
+    const updated = await query(`
+      UPDATE sent_messages SET
+        status = $2,
+        delivered_at = CASE WHEN $3::text = 'email.delivered' THEN COALESCE(delivered_at, $4) ELSE delivered_at END,
+        opened_at = CASE WHEN $3::text IN ('email.opened', 'email.clicked') THEN COALESCE(opened_at, $4) ELSE opened_at END,
+        clicked_at = CASE WHEN $3::text = 'email.clicked' THEN COALESCE(clicked_at, $4) ELSE clicked_at END,
+        failed_at = CASE WHEN $3::text IN ('email.bounced', 'email.complained', 'email.failed') THEN COALESCE(failed_at, $4) ELSE failed_at END,
+        error_message = COALESCE($5, error_message)
+      WHERE id = $1
+      RETURNING status
+    `, [message.id, status, type, occurredAt, describeFailure(type, data)]);
+    outcome.status = updated.rows[0].status;
+
+    // Opens are logged once per email (image proxies re-open constantly); every click is logged.
+    // Checked against the logged opens - a click that arrives first sets opened_at too.
+    if (type === 'email.opened') {
+      await logActivityOnce(message.lead_id, 'email_opened', `Opened "${message.subject || 'email'}"`, {
+        sent_message_id: message.id, external_message_id: emailId
+      });
+    } else if (type === 'email.clicked') {
+      await logActivity(message.lead_id, 'email_clicked', `Clicked ${data.click?.link || 'a link'} in "${message.subject || 'email'}"`, {
+        sent_message_id: message.id, external_message_id: emailId, link: data.click?.link || null
+      });
+    }
+  }
+
+  // Hard bounces and spam complaints go straight on the suppression list
+  const reason = type === 'email.complained' ? 'complaint'
+    : type === 'email.bounced' && isHardBounce(data) ? 'bounce'
+    : null;
+
+  if (reason) {
+    const recipients = [...(Array.isArray(data.to) ? data.to : [data.to]), message?.lead_email].filter(Boolean);
+    const addresses = [...new Set(recipients.map(a => a.toLowerCase()))];
+    for (const address of addresses) {
+      await suppress({
+        channel: 'email',
+        address,
+        leadId: message?.lead_id || null,
+        reason,
+        source: 'resend_webhook',
+        notes: describeFailure(type, data)
+      });
+    }
+    outcome.suppressed = addresses.length > 0;
+  }
+
+  return outcome;
+}
+
+/**
+ * Work out the new status - failures always win, engagement never goes backwards
+ */
+function nextStatus(current, incoming) {
+  if (!incoming) return current;
+  if (!(incoming in STATUS_RANK)) return incoming;
+  if (!(current in STATUS_RANK)) return current;
+  return STATUS_RANK[incoming] > STATUS_RANK[current] ? incoming : current;
+}
+
+function describeFailure(type, data) {
+  if (type === 'email.bounced') {
+    return `Bounced: ${data.bounce?.message || data.bounce?.type || 'unknown reason'}`;
+  }
+  if (type === 'email.complained') return 'Marked as spam';
+  if (type === 'email.failed') return `Failed: ${data.failed?.reason || 'unknown reason'}`;
+  return null;
+}
+
+// ==========================================
+// SIMULATION
+// ==========================================
+
+/**
+ * Build a Resend-shaped event for local testing
+ * Defaults to the most recent email sent to the given lead (or any lead)
+ */
+export async function buildSimulatedResendEvent({ type = 'email.opened', email_id = null, lead_id = null, link = null, bounce_type = 'Permanent' } = {}) {
+  let emailId = email_id;
+  let to = [];
+  let subject = null;
+
+  const latest = await query(`
+    SELECT sm.external_message_id, sm.subject, l.email
+    FROM sent_messages sm
+    JOIN leads l ON sm.lead_id = l.id
+    WHERE sm.channel = 'email' AND sm.external_message_id IS NOT NULL
+    AND ($1::uuid IS NULL OR sm.lead_id = $1)
+    AND ($2::text IS NULL OR sm.external_message_id = $2)
+    ORDER BY sm.sent_at DESC NULLS LAST
+    LIMIT 1
+  `, [lead_id || null, email_id || null]);
+
+  if (latest.rows[0]) {
+    emailId = latest.rows[0].external_message_id;
+    to = [latest.rows[0].email];
+    subject = latest.rows[0].subject;
+  }
+
+  const data = {
+    email_id: emailId || `sim_${Date.now()}`,
+    from: 'simulated@example.com',
+    to,
+    subject,
+    created_at: new Date().toISOString()
+  };
+  if (type === 'email.clicked') {
+    data.click = { link: link || 'https://example.com', timestamp: data.created_at, ipAddress: '127.0.0.1', userAgent: 'simulated' };
+  }
+  if (type === 'email.bounced') {
+    data.bounce = { type: bounce_type, subType: 'General', message: 'Simulated bounce' };
+  }
+
+  return { type, created_at: data.created_at, data };
+}
+
+export default {
+  RESEND_EVENT_TYPES,
+  verifyResendSignature,
+  processResendEvent,
+  buildSimulatedResendEvent
+};
@@ -5,30 +5,26 @@
  * - Receives incoming WhatsApp messages from Evolution API webhooks
  * - Only processes messages from numbers that exist in our leads database
  * - Stores chat history for those conversations
+ * - Halts sequences when a lead replies and honours STOP opt-outs
  * - Uses AI to score intent based on conversation history
  * - Provides insights and recommendations
  */
 
 import { query } from '../database/connection.js';
-import OpenAI from 'openai';
 import { INTENT_CATEGORIES, INTENT_SCORE_RANGES } from '../database/schema-chat-intent.js';
+import { isOptOutMessage, suppress } from './suppressionService.js';
+import { onLeadReplied, onLeadOptedOut } from './sequenceService.js';
+import { createAutoTask } from './taskService.js';
+import { recordScore } from './scoreHistoryService.js';
+import { canUseLLM, complete } from './llmService.js';
 
 // Re-export intent constants as named exports for route imports
 export { INTENT_CATEGORIES, INTENT_SCORE_RANGES };
 
-// Initialize OpenAI
-let openai = null;
-function getOpenAI() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-}
-
 /**
  * Format phone number to normalized format (digits only)
  */
-function normalizePhone(phone) {
+export function normalizePhone(phone) {
   if (!phone) return null;
   // Remove everything except digits
   let cleaned = phone.replace(/[^\d]/g, '');
@@ -70,7 +66,7 @@ export async function isNumberInDatabase(phone) {
   
   try {
     const result = await query(`
-      SELECT id, first_name, last_name, email, phone, company, status, score, source
+      SELECT id, first_name, last_name, email, phone, company, status, score, source, assigned_to
       FROM leads 
       WHERE phone IS NOT NULL 
       AND (
@@ -213,9 +209,8 @@ async function getLeadContext(leadId) {
  * AI-powered intent scoring based on conversation history
  */
 export async function scoreConversationIntent(conversationId, triggeredBy = 'message') {
-  const ai = getOpenAI();
-  if (!ai) {
-    console.log('⚠️ OpenAI not configured, using basic intent scoring');
+  if (!(await canUseLLM())) {
+    console.log('⚠️ LLM not configured or budget reached, using basic intent scoring');
     return basicIntentScoring(conversationId);
   }
   
@@ -278,14 +273,12 @@ Analyze the conversation and return a JSON response with:
 
 Return ONLY valid JSON, no markdown or explanation.`;
 
-    const response = await ai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 800,
-      temperature: 0.3
+    const { text: analysisText, model } = await complete('conversation_intent', {
+      prompt,
+      maxTokens: 800,
+      temperature: 0.3,
+      leadId: conversation.lead_id
     });
-    
-    const analysisText = response.choices[0].message.content.trim();
     let analysis;
     
     try {
@@ -343,6 +336,19 @@ Return ONLY valid JSON, no markdown or explanation.`;
       triggeredBy
     ]);
     
+    await recordScore(conversation.lead_id, {
+      source: 'conversation',
+      score: analysis.intent_score,
+      previousScore,
+      factors: [
+        ...(analysis.buying_signals || []).map(factor => ({ factor, points: 1 })),
+        ...(analysis.objections || []).map(factor => ({ factor, points: -1 }))
+      ],
+      reason: analysis.summary,
+      model,
+      conversationId
+    });
+    
     // Extract and store insights
     if (analysis.buying_signals?.length > 0) {
       for (const signal of analysis.buying_signals) {
@@ -445,15 +451,25 @@ async function basicIntentScoring(conversationId) {
     else category = 'not_interested';
     
     // Update conversation
-    await query(`
+    const updated = await query(`
       UPDATE whatsapp_conversations SET
         current_intent_score = $2,
         intent_category = $3,
         buying_signals = $4,
         updated_at = NOW()
       WHERE id = $1
+      RETURNING lead_id
     `, [conversationId, score, category, JSON.stringify(signals)]);
     
+    await recordScore(updated.rows[0]?.lead_id, {
+      source: 'conversation',
+      score,
+      factors: signals.map(factor => ({ factor })),
+      reason: `Keyword scoring: ${category}`,
+      model: 'keywords',
+      conversationId
+    });
+    
     return { score, category, signals };
   } catch (error) {
     console.error('Basic scoring error:', error);
@@ -538,10 +554,29 @@ export async function processIncomingMessage(webhookData) {
       timestamp: message.messageTimestamp ? new Date(message.messageTimestamp * 1000) : new Date()
     });
     
-    // Only score intent for inbound messages (from the lead)
+    // Only react to and score inbound messages (from the lead)
     let intentResult = null;
+    let optedOut = false;
+    let sequenceActions = [];
     if (direction === 'inbound') {
-      intentResult = await scoreConversationIntent(conversation.id, 'new_message');
+      optedOut = isOptOutMessage(messageContent.text);
+      if (optedOut) {
+        // Suppress the chat number and the number on file, in case they're formatted differently
+        for (const address of new Set([phone, lead.phone].filter(Boolean))) {
+          await suppress({ channel: 'whatsapp', address, leadId: lead.id, reason: 'stop', source: 'whatsapp_inbound' });
+        }
+        await onLeadOptedOut(lead.id);
+      } else {
+        sequenceActions = await onLeadReplied(lead.id);
+        
+        // No intent scoring (or hot lead follow-up) for a lead who just opted out
+        intentResult = await scoreConversationIntent(conversation.id, 'new_message');
+        if (intentResult?.category === 'hot_lead') {
+          await createAutoTask(lead, 'hot_intent', {
+            description: intentResult.recommended_action || intentResult.summary || null
+          });
+        }
+      }
     }
     
     return {
@@ -551,6 +586,8 @@ export async function processIncomingMessage(webhookData) {
       conversationId: conversation.id,
       messageId: storedMessage.id,
       direction,
+      optedOut,
+      sequenceActions,
       intentScore: intentResult?.score,
       intentCategory: intentResult?.category
     };
@@ -882,6 +919,7 @@ function getScoreLabel(score) {
 export default {
   processIncomingMessage,
   isNumberInDatabase,
+  normalizePhone,
   scoreConversationIntent,
   getConversations,
   getConversationDetails,
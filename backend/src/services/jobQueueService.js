@@ -0,0 +1,625 @@
+/**
+ * Job Queue Service
+ *
+ * Postgres-backed background jobs (jobs / job_leases tables), safe to run
+ * on several instances at once:
+ * - Workers claim due jobs with SELECT ... FOR UPDATE SKIP LOCKED and hold
+ *   them under a lease (locked_until). Jobs whose lease runs out (crashed or
+ *   stuck worker) are put back in the queue.
+ * - Failed jobs retry with exponential backoff; after max_attempts they are
+ *   marked dead and stay in the table until retried or cancelled.
+ * - One instance holds the "scheduler" lease (leader election). Only the
+ *   leader schedules recurring jobs, recovers expired leases and runs
+ *   singleton jobs, so e.g. the Meta poller never runs twice in parallel.
+ *
+ * Handlers are registered with registerJob(type, handler, options) and get
+ * (payload, ctx). ctx.progress(data) stores progress, extends the lease and
+ * returns true once the job has been cancelled. A handler's return value is
+ * stored as the job result; recurring jobs returning { runAgain: true } are
+ * rescheduled immediately instead of after their interval.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { query, transaction } from '../database/connection.js';
+
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'dead', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'dead', 'cancelled'];
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const LEADER_LEASE = 'scheduler';
+const LEADER_LEASE_SECONDS = 30;
+
+const POLL_INTERVAL_MS = envInt('JOB_POLL_INTERVAL_MS', 5000);
+const CONCURRENCY = envInt('JOB_CONCURRENCY', 2);
+const RETENTION_DAYS = envInt('JOB_RETENTION_DAYS', 7);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const DEFAULT_BACKOFF_SECONDS = 15;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+
+// type -> { handler, every, singleton, maxAttempts, timeoutSeconds, backoffSeconds }
+const definitions = new Map();
+
+let running = false;
+let ticking = false;
+let wakeRequested = false;
+let timer = null;
+let activeJobs = 0;
+let isLeader = false;
+let lastPrunedAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ==========================================
+// REGISTRATION & ENQUEUEING
+// ==========================================
+
+/**
+ * Register a job handler.
+ * options:
+ * - every: seconds between runs for recurring jobs (scheduled by the leader,
+ *   unique_key = type so only one run is ever queued)
+ * - singleton: only the leader runs it
+ * - maxAttempts, timeoutSeconds (lease length), backoffSeconds (first retry delay)
+ * - onDead(payload, reason): called once the job won't run again without
+ *   finishing - dead after its last attempt, or cancelled
+ */
+export function registerJob(type, handler, options = {}) {
+  definitions.set(type, {
+    handler,
+    every: options.every || null,
+    singleton: !!options.singleton,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    timeoutSeconds: options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS,
+    backoffSeconds: options.backoffSeconds || DEFAULT_BACKOFF_SECONDS,
+    onDead: options.onDead || null
+  });
+}
+
+/**
+ * Queue a job. options: { runAt?, delaySeconds?, priority?, uniqueKey?,
+ * maxAttempts?, createdBy? }. With a uniqueKey, an already pending or
+ * running job with that key is returned instead of queueing a second one.
+ */
+export async function enqueueJob(type, payload = {}, options = {}) {
+  const definition = definitions.get(type);
+  if (!definition) throw new Error(`Unknown job type: ${type}`);
+
+  const runAt = options.runAt
+    || (options.delaySeconds ? new Date(Date.now() + options.delaySeconds * 1000) : null);
+
+  // A keyed job can finish between the conflicting insert and the lookup,
+  // so try twice
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const result = await query(`
+      INSERT INTO jobs (type, payload, unique_key, priority, run_at, max_attempts, created_by)
+      VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, NOW()), $6, $7)
+      ON CONFLICT (unique_key) WHERE status IN ('pending', 'running') DO NOTHING
+      RETURNING *
+    `, [
+      type,
+      JSON.stringify(payload),
+      options.uniqueKey || null,
+      options.priority || 0,
+      runAt,
+      options.maxAttempts || definition.maxAttempts,
+      options.createdBy || null
+    ]);
+
+    if (result.rows[0]) {
+      wake();
+      return result.rows[0];
+    }
+
+    const existing = await query(
+      `SELECT * FROM jobs WHERE unique_key = $1 AND status IN ('pending', 'running')`,
+      [options.uniqueKey]
+    );
+    if (existing.rows[0]) return existing.rows[0];
+  }
+
+  throw new Error(`Failed to enqueue job: ${type}`);
+}
+
+/**
+ * Run a recurring job as soon as possible: a queued run is brought forward,
+ * a run in progress is repeated as soon as it ends. With wait (ms), waits
+ * for that run to finish and returns the finished job.
+ */
+export async function runJobNow(type, { wait = 0 } = {}) {
+  const result = await query(`
+    UPDATE jobs
+    SET run_at = LEAST(run_at, NOW()),
+        rerun_requested = (status = 'running'),
+        updated_at = NOW()
+    WHERE unique_key = $1 AND status IN ('pending', 'running')
+    RETURNING *
+  `, [type]);
+
+  const job = result.rows[0] || await enqueueJob(type, {}, { uniqueKey: type });
+  wake();
+
+  if (!wait) return job;
+
+  // A run already in progress may have started before whatever prompted
+  // this call, so wait for the run after it
+  const finished = await waitForJob(job.id, wait);
+  if (job.status !== 'running' || !FINISHED_STATUSES.includes(finished.status)) return finished;
+
+  const next = await query(
+    `SELECT * FROM jobs WHERE unique_key = $1 AND created_at >= $2 ORDER BY created_at DESC LIMIT 1`,
+    [type, job.created_at]
+  );
+  if (!next.rows[0] || next.rows[0].id === job.id) return finished;
+  return waitForJob(next.rows[0].id, wait);
+}
+
+/**
+ * Poll a job until it is finished or timeoutMs has passed
+ */
+export async function waitForJob(id, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await getJob(id);
+    if (FINISHED_STATUSES.includes(job.status) || Date.now() >= deadline) return job;
+    await sleep(500);
+  }
+}
+
+// ==========================================
+// WORKER
+// ==========================================
+
+/**
+ * Start polling for jobs on this instance
+ */
+export function startJobWorker() {
+  if (running) return;
+  running = true;
+  console.log(`⚙️ Job worker ${WORKER_ID} started (${[...definitions.keys()].join(', ')})`);
+  schedule(0);
+}
+
+/**
+ * Stop claiming jobs and hand leadership to another instance.
+ * Jobs already running are recovered by the next leader once their lease ends.
+ */
+export async function stopJobWorker() {
+  if (!running) return;
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+
+  if (isLeader) {
+    isLeader = false;
+    try {
+      await query('DELETE FROM job_leases WHERE name = $1 AND holder = $2', [LEADER_LEASE, WORKER_ID]);
+    } catch (error) {
+      console.error('Failed to release scheduler lease:', error.message);
+    }
+  }
+  console.log('⚙️ Job worker stopped');
+}
+
+function schedule(ms) {
+  clearTimeout(timer);
+  timer = setTimeout(tick, ms);
+}
+
+// Check for work now instead of at the next poll
+function wake() {
+  if (!running) return;
+  if (ticking) {
+    wakeRequested = true;
+    return;
+  }
+  schedule(0);
+}
+
+async function tick() {
+  if (ticking || !running) return;
+  ticking = true;
+  wakeRequested = false;
+
+  try {
+    const leader = await renewLeadership();
+    if (leader) {
+      await recoverExpiredJobs();
+      await ensureRecurringJobs();
+      await pruneFinishedJobs();
+    }
+
+    while (running && activeJobs < CONCURRENCY) {
+      const job = await claimNextJob(leader);
+      if (!job) break;
+
+      activeJobs++;
+      executeJob(job).finally(() => {
+        activeJobs--;
+        wake();
+      });
+    }
+  } catch (error) {
+    console.error('Job worker error:', error.message);
+  } finally {
+    ticking = false;
+    if (running) schedule(wakeRequested ? 0 : POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Take or renew the scheduler lease. Returns whether this instance leads.
+ */
+async function renewLeadership() {
+  let leader = false;
+  try {
+    const result = await query(`
+      INSERT INTO job_leases (name, holder, acquired_at, expires_at)
+      VALUES ($1, $2, NOW(), NOW() + make_interval(secs => $3::int))
+      ON CONFLICT (name) DO UPDATE
+        SET holder = EXCLUDED.holder,
+            acquired_at = CASE WHEN job_leases.holder = EXCLUDED.holder THEN job_leases.acquired_at ELSE NOW() END,
+            expires_at = EXCLUDED.expires_at
+        WHERE job_leases.holder = EXCLUDED.holder OR job_leases.expires_at < NOW()
+      RETURNING holder
+    `, [LEADER_LEASE, WORKER_ID, LEADER_LEASE_SECONDS]);
+    leader = result.rows.length > 0;
+  } catch (error) {
+    console.error('Failed to renew scheduler lease:', error.message);
+  }
+
+  if (leader !== isLeader) {
+    console.log(leader ? `👑 ${WORKER_ID} is now the job scheduler` : `${WORKER_ID} is no longer the job scheduler`);
+  }
+  isLeader = leader;
+  return leader;
+}
+
+async function claimNextJob(leader) {
+  const types = [...definitions.entries()]
+    .filter(([, definition]) => leader || !definition.singleton)
+    .map(([type]) => type);
+  if (types.length === 0) return null;
+
+  const timeouts = Object.fromEntries([...definitions.entries()].map(([type, definition]) => [type, definition.timeoutSeconds]));
+
+  const result = await query(`
+    UPDATE jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_by = $1,
+        locked_until = NOW() + make_interval(secs => COALESCE(($3::jsonb ->> type)::int, ${DEFAULT_TIMEOUT_SECONDS})),
+        started_at = NOW(),
+        rerun_requested = false,
+        updated_at = NOW()
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_at <= NOW() AND type = ANY($2)
+      ORDER BY priority DESC, run_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [WORKER_ID, types, JSON.stringify(timeouts)]);
+  return result.rows[0] || null;
+}
+
+async function executeJob(job) {
+  const definition = definitions.get(job.type);
+  const ctx = {
+    job,
+    progress: async (progress) => {
+      const result = await query(`
+        UPDATE jobs
+        SET progress = $2,
+            locked_until = NOW() + make_interval(secs => $3::int),
+            updated_at = NOW()
+        WHERE id = $1 AND locked_by = $4
+        RETURNING cancel_requested
+      `, [job.id, JSON.stringify(progress), definition.timeoutSeconds, WORKER_ID]);
+      // Lost the lease - another worker owns the job now, so stop as well
+      return !result.rows[0] || result.rows[0].cancel_requested;
+    }
+  };
+
+  try {
+    const result = await definition.handler(job.payload || {}, ctx);
+    await completeJob(job, definition, result);
+  } catch (error) {
+    try {
+      await failJob(job, definition, error);
+    } catch (updateError) {
+      console.error(`Failed to record failure of job ${job.type} (${job.id}):`, updateError.message);
+    }
+  }
+}
+
+async function completeJob(job, definition, result) {
+  await transaction(async (client) => {
+    const updated = await client.query(`
+      UPDATE jobs
+      SET status = CASE WHEN cancel_requested THEN 'cancelled' ELSE 'completed' END,
+          result = $2,
+          last_error = NULL,
+          locked_by = NULL,
+          locked_until = NULL,
+          finished_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND locked_by = $3
+      RETURNING rerun_requested
+    `, [job.id, result === undefined ? null : JSON.stringify(result), WORKER_ID]);
+
+    if (!updated.rows[0]) {
+      console.warn(`Job ${job.type} (${job.id}) finished after its lease expired - result discarded`);
+      return;
+    }
+
+    if (definition.every) {
+      const immediately = updated.rows[0].rerun_requested || result?.runAgain;
+      await scheduleNextRun(client, job.type, definition, immediately ? 0 : definition.every);
+    }
+  });
+}
+
+async function failJob(job, definition, error) {
+  const dead = job.attempts >= job.max_attempts;
+  const delay = backoffSeconds(definition, job.attempts);
+  let status;
+
+  await transaction(async (client) => {
+    const updated = await client.query(`
+      UPDATE jobs
+      SET status = CASE WHEN cancel_requested THEN 'cancelled' WHEN $2 THEN 'dead' ELSE 'pending' END,
+          run_at = NOW() + make_interval(secs => $3::int),
+          last_error = $4,
+          locked_by = NULL,
+          locked_until = NULL,
+          finished_at = CASE WHEN cancel_requested OR $2 THEN NOW() END,
+          updated_at = NOW()
+      WHERE id = $1 AND locked_by = $5
+      RETURNING status
+    `, [job.id, dead, delay, String(error.message || error).slice(0, 2000), WORKER_ID]);
+
+    status = updated.rows[0]?.status;
+    if (status === 'dead') {
+      console.error(`☠️ Job ${job.type} (${job.id}) failed ${job.attempts} times, giving up:`, error.message);
+    } else if (status === 'pending') {
+      console.error(`Job ${job.type} (${job.id}) failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delay}s:`, error.message);
+    }
+
+    // A recurring job keeps its schedule even when a run dies
+    if (status && status !== 'pending' && definition.every) {
+      await scheduleNextRun(client, job.type, definition, definition.every);
+    }
+  });
+
+  if (status === 'dead' || status === 'cancelled') {
+    await notifyDead(job, String(error.message || error));
+  }
+}
+
+// Let the handler's owner clean up after a job that is given up on
+async function notifyDead(job, reason) {
+  const onDead = definitions.get(job.type)?.onDead;
+  if (!onDead) return;
+  try {
+    await onDead(job.payload || {}, reason);
+  } catch (error) {
+    console.error(`onDead of job ${job.type} (${job.id}) failed:`, error.message);
+  }
+}
+
+// Exponential backoff with a little jitter so retries don't line up
+function backoffSeconds(definition, attempts) {
+  const delay = Math.min(MAX_BACKOFF_SECONDS, definition.backoffSeconds * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+async function scheduleNextRun(client, type, definition, delaySeconds) {
+  await client.query(`
+    INSERT INTO jobs (type, unique_key, run_at, max_attempts)
+    VALUES ($1, $1, NOW() + make_interval(secs => $2::int), $3)
+    ON CONFLICT (unique_key) WHERE status IN ('pending', 'running') DO NOTHING
+  `, [type, delaySeconds, definition.maxAttempts]);
+}
+
+// ==========================================
+// LEADER DUTIES
+// ==========================================
+
+// Put jobs back whose worker died or hung past its lease
+async function recoverExpiredJobs() {
+  const result = await query(`
+    UPDATE jobs
+    SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+        run_at = NOW(),
+        last_error = 'Lease expired (worker ' || COALESCE(locked_by, 'unknown') || ' stopped or timed out)',
+        locked_by = NULL,
+        locked_until = NULL,
+        finished_at = CASE WHEN attempts >= max_attempts THEN NOW() END,
+        updated_at = NOW()
+    WHERE status = 'running' AND locked_until < NOW()
+    RETURNING id, type, status, payload, last_error
+  `);
+
+  for (const job of result.rows) {
+    console.warn(`Recovered job ${job.type} (${job.id}) with an expired lease -> ${job.status}`);
+    if (job.status === 'dead') await notifyDead(job, job.last_error);
+  }
+}
+
+// Make sure every recurring job has a queued run
+async function ensureRecurringJobs() {
+  for (const [type, definition] of definitions) {
+    if (!definition.every) continue;
+    await query(`
+      INSERT INTO jobs (type, unique_key, max_attempts)
+      VALUES ($1, $1, $2)
+      ON CONFLICT (unique_key) WHERE status IN ('pending', 'running') DO NOTHING
+    `, [type, definition.maxAttempts]);
+  }
+}
+
+// Completed and cancelled jobs are kept for JOB_RETENTION_DAYS; dead jobs
+// stay until someone deals with them
+async function pruneFinishedJobs() {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  const result = await query(`
+    DELETE FROM jobs
+    WHERE status IN ('completed', 'cancelled') AND finished_at < NOW() - make_interval(days => $1::int)
+  `, [RETENTION_DAYS]);
+  if (result.rowCount > 0) {
+    console.log(`🧹 Pruned ${result.rowCount} finished jobs`);
+  }
+}
+
+// ==========================================
+// INSPECTION & MANAGEMENT
+// ==========================================
+
+export async function getJob(id) {
+  const result = await query('SELECT * FROM jobs WHERE id = $1', [id]);
+  if (!result.rows[0]) throw new Error('Job not found');
+  return result.rows[0];
+}
+
+/**
+ * Most recent jobs, optionally filtered by status and type
+ */
+export async function listJobs({ status, type, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await query(`
+    SELECT * FROM jobs
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Job counts per type and status, the current scheduler and this worker
+ */
+export async function getJobStats() {
+  const [counts, lease] = await Promise.all([
+    query(`
+      SELECT type,
+        COUNT(*) FILTER (WHERE status = 'pending')::int as pending,
+        COUNT(*) FILTER (WHERE status = 'running')::int as running,
+        COUNT(*) FILTER (WHERE status = 'completed')::int as completed,
+        COUNT(*) FILTER (WHERE status = 'dead')::int as dead,
+        COUNT(*) FILTER (WHERE status = 'cancelled')::int as cancelled,
+        MAX(finished_at) FILTER (WHERE status = 'completed') as last_completed_at
+      FROM jobs
+      GROUP BY type
+      ORDER BY type
+    `),
+    query('SELECT holder, acquired_at, expires_at FROM job_leases WHERE name = $1 AND expires_at > NOW()', [LEADER_LEASE])
+  ]);
+
+  return {
+    types: counts.rows,
+    scheduler: lease.rows[0] || null,
+    worker: {
+      id: WORKER_ID,
+      running,
+      leader: isLeader,
+      active_jobs: activeJobs,
+      concurrency: CONCURRENCY,
+      registered: [...definitions.entries()].map(([type, definition]) => ({
+        type,
+        every: definition.every,
+        singleton: definition.singleton
+      }))
+    }
+  };
+}
+
+/**
+ * Queue a dead or cancelled job again with a fresh set of attempts
+ */
+export async function retryJob(id) {
+  const job = await getJob(id);
+  if (!['dead', 'cancelled'].includes(job.status)) {
+    throw new Error('Only dead or cancelled jobs can be retried');
+  }
+
+  let result;
+  try {
+    result = await query(`
+      UPDATE jobs
+      SET status = 'pending', attempts = 0, run_at = NOW(), cancel_requested = false,
+          finished_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('dead', 'cancelled')
+      RETURNING *
+    `, [id]);
+  } catch (error) {
+    // unique_key violation: the same job is already queued
+    if (error.code === '23505') throw new Error('Job is already queued');
+    throw error;
+  }
+  if (!result.rows[0]) throw new Error('Only dead or cancelled jobs can be retried');
+
+  wake();
+  return result.rows[0];
+}
+
+/**
+ * Cancel a pending job, or ask a running job to stop (handlers check via
+ * ctx.progress)
+ */
+export async function cancelJob(id) {
+  const result = await query(`
+    UPDATE jobs
+    SET status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END,
+        finished_at = CASE WHEN status = 'pending' THEN NOW() ELSE finished_at END,
+        cancel_requested = true,
+        updated_at = NOW()
+    WHERE id = $1 AND status IN ('pending', 'running')
+    RETURNING *
+  `, [id]);
+
+  if (!result.rows[0]) {
+    await getJob(id);
+    throw new Error('Job is already finished');
+  }
+  if (result.rows[0].status === 'cancelled') {
+    await notifyDead(result.rows[0], 'Cancelled');
+  }
+  return result.rows[0];
+}
+
+export default {
+  registerJob,
+  enqueueJob,
+  runJobNow,
+  waitForJob,
+  startJobWorker,
+  stopJobWorker,
+  getJob,
+  listJobs,
+  getJobStats,
+  retryJob,
+  cancelJob
+};
@@ -0,0 +1,307 @@
+/**
+ * Lead Bulk Action Service
+ *
+ * Applies one action to many leads - explicit IDs, a saved segment or the
+ * current list filters - as a bulk_leads job on the job queue (see
+ * backgroundJobs.js). Every lead gets a result row
+ * (succeeded / skipped / failed with a reason) and the job counters can be
+ * polled like import jobs.
+ *
+ * Actions (params):
+ * - status (status), priority (priority)
+ * - add_tags / remove_tags (tags)
+ * - assign (assignedTo user ID - null unassigns)
+ * - enroll (sequenceSlug) - leads already active are skipped
+ * - cancel_sequence (sequenceSlug, or none to cancel every sequence)
+ * - delete
+ */
+
+import { query } from '../database/connection.js';
+import Lead from '../models/Lead.js';
+import { enrollLead, cancelLeadSequence, cancelAllSequences, getSequenceBySlug, triggerMessageQueue } from './sequenceService.js';
+import { assignLead } from './leadRoutingService.js';
+import { enqueueJob } from './jobQueueService.js';
+
+export const MAX_BULK_LEADS = 10000;
+export const BULK_JOB = 'bulk_leads';
+
+const PROGRESS_EVERY = 50;
+const MAX_JOB_RESULTS = 1000;
+const CANCEL_REASON = 'Cancelled by bulk action';
+
+const leadLabel = (lead) =>
+  [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.email || lead.phone || lead.id;
+
+// ==========================================
+// ACTIONS
+// ==========================================
+
+/**
+ * Per-job lookups shared by every lead (sequence, who is already enrolled)
+ */
+async function prepareAction(action, params, leadIds) {
+  if (!params.sequenceSlug || !['enroll', 'cancel_sequence'].includes(action)) return {};
+
+  const sequence = await getSequenceBySlug(params.sequenceSlug);
+  if (!sequence) throw new Error(`Sequence not found: ${params.sequenceSlug}`);
+
+  const result = await query(
+    `SELECT lead_id, status FROM lead_sequences WHERE sequence_id = $1 AND lead_id = ANY($2)`,
+    [sequence.id, leadIds]
+  );
+  return { sequence, enrollments: new Map(result.rows.map(row => [row.lead_id, row.status])) };
+}
+
+const skipped = (message) => ({ result: 'skipped', message });
+const succeeded = (message = null) => ({ result: 'succeeded', message });
+
+/**
+ * Apply the action to one lead. Returns { result, message }
+ */
+async function applyAction(lead, action, params, context) {
+  switch (action) {
+    case 'status':
+    case 'priority': {
+      if (lead[action] === params[action]) return skipped(`Already ${params[action]}`);
+      await Lead.updateLead(lead.id, { [action]: params[action] });
+      return succeeded(`${lead[action] || 'none'} → ${params[action]}`);
+    }
+
+    case 'add_tags': {
+      const tags = lead.tags || [];
+      const added = params.tags.filter(tag => !tags.includes(tag));
+      if (added.length === 0) return skipped('Already tagged');
+      await Lead.updateLead(lead.id, { tags: [...tags, ...added] });
+      return succeeded(`Added ${added.join(', ')}`);
+    }
+
+    case 'remove_tags': {
+      const tags = lead.tags || [];
+      const kept = tags.filter(tag => !params.tags.includes(tag));
+      if (kept.length === tags.length) return skipped('No matching tags');
+      await Lead.updateLead(lead.id, { tags: kept });
+      return succeeded(`Removed ${tags.filter(tag => !kept.includes(tag)).join(', ')}`);
+    }
+
+    case 'assign': {
+      const assignedTo = params.assignedTo || null;
+      const changed = await assignLead(lead.id, assignedTo, { reason: 'bulk', assignedBy: context.createdBy });
+      if (!changed) return skipped(assignedTo ? 'Already assigned to this rep' : 'Not assigned');
+      return succeeded(assignedTo ? 'Assigned' : 'Unassigned');
+    }
+
+    case 'enroll': {
+      if (context.enrollments.get(lead.id) === 'active') return skipped('Already active in sequence');
+      const enrollment = await enrollLead(lead.id, params.sequenceSlug, { enrolledBy: 'bulk', processNow: false });
+      if (!enrollment) return skipped('Sequence is inactive');
+      context.enrolled = (context.enrolled || 0) + 1;
+      return succeeded(`Enrolled in ${context.sequence.name}`);
+    }
+
+    case 'cancel_sequence': {
+      if (context.sequence) {
+        if (!['active', 'paused'].includes(context.enrollments.get(lead.id))) return skipped('Not active in sequence');
+        await cancelLeadSequence(lead.id, params.sequenceSlug, CANCEL_REASON);
+        return succeeded(`Cancelled ${context.sequence.name}`);
+      }
+      const active = await query(
+        `SELECT COUNT(*) as count FROM lead_sequences WHERE lead_id = $1 AND status IN ('active', 'paused')`,
+        [lead.id]
+      );
+      const count = parseInt(active.rows[0].count);
+      if (count === 0) return skipped('No active sequences');
+      await cancelAllSequences(lead.id, CANCEL_REASON);
+      return succeeded(`Cancelled ${count} sequence${count === 1 ? '' : 's'}`);
+    }
+
+    case 'delete': {
+      await Lead.deleteLead(lead.id);
+      return succeeded('Deleted');
+    }
+
+    default:
+      throw new Error(`Unknown bulk action: ${action}`);
+  }
+}
+
+// ==========================================
+// JOBS
+// ==========================================
+
+// The target lead IDs are only needed by the job itself
+const withoutLeadIds = ({ lead_ids: leadIds, ...job }) => job;
+
+/**
+ * Bulk job with its per-lead results (failed and skipped first)
+ */
+export async function getBulkJob(id, { result = null, limit = MAX_JOB_RESULTS } = {}) {
+  const jobResult = await query('SELECT * FROM lead_bulk_jobs WHERE id = $1', [id]);
+  if (!jobResult.rows[0]) return null;
+  const job = withoutLeadIds(jobResult.rows[0]);
+
+  const results = await query(
+    `SELECT lead_id, lead_label, result, message
+     FROM lead_bulk_results
+     WHERE job_id = $1 AND ($2::text IS NULL OR result = $2)
+     ORDER BY CASE result WHEN 'failed' THEN 0 WHEN 'skipped' THEN 1 ELSE 2 END, id
+     LIMIT $3`,
+    [id, result, limit]
+  );
+
+  return { ...job, results: results.rows };
+}
+
+export async function getBulkJobs(limit = 20) {
+  const result = await query(
+    'SELECT * FROM lead_bulk_jobs ORDER BY created_at DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows.map(withoutLeadIds);
+}
+
+/**
+ * bulk_leads job handler. Picks up after the last saved progress when an
+ * earlier attempt was cut short; leads since then get the action again,
+ * which skips what is already done.
+ */
+export async function runBulkJob({ bulkJobId }, ctx) {
+  const jobResult = await query('SELECT * FROM lead_bulk_jobs WHERE id = $1', [bulkJobId]);
+  const job = jobResult.rows[0];
+  if (!job?.lead_ids) return { skipped: 'Bulk job not found or already finished' };
+
+  const { action, params } = job;
+  const leadIds = job.lead_ids.slice(job.processed_count);
+  const counts = {
+    processed: job.processed_count,
+    succeeded: job.succeeded_count,
+    skipped: job.skipped_count,
+    failed: job.failed_count
+  };
+  let pending = [];
+
+  const saveProgress = async (status = 'running') => {
+    if (pending.length > 0) {
+      const values = [];
+      const rowParams = [bulkJobId];
+      for (const row of pending) {
+        rowParams.push(row.leadId, row.label, row.result, row.message);
+        const i = rowParams.length;
+        values.push(`($1, $${i - 3}, $${i - 2}, $${i - 1}, $${i})`);
+      }
+      await query(
+        `INSERT INTO lead_bulk_results (job_id, lead_id, lead_label, result, message) VALUES ${values.join(', ')}`,
+        rowParams
+      );
+      pending = [];
+    }
+
+    await query(`
+      UPDATE lead_bulk_jobs SET
+        status = $2, processed_count = $3, succeeded_count = $4, skipped_count = $5, failed_count = $6,
+        lead_ids = CASE WHEN $2 = 'completed' THEN NULL ELSE lead_ids END,
+        completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE completed_at END
+      WHERE id = $1
+    `, [bulkJobId, status, counts.processed, counts.succeeded, counts.skipped, counts.failed]);
+  };
+
+  await query(`
+    UPDATE lead_bulk_jobs
+    SET status = 'running', started_at = COALESCE(started_at, NOW()), completed_at = NULL, error_message = NULL
+    WHERE id = $1
+  `, [bulkJobId]);
+  if (counts.processed > 0) {
+    console.log(`🧰 Bulk ${action} ${bulkJobId} resuming at lead ${counts.processed + 1}`);
+  }
+
+  let context;
+  try {
+    context = { ...(await prepareAction(action, params, leadIds)), createdBy: job.created_by };
+  } catch (error) {
+    // e.g. the sequence is gone - retrying won't help
+    await failBulkJob({ bulkJobId }, error.message);
+    return { failed: error.message };
+  }
+
+  for (const leadId of leadIds) {
+    let outcome;
+    let label = leadId;
+    try {
+      const lead = await Lead.getLeadById(leadId);
+      if (lead) {
+        label = leadLabel(lead);
+        outcome = await applyAction(lead, action, params, context);
+      } else {
+        outcome = skipped('Lead not found');
+      }
+    } catch (error) {
+      outcome = { result: 'failed', message: error.message };
+    }
+
+    counts[outcome.result]++;
+    counts.processed++;
+    pending.push({ leadId, label: String(label).slice(0, 255), ...outcome });
+    if (counts.processed % PROGRESS_EVERY === 0) {
+      await saveProgress();
+      // Cancelled, or another worker took over the job
+      if (await ctx.progress({ processed: counts.processed, total: job.total_count })) {
+        throw new Error('Bulk action cancelled');
+      }
+    }
+  }
+
+  // Send anything due now (delay 0 steps) once rather than per lead
+  if (context.enrolled > 0) {
+    try {
+      await triggerMessageQueue();
+    } catch (processError) {
+      console.error('Failed to process immediate messages:', processError);
+    }
+  }
+
+  await saveProgress('completed');
+  console.log(`🧰 Bulk ${action} ${bulkJobId} done: ${counts.succeeded} succeeded, ${counts.skipped} skipped, ${counts.failed} failed`);
+  return counts;
+}
+
+/**
+ * bulk_leads onDead: the job failed for good (or was cancelled). Leads
+ * already processed keep their results.
+ */
+export async function failBulkJob({ bulkJobId }, reason) {
+  console.error(`🧰 Bulk job ${bulkJobId} failed:`, reason);
+  await query(`
+    UPDATE lead_bulk_jobs SET status = 'failed', completed_at = NOW(), error_message = $2
+    WHERE id = $1 AND status IN ('pending', 'running')
+  `, [bulkJobId, reason]);
+}
+
+/**
+ * Create a bulk job for the given leads and queue it
+ * Returns the job row (status pending) - poll getBulkJob for progress
+ */
+export async function startBulkJob({ action, params = {}, leadIds, target = {} }, createdBy = null) {
+  const uniqueIds = [...new Set(leadIds)];
+
+  const result = await query(`
+    INSERT INTO lead_bulk_jobs (action, params, target, lead_ids, total_count, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [action, JSON.stringify(params), JSON.stringify(target), JSON.stringify(uniqueIds), uniqueIds.length, createdBy]);
+  const job = withoutLeadIds(result.rows[0]);
+
+  try {
+    await enqueueJob(BULK_JOB, { bulkJobId: job.id }, { createdBy });
+  } catch (error) {
+    await failBulkJob({ bulkJobId: job.id }, error.message);
+    throw error;
+  }
+
+  return job;
+}
+
+export default {
+  MAX_BULK_LEADS,
+  startBulkJob,
+  getBulkJob,
+  getBulkJobs
+};
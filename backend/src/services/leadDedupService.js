@@ -0,0 +1,396 @@
+/**
+ * Lead Deduplication Service
+ *
+ * Finds leads that are probably the same person and merges them.
+ * Leads match on:
+ * - email: case-insensitive, trimmed
+ * - phone: digits only without leading zeros (evolutionChatService.normalizePhone),
+ *   compared on the last 10 digits so +44 7700 900123 matches 07700 900123
+ * - name_company: same full name at the same company (review only - never auto-matched)
+ *
+ * Intake (Meta webhook / poller) reuses an existing lead on an email or phone
+ * match. Everything else lands in the lead_duplicates review queue, where a
+ * user merges the pair or dismisses it.
+ */
+
+import { query, transaction } from '../database/connection.js';
+import Lead from '../models/Lead.js';
+import { normalizePhone } from './evolutionChatService.js';
+import { AUTO_TASKS } from './taskService.js';
+
+export const MATCH_REASONS = ['email', 'phone', 'name_company'];
+
+const PHONE_MATCH_DIGITS = 10;
+const MIN_PHONE_DIGITS = 7;
+
+// SQL mirror of phoneKey() for a column
+const phoneKeySql = (column) => `
+  CASE WHEN LENGTH(LTRIM(REGEXP_REPLACE(COALESCE(${column}, ''), '[^0-9]', '', 'g'), '0')) >= ${MIN_PHONE_DIGITS}
+    THEN RIGHT(LTRIM(REGEXP_REPLACE(${column}, '[^0-9]', '', 'g'), '0'), ${PHONE_MATCH_DIGITS})
+  END`;
+
+// Match keys for every lead - shared by single-lead checks and the full scan
+const LEAD_KEYS_CTE = `
+  keys AS (
+    SELECT id, created_at,
+      NULLIF(LOWER(TRIM(email)), '') as email_key,
+      ${phoneKeySql('phone')} as phone_key,
+      CASE WHEN TRIM(COALESCE(company, '')) <> '' AND TRIM(CONCAT_WS(' ', first_name, last_name)) <> ''
+        THEN LOWER(TRIM(CONCAT_WS(' ', first_name, last_name))) || '|' || LOWER(TRIM(company))
+      END as name_company_key
+    FROM leads
+  )`;
+
+// Candidate pairs { lead_id (newer), match_lead_id, reasons }, optionally only those involving $1
+const pairsSql = ({ forLead = false } = {}) => {
+  const branch = (key, reason) => `
+    SELECT a.id as lead_id, b.id as match_lead_id, '${reason}' as reason
+    FROM keys a
+    JOIN keys b ON a.${key} = b.${key} AND (a.created_at, a.id) > (b.created_at, b.id)
+    ${forLead ? 'WHERE a.id = $1 OR b.id = $1' : ''}`;
+
+  return `
+    WITH ${LEAD_KEYS_CTE},
+    matches AS (
+      ${branch('email_key', 'email')}
+      UNION ALL ${branch('phone_key', 'phone')}
+      UNION ALL ${branch('name_company_key', 'name_company')}
+    )
+    SELECT lead_id, match_lead_id, jsonb_agg(reason ORDER BY reason) as reasons
+    FROM matches
+    GROUP BY lead_id, match_lead_id`;
+};
+
+/**
+ * Comparable phone key: normalized digits, last 10, or null if too short to trust
+ */
+export function phoneKey(phone) {
+  const digits = normalizePhone(phone);
+  return digits && digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_MATCH_DIGITS) : null;
+}
+
+// ==========================================
+// MATCHING
+// ==========================================
+
+/**
+ * Find the existing lead an incoming submission belongs to
+ * Checks source_id, then email, then phone; the oldest matching lead wins.
+ * Returns { lead, matchedOn } or null
+ */
+export async function findExistingLead({ sourceId, email, phone } = {}) {
+  if (sourceId) {
+    const lead = await Lead.getLeadBySourceId(sourceId);
+    if (lead) return { lead, matchedOn: 'source_id' };
+  }
+
+  const emailKey = email?.trim().toLowerCase();
+  if (emailKey) {
+    const result = await query(
+      'SELECT id FROM leads WHERE LOWER(TRIM(email)) = $1 ORDER BY created_at LIMIT 1',
+      [emailKey]
+    );
+    if (result.rows[0]) return { lead: await Lead.getLeadById(result.rows[0].id), matchedOn: 'email' };
+  }
+
+  const key = phoneKey(phone);
+  if (key) {
+    const result = await query(
+      `SELECT id FROM leads WHERE ${phoneKeySql('phone')} = $1 ORDER BY created_at LIMIT 1`,
+      [key]
+    );
+    if (result.rows[0]) return { lead: await Lead.getLeadById(result.rows[0].id), matchedOn: 'phone' };
+  }
+
+  return null;
+}
+
+/**
+ * Fold a repeat submission into the lead it matched
+ * Fills contact fields the lead is missing and logs a duplicate_submission activity.
+ */
+export async function recordDuplicateSubmission(lead, incoming, { source, matchedOn } = {}) {
+  const fills = {};
+  for (const field of ['first_name', 'last_name', 'email', 'phone', 'company']) {
+    if (!lead[field] && incoming[field]) fills[field] = incoming[field];
+  }
+  if (Object.keys(fills).length > 0) {
+    await Lead.updateLead(lead.id, fills);
+  }
+
+  await query(`
+    INSERT INTO lead_activities (lead_id, type, description, metadata, performed_by)
+    VALUES ($1, 'duplicate_submission', $2, $3, 'system')
+  `, [
+    lead.id,
+    `Submitted again via ${source || 'unknown source'} (matched on ${matchedOn})`,
+    JSON.stringify({ source, matched_on: matchedOn, submission: incoming, filled: Object.keys(fills) })
+  ]);
+
+  console.log(`👥 Repeat submission from ${source} matched lead ${lead.id} on ${matchedOn}`);
+}
+
+/**
+ * Leads that look like the same person as leadId
+ * Returns [{ lead, reasons }]
+ */
+export async function findDuplicatesOf(leadId) {
+  const result = await query(pairsSql({ forLead: true }), [leadId]);
+
+  const duplicates = [];
+  for (const row of result.rows) {
+    const otherId = row.lead_id === leadId ? row.match_lead_id : row.lead_id;
+    const lead = await Lead.getLeadById(otherId);
+    if (lead) duplicates.push({ lead, reasons: row.reasons });
+  }
+  return duplicates;
+}
+
+/**
+ * Queue review items for a lead's possible duplicates
+ * Pairs already in the queue (including dismissed ones) are left alone.
+ * Returns the number of new review items
+ */
+export async function flagDuplicates(leadId) {
+  const result = await query(`
+    INSERT INTO lead_duplicates (lead_id, match_lead_id, reasons)
+    SELECT lead_id, match_lead_id, reasons FROM (${pairsSql({ forLead: true })}) pairs
+    ON CONFLICT DO NOTHING
+  `, [leadId]);
+
+  if (result.rowCount > 0) {
+    console.log(`👥 Flagged ${result.rowCount} possible duplicate(s) for lead ${leadId}`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Scan every lead and queue all duplicate pairs not already reviewed
+ */
+export async function scanForDuplicates() {
+  const result = await query(`
+    INSERT INTO lead_duplicates (lead_id, match_lead_id, reasons)
+    SELECT lead_id, match_lead_id, reasons FROM (${pairsSql()}) pairs
+    ON CONFLICT DO NOTHING
+  `);
+  console.log(`👥 Duplicate scan flagged ${result.rowCount} new pair(s)`);
+  return result.rowCount;
+}
+
+// ==========================================
+// REVIEW QUEUE
+// ==========================================
+
+/**
+ * List review items with both leads
+ */
+export async function getDuplicateQueue({ status = 'pending', page = 1, limit = 25 } = {}) {
+  const offset = (page - 1) * limit;
+
+  const [result, countResult] = await Promise.all([
+    query(`
+      SELECT d.*,
+        row_to_json(l) as lead,
+        row_to_json(m) as match_lead
+      FROM lead_duplicates d
+      JOIN (SELECT id, first_name, last_name, email, phone, company, source, source_id, status, score, created_at FROM leads) l ON d.lead_id = l.id
+      JOIN (SELECT id, first_name, last_name, email, phone, company, source, source_id, status, score, created_at FROM leads) m ON d.match_lead_id = m.id
+      WHERE d.status = $1
+      ORDER BY d.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]),
+    query('SELECT COUNT(*) as count FROM lead_duplicates WHERE status = $1', [status])
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return {
+    duplicates: result.rows,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+}
+
+/**
+ * Mark a pair as not duplicates (it won't be flagged again)
+ */
+export async function dismissDuplicate(id, resolvedBy = null) {
+  const result = await query(`
+    UPDATE lead_duplicates
+    SET status = 'dismissed', resolved_by = $2, resolved_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, resolvedBy]);
+  return result.rows[0] || null;
+}
+
+// ==========================================
+// MERGE
+// ==========================================
+
+// Child tables whose rows simply move to the surviving lead
+const REASSIGNED_TABLES = [
+  'sent_messages',
+  'message_queue',
+  'lead_activities',
+  'whatsapp_conversations',
+  'whatsapp_chat_messages',
+  'intent_score_history',
+  'lead_score_history',
+  'llm_usage',
+  'conversation_insights',
+  'suppression_list',
+  'webhook_logs',
+  'newsletter_subscribers',
+  'lead_assignments',
+  'lead_tasks',
+  'lead_calls' // recordings hang off the call
+];
+
+// Columns the survivor takes from the merged lead only when its own is empty
+const FILL_FIELDS = [
+  'first_name', 'last_name', 'email', 'phone', 'company', 'job_title',
+  'campaign_id', 'lead_type', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
+  'assigned_to', 'meeting_status', 'consent_timestamp', 'gdpr_consent', 'converted_at'
+];
+
+const CONSENT_FIELDS = ['email_consent', 'sms_consent', 'whatsapp_consent'];
+
+const LIVE_ENROLLMENT = ['active', 'paused'];
+
+/**
+ * Consent of the merged lead: false when either lead has it false (an
+ * opt-out is never undone by a merge), else true when either has it
+ */
+export function mergeConsent(survivorValue, mergedValue) {
+  if (survivorValue === false || mergedValue === false) return false;
+  return survivorValue === true || mergedValue === true;
+}
+
+/**
+ * Merge mergeId into survivorId and delete mergeId
+ * - empty survivor fields are filled from the merged lead; custom_fields are
+ *   combined (survivor wins on conflicts), tags unioned, notes appended;
+ *   consents are kept only if neither lead withdrew them (mergeConsent)
+ * - activities, messages, conversations, suppressions, tasks etc. move to
+ *   the survivor; an open automatic task the survivor already has for the
+ *   same event is cancelled on the merged lead
+ * - enrollments move too; when both are in the same sequence the live
+ *   (active/paused) one is kept, the survivor's if both are
+ * A lead_merged activity on the survivor keeps a snapshot of the merged lead.
+ */
+export async function mergeLeads(survivorId, mergeId, { mergedBy = null } = {}) {
+  if (survivorId === mergeId) {
+    throw new Error('Cannot merge a lead into itself');
+  }
+
+  await transaction(async (client) => {
+    const leads = await client.query('SELECT * FROM leads WHERE id = ANY($1::uuid[]) FOR UPDATE', [[survivorId, mergeId]]);
+    const survivor = leads.rows.find(row => row.id === survivorId);
+    const merged = leads.rows.find(row => row.id === mergeId);
+    if (leads.rows.length < 2) {
+      throw new Error('Lead not found');
+    }
+    const consents = CONSENT_FIELDS.map(field => mergeConsent(survivor[field], merged[field]));
+
+    const fills = FILL_FIELDS.map(field => `${field} = COALESCE(s.${field}, m.${field})`).join(',\n        ');
+    await client.query(`
+      UPDATE leads s SET
+        ${fills},
+        custom_fields = COALESCE(m.custom_fields, '{}'::jsonb) || COALESCE(s.custom_fields, '{}'::jsonb),
+        tags = (
+          SELECT COALESCE(jsonb_agg(DISTINCT tag), '[]'::jsonb)
+          FROM jsonb_array_elements(COALESCE(s.tags, '[]'::jsonb) || COALESCE(m.tags, '[]'::jsonb)) tag
+        ),
+        notes = NULLIF(CONCAT_WS(E'\\n\\n', s.notes, m.notes), ''),
+        score = GREATEST(s.score, m.score),
+        email_consent = $3,
+        sms_consent = $4,
+        whatsapp_consent = $5,
+        last_contacted_at = GREATEST(s.last_contacted_at, m.last_contacted_at),
+        created_at = LEAST(s.created_at, m.created_at),
+        updated_at = NOW()
+      FROM leads m
+      WHERE s.id = $1 AND m.id = $2
+    `, [survivorId, mergeId, ...consents]);
+
+    // Same sequence on both leads: keep one enrollment, point its history at it
+    const conflicts = await client.query(`
+      SELECT s.id as survivor_enrollment, s.status as survivor_status,
+             m.id as merged_enrollment, m.status as merged_status
+      FROM lead_sequences m
+      JOIN lead_sequences s ON s.sequence_id = m.sequence_id AND s.lead_id = $1
+      WHERE m.lead_id = $2
+    `, [survivorId, mergeId]);
+
+    for (const row of conflicts.rows) {
+      const keepMerged = LIVE_ENROLLMENT.includes(row.merged_status) && !LIVE_ENROLLMENT.includes(row.survivor_status);
+      const keep = keepMerged ? row.merged_enrollment : row.survivor_enrollment;
+      const drop = keepMerged ? row.survivor_enrollment : row.merged_enrollment;
+
+      await client.query('UPDATE sent_messages SET lead_sequence_id = $1 WHERE lead_sequence_id = $2', [keep, drop]);
+      await client.query('DELETE FROM lead_sequences WHERE id = $1', [drop]);
+    }
+    await client.query('UPDATE lead_sequences SET lead_id = $1, updated_at = NOW() WHERE lead_id = $2', [survivorId, mergeId]);
+
+    // At most one open automatic task per lead and source: the survivor's stays open
+    await client.query(`
+      UPDATE lead_tasks m SET status = 'cancelled', updated_at = NOW()
+      WHERE m.lead_id = $2 AND m.status = 'open'
+      AND m.source = ANY($3)
+      AND EXISTS (
+        SELECT 1 FROM lead_tasks s
+        WHERE s.lead_id = $1 AND s.status = 'open' AND s.source = m.source
+      )
+    `, [survivorId, mergeId, Object.keys(AUTO_TASKS)]);
+
+    for (const table of REASSIGNED_TABLES) {
+      await client.query(`UPDATE ${table} SET lead_id = $1 WHERE lead_id = $2`, [survivorId, mergeId]);
+    }
+
+    await client.query(`
+      INSERT INTO lead_activities (lead_id, type, description, metadata, performed_by)
+      VALUES ($1, 'lead_merged', $2, $3, $4)
+    `, [
+      survivorId,
+      `Merged duplicate lead ${[merged.first_name, merged.last_name].filter(Boolean).join(' ') || merged.email || merged.phone || mergeId}`,
+      JSON.stringify({
+        merged_lead_id: mergeId,
+        merged_lead: {
+          first_name: merged.first_name,
+          last_name: merged.last_name,
+          email: merged.email,
+          phone: merged.phone,
+          company: merged.company,
+          source: merged.source,
+          source_id: merged.source_id,
+          status: merged.status,
+          created_at: merged.created_at
+        }
+      }),
+      mergedBy || 'system'
+    ]);
+
+    // Review rows for the merged lead go with it (ON DELETE CASCADE)
+    await client.query('DELETE FROM leads WHERE id = $1', [mergeId]);
+  });
+
+  console.log(`👥 Merged lead ${mergeId} into ${survivorId}`);
+
+  // The survivor may now resemble other leads through the fields it gained
+  await flagDuplicates(survivorId);
+
+  return Lead.getLeadById(survivorId);
+}
+
+export default {
+  MATCH_REASONS,
+  phoneKey,
+  findExistingLead,
+  recordDuplicateSubmission,
+  findDuplicatesOf,
+  flagDuplicates,
+  scanForDuplicates,
+  getDuplicateQueue,
+  dismissDuplicate,
+  mergeConsent,
+  mergeLeads
+};
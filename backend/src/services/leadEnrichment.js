@@ -0,0 +1,112 @@
+/**
+ * Lead Enrichment Helpers
+ *
+ * Pure helpers that derive routing/filtering attributes from raw lead data:
+ * - parseBudgetRangeAED: Meta budget answers -> { min, max } in AED
+ * - getLeadBudgetAED: the normalized budget of a lead (stored or parsed)
+ * - countryFromPhone: ISO country code from the phone's dialing prefix
+ */
+
+// Meta form answer keys holding the budget question
+export const BUDGET_FIELD_KEYS = [
+  "what's_your_estimated_budget_for_ai_implementation?",
+  "what's your estimated budget for ai implementation?",
+  'estimated_budget'
+];
+
+/**
+ * Normalize budget answer into AED numeric range.
+ * Examples seen:
+ * - "35k_aed>"
+ * - "35k_-_100k_aed"
+ * - "100k_-_300k_aed"
+ * - "300k_-_600k_aed"
+ * - "600k_-_1m+_aed"
+ */
+export function parseBudgetRangeAED(raw) {
+  if (!raw || typeof raw !== 'string') return null;
+  const s = raw.toLowerCase().trim();
+  const normalize = (x) => {
+    if (x.endsWith('m')) return Math.round(parseFloat(x.slice(0, -1)) * 1_000_000);
+    if (x.endsWith('k')) return Math.round(parseFloat(x.slice(0, -1)) * 1_000);
+    return parseInt(x, 10);
+  };
+
+  // token cleanup
+  const cleaned = s.replace(/aed|\s/g, '').replace(/>/g, '+').replace(/_/g, '');
+  // patterns: 35k-100k, 600k-1m+, 35k+, 300k-600k
+  const rangeMatch = cleaned.match(/^(\d+(?:\.\d+)?[km]?)-(\d+(?:\.\d+)?[km]?)\+?$/);
+  if (rangeMatch) {
+    const min = normalize(rangeMatch[1]);
+    const max = normalize(rangeMatch[2]);
+    return Number.isFinite(min) && Number.isFinite(max) ? { min, max } : null;
+  }
+  const plusMatch = cleaned.match(/^(\d+(?:\.\d+)?[km]?)\+$/);
+  if (plusMatch) {
+    const min = normalize(plusMatch[1]);
+    return Number.isFinite(min) ? { min, max: min } : null;
+  }
+  return null;
+}
+
+/**
+ * Budget range of a lead: the normalized custom_fields.estimated_budget_aed_*
+ * keys when present (poller/backfill), otherwise parsed from the raw answer
+ */
+export function getLeadBudgetAED(customFields = {}) {
+  const min = customFields.estimated_budget_aed_min;
+  const max = customFields.estimated_budget_aed_max;
+  if (min !== null && min !== undefined) {
+    return { min: Number(min), max: Number(max ?? min) };
+  }
+
+  const raw = customFields.estimated_budget_raw || BUDGET_FIELD_KEYS.map(key => customFields[key]).find(Boolean);
+  return parseBudgetRangeAED(raw);
+}
+
+// Dialing prefix -> ISO country (longest prefix wins)
+const DIALING_CODES = {
+  971: 'AE', 966: 'SA', 974: 'QA', 968: 'OM', 973: 'BH', 965: 'KW',
+  962: 'JO', 961: 'LB', 964: 'IQ', 963: 'SY', 967: 'YE', 970: 'PS',
+  20: 'EG', 212: 'MA', 213: 'DZ', 216: 'TN', 218: 'LY', 249: 'SD',
+  90: 'TR', 98: 'IR', 91: 'IN', 92: 'PK', 880: 'BD', 94: 'LK', 977: 'NP', 93: 'AF',
+  63: 'PH', 60: 'MY', 65: 'SG', 62: 'ID', 66: 'TH', 84: 'VN', 86: 'CN', 852: 'HK', 81: 'JP', 82: 'KR',
+  44: 'GB', 353: 'IE', 49: 'DE', 33: 'FR', 39: 'IT', 34: 'ES', 31: 'NL', 32: 'BE', 41: 'CH',
+  46: 'SE', 47: 'NO', 45: 'DK', 48: 'PL', 7: 'RU', 380: 'UA',
+  1: 'US', 52: 'MX', 55: 'BR', 54: 'AR',
+  27: 'ZA', 234: 'NG', 254: 'KE', 251: 'ET', 233: 'GH',
+  61: 'AU', 64: 'NZ'
+};
+
+/**
+ * Country of a phone number from its international prefix.
+ * Local numbers (leading 0, no country code) are assumed to be in
+ * defaultCountry - most leads are UAE-based.
+ */
+export function countryFromPhone(phone, defaultCountry = process.env.DEFAULT_PHONE_COUNTRY || 'AE') {
+  if (!phone) return null;
+  const text = String(phone).trim();
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (text.startsWith('+')) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    return defaultCountry || null;
+  }
+
+  for (let length = 3; length >= 1; length--) {
+    const country = DIALING_CODES[digits.slice(0, length)];
+    if (country) return country;
+  }
+  return null;
+}
+
+export default {
+  BUDGET_FIELD_KEYS,
+  parseBudgetRangeAED,
+  getLeadBudgetAED,
+  countryFromPhone
+};
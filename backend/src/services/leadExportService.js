@@ -0,0 +1,285 @@
+/**
+ * Lead Export Service
+ *
+ * Streams every lead matching the Leads page filters (the same options as
+ * Lead.getLeads) as CSV, XLSX or JSON. Leads are read in batches, so large
+ * exports never sit in memory.
+ *
+ * Columns are chosen per export:
+ * - standard lead columns (see STANDARD_COLUMNS)
+ * - intent_score / intent_category / intent_scored_at: the most recent of the
+ *   AI lead score and the WhatsApp conversation score
+ * - custom:<key> for a single custom field, or custom_fields for all of them
+ *   (flattened to one column per key)
+ */
+
+import ExcelJS from 'exceljs';
+import { query } from '../database/connection.js';
+import Lead from '../models/Lead.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+export const STANDARD_COLUMNS = [
+  'id', 'first_name', 'last_name', 'full_name', 'email', 'phone', 'company', 'job_title',
+  'source', 'source_id', 'lead_type', 'status', 'priority', 'score', 'tags', 'notes', 'assigned_to',
+  'campaign_id', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
+  'email_consent', 'whatsapp_consent', 'sms_consent',
+  'created_at', 'updated_at', 'converted_at', 'last_contacted_at'
+];
+
+export const INTENT_COLUMNS = ['intent_score', 'intent_category', 'intent_scored_at'];
+
+// Used when no columns are requested
+export const DEFAULT_COLUMNS = [
+  'first_name', 'last_name', 'email', 'phone', 'company', 'job_title',
+  'source', 'lead_type', 'status', 'priority', 'tags', 'created_at',
+  ...INTENT_COLUMNS, 'custom_fields'
+];
+
+const CUSTOM_PREFIX = 'custom:';
+const BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+// ==========================================
+// COLUMNS
+// ==========================================
+
+/**
+ * Custom field keys used by any lead matching the filters
+ */
+export async function getCustomFieldKeys(options = {}) {
+  const { where, params } = Lead.buildLeadFilters(options);
+  const result = await query(
+    `SELECT DISTINCT jsonb_object_keys(custom_fields) as key
+     FROM leads
+     WHERE jsonb_typeof(custom_fields) = 'object'${where}
+     ORDER BY key`,
+    params
+  );
+  return result.rows.map(row => row.key);
+}
+
+/**
+ * Expand the requested column list (custom_fields -> one column per key).
+ * Returns { columns, unknown } - unknown holds names that aren't exportable.
+ */
+export function resolveColumns(requested, customKeys) {
+  const names = requested?.length ? requested : DEFAULT_COLUMNS;
+  const columns = [];
+  const unknown = [];
+
+  for (const name of names) {
+    if (name === 'custom_fields') {
+      columns.push(...customKeys.map(key => `${CUSTOM_PREFIX}${key}`));
+    } else if (STANDARD_COLUMNS.includes(name) || INTENT_COLUMNS.includes(name) || name.startsWith(CUSTOM_PREFIX)) {
+      columns.push(name);
+    } else {
+      unknown.push(name);
+    }
+  }
+
+  return { columns: [...new Set(columns)], unknown };
+}
+
+// Header shown in the file - custom:industry -> custom_industry
+function columnHeader(column) {
+  return column.startsWith(CUSTOM_PREFIX) ? `custom_${column.slice(CUSTOM_PREFIX.length)}` : column;
+}
+
+// ==========================================
+// ROWS
+// ==========================================
+
+/**
+ * Latest WhatsApp conversation score per lead, keyed by lead id
+ */
+async function getConversationScores(leadIds) {
+  const result = await query(
+    `SELECT DISTINCT ON (lead_id) lead_id, score, intent_category, scored_at
+     FROM intent_score_history
+     WHERE lead_id = ANY($1)
+     ORDER BY lead_id, scored_at DESC`,
+    [leadIds]
+  );
+  return new Map(result.rows.map(row => [row.lead_id, row]));
+}
+
+/**
+ * Most recent intent score from either the AI lead score (custom_fields.ai_*)
+ * or the WhatsApp conversation score history
+ */
+function latestIntent(lead, conversationScore) {
+  const custom = lead.custom_fields || {};
+  const aiScoredAt = custom.ai_scored_at ? new Date(custom.ai_scored_at) : null;
+  const ai = custom.ai_intent_score !== undefined && custom.ai_intent_score !== null
+    ? { score: custom.ai_intent_score, category: custom.ai_intent_category || null, scoredAt: aiScoredAt }
+    : null;
+  const conversation = conversationScore
+    ? { score: conversationScore.score, category: conversationScore.intent_category, scoredAt: new Date(conversationScore.scored_at) }
+    : null;
+
+  if (ai && conversation) {
+    return (conversation.scoredAt > (ai.scoredAt || 0)) ? conversation : ai;
+  }
+  return ai || conversation || { score: null, category: null, scoredAt: null };
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function buildRow(lead, columns, conversationScore) {
+  const intent = latestIntent(lead, conversationScore);
+  const row = {};
+
+  for (const column of columns) {
+    let value;
+    if (column.startsWith(CUSTOM_PREFIX)) {
+      value = lead.custom_fields?.[column.slice(CUSTOM_PREFIX.length)];
+    } else if (column === 'full_name') {
+      value = [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+    } else if (column === 'intent_score') {
+      value = intent.score;
+    } else if (column === 'intent_category') {
+      value = intent.category;
+    } else if (column === 'intent_scored_at') {
+      value = intent.scoredAt;
+    } else {
+      value = lead[column];
+    }
+    row[columnHeader(column)] = cellValue(value);
+  }
+
+  return row;
+}
+
+/**
+ * Matching leads as export rows, one batch at a time
+ */
+async function* iterateRows(options, columns) {
+  const needsIntent = columns.some(column => INTENT_COLUMNS.includes(column));
+
+  for await (const leads of Lead.iterateLeads(options, BATCH_SIZE)) {
+    const conversationScores = needsIntent
+      ? await getConversationScores(leads.map(lead => lead.id))
+      : new Map();
+    yield leads.map(lead => buildRow(lead, columns, conversationScores.get(lead.id)));
+  }
+}
+
+// ==========================================
+// WRITERS
+// ==========================================
+
+// Respect backpressure so a slow download doesn't buffer the whole export;
+// stop if the client goes away
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Export stream closed'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+}
+
+/**
+ * Lead fields come from public forms: CSV text that a spreadsheet would run
+ * as a formula (=, +, -, @, tab, CR) is prefixed with ' so it stays text.
+ * Phone numbers and numbers (+971 50 123 4567, -12.5) are left as they are.
+ */
+function csvText(value) {
+  if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) return value;
+  return /^[+-]?[\d\s().-]+$/.test(value) ? value : `'${value}`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(csvText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(stream, headers, rows) {
+  // BOM so Excel opens UTF-8 (e.g. Arabic names) correctly
+  await write(stream, `\uFEFF${headers.map(csvCell).join(',')}\r\n`);
+  for await (const batch of rows) {
+    await write(stream, batch.map(row => headers.map(header => csvCell(row[header])).join(',')).join('\r\n') + '\r\n');
+  }
+  stream.end();
+}
+
+async function writeJson(stream, rows) {
+  let first = true;
+  await write(stream, '[');
+  for await (const batch of rows) {
+    for (const row of batch) {
+      await write(stream, `${first ? '' : ','}\n${JSON.stringify(row)}`);
+      first = false;
+    }
+  }
+  await write(stream, '\n]\n');
+  stream.end();
+}
+
+// XLSX cells are written as strings, never formulas, so values go in as they are
+async function writeXlsx(stream, headers, rows) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Leads');
+  sheet.columns = headers.map(header => ({ header, key: header, width: Math.max(12, header.length + 2) }));
+
+  for await (const batch of rows) {
+    for (const row of batch) {
+      sheet.addRow(row).commit();
+    }
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Write rows ({ [header]: value }, in batches from an (async) iterable) in
+ * the format and end the stream
+ */
+export async function writeRows(stream, format, headers, rows) {
+  if (format === 'xlsx') return writeXlsx(stream, headers, rows);
+  if (format === 'json') return writeJson(stream, rows);
+  return writeCsv(stream, headers, rows);
+}
+
+/**
+ * Write the export to a writable stream (e.g. an Express response) and end it
+ */
+export async function writeExport(stream, { format = 'csv', columns, filters = {} }) {
+  return writeRows(stream, format, columns.map(columnHeader), iterateRows(filters, columns));
+}
+
+export function exportContentType(format) {
+  return CONTENT_TYPES[format] || CONTENT_TYPES.csv;
+}
+
+export default {
+  EXPORT_FORMATS,
+  STANDARD_COLUMNS,
+  INTENT_COLUMNS,
+  DEFAULT_COLUMNS,
+  getCustomFieldKeys,
+  resolveColumns,
+  writeRows,
+  writeExport,
+  exportContentType
+};
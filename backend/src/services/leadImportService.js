@@ -0,0 +1,577 @@
+/**
+ * Lead Import Service
+ *
+ * Bulk import from CSV/TSV or XLSX files:
+ * - parseSpreadsheet: file bytes -> { columns, rows } (Meta Leads Center
+ *   exports are UTF-16 tab-separated; both are detected automatically)
+ * - suggestMapping: guess a target for every column (lead field, custom
+ *   field, or ignore) - unknown columns such as Meta custom questions become
+ *   custom_fields
+ * - previewImport: dry run - validates each row with leadSchema and reports
+ *   what would be created / updated / skipped
+ * - startImport: records a lead_import_jobs row and queues an import_leads
+ *   job to process it (see backgroundJobs.js); the counters can be polled
+ */
+
+import ExcelJS from 'exceljs';
+import { z } from 'zod';
+import { query } from '../database/connection.js';
+import Lead from '../models/Lead.js';
+import { leadSchema } from '../middleware/validation.js';
+import { findExistingLead, flagDuplicates, phoneKey } from './leadDedupService.js';
+import { enrollLead } from './sequenceService.js';
+import { enqueueJob } from './jobQueueService.js';
+
+export const MAX_IMPORT_ROWS = 10000;
+export const IMPORT_JOB = 'import_leads';
+export const DUPLICATE_MODES = ['skip', 'update', 'create'];
+
+// Mapping targets besides `custom:<key>`
+export const IMPORT_FIELDS = [
+  'full_name', 'first_name', 'last_name', 'email', 'phone', 'company', 'job_title',
+  'source_id', 'campaign_id', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
+  'status', 'priority', 'score', 'tags', 'notes', 'assigned_to', 'lead_type', 'created_at',
+  'email_consent', 'whatsapp_consent'
+];
+
+// Normalized header -> field (Meta Leads Center export names included)
+const COLUMN_ALIASES = {
+  full_name: 'full_name',
+  name: 'full_name',
+  first_name: 'first_name',
+  firstname: 'first_name',
+  last_name: 'last_name',
+  lastname: 'last_name',
+  surname: 'last_name',
+  email: 'email',
+  email_address: 'email',
+  e_mail: 'email',
+  phone: 'phone',
+  phone_number: 'phone',
+  mobile: 'phone',
+  mobile_number: 'phone',
+  whatsapp: 'phone',
+  whatsapp_number: 'phone',
+  telephone: 'phone',
+  company: 'company',
+  company_name: 'company',
+  organization: 'company',
+  business_name: 'company',
+  job_title: 'job_title',
+  title: 'job_title',
+  position: 'job_title',
+  id: 'source_id',
+  lead_id: 'source_id',
+  leadgen_id: 'source_id',
+  source_id: 'source_id',
+  campaign_id: 'campaign_id',
+  created_time: 'created_at',
+  created_at: 'created_at',
+  status: 'status',
+  priority: 'priority',
+  score: 'score',
+  tags: 'tags',
+  notes: 'notes',
+  assigned_to: 'assigned_to',
+  lead_type: 'lead_type',
+  utm_source: 'utm_source',
+  utm_medium: 'utm_medium',
+  utm_campaign: 'utm_campaign',
+  utm_content: 'utm_content',
+  utm_term: 'utm_term'
+};
+
+const PREVIEW_ROWS = 50;
+const MAX_JOB_ERRORS = 200;
+const PROGRESS_EVERY = 10;
+
+const importRowSchema = leadSchema.extend({
+  lead_type: z.string().max(50).optional().nullable(),
+  created_at: z.string().datetime({ offset: true }).optional()
+});
+
+// ==========================================
+// PARSING
+// ==========================================
+
+/**
+ * Lowercase, underscores, no punctuation: "What's your budget?" -> whats_your_budget
+ */
+export function normalizeHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9\u0600-\u06ff]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * RFC 4180-style CSV parser; the delimiter (comma, semicolon or tab) is taken
+ * from whichever appears most in the header line
+ */
+function parseDelimited(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(cellToString(row.getCell(col).value));
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded CSV/TSV/XLSX file
+ * Returns { columns, rows } where rows are { [column]: string }
+ */
+export async function parseSpreadsheet(filename, buffer) {
+  const isXlsx = /\.xlsx$/i.test(filename || '') || (buffer[0] === 0x50 && buffer[1] === 0x4b); // zip magic "PK"
+  const table = isXlsx ? await parseXlsx(buffer) : parseDelimited(decodeText(buffer));
+
+  const nonEmpty = table.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('File is empty');
+  }
+
+  // Unique, non-blank column names
+  const seen = {};
+  const columns = nonEmpty[0].map((header, i) => {
+    let name = String(header).trim() || `column_${i + 1}`;
+    if (seen[name]) name = `${name}_${++seen[name]}`;
+    else seen[name] = 1;
+    return name;
+  });
+
+  const dataRows = nonEmpty.slice(1);
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`File has ${dataRows.length} rows - the limit is ${MAX_IMPORT_ROWS} per import`);
+  }
+
+  const rows = dataRows.map(cells =>
+    Object.fromEntries(columns.map((column, i) => [column, String(cells[i] ?? '').trim()]))
+  );
+
+  return { columns, rows };
+}
+
+// ==========================================
+// MAPPING
+// ==========================================
+
+/**
+ * Guess a target for each column: a lead field, `custom:<key>`, or null (ignore)
+ */
+export function suggestMapping(columns) {
+  const used = new Set();
+  const mapping = {};
+
+  for (const column of columns) {
+    const key = normalizeHeader(column);
+    const field = COLUMN_ALIASES[key];
+    if (field && !used.has(field)) {
+      mapping[column] = field;
+      used.add(field);
+    } else {
+      mapping[column] = key ? `custom:${key}` : null;
+    }
+  }
+
+  return mapping;
+}
+
+// Meta Leads Center prefixes IDs and phones with their type: l:123, c:456, p:+44...
+const META_VALUE_PREFIX = /^(?:p|l|ag|as|c|f):(?=\S)/;
+
+function parseBoolean(value) {
+  return ['true', 'yes', 'y', '1', 'opted_in'].includes(value.toLowerCase());
+}
+
+/**
+ * Build lead data from one row; empty cells are left out
+ */
+function mapRow(row, mapping, defaults = {}) {
+  const data = { source: 'import', ...defaults };
+  const customFields = {};
+
+  for (const [column, target] of Object.entries(mapping)) {
+    const value = row[column];
+    if (!target || value === undefined || value === '') continue;
+
+    if (target.startsWith('custom:')) {
+      customFields[target.slice('custom:'.length)] = value;
+    } else if (target === 'full_name') {
+      const parts = value.split(/\s+/);
+      data.first_name = data.first_name || parts[0];
+      data.last_name = data.last_name || parts.slice(1).join(' ') || null;
+    } else if (target === 'score') {
+      data.score = Number(value);
+    } else if (target === 'tags') {
+      data.tags = value.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+    } else if (target === 'email_consent' || target === 'whatsapp_consent') {
+      data[target] = parseBoolean(value);
+    } else if (target === 'status' || target === 'priority') {
+      data[target] = value.toLowerCase();
+    } else if (target === 'created_at') {
+      const date = new Date(value);
+      data.created_at = isNaN(date) ? value : date.toISOString();
+    } else if (target === 'email') {
+      data.email = value.toLowerCase();
+    } else if (target === 'phone' || target === 'source_id' || target === 'campaign_id') {
+      data[target] = value.replace(META_VALUE_PREFIX, '');
+    } else {
+      data[target] = value;
+    }
+  }
+
+  if (Object.keys(customFields).length > 0) {
+    data.custom_fields = { ...customFields, imported_from: 'file_import' };
+  }
+  return data;
+}
+
+/**
+ * Validate a mapped row. Returns { lead, errors }
+ */
+function validateRow(data) {
+  const errors = [];
+  if (!data.email && !data.phone) {
+    errors.push({ field: 'email', message: 'Row needs an email or phone' });
+  }
+
+  const result = importRowSchema.safeParse(data);
+  if (!result.success) {
+    errors.push(...result.error.errors.map(err => ({ field: err.path.join('.'), message: err.message })));
+  }
+
+  return { lead: result.success ? result.data : data, errors };
+}
+
+/**
+ * Work out what happens to each row without writing anything
+ * Rows repeating an email/phone seen earlier in the same file count as duplicates of that row.
+ */
+async function planRows(rows, { mapping, duplicateMode = 'skip', defaults = {} }) {
+  const seenInFile = new Map();
+  const planned = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    const rowNumber = i + 2; // 1-based, after the header row
+    const { lead, errors } = validateRow(mapRow(rows[i], mapping, defaults));
+
+    let action = 'create';
+    let matchedLeadId = null;
+    let matchedOn = null;
+
+    if (errors.length > 0) {
+      action = 'invalid';
+    } else {
+      const keys = [lead.email && `email:${lead.email}`, phoneKey(lead.phone) && `phone:${phoneKey(lead.phone)}`].filter(Boolean);
+      const earlierRow = keys.map(key => seenInFile.get(key)).find(Boolean);
+      const existing = await findExistingLead({ sourceId: lead.source_id, email: lead.email, phone: lead.phone });
+
+      if (existing) {
+        matchedLeadId = existing.lead.id;
+        matchedOn = existing.matchedOn;
+      } else if (earlierRow) {
+        matchedOn = `row ${earlierRow}`;
+      }
+
+      if (matchedOn && duplicateMode !== 'create') {
+        action = duplicateMode === 'update' && matchedLeadId ? 'update' : 'skip';
+      }
+      keys.forEach(key => !seenInFile.has(key) && seenInFile.set(key, rowNumber));
+    }
+
+    planned.push({ rowNumber, lead, errors, action, matchedLeadId, matchedOn });
+  }
+
+  return planned;
+}
+
+function summarize(planned) {
+  const summary = { create: 0, update: 0, skip: 0, invalid: 0 };
+  for (const row of planned) summary[row.action]++;
+  return summary;
+}
+
+/**
+ * Dry run: mapping (suggested if not given), per-row validation and the
+ * create/update/skip counts the import would produce
+ */
+export async function previewImport({ columns, rows }, options = {}) {
+  const mapping = options.mapping || suggestMapping(columns);
+  const planned = await planRows(rows, { ...options, mapping });
+
+  return {
+    columns,
+    mapping,
+    fields: IMPORT_FIELDS,
+    totalRows: rows.length,
+    summary: summarize(planned),
+    sample: rows.slice(0, 5),
+    rows: planned.slice(0, PREVIEW_ROWS),
+    invalidRows: planned.filter(row => row.action === 'invalid').slice(0, PREVIEW_ROWS)
+  };
+}
+
+// ==========================================
+// IMPORT JOBS
+// ==========================================
+
+// The file's rows are only needed by the import itself
+const withoutRows = ({ source_rows: sourceRows, ...job }) => job;
+
+export async function getImportJob(id) {
+  const result = await query('SELECT * FROM lead_import_jobs WHERE id = $1', [id]);
+  return result.rows[0] ? withoutRows(result.rows[0]) : null;
+}
+
+export async function getImportJobs(limit = 20) {
+  const result = await query(
+    'SELECT * FROM lead_import_jobs ORDER BY created_at DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows.map(withoutRows);
+}
+
+/**
+ * Write one planned row. Returns { created, updated, enrolled }
+ */
+async function importRow(row, { enrollSequence }) {
+  const { created_at: createdAt, ...leadData } = row.lead;
+
+  if (row.action === 'update') {
+    const existing = await Lead.getLeadById(row.matchedLeadId);
+    if (!existing) return { created: false, updated: false };
+
+    const updates = { ...leadData };
+    delete updates.source;
+    delete updates.source_id;
+    if (updates.custom_fields) {
+      updates.custom_fields = { ...existing.custom_fields, ...updates.custom_fields };
+    }
+    await Lead.updateLead(existing.id, updates);
+    return { created: false, updated: true };
+  }
+
+  const lead = await Lead.createLead(leadData);
+  if (createdAt) {
+    // Keep the original submission time (e.g. Meta created_time)
+    await query('UPDATE leads SET created_at = $1 WHERE id = $2', [createdAt, lead.id]);
+  }
+  await flagDuplicates(lead.id).catch(err => console.error('Duplicate check failed:', err.message));
+
+  let enrolled = false;
+  if (enrollSequence) {
+    try {
+      enrolled = Boolean(await enrollLead(lead.id, enrollSequence, { enrolledBy: 'import' }));
+    } catch (error) {
+      console.error(`Import: failed to enroll ${lead.id} in ${enrollSequence}:`, error.message);
+    }
+  }
+
+  return { created: true, updated: false, enrolled };
+}
+
+/**
+ * import_leads job handler. Picks up after the last saved progress when an
+ * earlier attempt was cut short; rows since then are planned again and match
+ * the leads they already created (except with duplicateMode 'create').
+ */
+export async function runImportJob({ importJobId }, ctx) {
+  const result = await query('SELECT * FROM lead_import_jobs WHERE id = $1', [importJobId]);
+  const job = result.rows[0];
+  if (!job?.source_rows) return { skipped: 'Import not found or already finished' };
+
+  const rows = job.source_rows;
+  const options = job.options;
+  const counts = {
+    processed: job.processed_rows,
+    created: job.created_count,
+    updated: job.updated_count,
+    skipped: job.skipped_count,
+    errors: job.error_count,
+    enrolled: job.enrolled_count
+  };
+  const errors = job.errors || [];
+
+  const saveProgress = (status = 'running') => query(`
+    UPDATE lead_import_jobs SET
+      status = $2, processed_rows = $3, created_count = $4, updated_count = $5,
+      skipped_count = $6, error_count = $7, enrolled_count = $8, errors = $9,
+      source_rows = CASE WHEN $2 = 'completed' THEN NULL ELSE source_rows END,
+      completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE completed_at END
+    WHERE id = $1
+  `, [importJobId, status, counts.processed, counts.created, counts.updated, counts.skipped, counts.errors, counts.enrolled, JSON.stringify(errors)]);
+
+  await query(`
+    UPDATE lead_import_jobs
+    SET status = 'running', started_at = COALESCE(started_at, NOW()), completed_at = NULL, error_message = NULL
+    WHERE id = $1
+  `, [importJobId]);
+  if (counts.processed > 0) {
+    console.log(`📥 Import ${importJobId} resuming at row ${counts.processed + 2}`);
+  }
+
+  // Plan row by row so leads created earlier in this file are matched by later rows
+  for (let i = counts.processed; i < rows.length; i++) {
+    const [row] = await planRows([rows[i]], options);
+    row.rowNumber = i + 2;
+
+    if (row.action === 'invalid') {
+      counts.errors++;
+      if (errors.length < MAX_JOB_ERRORS) errors.push({ row: row.rowNumber, errors: row.errors });
+    } else if (row.action === 'skip') {
+      counts.skipped++;
+    } else {
+      try {
+        const result = await importRow(row, options);
+        if (result.created) counts.created++;
+        if (result.updated) counts.updated++;
+        if (result.enrolled) counts.enrolled++;
+      } catch (error) {
+        counts.errors++;
+        if (errors.length < MAX_JOB_ERRORS) errors.push({ row: row.rowNumber, errors: [{ field: null, message: error.message }] });
+      }
+    }
+
+    counts.processed++;
+    if (counts.processed % PROGRESS_EVERY === 0) {
+      await saveProgress();
+      // Cancelled, or another worker took over the job
+      if (await ctx.progress({ processed: counts.processed, total: rows.length })) {
+        throw new Error('Import cancelled');
+      }
+    }
+  }
+
+  await saveProgress('completed');
+  console.log(`📥 Import ${importJobId} done: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.errors} errors`);
+  return counts;
+}
+
+/**
+ * import_leads onDead: the import failed for good (or was cancelled)
+ */
+export async function failImportJob({ importJobId }, reason) {
+  console.error(`📥 Import ${importJobId} failed:`, reason);
+  await query(`
+    UPDATE lead_import_jobs SET status = 'failed', completed_at = NOW(), error_message = $2
+    WHERE id = $1 AND status IN ('pending', 'running')
+  `, [importJobId, reason]);
+}
+
+/**
+ * Create an import job and queue it
+ * Returns the job row (status pending) - poll getImportJob for progress
+ */
+export async function startImport(filename, { columns, rows }, options = {}, createdBy = null) {
+  const jobOptions = {
+    mapping: options.mapping || suggestMapping(columns),
+    duplicateMode: options.duplicateMode || 'skip',
+    enrollSequence: options.enrollSequence || null,
+    defaults: options.defaults || {}
+  };
+
+  const result = await query(`
+    INSERT INTO lead_import_jobs (filename, total_rows, options, source_rows, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [filename, rows.length, JSON.stringify(jobOptions), JSON.stringify(rows), createdBy]);
+  const job = withoutRows(result.rows[0]);
+
+  try {
+    await enqueueJob(IMPORT_JOB, { importJobId: job.id }, { createdBy });
+  } catch (error) {
+    await failImportJob({ importJobId: job.id }, error.message);
+    throw error;
+  }
+
+  return job;
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  DUPLICATE_MODES,
+  IMPORT_FIELDS,
+  normalizeHeader,
+  parseSpreadsheet,
+  suggestMapping,
+  previewImport,
+  startImport,
+  getImportJob,
+  getImportJobs
+};
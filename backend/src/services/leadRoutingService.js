@@ -0,0 +1,424 @@
+/**
+ * Lead Routing Service
+ *
+ * Assigns new leads (Meta webhook + poller, Cal.com, ebook) to sales reps.
+ *
+ * Routing rules are checked in priority order. A rule matches on lead_type,
+ * source, country (inferred from the phone prefix) and budget band (parsed by
+ * parseBudgetRangeAED) and names a pool of reps plus a strategy:
+ * - round_robin: the rep who was assigned a lead longest ago
+ * - weighted: leads split by weight over the last 30 days
+ * Without a matching rule every rep in the rotation is used, round robin.
+ *
+ * Reps who are unavailable, inactive or at their open-lead cap are skipped.
+ * Reps inside their working hours are preferred; if nobody in the pool is,
+ * the lead still goes to an available rep (reason after_hours) so it is
+ * never left without an owner. A rep's new leads can be re-routed to the
+ * rest of the team when they become unavailable.
+ *
+ * leads.assigned_to holds the user ID; every change is recorded in
+ * lead_assignments.
+ */
+
+import { query, transaction } from '../database/connection.js';
+import { getLeadBudgetAED, countryFromPhone } from './leadEnrichment.js';
+
+export const ROUTING_STRATEGIES = ['round_robin', 'weighted'];
+
+// Statuses that still need a rep's attention
+const OPEN_STATUSES = ['new', 'contacted', 'qualified'];
+const ASSIGNABLE_ROLES = ['admin', 'sales_rep'];
+const WEIGHT_WINDOW_DAYS = 30;
+// Serializes routing decisions so simultaneous webhooks don't pick the same rep
+const ROUTING_LOCK_KEY = 7301;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// ==========================================
+// REPS
+// ==========================================
+
+/**
+ * Users who can own leads (admins and sales reps), with their routing
+ * settings (null if not in the rotation), open lead count and whether they
+ * are inside working hours right now
+ */
+export async function getReps() {
+  const result = await query(`
+    SELECT u.id, u.email, u.name, u.role,
+      sr.user_id IS NOT NULL as in_rotation,
+      sr.weight, sr.is_available, sr.timezone, sr.working_hours, sr.max_open_leads, sr.last_assigned_at,
+      (SELECT COUNT(*) FROM leads l WHERE l.assigned_to = u.id::text AND l.status = ANY($2))::int as open_leads,
+      (SELECT COUNT(*) FROM lead_assignments la
+        WHERE la.user_id = u.id AND la.reason IN ('routed', 'after_hours', 'reassigned')
+          AND la.created_at > NOW() - make_interval(days => $3))::int as recent_assignments
+    FROM users u
+    LEFT JOIN sales_reps sr ON sr.user_id = u.id
+    WHERE u.is_active = true AND u.role = ANY($1)
+    ORDER BY u.name NULLS LAST, u.email
+  `, [ASSIGNABLE_ROLES, OPEN_STATUSES, WEIGHT_WINDOW_DAYS]);
+
+  const now = new Date();
+  return result.rows.map(rep => ({
+    ...rep,
+    in_working_hours: rep.in_rotation ? isWithinWorkingHours(rep, now) : null
+  }));
+}
+
+/**
+ * Add a user to the rotation or change their settings.
+ * Throws 'User not found' for unknown/inactive users or read-only users.
+ */
+export async function upsertRep(userId, settings = {}) {
+  const userResult = await query(
+    'SELECT id FROM users WHERE id = $1 AND is_active = true AND role = ANY($2)',
+    [userId, ASSIGNABLE_ROLES]
+  );
+  if (!userResult.rows[0]) throw new Error('User not found');
+
+  await query(`
+    INSERT INTO sales_reps (user_id, weight, is_available, timezone, working_hours, max_open_leads)
+    VALUES ($1, COALESCE($2, 1), COALESCE($3, true), COALESCE($4, 'Asia/Dubai'), $5, $6)
+    ON CONFLICT (user_id) DO UPDATE SET
+      weight = COALESCE($2, sales_reps.weight),
+      is_available = COALESCE($3, sales_reps.is_available),
+      timezone = COALESCE($4, sales_reps.timezone),
+      working_hours = CASE WHEN $7 THEN $5 ELSE sales_reps.working_hours END,
+      max_open_leads = CASE WHEN $8 THEN $6 ELSE sales_reps.max_open_leads END,
+      updated_at = NOW()
+  `, [
+    userId,
+    settings.weight ?? null,
+    settings.is_available ?? null,
+    settings.timezone ?? null,
+    settings.working_hours ? JSON.stringify(settings.working_hours) : null,
+    settings.max_open_leads ?? null,
+    settings.working_hours !== undefined,
+    settings.max_open_leads !== undefined
+  ]);
+
+  const reps = await getReps();
+  return reps.find(rep => rep.id === userId) || null;
+}
+
+/**
+ * Take a user out of the rotation (leads they already own stay with them)
+ */
+export async function removeRep(userId) {
+  const result = await query('DELETE FROM sales_reps WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Is the rep inside their working hours at `now` (in their own timezone)?
+ * No working hours configured = always.
+ */
+export function isWithinWorkingHours(rep, now = new Date()) {
+  const hours = rep.working_hours;
+  if (!hours || !hours.start || !hours.end) return true;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: rep.timezone || 'Asia/Dubai',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+  } catch {
+    // Unknown timezone - don't hold leads back because of a typo
+    return true;
+  }
+
+  const part = (type) => parts.find(p => p.type === type)?.value;
+  const day = WEEKDAYS[part('weekday')];
+  const minutes = parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10);
+  const toMinutes = (time) => {
+    const [h, m] = String(time).split(':').map(Number);
+    return h * 60 + (m || 0);
+  };
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+
+  if (Array.isArray(hours.days) && hours.days.length > 0 && !hours.days.includes(day)) return false;
+  // Overnight shifts (e.g. 22:00-06:00)
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// ==========================================
+// RULES
+// ==========================================
+
+export async function getRules() {
+  const result = await query('SELECT * FROM routing_rules ORDER BY priority, created_at');
+  return result.rows;
+}
+
+export async function createRule(data) {
+  const result = await query(`
+    INSERT INTO routing_rules (name, priority, is_active, conditions, strategy, rep_ids)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [
+    data.name,
+    data.priority ?? 100,
+    data.is_active !== false,
+    JSON.stringify(data.conditions || {}),
+    data.strategy || 'round_robin',
+    data.rep_ids || []
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Update a rule. Throws 'Rule not found'.
+ */
+export async function updateRule(id, updates) {
+  const fields = ['name', 'priority', 'is_active', 'conditions', 'strategy', 'rep_ids'];
+  const sets = [];
+  const params = [];
+  for (const field of fields) {
+    if (updates[field] === undefined) continue;
+    params.push(field === 'conditions' ? JSON.stringify(updates[field]) : updates[field]);
+    sets.push(`${field} = $${params.length}`);
+  }
+
+  params.push(id);
+  const result = await query(
+    `UPDATE routing_rules SET ${[...sets, 'updated_at = NOW()'].join(', ')} WHERE id = $${params.length} RETURNING *`,
+    params
+  );
+  if (!result.rows[0]) throw new Error('Rule not found');
+  return result.rows[0];
+}
+
+export async function deleteRule(id) {
+  const result = await query('DELETE FROM routing_rules WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+// ==========================================
+// ROUTING
+// ==========================================
+
+/**
+ * What routing rules can match on
+ */
+export function getLeadRoutingAttributes(lead) {
+  return {
+    leadType: lead.lead_type || lead.custom_fields?.campaign_type || null,
+    source: lead.source || null,
+    country: countryFromPhone(lead.phone),
+    budget: getLeadBudgetAED(lead.custom_fields || {})
+  };
+}
+
+/**
+ * Does the rule apply to a lead with these attributes? Empty conditions match
+ * everything; a budget condition needs a known budget overlapping the band.
+ */
+export function ruleMatches(rule, attributes) {
+  const { leadTypes, sources, countries, budgetMin, budgetMax } = rule.conditions || {};
+  const inList = (list, value) => !list?.length || (value !== null && list.map(v => String(v).toLowerCase()).includes(String(value).toLowerCase()));
+
+  if (!inList(leadTypes, attributes.leadType)) return false;
+  if (!inList(sources, attributes.source)) return false;
+  if (!inList(countries, attributes.country)) return false;
+
+  const hasBudgetBand = (budgetMin !== undefined && budgetMin !== null) || (budgetMax !== undefined && budgetMax !== null);
+  if (hasBudgetBand) {
+    if (!attributes.budget) return false;
+    if (budgetMin !== undefined && budgetMin !== null && attributes.budget.max < budgetMin) return false;
+    if (budgetMax !== undefined && budgetMax !== null && attributes.budget.min > budgetMax) return false;
+  }
+  return true;
+}
+
+function pickRep(candidates, strategy) {
+  const lastAssigned = (rep) => (rep.last_assigned_at ? new Date(rep.last_assigned_at).getTime() : 0);
+  const sorted = [...candidates].sort((a, b) => {
+    if (strategy === 'weighted') {
+      const load = (rep) => (rep.recent_assignments + 1) / Math.max(rep.weight || 1, 1);
+      const diff = load(a) - load(b);
+      if (diff !== 0) return diff;
+    }
+    return lastAssigned(a) - lastAssigned(b);
+  });
+  return sorted[0];
+}
+
+/**
+ * Choose a rep for the lead without assigning it.
+ * Returns { userId, ruleId, ruleName, reason } or null if nobody is available.
+ */
+export async function chooseRep(lead, { excludeUserIds = [] } = {}) {
+  const [reps, rules] = await Promise.all([getReps(), getRules()]);
+  const rotation = reps.filter(rep => rep.in_rotation);
+  const eligible = rotation.filter(rep =>
+    rep.is_available &&
+    !excludeUserIds.includes(rep.id) &&
+    (!rep.max_open_leads || rep.open_leads < rep.max_open_leads)
+  );
+
+  const attributes = getLeadRoutingAttributes(lead);
+  const candidates = [
+    ...rules.filter(rule => rule.is_active && ruleMatches(rule, attributes)),
+    { id: null, name: 'Default rotation', strategy: 'round_robin', rep_ids: [] }
+  ];
+
+  for (const rule of candidates) {
+    const pool = rule.rep_ids?.length ? eligible.filter(rep => rule.rep_ids.includes(rep.id)) : eligible;
+    if (pool.length === 0) continue;
+
+    const inHours = pool.filter(rep => rep.in_working_hours);
+    const rep = pickRep(inHours.length ? inHours : pool, rule.strategy);
+    return {
+      userId: rep.id,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      reason: inHours.length ? 'routed' : 'after_hours'
+    };
+  }
+  return null;
+}
+
+/**
+ * Write an assignment: leads.assigned_to, history row, rep's last_assigned_at
+ * and a timeline activity. `db` is a transaction client or undefined.
+ */
+async function writeAssignment(leadId, userId, { reason, ruleId = null, assignedBy = 'system', previousUserId = null }, db = { query }) {
+  await db.query('UPDATE leads SET assigned_to = $1, updated_at = NOW() WHERE id = $2', [userId, leadId]);
+  await db.query(`
+    INSERT INTO lead_assignments (lead_id, user_id, previous_user_id, rule_id, reason, assigned_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [leadId, userId, previousUserId, ruleId, reason, assignedBy]);
+
+  if (userId) {
+    await db.query('UPDATE sales_reps SET last_assigned_at = NOW() WHERE user_id = $1', [userId]);
+  }
+
+  const userResult = userId ? await db.query('SELECT name, email FROM users WHERE id = $1', [userId]) : { rows: [] };
+  const owner = userResult.rows[0];
+  await db.query(`
+    INSERT INTO lead_activities (lead_id, type, description, metadata, performed_by)
+    VALUES ($1, 'assigned', $2, $3, $4)
+  `, [
+    leadId,
+    owner ? `Assigned to ${owner.name || owner.email}` : 'Unassigned',
+    JSON.stringify({ user_id: userId, previous_user_id: previousUserId, rule_id: ruleId, reason }),
+    assignedBy
+  ]);
+}
+
+/**
+ * Route a lead to a rep and assign it. Returns the choice, or null when no
+ * rep is available (the lead stays unassigned).
+ */
+export async function routeLead(lead, { excludeUserIds = [], reason = null, assignedBy = 'system' } = {}) {
+  return transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [ROUTING_LOCK_KEY]);
+
+    const choice = await chooseRep(lead, { excludeUserIds });
+    if (!choice) return null;
+
+    await writeAssignment(lead.id, choice.userId, {
+      reason: reason || choice.reason,
+      ruleId: choice.ruleId,
+      assignedBy,
+      previousUserId: lead.assigned_to || null
+    }, client);
+    return choice;
+  });
+}
+
+/**
+ * Assign a freshly created lead (intake paths). Never throws - a routing
+ * problem must not lose the lead.
+ */
+export async function assignNewLead(lead) {
+  if (!lead || lead.assigned_to) return null;
+  try {
+    const choice = await routeLead(lead);
+    if (choice) {
+      console.log(`🧭 Lead ${lead.id} assigned to ${choice.userId} (${choice.ruleName}${choice.reason === 'after_hours' ? ', after hours' : ''})`);
+    } else {
+      console.log(`🧭 Lead ${lead.id} left unassigned - no rep available`);
+    }
+    return choice;
+  } catch (error) {
+    console.error(`Lead routing failed for ${lead.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Assign a lead to a specific user (or null to unassign) by hand
+ */
+export async function assignLead(leadId, userId, { reason = 'manual', assignedBy = null } = {}) {
+  const leadResult = await query('SELECT id, assigned_to FROM leads WHERE id = $1', [leadId]);
+  const lead = leadResult.rows[0];
+  if (!lead) throw new Error('Lead not found');
+  if ((lead.assigned_to || null) === (userId || null)) return false;
+
+  if (userId) {
+    const userResult = await query('SELECT id FROM users WHERE id = $1 AND is_active = true AND role = ANY($2)', [userId, ASSIGNABLE_ROLES]);
+    if (!userResult.rows[0]) throw new Error('User not found');
+  }
+
+  await writeAssignment(leadId, userId || null, { reason, assignedBy, previousUserId: lead.assigned_to || null });
+  return true;
+}
+
+/**
+ * Re-route a rep's untouched (status new) leads to the rest of the team,
+ * e.g. when they go on leave. Leads nobody else can take stay put.
+ */
+export async function reassignRepLeads(userId, { assignedBy = 'system' } = {}) {
+  const result = await query(
+    `SELECT * FROM leads WHERE assigned_to = $1 AND status = 'new' ORDER BY created_at`,
+    [String(userId)]
+  );
+
+  let reassigned = 0;
+  for (const lead of result.rows) {
+    const choice = await routeLead(lead, { excludeUserIds: [userId], reason: 'reassigned', assignedBy });
+    if (choice) reassigned++;
+  }
+  return { total: result.rows.length, reassigned, kept: result.rows.length - reassigned };
+}
+
+/**
+ * Assignment history for a lead, newest first
+ */
+export async function getLeadAssignments(leadId) {
+  const result = await query(`
+    SELECT la.*, u.name as user_name, u.email as user_email, r.name as rule_name
+    FROM lead_assignments la
+    LEFT JOIN users u ON u.id = la.user_id
+    LEFT JOIN routing_rules r ON r.id = la.rule_id
+    WHERE la.lead_id = $1
+    ORDER BY la.created_at DESC
+  `, [leadId]);
+  return result.rows;
+}
+
+export default {
+  ROUTING_STRATEGIES,
+  getReps,
+  upsertRep,
+  removeRep,
+  isWithinWorkingHours,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getLeadRoutingAttributes,
+  ruleMatches,
+  chooseRep,
+  routeLead,
+  assignNewLead,
+  assignLead,
+  reassignRepLeads,
+  getLeadAssignments
+};
@@ -0,0 +1,460 @@
+/**
+ * LLM Service
+ *
+ * The one place the app talks to a language model. Every AI feature names
+ * its task (lead_scoring, chatbot, ...) and this module picks the provider
+ * and model, applies timeouts and retries, counts tokens and estimated cost,
+ * and caches responses for tasks that ask for it.
+ *
+ * PROVIDERS (LLM_PROVIDER):
+ * - openai: the OpenAI API (default when OPENAI_API_KEY is set)
+ * - fake:   deterministic offline answers, no network - for local runs and tests
+ * - none:   AI disabled, callers use their non-AI fallbacks (default without a key)
+ *
+ * CONFIGURATION:
+ * - LLM_MODEL: default model (gpt-4o-mini); LLM_MODEL_<TASK> per task,
+ *   e.g. LLM_MODEL_LEAD_ADVICE=gpt-4o
+ * - LLM_TIMEOUT_MS (30000) and LLM_MAX_RETRIES (2) per request
+ * - LLM_CACHE_TTL_SECONDS (3600, 0 disables) for cached tasks
+ *
+ * Every call is logged to the usage ledger (see llmUsageService). When the
+ * daily or monthly budget is spent, requests throw 'LLM budget exceeded'
+ * (cache hits are still served) and canUseLLM() turns false, so callers
+ * take their non-AI fallback.
+ */
+
+import crypto from 'crypto';
+import OpenAI, { toFile } from 'openai';
+import { recordUsage, checkBudget } from './llmUsageService.js';
+
+// Tasks and their default models
+export const LLM_TASKS = {
+  lead_scoring: 'gpt-4o-mini',
+  lead_advice: 'gpt-4o-mini',
+  lead_classification: 'gpt-4o-mini',
+  conversation_intent: 'gpt-4o-mini',
+  phone_inference: 'gpt-4o-mini',
+  chatbot: 'gpt-4o-mini',
+  transcription: 'whisper-1'
+};
+
+// USD per 1M tokens: [input, output]. Unknown models are counted at zero cost.
+export const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'o4-mini': [1.1, 4.4]
+};
+
+// USD per minute of audio
+const TRANSCRIPTION_PRICE_PER_MINUTE = 0.006;
+
+const CACHE_MAX_ENTRIES = 500;
+
+let openai = null;
+const cache = new Map();
+const fakeResponders = new Map();
+let usage = emptyUsage();
+
+function emptyUsage() {
+  return { since: new Date().toISOString(), calls: 0, cached: 0, failures: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, by_task: {} };
+}
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+/**
+ * The configured provider: 'openai', 'fake' or 'none'
+ */
+export function getProvider() {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (configured === 'fake' || configured === 'none') return configured;
+  if (configured && configured !== 'openai') {
+    console.warn(`⚠️ Unknown LLM_PROVIDER "${configured}", AI features disabled`);
+    return 'none';
+  }
+  return process.env.OPENAI_API_KEY ? 'openai' : 'none';
+}
+
+/**
+ * Is any LLM available? Callers use their non-AI fallback when not.
+ */
+export function isLLMEnabled() {
+  return getProvider() !== 'none';
+}
+
+/**
+ * Is an LLM configured and the budget not yet spent? Use this to choose
+ * between the AI path and the non-AI fallback.
+ */
+export async function canUseLLM() {
+  if (!isLLMEnabled()) return false;
+  const budget = await checkBudget();
+  return !budget.exceeded;
+}
+
+async function assertWithinBudget() {
+  const budget = await checkBudget();
+  if (budget.exceeded) throw new Error('LLM budget exceeded');
+}
+
+/**
+ * Model for a task: LLM_MODEL_<TASK>, then LLM_MODEL, then the task default
+ */
+export function getModel(task) {
+  if (getProvider() === 'fake') return `fake-${task}`;
+  const override = process.env[`LLM_MODEL_${task.toUpperCase()}`];
+  if (override) return override;
+  if (task === 'transcription') return process.env.TRANSCRIPTION_MODEL || LLM_TASKS.transcription;
+  return process.env.LLM_MODEL || LLM_TASKS[task] || LLM_TASKS.chatbot;
+}
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+function getOpenAI() {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: envInt('LLM_TIMEOUT_MS', 30000),
+      maxRetries: envInt('LLM_MAX_RETRIES', 2)
+    });
+  }
+  return openai;
+}
+
+/**
+ * Estimated USD cost of a completion
+ */
+export function estimateCost(model, promptTokens = 0, completionTokens = 0) {
+  const price = MODEL_PRICES[model] || Object.entries(MODEL_PRICES)
+    .filter(([name]) => model?.startsWith(`${name}-`))
+    .sort((a, b) => b[0].length - a[0].length)[0]?.[1];
+  if (!price) return 0;
+  return (promptTokens * price[0] + completionTokens * price[1]) / 1_000_000;
+}
+
+// ==========================================
+// ACCOUNTING & CACHE
+// ==========================================
+
+// In-memory totals plus the usage ledger
+async function account(task, result, meta) {
+  await recordUsage({
+    feature: task,
+    leadId: meta.leadId,
+    provider: meta.provider,
+    model: meta.model,
+    usage: result.usage,
+    cost_usd: result.cost_usd,
+    cached: result.cached,
+    success: !result.failed,
+    error: result.error,
+    duration_ms: result.duration_ms
+  });
+
+  const taskUsage = usage.by_task[task] ||= { calls: 0, cached: 0, failures: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+  for (const totals of [usage, taskUsage]) {
+    if (result.failed) {
+      totals.failures++;
+      continue;
+    }
+    totals.calls++;
+    if (result.cached) {
+      totals.cached++;
+      continue;
+    }
+    totals.prompt_tokens += result.usage.prompt_tokens;
+    totals.completion_tokens += result.usage.completion_tokens;
+    totals.cost_usd += result.cost_usd;
+  }
+}
+
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function readCache(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.result;
+}
+
+function writeCache(key, result, ttlSeconds) {
+  if (ttlSeconds <= 0) return;
+  // Map keeps insertion order: drop the oldest entry when full
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  cache.set(key, { result, expiresAt: Date.now() + ttlSeconds * 1000 });
+}
+
+/**
+ * Provider, models, cache size and usage since start (or the last reset)
+ */
+export function getLLMStatus() {
+  return {
+    provider: getProvider(),
+    enabled: isLLMEnabled(),
+    models: Object.fromEntries(Object.keys(LLM_TASKS).map(task => [task, getModel(task)])),
+    cache_entries: cache.size,
+    usage
+  };
+}
+
+/**
+ * Clear the response cache and usage counters
+ */
+export function resetLLM() {
+  cache.clear();
+  usage = emptyUsage();
+}
+
+// ==========================================
+// FAKE PROVIDER
+// ==========================================
+
+// Stable 0..99 from a string, so the same prompt always gets the same answer
+function stableNumber(text) {
+  return crypto.createHash('md5').update(text).digest().readUInt16BE(0) % 100;
+}
+
+const promptValue = (prompt, name) => prompt.match(new RegExp(`${name}:\\s*([^\\n]*)`))?.[1]?.trim();
+
+const FAKE_RESPONDERS = {
+  lead_scoring: (prompt) => {
+    const budget = Number(promptValue(prompt, 'budget_max_aed')) || 0;
+    const shipments = Number(promptValue(prompt, 'shipments_max')) || 0;
+    const email = promptValue(prompt, 'email') || '';
+    let score = 20 + (stableNumber(prompt) % 10);
+    if (budget >= 300000) score += 40;
+    else if (budget >= 100000) score += 25;
+    if (shipments >= 1000) score += 20;
+    if (/@(gmail|yahoo|hotmail|outlook)\./i.test(email)) score -= 10;
+    score = Math.max(0, Math.min(100, score));
+    const category = score >= 75 ? 'hot' : score >= 60 ? 'warm' : score >= 40 ? 'medium' : 'low';
+    return JSON.stringify({
+      score,
+      intent_category: category,
+      confidence: 0.5,
+      priority: score >= 75 ? 'high' : score >= 40 ? 'medium' : 'low',
+      flags: { likely_fake: !email, ebook_hunter: false, job_seeker: false, bad_contact_info: !email },
+      top_reasons: [`Budget ${budget || 'unknown'}`, `Shipments ${shipments || 'unknown'}`, 'Offline fake score'],
+      recommended_next_step: 'Follow up with a short qualifying message.'
+    });
+  },
+
+  lead_classification: (prompt) => {
+    const names = prompt.split('Based on this data')[0].toLowerCase();
+    if (/ebook|playbook|guide|download/.test(names)) return 'ebook';
+    if (/consult|call|meeting|demo|book/.test(names)) return 'consultation';
+    return 'unknown';
+  },
+
+  conversation_intent: (prompt) => {
+    const customer = (prompt.match(/^\[customer\]: .*$/gm) || []).join('\n').toLowerCase();
+    const signals = ['price', 'pricing', 'demo', 'meeting', 'call', 'interested', 'when can']
+      .filter(word => customer.includes(word));
+    const objections = ['expensive', 'not now', 'later', 'budget'].filter(word => customer.includes(word));
+    const negative = /not interested|stop|unsubscribe/.test(customer);
+    const score = negative ? 5 : Math.max(0, Math.min(100, 30 + signals.length * 15 - objections.length * 10));
+    return JSON.stringify({
+      intent_score: score,
+      intent_category: negative ? 'not_interested' : score >= 70 ? 'hot_lead' : score >= 50 ? 'warm_lead' : objections.length ? 'objection' : 'curious',
+      buying_signals: signals.map(word => `Mentioned "${word}"`),
+      objections: objections.map(word => `Mentioned "${word}"`),
+      summary: `Offline analysis of ${customer.split('\n').filter(Boolean).length} customer message(s).`,
+      recommended_action: score >= 50 ? 'Call the lead' : 'Send a follow-up message',
+      sentiment: negative ? 'negative' : signals.length ? 'positive' : 'neutral',
+      urgency: score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low',
+      confidence: 0.5
+    });
+  },
+
+  lead_advice: (prompt) => JSON.stringify({
+    companyOverview: `Offline summary for ${promptValue(prompt, '- Company') || 'this company'}.`,
+    industryVertical: 'logistics',
+    estimatedSize: 'medium',
+    researchedInsights: ['Offline provider - no research performed'],
+    likelyPainPoints: ['Manual quoting', 'Document handling', 'Reconciliation delays'],
+    competitiveContext: 'Not analysed offline',
+    talkingPoints: ['Discuss current ops pain', 'Show ROI calculator'],
+    objections: ['Implementation timeline'],
+    openingLine: 'Hi, happy to show you how we automate logistics operations.',
+    followUpAngle: 'Pilot scope'
+  }),
+
+  // No context to go on offline: leave the number as it is
+  phone_inference: (prompt) => promptValue(prompt, 'Phone number') || '',
+
+  chatbot: (prompt) => `[offline] You asked: ${prompt.split('\n')[0].slice(0, 200)}`
+};
+
+function fakeComplete(task, messages) {
+  const prompt = messages.filter(m => m.role === 'user').map(m => m.content).pop() || '';
+  const responder = fakeResponders.get(task) || FAKE_RESPONDERS[task] || (() => '');
+  return String(responder(prompt, messages));
+}
+
+/**
+ * Override the fake provider's answer for a task (tests).
+ * responder(prompt, messages) returns the response text; null restores the default.
+ */
+export function setFakeResponder(task, responder) {
+  if (responder) fakeResponders.set(task, responder);
+  else fakeResponders.delete(task);
+}
+
+// Rough token count for the fake provider (~4 characters per token)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// ==========================================
+// REQUESTS
+// ==========================================
+
+/**
+ * Chat completion for a task.
+ * options: { messages | prompt, maxTokens?, temperature?, cache?, timeoutMs?, leadId? }
+ * leadId attributes the call to a lead in the usage ledger.
+ * Returns { text, model, provider, usage: { prompt_tokens, completion_tokens },
+ * cost_usd, cached, duration_ms }. Throws 'LLM not configured' when disabled
+ * and 'LLM budget exceeded' when the budget is spent.
+ */
+export async function complete(task, options) {
+  const provider = getProvider();
+  if (provider === 'none') throw new Error('LLM not configured');
+
+  const model = getModel(task);
+  const meta = { provider, model, leadId: options.leadId };
+  const messages = options.messages || [{ role: 'user', content: options.prompt }];
+  const ttl = options.cache ? envInt('LLM_CACHE_TTL_SECONDS', 3600) : 0;
+  const key = ttl > 0 && cacheKey([provider, model, messages, options.maxTokens, options.temperature]);
+
+  const hit = key && readCache(key);
+  if (hit) {
+    const result = { ...hit, cached: true, cost_usd: 0, duration_ms: 0 };
+    await account(task, result, meta);
+    return result;
+  }
+
+  await assertWithinBudget();
+  const start = Date.now();
+  let result;
+  try {
+    if (provider === 'fake') {
+      const text = fakeComplete(task, messages);
+      result = {
+        text,
+        usage: {
+          prompt_tokens: estimateTokens(messages.map(m => m.content).join('\n')),
+          completion_tokens: estimateTokens(text)
+        }
+      };
+    } else {
+      const completion = await getOpenAI().chat.completions.create({
+        model,
+        messages,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature
+      }, options.timeoutMs ? { timeout: options.timeoutMs } : undefined);
+      result = {
+        text: completion.choices[0]?.message?.content?.trim() || '',
+        usage: {
+          prompt_tokens: completion.usage?.prompt_tokens || 0,
+          completion_tokens: completion.usage?.completion_tokens || 0
+        }
+      };
+    }
+  } catch (error) {
+    await account(task, { failed: true, error: error.message, duration_ms: Date.now() - start }, meta);
+    throw error;
+  }
+
+  result = {
+    ...result,
+    model,
+    provider,
+    cost_usd: estimateCost(model, result.usage.prompt_tokens, result.usage.completion_tokens),
+    cached: false,
+    duration_ms: Date.now() - start
+  };
+  await account(task, result, meta);
+  if (key) writeCache(key, result, ttl);
+  return result;
+}
+
+/**
+ * complete() for JSON answers: parses the first {...} in the response
+ * (models sometimes wrap it in markdown). Adds `data`; throws when the
+ * response is not valid JSON.
+ */
+export async function completeJSON(task, options) {
+  const result = await complete(task, options);
+  const jsonMatch = result.text.match(/\{[\s\S]*\}/);
+  return { ...result, data: JSON.parse(jsonMatch ? jsonMatch[0] : result.text) };
+}
+
+/**
+ * Transcribe audio: { data: Buffer, filename, mimeType, durationSeconds?, leadId? }.
+ * Returns { text, model, provider, cost_usd, duration_ms }.
+ */
+export async function transcribe({ data, filename, mimeType, durationSeconds, leadId }) {
+  const provider = getProvider();
+  if (provider === 'none') throw new Error('LLM not configured');
+
+  const model = getModel('transcription');
+  const meta = { provider, model, leadId };
+  await assertWithinBudget();
+  const start = Date.now();
+  let text;
+  try {
+    if (provider === 'fake') {
+      const responder = fakeResponders.get('transcription');
+      text = responder ? String(responder(filename)) : `[offline transcript of ${filename}, ${data.length} bytes]`;
+    } else {
+      const response = await getOpenAI().audio.transcriptions.create({
+        file: await toFile(data, filename, { type: mimeType }),
+        model
+      });
+      text = response.text;
+    }
+  } catch (error) {
+    await account('transcription', { failed: true, error: error.message, duration_ms: Date.now() - start }, meta);
+    throw error;
+  }
+
+  const result = {
+    text,
+    model,
+    provider,
+    usage: { prompt_tokens: 0, completion_tokens: 0 },
+    cost_usd: provider === 'openai' && durationSeconds ? (durationSeconds / 60) * TRANSCRIPTION_PRICE_PER_MINUTE : 0,
+    cached: false,
+    duration_ms: Date.now() - start
+  };
+  await account('transcription', result, meta);
+  return result;
+}
+
+export default {
+  LLM_TASKS,
+  MODEL_PRICES,
+  getProvider,
+  isLLMEnabled,
+  canUseLLM,
+  getModel,
+  estimateCost,
+  getLLMStatus,
+  resetLLM,
+  setFakeResponder,
+  complete,
+  completeJSON,
+  transcribe
+};
@@ -0,0 +1,264 @@
+/**
+ * LLM Usage Service
+ *
+ * Ledger of AI calls (llm_usage) and spend budgets. llmService logs every
+ * call here and checks the budget before calling the provider. Once the
+ * daily or monthly budget is spent, AI features fall back to their non-AI
+ * behaviour (rule scoring, keyword intent scoring, ...) until the period
+ * rolls over or the budget is raised.
+ *
+ * Budgets are in USD: system_settings llm_daily_budget_usd and
+ * llm_monthly_budget_usd, defaulting to LLM_DAILY_BUDGET_USD and
+ * LLM_MONTHLY_BUDGET_USD. Empty means no limit. Days and months follow the
+ * database server's clock.
+ */
+
+import { query } from '../database/connection.js';
+
+const BUDGET_KEYS = {
+  daily: 'llm_daily_budget_usd',
+  monthly: 'llm_monthly_budget_usd'
+};
+const BUDGET_ENV = {
+  daily: 'LLM_DAILY_BUDGET_USD',
+  monthly: 'LLM_MONTHLY_BUDGET_USD'
+};
+
+// Spend is re-read from the ledger at most this often; calls in between
+// are added in memory. Budgets are re-read as often, so a change made on
+// another instance applies here too.
+const SPEND_CACHE_MS = 30 * 1000;
+
+let spendCache = null; // { loadedAt, daily, monthly }
+let budgetCache = null; // { loadedAt, daily, monthly }
+let warnedExceeded = null;
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// ==========================================
+// LEDGER
+// ==========================================
+
+/**
+ * Log an AI call. Never throws - accounting must not break AI features.
+ * entry: { feature, leadId?, provider, model, usage?, cost_usd?, cached?,
+ *          success?, error?, duration_ms? }
+ */
+export async function recordUsage(entry) {
+  const cost = entry.cost_usd || 0;
+  if (spendCache) {
+    spendCache.daily += cost;
+    spendCache.monthly += cost;
+  }
+
+  try {
+    await query(`
+      INSERT INTO llm_usage
+        (feature, lead_id, provider, model, prompt_tokens, completion_tokens, cost_usd, cached, success, error, duration_ms)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      entry.feature,
+      entry.leadId || null,
+      entry.provider,
+      entry.model,
+      entry.usage?.prompt_tokens || 0,
+      entry.usage?.completion_tokens || 0,
+      cost,
+      !!entry.cached,
+      entry.success !== false,
+      entry.error ? String(entry.error).slice(0, 1000) : null,
+      entry.duration_ms ?? null
+    ]);
+  } catch (error) {
+    console.error(`Failed to record LLM usage (${entry.feature}):`, error.message);
+  }
+}
+
+/**
+ * Spend so far today and this month (USD)
+ */
+export async function getSpend() {
+  if (spendCache && Date.now() - spendCache.loadedAt < SPEND_CACHE_MS) {
+    return { daily: spendCache.daily, monthly: spendCache.monthly };
+  }
+
+  const result = await query(`
+    SELECT
+      COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) as daily,
+      COALESCE(SUM(cost_usd), 0) as monthly
+    FROM llm_usage
+    WHERE created_at >= date_trunc('month', NOW())
+  `);
+  spendCache = {
+    loadedAt: Date.now(),
+    daily: Number(result.rows[0].daily),
+    monthly: Number(result.rows[0].monthly)
+  };
+  return { daily: spendCache.daily, monthly: spendCache.monthly };
+}
+
+// ==========================================
+// BUDGETS
+// ==========================================
+
+/**
+ * { daily, monthly } in USD, null = no limit
+ */
+export async function getBudgets() {
+  if (budgetCache && Date.now() - budgetCache.loadedAt < SPEND_CACHE_MS) {
+    return { daily: budgetCache.daily, monthly: budgetCache.monthly };
+  }
+
+  const result = await query('SELECT key, value FROM system_settings WHERE key = ANY($1)', [Object.values(BUDGET_KEYS)]);
+  const stored = Object.fromEntries(result.rows.map(row => [row.key, row.value]));
+  const budgets = Object.fromEntries(Object.entries(BUDGET_KEYS).map(([period, key]) => [
+    period,
+    key in stored ? toNumber(stored[key]) : toNumber(process.env[BUDGET_ENV[period]])
+  ]));
+  budgetCache = { loadedAt: Date.now(), ...budgets };
+  return budgets;
+}
+
+/**
+ * Change budgets: { daily?, monthly? } in USD, null for no limit.
+ * Omitted periods are left as they are.
+ */
+export async function setBudgets(budgets) {
+  for (const [period, key] of Object.entries(BUDGET_KEYS)) {
+    if (budgets[period] === undefined) continue;
+    await query(`
+      INSERT INTO system_settings (key, value, description, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()
+    `, [key, budgets[period] === null ? '' : String(budgets[period]), `LLM ${period} budget (USD, empty = no limit)`]);
+  }
+  budgetCache = null;
+  warnedExceeded = null;
+  return getBudgets();
+}
+
+/**
+ * Spend against budgets. exceeded is 'daily', 'monthly' or null.
+ * If the ledger can't be read, AI stays available.
+ */
+export async function checkBudget() {
+  let spend;
+  let budgets;
+  try {
+    [spend, budgets] = await Promise.all([getSpend(), getBudgets()]);
+  } catch (error) {
+    console.error('Failed to check LLM budget:', error.message);
+    return { exceeded: null, daily: { spent: null, budget: null }, monthly: { spent: null, budget: null } };
+  }
+
+  const exceeded = ['daily', 'monthly'].find(period => budgets[period] !== null && spend[period] >= budgets[period]) || null;
+  if (exceeded && warnedExceeded !== exceeded) {
+    console.warn(`⚠️ LLM ${exceeded} budget of $${budgets[exceeded]} reached - using non-AI fallbacks`);
+  }
+  warnedExceeded = exceeded;
+
+  return {
+    exceeded,
+    daily: { spent: spend.daily, budget: budgets.daily },
+    monthly: { spent: spend.monthly, budget: budgets.monthly }
+  };
+}
+
+// ==========================================
+// REPORTING
+// ==========================================
+
+/**
+ * Usage over the last `days` days: totals, per feature, per model, per day
+ * and the leads that cost the most
+ */
+export async function getUsageSummary(days = 30) {
+  const since = `NOW() - make_interval(days => $1::int)`;
+  const totalsSql = `
+    COUNT(*)::int as calls,
+    COUNT(*) FILTER (WHERE cached)::int as cached,
+    COUNT(*) FILTER (WHERE NOT success)::int as failures,
+    COALESCE(SUM(prompt_tokens), 0)::int as prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0)::int as completion_tokens,
+    COALESCE(SUM(cost_usd), 0)::float as cost_usd
+  `;
+
+  const [totals, byFeature, byModel, daily, topLeads] = await Promise.all([
+    query(`SELECT ${totalsSql} FROM llm_usage WHERE created_at >= ${since}`, [days]),
+    query(`
+      SELECT feature, ${totalsSql} FROM llm_usage
+      WHERE created_at >= ${since}
+      GROUP BY feature ORDER BY cost_usd DESC, calls DESC
+    `, [days]),
+    query(`
+      SELECT provider, model, ${totalsSql} FROM llm_usage
+      WHERE created_at >= ${since}
+      GROUP BY provider, model ORDER BY cost_usd DESC, calls DESC
+    `, [days]),
+    query(`
+      SELECT to_char(d.day, 'YYYY-MM-DD') as date,
+        COUNT(u.id)::int as calls,
+        COALESCE(SUM(u.cost_usd), 0)::float as cost_usd
+      FROM generate_series(date_trunc('day', NOW()) - make_interval(days => $1::int - 1), date_trunc('day', NOW()), interval '1 day') d(day)
+      LEFT JOIN llm_usage u ON u.created_at >= d.day AND u.created_at < d.day + interval '1 day'
+      GROUP BY d.day ORDER BY d.day
+    `, [days]),
+    query(`
+      SELECT u.lead_id, l.first_name, l.last_name, l.email,
+        COUNT(*)::int as calls,
+        COALESCE(SUM(u.cost_usd), 0)::float as cost_usd
+      FROM llm_usage u
+      JOIN leads l ON l.id = u.lead_id
+      WHERE u.created_at >= ${since}
+      GROUP BY u.lead_id, l.first_name, l.last_name, l.email
+      ORDER BY cost_usd DESC, calls DESC
+      LIMIT 10
+    `, [days])
+  ]);
+
+  return {
+    days,
+    totals: totals.rows[0],
+    by_feature: byFeature.rows,
+    by_model: byModel.rows,
+    daily: daily.rows,
+    top_leads: topLeads.rows
+  };
+}
+
+/**
+ * Most recent calls, optionally for one feature or lead
+ */
+export async function getRecentUsage({ feature, leadId, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (feature) {
+    params.push(feature);
+    conditions.push(`u.feature = $${params.length}`);
+  }
+  if (leadId) {
+    params.push(leadId);
+    conditions.push(`u.lead_id = $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await query(`
+    SELECT u.*, u.cost_usd::float as cost_usd, l.first_name, l.last_name, l.email
+    FROM llm_usage u
+    LEFT JOIN leads l ON l.id = u.lead_id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY u.created_at DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+}
+
+export default {
+  recordUsage,
+  getSpend,
+  getBudgets,
+  setBudgets,
+  checkBudget,
+  getUsageSummary,
+  getRecentUsage
+};
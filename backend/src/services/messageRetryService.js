@@ -0,0 +1,307 @@
+/**
+ * Message Retry Service
+ *
+ * What happens when a queued sequence message fails to send:
+ * - The error is classified. Permanent errors (bad address or number, missing
+ *   content) go straight to the failed messages inbox (dead letters); the rest
+ *   are retried on the channel's schedule.
+ * - Retry schedules are per channel: the seconds to wait before each retry,
+ *   stored in system_settings message_retry_policy (defaults below). When the
+ *   schedule runs out the message is failed.
+ * - From the inbox a failed message can be retried as is, edited and resent,
+ *   or discarded.
+ */
+
+import { query } from '../database/connection.js';
+
+const POLICY_KEY = 'message_retry_policy';
+
+export const CHANNELS = ['email', 'whatsapp'];
+
+// Seconds to wait before retry 1, 2, ... (attempts = retries + 1)
+export const DEFAULT_RETRY_POLICY = {
+  email: { delays: [60, 5 * 60, 30 * 60, 2 * 60 * 60] },
+  whatsapp: { delays: [2 * 60, 15 * 60, 60 * 60] }
+};
+
+// Rate limits and provider misconfiguration rarely clear within a minute
+const MIN_SLOW_RETRY_SECONDS = 10 * 60;
+
+export const ERROR_KINDS = {
+  invalid_recipient: { retryable: false, label: 'Invalid recipient' },
+  content: { retryable: false, label: 'Content problem' },
+  rate_limited: { retryable: true, slow: true, label: 'Rate limited' },
+  configuration: { retryable: true, slow: true, label: 'Provider configuration' },
+  provider_outage: { retryable: true, label: 'Provider outage' },
+  unknown: { retryable: true, label: 'Unknown' }
+};
+
+// First match wins, so recipient problems beat the generic 4xx/5xx patterns
+const ERROR_PATTERNS = [
+  ['invalid_recipient', /invalid (phone|number|email|recipient|`?to`? field)|has no (email address|phone number)|not a valid|"exists":\s*false|not (on|registered on) whatsapp|does not exist|no such user|mailbox unavailable|recipient.*(rejected|invalid)/i],
+  ['content', /no email content|content configured|message (is )?too long|missing required fields/i],
+  ['rate_limited', /rate.?limit|too many requests|\b429\b|quota|send limit/i],
+  ['configuration', /not configured|api.?key|unauthori[sz]ed|forbidden|\b40[13]\b|not verified|invalid login|authentication (failed|unsuccessful)|\bEAUTH\b/i],
+  ['provider_outage', /time.?out|timed out|ECONN|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|network|\b50[0-4]\b|unavailable|bad gateway|internal server error|connection closed/i]
+];
+
+// ==========================================
+// CLASSIFICATION
+// ==========================================
+
+/**
+ * Error for a send the provider rejected ({ success: false, error, details })
+ */
+export function providerError(result) {
+  const error = new Error(result.error || 'Send failed');
+  error.details = result.details;
+  return error;
+}
+
+/**
+ * Kind of failure (a key of ERROR_KINDS), from the message and any provider
+ * details attached to the error
+ */
+export function classifyDeliveryError(error) {
+  const text = `${error?.message || error} ${error?.details ? JSON.stringify(error.details) : ''}`;
+  const match = ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'unknown';
+}
+
+// ==========================================
+// RETRY POLICY
+// ==========================================
+
+/**
+ * { email: { delays }, whatsapp: { delays } } with defaults for anything not saved
+ */
+export async function getRetryPolicy() {
+  const result = await query('SELECT value FROM system_settings WHERE key = $1', [POLICY_KEY]);
+  let stored = {};
+  try {
+    stored = result.rows[0]?.value ? JSON.parse(result.rows[0].value) : {};
+  } catch (error) {
+    console.error('Invalid message retry policy in system_settings, using defaults:', error.message);
+  }
+
+  return Object.fromEntries(CHANNELS.map(channel => [
+    channel,
+    { delays: Array.isArray(stored[channel]?.delays) ? stored[channel].delays : DEFAULT_RETRY_POLICY[channel].delays }
+  ]));
+}
+
+/**
+ * Change retry schedules: { email?: { delays }, whatsapp?: { delays } }.
+ * Omitted channels are left as they are; delays: [] disables retries.
+ */
+export async function setRetryPolicy(policy) {
+  const current = await getRetryPolicy();
+  const next = Object.fromEntries(CHANNELS.map(channel => [channel, policy[channel] || current[channel]]));
+
+  await query(`
+    INSERT INTO system_settings (key, value, description, updated_at)
+    VALUES ($1, $2, 'Seconds between retries of failed sequence messages, per channel', NOW())
+    ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()
+  `, [POLICY_KEY, JSON.stringify(next)]);
+  return getRetryPolicy();
+}
+
+/**
+ * Record a failed send of a queued message (a message_queue row as read by
+ * processMessageQueue): schedule its next attempt, or fail it when the error
+ * is permanent or the channel's schedule has run out.
+ */
+export async function recordDeliveryFailure(msg, error) {
+  const kind = classifyDeliveryError(error);
+  const attempts = (msg.attempts || 0) + 1;
+  const policy = await getRetryPolicy();
+
+  let delay = ERROR_KINDS[kind].retryable ? policy[msg.channel]?.delays[attempts - 1] : undefined;
+  if (delay !== undefined && ERROR_KINDS[kind].slow) {
+    delay = Math.max(delay, MIN_SLOW_RETRY_SECONDS);
+  }
+  const status = delay === undefined ? 'failed' : 'pending';
+
+  await query(`
+    UPDATE message_queue
+    SET attempts = $2,
+        last_attempt_at = NOW(),
+        error_message = $3,
+        error_kind = $4,
+        provider_error = $5,
+        status = $6,
+        scheduled_for = CASE WHEN $6 = 'pending' THEN NOW() + make_interval(secs => $7::int) ELSE scheduled_for END,
+        failed_at = CASE WHEN $6 = 'failed' THEN NOW() END
+    WHERE id = $1
+  `, [
+    msg.id,
+    attempts,
+    String(error.message || error).slice(0, 2000),
+    kind,
+    error.details === undefined ? null : JSON.stringify(error.details),
+    status,
+    delay || 0
+  ]);
+
+  if (status === 'failed') {
+    console.error(`☠️ ${msg.channel} message ${msg.id} failed (${kind}) after ${attempts} attempt(s) - moved to failed messages`);
+  } else {
+    console.warn(`🔁 ${msg.channel} message ${msg.id} failed (${kind}), retry ${attempts} in ${delay}s`);
+  }
+  return { kind, status, delay: delay ?? null };
+}
+
+// ==========================================
+// FAILED MESSAGES INBOX
+// ==========================================
+
+function failedFilters({ channel, errorKind, ids } = {}) {
+  const conditions = [`mq.status = 'failed'`];
+  const params = [];
+  if (channel) {
+    params.push(channel);
+    conditions.push(`mq.channel = $${params.length}`);
+  }
+  if (errorKind) {
+    params.push(errorKind);
+    // Failures from before classification have no kind
+    conditions.push(errorKind === 'unknown'
+      ? `COALESCE(mq.error_kind, 'unknown') = $${params.length}`
+      : `mq.error_kind = $${params.length}`);
+  }
+  if (ids) {
+    params.push(ids);
+    conditions.push(`mq.id = ANY($${params.length})`);
+  }
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Failed messages, newest first, with the lead, step and provider error,
+ * plus counts per channel and error kind
+ */
+export async function listFailedMessages({ channel, errorKind, limit = 50, offset = 0 } = {}) {
+  const { where, params } = failedFilters({ channel, errorKind });
+
+  const [messages, counts] = await Promise.all([
+    query(`
+      SELECT mq.id, mq.lead_id, mq.lead_sequence_id, mq.channel, mq.attempts,
+             mq.error_message, COALESCE(mq.error_kind, 'unknown') as error_kind, mq.provider_error,
+             COALESCE(mq.failed_at, mq.last_attempt_at, mq.scheduled_for) as failed_at,
+             mq.last_attempt_at, mq.override_content,
+             ls.status as enrollment_status,
+             ss.name as step_name, ss.step_order, ss.email_subject, ss.email_body, ss.whatsapp_message,
+             s.name as sequence_name, s.slug as sequence_slug,
+             l.first_name, l.last_name, l.email, l.phone,
+             COUNT(*) OVER()::int as total_count
+      FROM message_queue mq
+      JOIN lead_sequences ls ON ls.id = mq.lead_sequence_id
+      JOIN sequence_steps ss ON ss.id = mq.sequence_step_id
+      JOIN sequences s ON s.id = ls.sequence_id
+      JOIN leads l ON l.id = mq.lead_id
+      WHERE ${where}
+      ORDER BY COALESCE(mq.failed_at, mq.last_attempt_at, mq.scheduled_for) DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    query(`
+      SELECT mq.channel, COALESCE(mq.error_kind, 'unknown') as error_kind, COUNT(*)::int as count
+      FROM message_queue mq
+      WHERE mq.status = 'failed'
+      GROUP BY 1, 2
+      ORDER BY count DESC
+    `)
+  ]);
+
+  return {
+    messages: messages.rows.map(({ total_count, ...row }) => row),
+    total: messages.rows[0]?.total_count || 0,
+    counts: counts.rows
+  };
+}
+
+// Why a failed message couldn't be requeued or discarded
+async function explainUnchanged(id) {
+  const result = await query(`
+    SELECT mq.status, ls.status as enrollment_status
+    FROM message_queue mq
+    JOIN lead_sequences ls ON ls.id = mq.lead_sequence_id
+    WHERE mq.id = $1
+  `, [id]);
+  const row = result.rows[0];
+  if (!row) return new Error('Message not found');
+  if (row.status !== 'failed') return new Error('Message is not failed');
+  return new Error('Enrollment was cancelled');
+}
+
+/**
+ * Queue failed messages again with a fresh retry schedule. Selected by ids,
+ * or by channel / error kind. Messages whose enrollment was cancelled are
+ * left alone; paused ones send once the enrollment resumes. Returns the
+ * requeued messages.
+ */
+export async function retryFailedMessages(filters, { resolvedBy = null, resolution = 'retried', overrideContent = null } = {}) {
+  const { where, params } = failedFilters(filters);
+  const result = await query(`
+    UPDATE message_queue mq
+    SET status = 'pending',
+        attempts = 0,
+        scheduled_for = NOW(),
+        failed_at = NULL,
+        override_content = COALESCE($${params.length + 1}::jsonb, mq.override_content),
+        resolved_at = NOW(),
+        resolved_by = $${params.length + 2},
+        resolution = $${params.length + 3}
+    FROM lead_sequences ls
+    WHERE ${where} AND ls.id = mq.lead_sequence_id AND ls.status IN ('active', 'paused')
+    RETURNING mq.*
+  `, [...params, overrideContent ? JSON.stringify(overrideContent) : null, resolvedBy, resolution]);
+  return result.rows;
+}
+
+/**
+ * Retry one failed message as it is
+ */
+export async function retryFailedMessage(id, resolvedBy = null) {
+  const [message] = await retryFailedMessages({ ids: [id] }, { resolvedBy });
+  if (!message) throw await explainUnchanged(id);
+  return message;
+}
+
+/**
+ * Edit and resend a failed message. content: { subject?, body?, whatsapp? }
+ * replaces the step's content for this lead only; {{variables}} still apply.
+ */
+export async function resendFailedMessage(id, content, resolvedBy = null) {
+  const overrideContent = Object.fromEntries(
+    ['subject', 'body', 'whatsapp'].filter(key => content[key] !== undefined).map(key => [key, content[key]])
+  );
+  const [message] = await retryFailedMessages({ ids: [id] }, { resolvedBy, resolution: 'resent', overrideContent });
+  if (!message) throw await explainUnchanged(id);
+  return message;
+}
+
+/**
+ * Give up on a failed message for good
+ */
+export async function discardFailedMessage(id, resolvedBy = null) {
+  const result = await query(`
+    UPDATE message_queue
+    SET status = 'discarded', resolved_at = NOW(), resolved_by = $2, resolution = 'discarded'
+    WHERE id = $1 AND status = 'failed'
+    RETURNING *
+  `, [id, resolvedBy]);
+  if (!result.rows[0]) throw await explainUnchanged(id);
+  return result.rows[0];
+}
+
+export default {
+  classifyDeliveryError,
+  getRetryPolicy,
+  setRetryPolicy,
+  recordDeliveryFailure,
+  listFailedMessages,
+  retryFailedMessages,
+  retryFailedMessage,
+  resendFailedMessage,
+  discardFailedMessage
+};
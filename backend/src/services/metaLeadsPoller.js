@@ -1,31 +1,25 @@
 /**
  * Meta Leads Poller Service
  * 
- * Polls Meta Graph API for new leads every 2 minutes.
- * Uses OpenAI to intelligently classify leads as 'ebook' or 'consultation'.
+ * Polls Meta Graph API for new leads every 2 minutes (as a background job).
+ * Uses the configured LLM to intelligently classify leads as 'ebook' or 'consultation'.
  * 
  * CAMPAIGN TRACKING:
  * - Fetches ad/campaign info from Meta if ad_id is available
- * - Uses OpenAI to analyze lead data for classification
+ * - Uses the LLM to analyze lead data for classification
  * - Logs raw Meta data for debugging
  */
 
 import Lead from '../models/Lead.js';
+import { query } from '../database/connection.js';
 import { enrollLead } from './sequenceService.js';
-import OpenAI from 'openai';
+import { findExistingLead, flagDuplicates } from './leadDedupService.js';
+import { BUDGET_FIELD_KEYS, parseBudgetRangeAED } from './leadEnrichment.js';
+import { assignNewLead } from './leadRoutingService.js';
+import { isLLMEnabled, canUseLLM, complete } from './llmService.js';
 
-const POLL_INTERVAL = 2 * 60 * 1000; // 2 minutes
-let pollInterval = null;
-let lastPollTime = null;
-let openai = null;
-
-// Initialize OpenAI
-function getOpenAI() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-}
+export const POLL_INTERVAL_SECONDS = 2 * 60;
+const LAST_POLL_KEY = 'meta_poller_last_poll';
 
 /**
  * Fetch leads from Meta Graph API
@@ -89,11 +83,10 @@ async function fetchAdCampaignInfo(adId, pageAccessToken) {
 }
 
 /**
- * Use OpenAI to classify lead type based on available data
+ * Use the LLM to classify lead type based on available data
  */
 async function classifyLeadWithAI(leadData, campaignInfo) {
-  const ai = getOpenAI();
-  if (!ai) return 'unknown';
+  if (!(await canUseLLM())) return 'unknown';
   
   try {
     const prompt = `Analyze this lead data and classify it as either "ebook" (lead wanted to download an ebook/guide/playbook) or "consultation" (lead wanted to book a call/consultation/meeting).
@@ -107,14 +100,15 @@ Job title: ${leadData.job_title || 'Unknown'}
 
 Based on this data, what type of lead is this? Respond with ONLY one word: "ebook" or "consultation" or "unknown" if you can't determine.`;
 
-    const response = await ai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 10,
-      temperature: 0
+    // Same form + campaign -> same answer
+    const response = await complete('lead_classification', {
+      prompt,
+      maxTokens: 10,
+      temperature: 0,
+      cache: true
     });
 
-    const classification = response.choices[0]?.message?.content?.trim().toLowerCase();
+    const classification = response.text.toLowerCase();
     
     if (classification === 'ebook' || classification === 'consultation') {
       return classification;
@@ -163,7 +157,7 @@ async function determineCampaignType(metaLead, formId, leadInfo, campaignInfo) {
     return 'consultation';
   }
   
-  // Method 3: Use OpenAI as fallback
+  // Method 3: Use the LLM as fallback
   console.log(`   🤖 Using AI to classify lead...`);
   const aiClassification = await classifyLeadWithAI(leadInfo, campaignInfo);
   if (aiClassification !== 'unknown') {
@@ -223,41 +217,6 @@ function extractLeadInfo(fieldData) {
   return info;
 }
 
-/**
- * Normalize budget answer into AED numeric range.
- * Examples seen:
- * - "35k_aed>"
- * - "35k_-_100k_aed"
- * - "100k_-_300k_aed"
- * - "300k_-_600k_aed"
- * - "600k_-_1m+_aed"
- */
-function parseBudgetRangeAED(raw) {
-  if (!raw || typeof raw !== 'string') return null;
-  const s = raw.toLowerCase().trim();
-  const normalize = (x) => {
-    if (x.endsWith('m')) return Math.round(parseFloat(x.slice(0, -1)) * 1_000_000);
-    if (x.endsWith('k')) return Math.round(parseFloat(x.slice(0, -1)) * 1_000);
-    return parseInt(x, 10);
-  };
-
-  // token cleanup
-  const cleaned = s.replace(/aed|\s/g, '').replace(/>/g, '+').replace(/_/g, '');
-  // patterns: 35k-100k, 600k-1m+, 35k+, 300k-600k
-  const rangeMatch = cleaned.match(/^(\d+(?:\.\d+)?[km]?)-(\d+(?:\.\d+)?[km]?)\+?$/);
-  if (rangeMatch) {
-    const min = normalize(rangeMatch[1]);
-    const max = normalize(rangeMatch[2]);
-    return Number.isFinite(min) && Number.isFinite(max) ? { min, max } : null;
-  }
-  const plusMatch = cleaned.match(/^(\d+(?:\.\d+)?[km]?)\+$/);
-  if (plusMatch) {
-    const min = normalize(plusMatch[1]);
-    return Number.isFinite(min) ? { min, max: min } : null;
-  }
-  return null;
-}
-
 /**
  * Normalize shipments answer into numeric range.
  * Examples seen:
@@ -307,12 +266,11 @@ async function processMetaLead(metaLead, formId, pageAccessToken) {
   // Extract lead info
   const leadInfo = extractLeadInfo(metaLead.field_data);
   
-  if (leadInfo.email) {
-    const existingByEmail = await Lead.getLeadByEmail(leadInfo.email);
-    if (existingByEmail) {
-      console.log(`📋 Lead ${leadInfo.email} already exists, skipping`);
-      return null;
-    }
+  // Same person via another form / submission (email or phone) - don't create a second lead
+  const existing = await findExistingLead({ email: leadInfo.email, phone: leadInfo.phone });
+  if (existing) {
+    console.log(`📋 Lead ${leadInfo.email || leadInfo.phone} already exists (matched on ${existing.matchedOn}), skipping`);
+    return null;
   }
 
   console.log(`\n📥 Processing new lead: ${leadInfo.first_name || 'Unknown'} ${leadInfo.last_name || ''}`);
@@ -344,11 +302,7 @@ async function processMetaLead(metaLead, formId, pageAccessToken) {
   const leadType = (campaignType === 'ebook' || campaignType === 'consultation') ? campaignType : null;
 
   // Normalize budget + shipments from known form fields if present
-  const budgetRaw =
-    leadInfo.custom_fields["what's_your_estimated_budget_for_ai_implementation?"] ||
-    leadInfo.custom_fields["what's your estimated budget for ai implementation?"] ||
-    leadInfo.custom_fields["estimated_budget"] ||
-    null;
+  const budgetRaw = BUDGET_FIELD_KEYS.map(key => leadInfo.custom_fields[key]).find(Boolean) || null;
   const shipmentsRaw =
     leadInfo.custom_fields['how_many_shipments_do_you_receive_on_average_per_month?'] ||
     leadInfo.custom_fields['how many shipments do you receive on average per month?'] ||
@@ -421,6 +375,9 @@ async function processMetaLead(metaLead, formId, pageAccessToken) {
     console.log(`   ✅ Created lead ID: ${lead.id}`);
     console.log(`   🏷️ Campaign Type: ${campaignType.toUpperCase()}`);
 
+    await flagDuplicates(lead.id).catch(err => console.error('   Duplicate check failed:', err.message));
+    await assignNewLead(lead);
+
     // Enroll in sequence
     if (lead.email || lead.phone) {
       await enrollLead(lead.id, 'new_lead', { enrolledBy: 'meta_poller' });
@@ -435,9 +392,32 @@ async function processMetaLead(metaLead, formId, pageAccessToken) {
 }
 
 /**
- * Poll for new leads
+ * When the last successful poll started, persisted so restarts and other
+ * instances pick up where it left off
  */
-async function pollForLeads() {
+async function getLastPollTime() {
+  const result = await query('SELECT value FROM system_settings WHERE key = $1', [LAST_POLL_KEY]);
+  const value = result.rows[0]?.value;
+  return value ? new Date(value) : null;
+}
+
+async function setLastPollTime(time) {
+  await query(`
+    INSERT INTO system_settings (key, value, description, updated_at)
+    VALUES ($1, $2, 'Start of the last successful Meta leads poll', NOW())
+    ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()
+  `, [LAST_POLL_KEY, time.toISOString()]);
+}
+
+export function isMetaPollingConfigured() {
+  return !!process.env.META_PAGE_ACCESS_TOKEN;
+}
+
+/**
+ * Poll for new leads once. Runs as the poll_meta_leads job every 2 minutes
+ * (see backgroundJobs.js); returns the number of leads processed.
+ */
+export async function pollMetaLeads() {
   const pageAccessToken = process.env.META_PAGE_ACCESS_TOKEN;
   const formIds = (process.env.META_FORM_IDS || '').split(',').filter(Boolean);
 
@@ -451,9 +431,10 @@ async function pollForLeads() {
   }
 
   let totalProcessed = 0;
-  const since = lastPollTime || new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const startedAt = new Date();
+  const since = await getLastPollTime() || new Date(Date.now() - 24 * 60 * 60 * 1000);
 
-  console.log(`\n🔄 [${new Date().toISOString()}] Polling Meta for new leads...`);
+  console.log(`\n🔄 [${startedAt.toISOString()}] Polling Meta for new leads...`);
 
   for (const formId of formIds) {
     const leads = await fetchMetaLeads(formId.trim(), pageAccessToken, since);
@@ -465,7 +446,9 @@ async function pollForLeads() {
     }
   }
 
-  lastPollTime = new Date();
+  // Leads created while this poll ran are fetched again next time;
+  // processMetaLead skips the ones already imported
+  await setLastPollTime(startedAt);
 
   if (totalProcessed > 0) {
     console.log(`\n📊 Processed ${totalProcessed} new leads`);
@@ -474,63 +457,21 @@ async function pollForLeads() {
   return totalProcessed;
 }
 
-/**
- * Start the polling service
- */
-export function startMetaLeadsPoller() {
-  const pageAccessToken = process.env.META_PAGE_ACCESS_TOKEN;
-  
-  if (!pageAccessToken) {
-    console.log('ℹ️ Meta leads poller not started (META_PAGE_ACCESS_TOKEN not set)');
-    return;
-  }
-
-  // Poll immediately on start
-  pollForLeads().catch(console.error);
-
-  // Then poll every 2 minutes
-  pollInterval = setInterval(() => {
-    pollForLeads().catch(console.error);
-  }, POLL_INTERVAL);
-
-  console.log('✅ Meta leads poller started (polling every 2 minutes)');
-  console.log('   🤖 OpenAI classification: ' + (process.env.OPENAI_API_KEY ? 'enabled' : 'disabled'));
-}
-
-/**
- * Stop the polling service
- */
-export function stopMetaLeadsPoller() {
-  if (pollInterval) {
-    clearInterval(pollInterval);
-    pollInterval = null;
-    console.log('🛑 Meta leads poller stopped');
-  }
-}
-
-/**
- * Manually trigger a poll
- */
-export async function manualPoll() {
-  return await pollForLeads();
-}
-
 /**
  * Get poller status
  */
-export function getPollerStatus() {
+export async function getPollerStatus() {
   return {
-    running: pollInterval !== null,
-    lastPollTime,
-    pollIntervalMinutes: POLL_INTERVAL / 1000 / 60,
-    aiEnabled: !!process.env.OPENAI_API_KEY,
+    configured: isMetaPollingConfigured(),
+    lastPollTime: await getLastPollTime(),
+    pollIntervalMinutes: POLL_INTERVAL_SECONDS / 60,
+    aiEnabled: isLLMEnabled(),
     formIds: (process.env.META_FORM_IDS || '').split(',').filter(Boolean)
   };
 }
 
 export default {
-  startMetaLeadsPoller,
-  stopMetaLeadsPoller,
-  manualPoll,
+  pollMetaLeads,
+  isMetaPollingConfigured,
   getPollerStatus
 };
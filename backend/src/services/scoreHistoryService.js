@@ -0,0 +1,73 @@
+/**
+ * Score History Service
+ *
+ * Records every lead score change with its source, factors and reason, so
+ * the lead view can show how and why a score moved. Re-scoring that lands on
+ * the same score from the same source is not recorded again.
+ */
+
+import { query } from '../database/connection.js';
+
+export const SCORE_SOURCES = ['rules', 'ai', 'conversation', 'manual'];
+
+/**
+ * Record a score. Never throws - history must not break scoring.
+ * entry: { source, score, previousScore?, factors?, reason?, model?,
+ *          modelVersion?, conversationId?, changedBy? }
+ */
+export async function recordScore(leadId, entry) {
+  if (!leadId || entry.score === undefined || entry.score === null) return null;
+
+  try {
+    // Conversation intent is its own series; lead scores share one
+    const last = await query(`
+      SELECT source, score FROM lead_score_history
+      WHERE lead_id = $1 AND (source = 'conversation') = $2
+      ORDER BY created_at DESC LIMIT 1
+    `, [leadId, entry.source === 'conversation']);
+    const previous = last.rows[0];
+    if (previous && previous.source === entry.source && previous.score === entry.score) return null;
+
+    const result = await query(`
+      INSERT INTO lead_score_history
+        (lead_id, source, score, previous_score, factors, reason, model, model_version, conversation_id, changed_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      leadId,
+      entry.source,
+      Math.round(entry.score),
+      entry.previousScore ?? previous?.score ?? null,
+      JSON.stringify(entry.factors || []),
+      entry.reason || null,
+      entry.model || null,
+      entry.modelVersion ?? null,
+      entry.conversationId || null,
+      entry.changedBy || null
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error(`Failed to record score history for lead ${leadId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * A lead's score history, oldest first
+ */
+export async function getScoreHistory(leadId) {
+  const result = await query(`
+    SELECT h.*, u.name as changed_by_name
+    FROM lead_score_history h
+    LEFT JOIN users u ON u.id::text = h.changed_by
+    WHERE h.lead_id = $1
+    ORDER BY h.created_at ASC
+  `, [leadId]);
+  return result.rows;
+}
+
+export default {
+  SCORE_SOURCES,
+  recordScore,
+  getScoreHistory
+};
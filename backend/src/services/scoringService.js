@@ -0,0 +1,360 @@
+/**
+ * Scoring Model Service
+ *
+ * Rule-based lead scoring, configured in the database instead of code.
+ *
+ * A rule reads a field, compares it with an operator and adds its points
+ * when it matches. Rules sharing a group are alternatives: only the first
+ * match (by position) counts, e.g. budget bands from highest to lowest.
+ * Text comparisons are case-insensitive. The total is clamped to 0-100.
+ *
+ * Fields: a lead column (phone, job_title, ...), custom_fields.<key> or
+ * last_call.<column> (the latest call with a disposition). "a|b" reads the
+ * first of several fields that is set.
+ *
+ * Models are versioned: publishing rules creates the next version and makes
+ * it active; older versions stay available for rollback. Scores record the
+ * version that produced them (leads.score_model_version).
+ */
+
+import { query, transaction } from '../database/connection.js';
+import { DEFAULT_SCORING_RULES } from '../database/schema-scoring.js';
+
+export const RULE_OPERATORS = {
+  equals: 'text',
+  not_equals: 'text',
+  contains: 'text',
+  contains_any: 'list',
+  not_contains_any: 'list',
+  in: 'list',
+  is_set: 'none',
+  is_empty: 'none',
+  gt: 'number',
+  gte: 'number',
+  lt: 'number',
+  lte: 'number'
+};
+
+// Lead columns offered for rules (custom field keys come from the data)
+const LEAD_FIELDS = ['first_name', 'last_name', 'email', 'phone', 'company', 'job_title', 'source', 'lead_type',
+  'status', 'utm_source', 'utm_medium', 'utm_campaign', 'meeting_status'];
+const CALL_FIELDS = ['last_call.disposition', 'last_call.outcome', 'last_call.duration_seconds'];
+
+const PREVIEW_TOP_MOVERS = 50;
+
+// Active model with its rules; reused while it is still the active one in the
+// DB (another instance may publish or activate a model)
+let activeModelCache = null;
+
+// ==========================================
+// EVALUATION
+// ==========================================
+
+function readField(lead, path, context) {
+  if (path.startsWith('custom_fields.')) return (lead.custom_fields || {})[path.slice('custom_fields.'.length)];
+  if (path.startsWith('last_call.')) return context.lastCall?.[path.slice('last_call.'.length)];
+  return lead[path];
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+// "a|b|c" -> the first value that is set
+function resolveField(lead, field, context) {
+  for (const path of field.split('|').map(p => p.trim()).filter(Boolean)) {
+    const value = readField(lead, path, context);
+    if (!isBlank(value)) return value;
+  }
+  return null;
+}
+
+const asText = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value)).toLowerCase();
+const asList = (value) => (Array.isArray(value) ? value : [value]).map(asText);
+
+/**
+ * Does a rule match? Every operator except is_empty needs the field to be set,
+ * so not_contains_any on a missing email does not match.
+ */
+export function ruleMatches(rule, lead, context = {}) {
+  const actual = resolveField(lead, rule.field, context);
+  if (rule.operator === 'is_empty') return isBlank(actual);
+  if (isBlank(actual)) return false;
+
+  const text = asText(actual);
+  switch (rule.operator) {
+    case 'is_set': return true;
+    case 'equals': return text === asText(rule.value);
+    case 'not_equals': return text !== asText(rule.value);
+    case 'contains': return text.includes(asText(rule.value));
+    case 'contains_any': return asList(rule.value).some(v => text.includes(v));
+    case 'not_contains_any': return !asList(rule.value).some(v => text.includes(v));
+    case 'in': return asList(rule.value).includes(text);
+    case 'gt': case 'gte': case 'lt': case 'lte': {
+      const number = Number(actual);
+      const limit = Number(rule.value);
+      if (Number.isNaN(number) || Number.isNaN(limit)) return false;
+      return { gt: number > limit, gte: number >= limit, lt: number < limit, lte: number <= limit }[rule.operator];
+    }
+    default: return false;
+  }
+}
+
+/**
+ * Score a lead with a list of rules.
+ * context.lastCall is the lead's latest call with a disposition.
+ * Returns { score, reason, factors: [{ factor, points, group }] }.
+ */
+export function evaluateRules(lead, rules, context = {}) {
+  const matchedGroups = new Set();
+  const factors = [];
+
+  for (const rule of rules) {
+    if (rule.group && matchedGroups.has(rule.group)) continue;
+    if (!ruleMatches(rule, lead, context)) continue;
+    if (rule.group) matchedGroups.add(rule.group);
+    if (rule.points) factors.push({ factor: rule.label, points: rule.points, group: rule.group || null });
+  }
+
+  const total = factors.reduce((sum, f) => sum + f.points, 0);
+  const score = Math.max(0, Math.min(100, total));
+  const reason = [...factors].sort((a, b) => b.points - a.points).slice(0, 3).map(f => f.factor).join(' | ');
+
+  return { score, reason, factors };
+}
+
+/**
+ * Latest call with a disposition for each lead: Map(leadId -> call)
+ */
+async function getLatestCalls(leadIds) {
+  if (leadIds.length === 0) return new Map();
+  const result = await query(`
+    SELECT DISTINCT ON (lead_id) lead_id, disposition, outcome, duration_seconds
+    FROM lead_calls
+    WHERE lead_id = ANY($1::uuid[]) AND disposition IS NOT NULL
+    ORDER BY lead_id, called_at DESC
+  `, [leadIds]);
+  return new Map(result.rows.map(row => [row.lead_id, row]));
+}
+
+// ==========================================
+// MODELS
+// ==========================================
+
+const toRule = (row) => ({
+  id: row.id,
+  group: row.group_name,
+  label: row.label,
+  field: row.field,
+  operator: row.operator,
+  value: row.value,
+  points: row.points
+});
+
+async function loadRules(modelId) {
+  const result = await query('SELECT * FROM scoring_rules WHERE model_id = $1 ORDER BY position', [modelId]);
+  return result.rows.map(toRule);
+}
+
+/**
+ * All model versions, newest first, with rule and lead counts
+ */
+export async function getModels() {
+  const result = await query(`
+    SELECT m.*,
+      (SELECT COUNT(*) FROM scoring_rules r WHERE r.model_id = m.id)::int as rule_count,
+      (SELECT COUNT(*) FROM leads l WHERE l.score_model_version = m.version)::int as lead_count
+    FROM scoring_models m
+    ORDER BY m.version DESC
+  `);
+  return result.rows;
+}
+
+/**
+ * A model version with its rules (null if unknown)
+ */
+export async function getModel(version) {
+  const result = await query('SELECT * FROM scoring_models WHERE version = $1', [version]);
+  const model = result.rows[0];
+  if (!model) return null;
+  return { ...model, rules: await loadRules(model.id) };
+}
+
+/**
+ * The active model with its rules. Falls back to the built-in default rules
+ * (version null) until a model has been published.
+ */
+export async function getActiveModel() {
+  const result = await query('SELECT * FROM scoring_models WHERE is_active = true');
+  const model = result.rows[0];
+  // A model's rules never change after publishing, so the id is enough
+  if (activeModelCache && activeModelCache.id === model?.id) return activeModelCache;
+
+  activeModelCache = model
+    ? { ...model, rules: await loadRules(model.id) }
+    : { version: null, name: 'Built-in default', rules: DEFAULT_SCORING_RULES };
+  return activeModelCache;
+}
+
+/**
+ * Publish rules as the next model version and make it active.
+ * rules: [{ group?, label, field, operator, value?, points }]
+ */
+export async function publishModel({ name, notes, rules }, user = null) {
+  const modelId = await transaction(async (client) => {
+    // Serialize version numbers
+    await client.query('LOCK TABLE scoring_models IN EXCLUSIVE MODE');
+    const next = await client.query('SELECT COALESCE(MAX(version), 0) + 1 as version FROM scoring_models');
+    const version = next.rows[0].version;
+
+    await client.query('UPDATE scoring_models SET is_active = false WHERE is_active = true');
+    const inserted = await client.query(`
+      INSERT INTO scoring_models (version, name, notes, is_active, created_by, activated_at)
+      VALUES ($1, $2, $3, true, $4, NOW())
+      RETURNING id
+    `, [version, name || `Version ${version}`, notes || null, user?.email || null]);
+    const id = inserted.rows[0].id;
+
+    for (const [position, rule] of rules.entries()) {
+      await client.query(`
+        INSERT INTO scoring_rules (model_id, position, group_name, label, field, operator, value, points)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [id, position, rule.group || null, rule.label, rule.field, rule.operator,
+        rule.value === undefined ? null : JSON.stringify(rule.value), rule.points]);
+    }
+    return id;
+  });
+
+  activeModelCache = null;
+  const result = await query('SELECT version FROM scoring_models WHERE id = $1', [modelId]);
+  return getModel(result.rows[0].version);
+}
+
+/**
+ * Make an older version active again (rollback). Throws 'Scoring model not found'.
+ */
+export async function activateModel(version) {
+  const model = await transaction(async (client) => {
+    // Serialize with publishes and other activations (one active model, see idx_scoring_models_active)
+    await client.query('LOCK TABLE scoring_models IN EXCLUSIVE MODE');
+    const existing = await client.query('SELECT id FROM scoring_models WHERE version = $1', [version]);
+    if (!existing.rows[0]) throw new Error('Scoring model not found');
+
+    await client.query('UPDATE scoring_models SET is_active = false WHERE is_active = true AND version <> $1', [version]);
+    const result = await client.query(
+      'UPDATE scoring_models SET is_active = true, activated_at = NOW() WHERE version = $1 RETURNING *',
+      [version]
+    );
+    return result.rows[0];
+  });
+
+  activeModelCache = null;
+  return model;
+}
+
+/**
+ * Publish the built-in rules as version 1 when no model exists (migration)
+ */
+export async function seedDefaultScoringModel() {
+  const existing = await query('SELECT 1 FROM scoring_models LIMIT 1');
+  if (existing.rows.length > 0) return null;
+  return publishModel({ name: 'Default', notes: 'Original built-in scoring heuristic', rules: DEFAULT_SCORING_RULES });
+}
+
+// ==========================================
+// PREVIEW
+// ==========================================
+
+/**
+ * How every lead would score under a set of rules, compared with its
+ * current score. Nothing is written.
+ */
+export async function previewRules(rules) {
+  const result = await query(`
+    SELECT id, first_name, last_name, email, phone, company, job_title, source, lead_type, status,
+      utm_source, utm_medium, utm_campaign, meeting_status, custom_fields, score, score_model_version
+    FROM leads
+  `);
+  const leads = result.rows;
+  const lastCalls = await getLatestCalls(leads.map(l => l.id));
+
+  const bands = () => ({ '0-39': 0, '40-59': 0, '60-79': 0, '80-100': 0 });
+  const band = (score) => (score >= 80 ? '80-100' : score >= 60 ? '60-79' : score >= 40 ? '40-59' : '0-39');
+  const summary = {
+    total: leads.length,
+    changed: 0,
+    raised: 0,
+    lowered: 0,
+    average_current: 0,
+    average_new: 0,
+    bands_current: bands(),
+    bands_new: bands()
+  };
+  const movers = [];
+
+  for (const lead of leads) {
+    const current = lead.score ?? 0;
+    const { score, reason } = evaluateRules(lead, rules, { lastCall: lastCalls.get(lead.id) });
+    const delta = score - current;
+
+    summary.average_current += current;
+    summary.average_new += score;
+    summary.bands_current[band(current)]++;
+    summary.bands_new[band(score)]++;
+    if (delta !== 0) {
+      summary.changed++;
+      if (delta > 0) summary.raised++;
+      else summary.lowered++;
+      movers.push({
+        id: lead.id,
+        name: [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.email,
+        current_score: current,
+        current_version: lead.score_model_version,
+        new_score: score,
+        delta,
+        reason
+      });
+    }
+  }
+
+  if (leads.length > 0) {
+    summary.average_current = Math.round(summary.average_current / leads.length);
+    summary.average_new = Math.round(summary.average_new / leads.length);
+  }
+  movers.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  return { summary, movers: movers.slice(0, PREVIEW_TOP_MOVERS) };
+}
+
+/**
+ * Fields for the rule editor: lead columns, last_call.* and the custom
+ * field keys present on leads
+ */
+export async function getScoringFields() {
+  const result = await query(`
+    SELECT DISTINCT jsonb_object_keys(custom_fields) as key
+    FROM leads
+    WHERE jsonb_typeof(custom_fields) = 'object'
+    ORDER BY key
+  `);
+  return [
+    ...LEAD_FIELDS,
+    ...CALL_FIELDS,
+    ...result.rows.map(row => `custom_fields.${row.key}`)
+  ];
+}
+
+export default {
+  RULE_OPERATORS,
+  ruleMatches,
+  evaluateRules,
+  getModels,
+  getModel,
+  getActiveModel,
+  publishModel,
+  activateModel,
+  seedDefaultScoringModel,
+  previewRules,
+  getScoringFields
+};
@@ -0,0 +1,146 @@
+/**
+ * Segment Service
+ *
+ * Saved lead segments: named filter definitions over Lead.getLeads options.
+ * Membership is evaluated when used, so a segment such as "hot leads from the
+ * last 7 days" (createdWithinDays) stays current. assignedTo: 'me' means the
+ * viewing user. Segments can target manual
+ * sends, newsletter sends and bulk sequence enrollment (resolveTargetLeadIds).
+ *
+ * Visibility: shared segments are visible to everyone, private ones only to
+ * their creator and admins. Only the creator or an admin can change or delete
+ * one.
+ */
+
+import { query } from '../database/connection.js';
+import Lead from '../models/Lead.js';
+
+const SEGMENT_FIELDS = ['name', 'description', 'filters', 'is_shared', 'pinned'];
+
+function canSee(segment, user) {
+  return segment.is_shared || segment.created_by === user?.email || user?.role === 'admin';
+}
+
+function canEdit(segment, user) {
+  return segment.created_by === user?.email || user?.role === 'admin';
+}
+
+// ==========================================
+// CRUD
+// ==========================================
+
+/**
+ * Segments visible to the user, each with a live lead count
+ */
+export async function getSegments(user, { pinnedOnly = false } = {}) {
+  const result = await query(
+    `SELECT * FROM lead_segments
+     WHERE (is_shared = true OR created_by = $1 OR $2)
+       ${pinnedOnly ? 'AND pinned = true' : ''}
+     ORDER BY pinned DESC, name`,
+    [user?.email || null, user?.role === 'admin']
+  );
+
+  return Promise.all(result.rows.map(async segment => ({
+    ...segment,
+    lead_count: await Lead.countLeads({ ...segment.filters, currentUserId: user?.id }),
+    can_edit: canEdit(segment, user)
+  })));
+}
+
+/**
+ * Get one segment (null if missing or not visible to the user)
+ */
+export async function getSegment(id, user) {
+  const result = await query('SELECT * FROM lead_segments WHERE id = $1', [id]);
+  const segment = result.rows[0];
+  if (!segment || !canSee(segment, user)) return null;
+
+  return {
+    ...segment,
+    lead_count: await Lead.countLeads({ ...segment.filters, currentUserId: user?.id }),
+    can_edit: canEdit(segment, user)
+  };
+}
+
+export async function createSegment(data, user) {
+  const result = await query(
+    `INSERT INTO lead_segments (name, description, filters, is_shared, pinned, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [data.name, data.description || null, JSON.stringify(data.filters || {}), data.is_shared !== false, Boolean(data.pinned), user?.email || null]
+  );
+  return getSegment(result.rows[0].id, user);
+}
+
+/**
+ * Update a segment. Throws 'Segment not found' / 'Not allowed'.
+ */
+export async function updateSegment(id, updates, user) {
+  const segment = await getSegment(id, user);
+  if (!segment) throw new Error('Segment not found');
+  if (!segment.can_edit) throw new Error('Not allowed');
+
+  const sets = [];
+  const params = [];
+  for (const field of SEGMENT_FIELDS) {
+    if (updates[field] === undefined) continue;
+    params.push(field === 'filters' ? JSON.stringify(updates[field]) : updates[field]);
+    sets.push(`${field} = $${params.length}`);
+  }
+  if (sets.length === 0) return segment;
+
+  params.push(id);
+  await query(
+    `UPDATE lead_segments SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+    params
+  );
+  return getSegment(id, user);
+}
+
+/**
+ * Delete a segment. Throws 'Segment not found' / 'Not allowed'.
+ */
+export async function deleteSegment(id, user) {
+  const segment = await getSegment(id, user);
+  if (!segment) throw new Error('Segment not found');
+  if (!segment.can_edit) throw new Error('Not allowed');
+
+  await query('DELETE FROM lead_segments WHERE id = $1', [id]);
+  return true;
+}
+
+// ==========================================
+// MEMBERSHIP
+// ==========================================
+
+/**
+ * A page of the segment's leads (same shape as Lead.getLeads)
+ */
+export async function getSegmentLeads(segment, { page = 1, limit = 50 } = {}, user = null) {
+  return Lead.getLeads({ ...segment.filters, currentUserId: user?.id, page, limit });
+}
+
+/**
+ * Lead IDs for a send/enrollment/bulk target: explicit leadIds, every lead
+ * matching ad-hoc filters, or every lead currently in the segment.
+ * Throws 'Segment not found'.
+ */
+export async function resolveTargetLeadIds({ leadIds, segmentId, filters }, user) {
+  if (filters) return Lead.getLeadIds({ ...filters, currentUserId: user?.id });
+  if (!segmentId) return leadIds || [];
+
+  const segment = await getSegment(segmentId, user);
+  if (!segment) throw new Error('Segment not found');
+  return Lead.getLeadIds({ ...segment.filters, currentUserId: user?.id });
+}
+
+export default {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  getSegmentLeads,
+  resolveTargetLeadIds
+};
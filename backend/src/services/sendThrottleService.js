@@ -0,0 +1,258 @@
+/**
+ * Send Throttle Service
+ *
+ * Rate limits for outbound senders, so no email account or WhatsApp number
+ * sends more than its provider (or reputation) tolerates:
+ * - Every sender (email account address, WhatsApp instance name) has a
+ *   per-minute rate and a daily cap, counted over sliding windows from the
+ *   sender_sends ledger. Channel defaults apply unless the sender has its own.
+ * - A warm-up ramps a new sender's daily cap up from startPerDay by
+ *   increasePerDay each day since startedOn until it reaches perDay.
+ * - A send first reserves a slot (acquireSendSlot). Reservations are
+ *   serialized per sender with an advisory lock, so concurrent workers can't
+ *   overshoot; a send that fails gives its slot back.
+ * Limits live in system_settings send_throttle_policy (none by default).
+ * processMessageQueue only takes as many due messages per channel as there
+ * is capacity for; the rest wait in the queue.
+ */
+
+import { query, transaction } from '../database/connection.js';
+
+const POLICY_KEY = 'send_throttle_policy';
+
+export const CHANNELS = ['email', 'whatsapp'];
+
+// null = no limit. Nothing is limited until limits are set: they count every
+// send through the sender, manual sends and chat replies included
+export const DEFAULT_THROTTLE_POLICY = {
+  email: { perMinute: null, perDay: null, senders: {} },
+  whatsapp: { perMinute: null, perDay: null, senders: {} }
+};
+
+const MINUTE_SECONDS = 60;
+const DAY_SECONDS = 24 * 60 * 60;
+const LOG_RETENTION_DAYS = 2;
+
+// ==========================================
+// POLICY
+// ==========================================
+
+/**
+ * { email: { perMinute, perDay, senders: { [sender]: limits } }, whatsapp: ... }
+ * with defaults for anything not saved
+ */
+export async function getThrottlePolicy() {
+  const result = await query('SELECT value FROM system_settings WHERE key = $1', [POLICY_KEY]);
+  let stored = {};
+  try {
+    stored = result.rows[0]?.value ? JSON.parse(result.rows[0].value) : {};
+  } catch (error) {
+    console.error('Invalid send throttle policy in system_settings, using defaults:', error.message);
+  }
+
+  return Object.fromEntries(CHANNELS.map(channel => [
+    channel,
+    { ...DEFAULT_THROTTLE_POLICY[channel], ...stored[channel] }
+  ]));
+}
+
+/**
+ * Change limits: { email?: { perMinute?, perDay?, senders? }, whatsapp?: ... }.
+ * Omitted fields are left as they are; senders replaces the per-sender list.
+ */
+export async function setThrottlePolicy(policy) {
+  const current = await getThrottlePolicy();
+  const next = Object.fromEntries(CHANNELS.map(channel => [channel, { ...current[channel], ...policy[channel] }]));
+
+  await query(`
+    INSERT INTO system_settings (key, value, description, updated_at)
+    VALUES ($1, $2, 'Per-minute / daily send limits and warm-ups per sender account', NOW())
+    ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()
+  `, [POLICY_KEY, JSON.stringify(next)]);
+  return getThrottlePolicy();
+}
+
+/**
+ * Effective limits of one sender: { perMinute, perDay, dailyCap, warmupDay }.
+ * dailyCap is perDay lowered by a warm-up still in progress (warmupDay is
+ * then the day of the ramp, counting from 0).
+ */
+export function senderLimits(policy, channel, sender, now = new Date()) {
+  const channelPolicy = policy[channel] || DEFAULT_THROTTLE_POLICY[channel];
+  const own = channelPolicy.senders?.[sender] || {};
+  const perMinute = own.perMinute !== undefined ? own.perMinute : channelPolicy.perMinute;
+  const perDay = own.perDay !== undefined ? own.perDay : channelPolicy.perDay;
+
+  let dailyCap = perDay;
+  let warmupDay = null;
+  const warmup = own.warmup;
+  if (warmup?.startedOn) {
+    const day = Math.max(0, Math.floor((now.getTime() - Date.parse(warmup.startedOn)) / (DAY_SECONDS * 1000)));
+    const ramp = (warmup.startPerDay || 0) + day * (warmup.increasePerDay || 0);
+    if (perDay === null || ramp < perDay) {
+      dailyCap = ramp;
+      warmupDay = day;
+    }
+  }
+
+  return { perMinute, perDay, dailyCap, warmupDay };
+}
+
+// Sends still allowed now (Infinity when unlimited)
+function availableSlots(limits, usage) {
+  const minuteLeft = limits.perMinute === null ? Infinity : limits.perMinute - usage.last_minute;
+  const dayLeft = limits.dailyCap === null ? Infinity : limits.dailyCap - usage.last_day;
+  return Math.max(0, Math.min(minuteLeft, dayLeft));
+}
+
+// ==========================================
+// SLOTS
+// ==========================================
+
+/**
+ * Error for a send held back by the limits. The queue puts the message back
+ * until retryAt instead of counting it as a failed attempt.
+ */
+export function throttledError(message, retryAt) {
+  const error = new Error(message);
+  error.throttled = true;
+  error.retryAt = retryAt ? new Date(retryAt) : new Date(Date.now() + MINUTE_SECONDS * 1000);
+  return error;
+}
+
+async function countUsage(client, channel, sender) {
+  const result = await client.query(`
+    SELECT COUNT(*) FILTER (WHERE sent_at > NOW() - INTERVAL '1 minute')::int as last_minute,
+           COUNT(*)::int as last_day
+    FROM sender_sends
+    WHERE channel = $1 AND sender = $2 AND sent_at > NOW() - INTERVAL '1 day'
+  `, [channel, sender]);
+  return result.rows[0];
+}
+
+// When the sends that put the sender over a limit leave its window
+async function nextFreeSlot(client, channel, sender, limits, usage) {
+  const windows = [];
+  if (limits.perMinute !== null && usage.last_minute >= limits.perMinute) {
+    windows.push([MINUTE_SECONDS, usage.last_minute - limits.perMinute]);
+  }
+  if (limits.dailyCap !== null && usage.last_day >= limits.dailyCap) {
+    windows.push([DAY_SECONDS, usage.last_day - limits.dailyCap]);
+  }
+
+  let retryAt = new Date();
+  for (const [seconds, offset] of windows) {
+    const result = await client.query(`
+      SELECT sent_at + make_interval(secs => $3::int) as free_at
+      FROM sender_sends
+      WHERE channel = $1 AND sender = $2 AND sent_at > NOW() - make_interval(secs => $3::int)
+      ORDER BY sent_at
+      OFFSET $4 LIMIT 1
+    `, [channel, sender, seconds, offset]);
+    // A limit of 0 has no sends to wait for - check again after a full window
+    const freeAt = result.rows[0]?.free_at || new Date(Date.now() + seconds * 1000);
+    if (freeAt > retryAt) retryAt = new Date(freeAt);
+  }
+  return retryAt;
+}
+
+/**
+ * Reserve a send for a sender. Returns { acquired: true, slotId } or
+ * { acquired: false, retryAt } when it is at a limit.
+ */
+export async function acquireSendSlot(channel, sender) {
+  const limits = senderLimits(await getThrottlePolicy(), channel, sender);
+
+  return transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${channel}:${sender}`]);
+    const usage = await countUsage(client, channel, sender);
+
+    if (availableSlots(limits, usage) <= 0) {
+      return { acquired: false, retryAt: await nextFreeSlot(client, channel, sender, limits, usage) };
+    }
+
+    const result = await client.query(
+      'INSERT INTO sender_sends (channel, sender) VALUES ($1, $2) RETURNING id',
+      [channel, sender]
+    );
+    return { acquired: true, slotId: result.rows[0].id };
+  });
+}
+
+/**
+ * Give back a slot whose send failed
+ */
+export async function releaseSendSlot(slotId) {
+  if (!slotId) return;
+  await query('DELETE FROM sender_sends WHERE id = $1', [slotId]);
+}
+
+// ==========================================
+// USAGE
+// ==========================================
+
+/**
+ * Usage of each sender against its limits:
+ * [{ sender, lastMinute, lastDay, perMinute, perDay, dailyCap, warmupDay, available }]
+ */
+export async function getSenderUsage(channel, senders) {
+  if (senders.length === 0) return [];
+
+  const [policy, result] = await Promise.all([
+    getThrottlePolicy(),
+    query(`
+      SELECT sender,
+             COUNT(*) FILTER (WHERE sent_at > NOW() - INTERVAL '1 minute')::int as last_minute,
+             COUNT(*)::int as last_day
+      FROM sender_sends
+      WHERE channel = $1 AND sender = ANY($2) AND sent_at > NOW() - INTERVAL '1 day'
+      GROUP BY sender
+    `, [channel, senders])
+  ]);
+  const counts = new Map(result.rows.map(row => [row.sender, row]));
+
+  return senders.map(sender => {
+    const usage = counts.get(sender) || { last_minute: 0, last_day: 0 };
+    const limits = senderLimits(policy, channel, sender);
+    const available = availableSlots(limits, usage);
+    return {
+      sender,
+      lastMinute: usage.last_minute,
+      lastDay: usage.last_day,
+      ...limits,
+      available: available === Infinity ? null : available
+    };
+  });
+}
+
+/**
+ * How many more messages the channel's senders can take right now
+ * (Infinity when unlimited or no senders are known)
+ */
+export async function getSendCapacity(channel, senders) {
+  if (senders.length === 0) return Infinity;
+  const usage = await getSenderUsage(channel, senders);
+  return usage.reduce((sum, row) => sum + (row.available === null ? Infinity : row.available), 0);
+}
+
+/**
+ * Drop ledger rows no window looks at anymore
+ */
+export async function pruneSendLog() {
+  const result = await query(
+    'DELETE FROM sender_sends WHERE sent_at < NOW() - make_interval(days => $1::int)',
+    [LOG_RETENTION_DAYS]
+  );
+  return result.rowCount;
+}
+
+export default {
+  getThrottlePolicy,
+  setThrottlePolicy,
+  senderLimits,
+  acquireSendSlot,
+  releaseSendSlot,
+  getSenderUsage,
+  getSendCapacity,
+  pruneSendLog
+};
@@ -0,0 +1,165 @@
+/**
+ * Send Window Service
+ *
+ * Sequence messages only go out inside a sending window in the lead's local
+ * time, e.g. 09:00-18:00 Sun-Thu for GCC leads:
+ * - A window is { days: [0..6], start: 'HH:MM', end: 'HH:MM' } (0 = Sunday),
+ *   the same shape and rules as a rep's working hours. It is set per
+ *   sequence and can be overridden per step; no window = any time.
+ * - The lead's timezone is the one they booked a Cal.com meeting in
+ *   (custom_fields.booking_timezone), else the main timezone of their phone
+ *   number's country, else DEFAULT_LEAD_TIMEZONE.
+ * - A message that comes due in quiet hours is deferred to the next opening
+ *   of the window instead of being sent (see processMessageQueue). Meeting
+ *   reminders are exempt - their timing follows the meeting the lead booked.
+ */
+
+import { countryFromPhone } from './leadEnrichment.js';
+import { isWithinWorkingHours } from './leadRoutingService.js';
+
+const DEFAULT_LEAD_TIMEZONE = process.env.DEFAULT_LEAD_TIMEZONE || 'Asia/Dubai';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// ISO country -> its main timezone (countries spanning several use the most populous)
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai', SA: 'Asia/Riyadh', QA: 'Asia/Qatar', OM: 'Asia/Muscat', BH: 'Asia/Bahrain', KW: 'Asia/Kuwait',
+  JO: 'Asia/Amman', LB: 'Asia/Beirut', IQ: 'Asia/Baghdad', SY: 'Asia/Damascus', YE: 'Asia/Aden', PS: 'Asia/Gaza',
+  EG: 'Africa/Cairo', MA: 'Africa/Casablanca', DZ: 'Africa/Algiers', TN: 'Africa/Tunis', LY: 'Africa/Tripoli', SD: 'Africa/Khartoum',
+  TR: 'Europe/Istanbul', IR: 'Asia/Tehran', IN: 'Asia/Kolkata', PK: 'Asia/Karachi', BD: 'Asia/Dhaka', LK: 'Asia/Colombo',
+  NP: 'Asia/Kathmandu', AF: 'Asia/Kabul',
+  PH: 'Asia/Manila', MY: 'Asia/Kuala_Lumpur', SG: 'Asia/Singapore', ID: 'Asia/Jakarta', TH: 'Asia/Bangkok',
+  VN: 'Asia/Ho_Chi_Minh', CN: 'Asia/Shanghai', HK: 'Asia/Hong_Kong', JP: 'Asia/Tokyo', KR: 'Asia/Seoul',
+  GB: 'Europe/London', IE: 'Europe/Dublin', DE: 'Europe/Berlin', FR: 'Europe/Paris', IT: 'Europe/Rome', ES: 'Europe/Madrid',
+  NL: 'Europe/Amsterdam', BE: 'Europe/Brussels', CH: 'Europe/Zurich', SE: 'Europe/Stockholm', NO: 'Europe/Oslo',
+  DK: 'Europe/Copenhagen', PL: 'Europe/Warsaw', RU: 'Europe/Moscow', UA: 'Europe/Kyiv',
+  US: 'America/New_York', MX: 'America/Mexico_City', BR: 'America/Sao_Paulo', AR: 'America/Argentina/Buenos_Aires',
+  ZA: 'Africa/Johannesburg', NG: 'Africa/Lagos', KE: 'Africa/Nairobi', ET: 'Africa/Addis_Ababa', GH: 'Africa/Accra',
+  AU: 'Australia/Sydney', NZ: 'Pacific/Auckland'
+};
+
+// ==========================================
+// LEAD TIMEZONE
+// ==========================================
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Where the lead's local time comes from: { timezone, source } with source
+ * booking (Cal.com), phone (country code) or default
+ */
+export function resolveLeadTimezone(lead) {
+  const booked = lead?.custom_fields?.booking_timezone;
+  if (isValidTimezone(booked)) {
+    return { timezone: booked, source: 'booking' };
+  }
+
+  const fromPhone = COUNTRY_TIMEZONES[countryFromPhone(lead?.phone)];
+  if (isValidTimezone(fromPhone)) {
+    return { timezone: fromPhone, source: 'phone' };
+  }
+
+  return { timezone: DEFAULT_LEAD_TIMEZONE, source: 'default' };
+}
+
+/**
+ * The lead's timezone (lead needs custom_fields and phone)
+ */
+export function getLeadTimezone(lead) {
+  return resolveLeadTimezone(lead).timezone;
+}
+
+// ==========================================
+// WINDOWS
+// ==========================================
+
+function hasWindow(window) {
+  return Boolean(window && window.start && window.end && window.start !== window.end);
+}
+
+function toMinutes(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// Minutes since local midnight at `date` in `timezone`
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type)?.value;
+  return parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10);
+}
+
+/**
+ * Is `date` inside the window in `timezone`? No window = always.
+ */
+export function isWithinSendWindow(window, timezone, date = new Date()) {
+  if (!hasWindow(window)) return true;
+  return isWithinWorkingHours({ working_hours: window, timezone }, date);
+}
+
+/**
+ * Earliest time at or after `from` that is inside the window: `from` itself
+ * when already inside, else the next opening (window.start on an allowed day).
+ */
+export function nextSendTime(window, timezone, from = new Date()) {
+  const start = new Date(from);
+  if (!hasWindow(window) || !isValidTimezone(timezone) || isWithinSendWindow(window, timezone, start)) {
+    return start;
+  }
+
+  const opening = toMinutes(window.start);
+
+  // Today's opening, or tomorrow's if it has passed, then day by day
+  let candidate = new Date(start.getTime() + (opening - localMinutes(start, timezone)) * MINUTE_MS);
+  candidate.setUTCSeconds(0, 0);
+  if (candidate <= start) candidate = new Date(candidate.getTime() + DAY_MS);
+
+  for (let day = 0; day < 8; day++) {
+    // Daylight saving changes move the wall clock - line it back up with the opening
+    const drift = ((opening - localMinutes(candidate, timezone) + 720) % 1440 + 1440) % 1440 - 720;
+    const aligned = new Date(candidate.getTime() + drift * MINUTE_MS);
+    if (aligned > start && isWithinSendWindow(window, timezone, aligned)) return aligned;
+    candidate = new Date(candidate.getTime() + DAY_MS);
+  }
+
+  // Window never opens (shouldn't happen with a validated window) - don't hold the message forever
+  return start;
+}
+
+/**
+ * When a due queued message should go out instead of now, or null to send it
+ * now. msg is a message_queue row as read by processMessageQueue: the step's
+ * delay_value, send_window (step's, else sequence's) and the lead's phone and
+ * custom_fields. Returns { sendAt, timezone }.
+ */
+export function deferForSendWindow(msg, now = new Date()) {
+  // Meeting reminders are timed against the meeting, not the lead's day
+  if (msg.delay_value < 0 || !hasWindow(msg.send_window)) return null;
+
+  const timezone = getLeadTimezone(msg);
+  const sendAt = nextSendTime(msg.send_window, timezone, now);
+  return sendAt > now ? { sendAt, timezone } : null;
+}
+
+export default {
+  isValidTimezone,
+  resolveLeadTimezone,
+  getLeadTimezone,
+  isWithinSendWindow,
+  nextSendTime,
+  deferForSendWindow
+};
@@ -11,18 +11,17 @@
  * - Handle sequence transitions (new_lead -> booked -> no_show)
  */
 
-import { query } from '../database/connection.js';
-import { sendEmail } from './emailService.js';
-import { sendWhatsApp } from './whatsappService.js';
-import { 
-  VALUE_EMAILS, 
-  CLOSING_EMAILS,
-  CALENDAR_LINK, 
-  EBOOK_LINK,
-  OPERATIONAL_EMAILS,
-  WHATSAPP_MESSAGES,
-  EBOOK_EMAILS
-} from '../data/emailTemplates.js';
+import { query, transaction } from '../database/connection.js';
+import { sendEmail, getEmailSenders } from './emailService.js';
+import { sendWhatsApp, getWhatsAppSenders } from './whatsappService.js';
+import { recordSkippedSend } from './suppressionService.js';
+import { pickVariantForLead, maybePromoteWinner } from './stepVariantService.js';
+import { CALENDAR_LINK, EBOOK_LINK } from '../data/emailTemplates.js';
+import { createAutoTask } from './taskService.js';
+import { runJobNow } from './jobQueueService.js';
+import { providerError, recordDeliveryFailure } from './messageRetryService.js';
+import { deferForSendWindow, resolveLeadTimezone } from './sendWindowService.js';
+import { getSendCapacity, throttledError } from './sendThrottleService.js';
 
 /**
  * EBOOK INJECTION FOR FIRST EMAILS
@@ -58,150 +57,72 @@ function ensureEbookInBody(body) {
 }
 
 /**
- * Get email content for a specific step based on step name and order
- * Returns { subject, body, whatsapp } or null if no match
- * 
- * CRITICAL: Step 1 emails ALWAYS include the ebook (ensured automatically)
+ * Resolve the email/WhatsApp content a step is configured with
+ * - email_template_id: that template
+ * - content_pool: next template from that category the lead hasn't received
+ * - otherwise: the step's inline email_subject / email_body
+ * An active A/B variant then overrides the parts it defines.
+ * Returns { subject, body, whatsapp, templateSlug, valueEmailId, variant }
  */
-function getTemplateForStep(stepName, stepOrder, sequenceSlug) {
-  const name = stepName.toLowerCase();
-  const isFirstStep = stepOrder === 1;
-  
-  // Welcome / Calendar step (step 1)
-  if (name.includes('welcome') || name.includes('calendar')) {
-    return {
-      subject: OPERATIONAL_EMAILS.welcome_calendar.subject,
-      body: isFirstStep ? ensureEbookInBody(OPERATIONAL_EMAILS.welcome_calendar.body) : OPERATIONAL_EMAILS.welcome_calendar.body,
-      whatsapp: WHATSAPP_MESSAGES.welcome
-    };
-  }
-  
-  // Meeting confirmation
-  if (name.includes('confirmation')) {
-    return {
-      subject: OPERATIONAL_EMAILS.meeting_confirmation.subject,
-      body: OPERATIONAL_EMAILS.meeting_confirmation.body,
-      whatsapp: WHATSAPP_MESSAGES.meeting_confirmation
-    };
-  }
-  
-  // Reminder emails
-  if (name.includes('24hr reminder') || name.includes('24 hour')) {
-    return {
-      subject: 'Reminder: Your automation consultation is tomorrow',
-      body: `Hi {{first_name}},
-
-Just a quick reminder that your 45-minute automation consultation with STRUCTURE is scheduled for tomorrow.
-
-Please make sure you have a quiet space with stable internet. We will be diving into your logistics operations in detail.
-
-If you need to reschedule, please use the link in your calendar invite.
-
-Looking forward to speaking with you.
-
-Best regards,
-STRUCTURE Team`,
-      whatsapp: WHATSAPP_MESSAGES.reminder_24hr
-    };
-  }
-  
-  if (name.includes('6hr reminder') || name.includes('6 hour')) {
-    return {
-      subject: 'Your consultation is in 6 hours',
-      body: `Hi {{first_name}},
-
-Your automation consultation with STRUCTURE is coming up in about 6 hours.
-
-Make sure you have the meeting link ready and a quiet space to talk.
-
-See you soon.
-
-Best regards,
-STRUCTURE Team`,
-      whatsapp: WHATSAPP_MESSAGES.reminder_24hr
-    };
-  }
-  
-  if (name.includes('1hr reminder') || name.includes('1 hour')) {
-    return {
-      subject: 'Starting in 1 hour',
-      body: `Hi {{first_name}},
-
-Your automation consultation with STRUCTURE starts in about an hour.
-
-Make sure you're ready and have your meeting link handy.
-
-See you shortly.
-
-Best regards,
-STRUCTURE Team`,
-      whatsapp: WHATSAPP_MESSAGES.reminder_1hr
-    };
-  }
-  
-  // No-show / Rebooking
-  if (name.includes('no show') || name.includes('no-show') || name.includes('rebook')) {
-    return {
-      subject: OPERATIONAL_EMAILS.no_show_rebook.subject,
-      body: OPERATIONAL_EMAILS.no_show_rebook.body,
-      whatsapp: WHATSAPP_MESSAGES.no_show
-    };
-  }
-  
-  // Schedule Meeting CTA (step 6 of new_lead)
-  if (name.includes('schedule meeting') || name.includes('cta')) {
-    return {
-      subject: 'Have you had a chance to schedule your consultation?',
-      body: `Hi {{first_name}},
-
-Following up on your automation interest.
-
-We haven't seen a consultation scheduled yet. If automation is still something you're actively exploring, the next step is a 45-minute session where we review your workflows and assess fit.
-
-No pressure either way.
-
-If you'd like to move forward, you can book a time <b><a href="${CALENDAR_LINK}">here</a></b>.
-
-Best regards,
-STRUCTURE Team`
-    };
-  }
+async function resolveStepContent(step, leadId, { includeEmail = true, stepId = step.id } = {}) {
+  let subject = step.email_subject;
+  let body = step.email_body;
+  let whatsapp = step.whatsapp_message;
+  let templateSlug = null;
+  let valueEmailId = null;
   
-  // ===== EBOOK SEQUENCE TEMPLATES =====
+  // A/B variant overrides whatever parts it defines
+  const variant = await pickVariantForLead(stepId, leadId);
   
-  // Ebook Delivery (immediate - step 1) - includes WhatsApp
-  if (name.includes('ebook delivery')) {
-    return {
-      subject: EBOOK_EMAILS.ebook_delivery.subject,
-      body: EBOOK_EMAILS.ebook_delivery.body, // Already has ebook link
-      whatsapp: EBOOK_EMAILS.ebook_whatsapp
-    };
+  if (includeEmail) {
+    if (step.email_template_id) {
+      const template = await query(
+        'SELECT slug, subject, body FROM email_templates WHERE id = $1',
+        [step.email_template_id]
+      );
+      if (template.rows[0]) {
+        ({ subject, body } = template.rows[0]);
+        templateSlug = template.rows[0].slug;
+      }
+    } else if (step.content_pool) {
+      const poolEmail = await getNextPoolTemplateForLead(leadId, step.content_pool);
+      if (poolEmail) {
+        subject = poolEmail.subject;
+        body = poolEmail.body;
+        templateSlug = poolEmail.slug;
+        valueEmailId = poolEmail.slug;
+      }
+    }
+    
+    if (variant) {
+      subject = variant.email_subject || subject;
+      body = variant.email_body || body;
+    }
+    
+    // Playbook paragraph, if this step is configured to carry it
+    if (step.include_ebook && body) {
+      body = ensureEbookInBody(body);
+    }
   }
   
-  // Ebook Follow-up (6 hours - step 2)
-  if (name.includes('ebook follow')) {
-    return {
-      subject: EBOOK_EMAILS.ebook_followup.subject,
-      body: EBOOK_EMAILS.ebook_followup.body
-    };
+  if (variant?.whatsapp_message) {
+    whatsapp = variant.whatsapp_message;
   }
   
-  // Ebook value emails (steps 3+) will fall through to use VALUE_EMAILS
-  // No match - return null (will fall back to value email)
-  // BUT if it's step 1, we'll add ebook in processMessage
-  return null;
+  return { subject, body, whatsapp, templateSlug, valueEmailId, variant };
 }
 
 /**
- * Process email body before sending - ensures ebook is in step 1
- * Called from processMessage and manualSendStep
+ * sent_messages.metadata for resolved step content (value email + A/B variant)
  */
-function processEmailBodyForStep(body, stepOrder) {
-  // CRITICAL: Always include ebook in step 1 emails
-  if (stepOrder === 1) {
-    return ensureEbookInBody(body);
+function buildSendMetadata(resolved, extra = {}) {
+  const metadata = { ...extra };
+  if (resolved.valueEmailId) metadata.value_email_id = resolved.valueEmailId;
+  if (resolved.variant) {
+    metadata.variant_id = resolved.variant.id;
+    metadata.variant = resolved.variant.name;
   }
-  return body;
+  return Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null;
 }
 
 /**
@@ -217,11 +138,11 @@ function delayToMs(value, unit) {
 }
 
 /**
- * Get next unsent value email for a lead
+ * Get next unsent template from a pool (category) for a lead
  * This ensures we never send the same value email twice to the same lead
  */
-async function getNextValueEmailForLead(leadId) {
-  // Get all value email IDs that have been sent to this lead
+async function getNextPoolTemplateForLead(leadId, pool) {
+  // Get all pool template slugs that have been sent to this lead
   const sentResult = await query(`
     SELECT DISTINCT metadata->>'value_email_id' as email_id
     FROM sent_messages
@@ -231,13 +152,21 @@ async function getNextValueEmailForLead(leadId) {
   
   const sentEmailIds = new Set(sentResult.rows.map(r => r.email_id));
   
-  // Find value emails not yet sent
-  const availableEmails = VALUE_EMAILS.filter(e => !sentEmailIds.has(e.id));
+  const poolResult = await query(`
+    SELECT slug, subject, body FROM email_templates
+    WHERE category = $1 AND is_active = true
+  `, [pool]);
+  const poolEmails = poolResult.rows;
+  
+  if (poolEmails.length === 0) return null;
+  
+  // Find pool emails not yet sent
+  const availableEmails = poolEmails.filter(e => !sentEmailIds.has(e.slug));
   
   if (availableEmails.length === 0) {
     // All emails sent - pick random from full list (cycle)
-    const randomIndex = Math.floor(Math.random() * VALUE_EMAILS.length);
-    return VALUE_EMAILS[randomIndex];
+    const randomIndex = Math.floor(Math.random() * poolEmails.length);
+    return poolEmails[randomIndex];
   }
   
   // Randomize from available emails
@@ -306,31 +235,322 @@ export async function getSequenceBySlug(slug) {
  */
 export async function getSequenceSteps(sequenceId) {
   const result = await query(`
-    SELECT * FROM sequence_steps 
-    WHERE sequence_id = $1 
-    ORDER BY step_order
+    SELECT ss.*, et.name as template_name, et.slug as template_slug
+    FROM sequence_steps ss
+    LEFT JOIN email_templates et ON ss.email_template_id = et.id
+    WHERE ss.sequence_id = $1 
+    ORDER BY ss.step_order
   `, [sequenceId]);
   return result.rows;
 }
 
 /**
- * Update sequence step content
+ * Get sequence by ID
+ */
+export async function getSequenceById(id) {
+  const result = await query('SELECT * FROM sequences WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+// JSONB columns are stored stringified; null clears them
+function columnValue(field, value) {
+  return field === 'send_window' && value ? JSON.stringify(value) : value;
+}
+
+/**
+ * Create a sequence (steps are added separately)
+ */
+export async function createSequence({ name, slug, description = null, trigger_type = 'manual', is_active = true, send_window = null }) {
+  const result = await query(`
+    INSERT INTO sequences (name, slug, description, trigger_type, is_active, send_window)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [name, slug, description, trigger_type, is_active, columnValue('send_window', send_window)]);
+  return result.rows[0];
+}
+
+/**
+ * Update sequence details / activate / deactivate
+ * Inactive sequences take no new enrollments; existing ones keep running
+ */
+export async function updateSequence(id, updates) {
+  const allowedFields = ['name', 'description', 'trigger_type', 'is_active', 'send_window'];
+  
+  const setClauses = [];
+  const params = [];
+  let paramIndex = 1;
+  
+  for (const [key, value] of Object.entries(updates)) {
+    if (allowedFields.includes(key) && value !== undefined) {
+      setClauses.push(`${key} = $${paramIndex}`);
+      params.push(columnValue(key, value));
+      paramIndex++;
+    }
+  }
+  
+  if (setClauses.length === 0) {
+    return getSequenceById(id);
+  }
+  
+  setClauses.push('updated_at = NOW()');
+  params.push(id);
+  
+  const result = await query(`
+    UPDATE sequences SET ${setClauses.join(', ')}
+    WHERE id = $${paramIndex}
+    RETURNING *
+  `, params);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a sequence
+ * Refused while it has enrollments (deleting would wipe their history) - deactivate instead
+ */
+export async function deleteSequence(id) {
+  const enrollments = await query('SELECT COUNT(*) as count FROM lead_sequences WHERE sequence_id = $1', [id]);
+  if (parseInt(enrollments.rows[0].count) > 0) {
+    throw new Error('Sequence has enrollments - deactivate it instead');
+  }
+  
+  const result = await query('DELETE FROM sequences WHERE id = $1 RETURNING id', [id]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Clone a sequence with all of its steps
+ * The copy starts inactive so it can be edited before leads are enrolled
+ */
+export async function cloneSequence(id, { name, slug } = {}) {
+  const source = await getSequenceById(id);
+  if (!source) return null;
+  
+  return transaction(async (client) => {
+    let cloneSlug = slug || `${source.slug}_copy`;
+    if (!slug) {
+      // Find a free slug: x_copy, x_copy_2, ...
+      const taken = await client.query('SELECT slug FROM sequences WHERE slug LIKE $1', [`${cloneSlug}%`]);
+      const slugs = new Set(taken.rows.map(r => r.slug));
+      for (let n = 2; slugs.has(cloneSlug); n++) {
+        cloneSlug = `${source.slug}_copy_${n}`;
+      }
+    }
+    
+    const result = await client.query(`
+      INSERT INTO sequences (name, slug, description, trigger_type, is_active, send_window)
+      VALUES ($1, $2, $3, $4, false, $5)
+      RETURNING *
+    `, [name || `${source.name} (Copy)`, cloneSlug, source.description, source.trigger_type, columnValue('send_window', source.send_window)]);
+    const clone = result.rows[0];
+    
+    await client.query(`
+      INSERT INTO sequence_steps (
+        sequence_id, step_order, name, delay_value, delay_unit, channel,
+        email_subject, email_body, email_template_id, content_pool, include_ebook,
+        whatsapp_message, whatsapp_template_id, skip_if_booked, skip_if_replied, is_active,
+        ab_auto_promote, ab_min_sample, ab_metric, send_window
+      )
+      SELECT $1, step_order, name, delay_value, delay_unit, channel,
+             email_subject, email_body, email_template_id, content_pool, include_ebook,
+             whatsapp_message, whatsapp_template_id, skip_if_booked, skip_if_replied, is_active,
+             ab_auto_promote, ab_min_sample, ab_metric, send_window
+      FROM sequence_steps WHERE sequence_id = $2
+    `, [clone.id, id]);
+    
+    // A/B variants follow their step (matched by position)
+    await client.query(`
+      INSERT INTO sequence_step_variants (step_id, name, email_subject, email_body, whatsapp_message, weight, is_active)
+      SELECT dst.id, v.name, v.email_subject, v.email_body, v.whatsapp_message, v.weight, v.is_active
+      FROM sequence_step_variants v
+      JOIN sequence_steps src ON v.step_id = src.id AND src.sequence_id = $2
+      JOIN sequence_steps dst ON dst.sequence_id = $1 AND dst.step_order = src.step_order
+      ORDER BY v.created_at, v.id
+    `, [clone.id, id]);
+    
+    return clone;
+  });
+}
+
+// ==========================================
+// STEP MANAGEMENT
+// ==========================================
+
+const STEP_FIELDS = [
+  'name', 'delay_value', 'delay_unit', 'channel',
+  'email_subject', 'email_body', 'email_template_id', 'content_pool', 'include_ebook',
+  'whatsapp_message', 'skip_if_booked', 'skip_if_replied', 'is_active',
+  'ab_auto_promote', 'ab_min_sample', 'ab_metric', 'send_window'
+];
+
+// Changing these affects what is queued for enrolled leads
+const SCHEDULING_FIELDS = ['delay_value', 'delay_unit', 'channel', 'is_active'];
+
+/**
+ * Renumber a sequence's steps to match orderedIds (1..n)
+ * lead_sequences.current_step stores a step_order, so enrollments are
+ * remapped to the new position of the step they were on.
+ */
+async function applyStepOrder(client, sequenceId, orderedIds) {
+  const current = await client.query(
+    'SELECT id, step_order FROM sequence_steps WHERE sequence_id = $1',
+    [sequenceId]
+  );
+  
+  const oldOrders = [];
+  const newOrders = [];
+  for (const row of current.rows) {
+    oldOrders.push(row.step_order);
+    newOrders.push(orderedIds.indexOf(row.id) + 1);
+  }
+  
+  // Move out of the way first - (sequence_id, step_order) is unique
+  await client.query('UPDATE sequence_steps SET step_order = -step_order WHERE sequence_id = $1', [sequenceId]);
+  for (let i = 0; i < orderedIds.length; i++) {
+    await client.query(
+      'UPDATE sequence_steps SET step_order = $1, updated_at = NOW() WHERE id = $2',
+      [i + 1, orderedIds[i]]
+    );
+  }
+  
+  await client.query(`
+    UPDATE lead_sequences ls
+    SET current_step = m.new_order, updated_at = NOW()
+    FROM (SELECT unnest($2::int[]) as old_order, unnest($3::int[]) as new_order) m
+    WHERE ls.sequence_id = $1 AND ls.current_step = m.old_order
+  `, [sequenceId, oldOrders, newOrders]);
+}
+
+/**
+ * Add a step to a sequence
+ * step_order is the 1-based position to insert at (default: end); later steps shift down.
+ * Active enrollments get the new step queued if it still falls in the future.
+ */
+export async function addSequenceStep(sequenceId, stepData) {
+  const { step_order: position, ...fields } = stepData;
+  const columns = STEP_FIELDS.filter(f => fields[f] !== undefined);
+  
+  const step = await transaction(async (client) => {
+    const existing = await client.query(
+      'SELECT id FROM sequence_steps WHERE sequence_id = $1 ORDER BY step_order',
+      [sequenceId]
+    );
+    const ids = existing.rows.map(r => r.id);
+    
+    // Insert at the end, then move into position
+    const values = columns.map(c => columnValue(c, fields[c]));
+    const result = await client.query(`
+      INSERT INTO sequence_steps (sequence_id, step_order, ${columns.join(', ')})
+      VALUES ($1, $2, ${columns.map((_, i) => `$${i + 3}`).join(', ')})
+      RETURNING id
+    `, [sequenceId, ids.length + 1, ...values]);
+    const newId = result.rows[0].id;
+    
+    const index = position ? Math.min(Math.max(position, 1), ids.length + 1) - 1 : ids.length;
+    if (index < ids.length) {
+      ids.splice(index, 0, newId);
+      await applyStepOrder(client, sequenceId, ids);
+    }
+    
+    const created = await client.query('SELECT * FROM sequence_steps WHERE id = $1', [newId]);
+    return created.rows[0];
+  });
+  
+  await scheduleStepForActiveEnrollments(step);
+  return step;
+}
+
+/**
+ * Update a sequence step
+ * Content source is email_template_id, content_pool or the inline subject/body;
+ * pass null to clear a field. Timing/channel changes requeue pending messages.
  */
 export async function updateSequenceStep(stepId, updates) {
-  const { email_subject, email_body, whatsapp_message, is_active } = updates;
+  const setClauses = [];
+  const params = [];
+  let paramIndex = 1;
+  
+  for (const [key, value] of Object.entries(updates)) {
+    if (STEP_FIELDS.includes(key) && value !== undefined) {
+      setClauses.push(`${key} = $${paramIndex}`);
+      params.push(columnValue(key, value));
+      paramIndex++;
+    }
+  }
+  
+  if (setClauses.length === 0) {
+    const current = await query('SELECT * FROM sequence_steps WHERE id = $1', [stepId]);
+    return current.rows[0] || null;
+  }
+  
+  const before = await query('SELECT * FROM sequence_steps WHERE id = $1', [stepId]);
+  if (!before.rows[0]) return null;
+  
+  setClauses.push('updated_at = NOW()');
+  params.push(stepId);
   
   const result = await query(`
     UPDATE sequence_steps 
-    SET email_subject = COALESCE($1, email_subject),
-        email_body = COALESCE($2, email_body),
-        whatsapp_message = COALESCE($3, whatsapp_message),
-        is_active = COALESCE($4, is_active),
-        updated_at = NOW()
-    WHERE id = $5
+    SET ${setClauses.join(', ')}
+    WHERE id = $${paramIndex}
     RETURNING *
-  `, [email_subject, email_body, whatsapp_message, is_active, stepId]);
+  `, params);
+  const step = result.rows[0];
   
-  return result.rows[0];
+  if (SCHEDULING_FIELDS.some(f => step[f] !== before.rows[0][f])) {
+    await query(`DELETE FROM message_queue WHERE sequence_step_id = $1 AND status = 'pending'`, [stepId]);
+    await scheduleStepForActiveEnrollments(step);
+  }
+  
+  return step;
+}
+
+/**
+ * Delete a step and close the gap in step_order
+ * Pending messages for it are dropped (queue cascade); sent history is kept.
+ */
+export async function deleteSequenceStep(stepId) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      'DELETE FROM sequence_steps WHERE id = $1 RETURNING sequence_id, step_order',
+      [stepId]
+    );
+    const deleted = result.rows[0];
+    if (!deleted) return false;
+    
+    // Leads sitting on the deleted step move back to the step before it
+    await client.query(`
+      UPDATE lead_sequences
+      SET current_step = COALESCE((
+        SELECT MAX(step_order) FROM sequence_steps
+        WHERE sequence_id = $1 AND step_order < $2
+      ), 0)
+      WHERE sequence_id = $1 AND current_step = $2
+    `, [deleted.sequence_id, deleted.step_order]);
+    
+    const remaining = await client.query(
+      'SELECT id FROM sequence_steps WHERE sequence_id = $1 ORDER BY step_order',
+      [deleted.sequence_id]
+    );
+    await applyStepOrder(client, deleted.sequence_id, remaining.rows.map(r => r.id));
+    return true;
+  });
+}
+
+/**
+ * Reorder steps - stepIds must contain every step of the sequence exactly once
+ * Queued messages reference step IDs, so their send times are unaffected.
+ */
+export async function reorderSequenceSteps(sequenceId, stepIds) {
+  const existing = await query('SELECT id FROM sequence_steps WHERE sequence_id = $1', [sequenceId]);
+  const existingIds = existing.rows.map(r => r.id);
+  
+  if (stepIds.length !== existingIds.length || new Set(stepIds).size !== stepIds.length ||
+      !stepIds.every(id => existingIds.includes(id))) {
+    throw new Error('stepIds must list every step of the sequence exactly once');
+  }
+  
+  await transaction(client => applyStepOrder(client, sequenceId, stepIds));
+  return getSequenceSteps(sequenceId);
 }
 
 // ==========================================
@@ -342,7 +562,8 @@ export async function updateSequenceStep(stepId, updates) {
  * CRITICAL: Checks for existing enrollment first
  */
 export async function enrollLead(leadId, sequenceSlug, options = {}) {
-  const { meetingTime, enrolledBy = 'system' } = options;
+  // processNow: false leaves due messages to the caller/scheduler (bulk enrollment)
+  const { meetingTime, enrolledBy = 'system', processNow = true } = options;
   
   // Get sequence
   const sequence = await getSequenceBySlug(sequenceSlug);
@@ -350,6 +571,11 @@ export async function enrollLead(leadId, sequenceSlug, options = {}) {
     throw new Error(`Sequence not found: ${sequenceSlug}`);
   }
   
+  if (!sequence.is_active) {
+    console.log(`⏸️ Sequence ${sequenceSlug} is inactive - not enrolling lead ${leadId}`);
+    return null;
+  }
+  
   // Check if already enrolled in this sequence
   const existing = await query(
     'SELECT * FROM lead_sequences WHERE lead_id = $1 AND sequence_id = $2',
@@ -379,6 +605,7 @@ export async function enrollLead(leadId, sequenceSlug, options = {}) {
       paused_at = NULL,
       completed_at = NULL,
       cancelled_at = NULL,
+      replied_at = NULL,
       updated_at = NOW()
     RETURNING *
   `, [leadId, sequence.id, meetingTime, enrolledBy]);
@@ -391,17 +618,64 @@ export async function enrollLead(leadId, sequenceSlug, options = {}) {
   console.log(`✅ Lead ${leadId} enrolled in sequence ${sequenceSlug}`);
   
   // CRITICAL: Immediately process any messages due now (delay=0)
-  // Don't wait for scheduler - send welcome message RIGHT NOW
-  try {
-    const processed = await processMessageQueue();
-    console.log(`⚡ Immediately processed ${processed} messages after enrollment`);
-  } catch (processError) {
-    console.error('Failed to process immediate messages:', processError);
+  // Don't wait for the next scheduled run - send welcome message RIGHT NOW
+  if (processNow) {
+    try {
+      await triggerMessageQueue();
+    } catch (processError) {
+      console.error('Failed to process immediate messages:', processError);
+    }
   }
   
   return enrollment;
 }
 
+/**
+ * Enroll many leads in a sequence (e.g. every lead in a segment).
+ * Leads already active in it are left alone; due messages are processed once
+ * at the end rather than after every enrollment.
+ * Returns null if the sequence is inactive.
+ */
+export async function bulkEnrollLeads(leadIds, sequenceSlug, options = {}) {
+  const { enrolledBy = 'manual' } = options;
+
+  const sequence = await getSequenceBySlug(sequenceSlug);
+  if (!sequence) {
+    throw new Error(`Sequence not found: ${sequenceSlug}`);
+  }
+  if (!sequence.is_active) return null;
+
+  const activeResult = await query(
+    `SELECT lead_id FROM lead_sequences
+     WHERE sequence_id = $1 AND status = 'active' AND lead_id = ANY($2)`,
+    [sequence.id, leadIds]
+  );
+  const alreadyActive = new Set(activeResult.rows.map(row => row.lead_id));
+
+  let enrolled = 0;
+  let failed = 0;
+  for (const leadId of leadIds) {
+    if (alreadyActive.has(leadId)) continue;
+    try {
+      await enrollLead(leadId, sequenceSlug, { enrolledBy, processNow: false });
+      enrolled++;
+    } catch (error) {
+      console.error(`Bulk enroll failed for lead ${leadId}:`, error.message);
+      failed++;
+    }
+  }
+
+  if (enrolled > 0) {
+    try {
+      await triggerMessageQueue();
+    } catch (processError) {
+      console.error('Failed to process immediate messages:', processError);
+    }
+  }
+
+  return { total: leadIds.length, enrolled, alreadyActive: alreadyActive.size, failed };
+}
+
 /**
  * Schedule all messages for a sequence enrollment
  * CRITICAL: For reminders (negative delays), only schedule if there's enough buffer time
@@ -418,55 +692,82 @@ async function scheduleSequenceMessages(enrollmentId, sequenceId, enrolledAt, me
   const leadId = enrollment.rows[0].lead_id;
   
   for (const step of steps) {
-    if (!step.is_active) continue;
-    
-    const scheduledFor = calculateScheduledTime(
-      enrolledAt,
-      step.delay_value,
-      step.delay_unit,
-      meetingTime
-    );
-    
-    // CRITICAL: Skip if scheduled time is in the past or too close
-    const scheduledTime = new Date(scheduledFor);
-    const msUntilScheduled = scheduledTime.getTime() - now.getTime();
-    const hoursUntilScheduled = msUntilScheduled / (1000 * 60 * 60);
-    
-    // For reminders (negative delay), require minimum buffer
-    if (step.delay_value < 0) {
-      // 24hr reminder needs 13hr buffer (so meeting must be 37hr+ away)
-      if (step.delay_value === -24 && hoursUntilScheduled < 13) {
-        console.log(`⏭️ Skipping 24hr reminder - only ${hoursUntilScheduled.toFixed(1)}hr until scheduled (need 13hr buffer)`);
-        continue;
-      }
-      // 6hr reminder needs 1hr buffer (so meeting must be 7hr+ away)
-      if (step.delay_value === -6 && hoursUntilScheduled < 1) {
-        console.log(`⏭️ Skipping 6hr reminder - only ${hoursUntilScheduled.toFixed(1)}hr until scheduled`);
-        continue;
-      }
-      // 1hr reminder needs 30min buffer
-      if (step.delay_value === -1 && hoursUntilScheduled < 0.5) {
-        console.log(`⏭️ Skipping 1hr reminder - only ${hoursUntilScheduled.toFixed(1)}hr until scheduled`);
-        continue;
-      }
-    }
-    
-    // Skip any message scheduled in the past (but allow immediate messages with delay=0)
-    if (step.delay_value !== 0 && scheduledTime <= now) {
-      console.log(`⏭️ Skipping step "${step.name}" - scheduled time is in the past`);
-      continue;
+    await scheduleStepForEnrollment(step, leadId, enrollmentId, enrolledAt, meetingTime, now);
+  }
+}
+
+/**
+ * Queue one step for one enrollment (skipped if inactive, past or too close)
+ */
+async function scheduleStepForEnrollment(step, leadId, enrollmentId, enrolledAt, meetingTime, now = new Date()) {
+  if (!step.is_active) return;
+  
+  const scheduledFor = calculateScheduledTime(
+    enrolledAt,
+    step.delay_value,
+    step.delay_unit,
+    meetingTime
+  );
+  
+  // CRITICAL: Skip if scheduled time is in the past or too close
+  const scheduledTime = new Date(scheduledFor);
+  const msUntilScheduled = scheduledTime.getTime() - now.getTime();
+  const hoursUntilScheduled = msUntilScheduled / (1000 * 60 * 60);
+  
+  // For reminders (negative delay), require minimum buffer
+  if (step.delay_value < 0) {
+    // 24hr reminder needs 13hr buffer (so meeting must be 37hr+ away)
+    if (step.delay_value === -24 && hoursUntilScheduled < 13) {
+      console.log(`⏭️ Skipping 24hr reminder - only ${hoursUntilScheduled.toFixed(1)}hr until scheduled (need 13hr buffer)`);
+      return;
     }
-    
-    // Schedule email if channel includes email
-    if (step.channel === 'email' || step.channel === 'both') {
-      await scheduleMessage(leadId, enrollmentId, step.id, 'email', scheduledFor, step.step_order);
+    // 6hr reminder needs 1hr buffer (so meeting must be 7hr+ away)
+    if (step.delay_value === -6 && hoursUntilScheduled < 1) {
+      console.log(`⏭️ Skipping 6hr reminder - only ${hoursUntilScheduled.toFixed(1)}hr until scheduled`);
+      return;
     }
-    
-    // Schedule WhatsApp if channel includes whatsapp
-    if (step.channel === 'whatsapp' || step.channel === 'both') {
-      await scheduleMessage(leadId, enrollmentId, step.id, 'whatsapp', scheduledFor, step.step_order);
+    // 1hr reminder needs 30min buffer
+    if (step.delay_value === -1 && hoursUntilScheduled < 0.5) {
+      console.log(`⏭️ Skipping 1hr reminder - only ${hoursUntilScheduled.toFixed(1)}hr until scheduled`);
+      return;
     }
   }
+  
+  // Skip any message scheduled in the past (but allow immediate messages with delay=0)
+  if (step.delay_value !== 0 && scheduledTime <= now) {
+    console.log(`⏭️ Skipping step "${step.name}" - scheduled time is in the past`);
+    return;
+  }
+  
+  // Schedule email if channel includes email
+  if (step.channel === 'email' || step.channel === 'both') {
+    await scheduleMessage(leadId, enrollmentId, step.id, 'email', scheduledFor, step.step_order);
+  }
+  
+  // Schedule WhatsApp if channel includes whatsapp
+  if (step.channel === 'whatsapp' || step.channel === 'both') {
+    await scheduleMessage(leadId, enrollmentId, step.id, 'whatsapp', scheduledFor, step.step_order);
+  }
+}
+
+/**
+ * Queue a (new or changed) step for every active enrollment in its sequence
+ */
+async function scheduleStepForActiveEnrollments(step) {
+  // Immediate steps belong to the moment of enrollment - don't blast leads already in
+  if (!step.is_active || step.delay_value === 0) return;
+  
+  const enrollments = await query(`
+    SELECT id, lead_id, enrolled_at, meeting_time FROM lead_sequences
+    WHERE sequence_id = $1 AND status = 'active'
+  `, [step.sequence_id]);
+  
+  const now = new Date();
+  for (const enrollment of enrollments.rows) {
+    await scheduleStepForEnrollment(
+      step, enrollment.lead_id, enrollment.id, enrollment.enrolled_at, enrollment.meeting_time, now
+    );
+  }
 }
 
 /**
@@ -536,7 +837,7 @@ export async function onMeetingBooked(leadId, meetingTime) {
  */
 export async function onNoShow(leadId) {
   // FIRST: Check if lead is marked as attended
-  const leadResult = await query('SELECT first_name, last_name, meeting_status FROM leads WHERE id = $1', [leadId]);
+  const leadResult = await query('SELECT id, first_name, last_name, email, phone, assigned_to, meeting_status FROM leads WHERE id = $1', [leadId]);
   const lead = leadResult.rows[0];
   
   if (lead?.meeting_status === 'attended') {
@@ -556,6 +857,9 @@ export async function onNoShow(leadId) {
     ['contacted', leadId]
   );
   
+  // Ask the owner to reach out personally as well
+  await createAutoTask(lead, 'no_show');
+  
   console.log(`❌ Lead ${leadId} marked as no-show`);
 }
 
@@ -603,7 +907,7 @@ export async function onMeetingCancelled(leadId) {
       calendar_link: CALENDAR_LINK
     });
     
-    await sendEmail({
+    const result = await sendEmail({
       to: lead.email,
       subject: content.subject,
       html: content.body,
@@ -611,10 +915,14 @@ export async function onMeetingCancelled(leadId) {
     });
     
     // Record the sent message
-    await query(`
-      INSERT INTO sent_messages (lead_id, channel, message_type, subject, body, status, sent_at)
-      VALUES ($1, 'email', 'operational', $2, $3, 'sent', NOW())
-    `, [leadId, content.subject, content.body]);
+    if (result.suppressed) {
+      await recordSkippedSend({ leadId, channel: 'email', messageType: 'operational', subject: content.subject, reason: result.reason });
+    } else {
+      await query(`
+        INSERT INTO sent_messages (lead_id, channel, message_type, subject, body, status, external_message_id, sent_at)
+        VALUES ($1, 'email', 'operational', $2, $3, 'sent', $4, NOW())
+      `, [leadId, content.subject, content.body, result.messageId || null]);
+    }
     
     console.log(`📧 Sent cancellation email to ${lead.email}`);
   }
@@ -658,7 +966,7 @@ export async function onMeetingRescheduled(leadId, newMeetingTime) {
       calendar_link: CALENDAR_LINK
     });
     
-    await sendEmail({
+    const result = await sendEmail({
       to: lead.email,
       subject: content.subject,
       html: content.body,
@@ -666,10 +974,14 @@ export async function onMeetingRescheduled(leadId, newMeetingTime) {
     });
     
     // Record the sent message
-    await query(`
-      INSERT INTO sent_messages (lead_id, channel, message_type, subject, body, status, sent_at)
-      VALUES ($1, 'email', 'operational', $2, $3, 'sent', NOW())
-    `, [leadId, content.subject, content.body]);
+    if (result.suppressed) {
+      await recordSkippedSend({ leadId, channel: 'email', messageType: 'operational', subject: content.subject, reason: result.reason });
+    } else {
+      await query(`
+        INSERT INTO sent_messages (lead_id, channel, message_type, subject, body, status, external_message_id, sent_at)
+        VALUES ($1, 'email', 'operational', $2, $3, 'sent', $4, NOW())
+      `, [leadId, content.subject, content.body, result.messageId || null]);
+    }
     
     console.log(`📧 Sent reschedule confirmation to ${lead.email}`);
   }
@@ -781,39 +1093,20 @@ export async function manualSendStep(leadId, stepId) {
   
   const enrollment = enrollmentResult.rows[0];
   
-  // Get template or value email
-  let emailSubject = step.email_subject;
-  let emailBody = step.email_body;
-  let whatsappMessage = step.whatsapp_message;
-  let valueEmailId = null;
+  // Resolve the content this step is configured with
+  const sendsEmail = step.channel === 'email' || step.channel === 'both';
+  const resolved = await resolveStepContent(step, leadId, { includeEmail: sendsEmail });
+  const valueEmailId = resolved.valueEmailId;
   
-  // 1. First check for a specific template based on step name
-  const template = getTemplateForStep(step.name, step.step_order, null);
-  if (template) {
-    emailSubject = template.subject;
-    emailBody = template.body;
-    whatsappMessage = template.whatsapp || whatsappMessage;
-  }
-  // 2. Otherwise, if it's a value email step OR we still don't have content, use value email
-  else if (step.name.toLowerCase().includes('value') || !emailSubject) {
-    const valueEmail = await getNextValueEmailForLead(leadId);
-    if (valueEmail) {
-      emailSubject = valueEmail.subject;
-      emailBody = valueEmail.body;
-      valueEmailId = valueEmail.id;
-    }
-  }
-  
-  // CRITICAL: Ensure ebook is ALWAYS in step 1 emails (all leads expect it)
-  if (step.step_order === 1 && emailBody) {
-    emailBody = processEmailBodyForStep(emailBody, step.step_order);
+  if (sendsEmail && lead.email && (!resolved.subject || !resolved.body)) {
+    throw new Error(`Step "${step.name}" has no email content configured`);
   }
   
   // Substitute variables using the shared function (includes HTML formatting)
   const content = substituteVariables({
-    subject: emailSubject,
-    body: emailBody,
-    whatsapp: whatsappMessage
+    subject: resolved.subject,
+    body: resolved.body,
+    whatsapp: resolved.whatsapp
   }, {
     first_name: lead.first_name || 'there',
     last_name: lead.last_name || '',
@@ -822,11 +1115,12 @@ export async function manualSendStep(leadId, stepId) {
     calendar_link: CALENDAR_LINK
   });
   
-  let result = { success: false };
+  let emailResult = null;
+  let whatsappResult = null;
   
   // Send email
   if ((step.channel === 'email' || step.channel === 'both') && lead.email) {
-    result = await sendEmail({
+    emailResult = await sendEmail({
       to: lead.email,
       subject: content.subject,
       html: content.body,
@@ -837,12 +1131,13 @@ export async function manualSendStep(leadId, stepId) {
   // Send WhatsApp - only new_lead step 1 uses Haarith, everything else uses Meta
   if ((step.channel === 'whatsapp' || step.channel === 'both') && lead.phone && content.whatsapp) {
     const isFirstWelcome = step.sequence_slug === 'new_lead' && step.step_order === 1;
-    await sendWhatsApp({ 
+    whatsappResult = await sendWhatsApp({ 
       phone: lead.phone, 
       message: content.whatsapp,
       stepOrder: step.step_order,
       isInitial: isFirstWelcome,
       leadContext: {
+        id: lead.id,
         name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
         company: lead.company,
         email: lead.email,
@@ -851,14 +1146,28 @@ export async function manualSendStep(leadId, stepId) {
     });
   }
   
+  // Everything we tried was suppressed - log it and leave the queue alone
+  const attempted = [emailResult, whatsappResult].filter(Boolean);
+  if (attempted.length > 0 && attempted.every(r => r.suppressed)) {
+    await recordSkippedSend({
+      leadId, channel: step.channel, messageType: 'sequence', subject: content.subject,
+      leadSequenceId: enrollment?.id || null, stepId, reason: attempted[0].reason
+    });
+    return {
+      success: false,
+      suppressed: true,
+      message: `Not sent - ${lead.email || lead.phone} is on the suppression list (${attempted[0].reason})`
+    };
+  }
+  
   // Record sent message
-  const metadata = valueEmailId ? JSON.stringify({ value_email_id: valueEmailId, manual: true }) : JSON.stringify({ manual: true });
+  const metadata = buildSendMetadata(resolved, { manual: true });
   
   await query(`
     INSERT INTO sent_messages (
       lead_id, lead_sequence_id, sequence_step_id, channel, message_type,
-      subject, body, status, metadata, sent_at
-    ) VALUES ($1, $2, $3, $4, 'sequence', $5, $6, 'sent', $7, NOW())
+      subject, body, status, external_message_id, metadata, sent_at
+    ) VALUES ($1, $2, $3, $4, 'sequence', $5, $6, 'sent', $7, $8, NOW())
   `, [
     leadId,
     enrollment?.id || null,
@@ -866,6 +1175,7 @@ export async function manualSendStep(leadId, stepId) {
     step.channel,
     content.subject,
     content.body,
+    emailResult?.messageId || null,
     metadata
   ]);
   
@@ -909,7 +1219,7 @@ export async function cancelLeadSequence(leadId, sequenceSlug, reason = null) {
   await query(`
     UPDATE lead_sequences 
     SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = $3, updated_at = NOW()
-    WHERE lead_id = $1 AND sequence_id = $2 AND status = 'active'
+    WHERE lead_id = $1 AND sequence_id = $2 AND status IN ('active', 'paused')
   `, [leadId, sequence.id, reason]);
   
   // Cancel pending messages
@@ -928,7 +1238,7 @@ export async function cancelAllSequences(leadId, reason = null) {
   await query(`
     UPDATE lead_sequences 
     SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = $2, updated_at = NOW()
-    WHERE lead_id = $1 AND status = 'active'
+    WHERE lead_id = $1 AND status IN ('active', 'paused')
   `, [leadId, reason]);
   
   await query(`
@@ -938,62 +1248,210 @@ export async function cancelAllSequences(leadId, reason = null) {
   `, [leadId]);
 }
 
+/**
+ * Resume a paused enrollment
+ * Pending messages are pushed back by the time spent paused so the
+ * remaining steps keep their original spacing
+ */
+export async function resumeLeadSequence(leadId, sequenceSlug) {
+  const sequence = await getSequenceBySlug(sequenceSlug);
+  if (!sequence) return null;
+
+  const existing = await query(`
+    SELECT * FROM lead_sequences
+    WHERE lead_id = $1 AND sequence_id = $2 AND status = 'paused'
+  `, [leadId, sequence.id]);
+  const enrollment = existing.rows[0];
+  if (!enrollment) return null;
+
+  await query(`
+    UPDATE message_queue
+    SET scheduled_for = scheduled_for + (NOW() - $2::timestamptz)
+    WHERE lead_sequence_id = $1 AND status = 'pending'
+  `, [enrollment.id, enrollment.paused_at || new Date()]);
+
+  const result = await query(`
+    UPDATE lead_sequences
+    SET status = 'active', paused_at = NULL, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [enrollment.id]);
+
+  console.log(`▶️ Resumed ${sequenceSlug} for lead ${leadId}`);
+  return result.rows[0];
+}
+
+// ==========================================
+// INBOUND REPLIES
+// ==========================================
+
+// Sequences that stop talking at a lead once they reply
+const REPLY_HALTED_SEQUENCES = ['new_lead'];
+
+/**
+ * Handle a reply from a lead
+ * Pending steps flagged skip_if_replied are skipped. If nothing is left the
+ * enrollment is cancelled, otherwise it is paused until someone resumes it.
+ */
+export async function onLeadReplied(leadId) {
+  const enrollments = await query(`
+    UPDATE lead_sequences ls
+    SET replied_at = COALESCE(ls.replied_at, NOW()), updated_at = NOW()
+    FROM sequences s
+    WHERE ls.sequence_id = s.id
+    AND ls.lead_id = $1 AND ls.status = 'active' AND s.slug = ANY($2)
+    RETURNING ls.id, s.slug
+  `, [leadId, REPLY_HALTED_SEQUENCES]);
+
+  const results = [];
+  for (const enrollment of enrollments.rows) {
+    const skipped = await query(`
+      UPDATE message_queue mq SET status = 'skipped'
+      FROM sequence_steps ss
+      WHERE mq.sequence_step_id = ss.id
+      AND mq.lead_sequence_id = $1 AND mq.status = 'pending' AND ss.skip_if_replied = true
+    `, [enrollment.id]);
+
+    const remaining = await query(`
+      SELECT COUNT(*) as count FROM message_queue
+      WHERE lead_sequence_id = $1 AND status = 'pending'
+    `, [enrollment.id]);
+
+    let action;
+    if (parseInt(remaining.rows[0].count) === 0) {
+      action = 'cancelled';
+      await query(`
+        UPDATE lead_sequences
+        SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = 'Lead replied', updated_at = NOW()
+        WHERE id = $1
+      `, [enrollment.id]);
+    } else {
+      action = 'paused';
+      await query(`
+        UPDATE lead_sequences SET status = 'paused', paused_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [enrollment.id]);
+    }
+
+    console.log(`💬 Lead ${leadId} replied - ${enrollment.slug} ${action} (${skipped.rowCount} steps skipped)`);
+    results.push({ sequenceSlug: enrollment.slug, action, skipped: skipped.rowCount });
+  }
+
+  return results;
+}
+
+/**
+ * Handle an opt-out (STOP) from a lead
+ * Every active enrollment and pending message is cancelled, whatever the channel
+ */
+export async function onLeadOptedOut(leadId) {
+  await cancelAllSequences(leadId, 'Lead opted out');
+  console.log(`🛑 Lead ${leadId} opted out - all sequences cancelled`);
+}
+
 // ==========================================
 // MESSAGE PROCESSING
 // ==========================================
 
+export const MESSAGE_QUEUE_JOB = 'process_message_queue';
+
 /**
- * Process the message queue
- * Called by scheduler every minute
+ * Process the message queue, up to `limit` due messages.
+ * Runs as the process_message_queue job every minute (see backgroundJobs.js).
+ * 
+ * Backpressure: each channel only takes as many due messages as its senders
+ * have capacity for right now (rate limits / warm-up); the rest stay queued
+ * for a later run. A send that still hits a limit is put back until the
+ * sender frees up, without counting as a failed attempt. Returns the number
+ * of messages handled, not counting those put back.
  */
-export async function processMessageQueue() {
-  // Get messages that are due
+export async function processMessageQueue({ limit = 50 } = {}) {
+  const [emailCapacity, whatsappCapacity] = await Promise.all([
+    getSendCapacity('email', getEmailSenders()),
+    getSendCapacity('whatsapp', getWhatsAppSenders())
+  ]);
+  const capacity = {
+    email: Math.min(emailCapacity, limit),
+    whatsapp: Math.min(whatsappCapacity, limit)
+  };
+  
+  // Get messages that are due, oldest first per channel, within capacity
   const result = await query(`
-    SELECT mq.*, 
-           ls.lead_id, ls.status as sequence_status,
-           ss.step_order, ss.email_subject, ss.email_body, ss.whatsapp_message,
-           s.slug as sequence_slug,
-           l.first_name, l.last_name, l.email, l.phone, l.company, l.custom_fields
-    FROM message_queue mq
-    JOIN lead_sequences ls ON mq.lead_sequence_id = ls.id
-    JOIN sequence_steps ss ON mq.sequence_step_id = ss.id
-    JOIN sequences s ON ls.sequence_id = s.id
-    JOIN leads l ON mq.lead_id = l.id
-    WHERE mq.status = 'pending'
-    AND mq.scheduled_for <= NOW()
-    AND ls.status = 'active'
-    ORDER BY mq.scheduled_for
-    LIMIT 50
-  `);
+    SELECT * FROM (
+      SELECT mq.*, 
+             ls.lead_id, ls.status as sequence_status, ls.replied_at,
+             ss.name, ss.step_order, ss.email_subject, ss.email_body, ss.whatsapp_message,
+             ss.email_template_id, ss.content_pool, ss.include_ebook, ss.skip_if_replied, ss.delay_value,
+             COALESCE(ss.send_window, s.send_window) as send_window,
+             s.slug as sequence_slug,
+             l.first_name, l.last_name, l.email, l.phone, l.company, l.custom_fields,
+             ROW_NUMBER() OVER (PARTITION BY mq.channel ORDER BY mq.scheduled_for) as channel_rank
+      FROM message_queue mq
+      JOIN lead_sequences ls ON mq.lead_sequence_id = ls.id
+      JOIN sequence_steps ss ON mq.sequence_step_id = ss.id
+      JOIN sequences s ON ls.sequence_id = s.id
+      JOIN leads l ON mq.lead_id = l.id
+      WHERE mq.status = 'pending'
+      AND mq.scheduled_for <= NOW()
+      AND ls.status = 'active'
+    ) due
+    WHERE channel_rank <= CASE channel WHEN 'email' THEN $2 ELSE $3 END
+    ORDER BY scheduled_for
+    LIMIT $1
+  `, [limit, capacity.email, capacity.whatsapp]);
   
   const messages = result.rows;
-  console.log(`📬 Processing ${messages.length} messages from queue`);
+  console.log(`📬 Processing ${messages.length} messages from queue (capacity: ${capacity.email} email, ${capacity.whatsapp} WhatsApp)`);
   
+  let throttled = 0;
   for (const msg of messages) {
     try {
       await processMessage(msg);
     } catch (error) {
-      console.error(`Failed to process message ${msg.id}:`, error);
+      if (error.throttled) {
+        // Sender at its limit - wait for it rather than burn a retry
+        await query(`
+          UPDATE message_queue SET status = 'pending', scheduled_for = $2, deferred_at = NOW()
+          WHERE id = $1
+        `, [msg.id, error.retryAt]);
+        console.log(`⏳ ${msg.channel} message ${msg.id} throttled until ${error.retryAt.toISOString()}`);
+        throttled++;
+        continue;
+      }
       
-      // Update retry count
-      await query(`
-        UPDATE message_queue 
-        SET attempts = attempts + 1, 
-            last_attempt_at = NOW(),
-            error_message = $2,
-            status = CASE WHEN attempts >= 3 THEN 'failed' ELSE 'pending' END
-        WHERE id = $1
-      `, [msg.id, error.message]);
+      console.error(`Failed to process message ${msg.id}:`, error.message);
+      
+      // Retry on the channel's schedule, or move to failed messages
+      await recordDeliveryFailure(msg, error);
     }
   }
   
-  return messages.length;
+  return messages.length - throttled;
+}
+
+/**
+ * Have the job worker process the queue now instead of at its next run.
+ * With wait (ms), resolves with the finished job.
+ */
+export async function triggerMessageQueue(options = {}) {
+  return runJobNow(MESSAGE_QUEUE_JOB, options);
 }
 
 /**
  * Process a single message
  */
 async function processMessage(msg) {
+  // Quiet hours in the lead's timezone - wait for the window to open instead of sending
+  const deferral = deferForSendWindow(msg);
+  if (deferral) {
+    await query(`
+      UPDATE message_queue SET scheduled_for = $2, deferred_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+    `, [msg.id, deferral.sendAt]);
+    console.log(`🌙 Quiet hours for lead ${msg.lead_id} (${deferral.timezone}) - ${msg.channel} "${msg.name}" deferred to ${deferral.sendAt.toISOString()}`);
+    return;
+  }
+  
   // CRITICAL: Use UPDATE ... WHERE to atomically claim this message
   // This prevents race conditions when multiple processes try to send the same message
   const claimed = await query(`
@@ -1009,9 +1467,10 @@ async function processMessage(msg) {
   }
   
   // CRITICAL: Check if already sent (double-check)
+  // Failed rows (recorded before failures were retried) don't count
   const alreadySent = await query(`
     SELECT id FROM sent_messages 
-    WHERE lead_id = $1 AND sequence_step_id = $2 AND channel = $3
+    WHERE lead_id = $1 AND sequence_step_id = $2 AND channel = $3 AND status <> 'failed'
   `, [msg.lead_id, msg.sequence_step_id, msg.channel]);
   
   if (alreadySent.rows.length > 0) {
@@ -1020,48 +1479,44 @@ async function processMessage(msg) {
     return;
   }
   
-  // Get step name for template lookup
-  const stepResult = await query('SELECT name, step_order FROM sequence_steps WHERE id = $1', [msg.sequence_step_id]);
-  const stepName = stepResult.rows[0]?.name || '';
-  const stepOrder = stepResult.rows[0]?.step_order || msg.step_order || 1;
+  // Steps that only make sense if the lead hasn't replied yet
+  if (msg.skip_if_replied && msg.replied_at) {
+    console.log(`⏭️ Lead replied, skipping step "${msg.name}"`);
+    await query('UPDATE message_queue SET status = $1 WHERE id = $2', ['skipped', msg.id]);
+    return;
+  }
   
-  // Try to get template content first
-  let emailSubject = msg.email_subject;
-  let emailBody = msg.email_body;
-  let whatsappMessage = msg.whatsapp_message;
-  let valueEmailId = null;
+  // Resolve the content this step is configured with
+  const resolved = await resolveStepContent(msg, msg.lead_id, {
+    includeEmail: msg.channel === 'email',
+    stepId: msg.sequence_step_id
+  });
+  const stepOrder = msg.step_order || 1;
+  const valueEmailId = resolved.valueEmailId;
+  
+  // Content edited in the failed messages inbox before a resend
+  const override = msg.override_content || {};
+  const stepContent = {
+    subject: override.subject ?? resolved.subject,
+    body: override.body ?? resolved.body,
+    whatsapp: override.whatsapp ?? resolved.whatsapp
+  };
   
-  // 1. First check for a specific template based on step name
-  const template = getTemplateForStep(stepName, stepOrder, null);
-  if (template) {
-    emailSubject = template.subject;
-    emailBody = template.body;
-    whatsappMessage = template.whatsapp || whatsappMessage;
-    console.log(`📧 Using template for step "${stepName}"`);
+  if (msg.channel === 'email' && (!stepContent.subject || !stepContent.body)) {
+    throw new Error(`Step "${msg.name}" has no email content configured`);
   }
-  // 2. Otherwise, if it's a value email step OR we still don't have content, use value email
-  else if (stepName.toLowerCase().includes('value') || !emailSubject) {
-    const valueEmail = await getNextValueEmailForLead(msg.lead_id);
-    if (valueEmail) {
-      emailSubject = valueEmail.subject;
-      emailBody = valueEmail.body;
-      valueEmailId = valueEmail.id;
-      console.log(`📧 Using value email "${valueEmail.id}" for lead ${msg.lead_id}`);
-    }
+  if (msg.channel === 'email' && !msg.email) {
+    throw new Error('Lead has no email address');
   }
-  
-  // CRITICAL: Ensure ebook is ALWAYS in step 1 emails (all leads expect it)
-  if (stepOrder === 1 && emailBody) {
-    emailBody = processEmailBodyForStep(emailBody, stepOrder);
-    console.log(`📚 Ensured ebook is included in step 1 email`);
+  if (msg.channel === 'whatsapp' && !msg.phone) {
+    throw new Error('Lead has no phone number');
+  }
+  if (resolved.templateSlug) {
+    console.log(`📧 Using template "${resolved.templateSlug}" for step "${msg.name}"`);
   }
   
   // Prepare content with variable substitution
-  const content = substituteVariables({
-    subject: emailSubject,
-    body: emailBody,
-    whatsapp: whatsappMessage
-  }, {
+  const content = substituteVariables(stepContent, {
     first_name: msg.first_name || 'there',
     last_name: msg.last_name || '',
     email: msg.email,
@@ -1071,10 +1526,11 @@ async function processMessage(msg) {
   
   let externalId = null;
   let status = 'sent';
+  let suppressedReason = null;
   
-  // Send based on channel
+  // Send based on channel. A rejected send throws, so the queue retries it.
   // Email rotation: steps 1-12 use account 1, steps 13-24 use account 2
-  if (msg.channel === 'email' && msg.email) {
+  if (msg.channel === 'email') {
     const result = await sendEmail({
       to: msg.email,
       subject: content.subject,
@@ -1083,10 +1539,13 @@ async function processMessage(msg) {
       stepNumber: msg.step_order || 1  // For rotation between accounts
     });
     externalId = result.messageId;
-    if (!result.success) {
-      status = 'failed';
+    if (result.suppressed) {
+      status = 'suppressed';
+      suppressedReason = result.reason;
+    } else if (!result.success) {
+      throw providerError(result);
     }
-  } else if (msg.channel === 'whatsapp' && msg.phone) {
+  } else if (msg.channel === 'whatsapp') {
     // CRITICAL: Only the FIRST welcome message (new_lead step 1) uses Haarith
     // ALL other messages (confirmations, reminders, value emails) use Meta (+44)
     const isFirstWelcome = msg.sequence_slug === 'new_lead' && stepOrder === 1;
@@ -1097,6 +1556,7 @@ async function processMessage(msg) {
       stepOrder: stepOrder,
       isInitial: isFirstWelcome,  // Only true for new_lead step 1
       leadContext: {
+        id: msg.lead_id,
         name: `${msg.first_name || ''} ${msg.last_name || ''}`.trim(),
         company: msg.company,
         email: msg.email,
@@ -1104,14 +1564,28 @@ async function processMessage(msg) {
       }
     });
     externalId = result.messageId;
-    if (!result.success) {
-      status = 'failed';
+    if (result.suppressed) {
+      status = 'suppressed';
+      suppressedReason = result.reason;
+    } else if (result.throttled) {
+      throw throttledError(result.error, result.retryAt);
+    } else if (!result.success) {
+      throw providerError(result);
     }
     console.log(`📱 WhatsApp sent via ${isFirstWelcome ? 'Haarith (lead)' : 'Meta (+44)'} instance${result.aiCorrected ? ' (AI corrected phone)' : ''}`);
   }
   
+  if (status === 'suppressed') {
+    await recordSkippedSend({
+      leadId: msg.lead_id, channel: msg.channel, messageType: 'sequence', subject: content.subject,
+      leadSequenceId: msg.lead_sequence_id, stepId: msg.sequence_step_id, reason: suppressedReason
+    });
+    await query('UPDATE message_queue SET status = $1 WHERE id = $2', [status, msg.id]);
+    return;
+  }
+  
   // Build metadata object
-  const metadata = valueEmailId ? JSON.stringify({ value_email_id: valueEmailId }) : null;
+  const metadata = buildSendMetadata(resolved);
   
   // Record in sent_messages (CRITICAL)
   await query(`
@@ -1140,6 +1614,11 @@ async function processMessage(msg) {
     WHERE id = $1
   `, [msg.lead_sequence_id, msg.sequence_step_id]);
   
+  // A/B test: promote the winner once the sample size is reached
+  if (resolved.variant) {
+    await maybePromoteWinner(msg.sequence_step_id);
+  }
+  
   console.log(`✅ Sent ${msg.channel} to ${msg.email || msg.phone}`);
 }
 
@@ -1238,16 +1717,24 @@ export async function addToNewsletter(leadId, source) {
 }
 
 /**
- * Send newsletter to all subscribers
+ * Send newsletter to all active subscribers (or those linked to options.leadIds)
  */
-export async function sendNewsletter(subject, body) {
-  const result = await query(
-    "SELECT * FROM newsletter_subscribers WHERE status = 'active'"
-  );
+export async function sendNewsletter(subject, body, options = {}) {
+  // leadIds: only subscribers linked to these leads (e.g. a segment)
+  const { leadIds = null } = options;
+  const result = leadIds
+    ? await query(
+      "SELECT * FROM newsletter_subscribers WHERE status = 'active' AND lead_id = ANY($1)",
+      [leadIds]
+    )
+    : await query(
+      "SELECT * FROM newsletter_subscribers WHERE status = 'active'"
+    );
   
   const subscribers = result.rows;
   let sent = 0;
   let failed = 0;
+  let suppressed = 0;
   
   for (const sub of subscribers) {
     try {
@@ -1256,17 +1743,25 @@ export async function sendNewsletter(subject, body) {
         last_name: sub.last_name || ''
       });
       
-      await sendEmail({
+      const result = await sendEmail({
         to: sub.email,
         subject: content.subject,
         html: content.body
       });
       
+      if (result.suppressed) {
+        await recordSkippedSend({
+          leadId: sub.lead_id, channel: 'email', messageType: 'newsletter', subject: content.subject, reason: result.reason
+        });
+        suppressed++;
+        continue;
+      }
+      
       // Log the newsletter send
       await query(`
-        INSERT INTO sent_messages (lead_id, channel, message_type, subject, body, status, sent_at)
-        VALUES ($1, 'email', 'newsletter', $2, $3, 'sent', NOW())
-      `, [sub.lead_id, content.subject, content.body]);
+        INSERT INTO sent_messages (lead_id, channel, message_type, subject, body, status, external_message_id, sent_at)
+        VALUES ($1, 'email', 'newsletter', $2, $3, 'sent', $4, NOW())
+      `, [sub.lead_id, content.subject, content.body, result.messageId || null]);
       
       sent++;
     } catch (error) {
@@ -1275,7 +1770,7 @@ export async function sendNewsletter(subject, body) {
     }
   }
   
-  return { sent, failed, total: subscribers.length };
+  return { sent, failed, suppressed, total: subscribers.length };
 }
 
 // ==========================================
@@ -1300,11 +1795,11 @@ export async function getSequenceDashboard() {
     GROUP BY s.id
   `);
   
-  // Messages sent today
+  // Messages sent today (tracking moves emails on to delivered/opened/...)
   const todayMessages = await query(`
     SELECT channel, COUNT(*) as count
     FROM sent_messages
-    WHERE DATE(sent_at) = CURRENT_DATE AND status = 'sent'
+    WHERE DATE(sent_at) = CURRENT_DATE AND status NOT IN ('failed', 'suppressed')
     GROUP BY channel
   `);
   
@@ -1326,6 +1821,121 @@ export async function getSequenceDashboard() {
   };
 }
 
+// Funnel stages, in order. Counts are distinct leads, so a 'both' step
+// (email + WhatsApp) counts each lead once.
+const FUNNEL_STAGES = ['sent', 'delivered', 'opened', 'clicked', 'replied', 'booked', 'unsubscribed'];
+
+/**
+ * Funnel analytics for a sequence, per step and per value email
+ *
+ * Covers messages sent in the date range (default: last 30 days). Replies,
+ * bookings and unsubscribes are credited to the last message the lead got
+ * before they happened (last touch within the enrollment).
+ */
+export async function getSequenceAnalytics(sequenceSlug, { dateFrom = null, dateTo = null } = {}) {
+  const sequence = await getSequenceBySlug(sequenceSlug);
+  if (!sequence) return null;
+
+  const to = dateTo || new Date().toISOString().slice(0, 10);
+  const from = dateFrom || new Date(new Date(to).getTime() - 29 * 86400000).toISOString().slice(0, 10);
+
+  // Each send plus the window until the lead's next message in the same enrollment
+  const funnelQuery = (groupBy, select) => `
+    WITH sends AS (
+      SELECT sm.lead_id, sm.sequence_step_id, sm.sent_at,
+             sm.delivered_at, sm.opened_at, sm.clicked_at,
+             sm.metadata->>'value_email_id' as value_email_id,
+             LOWER(l.email) as lead_email,
+             COALESCE((
+               SELECT MIN(n.sent_at) FROM sent_messages n
+               WHERE n.lead_sequence_id = sm.lead_sequence_id
+               AND n.sent_at > sm.sent_at AND n.status NOT IN ('failed', 'suppressed')
+             ), 'infinity'::timestamptz) as window_end
+      FROM sent_messages sm
+      JOIN lead_sequences ls ON sm.lead_sequence_id = ls.id
+      JOIN leads l ON sm.lead_id = l.id
+      WHERE ls.sequence_id = $1
+      AND sm.sent_at >= $2::date AND sm.sent_at < $3::date + 1
+      AND sm.status NOT IN ('failed', 'suppressed')
+    ),
+    outcomes AS (
+      SELECT s.*,
+        EXISTS (
+          SELECT 1 FROM whatsapp_chat_messages w
+          WHERE w.lead_id = s.lead_id AND w.direction = 'inbound'
+          AND w.timestamp >= s.sent_at AND w.timestamp < s.window_end
+        ) as replied,
+        EXISTS (
+          SELECT 1 FROM lead_sequences mb
+          JOIN sequences ms ON mb.sequence_id = ms.id
+          WHERE ms.slug = 'meeting_booked' AND mb.lead_id = s.lead_id
+          AND mb.enrolled_at >= s.sent_at AND mb.enrolled_at < s.window_end
+        ) as booked,
+        EXISTS (
+          SELECT 1 FROM suppression_list sl
+          WHERE (sl.lead_id = s.lead_id OR sl.address = s.lead_email)
+          AND sl.created_at >= s.sent_at AND sl.created_at < s.window_end
+        ) as unsubscribed
+      FROM sends s
+    )
+    SELECT ${select}
+      COUNT(DISTINCT lead_id) as sent,
+      COUNT(DISTINCT lead_id) FILTER (WHERE delivered_at IS NOT NULL) as delivered,
+      COUNT(DISTINCT lead_id) FILTER (WHERE opened_at IS NOT NULL) as opened,
+      COUNT(DISTINCT lead_id) FILTER (WHERE clicked_at IS NOT NULL) as clicked,
+      COUNT(DISTINCT lead_id) FILTER (WHERE replied) as replied,
+      COUNT(DISTINCT lead_id) FILTER (WHERE booked) as booked,
+      COUNT(DISTINCT lead_id) FILTER (WHERE unsubscribed) as unsubscribed
+    FROM outcomes
+    ${groupBy}
+  `;
+  const params = [sequence.id, from, to];
+
+  const [totals, byStep, byValueEmail, enrolled] = await Promise.all([
+    query(funnelQuery('', ''), params),
+    query(funnelQuery('GROUP BY sequence_step_id', 'sequence_step_id,'), params),
+    query(funnelQuery('WHERE value_email_id IS NOT NULL GROUP BY value_email_id', 'value_email_id,'), params),
+    query(`
+      SELECT COUNT(*) as count FROM lead_sequences
+      WHERE sequence_id = $1 AND enrolled_at >= $2::date AND enrolled_at < $3::date + 1
+    `, params)
+  ]);
+
+  const toCounts = (row = {}) => Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, parseInt(row[stage] || 0)]));
+
+  const steps = await getSequenceSteps(sequence.id);
+  const stepRows = new Map(byStep.rows.map(row => [row.sequence_step_id, row]));
+
+  // value_email_id is the slug of the pool template that was sent
+  const templateNames = await query(
+    'SELECT slug, name FROM email_templates WHERE slug = ANY($1)',
+    [byValueEmail.rows.map(row => row.value_email_id)]
+  );
+  const names = new Map(templateNames.rows.map(row => [row.slug, row.name]));
+
+  return {
+    sequence: { id: sequence.id, name: sequence.name, slug: sequence.slug },
+    range: { dateFrom: from, dateTo: to },
+    stages: FUNNEL_STAGES,
+    enrolled: parseInt(enrolled.rows[0].count),
+    totals: toCounts(totals.rows[0]),
+    steps: steps.map(step => ({
+      id: step.id,
+      stepOrder: step.step_order,
+      name: step.name,
+      channel: step.channel,
+      ...toCounts(stepRows.get(step.id))
+    })),
+    valueEmails: byValueEmail.rows
+      .map(row => ({
+        valueEmailId: row.value_email_id,
+        templateName: names.get(row.value_email_id) || null,
+        ...toCounts(row)
+      }))
+      .sort((a, b) => b.sent - a.sent)
+  };
+}
+
 /**
  * Get lead sequence status (for board view)
  */
@@ -1383,8 +1993,12 @@ export async function getLeadMessages(leadId) {
 /**
  * Get sequence status for a lead
  * Shows which sequences they're enrolled in, current step, messages sent, etc.
+ * plus the timezone their sending windows are applied in
  */
 export async function getLeadSequenceStatus(leadId) {
+  const leadResult = await query('SELECT phone, custom_fields FROM leads WHERE id = $1', [leadId]);
+  const timezone = resolveLeadTimezone(leadResult.rows[0]);
+  
   // Get all sequence enrollments for this lead
   const enrollments = await query(`
     SELECT ls.*, 
@@ -1406,7 +2020,8 @@ export async function getLeadSequenceStatus(leadId) {
       activeSequence: null,
       messagesSent: 0,
       currentStep: 0,
-      totalSteps: 0
+      totalSteps: 0,
+      timezone
     };
   }
   
@@ -1433,6 +2048,8 @@ export async function getLeadSequenceStatus(leadId) {
       enrolledAt: e.enrolled_at,
       completedAt: e.completed_at,
       cancelledAt: e.cancelled_at,
+      pausedAt: e.paused_at,
+      repliedAt: e.replied_at,
       meetingTime: e.meeting_time
     })),
     activeSequence: activeEnrollment ? {
@@ -1443,6 +2060,7 @@ export async function getLeadSequenceStatus(leadId) {
       progress: Math.round((activeEnrollment.current_step / parseInt(activeEnrollment.total_steps)) * 100)
     } : null,
     messagesSent: parseInt(totalSent.rows[0].count),
+    timezone,
     canResume: enrollments.rows.some(e => e.status === 'paused' || e.status === 'cancelled')
   };
 }
@@ -1450,19 +2068,33 @@ export async function getLeadSequenceStatus(leadId) {
 export default {
   getSequences,
   getSequenceBySlug,
+  getSequenceById,
+  createSequence,
+  updateSequence,
+  deleteSequence,
+  cloneSequence,
   getSequenceSteps,
+  addSequenceStep,
   updateSequenceStep,
+  deleteSequenceStep,
+  reorderSequenceSteps,
   enrollLead,
+  bulkEnrollLeads,
   manualSendStep,
   onMeetingBooked,
   onNoShow,
   onMeetingCompleted,
   cancelLeadSequence,
   cancelAllSequences,
+  resumeLeadSequence,
+  onLeadReplied,
+  onLeadOptedOut,
   processMessageQueue,
+  triggerMessageQueue,
   addToNewsletter,
   sendNewsletter,
   getSequenceDashboard,
+  getSequenceAnalytics,
   getLeadSequenceBoard,
   getLeadMessages,
   getLeadSequenceStatus
@@ -0,0 +1,222 @@
+/**
+ * Step Variant Service
+ *
+ * A/B testing within a sequence step. A step can carry several weighted
+ * variants that override its email subject, email body and/or WhatsApp
+ * text. Each lead is assigned a variant deterministically (hash of lead +
+ * step), so retries, manual sends and both halves of an email+WhatsApp step
+ * all use the same one. The chosen variant is recorded in
+ * sent_messages.metadata (variant_id, variant).
+ *
+ * With ab_auto_promote on, once every active variant has been sent to
+ * ab_min_sample leads, the one with the best ab_metric rate is promoted and
+ * the others are switched off.
+ */
+
+import crypto from 'crypto';
+import { query } from '../database/connection.js';
+
+export const AB_METRICS = ['opened', 'clicked', 'booked'];
+
+const VARIANT_FIELDS = ['name', 'email_subject', 'email_body', 'whatsapp_message', 'weight', 'is_active'];
+
+// ==========================================
+// VARIANT CRUD
+// ==========================================
+
+/**
+ * Get all variants for a step (oldest first - that order drives assignment)
+ */
+export async function getStepVariants(stepId) {
+  const result = await query(
+    'SELECT * FROM sequence_step_variants WHERE step_id = $1 ORDER BY created_at, id',
+    [stepId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a single variant
+ */
+export async function getVariantById(id) {
+  const result = await query('SELECT * FROM sequence_step_variants WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Add a variant to a step
+ */
+export async function createVariant(stepId, { name, email_subject = null, email_body = null, whatsapp_message = null, weight = 1, is_active = true }) {
+  const result = await query(`
+    INSERT INTO sequence_step_variants (step_id, name, email_subject, email_body, whatsapp_message, weight, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [stepId, name, email_subject, email_body, whatsapp_message, weight, is_active]);
+  return result.rows[0];
+}
+
+/**
+ * Update a variant
+ */
+export async function updateVariant(id, updates) {
+  const fields = VARIANT_FIELDS.filter(field => updates[field] !== undefined);
+  if (fields.length === 0) return getVariantById(id);
+
+  const setClause = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+  const result = await query(`
+    UPDATE sequence_step_variants SET ${setClause}, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...fields.map(field => updates[field])]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a variant (already-sent messages keep their metadata)
+ */
+export async function deleteVariant(id) {
+  const result = await query('DELETE FROM sequence_step_variants WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+// ==========================================
+// ASSIGNMENT
+// ==========================================
+
+/**
+ * Pick the variant a lead gets for a step, or null if the step has none active
+ * Same lead + step always lands in the same bucket while the variant set is unchanged
+ */
+export async function pickVariantForLead(stepId, leadId) {
+  if (!stepId || !leadId) return null;
+
+  const result = await query(`
+    SELECT * FROM sequence_step_variants
+    WHERE step_id = $1 AND is_active = true AND weight > 0
+    ORDER BY created_at, id
+  `, [stepId]);
+  const variants = result.rows;
+  if (variants.length === 0) return null;
+
+  const totalWeight = variants.reduce((sum, v) => sum + v.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${leadId}:${stepId}`).digest();
+  let bucket = hash.readUInt32BE(0) % totalWeight;
+
+  for (const variant of variants) {
+    if (bucket < variant.weight) return variant;
+    bucket -= variant.weight;
+  }
+  return variants[variants.length - 1];
+}
+
+// ==========================================
+// RESULTS
+// ==========================================
+
+/**
+ * Per-variant results for a step
+ * Counts are distinct leads; booked = entered meeting_booked after the send
+ */
+export async function getVariantStats(stepId) {
+  const result = await query(`
+    SELECT v.*,
+      COUNT(DISTINCT sm.lead_id) as sent,
+      COUNT(DISTINCT sm.lead_id) FILTER (WHERE sm.opened_at IS NOT NULL) as opened,
+      COUNT(DISTINCT sm.lead_id) FILTER (WHERE sm.clicked_at IS NOT NULL) as clicked,
+      COUNT(DISTINCT sm.lead_id) FILTER (WHERE b.booked) as booked
+    FROM sequence_step_variants v
+    LEFT JOIN sent_messages sm
+      ON sm.sequence_step_id = v.step_id
+      AND sm.metadata->>'variant_id' = v.id::text
+      AND sm.status NOT IN ('failed', 'suppressed')
+    LEFT JOIN LATERAL (
+      SELECT true as booked
+      FROM lead_sequences mb
+      JOIN sequences ms ON mb.sequence_id = ms.id
+      WHERE ms.slug = 'meeting_booked' AND mb.lead_id = sm.lead_id AND mb.enrolled_at >= sm.sent_at
+      LIMIT 1
+    ) b ON true
+    WHERE v.step_id = $1
+    GROUP BY v.id
+    ORDER BY v.created_at, v.id
+  `, [stepId]);
+
+  return result.rows.map(row => {
+    const sent = parseInt(row.sent);
+    const stats = { sent };
+    for (const metric of AB_METRICS) {
+      stats[metric] = parseInt(row[metric]);
+      stats[`${metric}Rate`] = sent > 0 ? Math.round((stats[metric] / sent) * 1000) / 10 : 0;
+    }
+    return { ...row, ...stats };
+  });
+}
+
+/**
+ * A step's A/B settings with per-variant results, or null if the step doesn't exist
+ */
+export async function getStepAbTest(stepId) {
+  const stepResult = await query(
+    'SELECT id, name, ab_auto_promote, ab_min_sample, ab_metric FROM sequence_steps WHERE id = $1',
+    [stepId]
+  );
+  const step = stepResult.rows[0];
+  if (!step) return null;
+
+  return { step, variants: await getVariantStats(stepId) };
+}
+
+/**
+ * Make one variant the only active one
+ */
+export async function promoteVariant(variantId) {
+  const variant = await getVariantById(variantId);
+  if (!variant) return null;
+
+  await query(`
+    UPDATE sequence_step_variants
+    SET is_active = (id = $1), promoted_at = CASE WHEN id = $1 THEN NOW() ELSE promoted_at END, updated_at = NOW()
+    WHERE step_id = $2
+  `, [variantId, variant.step_id]);
+
+  console.log(`🏆 Variant "${variant.name}" promoted for step ${variant.step_id}`);
+  return getVariantById(variantId);
+}
+
+/**
+ * Promote the winner if the step auto-promotes and every active variant has
+ * reached the sample size. A tie keeps the test running.
+ * Returns the promoted variant or null
+ */
+export async function maybePromoteWinner(stepId) {
+  const stepResult = await query(
+    'SELECT ab_auto_promote, ab_min_sample, ab_metric FROM sequence_steps WHERE id = $1',
+    [stepId]
+  );
+  const step = stepResult.rows[0];
+  if (!step?.ab_auto_promote) return null;
+
+  const active = (await getVariantStats(stepId)).filter(v => v.is_active);
+  if (active.length < 2) return null;
+  if (active.some(v => v.sent < (step.ab_min_sample || 100))) return null;
+
+  const metric = AB_METRICS.includes(step.ab_metric) ? step.ab_metric : 'opened';
+  const ranked = [...active].sort((a, b) => b[metric] / b.sent - a[metric] / a.sent);
+  if (ranked[0][metric] / ranked[0].sent === ranked[1][metric] / ranked[1].sent) return null;
+
+  return promoteVariant(ranked[0].id);
+}
+
+export default {
+  AB_METRICS,
+  getStepVariants,
+  getVariantById,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  pickVariantForLead,
+  getVariantStats,
+  getStepAbTest,
+  promoteVariant,
+  maybePromoteWinner
+};
@@ -0,0 +1,275 @@
+/**
+ * Suppression Service
+ *
+ * Global do-not-contact list plus signed one-click unsubscribe links.
+ *
+ * sendEmail() and sendWhatsApp() consult the list before every send and
+ * return { success: false, suppressed: true } instead of sending, so no
+ * path can bypass it. Callers record those as status 'suppressed'.
+ *
+ * Environment Variables:
+ * - PUBLIC_URL: Base URL for unsubscribe links
+ * - UNSUBSCRIBE_SECRET: Key for signing unsubscribe tokens (generated and
+ *   stored in system_settings if not set)
+ */
+
+import crypto from 'crypto';
+import { query } from '../database/connection.js';
+
+export const SUPPRESSION_CHANNELS = ['email', 'whatsapp'];
+export const SUPPRESSION_REASONS = ['unsubscribe', 'manual', 'bounce', 'complaint', 'stop'];
+
+// Whole-message replies treated as a WhatsApp opt-out (compared after normalizeKeyword)
+const OPT_OUT_KEYWORDS = new Set([
+  'stop', 'stop all', 'stopall', 'unsubscribe', 'opt out', 'optout',
+  'توقف', 'توقفوا', 'ايقاف', 'الغاء', 'الغاء الاشتراك', 'لا ترسل', 'لا تراسلني'
+]);
+
+const DEFAULT_PUBLIC_URL = 'https://leadgenwebhook-production.up.railway.app';
+
+let signingSecret = null;
+
+// ==========================================
+// ADDRESSES
+// ==========================================
+
+/**
+ * Normalize an address for storage/lookup
+ * Email: trimmed lowercase. WhatsApp: digits only.
+ */
+export function normalizeAddress(channel, address) {
+  if (!address) return null;
+  if (channel === 'email') return String(address).trim().toLowerCase() || null;
+  return String(address).replace(/\D/g, '') || null;
+}
+
+/**
+ * Check whether any of the given addresses is suppressed on a channel
+ * Returns the suppression row or null
+ */
+export async function getSuppression(channel, ...addresses) {
+  const normalized = [...new Set(addresses.map(a => normalizeAddress(channel, a)).filter(Boolean))];
+  if (normalized.length === 0) return null;
+
+  const result = await query(
+    'SELECT * FROM suppression_list WHERE channel = $1 AND address = ANY($2) LIMIT 1',
+    [channel, normalized]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lowercase, drop punctuation/emoji and Arabic diacritics, unify alef/ya forms
+ */
+function normalizeKeyword(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[إأآ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Is this inbound message an opt-out request?
+ * Only the whole message counts, so "don't stop sending" isn't an opt-out
+ */
+export function isOptOutMessage(text) {
+  if (!text) return false;
+  return OPT_OUT_KEYWORDS.has(normalizeKeyword(text));
+}
+
+/**
+ * Add an address to the suppression list (idempotent)
+ * Also clears the matching lead consent flag and newsletter subscription
+ */
+export async function suppress({ channel, address, leadId = null, reason = 'manual', source = null, notes = null }) {
+  const normalized = normalizeAddress(channel, address);
+  if (!normalized) {
+    throw new Error('A valid address is required');
+  }
+
+  const result = await query(`
+    INSERT INTO suppression_list (channel, address, lead_id, reason, source, notes)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (channel, address) DO UPDATE SET
+      lead_id = COALESCE(suppression_list.lead_id, EXCLUDED.lead_id)
+    RETURNING *
+  `, [channel, normalized, leadId, reason, source, notes]);
+
+  if (channel === 'email') {
+    await query(`
+      UPDATE leads SET email_consent = false, updated_at = NOW()
+      WHERE LOWER(email) = $1
+    `, [normalized]);
+    await query(`
+      UPDATE newsletter_subscribers SET status = 'unsubscribed', unsubscribed_at = NOW()
+      WHERE LOWER(email) = $1 AND status != 'unsubscribed'
+    `, [normalized]);
+  } else if (leadId) {
+    await query('UPDATE leads SET whatsapp_consent = false, updated_at = NOW() WHERE id = $1', [leadId]);
+  }
+
+  console.log(`🚫 Suppressed ${channel} ${normalized} (${reason})`);
+  return result.rows[0];
+}
+
+/**
+ * Remove a suppression by ID
+ */
+export async function removeSuppression(id) {
+  const result = await query('DELETE FROM suppression_list WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List suppressions (paginated, optional channel/search filter)
+ */
+export async function getSuppressions({ channel = null, search = null, page = 1, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (channel) {
+    params.push(channel);
+    conditions.push(`s.channel = $${params.length}`);
+  }
+  if (search) {
+    params.push(`%${search.toLowerCase()}%`);
+    conditions.push(`s.address LIKE $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*) as total FROM suppression_list s ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const offset = (page - 1) * limit;
+  const result = await query(`
+    SELECT s.*, l.first_name, l.last_name
+    FROM suppression_list s
+    LEFT JOIN leads l ON s.lead_id = l.id
+    ${where}
+    ORDER BY s.created_at DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return {
+    suppressions: result.rows,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+}
+
+/**
+ * Log a send that was skipped because the address is suppressed
+ * (sent_messages row with status 'suppressed' so it shows in the lead's history)
+ */
+export async function recordSkippedSend({
+  leadId, channel, messageType, reason,
+  leadSequenceId = null, stepId = null, subject = null
+}) {
+  if (!leadId) return;
+
+  await query(`
+    INSERT INTO sent_messages (
+      lead_id, lead_sequence_id, sequence_step_id, channel, message_type,
+      subject, status, error_message, failed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, 'suppressed', $7, NOW())
+  `, [leadId, leadSequenceId, stepId, channel, messageType, subject, `Suppressed: ${reason}`]);
+}
+
+// ==========================================
+// UNSUBSCRIBE TOKENS
+// ==========================================
+
+/**
+ * Get the token signing key (env, or a generated one persisted in system_settings)
+ */
+async function getSigningSecret() {
+  if (process.env.UNSUBSCRIBE_SECRET) return process.env.UNSUBSCRIBE_SECRET;
+  if (signingSecret) return signingSecret;
+
+  await query(`
+    INSERT INTO system_settings (key, value, description)
+    VALUES ('unsubscribe_secret', $1, 'Signing key for unsubscribe links')
+    ON CONFLICT (key) DO NOTHING
+  `, [crypto.randomBytes(32).toString('hex')]);
+
+  const result = await query("SELECT value FROM system_settings WHERE key = 'unsubscribe_secret'");
+  signingSecret = result.rows[0].value;
+  return signingSecret;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed unsubscribe token for an email address
+ */
+export async function createUnsubscribeToken(email) {
+  const payload = Buffer.from(normalizeAddress('email', email)).toString('base64url');
+  return `${payload}.${sign(payload, await getSigningSecret())}`;
+}
+
+/**
+ * Verify a token - returns the email address or null
+ */
+export async function verifyUnsubscribeToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, await getSigningSecret()));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  return Buffer.from(payload, 'base64url').toString();
+}
+
+/**
+ * Public unsubscribe URL for an email address
+ */
+export async function getUnsubscribeUrl(email) {
+  const baseUrl = (process.env.PUBLIC_URL || DEFAULT_PUBLIC_URL).replace(/\/$/, '');
+  return `${baseUrl}/unsubscribe/${await createUnsubscribeToken(email)}`;
+}
+
+/**
+ * Unsubscribe via token - returns the email or null if the token is invalid
+ */
+export async function unsubscribeWithToken(token, source = 'unsubscribe_link') {
+  const email = await verifyUnsubscribeToken(token);
+  if (!email) return null;
+
+  const lead = await query('SELECT id FROM leads WHERE LOWER(email) = $1 LIMIT 1', [email]);
+  await suppress({ channel: 'email', address: email, leadId: lead.rows[0]?.id || null, reason: 'unsubscribe', source });
+
+  // Nothing else should go out to them from sequences
+  if (lead.rows[0]) {
+    await query(`
+      UPDATE message_queue SET status = 'suppressed'
+      WHERE lead_id = $1 AND channel = 'email' AND status = 'pending'
+    `, [lead.rows[0].id]);
+  }
+
+  return email;
+}
+
+export default {
+  SUPPRESSION_CHANNELS,
+  SUPPRESSION_REASONS,
+  normalizeAddress,
+  isOptOutMessage,
+  getSuppression,
+  suppress,
+  removeSuppression,
+  getSuppressions,
+  recordSkippedSend,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeUrl,
+  unsubscribeWithToken
+};
@@ -0,0 +1,356 @@
+/**
+ * Task Service
+ *
+ * Follow-up tasks per lead: a due date, an owner, a type (call, email,
+ * WhatsApp, meeting prep) and an optional recurrence. Completing a recurring
+ * task schedules its next occurrence.
+ *
+ * Tasks are also created automatically from lead events (createAutoTask):
+ * - unanswered_call: a call is logged as unanswered
+ * - hot_intent: WhatsApp intent scoring says hot_lead
+ * - no_show: the lead missed their meeting
+ * A lead has at most one open task per event, so repeated events don't pile up.
+ */
+
+import { query, transaction } from '../database/connection.js';
+
+export const TASK_TYPES = ['call', 'email', 'whatsapp', 'meeting_prep', 'other'];
+export const TASK_STATUSES = ['open', 'completed', 'cancelled'];
+export const TASK_RECURRENCES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+// Automatic follow-ups: task type, title and how soon it is due
+export const AUTO_TASKS = {
+  unanswered_call: { type: 'call', title: (name) => `Call back ${name}`, dueInHours: 4 },
+  hot_intent: { type: 'whatsapp', title: (name) => `Follow up hot lead ${name}`, dueInHours: 1 },
+  no_show: { type: 'call', title: (name) => `Reach out to ${name} after no-show`, dueInHours: 2 }
+};
+
+const TASK_FIELDS = ['title', 'description', 'type', 'due_at', 'assigned_to', 'recurrence', 'recurrence_until'];
+
+const TASK_SELECT = `
+  SELECT t.*,
+    l.first_name, l.last_name, l.email as lead_email, l.phone as lead_phone, l.company as lead_company,
+    u.name as assigned_to_name, u.email as assigned_to_email,
+    (t.status = 'open' AND t.due_at < NOW()) as is_overdue
+  FROM lead_tasks t
+  JOIN leads l ON l.id = t.lead_id
+  LEFT JOIN users u ON u.id = t.assigned_to
+`;
+
+const leadName = (lead) =>
+  [lead.first_name, lead.last_name].filter(Boolean).join(' ') || lead.email || lead.phone || 'lead';
+
+/**
+ * Next due date of a recurring task (weekdays skips Saturday and Sunday)
+ */
+export function nextOccurrence(dueAt, recurrence) {
+  const next = new Date(dueAt);
+  switch (recurrence) {
+    case 'daily':
+      next.setUTCDate(next.getUTCDate() + 1);
+      break;
+    case 'weekdays':
+      do {
+        next.setUTCDate(next.getUTCDate() + 1);
+      } while ([0, 6].includes(next.getUTCDay()));
+      break;
+    case 'weekly':
+      next.setUTCDate(next.getUTCDate() + 7);
+      break;
+    case 'monthly':
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      break;
+    default:
+      return null;
+  }
+  return next;
+}
+
+async function logTaskActivity(task, type, description, performedBy, db = { query }) {
+  await db.query(`
+    INSERT INTO lead_activities (lead_id, type, description, metadata, performed_by)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    task.lead_id,
+    type,
+    description,
+    JSON.stringify({ task_id: task.id, task_type: task.type, source: task.source }),
+    performedBy
+  ]);
+}
+
+// ==========================================
+// QUERIES
+// ==========================================
+
+/**
+ * WHERE clause for the task list filters.
+ * assignedTo: user ID, 'me' or 'unassigned'. due: overdue, today, upcoming
+ * (today/upcoming are calendar days in timezone).
+ */
+function buildTaskFilters({ assignedTo, status = 'open', due, leadId, type, source, timezone = 'UTC' }, user) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (status && status !== 'all') add('t.status = ?', status);
+  if (assignedTo === 'unassigned') conditions.push('t.assigned_to IS NULL');
+  else if (assignedTo) add('t.assigned_to = ?', assignedTo === 'me' ? user?.id : assignedTo);
+  if (leadId) add('t.lead_id = ?', leadId);
+  if (type) add('t.type = ?', type);
+  if (source) add('t.source = ?', source);
+
+  if (due === 'overdue') {
+    conditions.push('t.due_at < NOW()');
+  } else if (due === 'today' || due === 'upcoming') {
+    params.push(timezone);
+    const day = `(t.due_at AT TIME ZONE $${params.length})::date`;
+    const today = `(NOW() AT TIME ZONE $${params.length})::date`;
+    conditions.push(due === 'today' ? `t.due_at >= NOW() AND ${day} = ${today}` : `${day} > ${today}`);
+  }
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * A page of tasks with their lead and owner. Open tasks soonest first,
+ * closed ones most recently closed first.
+ */
+export async function getTasks(options = {}, user = null) {
+  const { page = 1, limit = 50, status = 'open' } = options;
+  const { where, params } = buildTaskFilters({ ...options, status }, user);
+
+  const countResult = await query(`SELECT COUNT(*) as count FROM lead_tasks t ${where}`, params);
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  const order = status === 'open'
+    ? 't.due_at ASC'
+    : 'COALESCE(t.completed_at, t.updated_at) DESC';
+  const result = await query(
+    `${TASK_SELECT} ${where} ORDER BY ${order} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    tasks: result.rows,
+    pagination: {
+      page,
+      limit,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      hasMore: page * limit < totalCount
+    }
+  };
+}
+
+export async function getTaskById(id) {
+  const result = await query(`${TASK_SELECT} WHERE t.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Open task counts for a user (header badges): overdue, due later today, all open
+ */
+export async function getTaskSummary(userId, timezone = 'UTC') {
+  const result = await query(`
+    SELECT
+      COUNT(*) FILTER (WHERE due_at < NOW())::int as overdue,
+      COUNT(*) FILTER (WHERE due_at >= NOW() AND (due_at AT TIME ZONE $2)::date = (NOW() AT TIME ZONE $2)::date)::int as due_today,
+      COUNT(*)::int as open
+    FROM lead_tasks
+    WHERE status = 'open' AND assigned_to = $1
+  `, [userId, timezone]);
+  return result.rows[0];
+}
+
+// ==========================================
+// CRUD
+// ==========================================
+
+// leads.assigned_to is free text - only a real user ID can own the task
+async function leadOwnerId(lead) {
+  if (!lead.assigned_to) return null;
+  const result = await query('SELECT id FROM users WHERE id::text = $1', [lead.assigned_to]);
+  return result.rows[0]?.id || null;
+}
+
+async function assertAssignee(userId) {
+  if (!userId) return;
+  const result = await query('SELECT id FROM users WHERE id = $1 AND is_active = true', [userId]);
+  if (!result.rows[0]) throw new Error('User not found');
+}
+
+/**
+ * Create a task. The owner defaults to the lead's owner.
+ * Throws 'Lead not found' / 'User not found'.
+ */
+export async function createTask(data, user = null) {
+  const leadResult = await query('SELECT id, assigned_to FROM leads WHERE id = $1', [data.lead_id]);
+  const lead = leadResult.rows[0];
+  if (!lead) throw new Error('Lead not found');
+
+  const assignedTo = data.assigned_to !== undefined ? data.assigned_to : await leadOwnerId(lead);
+  await assertAssignee(assignedTo);
+
+  const result = await query(`
+    INSERT INTO lead_tasks (lead_id, title, description, type, due_at, assigned_to, recurrence, recurrence_until, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING id
+  `, [
+    lead.id,
+    data.title,
+    data.description || null,
+    data.type || 'call',
+    data.due_at,
+    assignedTo || null,
+    data.recurrence || null,
+    data.recurrence_until || null,
+    user?.email || null
+  ]);
+
+  return getTaskById(result.rows[0].id);
+}
+
+/**
+ * Update a task's fields. status 'completed' completes it (and schedules the
+ * next occurrence) in the same transaction, so a refused completion changes
+ * nothing. Throws 'Task not found' / 'User not found' / 'Task is not open' /
+ * 'Lead already has this open task' (reopening an automatic task the lead
+ * has again since).
+ */
+export async function updateTask(id, updates, user = null) {
+  const task = await getTaskById(id);
+  if (!task) throw new Error('Task not found');
+  if (updates.status === 'completed' && task.status !== 'open') throw new Error('Task is not open');
+  if (updates.assigned_to !== undefined) await assertAssignee(updates.assigned_to);
+
+  const { status, ...fields } = updates;
+  const sets = [];
+  const params = [];
+  for (const field of TASK_FIELDS) {
+    if (fields[field] === undefined) continue;
+    params.push(fields[field]);
+    sets.push(`${field} = $${params.length}`);
+  }
+  if (status === 'open' || status === 'cancelled') {
+    params.push(status);
+    sets.push(`status = $${params.length}`, 'completed_at = NULL', 'completed_by = NULL');
+  }
+
+  try {
+    await transaction(async (client) => {
+      if (sets.length > 0) {
+        params.push(id);
+        await client.query(
+          `UPDATE lead_tasks SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+          params
+        );
+      }
+      if (status === 'completed') await markCompleted(client, id, user);
+    });
+  } catch (error) {
+    // idx_lead_tasks_auto_open
+    if (error.code === '23505') throw new Error('Lead already has this open task');
+    throw error;
+  }
+
+  return getTaskById(id);
+}
+
+/**
+ * Mark a task done. Recurring tasks get their next occurrence (the first one
+ * still in the future, up to recurrence_until). Returns { task, next }.
+ * Throws 'Task not found' / 'Task is not open'.
+ */
+export async function completeTask(id, user = null) {
+  const task = await getTaskById(id);
+  if (!task) throw new Error('Task not found');
+  if (task.status !== 'open') throw new Error('Task is not open');
+
+  const nextId = await transaction(client => markCompleted(client, id, user));
+  return { task: await getTaskById(id), next: nextId ? await getTaskById(nextId) : null };
+}
+
+// Complete an open task and schedule its next occurrence; returns the next one's ID
+async function markCompleted(client, id, user) {
+  const result = await client.query(`
+    UPDATE lead_tasks SET status = 'completed', completed_at = NOW(), completed_by = $2, updated_at = NOW()
+    WHERE id = $1 AND status = 'open'
+    RETURNING *
+  `, [id, user?.email || null]);
+  const task = result.rows[0];
+  if (!task) throw new Error('Task is not open');
+  await logTaskActivity(task, 'task_completed', `Task completed: ${task.title}`, user?.id || 'system', client);
+
+  if (!task.recurrence) return null;
+  let dueAt = nextOccurrence(task.due_at, task.recurrence);
+  while (dueAt <= new Date()) dueAt = nextOccurrence(dueAt, task.recurrence);
+  if (task.recurrence_until && dueAt > new Date(task.recurrence_until)) return null;
+
+  const next = await client.query(`
+    INSERT INTO lead_tasks (lead_id, title, description, type, due_at, assigned_to, recurrence, recurrence_until, source, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT DO NOTHING
+    RETURNING id
+  `, [task.lead_id, task.title, task.description, task.type, dueAt, task.assigned_to,
+    task.recurrence, task.recurrence_until, task.source, task.created_by]);
+  return next.rows[0]?.id || null;
+}
+
+export async function deleteTask(id) {
+  const result = await query('DELETE FROM lead_tasks WHERE id = $1 RETURNING id', [id]);
+  return result.rowCount > 0;
+}
+
+// ==========================================
+// AUTOMATIC TASKS
+// ==========================================
+
+/**
+ * Create the follow-up task for a lead event (see AUTO_TASKS), owned by the
+ * lead's owner. Skipped when the lead already has an open task for the same
+ * event. Never throws - a failed task must not break the event itself.
+ */
+export async function createAutoTask(lead, event, { description = null } = {}) {
+  const config = AUTO_TASKS[event];
+  if (!config || !lead?.id) return null;
+
+  try {
+    const dueAt = new Date(Date.now() + config.dueInHours * 60 * 60 * 1000);
+    const result = await query(`
+      INSERT INTO lead_tasks (lead_id, title, description, type, due_at, assigned_to, source, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'system')
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, [lead.id, config.title(leadName(lead)), description, config.type, dueAt, await leadOwnerId(lead), event]);
+
+    const task = result.rows[0];
+    if (!task) return null;
+
+    await logTaskActivity(task, 'task_created', `Task created: ${task.title}`, 'system');
+    console.log(`📝 ${event} task created for lead ${lead.id}`);
+    return task;
+  } catch (error) {
+    console.error(`Failed to create ${event} task for lead ${lead.id}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  TASK_TYPES,
+  TASK_STATUSES,
+  TASK_RECURRENCES,
+  AUTO_TASKS,
+  nextOccurrence,
+  getTasks,
+  getTaskById,
+  getTaskSummary,
+  createTask,
+  updateTask,
+  completeTask,
+  deleteTask,
+  createAutoTask
+};
@@ -5,6 +5,9 @@
  * - Instance "lead" (Haarith): Used for INITIAL messages (welcome, confirmation)
  * - Instance "meta" (+44 number): Used for FOLLOW-UP messages (reminders, value emails)
  * 
+ * Each instance is rate limited (per minute, per day, warm-up - see
+ * sendThrottleService); a send over the limit returns { throttled: true, retryAt }.
+ * 
  * Required Environment Variables:
  * - EVOLUTION_API_URL: Your Evolution API instance URL (e.g., https://evolution-production-3990.up.railway.app)
  * - EVOLUTION_API_KEY: Your Evolution API key
@@ -13,18 +16,11 @@
  */
 
 import { query } from '../database/connection.js';
-import OpenAI from 'openai';
+import { canUseLLM, complete } from './llmService.js';
+import { getSuppression } from './suppressionService.js';
+import { acquireSendSlot, releaseSendSlot, getSenderUsage } from './sendThrottleService.js';
 
 let config = null;
-let openai = null;
-
-// Initialize OpenAI if API key is available
-function getOpenAI() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  }
-  return openai;
-}
 
 /**
  * Initialize WhatsApp service
@@ -94,9 +90,8 @@ function formatPhoneNumber(phone) {
  * Based on lead context (name, company, form data)
  */
 async function inferCountryCode(phone, leadContext = {}) {
-  const ai = getOpenAI();
-  if (!ai) {
-    console.log('⚠️ OpenAI not configured, cannot infer country code');
+  if (!(await canUseLLM())) {
+    console.log('⚠️ LLM not configured or budget reached, cannot infer country code');
     return null;
   }
 
@@ -124,14 +119,15 @@ Example: If the number is 77426398 and context suggests Oman, return: 9687742639
 
 Phone number with country code:`;
 
-    const response = await ai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 50,
-      temperature: 0
+    const response = await complete('phone_inference', {
+      prompt,
+      maxTokens: 50,
+      temperature: 0,
+      cache: true,
+      leadId: leadContext.id
     });
 
-    const inferredNumber = response.choices[0].message.content.trim().replace(/[^\d]/g, '');
+    const inferredNumber = response.text.replace(/[^\d]/g, '');
     
     if (inferredNumber && inferredNumber.length > phone.replace(/[^\d]/g, '').length) {
       console.log(`🤖 AI inferred phone: ${phone} → ${inferredNumber}`);
@@ -167,6 +163,41 @@ function getInstanceConfig(isInitial = false) {
   };
 }
 
+/**
+ * Instance names in use (throttle keys)
+ */
+export function getWhatsAppSenders() {
+  if (!config) return [];
+  return [...new Set([config.instance_initial || 'lead', config.instance_followup || 'meta'])];
+}
+
+/**
+ * Each instance's usage against its rate limits
+ */
+export async function getWhatsAppUsage() {
+  return getSenderUsage('whatsapp', getWhatsAppSenders());
+}
+
+/**
+ * Internal: reserve a send on the instance, or the throttled result to return
+ */
+async function reserveInstanceSlot(isInitial) {
+  const { instance } = getInstanceConfig(isInitial);
+  const slot = await acquireSendSlot('whatsapp', instance);
+  if (slot.acquired) return { slotId: slot.slotId };
+  
+  console.log(`⏳ WhatsApp instance "${instance}" at its send limit until ${slot.retryAt.toISOString()}`);
+  return {
+    throttled: {
+      success: false,
+      throttled: true,
+      retryAt: slot.retryAt,
+      instance,
+      error: `WhatsApp instance "${instance}" is at its send limit`
+    }
+  };
+}
+
 /**
  * Internal function to send WhatsApp message
  */
@@ -221,6 +252,7 @@ async function sendWhatsAppInternal(formattedPhone, message, mediaUrl, useInitia
 /**
  * Send WhatsApp message via Evolution API
  * With AI-powered phone number correction on failure
+ * Suppressed numbers are skipped ({ success: false, suppressed: true })
  * 
  * @param phone - Phone number to send to
  * @param message - Message text
@@ -234,6 +266,13 @@ export async function sendWhatsApp({ phone, message, mediaUrl = null, isInitial
     return { success: false, error: 'Invalid phone number' };
   }
   
+  // CRITICAL: Never message a suppressed (opted-out) number
+  const suppression = await getSuppression('whatsapp', phone, formattedPhone);
+  if (suppression) {
+    console.log(`🚫 WhatsApp to ${formattedPhone} skipped - suppressed (${suppression.reason})`);
+    return { success: false, suppressed: true, reason: suppression.reason };
+  }
+  
   // ONLY use isInitial flag - this is set correctly by the caller
   const useInitialInstance = isInitial;
   
@@ -247,6 +286,10 @@ export async function sendWhatsApp({ phone, message, mediaUrl = null, isInitial
     };
   }
   
+  // Rate limit per instance - protects the numbers from bans
+  const reservation = await reserveInstanceSlot(useInitialInstance);
+  if (reservation.throttled) return reservation.throttled;
+  
   try {
     // First attempt with the formatted phone
     let result = await sendWhatsAppInternal(formattedPhone, message, mediaUrl, useInitialInstance);
@@ -272,11 +315,13 @@ export async function sendWhatsApp({ phone, message, mediaUrl = null, isInitial
     
     if (!result.success) {
       console.error(`❌ WhatsApp failed:`, result.error);
+      await releaseSendSlot(reservation.slotId);
     }
     
     return result;
   } catch (error) {
     console.error('WhatsApp API error:', error);
+    await releaseSendSlot(reservation.slotId);
     return {
       success: false,
       error: error.message
@@ -294,9 +339,17 @@ export async function sendWhatsAppTemplate({ phone, templateId, variables = {},
     return { success: false, error: 'Not configured or invalid phone' };
   }
   
+  const suppression = await getSuppression('whatsapp', phone, formattedPhone);
+  if (suppression) {
+    return { success: false, suppressed: true, reason: suppression.reason };
+  }
+  
   const instanceConfig = getInstanceConfig(isInitial);
   const { instance: instanceName, apiKey } = instanceConfig;
   
+  const reservation = await reserveInstanceSlot(isInitial);
+  if (reservation.throttled) return reservation.throttled;
+  
   try {
     const response = await fetch(`${config.api_url}/message/sendTemplate/${instanceName}`, {
       method: 'POST',
@@ -321,12 +374,14 @@ export async function sendWhatsAppTemplate({ phone, templateId, variables = {},
         instance: instanceName
       };
     } else {
+      await releaseSendSlot(reservation.slotId);
       return {
         success: false,
         error: data.message || 'Failed to send template'
       };
     }
   } catch (error) {
+    await releaseSendSlot(reservation.slotId);
     return {
       success: false,
       error: error.message
@@ -352,6 +407,7 @@ export async function getWhatsAppStatus() {
     ];
     
     const statuses = {};
+    const usage = await getWhatsAppUsage();
     
     for (const inst of instances) {
       try {
@@ -362,7 +418,8 @@ export async function getWhatsAppStatus() {
         statuses[inst.type] = {
           instance: inst.name,
           state: data.instance?.state || 'unknown',
-          connected: data.instance?.state === 'open'
+          connected: data.instance?.state === 'open',
+          usage: usage.find(row => row.sender === inst.name)
         };
       } catch (e) {
         statuses[inst.type] = {
@@ -433,6 +490,8 @@ export default {
   sendWhatsApp,
   sendWhatsAppTemplate,
   getWhatsAppStatus,
+  getWhatsAppSenders,
+  getWhatsAppUsage,
   saveWhatsAppConfig,
   getWhatsAppConfig
 };
@@ -0,0 +1,20 @@
+/**
+ * Lead merge rules
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeConsent } from '../src/services/leadDedupService.js';
+
+test('merge keeps an opt-out from either lead', () => {
+  assert.equal(mergeConsent(true, false), false);
+  assert.equal(mergeConsent(false, true), false);
+  assert.equal(mergeConsent(false, null), false);
+});
+
+test('merge keeps consent when neither lead withdrew it', () => {
+  assert.equal(mergeConsent(true, true), true);
+  assert.equal(mergeConsent(true, null), true);
+  assert.equal(mergeConsent(null, true), true);
+  assert.equal(mergeConsent(null, undefined), false);
+});
@@ -0,0 +1,40 @@
+/**
+ * Lead export writers: formula neutralizing in CSV, values kept in XLSX
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { writeRows } from '../src/services/leadExportService.js';
+
+const HEADERS = ['Name', 'Phone'];
+const ROWS = [[
+  { Name: '=HYPERLINK("http://evil.example","Click")', Phone: '+971 50 123 4567' },
+  { Name: '@SUM(A1)', Phone: '-12.5' }
+]];
+
+async function exportTo(format) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => stream.on('end', resolve));
+  await writeRows(stream, format, HEADERS, ROWS);
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+test('CSV prefixes formula values and leaves phone numbers and numbers alone', async () => {
+  const lines = (await exportTo('csv')).toString('utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+  assert.equal(lines[1], `"'=HYPERLINK(""http://evil.example"",""Click"")",+971 50 123 4567`);
+  assert.equal(lines[2], `'@SUM(A1),-12.5`);
+});
+
+test('XLSX writes values unchanged as string cells', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await exportTo('xlsx'));
+  const row = workbook.getWorksheet('Leads').getRow(2);
+  assert.equal(row.getCell(1).value, '=HYPERLINK("http://evil.example","Click")');
+  assert.equal(row.getCell(1).type, ExcelJS.ValueType.String);
+  assert.equal(row.getCell(2).value, '+971 50 123 4567');
+});
@@ -5,15 +5,21 @@
  */
 
 import { Routes, Route, Navigate } from 'react-router-dom';
-import { motion, AnimatePresence } from 'framer-motion';
+import { AnimatePresence } from 'framer-motion';
 import Layout from './components/Layout';
 import Dashboard from './pages/Dashboard';
 import Leads from './pages/Leads';
+import Tasks from './pages/Tasks';
+import Scoring from './pages/Scoring';
+import AiUsage from './pages/AiUsage';
+import FailedMessages from './pages/FailedMessages';
+import SendLimits from './pages/SendLimits';
 import Evolution from './pages/Evolution';
 import WebhookLogs from './pages/WebhookLogs';
 import Playground from './pages/Playground';
 import Sequences from './pages/Sequences';
 import EbookLandingPage from './pages/EbookLandingPage';
+import Login from './pages/Login';
 
 function App() {
   return (
@@ -21,12 +27,18 @@ function App() {
       <Routes>
         {/* Standalone landing page - no header/nav, accessible only via direct URL */}
         <Route path="/ebook" element={<EbookLandingPage />} />
+        <Route path="/login" element={<Login />} />
         
-        {/* Main app routes with Layout (header/sidebar) */}
+        {/* Main app routes with Layout (header/sidebar) - requires login */}
         <Route path="/" element={<Layout />}>
           <Route index element={<Dashboard />} />
           <Route path="leads" element={<Leads />} />
+          <Route path="tasks" element={<Tasks />} />
+          <Route path="scoring" element={<Scoring />} />
+          <Route path="ai-usage" element={<AiUsage />} />
           <Route path="sequences" element={<Sequences />} />
+          <Route path="failed-messages" element={<FailedMessages />} />
+          <Route path="send-limits" element={<SendLimits />} />
           <Route path="evolution" element={<Evolution />} />
           <Route path="webhooks" element={<WebhookLogs />} />
           <Route path="playground" element={<Playground />} />
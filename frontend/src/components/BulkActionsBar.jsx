@@ -0,0 +1,304 @@
+/**
+ * Bulk Actions Bar
+ *
+ * Shown on the Leads page while leads are selected: pick one action (status,
+ * priority, tags, owner, sequence enrollment/cancellation or delete) and
+ * apply it to the selected leads - or to every lead matching the current
+ * filters. The action runs as a background job; progress and the leads that
+ * were skipped or failed are shown when it finishes.
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { Layers, Play, X, CheckCircle, AlertCircle } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { leadsApi, sequencesApi, routingApi } from '../lib/api';
+import { useAppStore, leadFiltersToSegment } from '../lib/store';
+import toast from 'react-hot-toast';
+import { cn } from '../lib/utils';
+
+const ACTIONS = [
+  { value: 'status', label: 'Change status' },
+  { value: 'priority', label: 'Change priority' },
+  { value: 'add_tags', label: 'Add tags' },
+  { value: 'remove_tags', label: 'Remove tags' },
+  { value: 'assign', label: 'Assign owner' },
+  { value: 'enroll', label: 'Enroll in sequence' },
+  { value: 'cancel_sequence', label: 'Cancel sequence' },
+  { value: 'delete', label: 'Delete' }
+];
+
+const STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Poll slowly - /api/leads shares the API rate limit
+const JOB_POLL_INTERVAL = 5000;
+const JOB_DONE_STATUSES = ['completed', 'failed'];
+
+const RESULT_STYLES = {
+  failed: 'text-danger-400',
+  skipped: 'text-warning-400',
+  succeeded: 'text-success-400'
+};
+
+/**
+ * Request params for the chosen action, or null while incomplete
+ */
+function buildParams(action, value) {
+  switch (action) {
+    case 'status':
+    case 'priority':
+      return value ? { [action]: value } : null;
+    case 'add_tags':
+    case 'remove_tags': {
+      const tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+      return tags.length ? { tags } : null;
+    }
+    case 'assign':
+      return { assignedTo: value || null };
+    case 'enroll':
+      return value ? { sequenceSlug: value } : null;
+    case 'cancel_sequence':
+      return value ? { sequenceSlug: value } : {};
+    case 'delete':
+      return {};
+    default:
+      return null;
+  }
+}
+
+function BulkActionsBar({ selectedLeads, totalCount, onClear }) {
+  const queryClient = useQueryClient();
+  const leadFilters = useAppStore((state) => state.leadFilters);
+
+  const [action, setAction] = useState('');
+  const [value, setValue] = useState('');
+  const [allMatching, setAllMatching] = useState(false);
+  const [jobId, setJobId] = useState(null);
+
+  const { data: sequencesData } = useQuery({
+    queryKey: ['sequences'],
+    queryFn: () => sequencesApi.getSequences(),
+    enabled: action === 'enroll' || action === 'cancel_sequence'
+  });
+
+  const { data: repsData } = useQuery({
+    queryKey: ['routingReps'],
+    queryFn: () => routingApi.getReps(),
+    enabled: action === 'assign'
+  });
+
+  const { data: jobData } = useQuery({
+    queryKey: ['leadBulkJob', jobId],
+    queryFn: () => leadsApi.getBulkJob(jobId),
+    enabled: !!jobId,
+    refetchInterval: (query) => JOB_DONE_STATUSES.includes(query.state.data?.data?.status) ? false : JOB_POLL_INTERVAL
+  });
+
+  const job = jobData?.data;
+  const jobDone = JOB_DONE_STATUSES.includes(job?.status);
+
+  useEffect(() => {
+    if (jobDone) {
+      queryClient.invalidateQueries({ queryKey: ['leads'] });
+      queryClient.invalidateQueries({ queryKey: ['segments'] });
+    }
+  }, [jobDone, queryClient]);
+
+  const startMutation = useMutation({
+    mutationFn: (data) => leadsApi.bulkAction(data),
+    onSuccess: (res) => {
+      toast.success(res.message || 'Bulk action started');
+      setJobId(res.data.id);
+    },
+    onError: (error) => toast.error(error.message || 'Failed to start bulk action')
+  });
+
+  const targetCount = allMatching ? totalCount : selectedLeads.length;
+  const params = buildParams(action, value);
+  const sequences = (sequencesData?.data || []).filter(seq => action !== 'enroll' || seq.is_active);
+
+  const handleActionChange = (next) => {
+    setAction(next);
+    setValue('');
+  };
+
+  const handleApply = () => {
+    const label = ACTIONS.find(a => a.value === action)?.label.toLowerCase();
+    const warning = action === 'delete' ? ' This cannot be undone.' : '';
+    if (!confirm(`Apply "${label}" to ${targetCount} lead${targetCount === 1 ? '' : 's'}?${warning}`)) return;
+
+    startMutation.mutate({
+      action,
+      params,
+      ...(allMatching ? { filters: leadFiltersToSegment(leadFilters) } : { leadIds: selectedLeads })
+    });
+  };
+
+  // Also used by Cancel - start fresh next time
+  const handleDismiss = () => {
+    setJobId(null);
+    setAction('');
+    setValue('');
+    setAllMatching(false);
+    onClear();
+  };
+
+  const renderValueInput = () => {
+    switch (action) {
+      case 'status':
+      case 'priority':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className="input-field py-2 text-sm w-auto">
+            <option value="">Choose {action}...</option>
+            {(action === 'status' ? STATUSES : PRIORITIES).map(option => (
+              <option key={option} value={option} className="bg-dark-800 text-white">{option}</option>
+            ))}
+          </select>
+        );
+      case 'add_tags':
+      case 'remove_tags':
+        return (
+          <input
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="tag1, tag2"
+            className="input-field py-2 text-sm w-56"
+          />
+        );
+      case 'assign':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className="input-field py-2 text-sm w-auto">
+            <option value="">Unassign</option>
+            {(repsData?.data || []).map(rep => (
+              <option key={rep.id} value={rep.id} className="bg-dark-800 text-white">{rep.name || rep.email}</option>
+            ))}
+          </select>
+        );
+      case 'enroll':
+      case 'cancel_sequence':
+        return (
+          <select value={value} onChange={(e) => setValue(e.target.value)} className="input-field py-2 text-sm w-auto">
+            <option value="">{action === 'enroll' ? 'Choose sequence...' : 'All sequences'}</option>
+            {sequences.map(seq => (
+              <option key={seq.slug} value={seq.slug} className="bg-dark-800 text-white">{seq.name}</option>
+            ))}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {(selectedLeads.length > 0 || jobId) && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="glass-card p-4 space-y-3"
+        >
+          {!jobId ? (
+            <div className="flex flex-wrap items-center gap-3">
+              <div className="flex items-center gap-2 text-sm text-dark-300">
+                <Layers className="w-4 h-4 text-dark-400" />
+                <span><span className="text-white font-medium">{selectedLeads.length}</span> leads selected</span>
+              </div>
+
+              {totalCount > selectedLeads.length && (
+                <label className="flex items-center gap-2 text-sm text-dark-300">
+                  <input type="checkbox" checked={allMatching} onChange={(e) => setAllMatching(e.target.checked)} />
+                  All {totalCount} matching the filters
+                </label>
+              )}
+
+              <select value={action} onChange={(e) => handleActionChange(e.target.value)} className="input-field py-2 text-sm w-auto">
+                <option value="">Bulk action...</option>
+                {ACTIONS.map(({ value: actionValue, label }) => (
+                  <option key={actionValue} value={actionValue} className="bg-dark-800 text-white">{label}</option>
+                ))}
+              </select>
+
+              {renderValueInput()}
+
+              <div className="flex items-center gap-3 ml-auto">
+                <button
+                  onClick={handleApply}
+                  disabled={!params || startMutation.isPending}
+                  className={cn(
+                    "px-4 py-2 rounded-xl transition-colors flex items-center gap-2 text-sm disabled:opacity-50",
+                    action === 'delete'
+                      ? "bg-danger-500/20 text-danger-400 hover:bg-danger-500/30"
+                      : "bg-primary-500 text-white hover:bg-primary-600"
+                  )}
+                >
+                  <Play className="w-4 h-4" />
+                  Apply to {targetCount}
+                </button>
+                <button
+                  onClick={handleDismiss}
+                  className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm text-dark-300">
+                  {jobDone ? (
+                    job.status === 'failed'
+                      ? <AlertCircle className="w-4 h-4 text-danger-400" />
+                      : <CheckCircle className="w-4 h-4 text-success-400" />
+                  ) : (
+                    <Layers className="w-4 h-4 text-primary-400 animate-pulse" />
+                  )}
+                  <span>
+                    {ACTIONS.find(a => a.value === job?.action)?.label || 'Bulk action'}:{' '}
+                    <span className="text-white font-medium">{job?.processed_count || 0}</span> / {job?.total_count || '...'} processed
+                  </span>
+                  {job && (
+                    <span className="text-xs">
+                      <span className="text-success-400">{job.succeeded_count} done</span>
+                      {' • '}<span className="text-warning-400">{job.skipped_count} skipped</span>
+                      {' • '}<span className="text-danger-400">{job.failed_count} failed</span>
+                    </span>
+                  )}
+                </div>
+                {jobDone && (
+                  <button onClick={handleDismiss} className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors">
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+
+              <div className="h-2 rounded-full bg-dark-800 overflow-hidden">
+                <div
+                  className="h-full bg-primary-500 transition-all"
+                  style={{ width: `${job?.total_count ? Math.round((job.processed_count / job.total_count) * 100) : 0}%` }}
+                />
+              </div>
+
+              {job?.error_message && <p className="text-xs text-danger-400">{job.error_message}</p>}
+
+              {/* Leads that didn't go through */}
+              {jobDone && job.results.some(row => row.result !== 'succeeded') && (
+                <div className="p-3 rounded-xl bg-dark-800/50 border border-dark-700 space-y-1 max-h-40 overflow-y-auto">
+                  {job.results.filter(row => row.result !== 'succeeded').map(row => (
+                    <p key={row.lead_id} className="text-xs text-dark-300">
+                      <span className={RESULT_STYLES[row.result]}>{row.result}</span> {row.lead_label}: {row.message}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+export default BulkActionsBar;
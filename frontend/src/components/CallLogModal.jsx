@@ -1,26 +1,89 @@
 /**
  * Call Logging Modal Component
- * 
- * Quick popup to log a call with keyboard shortcuts
+ *
+ * Quick popup to log a call with keyboard shortcuts. Optional details:
+ * disposition, duration, notes, next steps, call-back time and a recording.
  */
 
 import { motion, AnimatePresence } from 'framer-motion';
-import { useEffect } from 'react';
-import { Phone, CheckCircle2, XCircle, X } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { Phone, CheckCircle2, XCircle, X, Paperclip } from 'lucide-react';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { leadsApi } from '../lib/api';
 import toast from 'react-hot-toast';
 import { cn } from '../lib/utils';
 
+// Disposition -> implied outcome (mirrors the backend's call service)
+export const CALL_DISPOSITIONS = {
+  interested: { label: 'Interested', outcome: 'answered', className: 'text-success-400' },
+  callback: { label: 'Call back', outcome: 'answered', className: 'text-primary-400' },
+  not_interested: { label: 'Not interested', outcome: 'answered', className: 'text-warning-400' },
+  wrong_number: { label: 'Wrong number', outcome: 'answered', className: 'text-danger-400' },
+  voicemail: { label: 'Voicemail', outcome: 'unanswered', className: 'text-dark-300' }
+};
+
+const MAX_RECORDING_MB = 7;
+
+// 205 -> "3:25"
+export const formatDuration = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// "3:25" or "3" (minutes) -> seconds; undefined when blank or invalid
+function parseDuration(value) {
+  const match = value.trim().match(/^(\d+)(?::([0-5]?\d))?$/);
+  if (!match) return undefined;
+  return parseInt(match[1]) * 60 + (match[2] ? parseInt(match[2]) : 0);
+}
+
+// File -> base64 (without the data: URL prefix)
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.split(',')[1]);
+  reader.onerror = () => reject(new Error('Could not read file'));
+  reader.readAsDataURL(file);
+});
+
 function CallLogModal({ lead, onClose, isOpen = true }) {
   const queryClient = useQueryClient();
-
-  if (!isOpen || !lead) return null;
+  const [disposition, setDisposition] = useState(null);
+  const [duration, setDuration] = useState('');
+  const [notes, setNotes] = useState('');
+  const [nextSteps, setNextSteps] = useState('');
+  const [callbackAt, setCallbackAt] = useState('');
+  const [recordingFile, setRecordingFile] = useState(null);
 
   const logCallMutation = useMutation({
-    mutationFn: ({ id, outcome }) => leadsApi.logCall(id, outcome),
+    mutationFn: async ({ id, outcome }) => {
+      const data = {
+        outcome,
+        disposition: disposition || undefined,
+        durationSeconds: parseDuration(duration),
+        notes: notes.trim() || undefined,
+        nextSteps: nextSteps.trim() || undefined,
+        callbackAt: disposition === 'callback' && callbackAt ? new Date(callbackAt).toISOString() : undefined
+      };
+      if (recordingFile) {
+        data.recording = {
+          filename: recordingFile.name,
+          mimeType: recordingFile.type || 'audio/mpeg',
+          data: await readAsBase64(recordingFile)
+        };
+      }
+      return leadsApi.logCall(id, data);
+    },
     onSuccess: (data, variables) => {
-      toast.success(`Call logged: ${variables.outcome === 'answered' ? 'Answered' : 'Unanswered'}`);
+      const label = disposition ? CALL_DISPOSITIONS[disposition].label : variables.outcome === 'answered' ? 'Answered' : 'Unanswered';
+      toast.success(`Call logged: ${label}`);
+      const statusChange = data?.data?.status_change;
+      if (statusChange) {
+        toast.success(`Lead moved to ${statusChange.to}`);
+      }
+      if (data?.data?.follow_up_task) {
+        toast.success('Call-back task created');
+        queryClient.invalidateQueries({ queryKey: ['tasks'] });
+        queryClient.invalidateQueries({ queryKey: ['taskSummary'] });
+        queryClient.invalidateQueries({ queryKey: ['leadTasks', variables.id] });
+      }
       queryClient.invalidateQueries(['leads']);
       queryClient.invalidateQueries(['leadActivities', variables.id]);
       queryClient.invalidateQueries(['leadCallCount', variables.id]);
@@ -32,30 +95,48 @@ function CallLogModal({ lead, onClose, isOpen = true }) {
   });
 
   const handleLogCall = (outcome) => {
-    if (!lead) return;
-    logCallMutation.mutate({ id: lead.id, outcome });
+    if (!lead || logCallMutation.isPending) return;
+    logCallMutation.mutate({ id: lead.id, outcome: disposition ? CALL_DISPOSITIONS[disposition].outcome : outcome });
   };
 
-  // Keyboard shortcuts
+  const handleRecordingChange = (e) => {
+    const file = e.target.files?.[0] || null;
+    if (file && file.size > MAX_RECORDING_MB * 1024 * 1024) {
+      toast.error(`Recording is too large (max ${MAX_RECORDING_MB} MB)`);
+      e.target.value = '';
+      return;
+    }
+    setRecordingFile(file);
+  };
+
+  // Keyboard shortcuts (not while typing in a field)
   useEffect(() => {
+    if (!isOpen || !lead) return;
+
     const handleKeyPress = (e) => {
-      if (e.key === '1') {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onClose();
+        return;
+      }
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      if (e.key === '1' && !disposition) {
         e.preventDefault();
         handleLogCall('answered');
-      } else if (e.key === '2') {
+      } else if (e.key === '2' && !disposition) {
         e.preventDefault();
         handleLogCall('unanswered');
-      } else if (e.key === 'Escape') {
-        e.preventDefault();
-        onClose();
       }
     };
 
     window.addEventListener('keydown', handleKeyPress);
     return () => window.removeEventListener('keydown', handleKeyPress);
-  }, [lead]);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, lead, disposition, duration, notes, nextSteps, callbackAt, recordingFile]);
 
-  if (!lead) return null;
+  if (!isOpen || !lead) return null;
+
+  const durationInvalid = duration.trim() !== '' && parseDuration(duration) === undefined;
 
   return (
     <AnimatePresence>
@@ -71,7 +152,7 @@ function CallLogModal({ lead, onClose, isOpen = true }) {
           animate={{ scale: 1, opacity: 1 }}
           exit={{ scale: 0.95, opacity: 0 }}
           onClick={(e) => e.stopPropagation()}
-          className="glass-card w-full max-w-md p-6"
+          className="glass-card w-full max-w-md p-6 max-h-[90vh] overflow-y-auto"
         >
           {/* Header */}
           <div className="flex items-center justify-between mb-6">
@@ -94,50 +175,128 @@ function CallLogModal({ lead, onClose, isOpen = true }) {
             </button>
           </div>
 
-          {/* Instructions */}
-          <div className="mb-6 p-4 rounded-xl bg-dark-800/50 border border-dark-700/50">
-            <p className="text-sm text-dark-300 mb-2">
-              Press <kbd className="px-2 py-1 rounded bg-dark-700 text-white text-xs font-mono">1</kbd> for Answered
-            </p>
-            <p className="text-sm text-dark-300">
-              Press <kbd className="px-2 py-1 rounded bg-dark-700 text-white text-xs font-mono">2</kbd> for Unanswered
-            </p>
+          {/* Disposition */}
+          <div className="mb-4">
+            <label className="block text-sm text-dark-400 mb-2">Disposition (optional)</label>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(CALL_DISPOSITIONS).map(([value, { label, className }]) => (
+                <button
+                  key={value}
+                  onClick={() => setDisposition(disposition === value ? null : value)}
+                  className={cn(
+                    "px-3 py-1.5 rounded-lg text-sm border transition-colors",
+                    disposition === value
+                      ? "bg-primary-500/20 border-primary-500/50 text-white"
+                      : cn("bg-dark-800/50 border-dark-700/50 hover:border-dark-600", className)
+                  )}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
 
-          {/* Buttons */}
-          <div className="flex gap-3">
-            <button
-              onClick={() => handleLogCall('answered')}
-              disabled={logCallMutation.isLoading}
-              className={cn(
-                "flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-xl font-medium transition-all",
-                "bg-success-500/20 text-success-400 border border-success-500/30",
-                "hover:bg-success-500/30 hover:border-success-500/50",
-                "disabled:opacity-50 disabled:cursor-not-allowed"
+          {/* Details */}
+          <div className="space-y-3 mb-6">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">Duration (m:ss)</label>
+                <input
+                  type="text"
+                  value={duration}
+                  onChange={(e) => setDuration(e.target.value)}
+                  placeholder="3:25"
+                  className={cn("input-field", durationInvalid && "border-danger-500/50")}
+                />
+              </div>
+              {disposition === 'callback' && (
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">Call back at</label>
+                  <input
+                    type="datetime-local"
+                    value={callbackAt}
+                    onChange={(e) => setCallbackAt(e.target.value)}
+                    className="input-field"
+                  />
+                </div>
               )}
-            >
-              <CheckCircle2 className="w-5 h-5" />
-              Answered
-              <kbd className="ml-auto px-2 py-1 rounded bg-dark-700 text-xs font-mono">1</kbd>
-            </button>
+            </div>
+            <div>
+              <label className="block text-sm text-dark-400 mb-1">Notes</label>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                className="input-field resize-none"
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-dark-400 mb-1">Next steps</label>
+              <input
+                type="text"
+                value={nextSteps}
+                onChange={(e) => setNextSteps(e.target.value)}
+                placeholder="e.g. Send pricing PDF"
+                className="input-field"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-dark-400 hover:text-white cursor-pointer transition-colors">
+              <Paperclip className="w-4 h-4" />
+              <span className="truncate">{recordingFile ? recordingFile.name : 'Attach recording (optional)'}</span>
+              <input type="file" accept="audio/*,video/webm" onChange={handleRecordingChange} className="hidden" />
+            </label>
+          </div>
+
+          {/* Buttons */}
+          {disposition ? (
             <button
-              onClick={() => handleLogCall('unanswered')}
-              disabled={logCallMutation.isLoading}
-              className={cn(
-                "flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-xl font-medium transition-all",
-                "bg-danger-500/20 text-danger-400 border border-danger-500/30",
-                "hover:bg-danger-500/30 hover:border-danger-500/50",
-                "disabled:opacity-50 disabled:cursor-not-allowed"
-              )}
+              onClick={() => handleLogCall(CALL_DISPOSITIONS[disposition].outcome)}
+              disabled={logCallMutation.isPending || durationInvalid}
+              className="w-full px-6 py-3 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              <XCircle className="w-5 h-5" />
-              Unanswered
-              <kbd className="ml-auto px-2 py-1 rounded bg-dark-700 text-xs font-mono">2</kbd>
+              Log Call: {CALL_DISPOSITIONS[disposition].label}
             </button>
-          </div>
+          ) : (
+            <>
+              <div className="mb-3 text-xs text-dark-400">
+                Press <kbd className="px-2 py-1 rounded bg-dark-700 text-white text-xs font-mono">1</kbd> for Answered,{' '}
+                <kbd className="px-2 py-1 rounded bg-dark-700 text-white text-xs font-mono">2</kbd> for Unanswered
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleLogCall('answered')}
+                  disabled={logCallMutation.isPending || durationInvalid}
+                  className={cn(
+                    "flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-xl font-medium transition-all",
+                    "bg-success-500/20 text-success-400 border border-success-500/30",
+                    "hover:bg-success-500/30 hover:border-success-500/50",
+                    "disabled:opacity-50 disabled:cursor-not-allowed"
+                  )}
+                >
+                  <CheckCircle2 className="w-5 h-5" />
+                  Answered
+                  <kbd className="ml-auto px-2 py-1 rounded bg-dark-700 text-xs font-mono">1</kbd>
+                </button>
+                <button
+                  onClick={() => handleLogCall('unanswered')}
+                  disabled={logCallMutation.isPending || durationInvalid}
+                  className={cn(
+                    "flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-xl font-medium transition-all",
+                    "bg-danger-500/20 text-danger-400 border border-danger-500/30",
+                    "hover:bg-danger-500/30 hover:border-danger-500/50",
+                    "disabled:opacity-50 disabled:cursor-not-allowed"
+                  )}
+                >
+                  <XCircle className="w-5 h-5" />
+                  Unanswered
+                  <kbd className="ml-auto px-2 py-1 rounded bg-dark-700 text-xs font-mono">2</kbd>
+                </button>
+              </div>
+            </>
+          )}
 
           {/* Loading state */}
-          {logCallMutation.isLoading && (
+          {logCallMutation.isPending && (
             <div className="mt-4 text-center text-sm text-dark-400">
               Logging call...
             </div>
@@ -19,11 +19,9 @@ import {
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { cn } from '../lib/utils';
-import axios from 'axios';
+import api from '../lib/api';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
-
-function Chatbot({ isOpen, onClose, onToggle }) {
+function Chatbot({ isOpen, onClose }) {
   const [messages, setMessages] = useState([
     {
       role: 'assistant',
@@ -55,12 +53,10 @@ function Chatbot({ isOpen, onClose, onToggle }) {
         .filter(m => m.role !== 'system')
         .map(m => ({ role: m.role, content: m.content }));
       
-      const response = await axios.post(`${API_BASE_URL}/chatbot/query`, {
+      return api.post('/chatbot/query', {
         message,
         conversationHistory
       });
-      
-      return response.data;
     },
     onSuccess: (data) => {
       if (data.success && data.data) {
@@ -76,7 +72,7 @@ function Chatbot({ isOpen, onClose, onToggle }) {
       }
     },
     onError: (error) => {
-      toast.error(error.response?.data?.error || 'Failed to process query');
+      toast.error(error.message || 'Failed to process query');
       setMessages(prev => [
         ...prev,
         {
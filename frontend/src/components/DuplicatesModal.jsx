@@ -0,0 +1,205 @@
+/**
+ * Duplicates Review Modal
+ *
+ * Queue of leads that look like the same person (same email, phone, or
+ * name + company). Each pair can be merged - keeping either side - or
+ * dismissed as different people.
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState } from 'react';
+import { Users, X, GitMerge, XCircle, RefreshCw } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { leadsApi } from '../lib/api';
+import toast from 'react-hot-toast';
+import { cn, formatDate, getFullName, formatSource, formatPhone } from '../lib/utils';
+
+const REASON_LABELS = {
+  email: 'Same email',
+  phone: 'Same phone',
+  name_company: 'Same name & company'
+};
+
+function LeadCard({ lead, onKeep, disabled }) {
+  return (
+    <div className="flex-1 min-w-0 p-4 rounded-xl bg-dark-800/50 border border-dark-700/50 space-y-1">
+      <p className="text-white font-medium truncate">{getFullName(lead.first_name, lead.last_name)}</p>
+      <p className="text-sm text-dark-300 truncate">{lead.email || '—'}</p>
+      <p className="text-sm text-dark-300 truncate">{lead.phone ? formatPhone(lead.phone) : '—'}</p>
+      {lead.company && <p className="text-sm text-dark-400 truncate">{lead.company}</p>}
+      <p className="text-xs text-dark-500">
+        {formatSource(lead.source)} • {lead.status} • added {formatDate(lead.created_at)}
+      </p>
+      <button
+        onClick={onKeep}
+        disabled={disabled}
+        className={cn(
+          "mt-2 w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-all",
+          "bg-primary-500/20 text-primary-300 border border-primary-500/30 hover:bg-primary-500/30",
+          "disabled:opacity-50 disabled:cursor-not-allowed"
+        )}
+        title="Keep this lead and merge the other into it"
+      >
+        <GitMerge className="w-4 h-4" />
+        Keep this one
+      </button>
+    </div>
+  );
+}
+
+function DuplicatesModal({ isOpen, onClose, canScan = false }) {
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['leadDuplicates', page],
+    queryFn: () => leadsApi.getDuplicates({ page }),
+    enabled: isOpen
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['leadDuplicates']);
+    queryClient.invalidateQueries(['leads']);
+  };
+
+  const mergeMutation = useMutation({
+    mutationFn: ({ survivorId, mergeId }) => leadsApi.mergeLeads(survivorId, mergeId),
+    onSuccess: () => {
+      toast.success('Leads merged');
+      refresh();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to merge leads')
+  });
+
+  const dismissMutation = useMutation({
+    mutationFn: (id) => leadsApi.dismissDuplicate(id),
+    onSuccess: () => {
+      toast.success('Marked as different people');
+      refresh();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to dismiss')
+  });
+
+  const scanMutation = useMutation({
+    mutationFn: () => leadsApi.scanDuplicates(),
+    onSuccess: (res) => {
+      toast.success(res.message || 'Scan complete');
+      refresh();
+    },
+    onError: (error) => toast.error(error.message || 'Scan failed')
+  });
+
+  if (!isOpen) return null;
+
+  const duplicates = data?.data || [];
+  const pagination = data?.pagination;
+  const busy = mergeMutation.isLoading || dismissMutation.isLoading;
+
+  const merge = (survivor, merged) => {
+    const name = getFullName(merged.first_name, merged.last_name);
+    if (!confirm(`Merge "${name}" into "${getFullName(survivor.first_name, survivor.last_name)}"? "${name}" will be deleted; its history and sequences move across.`)) return;
+    mergeMutation.mutate({ survivorId: survivor.id, mergeId: merged.id });
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-dark-950/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          className="glass-card w-full max-w-3xl max-h-[85vh] flex flex-col p-6"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <div className="w-12 h-12 rounded-xl bg-primary-500/20 flex items-center justify-center">
+                <Users className="w-6 h-6 text-primary-400" />
+              </div>
+              <div>
+                <h2 className="text-lg font-semibold text-white">Possible Duplicates</h2>
+                <p className="text-sm text-dark-400">
+                  {pagination ? `${pagination.total} pair${pagination.total === 1 ? '' : 's'} to review` : 'Loading...'}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              {canScan && (
+                <button
+                  onClick={() => scanMutation.mutate()}
+                  disabled={scanMutation.isLoading}
+                  className="px-3 py-2 rounded-lg bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white text-sm flex items-center gap-2 disabled:opacity-50"
+                  title="Check every lead for duplicates"
+                >
+                  <RefreshCw className={cn("w-4 h-4", scanMutation.isLoading && "animate-spin")} />
+                  Scan all
+                </button>
+              )}
+              <button
+                onClick={onClose}
+                className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Pairs */}
+          <div className="flex-1 overflow-y-auto space-y-4">
+            {isLoading ? (
+              <p className="text-dark-400 text-sm">Loading...</p>
+            ) : duplicates.length === 0 ? (
+              <p className="text-dark-400 text-sm">No possible duplicates. 🎉</p>
+            ) : duplicates.map(pair => (
+              <div key={pair.id} className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="flex gap-2">
+                    {(pair.reasons || []).map(reason => (
+                      <span key={reason} className="text-xs px-2 py-0.5 rounded bg-warning-500/20 text-warning-400">
+                        {REASON_LABELS[reason] || reason}
+                      </span>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => dismissMutation.mutate(pair.id)}
+                    disabled={busy}
+                    className="text-xs text-dark-400 hover:text-white flex items-center gap-1 disabled:opacity-50"
+                  >
+                    <XCircle className="w-3.5 h-3.5" />
+                    Not duplicates
+                  </button>
+                </div>
+                <div className="flex gap-3">
+                  <LeadCard lead={pair.match_lead} disabled={busy} onKeep={() => merge(pair.match_lead, pair.lead)} />
+                  <LeadCard lead={pair.lead} disabled={busy} onKeep={() => merge(pair.lead, pair.match_lead)} />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Pagination */}
+          {pagination?.totalPages > 1 && (
+            <div className="flex items-center justify-between pt-4 text-sm text-dark-400">
+              <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="hover:text-white disabled:opacity-30">
+                Previous
+              </button>
+              <span>Page {page} of {pagination.totalPages}</span>
+              <button onClick={() => setPage(p => p + 1)} disabled={page >= pagination.totalPages} className="hover:text-white disabled:opacity-30">
+                Next
+              </button>
+            </div>
+          )}
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default DuplicatesModal;
@@ -0,0 +1,207 @@
+/**
+ * Export Leads Modal
+ *
+ * Downloads every lead matching the current Leads filters (not just the
+ * visible page) as CSV, Excel or JSON, with a choice of columns.
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { Download, X } from 'lucide-react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { leadsApi } from '../lib/api';
+import toast from 'react-hot-toast';
+import { cn, formatDate } from '../lib/utils';
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  xlsx: 'Excel',
+  json: 'JSON'
+};
+
+const columnLabel = (column) => column.replace(/^custom:/, '').replace(/_/g, ' ');
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function ColumnGroup({ title, columns, selected, onToggle, onSetAll }) {
+  if (!columns.length) return null;
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs uppercase text-dark-400">{title}</p>
+        <div className="flex gap-3 text-xs">
+          <button onClick={() => onSetAll(columns, true)} className="text-dark-400 hover:text-white">All</button>
+          <button onClick={() => onSetAll(columns, false)} className="text-dark-400 hover:text-white">None</button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-1">
+        {columns.map(column => (
+          <label key={column} className="flex items-center gap-2 text-sm text-dark-300 cursor-pointer hover:text-white">
+            <input
+              type="checkbox"
+              checked={selected.has(column)}
+              onChange={() => onToggle(column)}
+              className="rounded border-dark-600 bg-dark-800"
+            />
+            <span className="truncate">{columnLabel(column)}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ExportLeadsModal({ isOpen, onClose, filters, totalCount }) {
+  const [format, setFormat] = useState('csv');
+  const [selected, setSelected] = useState(new Set());
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['leadExportColumns', filters],
+    queryFn: () => leadsApi.getExportColumns(filters),
+    enabled: isOpen
+  });
+
+  const available = data?.data;
+  const customColumns = (available?.customFields || []).map(key => `custom:${key}`);
+  const allColumns = [...(available?.standard || []), ...(available?.intent || []), ...customColumns];
+  const orderedColumns = allColumns.filter(column => selected.has(column));
+
+  // Keeps the URL short when there are many custom fields
+  const requestColumns = customColumns.length > 0 && customColumns.every(column => selected.has(column))
+    ? [...orderedColumns.filter(column => !column.startsWith('custom:')), 'custom_fields']
+    : orderedColumns;
+
+  // Start from the server defaults (custom_fields = every custom field)
+  useEffect(() => {
+    if (!available) return;
+    const customDefaults = (available.customFields || []).map(key => `custom:${key}`);
+    setSelected(prev => prev.size > 0 ? prev : new Set(
+      available.defaults.flatMap(column => column === 'custom_fields' ? customDefaults : [column])
+    ));
+  }, [available]);
+
+  const exportMutation = useMutation({
+    mutationFn: () => leadsApi.exportLeads({ ...filters, format, columns: requestColumns.join(',') }),
+    onSuccess: (blob) => {
+      downloadBlob(blob, `leads-export-${formatDate(new Date(), 'yyyy-MM-dd')}.${format}`);
+      toast.success('Leads exported successfully');
+      onClose();
+    },
+    onError: (error) => toast.error(error.message || 'Export failed')
+  });
+
+  if (!isOpen) return null;
+
+  const toggle = (column) => setSelected(prev => {
+    const next = new Set(prev);
+    next.has(column) ? next.delete(column) : next.add(column);
+    return next;
+  });
+
+  const setAll = (columns, on) => setSelected(prev => {
+    const next = new Set(prev);
+    columns.forEach(column => on ? next.add(column) : next.delete(column));
+    return next;
+  });
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-dark-950/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          className="glass-card w-full max-w-2xl max-h-[85vh] flex flex-col p-6"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <div className="w-12 h-12 rounded-xl bg-primary-500/20 flex items-center justify-center">
+                <Download className="w-6 h-6 text-primary-400" />
+              </div>
+              <div>
+                <h2 className="text-lg font-semibold text-white">Export Leads</h2>
+                <p className="text-sm text-dark-400">
+                  {totalCount} lead{totalCount === 1 ? '' : 's'} matching the current filters
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {/* Format */}
+          <div className="flex gap-2 mb-5">
+            {(available?.formats || Object.keys(FORMAT_LABELS)).map(value => (
+              <button
+                key={value}
+                onClick={() => setFormat(value)}
+                className={cn(
+                  "px-4 py-2 rounded-xl border text-sm transition-all",
+                  format === value
+                    ? "bg-primary-500/20 border-primary-500/50 text-primary-300"
+                    : "bg-dark-800/50 border-dark-600 text-dark-300 hover:text-white"
+                )}
+              >
+                {FORMAT_LABELS[value] || value}
+              </button>
+            ))}
+          </div>
+
+          {/* Columns */}
+          <div className="flex-1 overflow-y-auto space-y-5">
+            {isLoading ? (
+              <p className="text-dark-400 text-sm">Loading columns...</p>
+            ) : (
+              <>
+                <ColumnGroup title="Lead" columns={available?.standard || []} selected={selected} onToggle={toggle} onSetAll={setAll} />
+                <ColumnGroup title="Intent score" columns={available?.intent || []} selected={selected} onToggle={toggle} onSetAll={setAll} />
+                <ColumnGroup title="Custom fields" columns={customColumns} selected={selected} onToggle={toggle} onSetAll={setAll} />
+              </>
+            )}
+          </div>
+
+          {/* Footer */}
+          <div className="flex justify-end gap-3 pt-4">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => exportMutation.mutate()}
+              disabled={exportMutation.isPending || orderedColumns.length === 0 || totalCount === 0}
+              className="px-6 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors flex items-center gap-2 font-medium disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              {exportMutation.isPending ? 'Exporting...' : `Export ${orderedColumns.length} columns`}
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default ExportLeadsModal;
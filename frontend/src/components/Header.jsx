@@ -5,7 +5,7 @@
  */
 
 import { useState } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   Search, 
@@ -13,23 +13,48 @@ import {
   RefreshCw, 
   Circle,
   CheckCircle2,
-  AlertCircle
+  AlertCircle,
+  LogOut,
+  ListTodo
 } from 'lucide-react';
-import { useQuery } from '@tanstack/react-query';
-import { healthApi } from '../lib/api';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { healthApi, authApi, tasksApi } from '../lib/api';
 import { cn, formatRelativeTime } from '../lib/utils';
-import { useAppStore } from '../lib/store';
+import { useAppStore, useAuthStore } from '../lib/store';
+
+const roleLabels = {
+  admin: 'Admin',
+  sales_rep: 'Sales Rep',
+  read_only: 'Read Only'
+};
+
+/**
+ * Initials for the avatar, e.g. "Jane Doe" -> "JD"
+ */
+function getInitials(user) {
+  const source = user?.name || user?.email || '';
+  const parts = source.split(/[\s@.]+/).filter(Boolean);
+  return (parts[0]?.[0] || '?').toUpperCase() + (parts[1]?.[0] || '').toUpperCase();
+}
 
 const pageTitles = {
   '/': 'Dashboard',
   '/leads': 'Lead Management',
+  '/tasks': 'Tasks',
+  '/scoring': 'Lead Scoring',
+  '/ai-usage': 'AI Usage',
+  '/failed-messages': 'Failed Messages',
+  '/send-limits': 'Send Limits',
   '/webhooks': 'Webhook Logs',
   '/playground': 'Testing Playground'
 };
 
 function Header() {
   const location = useLocation();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
   const { lastRefresh, setLastRefresh } = useAppStore();
+  const { user, clearSession } = useAuthStore();
   const [isRefreshing, setIsRefreshing] = useState(false);
 
   // Health check query
@@ -39,6 +64,14 @@ function Header() {
     refetchInterval: 30000 // Check every 30 seconds
   });
 
+  // The signed-in user's overdue / due today task counts
+  const { data: taskSummaryData } = useQuery({
+    queryKey: ['taskSummary'],
+    queryFn: () => tasksApi.getSummary(),
+    refetchInterval: 60000
+  });
+  const taskSummary = taskSummaryData?.data;
+
   const handleRefresh = () => {
     setIsRefreshing(true);
     setLastRefresh();
@@ -47,6 +80,17 @@ function Header() {
     setTimeout(() => setIsRefreshing(false), 1000);
   };
 
+  const handleLogout = async () => {
+    try {
+      await authApi.logout();
+    } catch {
+      // Session may already be gone - log out locally regardless
+    }
+    clearSession();
+    queryClient.clear();
+    navigate('/login', { replace: true });
+  };
+
   const apiStatus = healthData?.success ? 'connected' : healthLoading ? 'checking' : 'disconnected';
 
   return (
@@ -115,6 +159,28 @@ function Header() {
           <RefreshCw className={cn("w-4 h-4", isRefreshing && "animate-spin")} />
         </button>
 
+        {/* Tasks - overdue badge */}
+        <button
+          onClick={() => navigate('/tasks')}
+          className={cn(
+            "p-2.5 rounded-xl bg-dark-800/50 border border-dark-600",
+            "text-dark-400 hover:text-white hover:border-primary-500",
+            "transition-all duration-200 relative"
+          )}
+          title={taskSummary ? `${taskSummary.overdue} overdue, ${taskSummary.due_today} due later today` : 'Tasks'}
+        >
+          <ListTodo className="w-4 h-4" />
+          {taskSummary?.overdue > 0 ? (
+            <span className="absolute -top-1.5 -right-1.5 px-1 min-w-[1.125rem] h-[1.125rem] rounded-full bg-danger-500 text-white text-[10px] font-semibold flex items-center justify-center">
+              {taskSummary.overdue > 99 ? '99+' : taskSummary.overdue}
+            </span>
+          ) : taskSummary?.due_today > 0 && (
+            <span className="absolute -top-1.5 -right-1.5 px-1 min-w-[1.125rem] h-[1.125rem] rounded-full bg-warning-500 text-white text-[10px] font-semibold flex items-center justify-center">
+              {taskSummary.due_today}
+            </span>
+          )}
+        </button>
+
         {/* Notifications */}
         <button className={cn(
           "p-2.5 rounded-xl bg-dark-800/50 border border-dark-600",
@@ -129,12 +195,23 @@ function Header() {
         {/* User Avatar */}
         <div className="flex items-center gap-3 pl-4 border-l border-dark-700">
           <div className="w-9 h-9 rounded-xl bg-gradient-to-br from-primary-500 to-accent-500 flex items-center justify-center text-white font-semibold text-sm">
-            LP
+            {getInitials(user)}
           </div>
           <div className="hidden lg:flex flex-col">
-            <span className="text-sm font-medium text-white">Lead Pipeline</span>
-            <span className="text-[10px] text-dark-400">Admin</span>
+            <span className="text-sm font-medium text-white">{user?.name || user?.email || 'Lead Pipeline'}</span>
+            <span className="text-[10px] text-dark-400">{roleLabels[user?.role] || 'Signed in'}</span>
           </div>
+          <button
+            onClick={handleLogout}
+            className={cn(
+              "p-2.5 rounded-xl bg-dark-800/50 border border-dark-600",
+              "text-dark-400 hover:text-white hover:border-danger-500",
+              "transition-all duration-200"
+            )}
+            title="Log out"
+          >
+            <LogOut className="w-4 h-4" />
+          </button>
         </div>
       </div>
     </header>
@@ -0,0 +1,358 @@
+/**
+ * Import Leads Modal
+ *
+ * Three-step wizard for CSV/TSV/XLSX imports:
+ * 1. Upload - the file is sent as a dry run to get a suggested column mapping
+ * 2. Map & preview - adjust mapping/options; counts and row errors come from the dry run
+ * 3. Import - runs as a background job whose progress is polled
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { Upload, X, FileSpreadsheet, RefreshCw, CheckCircle, AlertCircle } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { leadsApi, sequencesApi } from '../lib/api';
+import toast from 'react-hot-toast';
+import { cn } from '../lib/utils';
+
+const ACCEPTED_FILES = '.csv,.tsv,.txt,.xlsx';
+
+const DUPLICATE_MODE_LABELS = {
+  skip: 'Skip rows matching an existing lead',
+  update: 'Update existing leads with values from the file',
+  create: 'Create a new lead anyway'
+};
+
+// Poll slowly - /api/leads shares the API rate limit
+const JOB_POLL_INTERVAL = 5000;
+const JOB_DONE_STATUSES = ['completed', 'failed'];
+
+const fieldLabel = (field) => field.replace(/_/g, ' ');
+
+const customKey = (column) => column.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(new Error('Could not read file'));
+    reader.readAsDataURL(file);
+  });
+}
+
+function RowErrors({ rows }) {
+  if (!rows?.length) return null;
+  return (
+    <div className="p-3 rounded-xl bg-danger-500/10 border border-danger-500/30 space-y-1 max-h-40 overflow-y-auto">
+      {rows.map(row => (
+        <p key={row.rowNumber ?? row.row} className="text-xs text-danger-400">
+          Row {row.rowNumber ?? row.row}: {row.errors.map(err => err.field ? `${err.field} - ${err.message}` : err.message).join('; ')}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+function ImportLeadsModal({ isOpen, onClose }) {
+  const queryClient = useQueryClient();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [duplicateMode, setDuplicateMode] = useState('skip');
+  const [enrollSequence, setEnrollSequence] = useState('');
+  const [leadType, setLeadType] = useState('');
+  const [jobId, setJobId] = useState(null);
+
+  const { data: sequencesData } = useQuery({
+    queryKey: ['sequences'],
+    queryFn: () => sequencesApi.getSequences(),
+    enabled: isOpen
+  });
+
+  const { data: jobData } = useQuery({
+    queryKey: ['leadImportJob', jobId],
+    queryFn: () => leadsApi.getImportJob(jobId),
+    enabled: !!jobId,
+    refetchInterval: (query) => JOB_DONE_STATUSES.includes(query.state.data?.data?.status) ? false : JOB_POLL_INTERVAL
+  });
+
+  const jobStatus = jobData?.data?.status;
+  useEffect(() => {
+    if (JOB_DONE_STATUSES.includes(jobStatus)) {
+      queryClient.invalidateQueries({ queryKey: ['leads'] });
+      queryClient.invalidateQueries({ queryKey: ['leadDuplicates'] });
+    }
+  }, [jobStatus, queryClient]);
+
+  const buildRequest = (extra = {}) => ({
+    filename: file.name,
+    file: file.base64,
+    duplicateMode,
+    enrollSequence: enrollSequence || null,
+    defaults: { source: 'import', ...(leadType && { lead_type: leadType }) },
+    ...extra
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: (request) => leadsApi.importLeads({ ...request, dryRun: true }),
+    onSuccess: (res) => {
+      setPreview(res.data);
+      setMapping(res.data.mapping);
+    },
+    onError: (error) => toast.error(error.message || 'Could not read file')
+  });
+
+  const importMutation = useMutation({
+    mutationFn: () => leadsApi.importLeads(buildRequest({ mapping })),
+    onSuccess: (res) => {
+      toast.success(res.message || 'Import started');
+      setJobId(res.data.id);
+    },
+    onError: (error) => toast.error(error.message || 'Failed to start import')
+  });
+
+  if (!isOpen) return null;
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setMapping({});
+    setJobId(null);
+  };
+
+  const close = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      const base64 = await readFileAsBase64(selected);
+      const loaded = { name: selected.name, base64 };
+      setFile(loaded);
+      previewMutation.mutate({
+        filename: loaded.name,
+        file: loaded.base64,
+        duplicateMode,
+        defaults: { source: 'import' }
+      });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const sequences = sequencesData?.data || [];
+  const job = jobData?.data;
+  const mapped = Object.values(mapping).filter(Boolean);
+  const hasContactColumn = mapped.some(field => ['email', 'phone'].includes(field));
+  const summary = preview?.summary;
+  const jobDone = JOB_DONE_STATUSES.includes(job?.status);
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-dark-950/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={close}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          className="glass-card w-full max-w-3xl max-h-[85vh] flex flex-col p-6"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <div className="w-12 h-12 rounded-xl bg-primary-500/20 flex items-center justify-center">
+                <Upload className="w-6 h-6 text-primary-400" />
+              </div>
+              <div>
+                <h2 className="text-lg font-semibold text-white">Import Leads</h2>
+                <p className="text-sm text-dark-400">
+                  {jobId ? 'Importing' : preview ? `${file.name} • ${preview.totalRows} rows` : 'CSV, TSV or Excel (.xlsx)'}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={close}
+              className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto space-y-5">
+            {/* Step 1: upload */}
+            {!preview && !jobId && (
+              <label className={cn(
+                "flex flex-col items-center justify-center gap-3 p-10 rounded-xl border-2 border-dashed border-dark-600",
+                "text-dark-400 hover:border-primary-500/50 hover:text-white cursor-pointer transition-colors",
+                previewMutation.isPending && "opacity-50 pointer-events-none"
+              )}>
+                <FileSpreadsheet className="w-10 h-10" />
+                <span className="text-sm">
+                  {previewMutation.isPending ? `Reading ${file?.name}...` : 'Choose a file to import'}
+                </span>
+                <span className="text-xs text-dark-500">Meta Leads Center exports are recognised automatically</span>
+                <input type="file" accept={ACCEPTED_FILES} onChange={handleFile} className="hidden" />
+              </label>
+            )}
+
+            {/* Step 2: mapping & preview */}
+            {preview && !jobId && (
+              <>
+                <div className="rounded-xl border border-dark-700/50 overflow-hidden">
+                  <table className="w-full text-sm">
+                    <thead className="bg-dark-800/50 text-dark-400 text-xs uppercase">
+                      <tr>
+                        <th className="text-left px-3 py-2">Column</th>
+                        <th className="text-left px-3 py-2">Sample</th>
+                        <th className="text-left px-3 py-2">Import as</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.columns.map(column => {
+                        const custom = `custom:${customKey(column)}`;
+                        return (
+                          <tr key={column} className="border-t border-dark-700/50">
+                            <td className="px-3 py-2 text-white">{column}</td>
+                            <td className="px-3 py-2 text-dark-400 truncate max-w-[200px]">
+                              {preview.sample.map(row => row[column]).find(Boolean) || '—'}
+                            </td>
+                            <td className="px-3 py-2">
+                              <select
+                                value={mapping[column] || ''}
+                                onChange={(e) => setMapping(prev => ({ ...prev, [column]: e.target.value || null }))}
+                                className="input-field py-1 text-sm"
+                              >
+                                <option value="">Don't import</option>
+                                {preview.fields.map(field => (
+                                  <option key={field} value={field}>{fieldLabel(field)}</option>
+                                ))}
+                                <option value={custom}>Custom field ({customKey(column)})</option>
+                              </select>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div>
+                    <label className="text-xs text-dark-400">Duplicates</label>
+                    <select value={duplicateMode} onChange={(e) => setDuplicateMode(e.target.value)} className="input-field text-sm">
+                      {Object.entries(DUPLICATE_MODE_LABELS).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="text-xs text-dark-400">Enroll new leads in</label>
+                    <select value={enrollSequence} onChange={(e) => setEnrollSequence(e.target.value)} className="input-field text-sm">
+                      <option value="">No sequence</option>
+                      {sequences.map(seq => (
+                        <option key={seq.slug} value={seq.slug}>{seq.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="text-xs text-dark-400">Lead type (if not in file)</label>
+                    <input
+                      value={leadType}
+                      onChange={(e) => setLeadType(e.target.value)}
+                      placeholder="e.g. consultation"
+                      className="input-field text-sm"
+                    />
+                  </div>
+                </div>
+
+                {/* Dry run result */}
+                <div className="flex items-center justify-between gap-3 p-3 rounded-xl bg-dark-800/50 border border-dark-700/50">
+                  <div className="flex flex-wrap gap-4 text-sm">
+                    <span className="text-success-400">{summary.create} new</span>
+                    <span className="text-primary-300">{summary.update} update</span>
+                    <span className="text-dark-300">{summary.skip} skip</span>
+                    <span className={summary.invalid ? 'text-danger-400' : 'text-dark-500'}>{summary.invalid} invalid</span>
+                  </div>
+                  <button
+                    onClick={() => previewMutation.mutate(buildRequest({ mapping }))}
+                    disabled={previewMutation.isPending}
+                    className="px-3 py-1.5 rounded-lg bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white text-sm flex items-center gap-2 disabled:opacity-50"
+                  >
+                    <RefreshCw className={cn("w-4 h-4", previewMutation.isPending && "animate-spin")} />
+                    Refresh preview
+                  </button>
+                </div>
+                {!hasContactColumn && (
+                  <p className="text-xs text-warning-400">Map an email or phone column - rows need one of them.</p>
+                )}
+                <RowErrors rows={preview.invalidRows} />
+              </>
+            )}
+
+            {/* Step 3: job progress */}
+            {jobId && (
+              <div className="space-y-4">
+                <div className="h-2 rounded-full bg-dark-800 overflow-hidden">
+                  <div
+                    className={cn("h-full transition-all", job?.status === 'failed' ? 'bg-danger-500' : 'bg-primary-500')}
+                    style={{ width: `${job?.total_rows ? Math.round((job.processed_rows / job.total_rows) * 100) : 0}%` }}
+                  />
+                </div>
+                <p className="text-sm text-dark-300 flex items-center gap-2">
+                  {job?.status === 'completed' && <CheckCircle className="w-4 h-4 text-success-400" />}
+                  {job?.status === 'failed' && <AlertCircle className="w-4 h-4 text-danger-400" />}
+                  {job ? `${job.processed_rows} of ${job.total_rows} rows • ${job.status}` : 'Starting...'}
+                </p>
+                {job && (
+                  <div className="flex flex-wrap gap-4 text-sm">
+                    <span className="text-success-400">{job.created_count} created</span>
+                    <span className="text-primary-300">{job.updated_count} updated</span>
+                    <span className="text-dark-300">{job.skipped_count} skipped</span>
+                    <span className={job.error_count ? 'text-danger-400' : 'text-dark-500'}>{job.error_count} errors</span>
+                    {job.enrolled_count > 0 && <span className="text-dark-300">{job.enrolled_count} enrolled</span>}
+                  </div>
+                )}
+                {job?.error_message && <p className="text-sm text-danger-400">{job.error_message}</p>}
+                <RowErrors rows={job?.errors} />
+              </div>
+            )}
+          </div>
+
+          {/* Footer */}
+          {(preview || jobId) && (
+            <div className="flex justify-end gap-3 pt-4">
+              {jobId ? (
+                <button onClick={jobDone ? reset : close} className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors">
+                  {jobDone ? 'Import another file' : 'Close (import continues)'}
+                </button>
+              ) : (
+                <>
+                  <button onClick={reset} className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors">Choose another file</button>
+                  <button
+                    onClick={() => importMutation.mutate()}
+                    disabled={importMutation.isPending || !hasContactColumn || (summary.create + summary.update) === 0}
+                    className="px-6 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors font-medium disabled:opacity-50"
+                  >
+                    {importMutation.isPending ? 'Starting...' : `Import ${summary.create + summary.update} leads`}
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default ImportLeadsModal;
@@ -2,17 +2,39 @@
  * Main Layout Component
  * 
  * Provides the overall structure with sidebar and main content area.
+ * Redirects to /login when there is no session.
  */
 
-import { Outlet } from 'react-router-dom';
+import { useEffect } from 'react';
+import { Outlet, Navigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import { useQuery } from '@tanstack/react-query';
 import Sidebar from './Sidebar';
 import Header from './Header';
-import { useAppStore } from '../lib/store';
+import { authApi } from '../lib/api';
+import { useAppStore, useAuthStore } from '../lib/store';
 import { cn } from '../lib/utils';
 
 function Layout() {
   const { sidebarOpen } = useAppStore();
+  const { token, setUser } = useAuthStore();
+  const location = useLocation();
+
+  // Refresh the current user (role changes, deactivation) on load
+  const { data: meData } = useQuery({
+    queryKey: ['auth', 'me', token],
+    queryFn: authApi.me,
+    enabled: !!token,
+    staleTime: 5 * 60 * 1000
+  });
+
+  useEffect(() => {
+    if (meData?.data) setUser(meData.data);
+  }, [meData, setUser]);
+
+  if (!token) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
 
   return (
     <div className="flex h-screen overflow-hidden bg-dark-950">
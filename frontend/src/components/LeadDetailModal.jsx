@@ -2,6 +2,7 @@
  * Lead Detail View Modal Component
  */
 
+import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import toast from 'react-hot-toast';
@@ -20,9 +21,20 @@ import {
   XCircle,
   MessageSquare,
   Edit3,
-  Trash2
+  Trash2,
+  UserCheck,
+  Shuffle,
+  ListTodo,
+  Plus,
+  Circle,
+  PlayCircle,
+  FileText
 } from 'lucide-react';
-import { leadsApi } from '../lib/api';
+import { leadsApi, routingApi, tasksApi } from '../lib/api';
+import TaskFormModal, { TASK_TYPES } from './TaskFormModal';
+import { CALL_DISPOSITIONS, formatDuration } from './CallLogModal';
+import ScoreHistory from './ScoreHistory';
+import { useAuthStore, canWrite } from '../lib/store';
 import { 
   cn, 
   formatDate, 
@@ -48,8 +60,107 @@ function LeadDetailModal({ lead, onClose }) {
   });
 
   const activities = activitiesData?.data || [];
+
+  // Owner - kept locally so the modal reflects reassignment straight away
+  const user = useAuthStore((state) => state.user);
+  const writable = canWrite(user);
+  const [ownerId, setOwnerId] = useState(lead?.assigned_to || '');
+
+  useEffect(() => {
+    setOwnerId(lead?.assigned_to || '');
+  }, [lead?.id, lead?.assigned_to]);
+
+  const { data: repsData } = useQuery({
+    queryKey: ['routingReps'],
+    queryFn: () => routingApi.getReps(),
+    enabled: !!lead,
+    staleTime: 60000
+  });
+  const reps = repsData?.data || [];
+  const owner = reps.find(rep => rep.id === ownerId);
+
+  const onAssigned = (assignedTo, message) => {
+    setOwnerId(assignedTo || '');
+    toast.success(message);
+    queryClient.invalidateQueries({ queryKey: ['leads'] });
+    queryClient.invalidateQueries({ queryKey: ['leadActivities', lead?.id] });
+  };
+
+  const assignMutation = useMutation({
+    mutationFn: (userId) => leadsApi.assignLead(lead.id, userId || null),
+    onSuccess: (_, userId) => onAssigned(userId, userId ? 'Lead assigned' : 'Lead unassigned'),
+    onError: (error) => {
+      toast.error(error.message || 'Failed to assign lead');
+    }
+  });
+
+  // Open follow-up tasks
+  const [showTaskForm, setShowTaskForm] = useState(false);
+  const { data: tasksData } = useQuery({
+    queryKey: ['leadTasks', lead?.id],
+    queryFn: () => tasksApi.getTasks({ leadId: lead.id, status: 'open', limit: 20 }),
+    enabled: !!lead
+  });
+  const openTasks = tasksData?.data || [];
+
+  const completeTaskMutation = useMutation({
+    mutationFn: (taskId) => tasksApi.completeTask(taskId),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Task completed');
+      queryClient.invalidateQueries({ queryKey: ['leadTasks', lead?.id] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['taskSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['leadActivities', lead?.id] });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to complete task');
+    }
+  });
+
+  const routeMutation = useMutation({
+    mutationFn: () => leadsApi.routeLead(lead.id),
+    onSuccess: (response) => onAssigned(response.data?.assigned_to, 'Lead re-routed'),
+    onError: (error) => {
+      toast.error(error.message || 'No rep available');
+    }
+  });
   const calls = activities.filter(a => a.type === 'call');
 
+  // Call details (disposition, duration, notes, recording) keyed by activity
+  const { data: callsData } = useQuery({
+    queryKey: ['leadCallCount', lead?.id],
+    queryFn: () => leadsApi.getCallCount(lead.id),
+    enabled: !!lead
+  });
+  const callDetails = Object.fromEntries((callsData?.data?.calls || []).map(c => [c.activity_id, c]));
+
+  // Recordings are fetched on demand and played from an object URL
+  const [recordingUrls, setRecordingUrls] = useState({});
+  const recordingUrlsRef = useRef([]);
+  useEffect(() => () => recordingUrlsRef.current.forEach(url => URL.revokeObjectURL(url)), []);
+
+  const playRecording = async (callId) => {
+    try {
+      const blob = await leadsApi.getCallRecording(callId);
+      const url = URL.createObjectURL(blob);
+      recordingUrlsRef.current.push(url);
+      setRecordingUrls(prev => ({ ...prev, [callId]: url }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load recording');
+    }
+  };
+
+  const transcribeMutation = useMutation({
+    mutationFn: (callId) => leadsApi.transcribeCall(callId),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Call transcribed');
+      queryClient.invalidateQueries({ queryKey: ['leadCallCount', lead?.id] });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to transcribe call');
+    }
+  });
+
   // Mutations for editing/deleting calls
   const updateCallMutation = useMutation({
     mutationFn: ({ activityId, outcome }) => leadsApi.updateCall(activityId, outcome),
@@ -121,6 +232,7 @@ function LeadDetailModal({ lead, onClose }) {
   const additionalEntries = Object.entries(cf).filter(([k]) => !excludeKeys.has(k));
 
   return (
+    <>
     <AnimatePresence>
       <motion.div
         initial={{ opacity: 0 }}
@@ -260,8 +372,10 @@ function LeadDetailModal({ lead, onClose }) {
                       <p className="text-dark-400 text-sm py-2">No calls logged yet</p>
                     ) : (
                       calls.map(call => {
-                        const outcome = call.metadata?.outcome || 'unknown';
+                        const detail = callDetails[call.id];
+                        const outcome = detail?.outcome || call.metadata?.outcome || 'unknown';
                         const isAnswered = outcome === 'answered';
+                        const disposition = CALL_DISPOSITIONS[detail?.disposition];
                         return (
                           <div key={call.id} className="flex items-center gap-3 p-3 bg-dark-800/50 rounded-lg hover:bg-dark-800/70 transition-colors group">
                             <div className={cn(
@@ -279,6 +393,11 @@ function LeadDetailModal({ lead, onClose }) {
                                 <p className="text-sm font-medium text-white">
                                   Call {isAnswered ? 'Answered' : 'Unanswered'}
                                 </p>
+                                {disposition && (
+                                  <span className={cn("px-2 py-0.5 rounded-full bg-dark-700/50 text-xs", disposition.className)}>
+                                    {disposition.label}
+                                  </span>
+                                )}
                                 <button
                                   onClick={() => handleEditCall(call, isAnswered ? 'unanswered' : 'answered')}
                                   className="opacity-0 group-hover:opacity-100 p-1 rounded hover:bg-dark-700/50 transition-all"
@@ -296,7 +415,50 @@ function LeadDetailModal({ lead, onClose }) {
                               </div>
                               <p className="text-xs text-dark-400">
                                 {formatDateTime(call.created_at)} • {formatRelativeTime(call.created_at)}
+                                {detail?.duration_seconds != null && ` • ${formatDuration(detail.duration_seconds)}`}
+                                {detail?.called_by_name && ` • ${detail.called_by_name}`}
                               </p>
+                              {detail?.notes && (
+                                <p className="text-sm text-dark-300 mt-1 whitespace-pre-wrap">{detail.notes}</p>
+                              )}
+                              {detail?.next_steps && (
+                                <p className="text-xs text-primary-300 mt-1">Next: {detail.next_steps}</p>
+                              )}
+                              {detail?.has_recording && (
+                                <div className="mt-2 space-y-1">
+                                  {recordingUrls[detail.id] ? (
+                                    <audio controls autoPlay src={recordingUrls[detail.id]} className="w-full h-8" />
+                                  ) : (
+                                    <button
+                                      onClick={() => playRecording(detail.id)}
+                                      className="flex items-center gap-1 text-xs text-primary-400 hover:text-primary-300"
+                                    >
+                                      <PlayCircle className="w-4 h-4" />
+                                      Play recording
+                                    </button>
+                                  )}
+                                  {detail.transcript ? (
+                                    <details className="text-xs text-dark-300">
+                                      <summary className="cursor-pointer text-dark-400 hover:text-white flex items-center gap-1">
+                                        <FileText className="w-3.5 h-3.5" />
+                                        Transcript
+                                      </summary>
+                                      <p className="mt-1 whitespace-pre-wrap">{detail.transcript}</p>
+                                    </details>
+                                  ) : detail.transcription_status === 'pending' ? (
+                                    <p className="text-xs text-dark-400">Transcribing...</p>
+                                  ) : writable && (
+                                    <button
+                                      onClick={() => transcribeMutation.mutate(detail.id)}
+                                      disabled={transcribeMutation.isPending}
+                                      className="flex items-center gap-1 text-xs text-dark-400 hover:text-white disabled:opacity-50"
+                                    >
+                                      <FileText className="w-3.5 h-3.5" />
+                                      {detail.transcription_status === 'failed' ? 'Retry transcription' : 'Transcribe'}
+                                    </button>
+                                  )}
+                                </div>
+                              )}
                             </div>
                           </div>
                         );
@@ -382,6 +544,88 @@ function LeadDetailModal({ lead, onClose }) {
                   </div>
                 </div>
 
+                {/* Owner */}
+                <div className="p-3 bg-dark-800/30 rounded-xl">
+                  <p className="text-xs text-dark-400 flex items-center gap-1">
+                    <UserCheck className="w-3 h-3" />
+                    Owner
+                  </p>
+                  {writable ? (
+                    <div className="flex items-center gap-2 mt-1">
+                      <select
+                        value={ownerId}
+                        onChange={(e) => assignMutation.mutate(e.target.value)}
+                        disabled={assignMutation.isPending || routeMutation.isPending}
+                        className="input-field py-1.5 text-sm flex-1"
+                      >
+                        <option value="" className="bg-dark-800 text-white">Unassigned</option>
+                        {reps.map(rep => (
+                          <option key={rep.id} value={rep.id} className="bg-dark-800 text-white">
+                            {rep.name || rep.email}{rep.in_rotation && !rep.is_available ? ' (away)' : ''}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => routeMutation.mutate()}
+                        disabled={assignMutation.isPending || routeMutation.isPending}
+                        className="p-2 rounded-lg text-dark-400 hover:text-white hover:bg-dark-700/50 transition-colors disabled:opacity-50"
+                        title="Auto-route to the next available rep"
+                      >
+                        <Shuffle className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-white text-sm mt-1">
+                      {owner ? (owner.name || owner.email) : ownerId ? 'Assigned' : 'Unassigned'}
+                    </p>
+                  )}
+                </div>
+
+                {/* Tasks */}
+                <div className="p-3 bg-dark-800/30 rounded-xl">
+                  <div className="flex items-center justify-between">
+                    <p className="text-xs text-dark-400 flex items-center gap-1">
+                      <ListTodo className="w-3 h-3" />
+                      Open Tasks
+                    </p>
+                    {writable && (
+                      <button
+                        onClick={() => setShowTaskForm(true)}
+                        className="text-xs text-primary-400 hover:text-primary-300 flex items-center gap-1 transition-colors"
+                      >
+                        <Plus className="w-3 h-3" />
+                        Add task
+                      </button>
+                    )}
+                  </div>
+                  <div className="space-y-2 mt-2">
+                    {openTasks.length === 0 ? (
+                      <p className="text-dark-500 text-sm">No open tasks</p>
+                    ) : (
+                      openTasks.map(task => {
+                        const TypeIcon = TASK_TYPES[task.type]?.icon || Circle;
+                        return (
+                          <div key={task.id} className="flex items-center gap-2">
+                            <button
+                              onClick={() => completeTaskMutation.mutate(task.id)}
+                              disabled={!writable || completeTaskMutation.isPending}
+                              className="text-dark-400 hover:text-success-400 transition-colors disabled:cursor-not-allowed"
+                              title="Mark done"
+                            >
+                              <Circle className="w-4 h-4" />
+                            </button>
+                            <TypeIcon className="w-3.5 h-3.5 text-primary-400 flex-shrink-0" />
+                            <p className="text-sm text-white truncate flex-1">{task.title}</p>
+                            <span className={cn("text-xs flex-shrink-0", task.is_overdue ? "text-danger-400" : "text-dark-400")}>
+                              {formatRelativeTime(task.due_at)}
+                            </span>
+                          </div>
+                        );
+                      })
+                    )}
+                  </div>
+                </div>
+
                 {/* Notes */}
                 {lead.notes && (
                   <div className="p-4 bg-dark-800/30 rounded-xl">
@@ -390,6 +634,8 @@ function LeadDetailModal({ lead, onClose }) {
                   </div>
                 )}
 
+                {/* Score History */}
+                <ScoreHistory leadId={lead.id} />
 
                 {/* Activity Log */}
                 <div>
@@ -558,6 +804,12 @@ function LeadDetailModal({ lead, onClose }) {
                             <span className="text-dark-500">Next step:</span>
                             <span className="text-white">{formatValue(cf.ai_recommended_next_step)}</span>
                           </div>
+                          <div className="flex justify-between gap-3">
+                            <span className="text-dark-500">Scored by:</span>
+                            <span className="text-white">
+                              {lead.score_model_version ? `Scoring rules v${lead.score_model_version}` : formatValue(cf.ai_model)}
+                            </span>
+                          </div>
                         </div>
                         {Array.isArray(cf.ai_top_reasons) && cf.ai_top_reasons.length > 0 && (
                           <div className="mt-3 pt-3 border-t border-dark-700/50">
@@ -612,6 +864,11 @@ function LeadDetailModal({ lead, onClose }) {
         </motion.div>
       </motion.div>
     </AnimatePresence>
+
+    {showTaskForm && (
+      <TaskFormModal lead={{ ...lead, assigned_to: ownerId || null }} onClose={() => setShowTaskForm(false)} />
+    )}
+    </>
   );
 }
 
@@ -8,7 +8,6 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { X, Save, User, Mail, Phone, Building2, Briefcase, Tags, FileText } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { leadsApi } from '../lib/api';
-import { cn } from '../lib/utils';
 
 const STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
 const SOURCES = ['manual', 'meta_forms', 'calcom', 'api', 'website', 'referral'];
@@ -0,0 +1,186 @@
+/**
+ * Score History Component
+ *
+ * Chart and timeline of a lead's score changes: rule scores, AI scores,
+ * manual overrides and (as a separate line) WhatsApp conversation intent.
+ */
+
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { TrendingUp, Loader2 } from 'lucide-react';
+import { leadsApi } from '../lib/api';
+import { cn, formatDateTime, formatRelativeTime } from '../lib/utils';
+
+export const SCORE_SOURCES = {
+  rules: { label: 'Rules', dot: 'bg-primary-400', badge: 'bg-primary-500/20 text-primary-300' },
+  ai: { label: 'AI', dot: 'bg-accent-400', badge: 'bg-accent-500/20 text-accent-300' },
+  conversation: { label: 'Conversation', dot: 'bg-success-400', badge: 'bg-success-500/20 text-success-400' },
+  manual: { label: 'Manual', dot: 'bg-warning-400', badge: 'bg-warning-500/20 text-warning-400' }
+};
+
+// Entry -> "rules v3" / "gpt-4o-mini" / "Jane Doe"
+function describeModel(entry) {
+  if (entry.source === 'rules') return entry.model_version ? `rules v${entry.model_version}` : 'built-in rules';
+  if (entry.source === 'manual') return entry.changed_by_name;
+  return entry.model;
+}
+
+function ScoreHistory({ leadId }) {
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['leadScoreHistory', leadId],
+    queryFn: () => leadsApi.getScoreHistory(leadId),
+    enabled: !!leadId
+  });
+  const history = data?.data || [];
+
+  if (isLoading) {
+    return (
+      <div className="p-4 flex justify-center">
+        <Loader2 className="w-5 h-5 text-primary-400 animate-spin" />
+      </div>
+    );
+  }
+
+  // Time axis from the first change to now
+  const times = history.map(entry => new Date(entry.created_at).getTime());
+  const start = Math.min(...times);
+  const end = Math.max(Date.now(), ...times);
+  const x = (time) => (end === start ? 50 : ((time - start) / (end - start)) * 100);
+  const y = (score) => 100 - score;
+
+  // Step line per series: the score holds until the next change
+  const stepPoints = (entries) => entries.flatMap((entry, i) => {
+    const time = new Date(entry.created_at).getTime();
+    const point = `${x(time)},${y(entry.score)}`;
+    return i === 0 ? [point] : [`${x(time)},${y(entries[i - 1].score)}`, point];
+  }).concat(entries.length ? [`100,${y(entries[entries.length - 1].score)}`] : []).join(' ');
+
+  const leadSeries = history.filter(entry => entry.source !== 'conversation');
+  const conversationSeries = history.filter(entry => entry.source === 'conversation');
+  const selected = history.find(entry => entry.id === selectedId) || history[history.length - 1];
+
+  return (
+    <div className="p-4 bg-dark-800/30 rounded-xl">
+      <h4 className="text-sm font-medium text-dark-400 mb-3 flex items-center gap-1">
+        <TrendingUp className="w-4 h-4" />
+        Score History
+      </h4>
+
+      {history.length === 0 ? (
+        <p className="text-dark-500 text-sm">No score changes recorded yet</p>
+      ) : (
+        <>
+          {/* Chart */}
+          <div className="relative h-32 ml-6 mb-2">
+            {[100, 50, 0].map(tick => (
+              <span key={tick} className="absolute -left-6 text-[10px] text-dark-500 -translate-y-1/2" style={{ top: `${y(tick)}%` }}>
+                {tick}
+              </span>
+            ))}
+            <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="absolute inset-0 w-full h-full overflow-visible">
+              {[0, 50, 100].map(tick => (
+                <line key={tick} x1="0" x2="100" y1={tick} y2={tick} className="stroke-dark-700" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+              ))}
+              {leadSeries.length > 0 && (
+                <polyline points={stepPoints(leadSeries)} fill="none" className="stroke-primary-400" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+              )}
+              {conversationSeries.length > 0 && (
+                <polyline points={stepPoints(conversationSeries)} fill="none" className="stroke-success-400" strokeWidth="1.5" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+              )}
+            </svg>
+            {history.map(entry => (
+              <button
+                key={entry.id}
+                onClick={() => setSelectedId(entry.id)}
+                className={cn(
+                  "absolute w-2.5 h-2.5 rounded-full -translate-x-1/2 -translate-y-1/2 ring-2 transition-transform hover:scale-150",
+                  SCORE_SOURCES[entry.source]?.dot || 'bg-dark-400',
+                  selected?.id === entry.id ? "ring-white scale-125" : "ring-dark-900"
+                )}
+                style={{ left: `${x(new Date(entry.created_at).getTime())}%`, top: `${y(entry.score)}%` }}
+                title={`${SCORE_SOURCES[entry.source]?.label || entry.source}: ${entry.score} • ${formatDateTime(entry.created_at)}`}
+              />
+            ))}
+          </div>
+
+          {/* Legend */}
+          <div className="flex flex-wrap gap-3 mb-3 ml-6 text-[10px] text-dark-400">
+            {Object.entries(SCORE_SOURCES).map(([source, { label, dot }]) => (
+              <span key={source} className="flex items-center gap-1">
+                <span className={cn("w-2 h-2 rounded-full", dot)} />
+                {label}
+              </span>
+            ))}
+            {conversationSeries.length > 0 && <span>• dashed = conversation intent</span>}
+          </div>
+
+          {/* Selected change */}
+          {selected && (
+            <div className="p-3 rounded-lg bg-dark-800/50 mb-3">
+              <div className="flex items-center gap-2 flex-wrap">
+                <span className={cn("px-2 py-0.5 rounded-full text-[10px]", SCORE_SOURCES[selected.source]?.badge)}>
+                  {SCORE_SOURCES[selected.source]?.label || selected.source}
+                </span>
+                <span className="text-sm text-white font-medium">
+                  {selected.previous_score != null ? `${selected.previous_score} → ` : ''}{selected.score}
+                </span>
+                {selected.previous_score != null && selected.score !== selected.previous_score && (
+                  <span className={cn("text-xs", selected.score > selected.previous_score ? "text-success-400" : "text-danger-400")}>
+                    {selected.score > selected.previous_score ? '+' : ''}{selected.score - selected.previous_score}
+                  </span>
+                )}
+                <span className="text-xs text-dark-500 ml-auto">
+                  {[describeModel(selected), formatRelativeTime(selected.created_at)].filter(Boolean).join(' • ')}
+                </span>
+              </div>
+              {selected.reason && <p className="text-sm text-dark-300 mt-2">{selected.reason}</p>}
+              {selected.factors?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {selected.factors.map((factor, i) => (
+                    <span
+                      key={i}
+                      className={cn(
+                        "px-2 py-0.5 rounded text-xs bg-dark-700/50",
+                        factor.points < 0 ? "text-danger-400" : "text-dark-200"
+                      )}
+                    >
+                      {factor.factor}
+                      {factor.points != null && Math.abs(factor.points) > 1 && (
+                        <span className="ml-1 text-dark-400">{factor.points > 0 ? '+' : ''}{factor.points}</span>
+                      )}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Timeline */}
+          <div className="space-y-1 max-h-40 overflow-y-auto">
+            {[...history].reverse().map(entry => (
+              <button
+                key={entry.id}
+                onClick={() => setSelectedId(entry.id)}
+                className={cn(
+                  "w-full flex items-center gap-2 px-2 py-1 rounded text-left text-xs transition-colors",
+                  selected?.id === entry.id ? "bg-dark-700/50" : "hover:bg-dark-800/50"
+                )}
+              >
+                <span className={cn("w-2 h-2 rounded-full flex-shrink-0", SCORE_SOURCES[entry.source]?.dot)} />
+                <span className="text-white w-16 flex-shrink-0">
+                  {entry.previous_score != null ? `${entry.previous_score}→` : ''}{entry.score}
+                </span>
+                <span className="text-dark-300 truncate flex-1">{entry.reason || SCORE_SOURCES[entry.source]?.label}</span>
+                <span className="text-dark-500 flex-shrink-0">{formatRelativeTime(entry.created_at)}</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScoreHistory;
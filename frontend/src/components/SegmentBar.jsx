@@ -0,0 +1,249 @@
+/**
+ * Segment Bar
+ *
+ * Saved segments on the Leads page: apply one (its filters replace the
+ * current ones), save the current filters as a new segment, and - for the
+ * applied segment - update, pin, share, delete, message or enroll everyone
+ * in it.
+ */
+
+import { useState } from 'react';
+import { Bookmark, Save, Pin, PinOff, Globe, Lock, Trash2, Send, Mail, X } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { segmentsApi, sequencesApi } from '../lib/api';
+import { useAppStore, useAuthStore, canWrite, leadFiltersToSegment } from '../lib/store';
+import toast from 'react-hot-toast';
+import { cn } from '../lib/utils';
+
+// Key order differs once filters have been through JSONB
+const filtersKey = (filters = {}) => JSON.stringify(Object.keys(filters).sort().map(key => [key, filters[key]]));
+
+const iconButton = "p-2 rounded-lg text-dark-400 hover:text-white hover:bg-dark-700/50 transition-colors disabled:opacity-50";
+
+function SegmentBar({ onSendToSegment }) {
+  const queryClient = useQueryClient();
+  const { leadFilters, activeSegment, applySegment, resetLeadFilters } = useAppStore();
+  const user = useAuthStore((state) => state.user);
+  const writable = canWrite(user);
+
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({ name: '', is_shared: true, pinned: false });
+  const [enrollSlug, setEnrollSlug] = useState('');
+
+  const { data } = useQuery({
+    queryKey: ['segments'],
+    queryFn: () => segmentsApi.getSegments()
+  });
+
+  const { data: sequencesData } = useQuery({
+    queryKey: ['sequences'],
+    queryFn: () => sequencesApi.getSequences(),
+    enabled: writable && !!activeSegment
+  });
+
+  const segments = data?.data || [];
+  const segment = segments.find(s => s.id === activeSegment?.id);
+  const currentFilters = leadFiltersToSegment(leadFilters);
+  const hasFilters = Object.keys(currentFilters).length > 0;
+  const isModified = segment && filtersKey(currentFilters) !== filtersKey(segment.filters);
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['segments'] });
+
+  const createMutation = useMutation({
+    mutationFn: () => segmentsApi.createSegment({ ...form, filters: currentFilters }),
+    onSuccess: (res) => {
+      toast.success(res.message || 'Segment saved');
+      applySegment(res.data);
+      setSaving(false);
+      setForm({ name: '', is_shared: true, pinned: false });
+      refresh();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to save segment')
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (updates) => segmentsApi.updateSegment(segment.id, updates),
+    onSuccess: () => {
+      toast.success('Segment updated');
+      refresh();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to update segment')
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => segmentsApi.deleteSegment(segment.id),
+    onSuccess: () => {
+      toast.success('Segment deleted');
+      resetLeadFilters();
+      refresh();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to delete segment')
+  });
+
+  const enrollMutation = useMutation({
+    mutationFn: () => sequencesApi.bulkEnroll({ sequenceSlug: enrollSlug, segmentId: segment.id }),
+    onSuccess: (res) => {
+      toast.success(res.message || 'Leads enrolled');
+      setEnrollSlug('');
+      queryClient.invalidateQueries({ queryKey: ['leads'] });
+    },
+    onError: (error) => toast.error(error.message || 'Failed to enroll leads')
+  });
+
+  const handleSelect = (id) => {
+    const selected = segments.find(s => s.id === id);
+    if (selected) applySegment(selected);
+    else resetLeadFilters();
+  };
+
+  const handleEnroll = () => {
+    if (!confirm(`Enroll all ${segment.lead_count} leads in "${segment.name}"? Leads already in the sequence are skipped.`)) return;
+    enrollMutation.mutate();
+  };
+
+  return (
+    <div className="pt-4 mt-4 border-t border-dark-700/50 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Bookmark className="w-4 h-4 text-dark-400" />
+        <select
+          value={activeSegment?.id || ''}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="input-field py-1.5 text-sm w-auto min-w-[200px]"
+        >
+          <option value="">All leads</option>
+          {segments.map(s => (
+            <option key={s.id} value={s.id}>
+              {s.name} ({s.lead_count}){s.is_shared ? '' : ' • private'}
+            </option>
+          ))}
+        </select>
+
+        {segment && (
+          <>
+            <span className="text-xs text-dark-400">
+              {segment.lead_count} lead{segment.lead_count === 1 ? '' : 's'}
+              {isModified && <span className="text-warning-400"> • filters changed</span>}
+            </span>
+
+            {segment.can_edit && isModified && (
+              <button
+                onClick={() => updateMutation.mutate({ filters: currentFilters })}
+                disabled={updateMutation.isPending}
+                className="px-3 py-1.5 rounded-lg text-xs bg-primary-500/20 text-primary-300 border border-primary-500/30 hover:bg-primary-500/30 flex items-center gap-1"
+              >
+                <Save className="w-3.5 h-3.5" />
+                Update segment
+              </button>
+            )}
+
+            <div className="flex items-center ml-auto">
+              {writable && (
+                <button onClick={() => onSendToSegment(segment)} className={iconButton} title="Send a message to everyone in this segment">
+                  <Send className="w-4 h-4" />
+                </button>
+              )}
+              {segment.can_edit && (
+                <>
+                  <button
+                    onClick={() => updateMutation.mutate({ pinned: !segment.pinned })}
+                    className={iconButton}
+                    title={segment.pinned ? 'Unpin from sidebar' : 'Pin to sidebar'}
+                  >
+                    {segment.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => updateMutation.mutate({ is_shared: !segment.is_shared })}
+                    className={iconButton}
+                    title={segment.is_shared ? 'Shared with the team - make private' : 'Private - share with the team'}
+                  >
+                    {segment.is_shared ? <Globe className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => confirm(`Delete segment "${segment.name}"?`) && deleteMutation.mutate()}
+                    className={cn(iconButton, "hover:text-danger-400")}
+                    title="Delete segment"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+              <button onClick={resetLeadFilters} className={iconButton} title="Show all leads">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </>
+        )}
+
+        {writable && (!segment || isModified) && hasFilters && !saving && (
+          <button
+            onClick={() => setSaving(true)}
+            className="px-3 py-1.5 rounded-lg text-xs bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white hover:border-primary-500 flex items-center gap-1"
+          >
+            <Save className="w-3.5 h-3.5" />
+            Save as segment
+          </button>
+        )}
+      </div>
+
+      {/* Save current filters */}
+      {saving && (
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            autoFocus
+            value={form.name}
+            onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))}
+            onKeyDown={(e) => e.key === 'Enter' && form.name.trim() && createMutation.mutate()}
+            placeholder="Segment name, e.g. Hot leads this week"
+            className="input-field py-1.5 text-sm flex-1 min-w-[200px]"
+          />
+          <label className="flex items-center gap-2 text-sm text-dark-300">
+            <input type="checkbox" checked={form.is_shared} onChange={(e) => setForm(f => ({ ...f, is_shared: e.target.checked }))} />
+            Share with team
+          </label>
+          <label className="flex items-center gap-2 text-sm text-dark-300">
+            <input type="checkbox" checked={form.pinned} onChange={(e) => setForm(f => ({ ...f, pinned: e.target.checked }))} />
+            Pin to sidebar
+          </label>
+          <button
+            onClick={() => createMutation.mutate()}
+            disabled={!form.name.trim() || createMutation.isPending}
+            className="px-4 py-1.5 rounded-lg bg-primary-500 text-white text-sm hover:bg-primary-600 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button onClick={() => setSaving(false)} className="text-sm text-dark-400 hover:text-white">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Enroll the whole segment */}
+      {segment && writable && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Mail className="w-4 h-4 text-dark-400" />
+          <select
+            value={enrollSlug}
+            onChange={(e) => setEnrollSlug(e.target.value)}
+            className="input-field py-1.5 text-sm w-auto min-w-[200px]"
+          >
+            <option value="">Enroll segment in a sequence...</option>
+            {(sequencesData?.data || []).filter(seq => seq.is_active).map(seq => (
+              <option key={seq.slug} value={seq.slug}>{seq.name}</option>
+            ))}
+          </select>
+          {enrollSlug && (
+            <button
+              onClick={handleEnroll}
+              disabled={enrollMutation.isPending || segment.lead_count === 0}
+              className="px-3 py-1.5 rounded-lg text-xs bg-primary-500/20 text-primary-300 border border-primary-500/30 hover:bg-primary-500/30 disabled:opacity-50"
+            >
+              {enrollMutation.isPending ? 'Enrolling...' : `Enroll ${segment.lead_count} leads`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SegmentBar;
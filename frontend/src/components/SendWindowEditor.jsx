@@ -0,0 +1,94 @@
+/**
+ * Send Window Editor
+ *
+ * Hours and days (in the lead's local time) a sequence or step may send in.
+ * Outside the window messages wait for the next opening. null = any time.
+ */
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// GCC working week
+const DEFAULT_WINDOW = { start: '09:00', end: '18:00', days: [0, 1, 2, 3, 4] };
+
+const inputClass = 'bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm';
+
+/**
+ * "09:00-18:00 Sun-Thu", "09:00-18:00 every day" or "Any time"
+ */
+export function formatSendWindow(window) {
+  if (!window) return 'Any time';
+  const days = [...(window.days || [])].sort((a, b) => a - b);
+  let dayText = 'every day';
+  if (days.length > 0 && days.length < 7) {
+    const consecutive = days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+    dayText = consecutive && days.length > 2
+      ? `${DAYS[days[0]]}-${DAYS[days[days.length - 1]]}`
+      : days.map(day => DAYS[day]).join(', ');
+  }
+  return `${window.start}-${window.end} ${dayText}`;
+}
+
+export default function SendWindowEditor({ value, onChange, fallbackLabel = 'any time' }) {
+  const enabled = Boolean(value);
+
+  function toggleDay(day) {
+    const days = value.days || [];
+    onChange({
+      ...value,
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b)
+    });
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-white/60 text-sm">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onChange(e.target.checked ? DEFAULT_WINDOW : null)}
+        />
+        Only send within hours (lead's local time)
+        {!enabled && <span className="text-white/30">- {fallbackLabel}</span>}
+      </label>
+
+      {enabled && (
+        <div className="flex items-center gap-3 flex-wrap pl-6">
+          <input
+            type="time"
+            value={value.start}
+            onChange={(e) => onChange({ ...value, start: e.target.value })}
+            required
+            className={inputClass}
+          />
+          <span className="text-white/40 text-sm">to</span>
+          <input
+            type="time"
+            value={value.end}
+            onChange={(e) => onChange({ ...value, end: e.target.value })}
+            required
+            className={inputClass}
+          />
+          <div className="flex gap-1">
+            {DAYS.map((label, day) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleDay(day)}
+                className={`px-2 py-1 rounded text-xs transition-colors ${
+                  (value.days || []).includes(day)
+                    ? 'bg-blue-600/40 text-blue-100'
+                    : 'bg-white/5 text-white/40 hover:bg-white/10'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {value.start === value.end && (
+            <span className="text-amber-300 text-xs">Start and end must differ</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+/**
+ * Sequence Analytics
+ *
+ * Funnel for one sequence over a date range: sent → delivered → opened →
+ * clicked → replied → booked, plus unsubscribes, broken down per step and
+ * per value email. Counts are distinct leads.
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+const STAGE_LABELS = {
+  sent: 'Sent',
+  delivered: 'Delivered',
+  opened: 'Opened',
+  clicked: 'Clicked',
+  replied: 'Replied',
+  booked: 'Booked',
+  unsubscribed: 'Unsubscribed'
+};
+
+const STAGE_COLORS = {
+  sent: 'bg-blue-500',
+  delivered: 'bg-sky-500',
+  opened: 'bg-indigo-500',
+  clicked: 'bg-purple-500',
+  replied: 'bg-green-500',
+  booked: 'bg-emerald-500',
+  unsubscribed: 'bg-red-500'
+};
+
+const inputClass = 'bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-white text-sm';
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+}
+
+function percent(value, total) {
+  return total > 0 ? Math.round((value / total) * 100) : 0;
+}
+
+function StageTable({ title, rows, stages, label }) {
+  if (rows.length === 0) return null;
+
+  return (
+    <div>
+      <h4 className="text-white/70 text-sm font-medium mb-2">{title}</h4>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-white/40 text-xs text-left">
+              <th className="py-1 pr-4 font-normal">{label}</th>
+              {stages.map(stage => (
+                <th key={stage} className="py-1 px-2 font-normal text-right">{STAGE_LABELS[stage]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-white/5">
+            {rows.map(row => (
+              <tr key={row.key} className="text-white/70">
+                <td className="py-1.5 pr-4 text-white">{row.name}</td>
+                {stages.map(stage => (
+                  <td key={stage} className="py-1.5 px-2 text-right tabular-nums">
+                    {row[stage]}
+                    {stage !== 'sent' && row.sent > 0 && (
+                      <span className="text-white/30 text-xs ml-1">{percent(row[stage], row.sent)}%</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default function SequenceAnalytics({ slug }) {
+  const [range, setRange] = useState({ dateFrom: daysAgo(29), dateTo: daysAgo(0) });
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // loadAnalytics reads slug and range
+  useEffect(() => {
+    loadAnalytics();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [slug, range.dateFrom, range.dateTo]);
+
+  async function loadAnalytics() {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await api.get(`/sequences/${slug}/analytics`, { params: range });
+      setAnalytics(res.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const stages = analytics?.stages || Object.keys(STAGE_LABELS);
+  const funnelStages = stages.filter(stage => stage !== 'unsubscribed');
+  const totals = analytics?.totals || {};
+
+  return (
+    <div className="p-4 border-b border-white/10 bg-black/20 space-y-5">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h3 className="text-white font-medium">
+          Performance
+          {analytics && <span className="text-white/40 text-sm font-normal ml-2">{analytics.enrolled} enrolled in range</span>}
+        </h3>
+        <div className="flex items-center gap-2 text-sm text-white/50">
+          {[7, 30, 90].map(days => (
+            <button
+              key={days}
+              onClick={() => setRange({ dateFrom: daysAgo(days - 1), dateTo: daysAgo(0) })}
+              className="bg-white/5 hover:bg-white/10 text-white/70 px-2 py-1 rounded text-xs transition-colors"
+            >
+              {days}d
+            </button>
+          ))}
+          <input
+            type="date"
+            value={range.dateFrom}
+            max={range.dateTo}
+            onChange={(e) => e.target.value && setRange(prev => ({ ...prev, dateFrom: e.target.value }))}
+            className={inputClass}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={range.dateTo}
+            min={range.dateFrom}
+            onChange={(e) => e.target.value && setRange(prev => ({ ...prev, dateTo: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-red-300 text-sm">Failed to load analytics: {error}</p>
+      ) : loading && !analytics ? (
+        <p className="text-white/40 text-sm">Loading analytics...</p>
+      ) : totals.sent === 0 ? (
+        <p className="text-white/40 text-sm">No messages sent in this range.</p>
+      ) : (
+        <div className={`space-y-5 ${loading ? 'opacity-50' : ''}`}>
+          {/* Funnel */}
+          <div className="space-y-1.5">
+            {funnelStages.map(stage => (
+              <div key={stage} className="flex items-center gap-3 text-sm">
+                <span className="w-20 text-white/50">{STAGE_LABELS[stage]}</span>
+                <div className="flex-1 h-6 bg-white/5 rounded overflow-hidden">
+                  <div
+                    className={`h-full ${STAGE_COLORS[stage]} transition-all`}
+                    style={{ width: `${Math.max(percent(totals[stage], totals.sent), totals[stage] > 0 ? 1 : 0)}%` }}
+                  />
+                </div>
+                <span className="w-24 text-right text-white tabular-nums">
+                  {totals[stage]} <span className="text-white/40">({percent(totals[stage], totals.sent)}%)</span>
+                </span>
+              </div>
+            ))}
+            <p className="text-white/40 text-xs pt-1">
+              {totals.unsubscribed} unsubscribed ({percent(totals.unsubscribed, totals.sent)}%) •
+              replies, bookings and unsubscribes are credited to the last message before them
+            </p>
+          </div>
+
+          <StageTable
+            title="By step"
+            label="Step"
+            stages={stages}
+            rows={analytics.steps.map(step => ({ ...step, key: step.id, name: `${step.stepOrder}. ${step.name}` }))}
+          />
+
+          <StageTable
+            title="By value email"
+            label="Email"
+            stages={stages}
+            rows={analytics.valueEmails.map(email => ({ ...email, key: email.valueEmailId, name: email.templateName || email.valueEmailId }))}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+/**
+ * Sequence Step Form
+ *
+ * Create/edit a sequence step: timing, channel, content source
+ * (linked template, rotating template pool or inline content) and an
+ * optional sending window overriding the sequence's.
+ */
+
+import { useState } from 'react';
+import SendWindowEditor, { formatSendWindow } from './SendWindowEditor';
+
+const inputClass = 'w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm placeholder:text-white/30';
+
+function initialSource(step) {
+  if (step?.email_template_id) return `template:${step.email_template_id}`;
+  if (step?.content_pool) return `pool:${step.content_pool}`;
+  return 'inline';
+}
+
+export default function SequenceStepForm({ step, sequenceWindow, templates, pools, saving, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    name: step?.name || '',
+    delay_value: step?.delay_value ?? 1,
+    delay_unit: step?.delay_unit || 'days',
+    channel: step?.channel || 'email',
+    email_subject: step?.email_subject || '',
+    email_body: step?.email_body || '',
+    whatsapp_message: step?.whatsapp_message || '',
+    include_ebook: step?.include_ebook || false,
+    skip_if_replied: step?.skip_if_replied || false,
+    is_active: step?.is_active ?? true,
+    send_window: step?.send_window || null
+  });
+  const [source, setSource] = useState(initialSource(step));
+
+  const sendsEmail = form.channel === 'email' || form.channel === 'both';
+  const sendsWhatsApp = form.channel === 'whatsapp' || form.channel === 'both';
+
+  function update(field, value) {
+    setForm(prev => ({ ...prev, [field]: value }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const [kind, ref] = source.split(/:(.*)/);
+    onSave({
+      ...form,
+      delay_value: parseInt(form.delay_value, 10) || 0,
+      email_template_id: kind === 'template' ? ref : null,
+      content_pool: kind === 'pool' ? ref : null,
+      email_subject: form.email_subject || null,
+      email_body: form.email_body || null,
+      whatsapp_message: form.whatsapp_message || null
+    });
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3" onClick={(e) => e.stopPropagation()}>
+      <div className="grid grid-cols-4 gap-3">
+        <input
+          value={form.name}
+          onChange={(e) => update('name', e.target.value)}
+          placeholder="Step name"
+          required
+          className={`${inputClass} col-span-2`}
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            value={form.delay_value}
+            onChange={(e) => update('delay_value', e.target.value)}
+            title="Negative = before meeting"
+            className={`${inputClass} w-20`}
+          />
+          <select value={form.delay_unit} onChange={(e) => update('delay_unit', e.target.value)} className={inputClass}>
+            <option value="minutes" className="bg-[#1a1a2e]">minutes</option>
+            <option value="hours" className="bg-[#1a1a2e]">hours</option>
+            <option value="days" className="bg-[#1a1a2e]">days</option>
+          </select>
+        </div>
+        <select value={form.channel} onChange={(e) => update('channel', e.target.value)} className={inputClass}>
+          <option value="email" className="bg-[#1a1a2e]">📧 Email</option>
+          <option value="whatsapp" className="bg-[#1a1a2e]">💬 WhatsApp</option>
+          <option value="both" className="bg-[#1a1a2e]">📧 + 💬 Both</option>
+        </select>
+      </div>
+
+      {sendsEmail && (
+        <div className="space-y-2">
+          <select value={source} onChange={(e) => setSource(e.target.value)} className={inputClass}>
+            <option value="inline" className="bg-[#1a1a2e]">Inline content</option>
+            {pools.map(pool => (
+              <option key={pool.category} value={`pool:${pool.category}`} className="bg-[#1a1a2e]">
+                Rotating pool: {pool.category} ({pool.activeCount} templates)
+              </option>
+            ))}
+            {templates.map(template => (
+              <option key={template.id} value={`template:${template.id}`} className="bg-[#1a1a2e]">
+                Template: {template.name}
+              </option>
+            ))}
+          </select>
+          {source === 'inline' && (
+            <>
+              <input
+                value={form.email_subject}
+                onChange={(e) => update('email_subject', e.target.value)}
+                placeholder="Email subject"
+                className={inputClass}
+              />
+              <textarea
+                value={form.email_body}
+                onChange={(e) => update('email_body', e.target.value)}
+                placeholder="Email body - {{first_name}}, {{calendar_link}} ..."
+                rows={6}
+                className={inputClass}
+              />
+            </>
+          )}
+          <label className="flex items-center gap-2 text-white/60 text-sm">
+            <input
+              type="checkbox"
+              checked={form.include_ebook}
+              onChange={(e) => update('include_ebook', e.target.checked)}
+            />
+            Add playbook link if missing
+          </label>
+        </div>
+      )}
+
+      {sendsWhatsApp && (
+        <textarea
+          value={form.whatsapp_message}
+          onChange={(e) => update('whatsapp_message', e.target.value)}
+          placeholder="WhatsApp message"
+          rows={3}
+          className={inputClass}
+        />
+      )}
+
+      <SendWindowEditor
+        value={form.send_window}
+        onChange={(value) => update('send_window', value)}
+        fallbackLabel={sequenceWindow ? `sequence window: ${formatSendWindow(sequenceWindow)}` : 'any time'}
+      />
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-white/60 text-sm">
+            <input
+              type="checkbox"
+              checked={form.is_active}
+              onChange={(e) => update('is_active', e.target.checked)}
+            />
+            Active
+          </label>
+          <label
+            className="flex items-center gap-2 text-white/60 text-sm"
+            title="When the lead replies on WhatsApp this step is dropped; if no other steps are left the sequence ends, otherwise it pauses"
+          >
+            <input
+              type="checkbox"
+              checked={form.skip_if_replied}
+              onChange={(e) => update('skip_if_replied', e.target.checked)}
+            />
+            Skip if lead replied
+          </label>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-white/5 hover:bg-white/10 text-white/70 px-4 py-2 rounded-lg text-sm transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !form.name || (form.send_window && form.send_window.start === form.send_window.end)}
+            className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Step'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,74 @@
+/**
+ * Sequence Timeline
+ *
+ * Preview of when each step fires. Positive delays are relative to
+ * enrollment, negative delays are relative to the meeting time.
+ */
+
+const UNIT_MINUTES = { minutes: 1, hours: 60, days: 24 * 60 };
+
+function toMinutes(step) {
+  return step.delay_value * (UNIT_MINUTES[step.delay_unit] || 1);
+}
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  if (abs === 0) return '0';
+  if (abs % (24 * 60) === 0) return `${abs / (24 * 60)}d`;
+  if (abs % 60 === 0) return `${abs / 60}h`;
+  return `${abs}m`;
+}
+
+const CHANNEL_DOT = {
+  email: 'bg-blue-400',
+  whatsapp: 'bg-green-400',
+  both: 'bg-purple-400'
+};
+
+function Lane({ label, steps, reverse = false }) {
+  const max = Math.max(...steps.map(s => Math.abs(toMinutes(s))), 1);
+
+  return (
+    <div>
+      <div className="text-white/40 text-xs mb-2">{label}</div>
+      <div className="relative h-10">
+        <div className="absolute left-0 right-0 top-3 h-px bg-white/10" />
+        {steps.map(step => {
+          const offset = Math.abs(toMinutes(step)) / max;
+          const left = `${(reverse ? 1 - offset : offset) * 100}%`;
+          return (
+            <div
+              key={step.id}
+              className="absolute -translate-x-1/2 flex flex-col items-center group"
+              style={{ left }}
+              title={`${step.step_order}. ${step.name}`}
+            >
+              <span className={`w-3 h-3 mt-1.5 rounded-full ${CHANNEL_DOT[step.channel] || 'bg-white/40'} ${step.is_active ? '' : 'opacity-30'}`} />
+              <span className="text-[10px] text-white/40 mt-1 whitespace-nowrap">
+                {reverse ? '-' : '+'}{formatOffset(toMinutes(step))}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function SequenceTimeline({ steps }) {
+  if (!steps || steps.length === 0) return null;
+
+  const afterEnrollment = steps.filter(s => s.delay_value >= 0);
+  const beforeMeeting = steps.filter(s => s.delay_value < 0);
+
+  return (
+    <div className="px-6 py-3 border-b border-white/10 bg-black/20 space-y-3">
+      {afterEnrollment.length > 0 && (
+        <Lane label="After enrollment" steps={afterEnrollment} />
+      )}
+      {beforeMeeting.length > 0 && (
+        <Lane label="Before meeting" steps={beforeMeeting} reverse />
+      )}
+    </div>
+  );
+}
@@ -15,8 +15,16 @@ import {
   Mail,
   MessageSquare,
   Settings,
-  HelpCircle
+  HelpCircle,
+  Bookmark,
+  ListTodo,
+  SlidersHorizontal,
+  Cpu,
+  MailWarning,
+  Gauge
 } from 'lucide-react';
+import { useQuery } from '@tanstack/react-query';
+import { segmentsApi } from '../lib/api';
 import { useAppStore } from '../lib/store';
 import { cn } from '../lib/utils';
 
@@ -33,12 +41,42 @@ const mainNavItems = [
     label: 'Leads',
     description: 'Manage contacts'
   },
+  { 
+    path: '/tasks', 
+    icon: ListTodo, 
+    label: 'Tasks',
+    description: 'Follow-ups & reminders'
+  },
+  { 
+    path: '/scoring', 
+    icon: SlidersHorizontal, 
+    label: 'Lead Scoring',
+    description: 'Scoring rules & versions'
+  },
+  { 
+    path: '/ai-usage', 
+    icon: Cpu, 
+    label: 'AI Usage',
+    description: 'AI calls, cost & budget'
+  },
   { 
     path: '/sequences', 
     icon: Mail, 
     label: 'Sequences',
     description: 'Email & WhatsApp automation'
   },
+  { 
+    path: '/failed-messages', 
+    icon: MailWarning, 
+    label: 'Failed Messages',
+    description: 'Retry or fix undelivered sends'
+  },
+  { 
+    path: '/send-limits', 
+    icon: Gauge, 
+    label: 'Send Limits',
+    description: 'Rate limits & warm-up per sender'
+  },
   { 
     path: '/evolution', 
     icon: MessageSquare, 
@@ -69,9 +107,15 @@ const futureNavItems = [
 ];
 
 function Sidebar() {
-  const { sidebarOpen, toggleSidebar } = useAppStore();
+  const { sidebarOpen, toggleSidebar, activeSegment, applySegment } = useAppStore();
   const location = useLocation();
 
+  const { data: pinnedData } = useQuery({
+    queryKey: ['segments', 'pinned'],
+    queryFn: () => segmentsApi.getSegments({ pinned: true })
+  });
+  const pinnedSegments = pinnedData?.data || [];
+
   return (
     <motion.aside
       initial={false}
@@ -163,6 +207,56 @@ function Sidebar() {
           );
         })}
 
+        {/* Pinned Segments */}
+        {pinnedSegments.length > 0 && (
+          <div className="pt-6 mt-6 border-t border-dark-700/50">
+            {sidebarOpen && (
+              <span className="px-3 text-[10px] font-semibold text-dark-400 uppercase tracking-wider">
+                Segments
+              </span>
+            )}
+
+            <div className="mt-3 space-y-1">
+              {pinnedSegments.map((segment) => {
+                const isActive = location.pathname === '/leads' && activeSegment?.id === segment.id;
+
+                return (
+                  <NavLink
+                    key={segment.id}
+                    to="/leads"
+                    onClick={() => applySegment(segment)}
+                    title={segment.name}
+                    className={cn(
+                      "flex items-center gap-3 px-3 py-2 rounded-xl transition-all duration-200 group",
+                      isActive
+                        ? "bg-primary-500/20 text-primary-300"
+                        : "text-dark-300 hover:bg-dark-800/50 hover:text-white"
+                    )}
+                  >
+                    <div className="w-9 h-9 rounded-lg flex items-center justify-center bg-dark-800/50 group-hover:bg-dark-700/50 shrink-0">
+                      <Bookmark className="w-4 h-4" />
+                    </div>
+
+                    <AnimatePresence>
+                      {sidebarOpen && (
+                        <motion.div
+                          initial={{ opacity: 0 }}
+                          animate={{ opacity: 1 }}
+                          exit={{ opacity: 0 }}
+                          className="flex flex-1 items-center justify-between min-w-0"
+                        >
+                          <span className="font-medium text-sm truncate">{segment.name}</span>
+                          <span className="text-[10px] text-dark-500 ml-2">{segment.lead_count}</span>
+                        </motion.div>
+                      )}
+                    </AnimatePresence>
+                  </NavLink>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Future Features Section */}
         <div className="pt-6 mt-6 border-t border-dark-700/50">
           {sidebarOpen && (
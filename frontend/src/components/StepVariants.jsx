@@ -0,0 +1,313 @@
+/**
+ * Step Variants
+ *
+ * A/B test panel for one sequence step: weighted variants that override the
+ * step's subject, body or WhatsApp text, their open / click / booking rates,
+ * and the auto-promote settings.
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+const METRIC_LABELS = { opened: 'Open rate', clicked: 'Click rate', booked: 'Booking rate' };
+
+const inputClass = 'w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-sm placeholder:text-white/30';
+
+function VariantForm({ variant, step, saving, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    name: variant?.name || '',
+    email_subject: variant?.email_subject || '',
+    email_body: variant?.email_body || '',
+    whatsapp_message: variant?.whatsapp_message || '',
+    weight: variant?.weight ?? 1,
+    is_active: variant?.is_active ?? true
+  });
+
+  const sendsEmail = step.channel === 'email' || step.channel === 'both';
+  const sendsWhatsApp = step.channel === 'whatsapp' || step.channel === 'both';
+
+  function update(field, value) {
+    setForm(prev => ({ ...prev, [field]: value }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave({
+      ...form,
+      weight: parseInt(form.weight, 10) || 0,
+      email_subject: form.email_subject || null,
+      email_body: form.email_body || null,
+      whatsapp_message: form.whatsapp_message || null
+    });
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 bg-white/5 rounded-xl p-3">
+      <div className="grid grid-cols-4 gap-2">
+        <input
+          value={form.name}
+          onChange={(e) => update('name', e.target.value)}
+          placeholder="Variant name (e.g. B - shorter subject)"
+          required
+          className={`${inputClass} col-span-3`}
+        />
+        <input
+          type="number"
+          min={0}
+          value={form.weight}
+          onChange={(e) => update('weight', e.target.value)}
+          title="Relative share of leads (0 = paused)"
+          className={inputClass}
+        />
+      </div>
+      {sendsEmail && (
+        <>
+          <input
+            value={form.email_subject}
+            onChange={(e) => update('email_subject', e.target.value)}
+            placeholder="Email subject (blank = step's subject)"
+            className={inputClass}
+          />
+          <textarea
+            value={form.email_body}
+            onChange={(e) => update('email_body', e.target.value)}
+            placeholder="Email body (blank = step's body)"
+            rows={4}
+            className={inputClass}
+          />
+        </>
+      )}
+      {sendsWhatsApp && (
+        <textarea
+          value={form.whatsapp_message}
+          onChange={(e) => update('whatsapp_message', e.target.value)}
+          placeholder="WhatsApp message (blank = step's message)"
+          rows={2}
+          className={inputClass}
+        />
+      )}
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-white/60 text-sm">
+          <input
+            type="checkbox"
+            checked={form.is_active}
+            onChange={(e) => update('is_active', e.target.checked)}
+          />
+          Active
+        </label>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-white/5 hover:bg-white/10 text-white/70 px-3 py-1.5 rounded-lg text-sm transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || !form.name}
+            className="bg-blue-600 hover:bg-blue-500 text-white px-3 py-1.5 rounded-lg text-sm transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Variant'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+export default function StepVariants({ step, admin }) {
+  const [abTest, setAbTest] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // loadVariants reads step.id
+  useEffect(() => {
+    loadVariants();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step.id]);
+
+  async function loadVariants() {
+    try {
+      const res = await api.get(`/sequences/steps/${step.id}/variants`);
+      setAbTest(res.data);
+    } catch (err) {
+      console.error('Failed to load variants:', err);
+    }
+  }
+
+  async function saveVariant(data) {
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        await api.post(`/sequences/steps/${step.id}/variants`, data);
+      } else {
+        await api.put(`/sequences/variants/${editing}`, data);
+      }
+      setEditing(null);
+      await loadVariants();
+    } catch (err) {
+      alert('Failed to save variant: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function deleteVariant(variant) {
+    if (!confirm(`Delete variant "${variant.name}"? Results already recorded stay in the message history.`)) return;
+    try {
+      await api.delete(`/sequences/variants/${variant.id}`);
+      await loadVariants();
+    } catch (err) {
+      alert('Failed to delete variant: ' + err.message);
+    }
+  }
+
+  async function promoteVariant(variant) {
+    if (!confirm(`Promote "${variant.name}"? All other variants of this step will be switched off.`)) return;
+    try {
+      await api.post(`/sequences/variants/${variant.id}/promote`);
+      await loadVariants();
+    } catch (err) {
+      alert('Failed to promote variant: ' + err.message);
+    }
+  }
+
+  async function updateSettings(settings) {
+    try {
+      await api.put(`/sequences/steps/${step.id}`, settings);
+      setAbTest(prev => ({ ...prev, step: { ...prev.step, ...settings } }));
+    } catch (err) {
+      alert('Failed to update A/B settings: ' + err.message);
+    }
+  }
+
+  if (!abTest) return null;
+
+  const { variants } = abTest;
+  const settings = abTest.step;
+  if (variants.length === 0 && !admin) return null;
+
+  const totalWeight = variants.filter(v => v.is_active).reduce((sum, v) => sum + v.weight, 0);
+
+  return (
+    <div className="mt-4 bg-white/5 rounded-xl p-4 space-y-3">
+      <div className="flex items-center justify-between flex-wrap gap-2">
+        <h4 className="text-white/70 text-sm font-medium">🧪 A/B Variants</h4>
+        {admin && variants.length > 0 && (
+          <div className="flex items-center gap-2 text-xs text-white/50">
+            <label className="flex items-center gap-1.5">
+              <input
+                type="checkbox"
+                checked={settings.ab_auto_promote || false}
+                onChange={(e) => updateSettings({ ab_auto_promote: e.target.checked })}
+              />
+              Auto-promote best
+            </label>
+            <select
+              value={settings.ab_metric || 'opened'}
+              onChange={(e) => updateSettings({ ab_metric: e.target.value })}
+              className="bg-white/5 border border-white/10 rounded px-2 py-1 text-white"
+            >
+              {Object.entries(METRIC_LABELS).map(([metric, label]) => (
+                <option key={metric} value={metric} className="bg-[#1a1a2e]">{label}</option>
+              ))}
+            </select>
+            after
+            <input
+              type="number"
+              min={1}
+              defaultValue={settings.ab_min_sample ?? 100}
+              onBlur={(e) => {
+                const value = parseInt(e.target.value, 10);
+                if (value >= 1 && value !== settings.ab_min_sample) updateSettings({ ab_min_sample: value });
+              }}
+              className="w-16 bg-white/5 border border-white/10 rounded px-2 py-1 text-white"
+            />
+            sends each
+          </div>
+        )}
+      </div>
+
+      {variants.length === 0 ? (
+        <p className="text-white/40 text-sm">
+          No variants - every lead gets the step's own content. Add two or more to split-test it.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-white/40 text-xs text-left">
+                <th className="py-1 pr-4 font-normal">Variant</th>
+                <th className="py-1 px-2 font-normal text-right">Share</th>
+                <th className="py-1 px-2 font-normal text-right">Sent</th>
+                <th className="py-1 px-2 font-normal text-right">Opened</th>
+                <th className="py-1 px-2 font-normal text-right">Clicked</th>
+                <th className="py-1 px-2 font-normal text-right">Booked</th>
+                {admin && <th className="py-1 pl-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-white/5">
+              {variants.map(variant => (
+                <tr key={variant.id} className={variant.is_active ? 'text-white/70' : 'text-white/30'}>
+                  <td className="py-1.5 pr-4">
+                    <span className={variant.is_active ? 'text-white' : ''}>{variant.name}</span>
+                    {variant.promoted_at && <span className="ml-2 text-xs text-amber-300">🏆 winner</span>}
+                    {!variant.is_active && !variant.promoted_at && <span className="ml-2 text-xs">off</span>}
+                  </td>
+                  <td className="py-1.5 px-2 text-right tabular-nums">
+                    {variant.is_active && totalWeight > 0 ? `${Math.round((variant.weight / totalWeight) * 100)}%` : '-'}
+                  </td>
+                  <td className="py-1.5 px-2 text-right tabular-nums">{variant.sent}</td>
+                  {['opened', 'clicked', 'booked'].map(metric => (
+                    <td key={metric} className="py-1.5 px-2 text-right tabular-nums">
+                      {variant[metric]}
+                      {variant.sent > 0 && (
+                        <span className="text-white/30 text-xs ml-1">{variant[`${metric}Rate`]}%</span>
+                      )}
+                    </td>
+                  ))}
+                  {admin && (
+                    <td className="py-1.5 pl-2 text-right whitespace-nowrap">
+                      <button onClick={() => setEditing(variant.id)} className="text-white/40 hover:text-white text-xs px-1">
+                        Edit
+                      </button>
+                      {variant.is_active && variants.some(v => v.is_active && v.id !== variant.id) && (
+                        <button onClick={() => promoteVariant(variant)} className="text-amber-300/70 hover:text-amber-300 text-xs px-1">
+                          Promote
+                        </button>
+                      )}
+                      <button onClick={() => deleteVariant(variant)} className="text-red-300/70 hover:text-red-300 text-xs px-1">
+                        Delete
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {admin && (
+        editing ? (
+          <VariantForm
+            key={editing}
+            step={step}
+            variant={variants.find(v => v.id === editing)}
+            saving={saving}
+            onSave={saveVariant}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing('new')}
+            className="text-blue-300 hover:text-blue-200 text-sm"
+          >
+            + Add variant
+          </button>
+        )
+      )}
+    </div>
+  );
+}
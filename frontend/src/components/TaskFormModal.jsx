@@ -0,0 +1,217 @@
+/**
+ * Task Form Modal
+ *
+ * Create a follow-up task for a lead, or edit one (reschedule, reassign,
+ * change recurrence).
+ */
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState } from 'react';
+import { ListTodo, Phone, Mail, MessageSquare, CalendarClock, CircleDot, X } from 'lucide-react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { tasksApi, routingApi } from '../lib/api';
+import toast from 'react-hot-toast';
+import { formatDate } from '../lib/utils';
+
+export const TASK_TYPES = {
+  call: { label: 'Call', icon: Phone },
+  email: { label: 'Email', icon: Mail },
+  whatsapp: { label: 'WhatsApp', icon: MessageSquare },
+  meeting_prep: { label: 'Meeting prep', icon: CalendarClock },
+  other: { label: 'Other', icon: CircleDot }
+};
+
+export const TASK_RECURRENCES = {
+  daily: 'Every day',
+  weekdays: 'Every weekday',
+  weekly: 'Every week',
+  monthly: 'Every month'
+};
+
+// <input type="datetime-local"> value in the browser's timezone
+const toLocalInput = (date) => formatDate(date, "yyyy-MM-dd'T'HH:mm");
+
+// Tomorrow at 10:00
+function defaultDueAt() {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(10, 0, 0, 0);
+  return toLocalInput(date);
+}
+
+function TaskFormModal({ lead, task, onClose }) {
+  const queryClient = useQueryClient();
+  const isEdit = !!task;
+
+  const [form, setForm] = useState(() => ({
+    title: task?.title || '',
+    type: task?.type || 'call',
+    due_at: task ? toLocalInput(new Date(task.due_at)) : defaultDueAt(),
+    assigned_to: task ? task.assigned_to || '' : lead?.assigned_to || '',
+    recurrence: task?.recurrence || '',
+    recurrence_until: task?.recurrence_until ? formatDate(task.recurrence_until, 'yyyy-MM-dd') : '',
+    description: task?.description || ''
+  }));
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const { data: repsData } = useQuery({
+    queryKey: ['routingReps'],
+    queryFn: () => routingApi.getReps(),
+    staleTime: 60000
+  });
+  const reps = repsData?.data || [];
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const data = {
+        title: form.title.trim(),
+        type: form.type,
+        due_at: new Date(form.due_at).toISOString(),
+        assigned_to: form.assigned_to || null,
+        recurrence: form.recurrence || null,
+        recurrence_until: form.recurrence && form.recurrence_until
+          ? new Date(`${form.recurrence_until}T23:59:59`).toISOString()
+          : null,
+        description: form.description.trim() || null
+      };
+      return isEdit ? tasksApi.updateTask(task.id, data) : tasksApi.createTask({ ...data, lead_id: lead.id });
+    },
+    onSuccess: () => {
+      toast.success(isEdit ? 'Task updated' : 'Task created');
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['taskSummary'] });
+      queryClient.invalidateQueries({ queryKey: ['leadTasks'] });
+      onClose();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to save task')
+  });
+
+  const leadLabel = task
+    ? [task.first_name, task.last_name].filter(Boolean).join(' ') || task.lead_email
+    : [lead?.first_name, lead?.last_name].filter(Boolean).join(' ') || lead?.email;
+  const canSave = form.title.trim() && form.due_at && !saveMutation.isPending;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-dark-950/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          className="glass-card w-full max-w-lg p-6"
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <div className="w-12 h-12 rounded-xl bg-primary-500/20 flex items-center justify-center">
+                <ListTodo className="w-6 h-6 text-primary-400" />
+              </div>
+              <div>
+                <h2 className="text-lg font-semibold text-white">{isEdit ? 'Edit Task' : 'New Task'}</h2>
+                {leadLabel && <p className="text-sm text-dark-400">{leadLabel}</p>}
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm text-dark-400 mb-1">Title</label>
+              <input
+                type="text"
+                value={form.title}
+                onChange={set('title')}
+                placeholder="e.g. Call back about pricing"
+                className="input-field"
+                autoFocus
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">Type</label>
+                <select value={form.type} onChange={set('type')} className="input-field">
+                  {Object.entries(TASK_TYPES).map(([value, { label }]) => (
+                    <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">Due</label>
+                <input type="datetime-local" value={form.due_at} onChange={set('due_at')} className="input-field" />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm text-dark-400 mb-1">Owner</label>
+              <select value={form.assigned_to} onChange={set('assigned_to')} className="input-field">
+                <option value="" className="bg-dark-800 text-white">Unassigned</option>
+                {reps.map(rep => (
+                  <option key={rep.id} value={rep.id} className="bg-dark-800 text-white">{rep.name || rep.email}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">Repeat</label>
+                <select value={form.recurrence} onChange={set('recurrence')} className="input-field">
+                  <option value="" className="bg-dark-800 text-white">Does not repeat</option>
+                  {Object.entries(TASK_RECURRENCES).map(([value, label]) => (
+                    <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+                  ))}
+                </select>
+              </div>
+              {form.recurrence && (
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">Until (optional)</label>
+                  <input type="date" value={form.recurrence_until} onChange={set('recurrence_until')} className="input-field" />
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm text-dark-400 mb-1">Notes</label>
+              <textarea
+                value={form.description}
+                onChange={set('description')}
+                rows={3}
+                className="input-field resize-none"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={!canSave}
+              className="px-6 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+            >
+              {saveMutation.isPending ? 'Saving...' : isEdit ? 'Save' : 'Create Task'}
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+export default TaskFormModal;
@@ -6,6 +6,7 @@
  */
 
 import axios from 'axios';
+import { useAuthStore } from './store';
 
 // API base URL - uses Vite proxy in development, relative path in production
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
@@ -22,16 +23,85 @@ const api = axios.create({
   timeout: 30000
 });
 
+// Request interceptor to attach the session token
+api.interceptors.request.use(config => {
+  const { token } = useAuthStore.getState();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   response => response.data,
   error => {
+    // Expired or revoked session - drop it so the app shows the login screen
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/login')) {
+      useAuthStore.getState().clearSession();
+    }
     const message = error.response?.data?.error || error.message || 'An error occurred';
     console.error('API Error:', message);
-    return Promise.reject({ message, details: error.response?.data?.details });
+    return Promise.reject({ message, status: error.response?.status, details: error.response?.data?.details });
   }
 );
 
+/**
+ * Query string from params, skipping empty values
+ */
+function buildQueryString(params) {
+  const queryParams = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      queryParams.append(key, value);
+    }
+  });
+
+  return queryParams.toString();
+}
+
+/**
+ * The user's IANA timezone, so "due today" matches their calendar day
+ */
+function browserTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// ==========================================
+// AUTH API
+// ==========================================
+
+export const authApi = {
+  /**
+   * Log in and get a session token
+   */
+  login: async (email, password) => {
+    return api.post('/auth/login', { email, password });
+  },
+
+  /**
+   * Revoke the current session
+   */
+  logout: async () => {
+    return api.post('/auth/logout');
+  },
+
+  /**
+   * Get the logged-in user
+   */
+  me: async () => {
+    return api.get('/auth/me');
+  },
+
+  /**
+   * Change the logged-in user's password
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    return api.put('/auth/password', { currentPassword, newPassword });
+  }
+};
+
 // ==========================================
 // LEADS API
 // ==========================================
@@ -41,15 +111,22 @@ export const leadsApi = {
    * Get all leads with optional filters
    */
   getLeads: async (params = {}) => {
-    const queryParams = new URLSearchParams();
-    
-    Object.entries(params).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== '') {
-        queryParams.append(key, value);
-      }
-    });
-    
-    return api.get(`/leads?${queryParams.toString()}`);
+    return api.get(`/leads?${buildQueryString(params)}`);
+  },
+
+  /**
+   * Columns available to export (custom fields used by leads matching the filters)
+   */
+  getExportColumns: async (filters = {}) => {
+    return api.get(`/leads/export/columns?${buildQueryString(filters)}`);
+  },
+
+  /**
+   * Export every lead matching the filters - resolves to a Blob
+   * @param {Object} params - list filters plus format (csv|xlsx|json) and columns (comma-separated)
+   */
+  exportLeads: async (params = {}) => {
+    return api.get(`/leads/export?${buildQueryString(params)}`, { responseType: 'blob' });
   },
 
   /**
@@ -74,19 +151,55 @@ export const leadsApi = {
   },
 
   /**
-   * Log a call for a lead
+   * Score changes for a lead, oldest first (source, factors, reason)
+   */
+  getScoreHistory: async (id) => {
+    return api.get(`/leads/${id}/score-history`);
+  },
+
+  /**
+   * Log a call for a lead - an outcome string, or
+   * { outcome, disposition, durationSeconds, notes, nextSteps, callbackAt, recording }
    */
-  logCall: async (id, outcome) => {
-    return api.post(`/leads/${id}/calls`, { outcome });
+  logCall: async (id, data) => {
+    return api.post(`/leads/${id}/calls`, typeof data === 'string' ? { outcome: data } : data);
   },
 
   /**
-   * Get call count for a lead
+   * Get call count and call history for a lead
    */
   getCallCount: async (id) => {
     return api.get(`/leads/${id}/calls`);
   },
 
+  /**
+   * Update a call's details (disposition, duration, notes, next steps)
+   */
+  updateCallDetails: async (callId, data) => {
+    return api.put(`/leads/calls/${callId}`, data);
+  },
+
+  /**
+   * Attach a recording to a call: { filename, mimeType, data: base64 }
+   */
+  uploadCallRecording: async (callId, recording) => {
+    return api.post(`/leads/calls/${callId}/recording`, recording);
+  },
+
+  /**
+   * Download a call recording (returns a Blob)
+   */
+  getCallRecording: async (callId) => {
+    return api.get(`/leads/calls/${callId}/recording`, { responseType: 'blob' });
+  },
+
+  /**
+   * (Re-)transcribe a call recording
+   */
+  transcribeCall: async (callId) => {
+    return api.post(`/leads/calls/${callId}/transcribe`);
+  },
+
   /**
    * Update a call activity
    */
@@ -123,17 +236,39 @@ export const leadsApi = {
   },
 
   /**
-   * Bulk update leads
+   * Assign a lead to a rep (null unassigns)
+   */
+  assignLead: async (id, userId) => {
+    return api.put(`/leads/${id}/assign`, { userId });
+  },
+
+  /**
+   * Run the routing rules again for a lead
+   */
+  routeLead: async (id) => {
+    return api.post(`/leads/${id}/route`);
+  },
+
+  /**
+   * Assignment history for a lead
    */
-  bulkUpdate: async (ids, updates) => {
-    return api.post('/leads/bulk/update', { ids, updates });
+  getAssignments: async (id) => {
+    return api.get(`/leads/${id}/assignments`);
   },
 
   /**
-   * Bulk delete leads
+   * Start a bulk action job
+   * @param {Object} data - { action, params, leadIds | segmentId | filters }
    */
-  bulkDelete: async (ids) => {
-    return api.post('/leads/bulk/delete', { ids });
+  bulkAction: async (data) => {
+    return api.post('/leads/bulk', data);
+  },
+
+  /**
+   * Bulk job progress and per-lead results
+   */
+  getBulkJob: async (id) => {
+    return api.get(`/leads/bulk/jobs/${id}`);
   },
 
   /**
@@ -151,7 +286,7 @@ export const leadsApi = {
   },
 
   /**
-   * Score all unscored leads with AI
+   * Queue a job scoring all unscored leads
    */
   scoreAllLeads: async () => {
     return api.post('/leads/score-all');
@@ -159,28 +294,31 @@ export const leadsApi = {
 
   /**
    * Manual send messages to selected leads
+   * @param {Object} data - { leadIds | segmentId, channel, emailAccount, whatsappInstance, subject, message }
    */
   manualSend: async (data) => {
     return api.post('/leads/manual-send', data);
   },
 
   /**
-   * Re-score ALL leads (legacy non-streaming)
+   * Queue a job re-scoring ALL leads (legacy non-streaming)
    */
   rescoreAllLeads: async () => {
     return api.post('/leads/rescore-all');
   },
 
   /**
-   * Re-score ALL leads with streaming progress
-   * @param {Function} onProgress - Called for each lead scored
+   * Re-score ALL leads as a background job, streaming its progress
+   * @param {Function} onProgress - Called on start (with jobId) and as leads are scored
    * @param {Function} onComplete - Called when all leads are scored
    * @param {Function} onError - Called on error
-   * @returns {Function} - Cleanup function to abort
+   * @returns {Function} - Cleanup function closing the stream (the job keeps running)
    */
   rescoreAllLeadsStream: (onProgress, onComplete, onError) => {
     const baseURL = import.meta.env.VITE_API_URL || '/api';
-    const eventSource = new EventSource(`${baseURL}/leads/rescore-stream`);
+    // EventSource can't send headers, so the token goes in the query string
+    const { token } = useAuthStore.getState();
+    const eventSource = new EventSource(`${baseURL}/leads/rescore-stream?access_token=${encodeURIComponent(token || '')}`);
     
     eventSource.addEventListener('start', (e) => {
       const data = JSON.parse(e.data);
@@ -227,6 +365,414 @@ export const leadsApi = {
    */
   getAdvice: async (id) => {
     return api.get(`/leads/${id}/advice`);
+  },
+
+  /**
+   * Import leads from a CSV/XLSX file
+   * @param {Object} data - { filename, file (base64), mapping, duplicateMode, enrollSequence, defaults, dryRun }
+   */
+  importLeads: async (data) => {
+    return api.post('/leads/import', data);
+  },
+
+  /**
+   * Get an import job's progress
+   */
+  getImportJob: async (id) => {
+    return api.get(`/leads/import/jobs/${id}`);
+  },
+
+  /**
+   * Get possible duplicate pairs awaiting review
+   */
+  getDuplicates: async (params = {}) => {
+    return api.get('/leads/duplicates', { params });
+  },
+
+  /**
+   * Get leads that look like the same person as this one
+   */
+  getLeadDuplicates: async (id) => {
+    return api.get(`/leads/${id}/duplicates`);
+  },
+
+  /**
+   * Scan all leads for duplicates (admin)
+   */
+  scanDuplicates: async () => {
+    return api.post('/leads/duplicates/scan');
+  },
+
+  /**
+   * Mark a duplicate pair as different people
+   */
+  dismissDuplicate: async (id) => {
+    return api.post(`/leads/duplicates/${id}/dismiss`);
+  },
+
+  /**
+   * Merge mergeId into survivorId (mergeId is deleted)
+   */
+  mergeLeads: async (survivorId, mergeId) => {
+    return api.post('/leads/merge', { survivorId, mergeId });
+  }
+};
+
+// ==========================================
+// SEGMENTS API
+// ==========================================
+
+export const segmentsApi = {
+  /**
+   * Saved segments visible to the current user, with live lead counts
+   * @param {Object} params - { pinned: true } for sidebar segments only
+   */
+  getSegments: async (params = {}) => {
+    return api.get(`/segments?${buildQueryString(params)}`);
+  },
+
+  /**
+   * Get a single segment
+   */
+  getSegment: async (id) => {
+    return api.get(`/segments/${id}`);
+  },
+
+  /**
+   * Save a segment
+   * @param {Object} data - { name, description, filters, is_shared, pinned }
+   */
+  createSegment: async (data) => {
+    return api.post('/segments', data);
+  },
+
+  /**
+   * Update a segment (name, filters, sharing, pinning)
+   */
+  updateSegment: async (id, data) => {
+    return api.put(`/segments/${id}`, data);
+  },
+
+  /**
+   * Delete a segment
+   */
+  deleteSegment: async (id) => {
+    return api.delete(`/segments/${id}`);
+  }
+};
+
+// ==========================================
+// ROUTING API
+// ==========================================
+
+export const routingApi = {
+  /**
+   * Users who can own leads, with routing settings and open lead counts
+   */
+  getReps: async () => {
+    return api.get('/routing/reps');
+  },
+
+  /**
+   * Add a rep to the rotation or change their settings
+   * @param {Object} data - { weight, is_available, timezone, working_hours, max_open_leads, reassign }
+   */
+  updateRep: async (userId, data) => {
+    return api.put(`/routing/reps/${userId}`, data);
+  },
+
+  /**
+   * Take a rep out of the rotation
+   */
+  removeRep: async (userId) => {
+    return api.delete(`/routing/reps/${userId}`);
+  },
+
+  /**
+   * Re-route a rep's untouched leads to the rest of the team
+   */
+  reassignRepLeads: async (userId) => {
+    return api.post(`/routing/reps/${userId}/reassign`);
+  },
+
+  /**
+   * Routing rules in the order they are checked
+   */
+  getRules: async () => {
+    return api.get('/routing/rules');
+  },
+
+  createRule: async (data) => {
+    return api.post('/routing/rules', data);
+  },
+
+  updateRule: async (id, data) => {
+    return api.put(`/routing/rules/${id}`, data);
+  },
+
+  deleteRule: async (id) => {
+    return api.delete(`/routing/rules/${id}`);
+  }
+};
+
+// ==========================================
+// TASKS API
+// ==========================================
+
+export const tasksApi = {
+  /**
+   * Task inbox
+   * @param {Object} params - { status, due, assignedTo, leadId, type, page, limit, timezone }
+   */
+  getTasks: async (params = {}) => {
+    return api.get(`/tasks?${buildQueryString({ timezone: browserTimezone(), ...params })}`);
+  },
+
+  /**
+   * The current user's overdue / due today / open counts
+   */
+  getSummary: async () => {
+    return api.get(`/tasks/summary?${buildQueryString({ timezone: browserTimezone() })}`);
+  },
+
+  /**
+   * @param {Object} data - { lead_id, title, description, type, due_at, assigned_to, recurrence, recurrence_until }
+   */
+  createTask: async (data) => {
+    return api.post('/tasks', data);
+  },
+
+  updateTask: async (id, data) => {
+    return api.put(`/tasks/${id}`, data);
+  },
+
+  /**
+   * Mark done (recurring tasks schedule their next occurrence)
+   */
+  completeTask: async (id) => {
+    return api.post(`/tasks/${id}/complete`);
+  },
+
+  deleteTask: async (id) => {
+    return api.delete(`/tasks/${id}`);
+  }
+};
+
+// ==========================================
+// SCORING API
+// ==========================================
+
+export const scoringApi = {
+  /**
+   * Every scoring model version, newest first
+   */
+  getModels: async () => {
+    return api.get('/scoring/models');
+  },
+
+  /**
+   * The active model with its rules (ai_scoring: whether AI scoring replaces rules)
+   */
+  getActiveModel: async () => {
+    return api.get('/scoring/models/active');
+  },
+
+  /**
+   * A model version with its rules
+   */
+  getModel: async (version) => {
+    return api.get(`/scoring/models/${version}`);
+  },
+
+  /**
+   * Publish rules as the next version (admin)
+   * @param {Object} data - { name, notes, rules }
+   */
+  publishModel: async (data) => {
+    return api.post('/scoring/models', data);
+  },
+
+  /**
+   * Make another version active (admin)
+   */
+  activateModel: async (version) => {
+    return api.post(`/scoring/models/${version}/activate`);
+  },
+
+  /**
+   * How current leads would score under a set of rules (admin)
+   */
+  previewRules: async (rules) => {
+    return api.post('/scoring/preview', { rules });
+  },
+
+  /**
+   * Fields and operators for the rule editor
+   */
+  getFields: async () => {
+    return api.get('/scoring/fields');
+  }
+};
+
+// ==========================================
+// AI USAGE API
+// ==========================================
+
+export const aiUsageApi = {
+  /**
+   * Usage totals, per feature/model/day, costliest leads and budget status
+   */
+  getSummary: async (days = 30) => {
+    return api.get(`/ai-usage/summary?days=${days}`);
+  },
+
+  /**
+   * Most recent AI calls
+   * @param {Object} params - { feature, leadId, limit }
+   */
+  getCalls: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+    return api.get(`/ai-usage/calls?${queryParams.toString()}`);
+  },
+
+  /**
+   * Set spend budgets in USD, null for no limit (admin)
+   * @param {Object} data - { daily, monthly }
+   */
+  updateBudget: async (data) => {
+    return api.put('/ai-usage/budget', data);
+  }
+};
+
+// ==========================================
+// FAILED MESSAGES API
+// ==========================================
+
+export const failedMessagesApi = {
+  /**
+   * Sequence messages that ran out of retries, with counts per channel/kind
+   * @param {Object} params - { channel, errorKind, limit, offset }
+   */
+  getFailedMessages: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') queryParams.append(key, value);
+    });
+    return api.get(`/failed-messages?${queryParams.toString()}`);
+  },
+
+  /**
+   * Retry many: { ids } or { channel, errorKind }
+   */
+  retryMany: async (data) => {
+    return api.post('/failed-messages/retry', data);
+  },
+
+  /**
+   * Send a failed message again as is
+   */
+  retry: async (id) => {
+    return api.post(`/failed-messages/${id}/retry`);
+  },
+
+  /**
+   * Edit and resend a failed message
+   * @param {Object} data - { subject, body, whatsapp }
+   */
+  resend: async (id, data) => {
+    return api.post(`/failed-messages/${id}/resend`, data);
+  },
+
+  /**
+   * Give up on a failed message
+   */
+  discard: async (id) => {
+    return api.post(`/failed-messages/${id}/discard`);
+  },
+
+  /**
+   * Seconds before each retry, per channel
+   */
+  getRetryPolicy: async () => {
+    return api.get('/failed-messages/retry-policy');
+  },
+
+  /**
+   * Update retry schedules (admin)
+   * @param {Object} data - { email: { delays }, whatsapp: { delays } }
+   */
+  updateRetryPolicy: async (data) => {
+    return api.put('/failed-messages/retry-policy', data);
+  }
+};
+
+// ==========================================
+// SEND LIMITS API
+// ==========================================
+
+export const sendLimitsApi = {
+  /**
+   * Limits per channel/sender plus current usage per email account and WhatsApp instance
+   */
+  get: async () => {
+    return api.get('/send-limits');
+  },
+
+  /**
+   * Update limits (admin)
+   * @param {Object} data - { email: { perMinute, perDay, senders }, whatsapp: { ... } }
+   */
+  update: async (data) => {
+    return api.put('/send-limits', data);
+  }
+};
+
+// ==========================================
+// JOBS API
+// ==========================================
+
+export const jobsApi = {
+  /**
+   * Most recent background jobs
+   * @param {Object} params - { status, type, limit }
+   */
+  getJobs: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) queryParams.append(key, value);
+    });
+    return api.get(`/jobs?${queryParams.toString()}`);
+  },
+
+  /**
+   * Counts per job type and status, scheduler and worker info
+   */
+  getStats: async () => {
+    return api.get('/jobs/stats');
+  },
+
+  /**
+   * A single job with progress and result
+   */
+  getJob: async (id) => {
+    return api.get(`/jobs/${id}`);
+  },
+
+  /**
+   * Queue a dead or cancelled job again (admin)
+   */
+  retryJob: async (id) => {
+    return api.post(`/jobs/${id}/retry`);
+  },
+
+  /**
+   * Cancel a pending job or stop a running one (admin)
+   */
+  cancelJob: async (id) => {
+    return api.post(`/jobs/${id}/cancel`);
   }
 };
 
@@ -354,6 +900,14 @@ export const sequencesApi = {
     return api.post('/sequences/enroll', { leadId, sequenceSlug, meetingTime });
   },
 
+  /**
+   * Enroll many leads in a sequence
+   * @param {Object} data - { sequenceSlug, leadIds | segmentId }
+   */
+  bulkEnroll: async (data) => {
+    return api.post('/sequences/enroll/bulk', data);
+  },
+
   /**
    * Cancel a lead's sequence
    */
@@ -361,6 +915,13 @@ export const sequencesApi = {
     return api.post('/sequences/cancel', { leadId, sequenceSlug, reason });
   },
 
+  /**
+   * Resume a paused sequence (paused when the lead replied)
+   */
+  resumeSequence: async (leadId, sequenceSlug) => {
+    return api.post('/sequences/resume', { leadId, sequenceSlug });
+  },
+
   /**
    * Mark meeting as booked
    */
@@ -397,10 +958,10 @@ export const sequencesApi = {
   },
 
   /**
-   * Send newsletter
+   * Send newsletter (to every active subscriber, or only those in a segment)
    */
-  sendNewsletter: async (subject, body) => {
-    return api.post('/sequences/newsletter/send', { subject, body });
+  sendNewsletter: async (subject, body, segmentId = null) => {
+    return api.post('/sequences/newsletter/send', { subject, body, segmentId });
   },
 
   /**
@@ -8,12 +8,56 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 
+/**
+ * Empty Leads filters
+ */
+export const DEFAULT_LEAD_FILTERS = {
+  search: '',
+  status: [],
+  source: [],
+  leadType: [],
+  intentCategory: '',
+  scoreMin: '',
+  scoreMax: '',
+  budgetMin: '',
+  budgetMax: '',
+  shipmentsMin: '',
+  shipmentsMax: '',
+  decisionMaker: '',
+  priority: '',
+  dateFrom: '',
+  dateTo: '',
+  createdWithinDays: '',
+  assignedTo: '' // user ID, 'me' or 'unassigned'
+};
+
+const NUMERIC_FILTERS = ['scoreMin', 'scoreMax', 'budgetMin', 'budgetMax', 'shipmentsMin', 'shipmentsMax', 'createdWithinDays'];
+
+/**
+ * Leads filters -> saved segment filters (Lead.getLeads options; empty values dropped)
+ */
+export const leadFiltersToSegment = (leadFilters) => Object.fromEntries(
+  Object.entries(leadFilters)
+    .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value !== '' && value !== null && value !== undefined))
+    .map(([key, value]) => [key, NUMERIC_FILTERS.includes(key) ? Number(value) : value])
+);
+
+/**
+ * Saved segment filters -> Leads filters
+ */
+export const segmentToLeadFilters = (filters = {}) => Object.fromEntries(
+  Object.entries(DEFAULT_LEAD_FILTERS).map(([key, empty]) => [
+    key,
+    filters[key] === undefined || filters[key] === null ? empty : (Array.isArray(empty) ? filters[key] : String(filters[key]))
+  ])
+);
+
 /**
  * Main application store
  */
 export const useAppStore = create(
   persist(
-    (set, get) => ({
+    (set) => ({
       // Sidebar state
       sidebarOpen: true,
       toggleSidebar: () => set(state => ({ sidebarOpen: !state.sidebarOpen })),
@@ -27,45 +71,22 @@ export const useAppStore = create(
       setActiveSection: (section) => set({ activeSection: section }),
       
       // Lead filters
-      leadFilters: {
-        search: '',
-        status: [],
-        source: [],
-        leadType: [],
-        intentCategory: '',
-        scoreMin: '',
-        scoreMax: '',
-        budgetMin: '',
-        budgetMax: '',
-        shipmentsMin: '',
-        shipmentsMax: '',
-        decisionMaker: '',
-        priority: '',
-        dateFrom: '',
-        dateTo: ''
-      },
+      leadFilters: { ...DEFAULT_LEAD_FILTERS },
       setLeadFilters: (filters) => set(state => ({
         leadFilters: { ...state.leadFilters, ...filters }
       })),
       resetLeadFilters: () => set({
-        leadFilters: {
-          search: '',
-          status: [],
-          source: [],
-          leadType: [],
-          intentCategory: '',
-          scoreMin: '',
-          scoreMax: '',
-          budgetMin: '',
-          budgetMax: '',
-          shipmentsMin: '',
-          shipmentsMax: '',
-          decisionMaker: '',
-          priority: '',
-          dateFrom: '',
-          dateTo: ''
-        }
+        leadFilters: { ...DEFAULT_LEAD_FILTERS },
+        activeSegment: null
       }),
+
+      // Saved segment currently applied to the Leads filters ({ id, name } or null)
+      activeSegment: null,
+      applySegment: (segment) => set({
+        leadFilters: segmentToLeadFilters(segment.filters),
+        activeSegment: { id: segment.id, name: segment.name }
+      }),
+      clearActiveSegment: () => set({ activeSegment: null }),
       
       // Webhook log filters
       webhookFilters: {
@@ -144,6 +165,30 @@ export const useAppStore = create(
   )
 );
 
+/**
+ * Auth store - current user and bearer token (persisted)
+ */
+export const useAuthStore = create(
+  persist(
+    (set) => ({
+      token: null,
+      user: null,
+      setSession: (token, user) => set({ token, user }),
+      setUser: (user) => set({ user }),
+      clearSession: () => set({ token: null, user: null })
+    }),
+    {
+      name: 'lead-pipeline-auth'
+    }
+  )
+);
+
+/**
+ * Role helpers
+ */
+export const canWrite = (user) => user?.role === 'admin' || user?.role === 'sales_rep';
+export const isAdmin = (user) => user?.role === 'admin';
+
 /**
  * Playground store for webhook testing
  */
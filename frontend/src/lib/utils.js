@@ -264,5 +264,11 @@ export const samplePayloads = {
     email: 'bob@example.com',
     phone: '+1555123456',
     title: 'Demo Call'
+  },
+  resend: {
+    type: 'email.opened',
+    email_id: null,
+    lead_id: null,
+    link: 'https://example.com'
   }
 };
@@ -0,0 +1,364 @@
+/**
+ * AI Usage Page
+ *
+ * What the AI features cost: calls, tokens and estimated spend per feature,
+ * model, day and lead, the most recent calls, and the daily/monthly budget
+ * after which features fall back to their non-AI behaviour.
+ */
+
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Cpu, DollarSign, Activity, Hash, AlertTriangle, Loader2, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { aiUsageApi } from '../lib/api';
+import { useAuthStore, isAdmin } from '../lib/store';
+import { cn, formatDate, formatRelativeTime } from '../lib/utils';
+
+const FEATURE_LABELS = {
+  lead_scoring: 'Lead scoring',
+  lead_advice: 'Lead advice',
+  lead_classification: 'Meta classification',
+  conversation_intent: 'WhatsApp intent',
+  phone_inference: 'Phone correction',
+  chatbot: 'Chatbot',
+  transcription: 'Call transcription'
+};
+
+const PERIODS = [7, 30, 90];
+
+const formatCost = (value) => `$${Number(value || 0).toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+const formatNumber = (value) => Number(value || 0).toLocaleString();
+const leadName = (row) => [row.first_name, row.last_name].filter(Boolean).join(' ') || row.email || 'Unknown lead';
+
+function BudgetMeter({ label, spent, budget, exceeded }) {
+  const percent = budget ? Math.min(100, (spent / budget) * 100) : 0;
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm mb-1">
+        <span className="text-dark-400">{label}</span>
+        <span className={cn("tabular-nums", exceeded ? "text-danger-400" : "text-white")}>
+          {formatCost(spent)}
+          <span className="text-dark-500"> / {budget !== null ? formatCost(budget) : 'no limit'}</span>
+        </span>
+      </div>
+      <div className="h-2 bg-dark-800/50 rounded-full overflow-hidden">
+        <div
+          className={cn("h-full transition-all", exceeded ? "bg-danger-500" : percent >= 80 ? "bg-warning-500" : "bg-primary-500")}
+          style={{ width: `${budget ? Math.max(percent, spent > 0 ? 1 : 0) : 0}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+function UsageTable({ title, rows, label, nameOf }) {
+  return (
+    <div className="glass-card p-4">
+      <h3 className="text-white font-semibold mb-3">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-dark-500 text-sm">No AI calls in this period</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-dark-400 text-xs text-left">
+              <th className="pb-2 font-medium">{label}</th>
+              <th className="pb-2 font-medium text-right">Calls</th>
+              <th className="pb-2 font-medium text-right">Cached</th>
+              <th className="pb-2 font-medium text-right">Failed</th>
+              <th className="pb-2 font-medium text-right">Tokens</th>
+              <th className="pb-2 font-medium text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={nameOf(row)} className="border-t border-dark-800/50">
+                <td className="py-2 text-white">{nameOf(row)}</td>
+                <td className="py-2 text-right text-dark-300 tabular-nums">{formatNumber(row.calls)}</td>
+                <td className="py-2 text-right text-dark-300 tabular-nums">{formatNumber(row.cached)}</td>
+                <td className={cn("py-2 text-right tabular-nums", row.failures > 0 ? "text-danger-400" : "text-dark-300")}>
+                  {formatNumber(row.failures)}
+                </td>
+                <td className="py-2 text-right text-dark-300 tabular-nums">
+                  {formatNumber(row.prompt_tokens + row.completion_tokens)}
+                </td>
+                <td className="py-2 text-right text-white tabular-nums">{formatCost(row.cost_usd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function AiUsage() {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const admin = isAdmin(user);
+
+  const [days, setDays] = useState(30);
+  const [feature, setFeature] = useState('');
+  const [budgetDraft, setBudgetDraft] = useState({ daily: '', monthly: '' });
+
+  const { data: summaryData, isLoading } = useQuery({
+    queryKey: ['aiUsage', days],
+    queryFn: () => aiUsageApi.getSummary(days),
+    placeholderData: (previous) => previous
+  });
+  const summary = summaryData?.data;
+  const status = summary?.status;
+  const budget = status?.budget;
+
+  const { data: callsData } = useQuery({
+    queryKey: ['aiUsageCalls', feature],
+    queryFn: () => aiUsageApi.getCalls({ feature, limit: 50 }),
+    placeholderData: (previous) => previous
+  });
+  const calls = callsData?.data || [];
+
+  // Budget inputs start from the saved budgets (reset only when those change,
+  // not on every usage poll)
+  useEffect(() => {
+    if (!budget) return;
+    setBudgetDraft({
+      daily: budget.daily.budget ?? '',
+      monthly: budget.monthly.budget ?? ''
+    });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [budget?.daily.budget, budget?.monthly.budget]);
+
+  const budgetMutation = useMutation({
+    mutationFn: (data) => aiUsageApi.updateBudget(data),
+    onSuccess: (response) => {
+      toast.success(response.message || 'AI budget updated');
+      queryClient.invalidateQueries({ queryKey: ['aiUsage'] });
+    },
+    onError: (error) => toast.error(error.message || 'Failed to update AI budget')
+  });
+
+  const saveBudget = () => {
+    const parse = (value) => (value === '' ? null : Number(value));
+    const data = { daily: parse(budgetDraft.daily), monthly: parse(budgetDraft.monthly) };
+    if ([data.daily, data.monthly].some(value => value !== null && (Number.isNaN(value) || value < 0))) {
+      toast.error('Budgets must be positive amounts');
+      return;
+    }
+    budgetMutation.mutate(data);
+  };
+
+  if (isLoading || !summary) {
+    return (
+      <div className="p-12 flex justify-center">
+        <Loader2 className="w-6 h-6 text-primary-400 animate-spin" />
+      </div>
+    );
+  }
+
+  const { totals } = summary;
+  const maxDailyCost = Math.max(...summary.daily.map(day => day.cost_usd), 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">AI Usage</h2>
+          <p className="text-dark-400 text-sm mt-1">
+            {status.enabled ? `Provider: ${status.provider}` : 'No AI provider configured'} • costs are estimates
+          </p>
+        </div>
+        <div className="flex gap-1 p-1 rounded-xl bg-dark-800/50">
+          {PERIODS.map(period => (
+            <button
+              key={period}
+              onClick={() => setDays(period)}
+              className={cn(
+                "px-3 py-1.5 rounded-lg text-sm transition-colors",
+                days === period ? "bg-primary-500 text-white" : "text-dark-300 hover:text-white"
+              )}
+            >
+              {period} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {budget?.exceeded && (
+        <div className="glass-card p-4 flex items-start gap-3 text-sm text-dark-300">
+          <AlertTriangle className="w-5 h-5 text-danger-400 flex-shrink-0" />
+          The {budget.exceeded} AI budget is spent. Scoring, intent analysis and classification use their non-AI
+          fallbacks until the {budget.exceeded === 'daily' ? 'day' : 'month'} ends or the budget is raised.
+        </div>
+      )}
+
+      {/* Totals */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {[
+          { icon: DollarSign, label: 'Estimated cost', value: formatCost(totals.cost_usd) },
+          { icon: Activity, label: 'AI calls', value: formatNumber(totals.calls), detail: `${formatNumber(totals.cached)} cached • ${formatNumber(totals.failures)} failed` },
+          { icon: Hash, label: 'Tokens', value: formatNumber(totals.prompt_tokens + totals.completion_tokens), detail: `${formatNumber(totals.prompt_tokens)} in • ${formatNumber(totals.completion_tokens)} out` }
+        ].map(({ icon: Icon, label, value, detail }) => (
+          <div key={label} className="glass-card p-4">
+            <div className="flex items-center gap-2 text-dark-400 text-sm">
+              <Icon className="w-4 h-4" />
+              {label}
+            </div>
+            <p className="text-2xl font-bold text-white mt-1 tabular-nums">{value}</p>
+            {detail && <p className="text-xs text-dark-500 mt-1">{detail}</p>}
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Daily cost */}
+        <div className="xl:col-span-2 glass-card p-4">
+          <h3 className="text-white font-semibold mb-3">Cost per day</h3>
+          <div className="flex items-end gap-px h-40">
+            {summary.daily.map(day => (
+              <div
+                key={day.date}
+                className="flex-1 h-full flex items-end group"
+                title={`${formatDate(day.date)}: ${formatCost(day.cost_usd)} • ${day.calls} calls`}
+              >
+                <div
+                  className="w-full rounded-t bg-primary-500/70 group-hover:bg-primary-400 transition-colors"
+                  style={{ height: `${maxDailyCost > 0 ? Math.max((day.cost_usd / maxDailyCost) * 100, day.calls > 0 ? 2 : 0) : 0}%` }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-dark-500 mt-1">
+            <span>{formatDate(summary.daily[0]?.date, 'MMM d')}</span>
+            <span>max {formatCost(maxDailyCost)}/day</span>
+            <span>{formatDate(summary.daily[summary.daily.length - 1]?.date, 'MMM d')}</span>
+          </div>
+        </div>
+
+        {/* Budget */}
+        <div className="glass-card p-4 space-y-4">
+          <h3 className="text-white font-semibold flex items-center gap-2">
+            <Cpu className="w-5 h-5 text-primary-400" />
+            Budget
+          </h3>
+          {budget && (
+            <>
+              <BudgetMeter label="Today" {...budget.daily} exceeded={budget.exceeded === 'daily'} />
+              <BudgetMeter label="This month" {...budget.monthly} exceeded={budget.exceeded === 'monthly'} />
+            </>
+          )}
+          {admin ? (
+            <div className="space-y-3 pt-2 border-t border-dark-800/50">
+              <div className="grid grid-cols-2 gap-2">
+                {['daily', 'monthly'].map(period => (
+                  <label key={period} className="text-xs text-dark-400 space-y-1">
+                    <span className="capitalize">{period} (USD)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={budgetDraft[period]}
+                      onChange={(e) => setBudgetDraft(prev => ({ ...prev, [period]: e.target.value }))}
+                      placeholder="No limit"
+                      className="input-field w-full"
+                    />
+                  </label>
+                ))}
+              </div>
+              <button
+                onClick={saveBudget}
+                disabled={budgetMutation.isPending}
+                className="w-full px-4 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors"
+              >
+                {budgetMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                Save budget
+              </button>
+              <p className="text-xs text-dark-500">Leave empty for no limit. When a budget is spent, AI features use their non-AI fallbacks.</p>
+            </div>
+          ) : (
+            <p className="text-xs text-dark-500">When a budget is spent, AI features use their non-AI fallbacks.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <UsageTable
+          title="By feature"
+          label="Feature"
+          rows={summary.by_feature}
+          nameOf={(row) => FEATURE_LABELS[row.feature] || row.feature}
+        />
+        <UsageTable
+          title="By model"
+          label="Model"
+          rows={summary.by_model}
+          nameOf={(row) => (row.provider === 'openai' ? row.model : `${row.model} (${row.provider})`)}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Costliest leads */}
+        <div className="glass-card p-4">
+          <h3 className="text-white font-semibold mb-3">Costliest leads</h3>
+          {summary.top_leads.length === 0 ? (
+            <p className="text-dark-500 text-sm">No lead-level AI calls in this period</p>
+          ) : (
+            <div className="space-y-1">
+              {summary.top_leads.map(lead => (
+                <div key={lead.lead_id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-dark-800/30 text-sm">
+                  <span className="text-white truncate flex-1">{leadName(lead)}</span>
+                  <span className="text-dark-400 text-xs">{lead.calls} calls</span>
+                  <span className="text-white tabular-nums">{formatCost(lead.cost_usd)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Recent calls */}
+        <div className="xl:col-span-2 glass-card p-4">
+          <div className="flex items-center justify-between gap-3 mb-3">
+            <h3 className="text-white font-semibold">Recent calls</h3>
+            <select
+              value={feature}
+              onChange={(e) => setFeature(e.target.value)}
+              className="input-field w-auto text-sm"
+            >
+              <option value="" className="bg-dark-800 text-white">All features</option>
+              {Object.entries(FEATURE_LABELS).map(([value, label]) => (
+                <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+              ))}
+            </select>
+          </div>
+          {calls.length === 0 ? (
+            <p className="text-dark-500 text-sm">No AI calls yet</p>
+          ) : (
+            <div className="space-y-1 max-h-96 overflow-y-auto">
+              {calls.map(call => (
+                <div key={call.id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-dark-800/30 text-xs">
+                  <span className={cn(
+                    "w-2 h-2 rounded-full flex-shrink-0",
+                    !call.success ? "bg-danger-400" : call.cached ? "bg-dark-400" : "bg-success-400"
+                  )} />
+                  <span className="text-white w-32 flex-shrink-0 truncate">{FEATURE_LABELS[call.feature] || call.feature}</span>
+                  <span className="text-dark-300 flex-1 truncate" title={call.error || undefined}>
+                    {call.lead_id ? leadName(call) : '—'}
+                    {!call.success && <span className="text-danger-400"> • {call.error || 'failed'}</span>}
+                    {call.cached && <span className="text-dark-500"> • cached</span>}
+                  </span>
+                  <span className="text-dark-400 flex-shrink-0">{call.model}</span>
+                  <span className="text-dark-400 w-16 text-right flex-shrink-0 tabular-nums">
+                    {formatNumber(call.prompt_tokens + call.completion_tokens)} tok
+                  </span>
+                  <span className="text-white w-16 text-right flex-shrink-0 tabular-nums">{formatCost(call.cost_usd)}</span>
+                  <span className="text-dark-500 w-20 text-right flex-shrink-0">{formatRelativeTime(call.created_at)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AiUsage;
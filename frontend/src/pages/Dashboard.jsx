@@ -13,7 +13,6 @@ import {
   Webhook, 
   TrendingUp, 
   Clock, 
-  ArrowUpRight,
   ArrowRight,
   CheckCircle2,
   AlertTriangle,
@@ -153,7 +152,7 @@ function Dashboard() {
 
       {/* Stats Grid */}
       <motion.div variants={item} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-        {statCards.map((stat, index) => {
+        {statCards.map((stat) => {
           const Icon = stat.icon;
           return (
             <motion.div
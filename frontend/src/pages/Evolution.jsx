@@ -45,27 +45,24 @@ const EVOLUTION_API_KEY = import.meta.env.VITE_EVOLUTION_API_KEY || 'evo_api_key
 function Evolution() {
   const [apiStatus, setApiStatus] = useState('checking');
   const [instances, setInstances] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [copied, setCopied] = useState(null);
 
-  // Check API status
+  // Check API status once on mount
   useEffect(() => {
     if (EVOLUTION_API_URL) {
       checkApiStatus();
     } else {
       setApiStatus('not_configured');
-      setLoading(false);
     }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
   const checkApiStatus = async () => {
     if (!EVOLUTION_API_URL) {
       setApiStatus('not_configured');
-      setLoading(false);
       return;
     }
     
-    setLoading(true);
     try {
       const response = await fetch(EVOLUTION_API_URL, {
         method: 'GET',
@@ -81,7 +78,6 @@ function Evolution() {
     } catch (error) {
       setApiStatus('offline');
     }
-    setLoading(false);
   };
 
   const fetchInstances = async () => {
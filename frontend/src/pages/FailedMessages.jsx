@@ -0,0 +1,483 @@
+/**
+ * Failed Messages Page
+ *
+ * Dead-letter inbox for sequence messages: sends that failed permanently
+ * (invalid address or number, missing content) or ran out of retries. Each
+ * can be retried as is, edited and resent, or discarded. Admins set how
+ * often each channel retries.
+ */
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  AlertTriangle, Mail, MessageSquare, RotateCcw, Pencil, Trash2, ChevronDown, ChevronUp,
+  ChevronLeft, ChevronRight, Loader2, Save, Send, X, Inbox
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { failedMessagesApi } from '../lib/api';
+import { useAuthStore, isAdmin } from '../lib/store';
+import { cn, formatDateTime, formatRelativeTime } from '../lib/utils';
+
+const ERROR_KINDS = {
+  invalid_recipient: { label: 'Invalid recipient', className: 'bg-danger-500/20 text-danger-400' },
+  content: { label: 'Content problem', className: 'bg-danger-500/20 text-danger-400' },
+  rate_limited: { label: 'Rate limited', className: 'bg-warning-500/20 text-warning-400' },
+  configuration: { label: 'Provider configuration', className: 'bg-warning-500/20 text-warning-400' },
+  provider_outage: { label: 'Provider outage', className: 'bg-warning-500/20 text-warning-400' },
+  unknown: { label: 'Unknown', className: 'bg-dark-700 text-dark-300' }
+};
+
+const CHANNELS = {
+  email: { label: 'Email', icon: Mail },
+  whatsapp: { label: 'WhatsApp', icon: MessageSquare }
+};
+
+const PAGE_SIZE = 25;
+
+const leadName = (row) => [row.first_name, row.last_name].filter(Boolean).join(' ') || row.email || row.phone || 'Unknown lead';
+
+// Retry delays are stored in seconds and edited in minutes
+const toMinutesText = (delays = []) => delays.map(seconds => Math.round(seconds / 60 * 10) / 10).join(', ');
+const formatDelay = (seconds) => (seconds >= 3600 ? `${Math.round(seconds / 360) / 10}h` : `${Math.round(seconds / 6) / 10}m`);
+
+function ResendModal({ message, onClose }) {
+  const queryClient = useQueryClient();
+  const isEmail = message.channel === 'email';
+  const override = message.override_content || {};
+  const [form, setForm] = useState({
+    subject: override.subject ?? message.email_subject ?? '',
+    body: override.body ?? message.email_body ?? '',
+    whatsapp: override.whatsapp ?? message.whatsapp_message ?? ''
+  });
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const resendMutation = useMutation({
+    // Empty fields keep the step's own content
+    mutationFn: () => failedMessagesApi.resend(message.id, Object.fromEntries(
+      (isEmail ? ['subject', 'body'] : ['whatsapp'])
+        .filter(field => form[field].trim())
+        .map(field => [field, form[field]])
+    )),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Edited message queued');
+      queryClient.invalidateQueries({ queryKey: ['failedMessages'] });
+      onClose();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to resend message')
+  });
+
+  const canSend = (isEmail ? form.subject.trim() || form.body.trim() : form.whatsapp.trim()) && !resendMutation.isPending;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-dark-950/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          className="glass-card w-full max-w-2xl p-6"
+        >
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <div className="w-12 h-12 rounded-xl bg-primary-500/20 flex items-center justify-center">
+                <Pencil className="w-6 h-6 text-primary-400" />
+              </div>
+              <div>
+                <h2 className="text-lg font-semibold text-white">Edit & Resend</h2>
+                <p className="text-sm text-dark-400">
+                  {leadName(message)} • {message.sequence_name} step {message.step_order}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            {isEmail ? (
+              <>
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">Subject</label>
+                  <input type="text" value={form.subject} onChange={set('subject')} className="input-field" />
+                </div>
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">Body</label>
+                  <textarea value={form.body} onChange={set('body')} rows={10} className="input-field resize-none font-mono text-sm" />
+                </div>
+              </>
+            ) : (
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">WhatsApp message</label>
+                <textarea value={form.whatsapp} onChange={set('whatsapp')} rows={8} className="input-field resize-none" />
+              </div>
+            )}
+            <p className="text-xs text-dark-500">
+              Only this lead gets the edited version. Variables like {'{{first_name}}'} are filled in when it sends.
+              {!(isEmail ? message.email_subject : message.whatsapp_message) && ' This step uses a template or content pool; leave a field empty to keep it.'}
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => resendMutation.mutate()}
+              disabled={!canSend}
+              className="flex items-center gap-2 px-6 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+            >
+              <Send className="w-4 h-4" />
+              {resendMutation.isPending ? 'Queueing...' : 'Resend'}
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+function RetryPolicyCard({ admin }) {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState({ email: '', whatsapp: '' });
+
+  const { data: policyData } = useQuery({
+    queryKey: ['messageRetryPolicy'],
+    queryFn: () => failedMessagesApi.getRetryPolicy()
+  });
+  const policy = policyData?.data;
+
+  useEffect(() => {
+    if (!policy) return;
+    setDraft({ email: toMinutesText(policy.email.delays), whatsapp: toMinutesText(policy.whatsapp.delays) });
+  }, [policy]);
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => failedMessagesApi.updateRetryPolicy(data),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Retry policy updated');
+      queryClient.invalidateQueries({ queryKey: ['messageRetryPolicy'] });
+    },
+    onError: (error) => toast.error(error.message || 'Failed to update retry policy')
+  });
+
+  const save = () => {
+    const parse = (text) => text.split(',').map(part => part.trim()).filter(Boolean).map(Number);
+    const minutes = { email: parse(draft.email), whatsapp: parse(draft.whatsapp) };
+    if (Object.values(minutes).flat().some(value => Number.isNaN(value) || value < 0)) {
+      toast.error('Delays must be minutes, separated by commas');
+      return;
+    }
+    saveMutation.mutate(Object.fromEntries(Object.entries(minutes).map(([channel, values]) => [
+      channel,
+      { delays: values.map(value => Math.round(value * 60)) }
+    ])));
+  };
+
+  if (!policy) return null;
+
+  return (
+    <div className="glass-card p-4">
+      <h3 className="text-white font-semibold mb-1">Retry schedule</h3>
+      <p className="text-dark-500 text-xs mb-4">
+        Wait before each retry. Invalid recipients and content problems are not retried; rate limits and
+        configuration errors wait at least 10 minutes.
+      </p>
+      <div className="space-y-3">
+        {Object.entries(CHANNELS).map(([channel, { label, icon: Icon }]) => (
+          <div key={channel}>
+            <div className="flex items-center gap-2 text-sm text-dark-400 mb-1">
+              <Icon className="w-4 h-4" />
+              {label}
+              <span className="text-dark-500">
+                • {policy[channel].delays.length === 0
+                  ? 'no retries'
+                  : policy[channel].delays.map(formatDelay).join(' → ')}
+              </span>
+            </div>
+            {admin && (
+              <input
+                type="text"
+                value={draft[channel]}
+                onChange={(e) => setDraft(prev => ({ ...prev, [channel]: e.target.value }))}
+                placeholder="Minutes, e.g. 1, 5, 30"
+                className="input-field"
+              />
+            )}
+          </div>
+        ))}
+      </div>
+      {admin && (
+        <button
+          onClick={save}
+          disabled={saveMutation.isPending}
+          className="mt-4 flex items-center gap-2 px-4 py-2 rounded-xl bg-primary-500 text-white text-sm hover:bg-primary-600 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          {saveMutation.isPending ? 'Saving...' : 'Save schedule'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function FailedMessages() {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const admin = isAdmin(user);
+
+  const [channel, setChannel] = useState('');
+  const [errorKind, setErrorKind] = useState('');
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => setPage(1), [channel, errorKind]);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['failedMessages', channel, errorKind, page],
+    queryFn: () => failedMessagesApi.getFailedMessages({
+      channel, errorKind, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE
+    }),
+    placeholderData: (previous) => previous
+  });
+  const messages = data?.data || [];
+  const counts = data?.counts || [];
+  const total = data?.pagination?.total || 0;
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const allFailed = counts.reduce((sum, row) => sum + row.count, 0);
+  const kindCount = (kind) => counts.filter(row => row.error_kind === kind && (!channel || row.channel === channel))
+    .reduce((sum, row) => sum + row.count, 0);
+
+  const onDone = (response) => {
+    toast.success(response.message);
+    queryClient.invalidateQueries({ queryKey: ['failedMessages'] });
+  };
+  const onError = (fallback) => (error) => toast.error(error.message || fallback);
+
+  const retryMutation = useMutation({
+    mutationFn: (id) => failedMessagesApi.retry(id),
+    onSuccess: onDone,
+    onError: onError('Failed to retry message')
+  });
+  const discardMutation = useMutation({
+    mutationFn: (id) => failedMessagesApi.discard(id),
+    onSuccess: onDone,
+    onError: onError('Failed to discard message')
+  });
+  const retryAllMutation = useMutation({
+    mutationFn: () => failedMessagesApi.retryMany({ channel: channel || undefined, errorKind: errorKind || undefined }),
+    onSuccess: onDone,
+    onError: onError('Failed to retry messages')
+  });
+
+  const retryAll = () => {
+    if (!window.confirm(`Retry all ${total} failed message${total === 1 ? '' : 's'} matching these filters?`)) return;
+    retryAllMutation.mutate();
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Failed Messages</h2>
+          <p className="text-dark-400 text-sm mt-1">
+            {allFailed} sequence message{allFailed === 1 ? '' : 's'} that could not be delivered
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select value={channel} onChange={(e) => setChannel(e.target.value)} className="input-field w-auto">
+            <option value="" className="bg-dark-800 text-white">All channels</option>
+            {Object.entries(CHANNELS).map(([value, { label }]) => (
+              <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+            ))}
+          </select>
+          <select value={errorKind} onChange={(e) => setErrorKind(e.target.value)} className="input-field w-auto">
+            <option value="" className="bg-dark-800 text-white">All errors</option>
+            {Object.entries(ERROR_KINDS).map(([value, { label }]) => (
+              <option key={value} value={value} className="bg-dark-800 text-white">{label} ({kindCount(value)})</option>
+            ))}
+          </select>
+          <button
+            onClick={retryAll}
+            disabled={total === 0 || retryAllMutation.isPending}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl bg-primary-500 text-white text-sm hover:bg-primary-600 transition-colors disabled:opacity-50 whitespace-nowrap"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Retry all
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Inbox */}
+        <div className="lg:col-span-2 glass-card overflow-hidden">
+          {isLoading ? (
+            <div className="p-12 flex justify-center">
+              <Loader2 className="w-6 h-6 text-primary-400 animate-spin" />
+            </div>
+          ) : messages.length === 0 ? (
+            <div className="p-12 text-center">
+              <Inbox className="w-10 h-10 text-dark-600 mx-auto mb-3" />
+              <p className="text-dark-400">No failed messages</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-dark-800/50">
+              {messages.map(message => {
+                const ChannelIcon = CHANNELS[message.channel]?.icon || Mail;
+                const kind = ERROR_KINDS[message.error_kind] || ERROR_KINDS.unknown;
+                const cancelled = message.enrollment_status === 'cancelled';
+                const isOpen = expanded === message.id;
+                return (
+                  <div key={message.id} className="p-4">
+                    <div className="flex items-start gap-3">
+                      <div className="w-9 h-9 rounded-lg bg-dark-800/50 flex items-center justify-center flex-shrink-0">
+                        <ChannelIcon className="w-4 h-4 text-dark-300" />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="text-white font-medium">{leadName(message)}</span>
+                          <span className="text-dark-500 text-sm">
+                            {message.channel === 'email' ? message.email : message.phone}
+                          </span>
+                          <span className={cn("px-2 py-0.5 rounded-full text-xs", kind.className)}>{kind.label}</span>
+                        </div>
+                        <p className="text-dark-400 text-sm mt-0.5">
+                          {message.sequence_name} • step {message.step_order} {message.step_name && `(${message.step_name})`}
+                        </p>
+                        <p className="text-danger-400 text-sm mt-1 break-words">{message.error_message || 'No error recorded'}</p>
+                        <p className="text-dark-500 text-xs mt-1" title={formatDateTime(message.failed_at)}>
+                          Failed {formatRelativeTime(message.failed_at)} after {message.attempts} attempt{message.attempts === 1 ? '' : 's'}
+                          {cancelled && ' • enrollment cancelled, can only be discarded'}
+                        </p>
+                        {isOpen && (
+                          <pre className="mt-3 p-3 rounded-lg bg-dark-900/80 text-xs text-dark-300 overflow-x-auto max-h-64">
+                            {message.provider_error ? JSON.stringify(message.provider_error, null, 2) : 'No provider details'}
+                          </pre>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => setExpanded(isOpen ? null : message.id)}
+                          className="p-2 rounded-lg text-dark-400 hover:text-white hover:bg-dark-700/50 transition-colors"
+                          title="Provider error"
+                        >
+                          {isOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                        </button>
+                        <button
+                          onClick={() => retryMutation.mutate(message.id)}
+                          disabled={cancelled || retryMutation.isPending}
+                          className="p-2 rounded-lg text-dark-400 hover:text-primary-400 hover:bg-dark-700/50 transition-colors disabled:opacity-30"
+                          title="Retry"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setEditing(message)}
+                          disabled={cancelled}
+                          className="p-2 rounded-lg text-dark-400 hover:text-primary-400 hover:bg-dark-700/50 transition-colors disabled:opacity-30"
+                          title="Edit & resend"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => discardMutation.mutate(message.id)}
+                          disabled={discardMutation.isPending}
+                          className="p-2 rounded-lg text-dark-400 hover:text-danger-400 hover:bg-dark-700/50 transition-colors disabled:opacity-30"
+                          title="Discard"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {totalPages > 1 && (
+            <div className="flex items-center justify-between px-4 py-3 border-t border-dark-800/50 text-sm">
+              <span className="text-dark-400">
+                Showing {(page - 1) * PAGE_SIZE + 1} to {Math.min(page * PAGE_SIZE, total)} of {total}
+              </span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setPage(p => Math.max(1, p - 1))}
+                  disabled={page === 1}
+                  className="p-2 rounded-lg text-dark-400 hover:text-white hover:bg-dark-700/50 disabled:opacity-30"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <span className="text-dark-300">Page {page} of {totalPages}</span>
+                <button
+                  onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+                  disabled={page === totalPages}
+                  className="p-2 rounded-lg text-dark-400 hover:text-white hover:bg-dark-700/50 disabled:opacity-30"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          <div className="glass-card p-4">
+            <h3 className="text-white font-semibold mb-3">By error</h3>
+            {counts.length === 0 ? (
+              <p className="text-dark-500 text-sm">Nothing failed</p>
+            ) : (
+              <div className="space-y-2">
+                {counts.map(row => {
+                  const Icon = CHANNELS[row.channel]?.icon || Mail;
+                  return (
+                    <button
+                      key={`${row.channel}-${row.error_kind}`}
+                      onClick={() => { setChannel(row.channel); setErrorKind(row.error_kind); }}
+                      className="w-full flex items-center justify-between text-sm px-2 py-1.5 rounded-lg hover:bg-dark-800/50 transition-colors"
+                    >
+                      <span className="flex items-center gap-2 text-dark-300">
+                        <Icon className="w-4 h-4" />
+                        {(ERROR_KINDS[row.error_kind] || ERROR_KINDS.unknown).label}
+                      </span>
+                      <span className="text-white tabular-nums">{row.count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <RetryPolicyCard admin={admin} />
+
+          <div className="glass-card p-4 flex items-start gap-3 text-sm text-dark-400">
+            <AlertTriangle className="w-5 h-5 text-warning-400 flex-shrink-0" />
+            Retried and resent messages go back into the queue with a fresh retry schedule. Messages
+            of paused enrollments send once the enrollment resumes.
+          </div>
+        </div>
+      </div>
+
+      {editing && <ResendModal message={editing} onClose={() => setEditing(null)} />}
+    </div>
+  );
+}
+
+export default FailedMessages;
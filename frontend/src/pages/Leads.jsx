@@ -18,16 +18,12 @@ import {
   ChevronUp,
   ChevronLeft,
   ChevronRight,
-  MoreHorizontal,
   Download,
   Upload,
   Mail,
   Phone,
   Building2,
-  Calendar,
-  Tag,
   X,
-  Check,
   Play,
   Pause,
   RotateCcw,
@@ -39,11 +35,12 @@ import {
   UserCheck,
   Brain,
   Send,
-  Sparkles
+  Sparkles,
+  Users
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { leadsApi, sequencesApi } from '../lib/api';
-import { useAppStore } from '../lib/store';
+import { leadsApi, sequencesApi, routingApi, jobsApi } from '../lib/api';
+import { useAppStore, useAuthStore, isAdmin } from '../lib/store';
 import { 
   cn, 
   formatDate, 
@@ -52,29 +49,24 @@ import {
   getInitials,
   getStatusColor, 
   getSourceColor,
-  getPriorityColor,
   formatSource,
   formatPhone,
-  debounce,
-  downloadCSV
+  debounce
 } from '../lib/utils';
 import LeadModal from '../components/LeadModal';
 import LeadDetailModal from '../components/LeadDetailModal';
 import CallLogModal from '../components/CallLogModal';
+import DuplicatesModal from '../components/DuplicatesModal';
+import ImportLeadsModal from '../components/ImportLeadsModal';
+import ExportLeadsModal from '../components/ExportLeadsModal';
+import SegmentBar from '../components/SegmentBar';
+import BulkActionsBar from '../components/BulkActionsBar';
 import Chatbot, { ChatbotButton } from '../components/Chatbot';
 
 const STATUSES = ['new', 'contacted', 'qualified', 'converted', 'lost'];
 const SOURCES = ['meta_forms', 'calcom', 'manual', 'api', 'website', 'referral'];
 const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
 const LEAD_TYPES = ['consultation', 'ebook'];
-// Budget buckets (AED) — matching form options
-const BUDGET_OPTIONS = [
-  { label: '35k', value: 35000 },
-  { label: '100k', value: 100000 },
-  { label: '300k', value: 300000 },
-  { label: '600k', value: 600000 },
-  { label: '1M', value: 1000000 }
-];
 // Quick budget range presets
 const BUDGET_RANGES = [
   { label: 'All Budgets', min: '', max: '' },
@@ -94,6 +86,13 @@ const SHIPMENTS_OPTIONS = [
 ];
 const INTENT_CATEGORIES = ['', 'hot', 'warm', 'medium', 'low', 'junk'];
 const SCORE_OPTIONS = ['', 0, 20, 40, 60, 80, 90, 100];
+const CREATED_WITHIN_OPTIONS = [
+  { value: '', label: 'Any time' },
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' }
+];
 
 // Helper for lead type badge styling
 const getLeadTypeColor = (type) => {
@@ -141,6 +140,7 @@ function Leads() {
     leadFilters, 
     setLeadFilters, 
     resetLeadFilters,
+    activeSegment,
     selectedLeads, 
     setSelectedLeads, 
     toggleLeadSelection,
@@ -166,30 +166,43 @@ function Leads() {
     debouncedSearch(searchInput);
   }, [searchInput, debouncedSearch]);
 
+  // Applying or clearing a segment replaces the search text
+  useEffect(() => {
+    setSearchInput(useAppStore.getState().leadFilters.search);
+  }, [activeSegment?.id]);
+
+  // New filters start from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [leadFilters]);
+
+  // Filters as API query params (shared by the list and export)
+  const filterParams = useMemo(() => ({
+    sortBy,
+    sortOrder,
+    search: leadFilters.search,
+    status: leadFilters.status.join(','),
+    source: leadFilters.source.join(','),
+    leadType: leadFilters.leadType?.join(',') || '',
+    intentCategory: leadFilters.intentCategory,
+    scoreMin: leadFilters.scoreMin,
+    scoreMax: leadFilters.scoreMax,
+    budgetMin: leadFilters.budgetMin,
+    budgetMax: leadFilters.budgetMax,
+    shipmentsMin: leadFilters.shipmentsMin,
+    shipmentsMax: leadFilters.shipmentsMax,
+    decisionMaker: leadFilters.decisionMaker,
+    priority: leadFilters.priority,
+    dateFrom: leadFilters.dateFrom,
+    dateTo: leadFilters.dateTo,
+    createdWithinDays: leadFilters.createdWithinDays,
+    assignedTo: leadFilters.assignedTo
+  }), [leadFilters, sortBy, sortOrder]);
+
   // Fetch leads
   const { data, isLoading, refetch } = useQuery({
     queryKey: ['leads', page, sortBy, sortOrder, leadFilters],
-    queryFn: () => leadsApi.getLeads({
-      page,
-      limit: 20,
-      sortBy,
-      sortOrder,
-      search: leadFilters.search,
-      status: leadFilters.status.join(','),
-      source: leadFilters.source.join(','),
-      leadType: leadFilters.leadType?.join(',') || '',
-      intentCategory: leadFilters.intentCategory,
-      scoreMin: leadFilters.scoreMin,
-      scoreMax: leadFilters.scoreMax,
-      budgetMin: leadFilters.budgetMin,
-      budgetMax: leadFilters.budgetMax,
-      shipmentsMin: leadFilters.shipmentsMin,
-      shipmentsMax: leadFilters.shipmentsMax,
-      decisionMaker: leadFilters.decisionMaker,
-      priority: leadFilters.priority,
-      dateFrom: leadFilters.dateFrom,
-      dateTo: leadFilters.dateTo
-    }),
+    queryFn: () => leadsApi.getLeads({ page, limit: 20, ...filterParams }),
     keepPreviousData: true
   });
 
@@ -206,19 +219,6 @@ function Leads() {
     }
   });
 
-  // Bulk delete mutation
-  const bulkDeleteMutation = useMutation({
-    mutationFn: leadsApi.bulkDelete,
-    onSuccess: (data) => {
-      toast.success(`${data.deletedCount} leads deleted`);
-      queryClient.invalidateQueries(['leads']);
-      clearSelectedLeads();
-    },
-    onError: (error) => {
-      toast.error(error.message || 'Failed to delete leads');
-    }
-  });
-
   // Workflow enrollment mutation
   const enrollMutation = useMutation({
     mutationFn: ({ leadId, sequenceSlug }) => sequencesApi.enrollLead(leadId, sequenceSlug),
@@ -243,6 +243,18 @@ function Leads() {
     }
   });
 
+  // Resume sequence mutation
+  const resumeMutation = useMutation({
+    mutationFn: ({ leadId, sequenceSlug }) => sequencesApi.resumeSequence(leadId, sequenceSlug),
+    onSuccess: () => {
+      toast.success('Workflow resumed');
+      queryClient.invalidateQueries(['leads']);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to resume workflow');
+    }
+  });
+
   // Mark as attended mutation
   const attendedMutation = useMutation({
     mutationFn: (leadId) => leadsApi.markAttended(leadId),
@@ -262,9 +274,10 @@ function Leads() {
     onMutate: (leadId) => {
       setScoringLeadId(leadId);
     },
-    onSuccess: (data) => {
+    onSuccess: (data, leadId) => {
       toast.success(`AI Score: ${data.data.score}/100`);
       queryClient.invalidateQueries(['leads']);
+      queryClient.invalidateQueries({ queryKey: ['leadScoreHistory', leadId] });
     },
     onError: (error) => {
       toast.error(error.message || 'Failed to score lead');
@@ -278,8 +291,7 @@ function Leads() {
   const scoreAllMutation = useMutation({
     mutationFn: () => leadsApi.scoreAllLeads(),
     onSuccess: (data) => {
-      toast.success(`Scored ${data.data.length} leads!`);
-      queryClient.invalidateQueries(['leads']);
+      toast.success(data.message || 'Scoring queued');
     },
     onError: (error) => {
       toast.error(error.message || 'Failed to score leads');
@@ -290,8 +302,7 @@ function Leads() {
   const rescoreAllMutation = useMutation({
     mutationFn: () => leadsApi.rescoreAllLeads(),
     onSuccess: (data) => {
-      toast.success(`Re-scored ${data.data.length} leads!`);
-      queryClient.invalidateQueries(['leads']);
+      toast.success(data.message || 'Re-scoring queued');
     },
     onError: (error) => {
       toast.error(error.message || 'Failed to rescore leads');
@@ -301,6 +312,7 @@ function Leads() {
   // Streaming score all state
   const [scoringProgress, setScoringProgress] = useState({
     active: false,
+    jobId: null,
     current: 0,
     total: 0,
     percentage: 0,
@@ -311,6 +323,7 @@ function Leads() {
   const startStreamingScore = () => {
     setScoringProgress({
       active: true,
+      jobId: null,
       current: 0,
       total: 0,
       percentage: 0,
@@ -322,11 +335,12 @@ function Leads() {
       // onProgress
       (data) => {
         if (data.type === 'start') {
-          setScoringProgress(prev => ({ ...prev, total: data.total }));
+          setScoringProgress(prev => ({ ...prev, jobId: data.jobId, total: data.total }));
         } else if (data.type === 'progress') {
           setScoringProgress(prev => ({
             ...prev,
             current: data.current,
+            total: data.total,
             percentage: data.percentage,
             currentLead: data.lead,
             results: [...prev.results, data.lead]
@@ -336,7 +350,11 @@ function Leads() {
       // onComplete
       (data) => {
         setScoringProgress(prev => ({ ...prev, active: false, percentage: 100 }));
-        toast.success(`Scored ${data.total} leads!`);
+        if (data.cancelled) {
+          toast(`Scoring stopped after ${data.total} leads`);
+        } else {
+          toast.success(`Scored ${data.total} leads!`);
+        }
         queryClient.invalidateQueries(['leads']);
       },
       // onError
@@ -350,18 +368,29 @@ function Leads() {
     window.__scoringCleanup = cleanup;
   };
 
-  const stopStreamingScore = () => {
+  // Scoring runs as a background job, so closing the stream alone would
+  // leave it running - cancel the job too
+  const stopStreamingScore = async () => {
     if (window.__scoringCleanup) {
       window.__scoringCleanup();
       window.__scoringCleanup = null;
     }
     setScoringProgress(prev => ({ ...prev, active: false }));
+    if (scoringProgress.jobId) {
+      try {
+        await jobsApi.cancelJob(scoringProgress.jobId);
+      } catch (error) {
+        toast.error(error.message || 'Failed to stop scoring');
+        return;
+      }
+    }
     toast('Scoring stopped');
     queryClient.invalidateQueries(['leads']);
   };
 
   // Manual send state
   const [showManualSend, setShowManualSend] = useState(false);
+  const [sendSegment, setSendSegment] = useState(null);
 
   // AI Advice modal state
   const [adviceModal, setAdviceModal] = useState({ open: false, leadId: null });
@@ -372,6 +401,30 @@ function Leads() {
   // State for call modal
   const [callModal, setCallModal] = useState({ open: false, lead: null });
 
+  // Import wizard / export
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+
+  // Duplicate review queue
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const user = useAuthStore((state) => state.user);
+  const { data: duplicatesData } = useQuery({
+    queryKey: ['leadDuplicates', 'count'],
+    queryFn: () => leadsApi.getDuplicates({ limit: 1 })
+  });
+  const pendingDuplicates = duplicatesData?.pagination?.total || 0;
+
+  // Lead owners (for the owner filter and names in the table)
+  const { data: repsData } = useQuery({
+    queryKey: ['routingReps'],
+    queryFn: () => routingApi.getReps()
+  });
+  const reps = repsData?.data || [];
+  const repName = (userId) => {
+    const rep = reps.find(r => r.id === userId);
+    return rep ? (rep.name || rep.email) : null;
+  };
+
   // State for chatbot
   const [chatbotOpen, setChatbotOpen] = useState(false);
 
@@ -402,21 +455,6 @@ function Leads() {
     }
   };
 
-  const handleExport = () => {
-    const exportData = leads.map(lead => ({
-      name: getFullName(lead.first_name, lead.last_name),
-      email: lead.email,
-      phone: lead.phone,
-      company: lead.company,
-      source: formatSource(lead.source),
-      status: lead.status,
-      priority: lead.priority,
-      created_at: formatDate(lead.created_at, 'yyyy-MM-dd HH:mm:ss')
-    }));
-    downloadCSV(exportData, `leads-export-${formatDate(new Date(), 'yyyy-MM-dd')}.csv`);
-    toast.success('Leads exported successfully');
-  };
-
   const activeFilterCount = [
     leadFilters.status.length,
     leadFilters.source.length,
@@ -431,7 +469,9 @@ function Leads() {
     leadFilters.decisionMaker ? 1 : 0,
     leadFilters.priority ? 1 : 0,
     leadFilters.dateFrom ? 1 : 0,
-    leadFilters.dateTo ? 1 : 0
+    leadFilters.dateTo ? 1 : 0,
+    leadFilters.createdWithinDays ? 1 : 0,
+    leadFilters.assignedTo ? 1 : 0
   ].reduce((a, b) => a + b, 0);
 
   return (
@@ -481,7 +521,26 @@ function Leads() {
             Send ({selectedLeads.length})
           </button>
           <button
-            onClick={handleExport}
+            onClick={() => setShowDuplicates(true)}
+            className="px-4 py-2 rounded-xl bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white hover:border-primary-500 transition-all flex items-center gap-2"
+            title="Review possible duplicate leads"
+          >
+            <Users className="w-4 h-4" />
+            Duplicates
+            {pendingDuplicates > 0 && (
+              <span className="px-1.5 py-0.5 rounded-full bg-warning-500/20 text-warning-400 text-xs">{pendingDuplicates}</span>
+            )}
+          </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="px-4 py-2 rounded-xl bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white hover:border-primary-500 transition-all flex items-center gap-2"
+            title="Import leads from CSV or Excel"
+          >
+            <Upload className="w-4 h-4" />
+            Import
+          </button>
+          <button
+            onClick={() => setShowExport(true)}
             className="px-4 py-2 rounded-xl bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white hover:border-primary-500 transition-all flex items-center gap-2"
           >
             <Download className="w-4 h-4" />
@@ -563,6 +622,20 @@ function Leads() {
             />
           </div>
           
+          {/* My Leads */}
+          <button
+            onClick={() => setLeadFilters({ assignedTo: leadFilters.assignedTo === 'me' ? '' : 'me' })}
+            className={cn(
+              "px-4 py-2 rounded-xl border flex items-center gap-2 transition-all",
+              leadFilters.assignedTo === 'me'
+                ? "bg-primary-500/20 border-primary-500 text-primary-300"
+                : "bg-dark-800/50 border-dark-600 text-dark-300 hover:border-primary-500"
+            )}
+          >
+            <UserCheck className="w-4 h-4" />
+            My leads
+          </button>
+
           {/* Filter Toggle */}
           <button
             onClick={() => setShowFilters(!showFilters)}
@@ -662,6 +735,25 @@ function Leads() {
                   </select>
                 </div>
 
+                {/* Owner Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-dark-300 mb-2">Owner</label>
+                  <select
+                    value={leadFilters.assignedTo}
+                    onChange={(e) => setLeadFilters({ assignedTo: e.target.value })}
+                    className="input-field"
+                  >
+                    <option value="" className="bg-dark-800 text-white">Anyone</option>
+                    <option value="me" className="bg-dark-800 text-white">Me</option>
+                    <option value="unassigned" className="bg-dark-800 text-white">Unassigned</option>
+                    {reps.map(rep => (
+                      <option key={rep.id} value={rep.id} className="bg-dark-800 text-white">
+                        {rep.name || rep.email}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 {/* Lead Type Filter */}
                 <div>
                   <label className="block text-sm font-medium text-dark-300 mb-2">Lead Type</label>
@@ -818,6 +910,20 @@ function Leads() {
                     />
                   </div>
                 </div>
+
+                {/* Rolling window - keeps saved segments current */}
+                <div>
+                  <label className="block text-sm font-medium text-dark-300 mb-2">Created</label>
+                  <select
+                    value={leadFilters.createdWithinDays}
+                    onChange={(e) => setLeadFilters({ createdWithinDays: e.target.value })}
+                    className="input-field"
+                  >
+                    {CREATED_WITHIN_OPTIONS.map(({ value, label }) => (
+                      <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
               
               {/* Reset Filters */}
@@ -833,38 +939,22 @@ function Leads() {
             </motion.div>
           )}
         </AnimatePresence>
+
+        {/* Saved Segments */}
+        <SegmentBar
+          onSendToSegment={(segment) => {
+            setSendSegment(segment);
+            setShowManualSend(true);
+          }}
+        />
       </div>
 
       {/* Bulk Actions */}
-      <AnimatePresence>
-        {selectedLeads.length > 0 && (
-          <motion.div
-            initial={{ opacity: 0, y: -10 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: -10 }}
-            className="glass-card p-4 flex items-center justify-between"
-          >
-            <span className="text-sm text-dark-300">
-              <span className="text-white font-medium">{selectedLeads.length}</span> leads selected
-            </span>
-            <div className="flex items-center gap-3">
-              <button
-                onClick={() => bulkDeleteMutation.mutate(selectedLeads)}
-                className="px-4 py-2 rounded-xl bg-danger-500/20 text-danger-400 hover:bg-danger-500/30 transition-colors flex items-center gap-2 text-sm"
-              >
-                <Trash2 className="w-4 h-4" />
-                Delete Selected
-              </button>
-              <button
-                onClick={clearSelectedLeads}
-                className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors text-sm"
-              >
-                Cancel
-              </button>
-            </div>
-          </motion.div>
-        )}
-      </AnimatePresence>
+      <BulkActionsBar
+        selectedLeads={selectedLeads}
+        totalCount={pagination.totalCount || 0}
+        onClear={clearSelectedLeads}
+      />
 
       {/* Table */}
       <div className="glass-card overflow-hidden">
@@ -1057,6 +1147,12 @@ function Leads() {
                       <span className={cn("badge", getStatusColor(lead.status))}>
                         {lead.status}
                       </span>
+                      {lead.assigned_to && (
+                        <p className="text-xs text-dark-500 mt-1 flex items-center gap-1">
+                          <UserCheck className="w-3 h-3" />
+                          {repName(lead.assigned_to) || 'Assigned'}
+                        </p>
+                      )}
                     </td>
                     <td className="p-4">
                       <ScoreCell 
@@ -1249,7 +1345,11 @@ function Leads() {
           cancelMutation.mutate({ leadId: workflowModal.lead?.id, sequenceSlug });
           setWorkflowModal({ open: false, lead: null, status: null });
         }}
-        isLoading={enrollMutation.isLoading || cancelMutation.isLoading}
+        onResume={(sequenceSlug) => {
+          resumeMutation.mutate({ leadId: workflowModal.lead?.id, sequenceSlug });
+          setWorkflowModal({ open: false, lead: null, status: null });
+        }}
+        isLoading={enrollMutation.isLoading || cancelMutation.isLoading || resumeMutation.isLoading}
       />
 
       {/* Manual Send Modal */}
@@ -1257,7 +1357,11 @@ function Leads() {
         isOpen={showManualSend}
         selectedLeads={selectedLeads}
         leads={leads}
-        onClose={() => setShowManualSend(false)}
+        segment={sendSegment}
+        onClose={() => {
+          setShowManualSend(false);
+          setSendSegment(null);
+        }}
       />
 
       {/* AI Advice Modal */}
@@ -1267,6 +1371,27 @@ function Leads() {
         onClose={() => setAdviceModal({ open: false, leadId: null })}
       />
 
+      {/* Import Leads Modal */}
+      <ImportLeadsModal
+        isOpen={showImport}
+        onClose={() => setShowImport(false)}
+      />
+
+      {/* Export Leads Modal */}
+      <ExportLeadsModal
+        isOpen={showExport}
+        onClose={() => setShowExport(false)}
+        filters={filterParams}
+        totalCount={pagination.totalCount}
+      />
+
+      {/* Duplicates Review Modal */}
+      <DuplicatesModal
+        isOpen={showDuplicates}
+        onClose={() => setShowDuplicates(false)}
+        canScan={isAdmin(user)}
+      />
+
       {/* Call Log Modal */}
       <CallLogModal
         lead={callModal.lead}
@@ -1350,6 +1475,8 @@ function WorkflowCell({ lead, onOpenWorkflow }) {
     ? <CheckCircle2 className="w-3.5 h-3.5 text-success-400" />
     : lastEnrollment?.status === 'cancelled'
     ? <XCircle className="w-3.5 h-3.5 text-warning-400" />
+    : lastEnrollment?.status === 'paused'
+    ? <Pause className="w-3.5 h-3.5 text-warning-400" />
     : <AlertCircle className="w-3.5 h-3.5 text-dark-400" />;
 
   return (
@@ -1369,9 +1496,7 @@ function WorkflowCell({ lead, onOpenWorkflow }) {
 /**
  * WorkflowModal - Full workflow management for a lead
  */
-function WorkflowModal({ isOpen, lead, initialStatus, onClose, onEnroll, onCancel, isLoading }) {
-  const queryClient = useQueryClient();
-  
+function WorkflowModal({ isOpen, lead, initialStatus, onClose, onEnroll, onCancel, onResume, isLoading }) {
   // Fetch fresh status when modal opens
   const { data: statusData, isLoading: statusLoading } = useQuery({
     queryKey: ['leadSequenceStatus', lead?.id],
@@ -1460,6 +1585,14 @@ function WorkflowModal({ isOpen, lead, initialStatus, onClose, onEnroll, onCance
                     {status.messagesSent} messages sent • {status.activeSequence.progress}% complete
                   </p>
                 </div>
+              ) : status.enrollments[0]?.status === 'paused' ? (
+                <div className="text-center py-2">
+                  <Pause className="w-8 h-8 text-warning-400 mx-auto mb-2" />
+                  <p className="text-dark-300">Workflow paused</p>
+                  <p className="text-xs text-dark-500 mt-1">
+                    {status.enrollments[0].repliedAt ? 'The lead replied - resume it from the history below' : 'Resume it from the history below'}
+                  </p>
+                </div>
               ) : (
                 <div className="text-center py-2">
                   <CheckCircle2 className="w-8 h-8 text-success-400 mx-auto mb-2" />
@@ -1483,11 +1616,24 @@ function WorkflowModal({ isOpen, lead, initialStatus, onClose, onEnroll, onCance
                         {enrollment.status === 'active' && <Clock className="w-4 h-4 text-success-400" />}
                         {enrollment.status === 'completed' && <CheckCircle2 className="w-4 h-4 text-success-400" />}
                         {enrollment.status === 'cancelled' && <XCircle className="w-4 h-4 text-warning-400" />}
+                        {enrollment.status === 'paused' && <Pause className="w-4 h-4 text-warning-400" />}
                         <span className="text-dark-300">{enrollment.sequenceName}</span>
                       </div>
-                      <span className="text-xs text-dark-500">
-                        {enrollment.messagesSent} sent • Step {enrollment.currentStep}/{enrollment.totalSteps}
-                      </span>
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs text-dark-500">
+                          {enrollment.messagesSent} sent • Step {enrollment.currentStep}/{enrollment.totalSteps}
+                        </span>
+                        {enrollment.status === 'paused' && !status.activeSequence && (
+                          <button
+                            onClick={() => onResume(enrollment.sequenceSlug)}
+                            disabled={isLoading}
+                            title={enrollment.repliedAt ? 'Paused because the lead replied' : 'Paused'}
+                            className="px-2 py-0.5 rounded bg-primary-500/20 text-primary-400 hover:bg-primary-500/30 text-xs transition-colors"
+                          >
+                            Resume
+                          </button>
+                        )}
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -1619,7 +1765,7 @@ function ScoreCell({ score, onScore, onAdvice, isLoading }) {
 /**
  * ManualSendModal - Send messages to selected leads
  */
-function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
+function ManualSendModal({ isOpen, selectedLeads, leads, segment = null, onClose }) {
   const queryClient = useQueryClient();
   const [channel, setChannel] = useState('email');
   const [emailAccount, setEmailAccount] = useState('haarith');
@@ -1628,11 +1774,17 @@ function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
   const [message, setMessage] = useState('');
 
   const selectedLeadData = leads.filter(l => selectedLeads.includes(l.id));
+  // Segment membership is resolved on the server at send time
+  const recipientCount = segment ? segment.lead_count : selectedLeads.length;
 
   const sendMutation = useMutation({
     mutationFn: (data) => leadsApi.manualSend(data),
     onSuccess: (data) => {
-      toast.success(data.message);
+      if (data.throttled > 0) {
+        toast.error(`${data.message} - try again after ${new Date(data.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+      } else {
+        toast.success(data.message);
+      }
       queryClient.invalidateQueries(['leads']);
       onClose();
     },
@@ -1648,7 +1800,7 @@ function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
     }
 
     sendMutation.mutate({
-      leadIds: selectedLeads,
+      ...(segment ? { segmentId: segment.id } : { leadIds: selectedLeads }),
       channel,
       emailAccount,
       whatsappInstance,
@@ -1681,7 +1833,9 @@ function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
               Manual Send
             </h3>
             <p className="text-sm text-dark-400 mt-1">
-              Send to {selectedLeads.length} selected lead{selectedLeads.length !== 1 ? 's' : ''}
+              {segment
+                ? `Send to all ${recipientCount} lead${recipientCount !== 1 ? 's' : ''} in "${segment.name}"`
+                : `Send to ${recipientCount} selected lead${recipientCount !== 1 ? 's' : ''}`}
             </p>
           </div>
           <button
@@ -1693,6 +1847,7 @@ function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
         </div>
 
         {/* Selected Leads Summary */}
+        {!segment && (
         <div className="mb-6 p-3 rounded-xl bg-dark-800/50 border border-dark-700 max-h-32 overflow-y-auto">
           <p className="text-xs text-dark-400 mb-2">Recipients:</p>
           <div className="flex flex-wrap gap-2">
@@ -1704,6 +1859,7 @@ function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
             ))}
           </div>
         </div>
+        )}
 
         {/* Channel Selection */}
         <div className="mb-4">
@@ -1838,7 +1994,7 @@ function ManualSendModal({ isOpen, selectedLeads, leads, onClose }) {
             ) : (
               <>
                 <Send className="w-4 h-4" />
-                Send to {selectedLeads.length} leads
+                Send to {recipientCount} leads
               </>
             )}
           </button>
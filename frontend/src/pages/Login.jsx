@@ -0,0 +1,122 @@
+/**
+ * Login Page
+ *
+ * Email + password sign-in for the dashboard.
+ */
+
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Zap, Mail, Lock, Loader2, LogIn } from 'lucide-react';
+import { useMutation } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { authApi } from '../lib/api';
+import { useAuthStore } from '../lib/store';
+import { cn } from '../lib/utils';
+
+function Login() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { token, setSession } = useAuthStore();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const redirectTo = location.state?.from || '/';
+
+  const loginMutation = useMutation({
+    mutationFn: () => authApi.login(email, password),
+    onSuccess: (response) => {
+      setSession(response.data.token, response.data.user);
+      toast.success(`Welcome back${response.data.user.name ? `, ${response.data.user.name}` : ''}`);
+      navigate(redirectTo, { replace: true });
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Login failed');
+    }
+  });
+
+  if (token) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!email || !password) return;
+    loginMutation.mutate();
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-dark-950 p-4">
+      {/* Grid background pattern */}
+      <div className="fixed inset-0 bg-grid-pattern opacity-50 pointer-events-none" />
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+        className="glass-card w-full max-w-sm p-8 relative"
+      >
+        {/* Logo */}
+        <div className="flex flex-col items-center mb-8">
+          <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-primary-500 to-accent-500 flex items-center justify-center shadow-lg glow-primary mb-4">
+            <Zap className="w-7 h-7 text-white" />
+          </div>
+          <h1 className="text-2xl font-semibold text-white tracking-tight">LeadPipe</h1>
+          <p className="text-sm text-dark-400 mt-1">Sign in to your dashboard</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-xs font-medium text-dark-300 mb-1.5">Email</label>
+            <div className="relative">
+              <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-dark-400" />
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@company.com"
+                autoComplete="email"
+                autoFocus
+                className="input-field pl-10"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-dark-300 mb-1.5">Password</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-dark-400" />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="••••••••"
+                autoComplete="current-password"
+                className="input-field pl-10"
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loginMutation.isPending || !email || !password}
+            className={cn(
+              "w-full flex items-center justify-center gap-2 px-4 py-3 rounded-xl font-medium",
+              "bg-gradient-to-r from-primary-500 to-accent-500 text-white btn-glow",
+              "disabled:opacity-50 disabled:cursor-not-allowed"
+            )}
+          >
+            {loginMutation.isPending ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <LogIn className="w-4 h-4" />
+            )}
+            Sign in
+          </button>
+        </form>
+      </motion.div>
+    </div>
+  );
+}
+
+export default Login;
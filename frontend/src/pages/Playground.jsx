@@ -55,6 +55,13 @@ const webhookTypes = [
     description: 'Simulate Cal.com booking',
     endpoint: '/api/webhooks/simulate/calcom',
     color: 'purple'
+  },
+  { 
+    id: 'resend', 
+    name: 'Resend Event', 
+    description: 'Simulate delivered/opened/clicked/bounced on the latest email',
+    endpoint: '/api/webhooks/simulate/resend',
+    color: 'green'
   }
 ];
 
@@ -343,7 +350,7 @@ function Playground() {
           {/* Webhook Type Selector */}
           <div className="glass-card p-6">
             <h3 className="font-semibold text-white mb-4">Select Webhook Type</h3>
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-3">
               {webhookTypes.map((type) => (
                 <button
                   key={type.id}
@@ -362,7 +369,8 @@ function Playground() {
                     "w-10 h-10 rounded-lg flex items-center justify-center mb-3",
                     type.color === 'primary' && "bg-primary-500/20 text-primary-400",
                     type.color === 'blue' && "bg-blue-500/20 text-blue-400",
-                    type.color === 'purple' && "bg-purple-500/20 text-purple-400"
+                    type.color === 'purple' && "bg-purple-500/20 text-purple-400",
+                    type.color === 'green' && "bg-green-500/20 text-green-400"
                   )}>
                     <Zap className="w-5 h-5" />
                   </div>
@@ -646,18 +654,18 @@ function Playground() {
             {/* Email Service Status */}
             <div className={cn(
               "glass-card p-4 flex items-center gap-4",
-              emailStatus?.data?.configured 
+              emailStatus?.configured 
                 ? "border-success-500/30" 
                 : "border-warning-500/30"
             )}>
-              {emailStatus?.data?.configured ? (
+              {emailStatus?.configured ? (
                 <>
                   <div className="w-10 h-10 rounded-lg bg-success-500/20 flex items-center justify-center">
                     <CheckCircle2 className="w-5 h-5 text-success-400" />
                   </div>
                   <div>
                     <p className="font-medium text-white">Email Service Connected</p>
-                    <p className="text-xs text-dark-400">SMTP configured and ready to send</p>
+                    <p className="text-xs text-dark-400">Sending via {emailStatus.providers?.join(', ')}</p>
                   </div>
                 </>
               ) : (
@@ -668,7 +676,7 @@ function Playground() {
                   <div>
                     <p className="font-medium text-white">Email Service Not Configured</p>
                     <p className="text-xs text-dark-400">
-                      Set SMTP_USER and SMTP_PASS environment variables
+                      Set RESEND_API_KEY or SMTP_HOST (EMAIL_PROVIDER=local for development)
                     </p>
                   </div>
                 </>
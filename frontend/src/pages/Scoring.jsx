@@ -0,0 +1,519 @@
+/**
+ * Lead Scoring Page
+ *
+ * Edit the rule-based scoring model: rules (field, operator, value, points),
+ * a preview of how current leads would re-score, and versions with rollback.
+ */
+
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  SlidersHorizontal,
+  Plus,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Eye,
+  Upload,
+  Loader2,
+  RotateCcw,
+  CheckCircle2,
+  Info
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { scoringApi } from '../lib/api';
+import { useAuthStore, isAdmin } from '../lib/store';
+import { cn, formatDateTime } from '../lib/utils';
+
+const OPERATOR_LABELS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  contains_any: 'contains any of',
+  not_contains_any: 'contains none of',
+  in: 'is one of',
+  is_set: 'is set',
+  is_empty: 'is empty',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤'
+};
+
+// Operator -> kind of value (mirrors the backend's RULE_OPERATORS)
+const OPERATOR_KINDS = {
+  equals: 'text', not_equals: 'text', contains: 'text',
+  contains_any: 'list', not_contains_any: 'list', in: 'list',
+  is_set: 'none', is_empty: 'none',
+  gt: 'number', gte: 'number', lt: 'number', lte: 'number'
+};
+
+const emptyValue = (kind) => ({ list: [], number: '', text: '', none: null }[kind]);
+
+// API rule -> editable row (lists edited one per line)
+const toDraft = (rule) => ({
+  group: rule.group || '',
+  label: rule.label,
+  field: rule.field,
+  operator: rule.operator,
+  value: OPERATOR_KINDS[rule.operator] === 'list'
+    ? (Array.isArray(rule.value) ? rule.value.map(String) : [])
+    : rule.value ?? emptyValue(OPERATOR_KINDS[rule.operator]),
+  points: rule.points
+});
+
+// Editable row -> API rule
+function toRule(draft) {
+  const kind = OPERATOR_KINDS[draft.operator];
+  const value = kind === 'list' ? draft.value.map(v => v.trim()).filter(Boolean)
+    : kind === 'number' ? Number(draft.value)
+    : kind === 'none' ? null
+    : draft.value;
+  return {
+    group: draft.group.trim() || null,
+    label: draft.label.trim(),
+    field: draft.field.trim(),
+    operator: draft.operator,
+    value,
+    points: parseInt(draft.points) || 0
+  };
+}
+
+const NEW_RULE = { group: '', label: '', field: '', operator: 'is_set', value: null, points: 5 };
+
+function Scoring() {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const admin = isAdmin(user);
+
+  // Version loaded into the editor (null = the active one)
+  const [sourceVersion, setSourceVersion] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const { data: modelsData } = useQuery({
+    queryKey: ['scoringModels'],
+    queryFn: () => scoringApi.getModels()
+  });
+  const models = modelsData?.data || [];
+  const nextVersion = (models[0]?.version || 0) + 1;
+
+  const { data: activeData } = useQuery({
+    queryKey: ['scoringModel', 'active'],
+    queryFn: () => scoringApi.getActiveModel()
+  });
+  const activeModel = activeData?.data;
+
+  const { data: sourceData, isLoading } = useQuery({
+    queryKey: ['scoringModel', sourceVersion ?? 'active'],
+    queryFn: () => sourceVersion ? scoringApi.getModel(sourceVersion) : scoringApi.getActiveModel()
+  });
+  const sourceModel = sourceData?.data;
+
+  const { data: fieldsData } = useQuery({
+    queryKey: ['scoringFields'],
+    queryFn: () => scoringApi.getFields(),
+    staleTime: 60000
+  });
+  const fields = fieldsData?.data?.fields || [];
+
+  // Load the selected version into the editor (not on refetches of the same
+  // version, which would throw away unsaved edits)
+  useEffect(() => {
+    if (!sourceModel) return;
+    setRules(sourceModel.rules.map(toDraft));
+    setPreview(null);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sourceModel?.id, sourceModel?.version]);
+
+  const updateRule = (index, patch) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)));
+    setPreview(null);
+  };
+
+  const changeOperator = (index, operator) => {
+    const rule = rules[index];
+    const kind = OPERATOR_KINDS[operator];
+    updateRule(index, { operator, value: kind === OPERATOR_KINDS[rule.operator] ? rule.value : emptyValue(kind) });
+  };
+
+  const moveRule = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+    setRules(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+    setPreview(null);
+  };
+
+  const removeRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+    setPreview(null);
+  };
+
+  const invalidRules = rules.filter(rule => !rule.label.trim() || !rule.field.trim()).length;
+
+  const previewMutation = useMutation({
+    mutationFn: () => scoringApi.previewRules(rules.map(toRule)),
+    onSuccess: (response) => setPreview(response.data),
+    onError: (error) => toast.error(error.message || 'Failed to preview rules')
+  });
+
+  const publishMutation = useMutation({
+    mutationFn: () => scoringApi.publishModel({
+      name: name.trim() || undefined,
+      notes: notes.trim() || null,
+      rules: rules.map(toRule)
+    }),
+    onSuccess: (response) => {
+      toast.success(`${response.message} - re-score leads to apply it`);
+      setName('');
+      setNotes('');
+      setSourceVersion(null);
+      queryClient.invalidateQueries({ queryKey: ['scoringModels'] });
+      queryClient.invalidateQueries({ queryKey: ['scoringModel'] });
+    },
+    onError: (error) => toast.error(error.message || 'Failed to publish scoring model')
+  });
+
+  const activateMutation = useMutation({
+    mutationFn: (version) => scoringApi.activateModel(version),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Scoring model activated');
+      setSourceVersion(null);
+      queryClient.invalidateQueries({ queryKey: ['scoringModels'] });
+      queryClient.invalidateQueries({ queryKey: ['scoringModel'] });
+    },
+    onError: (error) => toast.error(error.message || 'Failed to activate scoring model')
+  });
+
+  const maxPoints = (() => {
+    const groups = {};
+    let total = 0;
+    for (const rule of rules) {
+      const points = parseInt(rule.points) || 0;
+      if (points <= 0) continue;
+      if (rule.group.trim()) groups[rule.group.trim()] = Math.max(groups[rule.group.trim()] || 0, points);
+      else total += points;
+    }
+    return total + Object.values(groups).reduce((sum, p) => sum + p, 0);
+  })();
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Lead Scoring</h2>
+          <p className="text-dark-400 text-sm mt-1">
+            {activeModel
+              ? `Active: ${activeModel.version ? `v${activeModel.version} • ${activeModel.name}` : activeModel.name} • ${activeModel.rules.length} rules`
+              : 'Scoring rules'}
+          </p>
+        </div>
+      </div>
+
+      {activeData?.ai_scoring && (
+        <div className="glass-card p-4 flex items-start gap-3 text-sm text-dark-300">
+          <Info className="w-5 h-5 text-primary-400 flex-shrink-0" />
+          AI scoring is configured, so leads are scored by the AI. These rules apply when it is not, and in previews.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Rule editor */}
+        <div className="xl:col-span-2 glass-card p-4 space-y-4">
+          <div className="flex items-center justify-between gap-3">
+            <h3 className="text-white font-semibold flex items-center gap-2">
+              <SlidersHorizontal className="w-5 h-5 text-primary-400" />
+              Rules
+              <span className="text-xs text-dark-400 font-normal">
+                {sourceModel?.version ? `from v${sourceModel.version}` : 'built-in default'} • max {maxPoints} points
+              </span>
+            </h3>
+            {admin && (
+              <button
+                onClick={() => setRules(prev => [...prev, { ...NEW_RULE }])}
+                className="px-3 py-1.5 rounded-lg bg-dark-800/50 text-dark-300 hover:text-white text-sm flex items-center gap-1 transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add rule
+              </button>
+            )}
+          </div>
+
+          <p className="text-xs text-dark-500">
+            Rules in the same group are alternatives - only the first match counts. Fields: a lead column,
+            custom_fields.&lt;key&gt; or last_call.disposition; use a|b to read the first one that is set.
+          </p>
+
+          {isLoading ? (
+            <div className="p-12 flex justify-center">
+              <Loader2 className="w-6 h-6 text-primary-400 animate-spin" />
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <datalist id="scoring-fields">
+                {fields.map(field => <option key={field} value={field} />)}
+              </datalist>
+              {rules.map((rule, index) => {
+                const kind = OPERATOR_KINDS[rule.operator];
+                return (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-start p-2 rounded-lg bg-dark-800/30">
+                    <input
+                      value={rule.group}
+                      onChange={(e) => updateRule(index, { group: e.target.value })}
+                      placeholder="group"
+                      disabled={!admin}
+                      className="input-field col-span-2 py-1.5 text-sm"
+                    />
+                    <input
+                      value={rule.label}
+                      onChange={(e) => updateRule(index, { label: e.target.value })}
+                      placeholder="Label"
+                      disabled={!admin}
+                      className="input-field col-span-3 py-1.5 text-sm"
+                    />
+                    <input
+                      value={rule.field}
+                      onChange={(e) => updateRule(index, { field: e.target.value })}
+                      placeholder="field"
+                      list="scoring-fields"
+                      disabled={!admin}
+                      className="input-field col-span-3 py-1.5 text-sm font-mono"
+                      title={rule.field}
+                    />
+                    <select
+                      value={rule.operator}
+                      onChange={(e) => changeOperator(index, e.target.value)}
+                      disabled={!admin}
+                      className="input-field col-span-2 py-1.5 text-sm"
+                    >
+                      {Object.entries(OPERATOR_LABELS).map(([value, label]) => (
+                        <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={rule.points}
+                      onChange={(e) => updateRule(index, { points: e.target.value })}
+                      disabled={!admin}
+                      className={cn("input-field col-span-1 py-1.5 text-sm", parseInt(rule.points) < 0 && "text-danger-400")}
+                      title="Points"
+                    />
+                    <div className="col-span-1 flex items-center justify-end">
+                      {admin && (
+                        <>
+                          <button onClick={() => moveRule(index, -1)} className="p-1 text-dark-400 hover:text-white" title="Move up">
+                            <ArrowUp className="w-3.5 h-3.5" />
+                          </button>
+                          <button onClick={() => moveRule(index, 1)} className="p-1 text-dark-400 hover:text-white" title="Move down">
+                            <ArrowDown className="w-3.5 h-3.5" />
+                          </button>
+                          <button onClick={() => removeRule(index)} className="p-1 text-dark-400 hover:text-danger-400" title="Delete rule">
+                            <Trash2 className="w-3.5 h-3.5" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+
+                    {kind !== 'none' && (
+                      <div className="col-span-12 md:col-start-3 md:col-span-8">
+                        {kind === 'list' ? (
+                          <textarea
+                            value={rule.value.join('\n')}
+                            onChange={(e) => updateRule(index, { value: e.target.value.split('\n') })}
+                            rows={Math.min(4, Math.max(2, rule.value.length))}
+                            placeholder="One value per line"
+                            disabled={!admin}
+                            className="input-field py-1.5 text-sm resize-none font-mono"
+                          />
+                        ) : (
+                          <input
+                            type={kind === 'number' ? 'number' : 'text'}
+                            value={rule.value ?? ''}
+                            onChange={(e) => updateRule(index, { value: e.target.value })}
+                            placeholder="Value"
+                            disabled={!admin}
+                            className="input-field py-1.5 text-sm"
+                          />
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+              {rules.length === 0 && (
+                <p className="text-dark-400 text-sm py-4 text-center">No rules - every lead scores 0</p>
+              )}
+            </div>
+          )}
+
+          {admin && (
+            <div className="pt-4 border-t border-dark-700/50 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder={`Version ${nextVersion}`}
+                  className="input-field text-sm"
+                />
+                <input
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="What changed?"
+                  className="input-field text-sm"
+                />
+              </div>
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => previewMutation.mutate()}
+                  disabled={invalidRules > 0 || previewMutation.isPending}
+                  className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors flex items-center gap-2 disabled:opacity-50"
+                >
+                  {previewMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+                  Preview
+                </button>
+                <button
+                  onClick={() => publishMutation.mutate()}
+                  disabled={invalidRules > 0 || publishMutation.isPending}
+                  className="px-6 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Upload className="w-4 h-4" />
+                  {publishMutation.isPending ? 'Publishing...' : `Publish as v${nextVersion}`}
+                </button>
+              </div>
+              {invalidRules > 0 && (
+                <p className="text-xs text-warning-400 text-right">Every rule needs a label and a field</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          {/* Preview */}
+          {preview && (
+            <div className="glass-card p-4 space-y-4">
+              <h3 className="text-white font-semibold flex items-center gap-2">
+                <Eye className="w-5 h-5 text-primary-400" />
+                Preview
+              </h3>
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <div className="p-2 rounded-lg bg-dark-800/50">
+                  <p className="text-lg font-semibold text-white">{preview.summary.changed}</p>
+                  <p className="text-[10px] text-dark-400">of {preview.summary.total} change</p>
+                </div>
+                <div className="p-2 rounded-lg bg-dark-800/50">
+                  <p className="text-lg font-semibold text-success-400">{preview.summary.raised}</p>
+                  <p className="text-[10px] text-dark-400">go up</p>
+                </div>
+                <div className="p-2 rounded-lg bg-dark-800/50">
+                  <p className="text-lg font-semibold text-danger-400">{preview.summary.lowered}</p>
+                  <p className="text-[10px] text-dark-400">go down</p>
+                </div>
+              </div>
+              <p className="text-sm text-dark-300">
+                Average score {preview.summary.average_current} → <span className="text-white font-medium">{preview.summary.average_new}</span>
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-dark-400 text-xs">
+                    <th className="text-left font-normal">Score</th>
+                    <th className="text-right font-normal">Now</th>
+                    <th className="text-right font-normal">New</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.keys(preview.summary.bands_new).reverse().map(band => (
+                    <tr key={band} className="text-dark-200">
+                      <td>{band}</td>
+                      <td className="text-right">{preview.summary.bands_current[band]}</td>
+                      <td className="text-right text-white">{preview.summary.bands_new[band]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {preview.movers.length > 0 && (
+                <div>
+                  <p className="text-xs text-dark-500 mb-2">Biggest changes</p>
+                  <div className="space-y-1 max-h-80 overflow-y-auto">
+                    {preview.movers.map(mover => (
+                      <div key={mover.id} className="flex items-center justify-between gap-2 text-sm" title={mover.reason}>
+                        <span className="text-dark-200 truncate">{mover.name}</span>
+                        <span className="flex-shrink-0 text-dark-400">
+                          {mover.current_score} → <span className="text-white">{mover.new_score}</span>
+                          <span className={cn("ml-2", mover.delta > 0 ? "text-success-400" : "text-danger-400")}>
+                            {mover.delta > 0 ? '+' : ''}{mover.delta}
+                          </span>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Versions */}
+          <div className="glass-card p-4">
+            <h3 className="text-white font-semibold mb-3">Versions</h3>
+            {models.length === 0 ? (
+              <p className="text-dark-400 text-sm">Nothing published yet - the built-in default rules are in use</p>
+            ) : (
+              <div className="space-y-2">
+                {models.map(model => (
+                  <div
+                    key={model.id}
+                    className={cn(
+                      "p-3 rounded-lg border transition-colors",
+                      (sourceModel?.version === model.version)
+                        ? "border-primary-500/50 bg-primary-500/10"
+                        : "border-dark-700/50 bg-dark-800/30"
+                    )}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <button
+                        onClick={() => setSourceVersion(model.version)}
+                        className="text-left min-w-0"
+                        title="Load into the editor"
+                      >
+                        <p className="text-sm text-white font-medium truncate">
+                          v{model.version} • {model.name}
+                        </p>
+                        <p className="text-xs text-dark-400">
+                          {model.rule_count} rules • {model.lead_count} leads • {formatDateTime(model.created_at)}
+                        </p>
+                      </button>
+                      {model.is_active ? (
+                        <span className="px-2 py-0.5 rounded-full text-[10px] bg-success-500/20 text-success-400 flex items-center gap-1 flex-shrink-0">
+                          <CheckCircle2 className="w-3 h-3" />
+                          Active
+                        </span>
+                      ) : admin && (
+                        <button
+                          onClick={() => activateMutation.mutate(model.version)}
+                          disabled={activateMutation.isPending}
+                          className="p-1.5 rounded-lg text-dark-400 hover:text-primary-400 hover:bg-dark-700/50 transition-colors flex-shrink-0"
+                          title={`Make v${model.version} active`}
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                    {model.notes && <p className="text-xs text-dark-500 mt-1">{model.notes}</p>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Scoring;
@@ -0,0 +1,409 @@
+/**
+ * Send Limits Page
+ *
+ * Outbound rate limits per email account and WhatsApp instance: sends in
+ * the last minute and last 24 hours against each sender's limits, with
+ * warm-up progress. Admins set channel defaults and per-sender overrides
+ * (including warm-up ramps). The message queue only takes as much work as
+ * the senders have room for; the rest waits.
+ */
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Mail, MessageSquare, Gauge, Pencil, Loader2, Save, X, TrendingUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { sendLimitsApi } from '../lib/api';
+import { useAuthStore, isAdmin } from '../lib/store';
+import { cn, formatRelativeTime } from '../lib/utils';
+
+const CHANNELS = {
+  email: { label: 'Email accounts', icon: Mail },
+  whatsapp: { label: 'WhatsApp instances', icon: MessageSquare }
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Empty input = not set
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : parseInt(value, 10));
+const fromNumber = (value) => (value === null || value === undefined ? '' : String(value));
+const formatLimit = (value) => (value === null || value === undefined ? '∞' : value);
+
+function UsageBar({ used, limit }) {
+  const percentage = limit === null || limit === undefined ? 0 : limit === 0 ? 100 : Math.min(100, (used / limit) * 100);
+  return (
+    <div className="h-1.5 rounded-full bg-dark-800 overflow-hidden mt-1">
+      <div
+        className={cn(
+          'h-full rounded-full',
+          percentage >= 100 ? 'bg-danger-500' : percentage >= 80 ? 'bg-warning-500' : 'bg-success-500'
+        )}
+        style={{ width: `${percentage}%` }}
+      />
+    </div>
+  );
+}
+
+function SenderModal({ channel, sender, policy, onClose }) {
+  const queryClient = useQueryClient();
+  const own = policy[channel].senders?.[sender] || {};
+  const [form, setForm] = useState({
+    perMinute: fromNumber(own.perMinute),
+    perDay: fromNumber(own.perDay),
+    warmup: Boolean(own.warmup),
+    startedOn: own.warmup?.startedOn || today(),
+    startPerDay: fromNumber(own.warmup?.startPerDay ?? 20),
+    increasePerDay: fromNumber(own.warmup?.increasePerDay ?? 10)
+  });
+  const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const saveMutation = useMutation({
+    mutationFn: (limits) => {
+      const senders = { ...policy[channel].senders };
+      if (limits) {
+        senders[sender] = limits;
+      } else {
+        delete senders[sender];
+      }
+      return sendLimitsApi.update({ [channel]: { senders } });
+    },
+    onSuccess: (response) => {
+      toast.success(response.message || 'Send limits updated');
+      queryClient.invalidateQueries({ queryKey: ['sendLimits'] });
+      onClose();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to update send limits')
+  });
+
+  const save = () => {
+    const limits = {};
+    if (form.perMinute !== '') limits.perMinute = toNumber(form.perMinute);
+    if (form.perDay !== '') limits.perDay = toNumber(form.perDay);
+    if (form.warmup) {
+      limits.warmup = {
+        startedOn: form.startedOn,
+        startPerDay: toNumber(form.startPerDay) || 0,
+        increasePerDay: toNumber(form.increasePerDay) || 0
+      };
+    }
+    saveMutation.mutate(Object.keys(limits).length > 0 ? limits : null);
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-dark-950/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          onClick={(e) => e.stopPropagation()}
+          className="glass-card w-full max-w-lg p-6"
+        >
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-3">
+              <div className="w-12 h-12 rounded-xl bg-primary-500/20 flex items-center justify-center">
+                <Gauge className="w-6 h-6 text-primary-400" />
+              </div>
+              <div>
+                <h2 className="text-lg font-semibold text-white">Sender limits</h2>
+                <p className="text-sm text-dark-400">{sender}</p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg hover:bg-dark-700/50 text-dark-400 hover:text-white transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">Per minute</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.perMinute}
+                  onChange={set('perMinute')}
+                  placeholder={`Default (${formatLimit(policy[channel].perMinute)})`}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-dark-400 mb-1">Per day</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.perDay}
+                  onChange={set('perDay')}
+                  placeholder={`Default (${formatLimit(policy[channel].perDay)})`}
+                  className="input-field"
+                />
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-dark-300">
+              <input
+                type="checkbox"
+                checked={form.warmup}
+                onChange={(e) => setForm(prev => ({ ...prev, warmup: e.target.checked }))}
+              />
+              Warm up - ramp the daily cap up gradually
+            </label>
+
+            {form.warmup && (
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">Started on</label>
+                  <input type="date" value={form.startedOn} onChange={set('startedOn')} className="input-field" />
+                </div>
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">First day</label>
+                  <input type="number" min="0" value={form.startPerDay} onChange={set('startPerDay')} className="input-field" />
+                </div>
+                <div>
+                  <label className="block text-sm text-dark-400 mb-1">+ per day</label>
+                  <input type="number" min="0" value={form.increasePerDay} onChange={set('increasePerDay')} className="input-field" />
+                </div>
+              </div>
+            )}
+
+            <p className="text-xs text-dark-500">
+              Leave a limit empty to use the channel default. During a warm-up the daily cap is the
+              first day's sends plus the daily increase for each day since the start, until it reaches
+              the per day limit.
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-xl bg-dark-800/50 text-dark-300 hover:text-white transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={save}
+              disabled={saveMutation.isPending}
+              className="flex items-center gap-2 px-6 py-2 rounded-xl bg-primary-500 text-white hover:bg-primary-600 transition-colors disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
+
+function ChannelDefaultsCard({ policy, admin }) {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    setDraft(Object.fromEntries(Object.keys(CHANNELS).map(channel => [
+      channel,
+      { perMinute: fromNumber(policy[channel].perMinute), perDay: fromNumber(policy[channel].perDay) }
+    ])));
+  }, [policy]);
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => sendLimitsApi.update(data),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Send limits updated');
+      queryClient.invalidateQueries({ queryKey: ['sendLimits'] });
+    },
+    onError: (error) => toast.error(error.message || 'Failed to update send limits')
+  });
+
+  const save = () => {
+    saveMutation.mutate(Object.fromEntries(Object.entries(draft).map(([channel, limits]) => [
+      channel,
+      { perMinute: toNumber(limits.perMinute), perDay: toNumber(limits.perDay) }
+    ])));
+  };
+
+  if (!draft) return null;
+
+  return (
+    <div className="glass-card p-4">
+      <h3 className="text-white font-semibold mb-1">Channel defaults</h3>
+      <p className="text-dark-500 text-xs mb-4">
+        Per sender, for senders without their own limits. Empty = no limit. Limits count every
+        send, manual sends and chat replies included.
+      </p>
+      <div className="space-y-3">
+        {Object.entries(CHANNELS).map(([channel, { label, icon: Icon }]) => (
+          <div key={channel}>
+            <div className="flex items-center gap-2 text-sm text-dark-400 mb-1">
+              <Icon className="w-4 h-4" />
+              {label}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {['perMinute', 'perDay'].map(field => (
+                <input
+                  key={field}
+                  type="number"
+                  min="0"
+                  value={draft[channel][field]}
+                  disabled={!admin}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [channel]: { ...prev[channel], [field]: e.target.value } }))}
+                  placeholder={field === 'perMinute' ? 'Per minute' : 'Per day'}
+                  title={field === 'perMinute' ? 'Per minute' : 'Per day'}
+                  className="input-field"
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      {admin && (
+        <button
+          onClick={save}
+          disabled={saveMutation.isPending}
+          className="mt-4 flex items-center gap-2 px-4 py-2 rounded-xl bg-primary-500 text-white text-sm hover:bg-primary-600 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          {saveMutation.isPending ? 'Saving...' : 'Save defaults'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function SendLimits() {
+  const user = useAuthStore((state) => state.user);
+  const admin = isAdmin(user);
+  const [editing, setEditing] = useState(null); // { channel, sender }
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['sendLimits'],
+    queryFn: () => sendLimitsApi.get(),
+    refetchInterval: 30000
+  });
+  const limits = data?.data;
+
+  if (isLoading || !limits) {
+    return (
+      <div className="p-12 flex justify-center">
+        <Loader2 className="w-6 h-6 text-primary-400 animate-spin" />
+      </div>
+    );
+  }
+
+  // Email usage comes with the rotation stats; WhatsApp usage is per instance
+  const senders = {
+    email: limits.email.accounts.map(account => ({
+      ...account.usage,
+      sender: account.email,
+      detail: `via ${account.provider} • ${account.sendCount} sent since restart • ${account.failures} failed${account.lastUsed ? ` • last ${formatRelativeTime(account.lastUsed)}` : ''}`,
+      isNext: account.isNext
+    })),
+    whatsapp: limits.whatsapp
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h2 className="text-2xl font-bold text-white">Send Limits</h2>
+        <p className="text-dark-400 text-sm mt-1">
+          Sends per sender in the last minute and last 24 hours. Messages over a limit wait in the queue.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {Object.entries(CHANNELS).map(([channel, { label, icon: Icon }]) => (
+            <div key={channel} className="glass-card overflow-hidden">
+              <div className="flex items-center gap-2 px-4 py-3 border-b border-dark-800/50">
+                <Icon className="w-4 h-4 text-dark-300" />
+                <h3 className="text-white font-semibold">{label}</h3>
+              </div>
+              {senders[channel].length === 0 ? (
+                <p className="p-4 text-dark-500 text-sm">Not configured</p>
+              ) : (
+                <div className="divide-y divide-dark-800/50">
+                  {senders[channel].map(row => (
+                    <div key={row.sender} className="p-4 flex items-center gap-4">
+                      <div className="flex-1 min-w-0">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="text-white font-medium truncate">{row.sender}</span>
+                          {row.isNext && (
+                            <span className="px-2 py-0.5 rounded-full text-xs bg-primary-500/20 text-primary-400">Next</span>
+                          )}
+                          {row.warmupDay !== null && row.warmupDay !== undefined && (
+                            <span className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-warning-500/20 text-warning-400">
+                              <TrendingUp className="w-3 h-3" />
+                              Warm-up day {row.warmupDay + 1}
+                            </span>
+                          )}
+                          {row.available === 0 && (
+                            <span className="px-2 py-0.5 rounded-full text-xs bg-danger-500/20 text-danger-400">At limit</span>
+                          )}
+                        </div>
+                        {row.detail && <p className="text-dark-500 text-xs mt-0.5">{row.detail}</p>}
+                      </div>
+                      <div className="w-32 text-sm">
+                        <div className="flex justify-between text-dark-400">
+                          <span>Minute</span>
+                          <span className="text-white tabular-nums">{row.lastMinute}/{formatLimit(row.perMinute)}</span>
+                        </div>
+                        <UsageBar used={row.lastMinute} limit={row.perMinute} />
+                      </div>
+                      <div className="w-32 text-sm">
+                        <div className="flex justify-between text-dark-400">
+                          <span>24h</span>
+                          <span className="text-white tabular-nums">{row.lastDay}/{formatLimit(row.dailyCap)}</span>
+                        </div>
+                        <UsageBar used={row.lastDay} limit={row.dailyCap} />
+                      </div>
+                      {admin && (
+                        <button
+                          onClick={() => setEditing({ channel, sender: row.sender })}
+                          className="p-2 rounded-lg text-dark-400 hover:text-primary-400 hover:bg-dark-700/50 transition-colors"
+                          title="Edit limits"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          <ChannelDefaultsCard policy={limits.policy} admin={admin} />
+
+          <div className="glass-card p-4 text-sm text-dark-400">
+            Email rotates across the accounts, skipping any at a limit; when all are, emails wait.
+            WhatsApp messages wait for their instance. Waiting messages are not counted as failed.
+          </div>
+        </div>
+      </div>
+
+      {editing && (
+        <SenderModal
+          channel={editing.channel}
+          sender={editing.sender}
+          policy={limits.policy}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SendLimits;
@@ -1,9 +1,26 @@
 import { useState, useEffect } from 'react';
 import api from '../lib/api';
+import { useAuthStore, isAdmin } from '../lib/store';
+import SequenceStepForm from '../components/SequenceStepForm';
+import SequenceTimeline from '../components/SequenceTimeline';
+import SequenceAnalytics from '../components/SequenceAnalytics';
+import StepVariants from '../components/StepVariants';
+import SendWindowEditor, { formatSendWindow } from '../components/SendWindowEditor';
+
+// Where the lead's timezone was taken from
+const TIMEZONE_SOURCES = {
+  booking: 'from their booking',
+  phone: 'from phone number',
+  default: 'default'
+};
 
 /**
  * Sequences Page
- * View all email sequences with expandable content and manual send buttons
+ * View all email sequences with expandable content and manual send buttons.
+ * Admins can build sequences: add/edit/reorder/delete steps, clone, (de)activate.
+ * Each sequence can show its funnel analytics (sent → booked) for a date range.
+ * Sending windows (quiet hours in the lead's timezone) are set per sequence
+ * and can be overridden per step.
  */
 export default function Sequences() {
   const [sequences, setSequences] = useState([]);
@@ -15,29 +32,42 @@ export default function Sequences() {
   const [leadSearch, setLeadSearch] = useState('');
   const [sending, setSending] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [templates, setTemplates] = useState([]);
+  const [pools, setPools] = useState([]);
+  const [editingStep, setEditingStep] = useState(null); // step id, or `new:<sequenceId>`
+  const [savingStep, setSavingStep] = useState(false);
+  const [newSequence, setNewSequence] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState({});
+  const [editingWindow, setEditingWindow] = useState(null); // { id, send_window }
+  const user = useAuthStore((state) => state.user);
+  const admin = isAdmin(user);
 
   useEffect(() => {
     loadData();
   }, []);
 
-  async function loadData() {
+  async function loadData(showSpinner = true) {
     try {
-      setLoading(true);
-      const [seqRes, leadsRes] = await Promise.all([
+      if (showSpinner) setLoading(true);
+      const [seqRes, leadsRes, templatesRes, poolsRes] = await Promise.all([
         api.get('/sequences'),
-        api.get('/leads?limit=100')
+        api.get('/leads?limit=100'),
+        api.get('/sequences/templates'),
+        api.get('/sequences/templates/categories')
       ]);
       
-      const seqs = seqRes.data.sequences || seqRes.data.data || [];
+      const seqs = seqRes.data || [];
       setSequences(seqs);
-      setLeads(leadsRes.data.data?.leads || leadsRes.data.leads || []);
+      setLeads(leadsRes.data || []);
+      setTemplates(templatesRes.data || []);
+      setPools(poolsRes.data || []);
       
       // Load steps for each sequence
       const stepsData = {};
       for (const seq of seqs) {
         try {
           const stepsRes = await api.get(`/sequences/${seq.slug}/steps`);
-          stepsData[seq.slug] = stepsRes.data.steps || [];
+          stepsData[seq.slug] = stepsRes.steps || [];
         } catch (e) {
           stepsData[seq.slug] = [];
         }
@@ -61,8 +91,8 @@ export default function Sequences() {
     if (sending) return;
     setSending(stepId);
     try {
-      await api.post('/sequences/manual-send', { leadId, stepId });
-      alert('✅ Message sent!');
+      const res = await api.post('/sequences/manual-send', { leadId, stepId });
+      alert(res.data?.success === false ? `⚠️ ${res.data.message}` : '✅ Message sent!');
     } catch (err) {
       alert('❌ Send failed: ' + (err.response?.data?.error || err.message));
     } finally {
@@ -84,13 +114,105 @@ export default function Sequences() {
   async function loadLeadStatus(leadId) {
     try {
       const res = await api.get(`/sequences/lead/${leadId}/status`);
-      setLeadStatus(res.data.data);
+      setLeadStatus(res.data);
     } catch (err) {
       console.error('Failed to load lead status:', err);
       setLeadStatus(null);
     }
   }
 
+  // ---- Builder (admin) ----
+
+  async function saveStep(sequence, step, data) {
+    setSavingStep(true);
+    try {
+      if (step) {
+        await api.put(`/sequences/steps/${step.id}`, data);
+      } else {
+        await api.post(`/sequences/${sequence.id}/steps`, data);
+      }
+      setEditingStep(null);
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Save failed: ' + err.message);
+    } finally {
+      setSavingStep(false);
+    }
+  }
+
+  async function deleteStep(step) {
+    if (!confirm(`Delete step "${step.name}"? Pending messages for it will be dropped.`)) return;
+    try {
+      await api.delete(`/sequences/steps/${step.id}`);
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Delete failed: ' + err.message);
+    }
+  }
+
+  async function moveStep(sequence, index, direction) {
+    const ids = (steps[sequence.slug] || []).map(s => s.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    try {
+      const res = await api.put(`/sequences/${sequence.id}/steps/reorder`, { stepIds: ids });
+      setSteps(prev => ({ ...prev, [sequence.slug]: res.data }));
+    } catch (err) {
+      alert('❌ Reorder failed: ' + err.message);
+    }
+  }
+
+  async function createSequence(e) {
+    e.preventDefault();
+    try {
+      await api.post('/sequences', newSequence);
+      setNewSequence(null);
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Create failed: ' + err.message);
+    }
+  }
+
+  async function toggleSequence(sequence) {
+    try {
+      await api.put(`/sequences/${sequence.id}`, { is_active: !sequence.is_active });
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Update failed: ' + err.message);
+    }
+  }
+
+  async function saveSendWindow(e) {
+    e.preventDefault();
+    try {
+      await api.put(`/sequences/${editingWindow.id}`, { send_window: editingWindow.send_window });
+      setEditingWindow(null);
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Update failed: ' + err.message);
+    }
+  }
+
+  async function cloneSequence(sequence) {
+    try {
+      await api.post(`/sequences/${sequence.id}/clone`, {});
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Clone failed: ' + err.message);
+    }
+  }
+
+  async function deleteSequence(sequence) {
+    if (!confirm(`Delete sequence "${sequence.name}" and all its steps?`)) return;
+    try {
+      await api.delete(`/sequences/${sequence.id}`);
+      await loadData(false);
+    } catch (err) {
+      alert('❌ Delete failed: ' + err.message);
+    }
+  }
+
   function selectLead(lead) {
     setSelectedLead(lead);
     if (lead) {
@@ -134,8 +256,52 @@ export default function Sequences() {
           <h1 className="text-2xl font-bold text-white">Email Sequences</h1>
           <p className="text-white/50 mt-1">Click any step to see email content. Use manual buttons to test.</p>
         </div>
+        {admin && !newSequence && (
+          <button
+            onClick={() => setNewSequence({ name: '', slug: '', description: '' })}
+            className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm transition-colors"
+          >
+            + New Sequence
+          </button>
+        )}
       </div>
 
+      {/* New Sequence Form */}
+      {newSequence && (
+        <form onSubmit={createSequence} className="bg-[#12121a] rounded-2xl border border-white/10 p-4 flex items-center gap-3 flex-wrap">
+          <input
+            value={newSequence.name}
+            onChange={(e) => setNewSequence({
+              ...newSequence,
+              name: e.target.value,
+              slug: e.target.value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+            })}
+            placeholder="Sequence name"
+            required
+            className="bg-white/5 border border-white/10 rounded-lg px-4 py-2 text-white placeholder:text-white/30"
+          />
+          <input
+            value={newSequence.slug}
+            onChange={(e) => setNewSequence({ ...newSequence, slug: e.target.value })}
+            placeholder="slug"
+            required
+            className="bg-white/5 border border-white/10 rounded-lg px-4 py-2 text-white placeholder:text-white/30 font-mono text-sm"
+          />
+          <input
+            value={newSequence.description}
+            onChange={(e) => setNewSequence({ ...newSequence, description: e.target.value })}
+            placeholder="Description"
+            className="flex-1 bg-white/5 border border-white/10 rounded-lg px-4 py-2 text-white placeholder:text-white/30"
+          />
+          <button type="button" onClick={() => setNewSequence(null)} className="bg-white/5 hover:bg-white/10 text-white/70 px-4 py-2 rounded-lg text-sm transition-colors">
+            Cancel
+          </button>
+          <button type="submit" className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm transition-colors">
+            Create
+          </button>
+        </form>
+      )}
+
       {/* Lead Selector Card */}
       <div className="bg-[#12121a] rounded-2xl border border-white/10 p-4">
         <div className="flex items-center gap-4 flex-wrap">
@@ -177,6 +343,11 @@ export default function Sequences() {
                 <h3 className="text-white font-medium">{selectedLead.first_name} {selectedLead.last_name}</h3>
                 <p className="text-white/50 text-sm">{selectedLead.email}</p>
                 {selectedLead.company && <p className="text-white/40 text-sm">{selectedLead.company}</p>}
+                {leadStatus?.timezone && (
+                  <p className="text-white/40 text-xs mt-1" title="Sending windows are applied in this timezone">
+                    🕘 {leadStatus.timezone.timezone} ({TIMEZONE_SOURCES[leadStatus.timezone.source]})
+                  </p>
+                )}
               </div>
               
               {leadStatus && (
@@ -217,14 +388,60 @@ export default function Sequences() {
           <div className="p-4 border-b border-white/10 bg-gradient-to-r from-blue-500/10 to-purple-500/10">
             <div className="flex items-center justify-between">
               <div>
-                <h2 className="text-xl font-semibold text-white">{sequence.name}</h2>
+                <h2 className="text-xl font-semibold text-white">
+                  {sequence.name}
+                  {!sequence.is_active && (
+                    <span className="ml-2 text-xs px-2 py-0.5 rounded bg-amber-500/20 text-amber-300 align-middle">Inactive</span>
+                  )}
+                </h2>
                 <p className="text-white/50 text-sm">{sequence.description}</p>
+                <p className="text-white/40 text-xs mt-1" title="In the lead's local time; messages due outside it wait for the next opening">
+                  🕘 Sends {sequence.send_window ? formatSendWindow(sequence.send_window) : 'any time'}
+                </p>
               </div>
               <div className="flex items-center gap-4">
                 <span className="text-white/40 text-sm">
                   {steps[sequence.slug]?.length || 0} steps
                 </span>
-                {selectedLead && (
+                <button
+                  onClick={() => setShowAnalytics(prev => ({ ...prev, [sequence.slug]: !prev[sequence.slug] }))}
+                  className={`px-3 py-2 rounded-lg text-sm transition-colors ${
+                    showAnalytics[sequence.slug] ? 'bg-blue-600/30 text-blue-200' : 'bg-white/5 hover:bg-white/10 text-white/70'
+                  }`}
+                >
+                  📊 Analytics
+                </button>
+                {admin && (
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => toggleSequence(sequence)}
+                      className="bg-white/5 hover:bg-white/10 text-white/70 px-3 py-2 rounded-lg text-sm transition-colors"
+                    >
+                      {sequence.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button
+                      onClick={() => setEditingWindow({ id: sequence.id, send_window: sequence.send_window || null })}
+                      className="bg-white/5 hover:bg-white/10 text-white/70 px-3 py-2 rounded-lg text-sm transition-colors"
+                    >
+                      Send Window
+                    </button>
+                    <button
+                      onClick={() => cloneSequence(sequence)}
+                      className="bg-white/5 hover:bg-white/10 text-white/70 px-3 py-2 rounded-lg text-sm transition-colors"
+                    >
+                      Clone
+                    </button>
+                    {parseInt(sequence.active_leads) === 0 && (
+                      <button
+                        onClick={() => deleteSequence(sequence)}
+                        className="bg-white/5 hover:bg-red-500/20 text-red-300 px-3 py-2 rounded-lg text-sm transition-colors"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                )}
+                {selectedLead && sequence.is_active && (
                   <button
                     onClick={() => enrollLead(selectedLead.id, sequence.slug)}
                     className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm transition-colors"
@@ -236,6 +453,34 @@ export default function Sequences() {
             </div>
           </div>
 
+          {/* Sending Window */}
+          {editingWindow?.id === sequence.id && (
+            <form onSubmit={saveSendWindow} className="p-4 border-b border-white/10 bg-black/20 flex items-end justify-between gap-4 flex-wrap">
+              <SendWindowEditor
+                value={editingWindow.send_window}
+                onChange={(value) => setEditingWindow({ ...editingWindow, send_window: value })}
+              />
+              <div className="flex gap-2">
+                <button type="button" onClick={() => setEditingWindow(null)} className="bg-white/5 hover:bg-white/10 text-white/70 px-4 py-2 rounded-lg text-sm transition-colors">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={editingWindow.send_window && editingWindow.send_window.start === editingWindow.send_window.end}
+                  className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Funnel Analytics */}
+          {showAnalytics[sequence.slug] && <SequenceAnalytics slug={sequence.slug} />}
+
+          {/* Timeline Preview */}
+          <SequenceTimeline steps={steps[sequence.slug]} />
+
           {/* Steps */}
           <div className="divide-y divide-white/5">
             {(steps[sequence.slug] || []).map((step, index) => (
@@ -273,9 +518,36 @@ export default function Sequences() {
                         `}>
                           {step.channel === 'both' ? '📧 + 💬' : step.channel === 'email' ? '📧 Email' : '💬 WhatsApp'}
                         </span>
+                        {step.send_window && (
+                          <span className="text-white/40 text-xs" title="Overrides the sequence's sending window">
+                            🕘 {formatSendWindow(step.send_window)}
+                          </span>
+                        )}
                       </div>
                     </div>
 
+                    {/* Reorder Buttons */}
+                    {admin && (
+                      <div className="flex flex-col" onClick={(e) => e.stopPropagation()}>
+                        <button
+                          onClick={() => moveStep(sequence, index, -1)}
+                          disabled={index === 0}
+                          className="text-white/40 hover:text-white disabled:opacity-20 text-xs px-1"
+                          title="Move up"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={() => moveStep(sequence, index, 1)}
+                          disabled={index === steps[sequence.slug].length - 1}
+                          className="text-white/40 hover:text-white disabled:opacity-20 text-xs px-1"
+                          title="Move down"
+                        >
+                          ▼
+                        </button>
+                      </div>
+                    )}
+
                     {/* Manual Send Button */}
                     {selectedLead && (
                       <button
@@ -303,12 +575,41 @@ export default function Sequences() {
                 {/* Expanded Content */}
                 {expandedSteps[step.id] && (
                   <div className="px-4 pb-4 border-t border-white/5 pt-4 bg-black/20">
+                    {editingStep === step.id ? (
+                      <SequenceStepForm
+                        step={step}
+                        sequenceWindow={sequence.send_window}
+                        templates={templates}
+                        pools={pools}
+                        saving={savingStep}
+                        onSave={(data) => saveStep(sequence, step, data)}
+                        onCancel={() => setEditingStep(null)}
+                      />
+                    ) : (
+                    <>
                     <div className="grid grid-cols-2 gap-4">
                       {/* Email Content */}
                       {(step.channel === 'email' || step.channel === 'both') && (
                         <div className="bg-white/5 rounded-xl p-4">
                           <h4 className="text-white/70 text-sm font-medium mb-2">📧 Email Content</h4>
-                          {step.email_subject ? (
+                          {step.email_template_id ? (() => {
+                            const template = templates.find(t => t.id === step.email_template_id);
+                            return (
+                              <>
+                                <p className="text-white/40 text-xs mb-2">Template: {step.template_name || template?.name}</p>
+                                <p className="text-white font-medium mb-2">
+                                  Subject: {template?.subject}
+                                </p>
+                                <div className="text-white/60 text-sm max-h-48 overflow-y-auto whitespace-pre-wrap">
+                                  {template?.body?.replace(/<[^>]*>/g, '') || 'No body content'}
+                                </div>
+                              </>
+                            );
+                          })() : step.content_pool ? (
+                            <p className="text-white/40 italic">
+                              Next unsent email from the "{step.content_pool}" template pool
+                            </p>
+                          ) : step.email_subject ? (
                             <>
                               <p className="text-white font-medium mb-2">
                                 Subject: {step.email_subject}
@@ -318,11 +619,10 @@ export default function Sequences() {
                               </div>
                             </>
                           ) : (
-                            <p className="text-white/40 italic">
-                              {step.name.includes('Value') ? 
-                                'Randomized value email from template pool' : 
-                                'Template not configured yet'}
-                            </p>
+                            <p className="text-white/40 italic">No email content configured</p>
+                          )}
+                          {step.include_ebook && (
+                            <p className="text-white/30 text-xs mt-2">📚 Playbook link added if missing</p>
                           )}
                         </div>
                       )}
@@ -343,15 +643,60 @@ export default function Sequences() {
                     </div>
 
                     {/* Variables Info */}
-                    <div className="mt-4 text-xs text-white/30">
-                      Available variables: {'{{first_name}}'}, {'{{last_name}}'}, {'{{email}}'}, {'{{phone}}'}
+                    <div className="mt-4 flex items-center justify-between">
+                      <span className="text-xs text-white/30">
+                        Available variables: {'{{first_name}}'}, {'{{last_name}}'}, {'{{email}}'}, {'{{phone}}'}
+                      </span>
+                      {admin && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => setEditingStep(step.id)}
+                            className="bg-white/10 hover:bg-white/20 text-white px-3 py-1.5 rounded-lg text-sm transition-colors"
+                          >
+                            Edit Step
+                          </button>
+                          <button
+                            onClick={() => deleteStep(step)}
+                            className="bg-white/5 hover:bg-red-500/20 text-red-300 px-3 py-1.5 rounded-lg text-sm transition-colors"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      )}
                     </div>
+
+                    <StepVariants step={step} admin={admin} />
+                    </>
+                    )}
                   </div>
                 )}
               </div>
             ))}
           </div>
 
+          {/* Add Step */}
+          {admin && (
+            editingStep === `new:${sequence.id}` ? (
+              <div className="p-4 border-t border-white/5 bg-black/20">
+                <SequenceStepForm
+                  sequenceWindow={sequence.send_window}
+                  templates={templates}
+                  pools={pools}
+                  saving={savingStep}
+                  onSave={(data) => saveStep(sequence, null, data)}
+                  onCancel={() => setEditingStep(null)}
+                />
+              </div>
+            ) : (
+              <button
+                onClick={() => setEditingStep(`new:${sequence.id}`)}
+                className="w-full p-3 border-t border-white/5 text-white/40 hover:text-white hover:bg-white/5 text-sm transition-colors"
+              >
+                + Add Step
+              </button>
+            )
+          )}
+
           {/* Empty State */}
           {(!steps[sequence.slug] || steps[sequence.slug].length === 0) && (
             <div className="p-8 text-center text-white/30">
@@ -370,6 +715,7 @@ export default function Sequences() {
           <li>• <strong>No Show:</strong> If they miss meeting → Rebooking request + restart nurture sequence</li>
           <li>• Click any step to see the email/WhatsApp content</li>
           <li>• Select a lead and click "Send Now" to manually test any step</li>
+          <li>• Positive delays count from enrollment, negative delays from the meeting time</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,347 @@
+/**
+ * Tasks Page
+ *
+ * Follow-up inbox: overdue, today's and upcoming tasks per rep, including
+ * the ones created automatically from unanswered calls, hot WhatsApp intent
+ * and no-shows.
+ */
+
+import { useState, useEffect } from 'react';
+import { AnimatePresence } from 'framer-motion';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  ListTodo,
+  RefreshCw,
+  Loader2,
+  CheckCircle2,
+  Circle,
+  Repeat,
+  Edit3,
+  Trash2,
+  ChevronLeft,
+  ChevronRight,
+  Zap
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { tasksApi, leadsApi } from '../lib/api';
+import { useAuthStore, canWrite } from '../lib/store';
+import { cn, formatDateTime, formatRelativeTime } from '../lib/utils';
+import TaskFormModal, { TASK_TYPES, TASK_RECURRENCES } from '../components/TaskFormModal';
+import LeadDetailModal from '../components/LeadDetailModal';
+
+const PAGE_SIZE = 25;
+
+const TABS = [
+  { id: 'overdue', label: 'Overdue', params: { status: 'open', due: 'overdue' } },
+  { id: 'today', label: 'Today', params: { status: 'open', due: 'today' } },
+  { id: 'upcoming', label: 'Upcoming', params: { status: 'open', due: 'upcoming' } },
+  { id: 'open', label: 'All open', params: { status: 'open' } },
+  { id: 'completed', label: 'Completed', params: { status: 'completed' } }
+];
+
+const SCOPES = [
+  { id: 'me', label: 'Mine' },
+  { id: 'unassigned', label: 'Unassigned' },
+  { id: '', label: 'Everyone' }
+];
+
+const SOURCE_LABELS = {
+  unanswered_call: 'Unanswered call',
+  hot_intent: 'Hot intent',
+  no_show: 'No-show'
+};
+
+function Tasks() {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const writable = canWrite(user);
+
+  const [tab, setTab] = useState('overdue');
+  const [scope, setScope] = useState('me');
+  const [type, setType] = useState('');
+  const [page, setPage] = useState(1);
+  const [editingTask, setEditingTask] = useState(null);
+  const [openLead, setOpenLead] = useState(null);
+
+  useEffect(() => setPage(1), [tab, scope, type]);
+
+  const params = {
+    ...TABS.find(t => t.id === tab).params,
+    assignedTo: scope,
+    type,
+    page,
+    limit: PAGE_SIZE
+  };
+
+  const { data, isLoading, isFetching, refetch } = useQuery({
+    queryKey: ['tasks', params],
+    queryFn: () => tasksApi.getTasks(params),
+    refetchInterval: 60000,
+    placeholderData: (previous) => previous
+  });
+
+  const { data: summaryData } = useQuery({
+    queryKey: ['taskSummary'],
+    queryFn: () => tasksApi.getSummary(),
+    refetchInterval: 60000
+  });
+
+  // Listen for refresh events
+  useEffect(() => {
+    const handleRefresh = () => refetch();
+    window.addEventListener('refresh-data', handleRefresh);
+    return () => window.removeEventListener('refresh-data', handleRefresh);
+  }, [refetch]);
+
+  const tasks = data?.data || [];
+  const pagination = data?.pagination || { page: 1, totalPages: 1, totalCount: 0 };
+  const summary = summaryData?.data;
+  const tabCounts = scope === 'me' && summary ? { overdue: summary.overdue, today: summary.due_today, open: summary.open } : {};
+
+  const invalidateTasks = () => {
+    queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    queryClient.invalidateQueries({ queryKey: ['taskSummary'] });
+    queryClient.invalidateQueries({ queryKey: ['leadTasks'] });
+  };
+
+  const completeMutation = useMutation({
+    mutationFn: (id) => tasksApi.completeTask(id),
+    onSuccess: (response) => {
+      toast.success(response.message || 'Task completed');
+      invalidateTasks();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to complete task')
+  });
+
+  const reopenMutation = useMutation({
+    mutationFn: (id) => tasksApi.updateTask(id, { status: 'open' }),
+    onSuccess: () => {
+      toast.success('Task reopened');
+      invalidateTasks();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to reopen task')
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => tasksApi.deleteTask(id),
+    onSuccess: () => {
+      toast.success('Task deleted');
+      invalidateTasks();
+    },
+    onError: (error) => toast.error(error.message || 'Failed to delete task')
+  });
+
+  const handleOpenLead = async (task) => {
+    try {
+      const response = await leadsApi.getLead(task.lead_id);
+      setOpenLead(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load lead');
+    }
+  };
+
+  const handleDelete = (task) => {
+    if (window.confirm(`Delete task "${task.title}"?`)) {
+      deleteMutation.mutate(task.id);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Tasks</h2>
+          <p className="text-dark-400 text-sm mt-1">
+            {summary ? `${summary.overdue} overdue • ${summary.due_today} due later today • ${summary.open} open for you` : 'Follow-ups and reminders'}
+            {isFetching && <Loader2 className="w-3 h-3 inline ml-2 animate-spin" />}
+          </p>
+        </div>
+
+        <button
+          onClick={() => refetch()}
+          className="px-4 py-2 rounded-xl bg-dark-800/50 border border-dark-600 text-dark-300 hover:text-white hover:border-primary-500 transition-all flex items-center gap-2"
+        >
+          <RefreshCw className={cn("w-4 h-4", isFetching && "animate-spin")} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Tabs & filters */}
+      <div className="glass-card p-4 flex flex-col lg:flex-row lg:items-center justify-between gap-4">
+        <div className="flex flex-wrap gap-2">
+          {TABS.map(t => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={cn(
+                "px-4 py-2 rounded-xl border text-sm flex items-center gap-2 transition-all",
+                tab === t.id
+                  ? "bg-primary-500/20 border-primary-500 text-primary-300"
+                  : "bg-dark-800/50 border-dark-600 text-dark-300 hover:border-primary-500"
+              )}
+            >
+              {t.label}
+              {tabCounts[t.id] > 0 && (
+                <span className={cn(
+                  "px-1.5 min-w-[1.25rem] h-5 rounded-full text-white text-xs flex items-center justify-center",
+                  t.id === 'overdue' ? "bg-danger-500" : "bg-primary-500"
+                )}>
+                  {tabCounts[t.id]}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex gap-2">
+          <select value={scope} onChange={(e) => setScope(e.target.value)} className="input-field py-2 text-sm w-auto">
+            {SCOPES.map(s => (
+              <option key={s.id} value={s.id} className="bg-dark-800 text-white">{s.label}</option>
+            ))}
+          </select>
+          <select value={type} onChange={(e) => setType(e.target.value)} className="input-field py-2 text-sm w-auto">
+            <option value="" className="bg-dark-800 text-white">All types</option>
+            {Object.entries(TASK_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value} className="bg-dark-800 text-white">{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Task list */}
+      <div className="glass-card overflow-hidden">
+        {isLoading ? (
+          <div className="p-12 flex justify-center">
+            <Loader2 className="w-6 h-6 text-primary-400 animate-spin" />
+          </div>
+        ) : tasks.length === 0 ? (
+          <div className="p-12 text-center">
+            <ListTodo className="w-10 h-10 text-dark-600 mx-auto mb-3" />
+            <p className="text-dark-400">Nothing here</p>
+            <p className="text-dark-500 text-sm mt-1">Add tasks from a lead's detail view</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-dark-700/50">
+            {tasks.map(task => {
+              const TypeIcon = TASK_TYPES[task.type]?.icon || Circle;
+              const isOpen = task.status === 'open';
+              const leadName = [task.first_name, task.last_name].filter(Boolean).join(' ') || task.lead_email || task.lead_phone;
+              return (
+                <div key={task.id} className="flex items-center gap-4 p-4 hover:bg-dark-800/30 transition-colors group">
+                  <button
+                    onClick={() => isOpen ? completeMutation.mutate(task.id) : reopenMutation.mutate(task.id)}
+                    disabled={!writable || completeMutation.isPending || reopenMutation.isPending}
+                    className="flex-shrink-0 text-dark-400 hover:text-success-400 transition-colors disabled:cursor-not-allowed"
+                    title={isOpen ? 'Mark done' : 'Reopen'}
+                  >
+                    {isOpen ? <Circle className="w-5 h-5" /> : <CheckCircle2 className="w-5 h-5 text-success-400" />}
+                  </button>
+
+                  <div className="w-9 h-9 rounded-lg bg-primary-500/20 flex items-center justify-center flex-shrink-0">
+                    <TypeIcon className="w-4 h-4 text-primary-400" />
+                  </div>
+
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <p className={cn("text-sm font-medium", isOpen ? "text-white" : "text-dark-400 line-through")}>
+                        {task.title}
+                      </p>
+                      {SOURCE_LABELS[task.source] && (
+                        <span className="px-2 py-0.5 rounded-full text-[10px] bg-accent-500/20 text-accent-300 flex items-center gap-1">
+                          <Zap className="w-3 h-3" />
+                          {SOURCE_LABELS[task.source]}
+                        </span>
+                      )}
+                      {task.recurrence && (
+                        <span className="px-2 py-0.5 rounded-full text-[10px] bg-dark-700 text-dark-300 flex items-center gap-1">
+                          <Repeat className="w-3 h-3" />
+                          {TASK_RECURRENCES[task.recurrence]}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-dark-400 mt-0.5">
+                      <button onClick={() => handleOpenLead(task)} className="hover:text-primary-400 transition-colors">
+                        {leadName}{task.lead_company ? ` • ${task.lead_company}` : ''}
+                      </button>
+                      {task.assigned_to_name || task.assigned_to_email ? ` • ${task.assigned_to_name || task.assigned_to_email}` : ' • Unassigned'}
+                    </p>
+                    {task.description && (
+                      <p className="text-xs text-dark-500 mt-1 truncate">{task.description}</p>
+                    )}
+                  </div>
+
+                  <div className="text-right flex-shrink-0">
+                    <p className={cn("text-sm", task.is_overdue ? "text-danger-400 font-medium" : "text-dark-300")}>
+                      {isOpen ? formatRelativeTime(task.due_at) : `Done ${formatRelativeTime(task.completed_at)}`}
+                    </p>
+                    <p className="text-xs text-dark-500">{formatDateTime(task.due_at)}</p>
+                  </div>
+
+                  {writable && (
+                    <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <button
+                        onClick={() => setEditingTask(task)}
+                        className="p-1.5 rounded-lg text-dark-400 hover:text-primary-400 hover:bg-dark-700/50 transition-colors"
+                        title="Edit task"
+                      >
+                        <Edit3 className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(task)}
+                        className="p-1.5 rounded-lg text-dark-400 hover:text-danger-400 hover:bg-dark-700/50 transition-colors"
+                        title="Delete task"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="p-4 border-t border-dark-700/50 flex items-center justify-between">
+            <p className="text-sm text-dark-400">
+              Showing {((page - 1) * PAGE_SIZE) + 1} to {Math.min(page * PAGE_SIZE, pagination.totalCount)} of {pagination.totalCount}
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(p => Math.max(1, p - 1))}
+                disabled={page === 1}
+                className="p-2 rounded-lg border border-dark-600 text-dark-400 hover:text-white hover:border-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span className="text-dark-400 text-sm px-2">
+                Page {page} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(p => Math.min(pagination.totalPages, p + 1))}
+                disabled={page === pagination.totalPages}
+                className="p-2 rounded-lg border border-dark-600 text-dark-400 hover:text-white hover:border-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {editingTask && (
+          <TaskFormModal task={editingTask} onClose={() => setEditingTask(null)} />
+        )}
+      </AnimatePresence>
+
+      {openLead && (
+        <LeadDetailModal lead={openLead} onClose={() => setOpenLead(null)} />
+      )}
+    </div>
+  );
+}
+
+export default Tasks;
@@ -8,7 +8,6 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useQuery } from '@tanstack/react-query';
 import { 
-  Search, 
   Filter, 
   RefreshCw,
   Eye,
@@ -22,8 +21,7 @@ import {
   XCircle,
   Loader2,
   X,
-  Copy,
-  ExternalLink
+  Copy
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { webhooksApi } from '../lib/api';
@@ -38,7 +36,7 @@ import {
   copyToClipboard
 } from '../lib/utils';
 
-const SOURCES = ['meta_forms', 'calcom', 'test', 'api', 'meta_simulated', 'calcom_simulated'];
+const SOURCES = ['meta_forms', 'calcom', 'resend', 'test', 'api', 'meta_simulated', 'calcom_simulated', 'resend_simulated'];
 const STATUSES = ['received', 'processing', 'processed', 'failed'];
 
 function WebhookLogs() {